@@ -0,0 +1,216 @@
+/**
+ * Role-Based Access Control for WhatsApp Management Server
+ * Roles and what they allow are defined in Convex (convex/lib/permissions.ts) and come with the
+ * user's session as user.permissions; this module maps Socket.io events to the permission they
+ * need, decides which WhatsApp accounts a user's workspaces give them and masks phone numbers
+ * (also inside chat ids) for users who may only see masked data
+ */
+
+const crypto = require("crypto");
+
+const PERMISSION_DENIED = "ليست لديك صلاحية لهذا الإجراء";
+
+// Events that need a permission; every other event only needs a signed-in user
+const EVENT_PERMISSIONS = {
+  // WhatsApp accounts
+  addAccount: "manageAccounts",
+  deleteAccount: "manageAccounts",
+  logout: "scanQr",
+  requestReconnect: "scanQr",
+  clearSessions: "clearSessions",
+
+  // Sending
+  sendMessage: "sendMessages",
+  useCannedReply: "sendMessages",
+  saveCannedReply: "sendMessages",
+  deleteCannedReply: "sendMessages",
+  scheduleMessage: "sendMessages",
+  updateScheduledMessage: "sendMessages",
+  cancelScheduledMessage: "sendMessages",
+  getCampaigns: "sendMessages",
+  createCampaign: "sendMessages",
+  pauseCampaign: "sendMessages",
+  resumeCampaign: "sendMessages",
+  cancelCampaign: "sendMessages",
+  deleteCampaign: "sendMessages",
+  getCampaignRecipients: "sendMessages",
+
+  // Analytics and reports
+  getResponseAnalytics: "viewAnalytics",
+  getDailyStats: "viewAnalytics",
+  getAgentAnalytics: "viewAnalytics",
+  getPipelineAnalytics: "viewAnalytics",
+  generateReport: "export",
+  getReportSchedules: "export",
+  saveReportSchedule: "export",
+  deleteReportSchedule: "export",
+
+  // Integrations, automations and team settings
+  getApiKeys: "manageSettings",
+  createApiKey: "manageSettings",
+  revokeApiKey: "manageSettings",
+  getWebhooks: "manageSettings",
+  createWebhook: "manageSettings",
+  updateWebhook: "manageSettings",
+  deleteWebhook: "manageSettings",
+  getWebhookDeliveries: "manageSettings",
+  replayWebhookDelivery: "manageSettings",
+  saveAutoReplyRule: "manageSettings",
+  deleteAutoReplyRule: "manageSettings",
+  saveFlow: "manageSettings",
+  deleteFlow: "manageSettings",
+  saveAssignmentSettings: "manageSettings",
+  saveContactField: "manageSettings",
+  deleteContactField: "manageSettings",
+  savePipelineStages: "manageSettings",
+
+  // Users and workspaces (members of a workspace are managed by its admins, checked by Convex)
+  getUsers: "manageUsers",
+  updateUser: "manageUsers",
+  createWorkspace: "manageUsers",
+};
+
+/**
+ * @param {{permissions?: string[]}} user - socket.data.user
+ * @param {string} permission
+ */
+const hasPermission = (user, permission) => Array.isArray(user?.permissions) && user.permissions.includes(permission);
+
+// The permission an event needs, or null
+const getEventPermission = (event) => EVENT_PERMISSIONS[event] || null;
+
+// ==================== Workspaces ====================
+
+/**
+ * A user's workspaces as Convex hands them out (organizations.getAccess)
+ * @typedef {object} Access
+ * @property {{id: string, name: string, role: "admin"|"member"}[]} orgs
+ * @property {string[]} accountIds - accounts the user was given access to
+ */
+
+// The user's role in a workspace, or null when they're not a member
+const getOrgRole = (access, orgId) => access?.orgs.find(org => org.id === orgId)?.role || null;
+
+/**
+ * Whether a user may use an account: it belongs to one of their workspaces (the given one, when
+ * there is one) and they administer the workspace or are on the account's access list
+ * @param {Access} access
+ * @param {{id: string, orgId?: string}} account
+ * @param {string} [orgId] - the workspace the user is working in
+ */
+const canAccessAccount = (access, account, orgId) => {
+  if (!account?.orgId || (orgId && account.orgId !== orgId)) return false;
+  const role = getOrgRole(access, account.orgId);
+  return role === "admin" || (role === "member" && access.accountIds.includes(account.id));
+};
+
+// Hash of an invitation token (only the hash is stored in Convex)
+const hashInviteToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Token of a one-time invitation link
+const generateInviteToken = () => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  return { token, tokenHash: hashInviteToken(token) };
+};
+
+// ==================== Masking ====================
+
+// Fields that always hold a phone number
+const PHONE_KEYS = new Set(["phone", "chatPhone", "contactPhone", "phoneNumber"]);
+// Fields that hold a name, which WhatsApp fills with the number when the contact has none
+const NAME_KEYS = new Set(["name", "chatName", "senderName", "contactName", "pushname"]);
+
+const looksLikePhone = (value) => typeof value === "string" && /^\+?[\d\s()-]{7,}$/.test(value.trim());
+
+// "+966 55 123 4567" -> "•••••••567"
+const maskPhone = (value) => {
+  const digits = String(value).replace(/\D/g, "");
+  if (!digits) return value;
+  return `${"•".repeat(Math.max(digits.length - 3, 3))}${digits.slice(-3)}`;
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+
+// WhatsApp ids of people hold their number ("966551234567@c.us", also inside message ids). Masked
+// users get them with the number swapped for a token only this server can read back
+// ("p<hex>@c.us"): the same chat always gets the same token, so the dashboard can still address
+// it. The keys are new with every start, like the sockets that hold the tokens
+const PERSON_ID = /(\d{5,})(@(?:c\.us|s\.whatsapp\.net))/g;
+const TOKEN_ID = /p([0-9a-f]{42,})(@(?:c\.us|s\.whatsapp\.net))/g;
+const TOKEN_MAC_KEY = crypto.randomBytes(32);
+const TOKEN_CIPHER_KEY = crypto.randomBytes(32);
+
+const tokenMac = (number) => crypto.createHmac("sha256", TOKEN_MAC_KEY).update(number).digest().subarray(0, 16);
+
+// Deterministic encryption (the MAC of the number is the IV), so a token can't be forged
+const numberToToken = (number) => {
+  const iv = tokenMac(number);
+  const cipher = crypto.createCipheriv("aes-256-ctr", TOKEN_CIPHER_KEY, iv);
+  return `p${Buffer.concat([iv, cipher.update(number, "utf8"), cipher.final()]).toString("hex")}`;
+};
+
+// The number of a token, or null for a token this server didn't make
+const tokenToNumber = (hex) => {
+  const data = Buffer.from(hex, "hex");
+  const iv = data.subarray(0, 16);
+  const decipher = crypto.createDecipheriv("aes-256-ctr", TOKEN_CIPHER_KEY, iv);
+  const number = Buffer.concat([decipher.update(data.subarray(16)), decipher.final()]).toString("utf8");
+  return crypto.timingSafeEqual(tokenMac(number), iv) ? number : null;
+};
+
+const maskIds = (value) => value.replace(PERSON_ID, (id, number, suffix) => `${numberToToken(number)}${suffix}`);
+
+const unmaskIds = (value) =>
+  value.replace(TOKEN_ID, (token, hex, suffix) => {
+    const number = hex.length % 2 === 0 ? tokenToNumber(hex) : null;
+    return number ? `${number}${suffix}` : token;
+  });
+
+/**
+ * Copy of an event payload with the phone numbers masked, also in chat and message ids and in
+ * the keys of maps by chat (the original is shared with other sockets and left as is)
+ */
+const maskPayload = (data) => {
+  if (typeof data === "string") return maskIds(data);
+  if (Array.isArray(data)) return data.map(maskPayload);
+  if (!isPlainObject(data)) return data;
+
+  const masked = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (PHONE_KEYS.has(key) && value) {
+      masked[maskIds(key)] = maskPhone(value);
+    } else if (NAME_KEYS.has(key) && looksLikePhone(value)) {
+      masked[maskIds(key)] = maskPhone(value);
+    } else {
+      masked[maskIds(key)] = maskPayload(value);
+    }
+  }
+  return masked;
+};
+
+// What a masked user sends, with the ids they were given turned back into WhatsApp ids
+const unmaskPayload = (data) => {
+  if (typeof data === "string") return unmaskIds(data);
+  if (Array.isArray(data)) return data.map(unmaskPayload);
+  if (!isPlainObject(data)) return data;
+
+  const unmasked = {};
+  for (const [key, value] of Object.entries(data)) {
+    unmasked[unmaskIds(key)] = unmaskPayload(value);
+  }
+  return unmasked;
+};
+
+module.exports = {
+  PERMISSION_DENIED,
+  hasPermission,
+  getEventPermission,
+  getOrgRole,
+  canAccessAccount,
+  hashInviteToken,
+  generateInviteToken,
+  maskPhone,
+  maskPayload,
+  unmaskPayload,
+};
@@ -0,0 +1,582 @@
+/**
+ * Analytics Reports for WhatsApp Management Server
+ * The analytics of a date range (summary KPIs, hourly and weekly activity, response times,
+ * unanswered chats) as a multi-sheet XLSX workbook or a printable PDF, generated on demand or by
+ * daily / weekly schedules kept in the local SQLite database. Files are written to REPORTS_DIR
+ * (.data/reports by default) and scheduled ones are mailed to the schedule's recipients
+ */
+
+const fs = require("fs");
+const path = require("path");
+const XLSX = require("xlsx");
+const { db, ensureSchema, ensureColumn } = require("./local-db");
+const { isEmail } = require("./mailer");
+const {
+  CONVERSATION_GAP,
+  parseAnalyticsRange,
+  computeResponseAnalytics,
+  fillDailyCounts,
+} = require("./response-analytics");
+
+const REPORTS_DIR = process.env.REPORTS_DIR || path.join(__dirname, ".data", "reports");
+
+const ready = ensureSchema(`
+  CREATE TABLE IF NOT EXISTS report_schedules (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    org_id TEXT,
+    account_id TEXT,
+    frequency TEXT NOT NULL,
+    weekday INTEGER NOT NULL DEFAULT 0,
+    hour INTEGER NOT NULL DEFAULT 8,
+    timezone_offset INTEGER NOT NULL DEFAULT 0,
+    formats TEXT NOT NULL,
+    recipients TEXT NOT NULL,
+    next_run_at INTEGER NOT NULL,
+    last_run_at INTEGER,
+    last_error TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_report_schedules_due ON report_schedules (next_run_at);
+`) && ensureColumn("report_schedules", "org_id", "TEXT");
+
+const FREQUENCIES = ["daily", "weekly"];
+const FORMATS = ["xlsx", "pdf"];
+const MAX_RECIPIENTS = 20;
+const MAX_UNANSWERED_ROWS = 500;
+const POLL_INTERVAL = 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+const DAYS_OF_WEEK = ["الأحد", "الإثنين", "الثلاثاء", "الأربعاء", "الخميس", "الجمعة", "السبت"];
+
+const CONTENT_TYPES = {
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pdf: "application/pdf",
+};
+
+const statements = ready ? {
+  insert: db.prepare(`
+    INSERT INTO report_schedules (id, user_id, org_id, account_id, frequency, weekday, hour, timezone_offset, formats, recipients, next_run_at, created_at, updated_at)
+    VALUES (@id, @userId, @orgId, @accountId, @frequency, @weekday, @hour, @timezoneOffset, @formats, @recipients, @nextRunAt, @now, @now)
+  `),
+  get: db.prepare("SELECT * FROM report_schedules WHERE id = ?"),
+  listForUser: db.prepare("SELECT * FROM report_schedules WHERE user_id = ? ORDER BY created_at ASC"),
+  update: db.prepare(`
+    UPDATE report_schedules
+    SET org_id = @orgId, account_id = @accountId, frequency = @frequency, weekday = @weekday, hour = @hour,
+        timezone_offset = @timezoneOffset, formats = @formats, recipients = @recipients,
+        next_run_at = @nextRunAt, last_error = NULL, updated_at = @now
+    WHERE id = @id
+  `),
+  remove: db.prepare("DELETE FROM report_schedules WHERE id = ?"),
+  due: db.prepare("SELECT * FROM report_schedules WHERE next_run_at <= ? ORDER BY next_run_at ASC LIMIT 10"),
+  markRun: db.prepare(`
+    UPDATE report_schedules
+    SET next_run_at = @nextRunAt, last_run_at = @now, last_error = @error, updated_at = @now
+    WHERE id = @id
+  `),
+} : null;
+
+// Wall-clock date of a moment in a timezone, as "YYYY-MM-DD"
+const localDate = (time, timezoneOffset) => new Date(time - timezoneOffset * 60 * 1000).toISOString().slice(0, 10);
+
+/**
+ * Next run of a schedule after `after`: its hour of the viewer's day (and its weekday for weekly ones).
+ * The timezone is the fixed offset saved with the schedule
+ */
+const nextRunAt = ({ frequency, weekday, hour, timezoneOffset }, after = Date.now()) => {
+  const shift = timezoneOffset * 60 * 1000;
+  const local = new Date(after - shift); // UTC fields hold the local wall clock
+  const next = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), hour));
+  if (frequency === "weekly") next.setUTCDate(next.getUTCDate() + ((weekday - next.getUTCDay() + 7) % 7));
+  while (next.getTime() <= local.getTime()) {
+    next.setUTCDate(next.getUTCDate() + (frequency === "weekly" ? 7 : 1));
+  }
+  return next.getTime() + shift;
+};
+
+// The days a run reports on: yesterday, or the 7 days up to yesterday
+const reportPeriod = ({ frequency, timezoneOffset }, runAt) => {
+  const to = localDate(runAt - DAY, timezoneOffset);
+  const from = frequency === "weekly" ? localDate(runAt - 7 * DAY, timezoneOffset) : to;
+  return { from, to };
+};
+
+/**
+ * Validate a schedule from the editor
+ * @param {object} input - { frequency, weekday, hour, timezoneOffset, formats, recipients (array or comma separated) }
+ * @returns {{schedule?: object, error?: string}}
+ */
+const parseReportSchedule = ({ frequency, weekday = 0, hour = 8, timezoneOffset = 0, formats, recipients } = {}) => {
+  if (!FREQUENCIES.includes(frequency)) return { error: "اختر تقريراً يومياً أو أسبوعياً" };
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) return { error: "ساعة الإرسال غير صالحة" };
+  if (frequency === "weekly" && (!Number.isInteger(weekday) || weekday < 0 || weekday > 6)) {
+    return { error: "يوم الإرسال غير صالح" };
+  }
+
+  const cleanFormats = Array.isArray(formats) ? FORMATS.filter(f => formats.includes(f)) : [];
+  if (cleanFormats.length === 0) return { error: "اختر صيغة واحدة على الأقل (Excel أو PDF)" };
+
+  const list = (Array.isArray(recipients) ? recipients : String(recipients || "").split(/[,\s]+/))
+    .map(r => String(r).trim().toLowerCase())
+    .filter(Boolean);
+  if (list.length === 0) return { error: "أضف بريداً إلكترونياً واحداً على الأقل" };
+  if (list.length > MAX_RECIPIENTS) return { error: `الحد الأقصى ${MAX_RECIPIENTS} مستلماً` };
+  const invalid = list.find(r => !isEmail(r));
+  if (invalid) return { error: `البريد ${invalid} غير صالح` };
+
+  return {
+    schedule: {
+      frequency,
+      weekday: frequency === "weekly" ? weekday : 0,
+      hour,
+      timezoneOffset: Number.isInteger(timezoneOffset) && Math.abs(timezoneOffset) <= 14 * 60 ? timezoneOffset : 0,
+      formats: cleanFormats,
+      recipients: [...new Set(list)],
+    },
+  };
+};
+
+const toSchedule = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  orgId: row.org_id,
+  accountId: row.account_id,
+  frequency: row.frequency,
+  weekday: row.weekday,
+  hour: row.hour,
+  timezoneOffset: row.timezone_offset,
+  formats: JSON.parse(row.formats),
+  recipients: JSON.parse(row.recipients),
+  nextRunAt: row.next_run_at,
+  lastRunAt: row.last_run_at,
+  lastError: row.last_error,
+  createdAt: row.created_at,
+});
+
+const reportStore = {
+  /**
+   * Save a new schedule
+   * @param {object} schedule - from parseReportSchedule, plus userId, orgId (the workspace) and
+   * accountId (null = all the workspace's accounts)
+   */
+  create({ userId, orgId, accountId, ...schedule }) {
+    if (!statements) return null;
+    const id = `report_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    statements.insert.run({
+      id,
+      userId,
+      orgId: orgId || null,
+      accountId: accountId || null,
+      frequency: schedule.frequency,
+      weekday: schedule.weekday,
+      hour: schedule.hour,
+      timezoneOffset: schedule.timezoneOffset,
+      formats: JSON.stringify(schedule.formats),
+      recipients: JSON.stringify(schedule.recipients),
+      nextRunAt: nextRunAt(schedule),
+      now: Date.now(),
+    });
+    return this.get(id);
+  },
+
+  get(id) {
+    if (!statements) return null;
+    const row = statements.get.get(id);
+    return row ? toSchedule(row) : null;
+  },
+
+  listForUser(userId) {
+    if (!statements) return [];
+    return statements.listForUser.all(userId).map(toSchedule);
+  },
+
+  update(id, { orgId, accountId, ...schedule }) {
+    if (!statements || !statements.get.get(id)) return null;
+    statements.update.run({
+      id,
+      orgId: orgId || null,
+      accountId: accountId || null,
+      frequency: schedule.frequency,
+      weekday: schedule.weekday,
+      hour: schedule.hour,
+      timezoneOffset: schedule.timezoneOffset,
+      formats: JSON.stringify(schedule.formats),
+      recipients: JSON.stringify(schedule.recipients),
+      nextRunAt: nextRunAt(schedule),
+      now: Date.now(),
+    });
+    return this.get(id);
+  },
+
+  remove(id) {
+    if (!statements) return;
+    statements.remove.run(id);
+  },
+};
+
+const toMinutes = (seconds) => (seconds === null ? null : Math.round(seconds / 6) / 10);
+
+const formatDuration = (seconds) => {
+  if (seconds === null) return "—";
+  if (seconds < 60) return `${seconds} ثانية`;
+  if (seconds < 60 * 60) return `${Math.round(seconds / 60)} دقيقة`;
+  if (seconds < DAY / 1000) return `${(seconds / 3600).toFixed(1)} ساعة`;
+  return `${(seconds / (DAY / 1000)).toFixed(1)} يوم`;
+};
+
+const formatDateTime = (seconds, timezoneOffset) =>
+  new Date((seconds - timezoneOffset * 60) * 1000).toISOString().slice(0, 16).replace("T", " ");
+
+/**
+ * Gather the figures of a report
+ * @param {object} args
+ * @param {string} args.from - "YYYY-MM-DD"
+ * @param {string} args.to - "YYYY-MM-DD"
+ * @param {number} args.timezoneOffset - minutes, as Date#getTimezoneOffset
+ * @param {{id: string, name: string}[]} args.accounts
+ * @param {object} args.messageStore
+ * @param {(accountId: string, chatId: string) => string} args.getChatName
+ * @returns {{report?: object, error?: string}}
+ */
+const buildReport = ({ from, to, timezoneOffset, accounts, messageStore, getChatName, now = Date.now() }) => {
+  const { range, error } = parseAnalyticsRange({ from, to, timezoneOffset });
+  if (error) return { error };
+  const nowSeconds = Math.floor(now / 1000);
+
+  const timelines = accounts.map(a => messageStore.getTimeline(a.id, range.from, range.to + CONVERSATION_GAP));
+  const analytics = computeResponseAnalytics(timelines, range, nowSeconds);
+
+  const totals = { received: 0, sent: 0, newChats: 0 };
+  for (const account of accounts) {
+    for (const day of fillDailyCounts(messageStore.getDailyCounts(account.id, range.from, range.to, range.timezoneOffset), range)) {
+      totals.received += day.received;
+      totals.sent += day.sent;
+      totals.newChats += day.newChats;
+    }
+  }
+
+  // Messages by the hour / weekday they were written in the viewer's timezone
+  const hourly = Array.from({ length: 24 }, () => ({ received: 0, sent: 0 }));
+  const weekly = Array.from({ length: 7 }, () => ({ received: 0, sent: 0 }));
+  for (const timeline of timelines) {
+    for (const message of timeline) {
+      if (message.timestamp > range.to || message.chatId === "status@broadcast") continue;
+      const local = new Date((message.timestamp - range.timezoneOffset * 60) * 1000);
+      const key = message.fromMe ? "sent" : "received";
+      hourly[local.getUTCHours()][key]++;
+      weekly[local.getUTCDay()][key]++;
+    }
+  }
+
+  // Private chats whose latest message is the customer's, since the start of the range
+  const unanswered = accounts
+    .flatMap(account => messageStore.getLastMessages(account.id)
+      .filter(m => !m.fromMe && m.timestamp >= range.from && !m.chatId.endsWith("@g.us") && m.chatId !== "status@broadcast")
+      .map(m => ({ account: account.name, chat: getChatName(account.id, m.chatId), since: m.timestamp })))
+    .sort((a, b) => a.since - b.since)
+    .slice(0, MAX_UNANSWERED_ROWS);
+
+  const resolved = analytics.resolvedPerDay.reduce((sum, d) => sum + d.count, 0);
+  const report = {
+    from,
+    to,
+    timezoneOffset: range.timezoneOffset,
+    accounts: accounts.map(a => a.name),
+    generatedAt: now,
+    summary: [
+      { label: "رسائل واردة", value: totals.received },
+      { label: "رسائل مرسلة", value: totals.sent },
+      { label: "محادثات جديدة", value: totals.newChats },
+      { label: "محادثات بدأها العملاء", value: analytics.conversations },
+      { label: "تم الرد عليها", value: analytics.responded },
+      {
+        label: "معدل الرد",
+        value: analytics.conversations > 0 ? `${Math.round((analytics.responded / analytics.conversations) * 100)}%` : "—",
+      },
+      { label: "متوسط وقت أول رد", value: formatDuration(analytics.firstResponse.average) },
+      { label: "متوسط وقت الرد", value: formatDuration(analytics.replyTime.average) },
+      { label: "محادثات تم حلها", value: resolved },
+      { label: "بانتظار الرد الآن", value: unanswered.length },
+    ],
+    hourly: hourly.map((counts, hour) => ({
+      label: `${String(hour).padStart(2, "0")}:00`,
+      ...counts,
+      medianReply: analytics.byHour[hour].median,
+    })),
+    weekly: weekly.map((counts, day) => ({
+      label: DAYS_OF_WEEK[day],
+      ...counts,
+      medianReply: analytics.byWeekday[day].median,
+    })),
+    responseTimes: [
+      { label: "أول رد", ...analytics.firstResponse, count: analytics.responded },
+      { label: "كل الردود", ...analytics.replyTime },
+    ],
+    resolvedPerDay: analytics.resolvedPerDay,
+    unanswered,
+  };
+  return { report };
+};
+
+const reportTitle = (report) =>
+  `تقرير التحليلات ${report.from === report.to ? report.from : `${report.from} - ${report.to}`}`;
+
+// Multi-sheet workbook of a report
+const toWorkbook = (report) => {
+  const wb = XLSX.utils.book_new();
+  const addSheet = (name, rows, widths) => {
+    const ws = XLSX.utils.aoa_to_sheet(rows);
+    ws["!cols"] = widths.map(wch => ({ wch }));
+    XLSX.utils.book_append_sheet(wb, ws, name);
+  };
+
+  addSheet("الملخص", [
+    [reportTitle(report)],
+    ["الحسابات", report.accounts.join("، ")],
+    ["تاريخ الإنشاء", formatDateTime(Math.floor(report.generatedAt / 1000), report.timezoneOffset)],
+    [],
+    ["المؤشر", "القيمة"],
+    ...report.summary.map(s => [s.label, s.value]),
+  ], [30, 30]);
+
+  const activityRows = (rows, label) => [
+    [label, "رسائل واردة", "رسائل مرسلة", "وسيط وقت الرد (دقيقة)"],
+    ...rows.map(r => [r.label, r.received, r.sent, toMinutes(r.medianReply)]),
+  ];
+  addSheet("النشاط بالساعة", activityRows(report.hourly, "الساعة"), [10, 14, 14, 22]);
+  addSheet("النشاط الأسبوعي", activityRows(report.weekly, "اليوم"), [12, 14, 14, 22]);
+
+  addSheet("أوقات الرد", [
+    ["المقياس", "المتوسط (دقيقة)", "الوسيط (دقيقة)", "العدد"],
+    ...report.responseTimes.map(r => [r.label, toMinutes(r.average), toMinutes(r.median), r.count]),
+    [],
+    ["اليوم", "محادثات تم حلها"],
+    ...report.resolvedPerDay.map(d => [d.date, d.count]),
+  ], [16, 18, 18, 10]);
+
+  addSheet("محادثات بلا رد", [
+    ["الحساب", "المحادثة", "آخر رسالة من العميل"],
+    ...report.unanswered.map(u => [u.account, u.chat, formatDateTime(u.since, report.timezoneOffset)]),
+  ], [20, 30, 20]);
+
+  wb.Workbook = { Views: [{ RTL: true }] };
+  return XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+};
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+// Printable HTML of a report (the PDF is rendered from it)
+const toHtml = (report) => {
+  const activityTable = (rows, label) => {
+    const max = Math.max(1, ...rows.map(r => r.received + r.sent));
+    return `
+      <table>
+        <tr><th>${label}</th><th>واردة</th><th>مرسلة</th><th>وسيط وقت الرد</th><th class="bar-cell"></th></tr>
+        ${rows.map(r => `
+          <tr>
+            <td>${escapeHtml(r.label)}</td><td>${r.received}</td><td>${r.sent}</td><td>${formatDuration(r.medianReply)}</td>
+            <td class="bar-cell"><div class="bar" style="width: ${Math.round(((r.received + r.sent) / max) * 100)}%"></div></td>
+          </tr>`).join("")}
+      </table>`;
+  };
+
+  return `<!DOCTYPE html>
+<html lang="ar" dir="rtl">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(reportTitle(report))}</title>
+  <link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=Cairo:wght@400;700&display=swap" />
+  <style>
+    body { font-family: "Cairo", "Noto Sans Arabic", "Segoe UI", Tahoma, sans-serif; color: #111b21; margin: 0; font-size: 12px; }
+    h1 { font-size: 20px; margin: 0 0 4px; color: #075e54; }
+    h2 { font-size: 15px; margin: 24px 0 8px; color: #075e54; border-bottom: 2px solid #25d366; padding-bottom: 4px; }
+    .meta { color: #667781; margin-bottom: 16px; }
+    .kpis { display: grid; grid-template-columns: repeat(5, 1fr); gap: 8px; }
+    .kpi { border: 1px solid #d1d7db; border-radius: 8px; padding: 8px; }
+    .kpi .value { font-size: 16px; font-weight: 700; }
+    .kpi .label { color: #667781; font-size: 11px; }
+    table { width: 100%; border-collapse: collapse; page-break-inside: auto; }
+    tr { page-break-inside: avoid; }
+    th, td { border-bottom: 1px solid #e9edef; padding: 4px 6px; text-align: right; }
+    th { background: #f0f2f5; }
+    .bar-cell { width: 35%; }
+    .bar { height: 8px; background: #25d366; border-radius: 4px; }
+    .page-break { page-break-before: always; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(reportTitle(report))}</h1>
+  <div class="meta">
+    ${escapeHtml(report.accounts.join("، "))} · أُنشئ في ${formatDateTime(Math.floor(report.generatedAt / 1000), report.timezoneOffset)}
+  </div>
+
+  <h2>الملخص</h2>
+  <div class="kpis">
+    ${report.summary.map(s => `<div class="kpi"><div class="value">${escapeHtml(s.value)}</div><div class="label">${escapeHtml(s.label)}</div></div>`).join("")}
+  </div>
+
+  <h2>أوقات الرد</h2>
+  <table>
+    <tr><th>المقياس</th><th>المتوسط</th><th>الوسيط</th><th>العدد</th></tr>
+    ${report.responseTimes.map(r => `<tr><td>${r.label}</td><td>${formatDuration(r.average)}</td><td>${formatDuration(r.median)}</td><td>${r.count}</td></tr>`).join("")}
+  </table>
+
+  <h2>النشاط الأسبوعي</h2>
+  ${activityTable(report.weekly, "اليوم")}
+
+  <h2 class="page-break">النشاط على مدار اليوم</h2>
+  ${activityTable(report.hourly, "الساعة")}
+
+  <h2 class="page-break">محادثات بلا رد (${report.unanswered.length})</h2>
+  ${report.unanswered.length === 0 ? "<p>لا توجد محادثات بانتظار الرد</p>" : `
+  <table>
+    <tr><th>الحساب</th><th>المحادثة</th><th>آخر رسالة من العميل</th></tr>
+    ${report.unanswered.map(u => `<tr><td>${escapeHtml(u.account)}</td><td>${escapeHtml(u.chat)}</td><td>${formatDateTime(u.since, report.timezoneOffset)}</td></tr>`).join("")}
+  </table>`}
+</body>
+</html>`;
+};
+
+/**
+ * Render a report's HTML to PDF with headless Chromium (the browser whatsapp-web.js already uses)
+ * @param {string} html
+ * @param {string} [executablePath] - system Chromium, bundled one when undefined
+ */
+const toPdf = async (html, executablePath) => {
+  const puppeteer = require("puppeteer");
+  const browser = await puppeteer.launch({
+    headless: true,
+    executablePath,
+    args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage", "--disable-gpu"],
+  });
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: "load", timeout: 30000 });
+    // The web font is optional - a missing network connection only falls back to system fonts
+    await page.evaluate(() => document.fonts.ready).catch(() => {});
+    return Buffer.from(await page.pdf({
+      format: "A4",
+      printBackground: true,
+      margin: { top: "15mm", bottom: "15mm", left: "12mm", right: "12mm" },
+    }));
+  } finally {
+    await browser.close();
+  }
+};
+
+/**
+ * Create the report generator
+ * @param {object} deps
+ * @param {object} deps.messageStore
+ * @param {(accountId: string, chatId: string) => string} deps.getChatName
+ * @param {string} [deps.executablePath] - Chromium used for PDFs
+ */
+const createReportGenerator = ({ messageStore, getChatName, executablePath }) => ({
+  /**
+   * Build a report and write it in the requested formats to REPORTS_DIR
+   * @param {object} args - { from, to, timezoneOffset, accounts: [{id, name}], formats }
+   * @returns {Promise<{files?: {filename: string, path: string, content: Buffer, contentType: string}[], title?: string, error?: string}>}
+   */
+  generate: async ({ from, to, timezoneOffset, accounts, formats }) => {
+    const { report, error } = buildReport({ from, to, timezoneOffset, accounts, messageStore, getChatName });
+    if (error) return { error };
+
+    fs.mkdirSync(REPORTS_DIR, { recursive: true });
+    const stamp = new Date(report.generatedAt).toISOString().replace(/[-:]/g, "").slice(0, 15);
+    const baseName = `analytics_${from === to ? from : `${from}_${to}`}_${stamp}`;
+
+    const files = [];
+    for (const format of FORMATS.filter(f => formats.includes(f))) {
+      const content = format === "xlsx" ? toWorkbook(report) : await toPdf(toHtml(report), executablePath);
+      const filename = `${baseName}.${format}`;
+      const filePath = path.join(REPORTS_DIR, filename);
+      fs.writeFileSync(filePath, content);
+      files.push({ filename, path: filePath, content, contentType: CONTENT_TYPES[format] });
+    }
+    return { files, title: reportTitle(report) };
+  },
+});
+
+/**
+ * Create the report scheduler
+ * @param {object} deps
+ * @param {object} deps.generator - from createReportGenerator
+ * @param {object} deps.mailer - from mailer.js
+ * @param {(schedule: object) => Promise<{id: string, name: string}[]>} deps.getAccounts - accounts a schedule reports on
+ * @param {(schedule: object) => void} deps.onUpdate - called with the schedule after every run
+ */
+const createReportScheduler = ({ generator, mailer, getAccounts, onUpdate }) => {
+  let interval = null;
+  let running = false;
+
+  const runSchedule = async (row) => {
+    const schedule = toSchedule(row);
+    const now = Date.now();
+    let error = null;
+
+    try {
+      const accounts = await getAccounts(schedule);
+      if (accounts.length === 0) throw new Error("No accounts to report on");
+
+      const { from, to } = reportPeriod(schedule, now);
+      const result = await generator.generate({ from, to, timezoneOffset: schedule.timezoneOffset, accounts, formats: schedule.formats });
+      if (result.error) throw new Error(result.error);
+
+      const sent = await mailer.send({
+        to: schedule.recipients,
+        subject: result.title,
+        text: `${result.title}\n${accounts.map(a => a.name).join("، ")}\n\nالتقرير مرفق بهذه الرسالة.`,
+        attachments: result.files.map(f => ({ filename: f.filename, content: f.content, contentType: f.contentType })),
+      });
+      if (!sent.success) throw new Error(sent.error);
+      console.log(`Report ${schedule.id} sent to ${schedule.recipients.join(", ")}`);
+    } catch (e) {
+      error = e.message;
+      console.error(`Report ${schedule.id} failed:`, e.message);
+    }
+
+    // A failed run isn't retried - the next one covers the next period
+    statements.markRun.run({ id: schedule.id, nextRunAt: nextRunAt(schedule, now), error, now });
+    onUpdate(reportStore.get(schedule.id));
+  };
+
+  const processDue = async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (const row of statements.due.all(Date.now())) {
+        await runSchedule(row);
+      }
+    } catch (e) {
+      console.error("Report scheduler error:", e.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    start: () => {
+      if (!statements || interval) return;
+      interval = setInterval(processDue, POLL_INTERVAL);
+      processDue();
+    },
+    stop: () => {
+      clearInterval(interval);
+      interval = null;
+    },
+  };
+};
+
+module.exports = {
+  REPORTS_DIR,
+  FORMATS,
+  parseReportSchedule,
+  reportStore,
+  createReportGenerator,
+  createReportScheduler,
+  isReportStoreReady: () => statements !== null,
+};
@@ -0,0 +1,271 @@
+/**
+ * Auto-Reply Engine for WhatsApp Management Server
+ * Evaluates per-account rules (stored in Convex) against incoming messages: a matching rule
+ * replies with text or media and/or tags the contact. Per-contact cooldowns are kept in the
+ * local SQLite database so a restart doesn't make every rule fire again
+ */
+
+const { db, ensureSchema } = require("./local-db");
+
+const ready = ensureSchema(`
+  CREATE TABLE IF NOT EXISTS auto_reply_cooldowns (
+    rule_id TEXT NOT NULL,
+    chat_id TEXT NOT NULL,
+    account_id TEXT NOT NULL,
+    fired_at INTEGER NOT NULL,
+    PRIMARY KEY (rule_id, chat_id)
+  );
+`);
+
+const TRIGGERS = ["any", "keyword", "regex"];
+const MATCH_MODES = ["contains", "exact", "startsWith"];
+const CHAT_TYPES = ["any", "private", "group"];
+const BUSINESS_HOURS = ["any", "inside", "outside"];
+const RULES_CACHE_TTL = 30 * 1000; // 30 seconds
+const MAX_MATCH_LENGTH = 4096; // Only the start of very long messages is matched
+
+const statements = ready ? {
+  get: db.prepare("SELECT fired_at FROM auto_reply_cooldowns WHERE rule_id = ? AND chat_id = ?"),
+  set: db.prepare(`
+    INSERT INTO auto_reply_cooldowns (rule_id, chat_id, account_id, fired_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (rule_id, chat_id) DO UPDATE SET fired_at = excluded.fired_at
+  `),
+} : null;
+
+// Fallback when the local database isn't available (cooldowns reset on restart)
+const memoryCooldowns = new Map();
+
+const getLastFired = (ruleId, chatId) => {
+  if (!statements) return memoryCooldowns.get(`${ruleId}:${chatId}`) || 0;
+  return statements.get.get(ruleId, chatId)?.fired_at || 0;
+};
+
+const setLastFired = (ruleId, chatId, accountId, timestamp) => {
+  if (!statements) {
+    memoryCooldowns.set(`${ruleId}:${chatId}`, timestamp);
+    return;
+  }
+  statements.set.run(ruleId, chatId, accountId, timestamp);
+};
+
+// Case- and diacritic-insensitive text for keyword matching (Arabic tashkeel, alef/yaa variants)
+const normalizeText = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[\u064B-\u0652\u0640]/g, "")
+    .replace(/[أإآ]/g, "ا")
+    .replace(/ى/g, "ي")
+    .trim();
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+const parseTime = (value) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || "");
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Whether `date` falls inside the schedule's working hours (in the schedule's timezone)
+const isWithinSchedule = (schedule, date = new Date()) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: isValidTimezone(schedule.timezone) ? schedule.timezone : undefined,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const part = (type) => parts.find(p => p.type === type)?.value;
+
+  const day = WEEKDAYS.indexOf(part("weekday"));
+  const minutes = Number(part("hour")) * 60 + Number(part("minute"));
+  const start = parseTime(schedule.start);
+  const end = parseTime(schedule.end);
+
+  if (!schedule.days.includes(day) || start === null || end === null) return false;
+  // Overnight shifts (e.g. 22:00 - 06:00)
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+};
+
+// Compiled regexes by pattern (invalid patterns are cached as null)
+const regexCache = new Map();
+const compilePattern = (pattern) => {
+  if (!regexCache.has(pattern)) {
+    try {
+      regexCache.set(pattern, new RegExp(pattern, "iu"));
+    } catch (e) {
+      regexCache.set(pattern, null);
+    }
+  }
+  return regexCache.get(pattern);
+};
+
+/**
+ * Check whether a rule matches an incoming message
+ * @param {object} rule - rule as returned by autoRepliesDb
+ * @param {object} message - { body, type, isGroup, isFirstContact }
+ */
+const matchesRule = (rule, message, now = new Date()) => {
+  if (rule.messageTypes.length > 0 && !rule.messageTypes.includes(message.type)) return false;
+  if (rule.chatType === "private" && message.isGroup) return false;
+  if (rule.chatType === "group" && !message.isGroup) return false;
+  if (rule.firstContactOnly && !message.isFirstContact) return false;
+
+  if (rule.businessHours !== "any") {
+    const inside = isWithinSchedule(rule.schedule, now);
+    if ((rule.businessHours === "inside") !== inside) return false;
+  }
+
+  const body = (message.body || "").slice(0, MAX_MATCH_LENGTH);
+
+  if (rule.trigger === "keyword") {
+    const text = normalizeText(body);
+    return rule.keywords.some((keyword) => {
+      const target = normalizeText(keyword);
+      if (!target) return false;
+      if (rule.matchMode === "exact") return text === target;
+      if (rule.matchMode === "startsWith") return text.startsWith(target);
+      return text.includes(target);
+    });
+  }
+
+  if (rule.trigger === "regex") {
+    const regex = compilePattern(rule.pattern || "");
+    return regex ? regex.test(body) : false;
+  }
+
+  return true;
+};
+
+/**
+ * Validate rule input from the editor
+ * @returns {string|null} error message (Arabic, shown to the user) or null
+ */
+const validateRule = (rule) => {
+  if (!rule || !rule.name?.trim()) return "اسم القاعدة مطلوب";
+  if (!TRIGGERS.includes(rule.trigger)) return "نوع المطابقة غير صالح";
+  if (rule.trigger === "keyword") {
+    if (!MATCH_MODES.includes(rule.matchMode)) return "طريقة مطابقة الكلمات غير صالحة";
+    if (!Array.isArray(rule.keywords) || !rule.keywords.some(k => k?.trim())) return "أضف كلمة مفتاحية واحدة على الأقل";
+  }
+  if (rule.trigger === "regex" && (!rule.pattern || !compilePattern(rule.pattern))) {
+    return "التعبير النمطي غير صالح";
+  }
+  if (!CHAT_TYPES.includes(rule.chatType)) return "نوع المحادثة غير صالح";
+  if (!BUSINESS_HOURS.includes(rule.businessHours)) return "إعداد ساعات العمل غير صالح";
+  if (rule.businessHours !== "any") {
+    const { schedule } = rule;
+    if (!schedule || !Array.isArray(schedule.days) || schedule.days.length === 0) return "اختر أيام العمل";
+    if (parseTime(schedule.start) === null || parseTime(schedule.end) === null) return "ساعات العمل غير صالحة";
+    if (!isValidTimezone(schedule.timezone)) return "المنطقة الزمنية غير صالحة";
+  }
+  if (rule.replyMediaUrl) {
+    try {
+      const { protocol } = new URL(rule.replyMediaUrl);
+      if (protocol !== "http:" && protocol !== "https:") return "رابط الوسائط غير صالح";
+    } catch (e) {
+      return "رابط الوسائط غير صالح";
+    }
+  }
+  if (!rule.replyText?.trim() && !rule.replyMediaUrl && !(rule.tags || []).some(t => t?.trim())) {
+    return "يجب تحديد رد أو وسائط أو وسم واحد على الأقل";
+  }
+  if (!Number.isFinite(rule.cooldownMinutes) || rule.cooldownMinutes < 0) return "مدة التهدئة غير صالحة";
+  return null;
+};
+
+/**
+ * Create the auto-responder
+ * @param {object} deps
+ * @param {object} deps.autoRepliesDb - from convex-integration.js
+ * @param {object} deps.contactsDb - from convex-integration.js
+ * @param {() => boolean} deps.isConvexReady
+ * @param {(accountId: string, chatId: string, reply: {text?: string, mediaUrl?: string}) => Promise<void>} deps.sendReply
+ */
+const createAutoResponder = ({ autoRepliesDb, contactsDb, isConvexReady, sendReply }) => {
+  // accountId -> { rules, expiresAt }
+  const rulesCache = new Map();
+
+  const getRules = async (accountId) => {
+    const cached = rulesCache.get(accountId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.rules;
+    }
+
+    const rules = await autoRepliesDb.getActiveByAccountId(accountId);
+    rulesCache.set(accountId, { rules, expiresAt: Date.now() + RULES_CACHE_TTL });
+    return rules;
+  };
+
+  const runActions = async (rule, accountId, chatId) => {
+    if (rule.replyText?.trim() || rule.replyMediaUrl) {
+      await sendReply(accountId, chatId, { text: rule.replyText, mediaUrl: rule.replyMediaUrl });
+    }
+    if (rule.tags.length > 0) {
+      await contactsDb.addTags(accountId, chatId, rule.tags);
+    }
+  };
+
+  /**
+   * Evaluate an incoming message against the account's rules (in priority order)
+   * Never throws - problems are logged
+   * @param {string} accountId
+   * @param {object} message - { chatId, body, type, isGroup, isFirstContact }
+   */
+  const handleMessage = async (accountId, message) => {
+    if (!isConvexReady()) return;
+
+    try {
+      const rules = await getRules(accountId);
+      const now = Date.now();
+
+      for (const rule of rules) {
+        if (!matchesRule(rule, message, new Date(now))) continue;
+
+        const cooldown = rule.cooldownMinutes * 60 * 1000;
+        const inCooldown = cooldown > 0 && now - getLastFired(rule.id, message.chatId) < cooldown;
+
+        if (!inCooldown) {
+          // Recorded before sending, so a burst of messages only fires the rule once
+          setLastFired(rule.id, message.chatId, accountId, now);
+          console.log(`Auto-reply rule "${rule.name}" matched message from ${message.chatId}`);
+          try {
+            await runActions(rule, accountId, message.chatId);
+          } catch (e) {
+            console.error(`Auto-reply rule "${rule.name}" failed:`, e.message);
+          }
+        }
+
+        if (rule.stopProcessing) break;
+      }
+    } catch (e) {
+      console.error("Error evaluating auto-reply rules:", e.message);
+    }
+  };
+
+  return {
+    handleMessage,
+    // Drop cached rules (after they're edited)
+    invalidate: (accountId) => {
+      if (accountId) {
+        rulesCache.delete(accountId);
+      } else {
+        rulesCache.clear();
+      }
+    },
+  };
+};
+
+module.exports = {
+  createAutoResponder,
+  validateRule,
+  matchesRule,
+  isWithinSchedule,
+};
@@ -0,0 +1,410 @@
+/**
+ * Broadcast Campaigns for WhatsApp Management Server
+ * Sends a templated message to every row of an uploaded contact sheet, one at a time,
+ * with random delays and a per-account daily cap. State lives in the local SQLite
+ * database so running campaigns continue after a server restart
+ */
+
+const crypto = require("crypto");
+const { db, ensureSchema } = require("./local-db");
+
+const ready = ensureSchema(`
+  CREATE TABLE IF NOT EXISTS campaigns (
+    id TEXT PRIMARY KEY,
+    account_id TEXT NOT NULL,
+    user_id TEXT,
+    name TEXT NOT NULL,
+    template TEXT NOT NULL,
+    status TEXT NOT NULL,
+    min_delay INTEGER NOT NULL,
+    max_delay INTEGER NOT NULL,
+    daily_cap INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    started_at INTEGER,
+    completed_at INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS campaign_recipients (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    campaign_id TEXT NOT NULL,
+    phone TEXT NOT NULL,
+    chat_id TEXT,
+    variables TEXT NOT NULL,
+    message TEXT NOT NULL,
+    status TEXT NOT NULL,
+    message_id TEXT,
+    error TEXT,
+    sent_at INTEGER,
+    updated_at INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_campaign_recipients_status ON campaign_recipients (campaign_id, status);
+  CREATE INDEX IF NOT EXISTS idx_campaign_recipients_message ON campaign_recipients (message_id);
+  CREATE INDEX IF NOT EXISTS idx_campaign_recipients_sent ON campaign_recipients (sent_at);
+`);
+
+// Recipient statuses in delivery order - acks only ever move a recipient forward
+const RECIPIENT_STATUSES = ["queued", "sent", "delivered", "read", "failed"];
+const ACK_STATUSES = { 1: "sent", 2: "delivered", 3: "read", 4: "read" };
+
+const DEFAULTS = {
+  minDelay: 8000, // 8 seconds
+  maxDelay: 20000, // 20 seconds
+  dailyCap: 200,
+};
+const IDLE_POLL_INTERVAL = 5000;
+
+const statements = ready ? {
+  insertCampaign: db.prepare(`
+    INSERT INTO campaigns (id, account_id, user_id, name, template, status, min_delay, max_delay, daily_cap, created_at, updated_at)
+    VALUES (@id, @accountId, @userId, @name, @template, @status, @minDelay, @maxDelay, @dailyCap, @now, @now)
+  `),
+  insertRecipient: db.prepare(`
+    INSERT INTO campaign_recipients (campaign_id, phone, chat_id, variables, message, status, error, updated_at)
+    VALUES (@campaignId, @phone, @chatId, @variables, @message, @status, @error, @now)
+  `),
+  getCampaign: db.prepare("SELECT * FROM campaigns WHERE id = ?"),
+  getCampaigns: db.prepare("SELECT * FROM campaigns ORDER BY created_at DESC"),
+  getRunning: db.prepare("SELECT * FROM campaigns WHERE status = 'running' ORDER BY started_at ASC"),
+  setStatus: db.prepare("UPDATE campaigns SET status = ?, updated_at = ? WHERE id = ?"),
+  start: db.prepare(
+    "UPDATE campaigns SET status = 'running', started_at = COALESCE(started_at, @now), updated_at = @now WHERE id = @id"
+  ),
+  complete: db.prepare(
+    "UPDATE campaigns SET status = 'completed', completed_at = @now, updated_at = @now WHERE id = @id"
+  ),
+  deleteCampaign: db.prepare("DELETE FROM campaigns WHERE id = ?"),
+  deleteRecipients: db.prepare("DELETE FROM campaign_recipients WHERE campaign_id = ?"),
+  counts: db.prepare(
+    "SELECT status, COUNT(*) AS count FROM campaign_recipients WHERE campaign_id = ? GROUP BY status"
+  ),
+  nextQueued: db.prepare(
+    "SELECT * FROM campaign_recipients WHERE campaign_id = ? AND status = 'queued' ORDER BY id ASC LIMIT 1"
+  ),
+  getRecipients: db.prepare(
+    "SELECT * FROM campaign_recipients WHERE campaign_id = ? ORDER BY id ASC LIMIT ? OFFSET ?"
+  ),
+  markSent: db.prepare(
+    "UPDATE campaign_recipients SET status = 'sent', message_id = ?, sent_at = ?, updated_at = ? WHERE id = ?"
+  ),
+  markFailed: db.prepare(
+    "UPDATE campaign_recipients SET status = 'failed', error = ?, updated_at = ? WHERE id = ?"
+  ),
+  getByMessageId: db.prepare("SELECT * FROM campaign_recipients WHERE message_id = ?"),
+  setRecipientStatus: db.prepare("UPDATE campaign_recipients SET status = ?, updated_at = ? WHERE id = ?"),
+  countSentSince: db.prepare(`
+    SELECT COUNT(*) AS count FROM campaign_recipients r
+    JOIN campaigns c ON c.id = r.campaign_id
+    WHERE c.account_id = ? AND r.sent_at >= ?
+  `),
+} : null;
+
+/**
+ * Render a template: {{column}} is replaced with the row's value (column names are case-insensitive)
+ * @param {string} template
+ * @param {object} variables - row of the contact sheet
+ */
+const renderTemplate = (template, variables) => {
+  const lookup = {};
+  for (const [key, value] of Object.entries(variables || {})) {
+    lookup[String(key).trim().toLowerCase()] = value == null ? "" : String(value);
+  }
+  return template.replace(/\{\{\s*([^}]+?)\s*\}\}/g, (_, key) => lookup[key.toLowerCase()] ?? "");
+};
+
+// Digits-only phone number, or null if it can't be a WhatsApp number
+const normalizePhone = (value) => {
+  const digits = String(value ?? "").replace(/\D/g, "").replace(/^00/, "");
+  return digits.length >= 8 && digits.length <= 15 ? digits : null;
+};
+
+const startOfToday = () => {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+// Row -> campaign summary with recipient counts
+const toSummary = (row) => {
+  const counts = { total: 0 };
+  for (const status of RECIPIENT_STATUSES) counts[status] = 0;
+  for (const { status, count } of statements.counts.all(row.id)) {
+    counts[status] = count;
+    counts.total += count;
+  }
+
+  return {
+    id: row.id,
+    accountId: row.account_id,
+    userId: row.user_id,
+    name: row.name,
+    template: row.template,
+    status: row.status,
+    minDelay: row.min_delay,
+    maxDelay: row.max_delay,
+    dailyCap: row.daily_cap,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    counts,
+  };
+};
+
+const campaignStore = {
+  /**
+   * Create a campaign and queue its recipients
+   * @returns {object|null} campaign summary
+   */
+  create({ accountId, userId, name, template, phoneColumn, rows, minDelay, maxDelay, dailyCap, start }) {
+    if (!statements) return null;
+
+    const id = `campaign_${crypto.randomUUID()}`;
+    const now = Date.now();
+    const seen = new Set();
+
+    db.transaction(() => {
+      statements.insertCampaign.run({
+        id,
+        accountId,
+        userId: userId || null,
+        name,
+        template,
+        status: start ? "running" : "paused",
+        minDelay,
+        maxDelay,
+        dailyCap,
+        now,
+      });
+
+      for (const row of rows) {
+        const phone = normalizePhone(row[phoneColumn]);
+        const duplicate = phone && seen.has(phone);
+        if (phone) seen.add(phone);
+
+        statements.insertRecipient.run({
+          campaignId: id,
+          phone: phone || String(row[phoneColumn] ?? ""),
+          chatId: phone ? `${phone}@c.us` : null,
+          variables: JSON.stringify(row),
+          message: renderTemplate(template, row),
+          status: phone && !duplicate ? "queued" : "failed",
+          error: !phone ? "رقم غير صالح" : duplicate ? "رقم مكرر" : null,
+          now,
+        });
+      }
+
+      if (start) statements.start.run({ id, now });
+    })();
+
+    return toSummary(statements.getCampaign.get(id));
+  },
+
+  get(id) {
+    if (!statements) return null;
+    const row = statements.getCampaign.get(id);
+    return row ? toSummary(row) : null;
+  },
+
+  list() {
+    if (!statements) return [];
+    return statements.getCampaigns.all().map(toSummary);
+  },
+
+  getRecipients(campaignId, limit = 500, offset = 0) {
+    if (!statements) return [];
+    return statements.getRecipients.all(campaignId, limit, offset).map(r => ({
+      id: r.id,
+      phone: r.phone,
+      message: r.message,
+      status: r.status,
+      messageId: r.message_id,
+      error: r.error,
+      sentAt: r.sent_at,
+      updatedAt: r.updated_at,
+    }));
+  },
+
+  setStatus(id, status) {
+    if (!statements) return;
+    if (status === "running") {
+      statements.start.run({ id, now: Date.now() });
+    } else {
+      statements.setStatus.run(status, Date.now(), id);
+    }
+  },
+
+  remove(id) {
+    if (!statements) return;
+    db.transaction(() => {
+      statements.deleteRecipients.run(id);
+      statements.deleteCampaign.run(id);
+    })();
+  },
+
+  /**
+   * Apply a message_ack to the campaign recipient that owns the message
+   * @returns {string|null} campaign id if a recipient changed
+   */
+  applyAck(messageId, ack) {
+    if (!statements || !messageId) return null;
+    const recipient = statements.getByMessageId.get(messageId);
+    if (!recipient || recipient.status === "failed") return null;
+
+    const status = ack === -1 ? "failed" : ACK_STATUSES[ack];
+    if (!status) return null;
+    if (status !== "failed" &&
+        RECIPIENT_STATUSES.indexOf(status) <= RECIPIENT_STATUSES.indexOf(recipient.status)) {
+      return null;
+    }
+
+    statements.setRecipientStatus.run(status, Date.now(), recipient.id);
+    return recipient.campaign_id;
+  },
+};
+
+/**
+ * Create the campaign runner
+ * Each campaign is sent through its own account; campaigns of disconnected accounts wait
+ * @param {object} deps
+ * @param {(accountId: string) => boolean} deps.isAccountReady - whether the account's client can send now
+ * @param {(args: {accountId: string, chatId: string, message: string}) => Promise<object>} deps.sendMessage - sendMessageWithRetry
+ * @param {(campaign: {accountId: string, userId: string|null}) => Promise<boolean|null>} deps.canRun - whether the
+ *   campaign's creator may still send through its account (null when that can't be checked now)
+ * @param {(campaign: object) => void} deps.onUpdate - called with the campaign summary after every change
+ */
+const createCampaignRunner = ({ isAccountReady, sendMessage, canRun, onUpdate }) => {
+  let timer = null;
+  let stopped = true;
+  let busy = false;
+  // Campaign id -> reason it's waiting (e.g. daily cap), reported with updates
+  const waiting = new Map();
+
+  const schedule = (delay) => {
+    if (stopped) return;
+    clearTimeout(timer);
+    timer = setTimeout(tick, delay);
+  };
+
+  const emit = (campaignId) => {
+    const campaign = campaignStore.get(campaignId);
+    if (campaign) {
+      onUpdate({ ...campaign, waitingReason: waiting.get(campaignId) || null });
+    }
+  };
+
+  // Oldest running campaign whose account is connected and under its daily cap
+  const findRunnable = () => {
+    const today = startOfToday();
+    for (const row of statements.getRunning.all()) {
+      if (!isAccountReady(row.account_id)) continue;
+
+      // Daily cap is shared by all campaigns of the account
+      const sentToday = statements.countSentSince.get(row.account_id, today).count;
+      if (sentToday >= row.daily_cap) {
+        if (!waiting.has(row.id)) {
+          console.log(`Campaign ${row.id} reached the daily cap (${row.daily_cap}), waiting for tomorrow`);
+          waiting.set(row.id, "daily_cap");
+          emit(row.id);
+        }
+        continue;
+      }
+      if (waiting.delete(row.id)) emit(row.id);
+      return row;
+    }
+    return null;
+  };
+
+  // Send the next message of the oldest runnable campaign (every path schedules the next tick)
+  const sendNext = async () => {
+    const row = findRunnable();
+    if (!row) {
+      schedule(IDLE_POLL_INTERVAL);
+      return;
+    }
+
+    // Paused once its creator was disabled or lost access to the account; waits while that can't be checked
+    const allowed = await canRun({ accountId: row.account_id, userId: row.user_id });
+    if (allowed === null) {
+      schedule(IDLE_POLL_INTERVAL);
+      return;
+    }
+    if (!allowed) {
+      statements.setStatus.run("paused", Date.now(), row.id);
+      console.log(`Campaign ${row.id} paused: its creator may no longer use account ${row.account_id}`);
+      emit(row.id);
+      schedule(0);
+      return;
+    }
+
+    const recipient = statements.nextQueued.get(row.id);
+    if (!recipient) {
+      statements.complete.run({ id: row.id, now: Date.now() });
+      console.log(`Campaign ${row.id} completed`);
+      emit(row.id);
+      schedule(0);
+      return;
+    }
+
+    const result = await sendMessage({
+      accountId: row.account_id,
+      chatId: recipient.chat_id,
+      message: recipient.message,
+    });
+    const now = Date.now();
+
+    // The campaign may have been paused or deleted while sending
+    const current = statements.getCampaign.get(row.id);
+    if (result.success) {
+      statements.markSent.run(result.messageId, now, now, recipient.id);
+    } else if (current) {
+      statements.markFailed.run(result.message || "فشل الإرسال", now, recipient.id);
+    }
+    if (current) emit(row.id);
+
+    const delay = row.min_delay + Math.random() * Math.max(0, row.max_delay - row.min_delay);
+    schedule(delay);
+  };
+
+  const tick = async () => {
+    // Never send two messages at once (wake() can fire while a send is in progress)
+    if (busy) return;
+    busy = true;
+    try {
+      await sendNext();
+    } catch (e) {
+      console.error("Campaign runner error:", e.message);
+      schedule(IDLE_POLL_INTERVAL);
+    } finally {
+      busy = false;
+    }
+  };
+
+  return {
+    // Start sending; campaigns left "running" before a restart resume here
+    start: () => {
+      if (!statements || !stopped) return;
+      stopped = false;
+      schedule(IDLE_POLL_INTERVAL);
+    },
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+    },
+    // Re-check right away (after a campaign is created or resumed)
+    wake: () => schedule(0),
+    // Forward message_ack events to the campaign recipients
+    handleAck: (messageId, ack) => {
+      const campaignId = campaignStore.applyAck(messageId, ack);
+      if (campaignId) emit(campaignId);
+    },
+  };
+};
+
+module.exports = {
+  DEFAULTS,
+  campaignStore,
+  createCampaignRunner,
+  renderTemplate,
+  isCampaignStoreReady: () => statements !== null,
+};
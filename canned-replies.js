@@ -0,0 +1,181 @@
+/**
+ * Canned Replies for WhatsApp Management Server
+ * Saved replies agents insert by typing /shortcut. Validates the reply editor, fills
+ * in the {{variables}} of a reply for the chat it's inserted in and downloads its media when the
+ * message is sent (public addresses only: the server must not be a way into its own network)
+ */
+
+const dns = require("dns");
+const net = require("net");
+const http = require("http");
+const https = require("https");
+const path = require("path");
+
+const MAX_SHORTCUT_LENGTH = 30;
+const MAX_TITLE_LENGTH = 100;
+const MAX_BODY_LENGTH = 4096; // WhatsApp message limit
+const MAX_MEDIA_SIZE = 16 * 1024 * 1024; // 16 MB, WhatsApp's limit for images and videos
+const MEDIA_TIMEOUT = 30 * 1000; // 30 seconds
+const MAX_MEDIA_REDIRECTS = 3;
+
+// Loopback, private, link-local (cloud metadata), shared and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128], ["::1", 128], ["::ffff:0:0", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6"));
+
+const isBlockedAddress = (address) => {
+  // IPv4 written as IPv6 ("::ffff:127.0.0.1") is checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], "ipv4");
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+// Hostnames that never reach the internet, refused without a lookup
+const isLocalHostname = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (net.isIP(host)) return isBlockedAddress(host);
+  return host === "localhost" || host.endsWith(".localhost") || host.endsWith(".local") || host.endsWith(".internal");
+};
+
+// dns.lookup for the media requests: refuses names that resolve to a blocked address, and being
+// the lookup of the connection itself, the address checked is the one connected to
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+    if (addresses.some(isBlockedAddress)) {
+      return callback(Object.assign(new Error(`${hostname} is not a public address`), { code: "EBLOCKED" }));
+    }
+    callback(null, address, family);
+  });
+};
+
+/**
+ * Validate a reply from the editor
+ * @param {object} input - { shortcut, title, body, mediaUrl }
+ * @param {object[]} replies - replies the shortcut must not clash with (cannedRepliesDb.getForAccount)
+ * @param {string} [replyId] - reply being edited
+ * @returns {{reply?: {shortcut: string, title: string, body: string, mediaUrl: string|null}, error?: string}}
+ */
+const parseCannedReply = ({ shortcut, title, body, mediaUrl } = {}, replies = [], replyId = null) => {
+  const cleanShortcut = typeof shortcut === "string" ? shortcut.trim().replace(/^\//, "").toLowerCase() : "";
+  if (!cleanShortcut) return { error: "الاختصار مطلوب" };
+  if (!/^[\p{L}\p{N}_-]+$/u.test(cleanShortcut)) return { error: "الاختصار يجب أن يكون كلمة واحدة بدون مسافات" };
+  if (cleanShortcut.length > MAX_SHORTCUT_LENGTH) return { error: "الاختصار طويل جداً" };
+  if (replies.some(r => r.shortcut === cleanShortcut && r.id !== replyId)) {
+    return { error: `الاختصار /${cleanShortcut} مستخدم بالفعل` };
+  }
+
+  const cleanTitle = typeof title === "string" ? title.trim() : "";
+  if (cleanTitle.length > MAX_TITLE_LENGTH) return { error: "العنوان طويل جداً" };
+
+  const text = typeof body === "string" ? body.trim() : "";
+  const url = typeof mediaUrl === "string" ? mediaUrl.trim() : "";
+  if (!text && !url) return { error: "اكتب نص الرد أو أضف رابط وسائط" };
+  if (text.length > MAX_BODY_LENGTH) return { error: "نص الرد طويل جداً" };
+  if (url) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      if (protocol !== "http:" && protocol !== "https:") return { error: "رابط الوسائط غير صالح" };
+      if (isLocalHostname(hostname)) return { error: "رابط الوسائط يجب أن يكون عنواناً عاماً على الإنترنت" };
+    } catch (e) {
+      return { error: "رابط الوسائط غير صالح" };
+    }
+  }
+
+  return { reply: { shortcut: cleanShortcut, title: cleanTitle || cleanShortcut, body: text, mediaUrl: url || null } };
+};
+
+/**
+ * Fill in a reply's variables; unknown {{variables}} are left as typed
+ * @param {string} body
+ * @param {object} context - { contactName, contactPhone, agentName, accountName, now }
+ */
+const renderCannedReply = (body, { contactName, contactPhone, agentName, accountName, now = new Date() } = {}) => {
+  const values = {
+    "contact.name": contactName || contactPhone || "",
+    "contact.phone": contactPhone || "",
+    "agent.name": agentName || "",
+    "account.name": accountName || "",
+    "date": now.toLocaleDateString("ar-EG", { year: "numeric", month: "long", day: "numeric" }),
+    "time": now.toLocaleTimeString("ar-EG", { hour: "2-digit", minute: "2-digit" }),
+  };
+  return body.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => (name in values ? values[name] : match));
+};
+
+// Name of the file a media URL points at ("/files/price%20list.pdf" -> "price list.pdf")
+const mediaFilename = (pathname) => {
+  try {
+    return path.posix.basename(decodeURIComponent(pathname)) || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Download a reply's media for sending, from public addresses only (redirects included)
+ * @param {string} url
+ * @returns {Promise<{data: string, mimetype: string, filename: string|null}>} base64 data, like MessageMedia
+ */
+const fetchReplyMedia = (url, redirects = 0) => new Promise((resolve, reject) => {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (e) {
+    reject(new Error("Invalid media URL"));
+    return;
+  }
+  if ((target.protocol !== "http:" && target.protocol !== "https:") || isLocalHostname(target.hostname)) {
+    reject(new Error(`Media URL is not a public address: ${target.hostname}`));
+    return;
+  }
+
+  const client = target.protocol === "https:" ? https : http;
+  const req = client.get(target, { lookup: publicLookup, timeout: MEDIA_TIMEOUT }, (res) => {
+    if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+      res.resume();
+      if (redirects >= MAX_MEDIA_REDIRECTS) {
+        reject(new Error("Too many redirects"));
+        return;
+      }
+      fetchReplyMedia(new URL(res.headers.location, target).href, redirects + 1).then(resolve, reject);
+      return;
+    }
+    if (res.statusCode !== 200) {
+      res.resume();
+      reject(new Error(`Media request failed with status ${res.statusCode}`));
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    res.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_MEDIA_SIZE) {
+        req.destroy(new Error("Media is too large"));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    res.on("end", () => resolve({
+      data: Buffer.concat(chunks).toString("base64"),
+      mimetype: (res.headers["content-type"] || "application/octet-stream").split(";")[0].trim(),
+      filename: mediaFilename(target.pathname),
+    }));
+    res.on("error", reject);
+  });
+  req.on("timeout", () => req.destroy(new Error("Media request timed out")));
+  req.on("error", reject);
+});
+
+module.exports = {
+  parseCannedReply,
+  renderCannedReply,
+  fetchReplyMedia,
+};
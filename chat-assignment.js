@@ -0,0 +1,121 @@
+/**
+ * Chat Assignment for WhatsApp Management Server
+ * Chats are assigned to team members (Convex users) by hand, or automatically when an
+ * unassigned private chat sends a message - round-robin or to the least-loaded agent.
+ * Assignments and their history are stored in Convex
+ */
+
+const ASSIGNMENT_MODES = ["manual", "round_robin", "least_loaded"];
+const SETTINGS_CACHE_TTL = 30 * 1000; // 30 seconds
+
+/**
+ * Validate assignment settings from the editor
+ * @returns {string|null} error message (Arabic, shown to the user) or null
+ */
+const validateSettings = ({ mode, agentIds } = {}) => {
+  if (!ASSIGNMENT_MODES.includes(mode)) return "طريقة الإسناد غير صالحة";
+  if (!Array.isArray(agentIds) || agentIds.some(id => typeof id !== "string")) return "قائمة الموظفين غير صالحة";
+  if (mode !== "manual" && agentIds.length === 0) return "اختر موظفاً واحداً على الأقل للإسناد التلقائي";
+  return null;
+};
+
+/**
+ * Create the chat assigner
+ * @param {object} deps
+ * @param {object} deps.assignmentsDb - from convex-integration.js
+ * @param {() => boolean} deps.isConvexReady
+ * @param {(change: {accountId: string, chatId: string, assigneeId: string|null, previousAssigneeId: string|null, byUserId: string|null, reason: string}) => void} deps.onChange
+ */
+const createChatAssigner = ({ assignmentsDb, isConvexReady, onChange }) => {
+  // accountId -> { settings, expiresAt }
+  const settingsCache = new Map();
+  // "accountId:chatId" of chats known to be assigned (skips the Convex round trip)
+  const assignedChats = new Set();
+
+  const getSettings = async (accountId) => {
+    const cached = settingsCache.get(accountId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.settings;
+    }
+
+    const settings = await assignmentsDb.getSettings(accountId);
+    settingsCache.set(accountId, { settings, expiresAt: Date.now() + SETTINGS_CACHE_TTL });
+    return settings;
+  };
+
+  /**
+   * Assign an incoming message's chat if it's unassigned and the account has an assignment rule
+   * Never throws - problems are logged
+   * @param {string} accountId
+   * @param {object} message - { chatId, isGroup }
+   */
+  const handleMessage = async (accountId, message) => {
+    if (!isConvexReady() || message.isGroup) return;
+
+    const key = `${accountId}:${message.chatId}`;
+    if (assignedChats.has(key)) return;
+
+    try {
+      const settings = await getSettings(accountId);
+      if (!settings || settings.mode === "manual" || settings.agentIds.length === 0) return;
+
+      const result = await assignmentsDb.autoAssign(accountId, message.chatId);
+      if (!result) return;
+      assignedChats.add(key);
+      if (result.reason) {
+        console.log(`Chat ${message.chatId} assigned to ${result.assigneeId} (${result.reason})`);
+        onChange({
+          accountId,
+          chatId: message.chatId,
+          assigneeId: result.assigneeId,
+          previousAssigneeId: null,
+          byUserId: null,
+          reason: result.reason,
+        });
+      }
+    } catch (e) {
+      console.error("Error auto-assigning chat:", e.message);
+    }
+  };
+
+  /**
+   * Assign a chat by hand
+   * @param {string|null} assigneeId - null unassigns the chat
+   * @returns {Promise<boolean>} false when the assignment failed
+   */
+  const assign = async (accountId, chatId, assigneeId, byUserId) => {
+    const result = await assignmentsDb.assign(accountId, chatId, assigneeId, byUserId);
+    if (!result) return false;
+
+    const key = `${accountId}:${chatId}`;
+    if (assigneeId) {
+      assignedChats.add(key);
+    } else {
+      assignedChats.delete(key);
+    }
+
+    if (result.changed) {
+      onChange({
+        accountId,
+        chatId,
+        assigneeId: assigneeId || null,
+        previousAssigneeId: result.previousAssigneeId,
+        byUserId,
+        reason: "manual",
+      });
+    }
+    return true;
+  };
+
+  return {
+    handleMessage,
+    assign,
+    // Drop the cached settings (after they're edited)
+    invalidate: (accountId) => settingsCache.delete(accountId),
+  };
+};
+
+module.exports = {
+  createChatAssigner,
+  validateSettings,
+};
@@ -0,0 +1,114 @@
+/**
+ * Chat Presence for WhatsApp Management Server
+ * Tracks which dashboard users have a chat open, who is typing in it and who last sent
+ * to it, so agents working the same chat can see each other. Kept in memory only -
+ * presence is rebuilt as soon as the dashboards reconnect
+ */
+
+const TYPING_TIMEOUT = 8 * 1000; // Typing stops counting if the client goes quiet
+const LAST_SENT_TTL = 10 * 60 * 1000; // Older sends are forgotten
+
+/**
+ * Create the presence tracker
+ * @param {object} deps
+ * @param {(accountId: string, chatId: string) => void} deps.onChange - viewers or typing state of a chat changed
+ */
+const createChatPresence = ({ onChange }) => {
+  // socketId -> { accountId, chatId, userId, name, isTyping, typingTimer }
+  const viewers = new Map();
+  // "accountId:chatId" -> { userId, name, at }
+  const lastSent = new Map();
+
+  const notify = (viewer) => onChange(viewer.accountId, viewer.chatId);
+
+  const stopTyping = (viewer) => {
+    clearTimeout(viewer.typingTimer);
+    viewer.typingTimer = null;
+    viewer.isTyping = false;
+  };
+
+  /**
+   * Socket stopped viewing its chat (closed it, opened another one, or disconnected)
+   */
+  const leave = (socketId) => {
+    const viewer = viewers.get(socketId);
+    if (!viewer) return;
+    stopTyping(viewer);
+    viewers.delete(socketId);
+    notify(viewer);
+  };
+
+  /**
+   * Socket opened a chat
+   * @param {object} viewer - { accountId, chatId, userId, name }
+   */
+  const view = (socketId, { accountId, chatId, userId, name }) => {
+    const current = viewers.get(socketId);
+    if (current && current.accountId === accountId && current.chatId === chatId) return;
+    leave(socketId);
+    const viewer = { accountId, chatId, userId, name, isTyping: false, typingTimer: null };
+    viewers.set(socketId, viewer);
+    notify(viewer);
+  };
+
+  const setTyping = (socketId, isTyping) => {
+    const viewer = viewers.get(socketId);
+    if (!viewer) return;
+
+    const changed = viewer.isTyping !== isTyping;
+    stopTyping(viewer);
+    if (isTyping) {
+      viewer.isTyping = true;
+      viewer.typingTimer = setTimeout(() => {
+        stopTyping(viewer);
+        notify(viewer);
+      }, TYPING_TIMEOUT);
+    }
+    if (changed) notify(viewer);
+  };
+
+  /**
+   * Users viewing a chat (one entry per user, typing if any of their tabs is)
+   * @returns {{userId: string, name: string, isTyping: boolean}[]}
+   */
+  const getViewers = (accountId, chatId) => {
+    const byUser = new Map();
+    for (const viewer of viewers.values()) {
+      if (viewer.accountId !== accountId || viewer.chatId !== chatId) continue;
+      const existing = byUser.get(viewer.userId);
+      byUser.set(viewer.userId, {
+        userId: viewer.userId,
+        name: viewer.name,
+        isTyping: viewer.isTyping || !!existing?.isTyping,
+      });
+    }
+    return [...byUser.values()];
+  };
+
+  // A dashboard user sent a message to a chat
+  const recordSend = (accountId, chatId, { userId, name }) => {
+    const send = { userId, name, at: Date.now() };
+    lastSent.set(`${accountId}:${chatId}`, send);
+    return send;
+  };
+
+  const getLastSent = (accountId, chatId) => {
+    const send = lastSent.get(`${accountId}:${chatId}`);
+    if (send && Date.now() - send.at > LAST_SENT_TTL) {
+      lastSent.delete(`${accountId}:${chatId}`);
+      return null;
+    }
+    return send || null;
+  };
+
+  return {
+    view,
+    leave,
+    setTyping,
+    getViewers,
+    recordSend,
+    getLastSent,
+  };
+};
+
+module.exports = { createChatPresence };
@@ -0,0 +1,490 @@
+/**
+ * Chatbot Flows for WhatsApp Management Server
+ * Menu-driven conversations defined as JSON (stored in Convex): numbered menus, questions whose
+ * answers are kept in variables, branching and a handoff step that flags the chat for a human.
+ * Per-chat conversation state lives in the local SQLite database so it survives restarts
+ *
+ * Definition format (version 1):
+ * {
+ *   "version": 1,
+ *   "trigger": { "keywords": ["menu", "القائمة"], "firstContact": true, "anyMessage": false },
+ *   "start": "welcome",
+ *   "timeoutMinutes": 60,
+ *   "steps": {
+ *     "welcome": { "type": "menu", "text": "أهلاً {{contactName}}", "variable": "topic",
+ *                  "options": [{ "label": "الأسعار", "next": "prices" }, { "label": "موظف", "next": "agent" }] },
+ *     "prices":  { "type": "message", "text": "...", "next": "ask_city" },
+ *     "ask_city": { "type": "question", "text": "مدينتك؟", "variable": "city", "validate": "text", "next": "route" },
+ *     "route":   { "type": "condition", "variable": "city", "cases": [{ "equals": "الرياض", "next": "agent" }], "default": "end" },
+ *     "agent":   { "type": "handoff", "text": "سيتواصل معك أحد موظفينا قريباً" },
+ *     "end":     { "type": "end", "text": "شكراً لك!" }
+ *   }
+ * }
+ */
+
+const { db, ensureSchema } = require("./local-db");
+
+const ready = ensureSchema(`
+  CREATE TABLE IF NOT EXISTS flow_sessions (
+    account_id TEXT NOT NULL,
+    chat_id TEXT NOT NULL,
+    flow_id TEXT NOT NULL,
+    flow_name TEXT NOT NULL,
+    step TEXT,
+    variables TEXT NOT NULL DEFAULT '{}',
+    status TEXT NOT NULL DEFAULT 'active',
+    started_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (account_id, chat_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_flow_sessions_status ON flow_sessions (account_id, status);
+`);
+
+const FLOW_VERSION = 1;
+const STEP_TYPES = ["message", "menu", "question", "condition", "handoff", "end"];
+const VALIDATORS = {
+  text: (value) => value.length > 0,
+  number: (value) => /^-?\d+(\.\d+)?$/.test(value),
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  phone: (value) => /^\+?\d{7,15}$/.test(value.replace(/[\s-]/g, "")),
+};
+const DEFAULT_TIMEOUT_MINUTES = 60;
+const MAX_STEPS_PER_MESSAGE = 25; // Guards against condition/message loops in a definition
+const FLOWS_CACHE_TTL = 30 * 1000; // 30 seconds
+const DEFAULT_INVALID_CHOICE = "يرجى اختيار رقم من القائمة";
+const DEFAULT_INVALID_ANSWER = "الإجابة غير صالحة، يرجى المحاولة مرة أخرى";
+
+const statements = ready ? {
+  get: db.prepare("SELECT * FROM flow_sessions WHERE account_id = ? AND chat_id = ?"),
+  save: db.prepare(`
+    INSERT INTO flow_sessions (account_id, chat_id, flow_id, flow_name, step, variables, status, started_at, updated_at)
+    VALUES (@accountId, @chatId, @flowId, @flowName, @step, @variables, @status, @startedAt, @now)
+    ON CONFLICT (account_id, chat_id) DO UPDATE SET
+      flow_id = excluded.flow_id,
+      flow_name = excluded.flow_name,
+      step = excluded.step,
+      variables = excluded.variables,
+      status = excluded.status,
+      started_at = excluded.started_at,
+      updated_at = excluded.updated_at
+  `),
+  setStatus: db.prepare("UPDATE flow_sessions SET status = ?, updated_at = ? WHERE account_id = ? AND chat_id = ?"),
+  listHandoffs: db.prepare(`
+    SELECT * FROM flow_sessions WHERE account_id = ? AND status = 'handoff' ORDER BY updated_at DESC
+  `),
+} : null;
+
+// Arabic-Indic and Persian digits -> ASCII digits
+const toAsciiDigits = (text) =>
+  String(text || "")
+    .replace(/[\u0660-\u0669]/g, (d) => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[\u06F0-\u06F9]/g, (d) => String(d.charCodeAt(0) - 0x06F0));
+
+// Case- and diacritic-insensitive text with ASCII digits
+const normalizeInput = (text) =>
+  toAsciiDigits(text)
+    .toLowerCase()
+    .replace(/[\u064B-\u0652\u0640]/g, "")
+    .replace(/[أإآ]/g, "ا")
+    .replace(/ى/g, "ي")
+    .trim();
+
+// {{variable}} -> value
+const renderText = (text, variables) =>
+  String(text || "").replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, key) => variables[key] ?? "");
+
+const renderMenu = (step, variables) =>
+  [renderText(step.text, variables), "", ...step.options.map((option, i) => `${i + 1}. ${renderText(option.label, variables)}`)]
+    .join("\n")
+    .trim();
+
+/**
+ * Parse and validate a flow definition (JSON string or object)
+ * @returns {{definition: object} | {error: string}} error messages are Arabic (shown in the editor)
+ */
+const parseFlowDefinition = (input) => {
+  let definition = input;
+  if (typeof input === "string") {
+    try {
+      definition = JSON.parse(input);
+    } catch (e) {
+      return { error: `JSON غير صالح: ${e.message}` };
+    }
+  }
+
+  if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+    return { error: "تعريف المسار يجب أن يكون كائن JSON" };
+  }
+  if (definition.version !== undefined && definition.version !== FLOW_VERSION) {
+    return { error: `إصدار غير مدعوم: ${definition.version}` };
+  }
+
+  const steps = definition.steps;
+  if (!steps || typeof steps !== "object" || Object.keys(steps).length === 0) {
+    return { error: "يجب أن يحتوي المسار على خطوة واحدة على الأقل (steps)" };
+  }
+  if (!steps[definition.start]) {
+    return { error: "خطوة البداية (start) غير موجودة" };
+  }
+
+  const trigger = definition.trigger || {};
+  const keywords = Array.isArray(trigger.keywords) ? trigger.keywords.filter(k => typeof k === "string" && k.trim()) : [];
+  if (keywords.length === 0 && !trigger.firstContact && !trigger.anyMessage) {
+    return { error: "يجب تحديد مُشغّل للمسار (keywords أو firstContact أو anyMessage)" };
+  }
+
+  const checkNext = (id, next, optional = false) => {
+    if ((next === undefined || next === null) && optional) return null;
+    return steps[next] ? null : `الخطوة "${id}" تشير إلى خطوة غير موجودة: ${next}`;
+  };
+
+  for (const [id, step] of Object.entries(steps)) {
+    if (!step || !STEP_TYPES.includes(step.type)) {
+      return { error: `نوع الخطوة "${id}" غير صالح` };
+    }
+
+    let error = null;
+    switch (step.type) {
+      case "message":
+        if (!step.text) error = `الخطوة "${id}" تحتاج نصاً`;
+        else error = checkNext(id, step.next, true);
+        break;
+      case "menu":
+        if (!step.text || !Array.isArray(step.options) || step.options.length === 0) {
+          error = `القائمة "${id}" تحتاج نصاً وخياراً واحداً على الأقل`;
+        } else {
+          for (const option of step.options) {
+            error = !option?.label ? `خيار بدون عنوان في القائمة "${id}"` : checkNext(id, option.next);
+            if (error) break;
+          }
+        }
+        break;
+      case "question":
+        if (!step.text || !step.variable) error = `السؤال "${id}" يحتاج نصاً واسم متغير`;
+        else if (step.validate && !VALIDATORS[step.validate]) error = `نوع التحقق غير مدعوم في "${id}": ${step.validate}`;
+        else error = checkNext(id, step.next, true);
+        break;
+      case "condition":
+        if (!step.variable || !Array.isArray(step.cases)) {
+          error = `الشرط "${id}" يحتاج متغيراً وحالات (cases)`;
+        } else {
+          for (const branch of step.cases) {
+            if (branch?.matches !== undefined) {
+              try {
+                new RegExp(branch.matches, "iu");
+              } catch (e) {
+                error = `تعبير نمطي غير صالح في "${id}"`;
+                break;
+              }
+            }
+            error = checkNext(id, branch?.next);
+            if (error) break;
+          }
+          error = error || checkNext(id, step.default, true);
+        }
+        break;
+    }
+    if (error) return { error };
+  }
+
+  return {
+    definition: {
+      version: FLOW_VERSION,
+      ...definition,
+      trigger: { keywords, firstContact: !!trigger.firstContact, anyMessage: !!trigger.anyMessage },
+      timeoutMinutes: Number(definition.timeoutMinutes) > 0 ? Number(definition.timeoutMinutes) : DEFAULT_TIMEOUT_MINUTES,
+    },
+  };
+};
+
+// Next step of a condition: first matching case, otherwise the default
+const evaluateCondition = (step, variables) => {
+  const value = normalizeInput(variables[step.variable]);
+  const branch = step.cases.find((c) => {
+    if (c.equals !== undefined) return value === normalizeInput(c.equals);
+    if (c.contains !== undefined) return value.includes(normalizeInput(c.contains));
+    if (c.matches !== undefined) return new RegExp(c.matches, "iu").test(String(variables[step.variable] ?? ""));
+    return false;
+  });
+  return branch ? branch.next : step.default || null;
+};
+
+const fromRow = (row) => ({
+  accountId: row.account_id,
+  chatId: row.chat_id,
+  flowId: row.flow_id,
+  flowName: row.flow_name,
+  step: row.step,
+  variables: JSON.parse(row.variables || "{}"),
+  status: row.status,
+  startedAt: row.started_at,
+  updatedAt: row.updated_at,
+});
+
+const flowSessions = {
+  get(accountId, chatId) {
+    if (!statements) return null;
+    const row = statements.get.get(accountId, chatId);
+    return row ? fromRow(row) : null;
+  },
+
+  save(session) {
+    if (!statements) return;
+    statements.save.run({
+      accountId: session.accountId,
+      chatId: session.chatId,
+      flowId: session.flowId,
+      flowName: session.flowName,
+      step: session.step,
+      variables: JSON.stringify(session.variables),
+      status: session.status,
+      startedAt: session.startedAt,
+      now: Date.now(),
+    });
+  },
+
+  setStatus(accountId, chatId, status) {
+    if (!statements) return;
+    statements.setStatus.run(status, Date.now(), accountId, chatId);
+  },
+
+  // Chats waiting for a human, newest first
+  listHandoffs(accountId) {
+    if (!statements) return [];
+    return statements.listHandoffs.all(accountId).map((row) => {
+      const session = fromRow(row);
+      return {
+        chatId: session.chatId,
+        flowName: session.flowName,
+        variables: session.variables,
+        since: session.updatedAt,
+      };
+    });
+  },
+};
+
+/**
+ * Create the flow engine
+ * @param {object} deps
+ * @param {object} deps.flowsDb - from convex-integration.js
+ * @param {() => boolean} deps.isConvexReady
+ * @param {(accountId: string, chatId: string, text: string) => Promise<void>} deps.sendText
+ * @param {(accountId: string) => void} deps.onHandoffChange - called when a chat starts/stops waiting for a human
+ */
+const createFlowEngine = ({ flowsDb, isConvexReady, sendText, onHandoffChange }) => {
+  // accountId -> { flows, expiresAt }
+  const flowsCache = new Map();
+  // "accountId:chatId" -> promise of the message being handled (messages of a chat run in order)
+  const chatQueues = new Map();
+
+  const getFlows = async (accountId) => {
+    const cached = flowsCache.get(accountId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.flows;
+    }
+
+    const flows = [];
+    for (const flow of await flowsDb.getActiveByAccountId(accountId)) {
+      const { definition, error } = parseFlowDefinition(flow.definition);
+      if (error) {
+        console.error(`Skipping invalid flow "${flow.name}":`, error);
+        continue;
+      }
+      flows.push({ id: flow.id, name: flow.name, definition });
+    }
+    flowsCache.set(accountId, { flows, expiresAt: Date.now() + FLOWS_CACHE_TTL });
+    return flows;
+  };
+
+  const isTriggered = ({ trigger }, message) => {
+    if (trigger.anyMessage) return true;
+    if (trigger.firstContact && message.isFirstContact) return true;
+    const body = normalizeInput(message.body);
+    return !!body && trigger.keywords.some((keyword) => normalizeInput(keyword) === body);
+  };
+
+  // Run steps from `stepId` until one waits for input (menu/question) or the flow ends
+  const runFrom = async (session, flow, stepId) => {
+    const { accountId, chatId, variables } = session;
+    const say = (text) => sendText(accountId, chatId, renderText(text, variables));
+    let current = stepId;
+
+    for (let hops = 0; current; hops++) {
+      if (hops >= MAX_STEPS_PER_MESSAGE) {
+        console.error(`Flow "${flow.name}" stopped: more than ${MAX_STEPS_PER_MESSAGE} steps without input`);
+        break;
+      }
+
+      const step = flow.definition.steps[current];
+      switch (step.type) {
+        case "message":
+          await say(step.text);
+          current = step.next || null;
+          break;
+
+        case "condition":
+          current = evaluateCondition(step, variables);
+          break;
+
+        case "menu":
+          await sendText(accountId, chatId, renderMenu(step, variables));
+          flowSessions.save({ ...session, step: current, status: "active" });
+          return;
+
+        case "question":
+          await say(step.text);
+          flowSessions.save({ ...session, step: current, status: "active" });
+          return;
+
+        case "handoff":
+          if (step.text) await say(step.text);
+          flowSessions.save({ ...session, step: current, status: "handoff" });
+          console.log(`Flow "${flow.name}" handed ${chatId} off to a human`);
+          onHandoffChange(accountId);
+          return;
+
+        case "end":
+          if (step.text) await say(step.text);
+          current = null;
+          break;
+      }
+    }
+
+    flowSessions.save({ ...session, step: null, status: "completed" });
+  };
+
+  // Handle the answer to the step the session is waiting on
+  const handleInput = async (session, flow, body) => {
+    const step = flow.definition.steps[session.step];
+    const { accountId, chatId, variables } = session;
+
+    if (!step || (step.type !== "menu" && step.type !== "question")) {
+      flowSessions.save({ ...session, step: null, status: "completed" });
+      return;
+    }
+
+    if (step.type === "menu") {
+      const input = normalizeInput(body);
+      const option =
+        (/^\d+$/.test(input) && step.options[Number(input) - 1]) ||
+        step.options.find((o) => normalizeInput(renderText(o.label, variables)) === input);
+
+      if (!option) {
+        await sendText(accountId, chatId, renderText(step.invalidText || DEFAULT_INVALID_CHOICE, variables));
+        await sendText(accountId, chatId, renderMenu(step, variables));
+        flowSessions.save(session);
+        return;
+      }
+      if (step.variable) {
+        variables[step.variable] = option.value ?? renderText(option.label, variables);
+      }
+      await runFrom(session, flow, option.next);
+      return;
+    }
+
+    // Numbers and phones are stored with ASCII digits so conditions can compare them
+    const raw = String(body || "").trim();
+    const answer = step.validate === "number" || step.validate === "phone" ? toAsciiDigits(raw) : raw;
+    if (!VALIDATORS[step.validate || "text"](answer)) {
+      await sendText(accountId, chatId, renderText(step.invalidText || DEFAULT_INVALID_ANSWER, variables));
+      flowSessions.save(session);
+      return;
+    }
+    variables[step.variable] = answer;
+    await runFrom(session, flow, step.next || null);
+  };
+
+  const processMessage = async (accountId, message) => {
+    const { chatId } = message;
+    const existing = flowSessions.get(accountId, chatId);
+    if (existing?.status === "handoff") return true;
+
+    const flows = await getFlows(accountId);
+
+    if (existing?.status === "active") {
+      const flow = flows.find((f) => f.id === existing.flowId);
+      const timeout = (flow?.definition.timeoutMinutes || DEFAULT_TIMEOUT_MINUTES) * 60 * 1000;
+
+      if (flow && Date.now() - existing.updatedAt < timeout) {
+        await handleInput(existing, flow, message.body);
+        return true;
+      }
+      // Flow removed/disabled or conversation abandoned - start over below
+      flowSessions.setStatus(accountId, chatId, "completed");
+    }
+
+    const flow = flows.find((f) => isTriggered(f.definition, message));
+    if (!flow) return false;
+
+    console.log(`Flow "${flow.name}" started for ${chatId}`);
+    const session = {
+      accountId,
+      chatId,
+      flowId: flow.id,
+      flowName: flow.name,
+      step: flow.definition.start,
+      variables: {
+        contactName: message.senderName || "",
+        phone: chatId.split("@")[0],
+      },
+      status: "active",
+      startedAt: Date.now(),
+    };
+    await runFrom(session, flow, flow.definition.start);
+    return true;
+  };
+
+  /**
+   * Route an incoming private message through the account's flows
+   * Never throws - problems are logged
+   * @param {string} accountId
+   * @param {object} message - { chatId, body, isGroup, isFirstContact, senderName }
+   * @returns {Promise<boolean>} true when a flow handled the message (or the chat is waiting for a human)
+   */
+  const handleMessage = (accountId, message) => {
+    if (!statements || !isConvexReady() || message.isGroup) return Promise.resolve(false);
+
+    const key = `${accountId}:${message.chatId}`;
+    const previous = chatQueues.get(key) || Promise.resolve();
+    const current = previous
+      .then(() => processMessage(accountId, message))
+      .catch((e) => {
+        console.error("Error running chatbot flow:", e.message);
+        return false;
+      });
+
+    chatQueues.set(key, current);
+    current.then(() => {
+      if (chatQueues.get(key) === current) chatQueues.delete(key);
+    });
+    return current;
+  };
+
+  return {
+    handleMessage,
+    getHandoffChats: (accountId) => flowSessions.listHandoffs(accountId),
+    // A human took over - the next message from the chat can trigger flows again
+    resolveHandoff: (accountId, chatId) => {
+      const session = flowSessions.get(accountId, chatId);
+      if (session?.status !== "handoff") return false;
+      flowSessions.setStatus(accountId, chatId, "completed");
+      onHandoffChange(accountId);
+      return true;
+    },
+    // Drop cached flows (after they're edited)
+    invalidate: (accountId) => {
+      if (accountId) {
+        flowsCache.delete(accountId);
+      } else {
+        flowsCache.clear();
+      }
+    },
+  };
+};
+
+module.exports = {
+  createFlowEngine,
+  parseFlowDefinition,
+  isFlowStoreReady: () => statements !== null,
+};
@@ -0,0 +1,78 @@
+/**
+ * Contact Fields for WhatsApp Management Server
+ * Validation of user-defined contact fields (text / number / date / select) and of the
+ * values, tags and notes saved on a contact. Values are stored as normalized strings
+ */
+
+const FIELD_TYPES = ["text", "number", "date", "select"];
+const MAX_TEXT_LENGTH = 500;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_TAG_LENGTH = 50;
+
+const isValidDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+/**
+ * Validate a field definition from the editor
+ * @returns {{field?: {name: string, type: string, options: string[]}, error?: string}}
+ */
+const parseFieldDefinition = ({ name, type, options } = {}) => {
+  const trimmedName = typeof name === "string" ? name.trim() : "";
+  if (!trimmedName) return { error: "اسم الحقل مطلوب" };
+  if (!FIELD_TYPES.includes(type)) return { error: "نوع الحقل غير صالح" };
+
+  const choices = type === "select" && Array.isArray(options)
+    ? [...new Set(options.map(o => String(o).trim()).filter(Boolean))]
+    : [];
+  if (type === "select" && choices.length === 0) return { error: "أضف خياراً واحداً على الأقل" };
+
+  return { field: { name: trimmedName, type, options: choices } };
+};
+
+// Normalized value of one field, or an error (empty values clear the field)
+const normalizeValue = (field, raw) => {
+  const value = raw === null || raw === undefined ? "" : String(raw).trim();
+  if (!value) return { value: "" };
+
+  switch (field.type) {
+    case "number":
+      return Number.isFinite(Number(value)) ? { value: String(Number(value)) } : { error: `قيمة "${field.name}" يجب أن تكون رقماً` };
+    case "date":
+      return isValidDate(value) ? { value } : { error: `قيمة "${field.name}" يجب أن تكون تاريخاً صالحاً` };
+    case "select":
+      return field.options.includes(value) ? { value } : { error: `اختر قيمة "${field.name}" من القائمة` };
+    default:
+      return value.length <= MAX_TEXT_LENGTH ? { value } : { error: `قيمة "${field.name}" طويلة جداً` };
+  }
+};
+
+/**
+ * Validate a contact edit against the account's field definitions
+ * @param {object[]} definitions - fields from contactsDb.getFields
+ * @param {object} input - { tags, fields: {[fieldId]: value}, notes }
+ * @returns {{contact?: {tags: string[], fields: {fieldId: string, value: string}[], notes: string}, error?: string}}
+ */
+const parseContactInput = (definitions, { tags, fields, notes } = {}) => {
+  const cleanTags = [...new Set((Array.isArray(tags) ? tags : []).map(t => String(t).trim()).filter(Boolean))];
+  if (cleanTags.some(tag => tag.length > MAX_TAG_LENGTH)) return { error: "الوسم طويل جداً" };
+
+  const cleanNotes = typeof notes === "string" ? notes.trim() : "";
+  if (cleanNotes.length > MAX_NOTES_LENGTH) return { error: "الملاحظات طويلة جداً" };
+
+  const values = [];
+  for (const field of definitions) {
+    const result = normalizeValue(field, fields?.[field.id]);
+    if (result.error) return { error: result.error };
+    if (result.value) values.push({ fieldId: field.id, value: result.value });
+  }
+
+  return { contact: { tags: cleanTags, fields: values, notes: cleanNotes } };
+};
+
+module.exports = {
+  parseFieldDefinition,
+  parseContactInput,
+};
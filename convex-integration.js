@@ -18,6 +18,13 @@ try {
   api = null;
 }
 
+// Functions only the server may call take the SERVER_SECRET it shares with the Convex deployment
+const SERVER_SECRET = process.env.SERVER_SECRET || "";
+if (!SERVER_SECRET) {
+  console.error("SERVER_SECRET is not set: Convex will refuse the server's own queries and mutations, and sign-ins");
+}
+const asServer = (args = {}) => ({ ...args, serverSecret: SERVER_SECRET });
+
 // Helper function to clean null values from objects (Convex expects undefined, not null)
 function cleanNullValues(obj) {
   const cleaned = {};
@@ -37,7 +44,7 @@ const accountsDb = {
   async getAll() {
     if (!api) return [];
     try {
-      return await convex.query(api.accounts.getAll);
+      return await convex.query(api.accounts.getAll, asServer());
     } catch (e) {
       console.error("Error fetching accounts from Convex:", e.message);
       return [];
@@ -48,7 +55,7 @@ const accountsDb = {
   async getActive() {
     if (!api) return null;
     try {
-      return await convex.query(api.accounts.getActive);
+      return await convex.query(api.accounts.getActive, asServer());
     } catch (e) {
       console.error("Error fetching active account:", e.message);
       return null;
@@ -59,7 +66,7 @@ const accountsDb = {
   async getById(accountId) {
     if (!api) return null;
     try {
-      return await convex.query(api.accounts.getByAccountId, { accountId });
+      return await convex.query(api.accounts.getByAccountId, asServer({ accountId }));
     } catch (e) {
       console.error("Error fetching account by ID:", e.message);
       return null;
@@ -70,7 +77,7 @@ const accountsDb = {
   async create(accountData) {
     if (!api) return null;
     try {
-      return await convex.mutation(api.accounts.create, accountData);
+      return await convex.mutation(api.accounts.create, asServer(accountData));
     } catch (e) {
       console.error("Error creating account:", e.message);
       return null;
@@ -81,7 +88,7 @@ const accountsDb = {
   async update(accountId, updates) {
     if (!api) return null;
     try {
-      return await convex.mutation(api.accounts.update, { accountId, ...updates });
+      return await convex.mutation(api.accounts.update, asServer({ accountId, ...updates }));
     } catch (e) {
       console.error("Error updating account:", e.message);
       return null;
@@ -92,7 +99,7 @@ const accountsDb = {
   async setActive(accountId) {
     if (!api) return null;
     try {
-      return await convex.mutation(api.accounts.setActive, { accountId });
+      return await convex.mutation(api.accounts.setActive, asServer({ accountId }));
     } catch (e) {
       console.error("Error setting active account:", e.message);
       return null;
@@ -103,7 +110,7 @@ const accountsDb = {
   async remove(accountId) {
     if (!api) return null;
     try {
-      return await convex.mutation(api.accounts.remove, { accountId });
+      return await convex.mutation(api.accounts.remove, asServer({ accountId }));
     } catch (e) {
       console.error("Error deleting account:", e.message);
       return null;
@@ -119,7 +126,7 @@ const sessionsDb = {
   async getByAccountId(accountId) {
     if (!api) return null;
     try {
-      return await convex.query(api.sessions.getByAccountId, { accountId });
+      return await convex.query(api.sessions.getByAccountId, asServer({ accountId }));
     } catch (e) {
       console.error("Error fetching session:", e.message);
       return null;
@@ -130,7 +137,7 @@ const sessionsDb = {
   async upsert(sessionData) {
     if (!api) return null;
     try {
-      return await convex.mutation(api.sessions.upsert, sessionData);
+      return await convex.mutation(api.sessions.upsert, asServer(sessionData));
     } catch (e) {
       console.error("Error upserting session:", e.message);
       return null;
@@ -141,7 +148,7 @@ const sessionsDb = {
   async setReady(accountId, isReady) {
     if (!api) return;
     try {
-      await convex.mutation(api.sessions.setReady, { accountId, isReady });
+      await convex.mutation(api.sessions.setReady, asServer({ accountId, isReady }));
     } catch (e) {
       console.error("Error setting ready state:", e.message);
     }
@@ -151,7 +158,7 @@ const sessionsDb = {
   async setAuthenticated(accountId, isAuthenticated) {
     if (!api) return;
     try {
-      await convex.mutation(api.sessions.setAuthenticated, { accountId, isAuthenticated });
+      await convex.mutation(api.sessions.setAuthenticated, asServer({ accountId, isAuthenticated }));
     } catch (e) {
       console.error("Error setting authenticated state:", e.message);
     }
@@ -161,7 +168,7 @@ const sessionsDb = {
   async setDisconnected(accountId, reason) {
     if (!api) return;
     try {
-      await convex.mutation(api.sessions.setDisconnected, { accountId, reason });
+      await convex.mutation(api.sessions.setDisconnected, asServer({ accountId, reason }));
     } catch (e) {
       console.error("Error setting disconnected:", e.message);
     }
@@ -171,7 +178,7 @@ const sessionsDb = {
   async remove(accountId) {
     if (!api) return;
     try {
-      await convex.mutation(api.sessions.remove, { accountId });
+      await convex.mutation(api.sessions.remove, asServer({ accountId }));
     } catch (e) {
       console.error("Error deleting session:", e.message);
     }
@@ -181,10 +188,10 @@ const sessionsDb = {
   async storeSessionData(accountId, sessionData) {
     if (!api) return;
     try {
-      await convex.mutation(api.sessions.storeSessionData, { 
+      await convex.mutation(api.sessions.storeSessionData, asServer({ 
         accountId, 
         sessionData: JSON.stringify(sessionData) 
-      });
+      }));
     } catch (e) {
       console.error("Error storing session data:", e.message);
     }
@@ -199,7 +206,7 @@ const chatsDb = {
   async getByAccountId(accountId) {
     if (!api) return [];
     try {
-      const chats = await convex.query(api.chats.getByAccountId, { accountId });
+      const chats = await convex.query(api.chats.getByAccountId, asServer({ accountId }));
       // Transform Convex format back to original format
       return chats.map(chat => ({
         id: chat.chatId,
@@ -229,7 +236,7 @@ const chatsDb = {
   async upsertChat(accountId, chat) {
     if (!api) return;
     try {
-      await convex.mutation(api.chats.upsertChat, {
+      await convex.mutation(api.chats.upsertChat, asServer({
         accountId,
         chatId: chat.id,
         name: chat.name || "Unknown",
@@ -245,7 +252,7 @@ const chatsDb = {
         lastMessageTypeLabel: chat.lastMessage?.typeLabel || undefined,
         lastMessageSenderName: chat.lastMessage?.senderName || undefined,
         timestamp: chat.timestamp || Date.now() / 1000,
-      });
+      }));
     } catch (e) {
       console.error("Error upserting chat:", e.message);
     }
@@ -275,7 +282,7 @@ const chatsDb = {
           timestamp: chat.timestamp || Date.now() / 1000,
         }));
         
-        await convex.mutation(api.chats.batchUpsertChats, { accountId, chats: batch });
+        await convex.mutation(api.chats.batchUpsertChats, asServer({ accountId, chats: batch }));
       }
     } catch (e) {
       console.error("Error batch upserting chats:", e.message);
@@ -286,7 +293,7 @@ const chatsDb = {
   async clearAccount(accountId) {
     if (!api) return;
     try {
-      await convex.mutation(api.chats.clearAccountChats, { accountId });
+      await convex.mutation(api.chats.clearAccountChats, asServer({ accountId }));
     } catch (e) {
       console.error("Error clearing account chats:", e.message);
     }
@@ -301,7 +308,7 @@ const syncStatusDb = {
   async get(accountId) {
     if (!api) return null;
     try {
-      return await convex.query(api.syncStatus.getByAccountId, { accountId });
+      return await convex.query(api.syncStatus.getByAccountId, asServer({ accountId }));
     } catch (e) {
       console.error("Error fetching sync status:", e.message);
       return null;
@@ -312,7 +319,7 @@ const syncStatusDb = {
   async update(accountId, data) {
     if (!api) return;
     try {
-      await convex.mutation(api.syncStatus.update, { 
+      await convex.mutation(api.syncStatus.update, asServer({ 
         accountId,
         status: data.status || "syncing",
         progress: data.progress || 0,
@@ -321,7 +328,7 @@ const syncStatusDb = {
         currentChatName: data.currentChatName,
         message: data.message || "",
         error: data.error,
-      });
+      }));
     } catch (e) {
       console.error("Error updating sync status:", e.message);
     }
@@ -331,7 +338,7 @@ const syncStatusDb = {
   async startSync(accountId, totalChats) {
     if (!api) return;
     try {
-      await convex.mutation(api.syncStatus.startSync, { accountId, totalChats });
+      await convex.mutation(api.syncStatus.startSync, asServer({ accountId, totalChats }));
     } catch (e) {
       console.error("Error starting sync:", e.message);
     }
@@ -341,12 +348,12 @@ const syncStatusDb = {
   async updateProgress(accountId, syncedChats, totalChats, currentChatName) {
     if (!api) return;
     try {
-      await convex.mutation(api.syncStatus.updateProgress, { 
+      await convex.mutation(api.syncStatus.updateProgress, asServer({ 
         accountId, 
         syncedChats, 
         totalChats,
         currentChatName,
-      });
+      }));
     } catch (e) {
       console.error("Error updating sync progress:", e.message);
     }
@@ -356,7 +363,7 @@ const syncStatusDb = {
   async complete(accountId, totalChats) {
     if (!api) return;
     try {
-      await convex.mutation(api.syncStatus.completeSync, { accountId, totalChats });
+      await convex.mutation(api.syncStatus.completeSync, asServer({ accountId, totalChats }));
     } catch (e) {
       console.error("Error completing sync:", e.message);
     }
@@ -366,7 +373,7 @@ const syncStatusDb = {
   async fail(accountId, error) {
     if (!api) return;
     try {
-      await convex.mutation(api.syncStatus.failSync, { accountId, error });
+      await convex.mutation(api.syncStatus.failSync, asServer({ accountId, error }));
     } catch (e) {
       console.error("Error failing sync:", e.message);
     }
@@ -376,7 +383,7 @@ const syncStatusDb = {
   async reset(accountId) {
     if (!api) return;
     try {
-      await convex.mutation(api.syncStatus.reset, { accountId });
+      await convex.mutation(api.syncStatus.reset, asServer({ accountId }));
     } catch (e) {
       console.error("Error resetting sync:", e.message);
     }
@@ -391,7 +398,7 @@ const eventsDb = {
   async log(accountId, event, details) {
     if (!api) return;
     try {
-      await convex.mutation(api.connectionEvents.log, { accountId, event, details });
+      await convex.mutation(api.connectionEvents.log, asServer({ accountId, event, details }));
     } catch (e) {
       console.error("Error logging event:", e.message);
     }
@@ -401,7 +408,7 @@ const eventsDb = {
   async getRecent(accountId, limit = 50) {
     if (!api) return [];
     try {
-      return await convex.query(api.connectionEvents.getRecent, { accountId, limit });
+      return await convex.query(api.connectionEvents.getRecent, asServer({ accountId, limit }));
     } catch (e) {
       console.error("Error fetching events:", e.message);
       return [];
@@ -409,6 +416,934 @@ const eventsDb = {
   },
 };
 
+/**
+ * API Keys Management
+ */
+// tokenHash is the session of the user managing their own keys (checked by Convex)
+const apiKeysDb = {
+  // Get the user's keys
+  async getMine(tokenHash) {
+    if (!api) return [];
+    try {
+      return await convex.query(api.apiKeys.getMine, { tokenHash });
+    } catch (e) {
+      console.error("Error fetching API keys:", e.message);
+      return [];
+    }
+  },
+
+  // Find an active key by its hash
+  async getByHash(keyHash) {
+    if (!api) return null;
+    try {
+      return await convex.query(api.apiKeys.getByHash, asServer({ keyHash }));
+    } catch (e) {
+      console.error("Error fetching API key:", e.message);
+      return null;
+    }
+  },
+
+  // Create a key
+  async create(tokenHash, name, keyHash, keyPrefix) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.apiKeys.create, { tokenHash, name, keyHash, keyPrefix });
+    } catch (e) {
+      console.error("Error creating API key:", e.message);
+      return null;
+    }
+  },
+
+  // Record key usage
+  async touch(id) {
+    if (!api) return;
+    try {
+      await convex.mutation(api.apiKeys.touch, asServer({ id }));
+    } catch (e) {
+      console.error("Error updating API key usage:", e.message);
+    }
+  },
+
+  // Revoke a key
+  async revoke(tokenHash, id) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.apiKeys.revoke, { tokenHash, id });
+    } catch (e) {
+      console.error("Error revoking API key:", e.message);
+      return null;
+    }
+  },
+};
+
+/**
+ * Webhooks Management
+ */
+// tokenHash is the session of the user managing their own webhooks (checked by Convex); the
+// delivery log is the dispatcher's
+const webhooksDb = {
+  // Get the user's webhooks (without secrets)
+  async getMine(tokenHash) {
+    if (!api) return [];
+    try {
+      return await convex.query(api.webhooks.getMine, { tokenHash });
+    } catch (e) {
+      console.error("Error fetching webhooks:", e.message);
+      return [];
+    }
+  },
+
+  // Get active webhooks for an account
+  async getActiveByAccountId(accountId) {
+    if (!api) return [];
+    try {
+      return await convex.query(api.webhooks.getActiveByAccountId, asServer({ accountId }));
+    } catch (e) {
+      console.error("Error fetching account webhooks:", e.message);
+      return [];
+    }
+  },
+
+  // Create a webhook
+  async create(tokenHash, accountId, url, secret, events) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.webhooks.create, { tokenHash, accountId, url, secret, events });
+    } catch (e) {
+      console.error("Error creating webhook:", e.message);
+      return null;
+    }
+  },
+
+  // Update a webhook (url, events, isActive)
+  async update(tokenHash, id, updates) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.webhooks.update, { tokenHash, id, ...updates });
+    } catch (e) {
+      console.error("Error updating webhook:", e.message);
+      return null;
+    }
+  },
+
+  // Delete a webhook
+  async remove(tokenHash, id) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.webhooks.remove, { tokenHash, id });
+    } catch (e) {
+      console.error("Error deleting webhook:", e.message);
+      return null;
+    }
+  },
+
+  // Log a new delivery
+  async createDelivery(webhookId, accountId, event, payload) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.webhooks.createDelivery, asServer({ webhookId, accountId, event, payload }));
+    } catch (e) {
+      console.error("Error logging webhook delivery:", e.message);
+      return null;
+    }
+  },
+
+  // Record a delivery attempt
+  async recordAttempt(id, result) {
+    if (!api) return;
+    try {
+      await convex.mutation(api.webhooks.recordAttempt, asServer({ id, ...result }));
+    } catch (e) {
+      console.error("Error updating webhook delivery:", e.message);
+    }
+  },
+
+  // Get recent deliveries of a webhook
+  async getDeliveries(tokenHash, webhookId, limit = 50) {
+    if (!api) return [];
+    try {
+      return await convex.query(api.webhooks.getDeliveries, { tokenHash, webhookId, limit });
+    } catch (e) {
+      console.error("Error fetching webhook deliveries:", e.message);
+      return [];
+    }
+  },
+
+  // Get a delivery with its webhook
+  async getDelivery(id) {
+    if (!api) return null;
+    try {
+      return await convex.query(api.webhooks.getDelivery, asServer({ id }));
+    } catch (e) {
+      console.error("Error fetching webhook delivery:", e.message);
+      return null;
+    }
+  },
+
+  // Get pending deliveries whose retry is due
+  async getDueRetries() {
+    if (!api) return [];
+    try {
+      return await convex.query(api.webhooks.getDueRetries, asServer({ now: Date.now() }));
+    } catch (e) {
+      console.error("Error fetching webhook retries:", e.message);
+      return [];
+    }
+  },
+
+  // Delete deliveries older than a timestamp
+  async pruneDeliveries(before) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.webhooks.pruneDeliveries, asServer({ before }));
+    } catch (e) {
+      console.error("Error pruning webhook deliveries:", e.message);
+      return null;
+    }
+  },
+};
+
+/**
+ * Auto-Reply Rules Management
+ */
+const autoRepliesDb = {
+  // Get a user's rules for an account
+  async getByAccountId(userId, accountId) {
+    if (!api) return [];
+    try {
+      return await convex.query(api.autoReplies.getByAccountId, asServer({ userId, accountId }));
+    } catch (e) {
+      console.error("Error fetching auto-reply rules:", e.message);
+      return [];
+    }
+  },
+
+  // Get active rules for an account
+  async getActiveByAccountId(accountId) {
+    if (!api) return [];
+    try {
+      return await convex.query(api.autoReplies.getActiveByAccountId, asServer({ accountId }));
+    } catch (e) {
+      console.error("Error fetching active auto-reply rules:", e.message);
+      return [];
+    }
+  },
+
+  // Create a rule
+  async create(userId, accountId, rule) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.autoReplies.create, asServer({ userId, accountId, ...rule }));
+    } catch (e) {
+      console.error("Error creating auto-reply rule:", e.message);
+      return null;
+    }
+  },
+
+  // Replace a rule's settings
+  async update(id, userId, rule) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.autoReplies.update, asServer({ id, userId, ...rule }));
+    } catch (e) {
+      console.error("Error updating auto-reply rule:", e.message);
+      return null;
+    }
+  },
+
+  // Delete a rule
+  async remove(id, userId) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.autoReplies.remove, asServer({ id, userId }));
+    } catch (e) {
+      console.error("Error deleting auto-reply rule:", e.message);
+      return null;
+    }
+  },
+};
+
+/**
+ * Chatbot Flows Management
+ */
+const flowsDb = {
+  // Get a user's flows for an account
+  async getByAccountId(userId, accountId) {
+    if (!api) return [];
+    try {
+      return await convex.query(api.flows.getByAccountId, asServer({ userId, accountId }));
+    } catch (e) {
+      console.error("Error fetching flows:", e.message);
+      return [];
+    }
+  },
+
+  // Get active flows for an account
+  async getActiveByAccountId(accountId) {
+    if (!api) return [];
+    try {
+      return await convex.query(api.flows.getActiveByAccountId, asServer({ accountId }));
+    } catch (e) {
+      console.error("Error fetching active flows:", e.message);
+      return [];
+    }
+  },
+
+  // Create a flow
+  async create(userId, accountId, name, definition, isActive) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.flows.create, asServer({ userId, accountId, name, definition, isActive }));
+    } catch (e) {
+      console.error("Error creating flow:", e.message);
+      return null;
+    }
+  },
+
+  // Update a flow (name, definition, isActive)
+  async update(id, userId, updates) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.flows.update, asServer({ id, userId, ...updates }));
+    } catch (e) {
+      console.error("Error updating flow:", e.message);
+      return null;
+    }
+  },
+
+  // Delete a flow
+  async remove(id, userId) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.flows.remove, asServer({ id, userId }));
+    } catch (e) {
+      console.error("Error deleting flow:", e.message);
+      return null;
+    }
+  },
+};
+
+/**
+ * Contacts Management
+ */
+const contactsDb = {
+  // Get all contacts (with tags, custom fields and notes) of an account
+  async getByAccountId(accountId) {
+    if (!api) return [];
+    try {
+      return await convex.query(api.contacts.getByAccountId, asServer({ accountId }));
+    } catch (e) {
+      console.error("Error fetching contacts:", e.message);
+      return [];
+    }
+  },
+
+  // Add tags to a contact
+  async addTags(accountId, chatId, tags) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.contacts.addTags, asServer({ accountId, chatId, tags }));
+    } catch (e) {
+      console.error("Error tagging contact:", e.message);
+      return null;
+    }
+  },
+
+  // Replace a contact's tags, custom fields ([{fieldId, value}]) and notes
+  async update(accountId, chatId, { tags, fields, notes }) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.contacts.update, asServer({ accountId, chatId, tags, fields, notes }));
+    } catch (e) {
+      console.error("Error updating contact:", e.message);
+      return null;
+    }
+  },
+
+  // Custom fields of an account
+  async getFields(accountId) {
+    if (!api) return [];
+    try {
+      return await convex.query(api.contacts.getFields, asServer({ accountId }));
+    } catch (e) {
+      console.error("Error fetching contact fields:", e.message);
+      return [];
+    }
+  },
+
+  // Add a custom field
+  async createField(accountId, { name, type, options }) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.contacts.createField, asServer({ accountId, name, type, options }));
+    } catch (e) {
+      console.error("Error creating contact field:", e.message);
+      return null;
+    }
+  },
+
+  // Rename a custom field or change its choices
+  async updateField(id, accountId, { name, options }) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.contacts.updateField, asServer({ id, accountId, name, options }));
+    } catch (e) {
+      console.error("Error updating contact field:", e.message);
+      return null;
+    }
+  },
+
+  // Delete a custom field
+  async removeField(id, accountId) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.contacts.removeField, asServer({ id, accountId }));
+    } catch (e) {
+      console.error("Error deleting contact field:", e.message);
+      return null;
+    }
+  },
+};
+
+/**
+ * Chat Assignment Management
+ */
+const assignmentsDb = {
+  // Active members of a workspace (only those who may use accountId, when given); tokenHash is the
+  // session of a user of the workspace
+  async getTeamMembers(tokenHash, orgId, accountId) {
+    if (!api || !orgId) return [];
+    try {
+      return await convex.query(api.assignments.getTeamMembers, { tokenHash, orgId, accountId });
+    } catch (e) {
+      console.error("Error fetching team members:", e.message);
+      return [];
+    }
+  },
+
+  // Current assignments of an account's chats
+  async getByAccountId(accountId) {
+    if (!api) return [];
+    try {
+      return await convex.query(api.assignments.getByAccountId, asServer({ accountId }));
+    } catch (e) {
+      console.error("Error fetching assignments:", e.message);
+      return [];
+    }
+  },
+
+  // Assignment changes of a chat, newest first
+  async getHistory(accountId, chatId) {
+    if (!api) return [];
+    try {
+      return await convex.query(api.assignments.getHistory, asServer({ accountId, chatId }));
+    } catch (e) {
+      console.error("Error fetching assignment history:", e.message);
+      return [];
+    }
+  },
+
+  // Assign a chat to a user (null assigneeId = unassign)
+  async assign(accountId, chatId, assigneeId, byUserId) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.assignments.assign, asServer({
+        accountId,
+        chatId,
+        assigneeId: assigneeId || undefined,
+        byUserId,
+      }));
+    } catch (e) {
+      console.error("Error assigning chat:", e.message);
+      return null;
+    }
+  },
+
+  // Assign an unassigned chat using the account's rule
+  async autoAssign(accountId, chatId) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.assignments.autoAssign, asServer({ accountId, chatId }));
+    } catch (e) {
+      console.error("Error auto-assigning chat:", e.message);
+      return null;
+    }
+  },
+
+  // Assignment rule of an account
+  async getSettings(accountId) {
+    if (!api) return null;
+    try {
+      return await convex.query(api.assignments.getSettings, asServer({ accountId }));
+    } catch (e) {
+      console.error("Error fetching assignment settings:", e.message);
+      return null;
+    }
+  },
+
+  // Save the assignment rule of an account
+  async saveSettings(accountId, mode, agentIds) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.assignments.saveSettings, asServer({ accountId, mode, agentIds }));
+    } catch (e) {
+      console.error("Error saving assignment settings:", e.message);
+      return null;
+    }
+  },
+};
+
+/**
+ * Chat Notes Management
+ */
+const notesDb = {
+  // Internal notes of a chat, oldest first
+  async getByChat(accountId, chatId) {
+    if (!api) return [];
+    try {
+      return await convex.query(api.notes.getByChat, asServer({ accountId, chatId }));
+    } catch (e) {
+      console.error("Error fetching chat notes:", e.message);
+      return [];
+    }
+  },
+
+  // Add a note to a chat (messageId optional)
+  async create({ accountId, chatId, messageId, authorId, body, mentions }) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.notes.create, asServer({
+        accountId,
+        chatId,
+        messageId: messageId || undefined,
+        authorId,
+        body,
+        mentions,
+      }));
+    } catch (e) {
+      console.error("Error creating chat note:", e.message);
+      return null;
+    }
+  },
+
+  // Delete a note (its author only)
+  async remove(id, userId) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.notes.remove, asServer({ id, userId }));
+    } catch (e) {
+      console.error("Error deleting chat note:", e.message);
+      return null;
+    }
+  },
+};
+
+/**
+ * Canned Replies Management
+ */
+const cannedRepliesDb = {
+  // An account's replies plus the ones shared in its workspace
+  async getForAccount(accountId) {
+    if (!api) return [];
+    try {
+      return await convex.query(api.cannedReplies.getForAccount, asServer({ accountId }));
+    } catch (e) {
+      console.error("Error fetching canned replies:", e.message);
+      return [];
+    }
+  },
+
+  async getById(id) {
+    if (!api) return null;
+    try {
+      return await convex.query(api.cannedReplies.getById, asServer({ id }));
+    } catch (e) {
+      console.error("Error fetching canned reply:", e.message);
+      return null;
+    }
+  },
+
+  // accountId null = shared by the accounts of the workspace orgId
+  async create({ accountId, orgId, shortcut, title, body, mediaUrl, createdBy }) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.cannedReplies.create, asServer({
+        accountId: accountId || undefined,
+        orgId: orgId || undefined,
+        shortcut,
+        title,
+        body,
+        mediaUrl: mediaUrl || undefined,
+        createdBy,
+      }));
+    } catch (e) {
+      console.error("Error creating canned reply:", e.message);
+      return null;
+    }
+  },
+
+  async update(id, { accountId, orgId, shortcut, title, body, mediaUrl }) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.cannedReplies.update, asServer({
+        id,
+        accountId: accountId || undefined,
+        orgId: orgId || undefined,
+        shortcut,
+        title,
+        body,
+        mediaUrl: mediaUrl || undefined,
+      }));
+    } catch (e) {
+      console.error("Error updating canned reply:", e.message);
+      return null;
+    }
+  },
+
+  async remove(id) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.cannedReplies.remove, asServer({ id }));
+    } catch (e) {
+      console.error("Error deleting canned reply:", e.message);
+      return null;
+    }
+  },
+
+  // Count one insertion of the reply
+  async recordUse(id) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.cannedReplies.recordUse, asServer({ id }));
+    } catch (e) {
+      console.error("Error recording canned reply use:", e.message);
+      return null;
+    }
+  },
+};
+
+/**
+ * Sales Pipeline Management
+ */
+const pipelineDb = {
+  // Stages of an account, in board order
+  async getStages(accountId) {
+    if (!api) return [];
+    try {
+      return await convex.query(api.pipeline.getStages, asServer({ accountId }));
+    } catch (e) {
+      console.error("Error fetching pipeline stages:", e.message);
+      return [];
+    }
+  },
+
+  // Replace the stages of an account ([{ id?, name, kind, color }])
+  async saveStages(accountId, stages) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.pipeline.saveStages, asServer({ accountId, stages }));
+    } catch (e) {
+      console.error("Error saving pipeline stages:", e.message);
+      return null;
+    }
+  },
+
+  async getDeals(accountId) {
+    if (!api) return [];
+    try {
+      return await convex.query(api.pipeline.getDeals, asServer({ accountId }));
+    } catch (e) {
+      console.error("Error fetching deals:", e.message);
+      return [];
+    }
+  },
+
+  // Create the chat's deal, or update its value and title
+  async saveDeal({ accountId, chatId, stageId, value, title, userId }) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.pipeline.saveDeal, asServer({
+        accountId,
+        chatId,
+        stageId,
+        value,
+        title: title || undefined,
+        userId,
+      }));
+    } catch (e) {
+      console.error("Error saving deal:", e.message);
+      return null;
+    }
+  },
+
+  async moveDeal(id, accountId, stageId, userId) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.pipeline.moveDeal, asServer({ id, accountId, stageId, userId }));
+    } catch (e) {
+      console.error("Error moving deal:", e.message);
+      return null;
+    }
+  },
+
+  async removeDeal(id, accountId) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.pipeline.removeDeal, asServer({ id, accountId }));
+    } catch (e) {
+      console.error("Error deleting deal:", e.message);
+      return null;
+    }
+  },
+
+  // Every stage change of an account's deals, oldest first
+  async getStageChanges(accountId) {
+    if (!api) return [];
+    try {
+      return await convex.query(api.pipeline.getStageChanges, asServer({ accountId }));
+    } catch (e) {
+      console.error("Error fetching deal stage changes:", e.message);
+      return [];
+    }
+  },
+};
+
+/**
+ * Users Management
+ */
+// Run one of the sign-in actions of authActions.ts; their errors (wrong code, expired link) are
+// meant for the user, so they're returned rather than logged
+const runAuthAction = async (name, args) => {
+  if (!api) return { error: "Convex not available" };
+  try {
+    return await convex.action(api.authActions[name], args);
+  } catch (e) {
+    return { error: e.message };
+  }
+};
+
+const usersDb = {
+  // Check a user's credentials and start a session; the error is the action's reason
+  // (wrong password, disabled user). Users with two-factor sign-in get a challenge instead
+  async login(email, password, userAgent) {
+    if (!api) return { error: "Convex not available" };
+    try {
+      return { session: await convex.action(api.authActions.login, asServer({ email, password, userAgent })) };
+    } catch (e) {
+      return { error: e.message };
+    }
+  },
+
+  // Finish a login challenge with a code from the authenticator app or a recovery code
+  async verifyLoginCode(challengeToken, code) {
+    if (!api) return { error: "Convex not available" };
+    try {
+      return { session: await convex.action(api.authActions.verifyLoginCode, asServer({ challengeToken, code })) };
+    } catch (e) {
+      return { error: e.message };
+    }
+  },
+
+  // token is the access token of the user changing their own login
+  setupTwoFactor: (token) => runAuthAction("setupTwoFactor", { token }),
+  enableTwoFactor: (token, code) => runAuthAction("enableTwoFactor", { token, code }),
+  disableTwoFactor: (token, password, code) => runAuthAction("disableTwoFactor", { token, password, code }),
+  regenerateRecoveryCodes: (token, code) => runAuthAction("regenerateRecoveryCodes", { token, code }),
+  changePassword: (token, currentPassword, newPassword, code) =>
+    runAuthAction("changePassword", { token, currentPassword, newPassword, code }),
+
+  // A reset link token for an email ({ reset: null } for an unknown one); serverSecret is SERVER_SECRET
+  async requestPasswordReset(serverSecret, email) {
+    if (!api) return { error: "Convex not available" };
+    try {
+      return { reset: await convex.action(api.authActions.requestPasswordReset, { serverSecret, email }) };
+    } catch (e) {
+      console.error("Error creating password reset:", e.message);
+      return { error: e.message };
+    }
+  },
+
+  resetPassword: (token, newPassword) => runAuthAction("resetPassword", { token, newPassword }),
+
+  // All users with their roles; tokenHash is the session of the admin asking (checked by Convex)
+  async getAll(tokenHash) {
+    if (!api) return { error: "Convex not available" };
+    try {
+      return { users: await convex.query(api.auth.getAll, { tokenHash }) };
+    } catch (e) {
+      console.error("Error getting users:", e.message);
+      return { error: e.message };
+    }
+  },
+
+  // Change a user's role / active state
+  async update(tokenHash, userId, updates) {
+    if (!api) return { error: "Convex not available" };
+    try {
+      return await convex.mutation(api.auth.update, { tokenHash, userId, ...updates });
+    } catch (e) {
+      console.error("Error updating user:", e.message);
+      return { error: e.message };
+    }
+  },
+};
+
+/**
+ * Auth Sessions Management
+ */
+const authSessionsDb = {
+  // Session and user of an access token hash, or null if it's unknown, expired or revoked.
+  // Throws when Convex fails, so an outage isn't mistaken for a revoked session
+  async validate(tokenHash) {
+    if (!api) throw new Error("Convex not available");
+    return convex.query(api.authSessions.validate, { tokenHash });
+  },
+
+  // New tokens for a refresh token, or null if the session is over
+  async refresh(refreshToken) {
+    if (!api) return null;
+    try {
+      return await convex.action(api.authActions.refresh, { refreshToken });
+    } catch (e) {
+      console.error("Error refreshing session:", e.message);
+      return null;
+    }
+  },
+
+  async revoke(tokenHash) {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.authSessions.revoke, { tokenHash });
+    } catch (e) {
+      console.error("Error revoking session:", e.message);
+      return null;
+    }
+  },
+};
+
+/**
+ * Organizations (Workspaces) Management
+ */
+const orgsDb = {
+  // Workspaces and account access of a session's user, or null if the session is over.
+  // Throws when Convex fails, like authSessionsDb.validate
+  async getAccess(tokenHash) {
+    if (!api) throw new Error("Convex not available");
+    return convex.query(api.organizations.getAccess, { tokenHash });
+  },
+
+  // Workspaces and account access of the user who saved a job, or null if they were deleted or
+  // disabled. Throws when Convex fails, so a job isn't dropped over an outage
+  async getAccessOfUser(userId) {
+    if (!api) throw new Error("Convex not available");
+    return convex.query(api.organizations.getAccessOfUser, asServer({ userId }));
+  },
+
+  async create(tokenHash, name) {
+    if (!api) return { error: "Convex not available" };
+    try {
+      return { orgId: await convex.mutation(api.organizations.create, { tokenHash, name }) };
+    } catch (e) {
+      console.error("Error creating organization:", e.message);
+      return { error: e.message };
+    }
+  },
+
+  // Members, pending invitations and account access lists (workspace admins only)
+  async getMembers(tokenHash, orgId) {
+    if (!api) return { error: "Convex not available" };
+    try {
+      return await convex.query(api.organizations.getMembers, { tokenHash, orgId });
+    } catch (e) {
+      console.error("Error getting organization members:", e.message);
+      return { error: e.message };
+    }
+  },
+
+  async createInvitation(tokenHash, orgId, { email, role, inviteTokenHash }) {
+    if (!api) return { error: "Convex not available" };
+    try {
+      return await convex.mutation(api.organizations.createInvitation, { tokenHash, orgId, email, role, inviteTokenHash });
+    } catch (e) {
+      console.error("Error creating invitation:", e.message);
+      return { error: e.message };
+    }
+  },
+
+  async revokeInvitation(tokenHash, invitationId) {
+    if (!api) return { error: "Convex not available" };
+    try {
+      return await convex.mutation(api.organizations.revokeInvitation, { tokenHash, invitationId });
+    } catch (e) {
+      console.error("Error revoking invitation:", e.message);
+      return { error: e.message };
+    }
+  },
+
+  // What an invitation link is for, or null if it's unknown
+  async getInvitation(inviteTokenHash) {
+    if (!api) return null;
+    try {
+      return await convex.query(api.organizations.getInvitation, { inviteTokenHash });
+    } catch (e) {
+      console.error("Error getting invitation:", e.message);
+      return null;
+    }
+  },
+
+  async acceptInvitation(tokenHash, inviteTokenHash) {
+    if (!api) return { error: "Convex not available" };
+    try {
+      return await convex.mutation(api.organizations.acceptInvitation, { tokenHash, inviteTokenHash });
+    } catch (e) {
+      console.error("Error accepting invitation:", e.message);
+      return { error: e.message };
+    }
+  },
+
+  async setMemberRole(tokenHash, orgId, userId, role) {
+    if (!api) return { error: "Convex not available" };
+    try {
+      return await convex.mutation(api.organizations.setMemberRole, { tokenHash, orgId, userId, role });
+    } catch (e) {
+      console.error("Error changing member role:", e.message);
+      return { error: e.message };
+    }
+  },
+
+  async removeMember(tokenHash, orgId, userId) {
+    if (!api) return { error: "Convex not available" };
+    try {
+      return await convex.mutation(api.organizations.removeMember, { tokenHash, orgId, userId });
+    } catch (e) {
+      console.error("Error removing member:", e.message);
+      return { error: e.message };
+    }
+  },
+
+  // Replace the members who may use an account; returns the users whose access changed
+  async setAccountAccess(tokenHash, orgId, accountId, userIds) {
+    if (!api) return { error: "Convex not available" };
+    try {
+      return await convex.mutation(api.organizations.setAccountAccess, { tokenHash, orgId, accountId, userIds });
+    } catch (e) {
+      console.error("Error setting account access:", e.message);
+      return { error: e.message };
+    }
+  },
+
+  // Create the default workspace of single-tenant data if there's none; returns the oldest one
+  async ensureDefault() {
+    if (!api) return null;
+    try {
+      return await convex.mutation(api.organizations.ensureDefault, asServer());
+    } catch (e) {
+      console.error("Error creating default organization:", e.message);
+      return null;
+    }
+  },
+};
+
 /**
  * Migration utility - sync existing data to Convex
  */
@@ -423,11 +1358,15 @@ const migration = {
         if (!existing) {
           await accountsDb.create({
             accountId: account.id,
+            orgId: account.orgId,
             name: account.name,
             phone: account.phone,
             isActive: account.isActive,
           });
           console.log(`Migrated account: ${account.name}`);
+        } else if (account.orgId && existing.orgId !== account.orgId) {
+          await accountsDb.update(account.id, { orgId: account.orgId });
+          console.log(`Moved account ${account.name} to its workspace`);
         } else {
           console.log(`Account already exists: ${account.name}`);
         }
@@ -457,6 +1396,18 @@ module.exports = {
   chatsDb,
   syncStatusDb,
   eventsDb,
+  apiKeysDb,
+  webhooksDb,
+  autoRepliesDb,
+  flowsDb,
+  contactsDb,
+  assignmentsDb,
+  notesDb,
+  cannedRepliesDb,
+  pipelineDb,
+  usersDb,
+  authSessionsDb,
+  orgsDb,
   migration,
   isConvexReady: () => api !== null,
 };
@@ -9,11 +9,27 @@
  */
 
 import type * as accounts from "../accounts.js";
+import type * as apiKeys from "../apiKeys.js";
+import type * as assignments from "../assignments.js";
+import type * as autoReplies from "../autoReplies.js";
 import type * as auth from "../auth.js";
+import type * as authActions from "../authActions.js";
+import type * as authSessions from "../authSessions.js";
+import type * as cannedReplies from "../cannedReplies.js";
 import type * as chats from "../chats.js";
 import type * as connectionEvents from "../connectionEvents.js";
+import type * as contacts from "../contacts.js";
+import type * as flows from "../flows.js";
+import type * as lib_organizations from "../lib/organizations.js";
+import type * as lib_permissions from "../lib/permissions.js";
+import type * as lib_server from "../lib/server.js";
+import type * as lib_totp from "../lib/totp.js";
+import type * as notes from "../notes.js";
+import type * as organizations from "../organizations.js";
+import type * as pipeline from "../pipeline.js";
 import type * as sessions from "../sessions.js";
 import type * as syncStatus from "../syncStatus.js";
+import type * as webhooks from "../webhooks.js";
 
 import type {
   ApiFromModules,
@@ -23,11 +39,27 @@ import type {
 
 declare const fullApi: ApiFromModules<{
   accounts: typeof accounts;
+  apiKeys: typeof apiKeys;
+  assignments: typeof assignments;
+  autoReplies: typeof autoReplies;
   auth: typeof auth;
+  authActions: typeof authActions;
+  authSessions: typeof authSessions;
+  cannedReplies: typeof cannedReplies;
   chats: typeof chats;
   connectionEvents: typeof connectionEvents;
+  contacts: typeof contacts;
+  flows: typeof flows;
+  "lib/organizations": typeof lib_organizations;
+  "lib/permissions": typeof lib_permissions;
+  "lib/server": typeof lib_server;
+  "lib/totp": typeof lib_totp;
+  notes: typeof notes;
+  organizations: typeof organizations;
+  pipeline: typeof pipeline;
   sessions: typeof sessions;
   syncStatus: typeof syncStatus;
+  webhooks: typeof webhooks;
 }>;
 
 /**
@@ -1,8 +1,8 @@
 import { v } from "convex/values";
-import { query, mutation } from "./_generated/server";
+import { serverQuery, serverMutation } from "./lib/server";
 
 // Get all accounts
-export const getAll = query({
+export const getAll = serverQuery({
   args: {},
   handler: async (ctx) => {
     return await ctx.db
@@ -13,7 +13,7 @@ export const getAll = query({
 });
 
 // Get active account
-export const getActive = query({
+export const getActive = serverQuery({
   args: {},
   handler: async (ctx) => {
     const activeAccount = await ctx.db
@@ -25,7 +25,7 @@ export const getActive = query({
 });
 
 // Get account by accountId
-export const getByAccountId = query({
+export const getByAccountId = serverQuery({
   args: { accountId: v.string() },
   handler: async (ctx, args) => {
     return await ctx.db
@@ -36,9 +36,10 @@ export const getByAccountId = query({
 });
 
 // Create a new account
-export const create = mutation({
+export const create = serverMutation({
   args: {
     accountId: v.string(),
+    orgId: v.optional(v.string()),
     name: v.string(),
     phone: v.optional(v.string()),
     isActive: v.boolean(),
@@ -58,6 +59,7 @@ export const create = mutation({
 
     const accountId = await ctx.db.insert("accounts", {
       accountId: args.accountId,
+      orgId: args.orgId,
       name: args.name,
       phone: args.phone,
       isActive: args.isActive,
@@ -70,9 +72,10 @@ export const create = mutation({
 });
 
 // Update account (upsert - creates if not exists)
-export const update = mutation({
+export const update = serverMutation({
   args: {
     accountId: v.string(),
+    orgId: v.optional(v.string()),
     name: v.optional(v.string()),
     phone: v.optional(v.string()),
     isActive: v.optional(v.boolean()),
@@ -89,6 +92,7 @@ export const update = mutation({
       console.log(`Account not found, creating: ${args.accountId}`);
       const newAccountId = await ctx.db.insert("accounts", {
         accountId: args.accountId,
+        orgId: args.orgId,
         name: args.name || `حساب ${args.accountId.slice(-4)}`,
         phone: args.phone,
         isActive: args.isActive || false,
@@ -109,6 +113,7 @@ export const update = mutation({
     }
 
     const updateData: Record<string, unknown> = { updatedAt: now };
+    if (args.orgId !== undefined) updateData.orgId = args.orgId;
     if (args.name !== undefined) updateData.name = args.name;
     if (args.phone !== undefined) updateData.phone = args.phone;
     if (args.isActive !== undefined) updateData.isActive = args.isActive;
@@ -120,7 +125,7 @@ export const update = mutation({
 });
 
 // Set active account
-export const setActive = mutation({
+export const setActive = serverMutation({
   args: { accountId: v.string() },
   handler: async (ctx, args) => {
     const now = Date.now();
@@ -148,7 +153,7 @@ export const setActive = mutation({
 });
 
 // Delete account
-export const remove = mutation({
+export const remove = serverMutation({
   args: { accountId: v.string() },
   handler: async (ctx, args) => {
     const account = await ctx.db
@@ -183,6 +188,14 @@ export const remove = mutation({
       for (const status of syncStatuses) {
         await ctx.db.delete(status._id);
       }
+
+      const accessRows = await ctx.db
+        .query("accountAccess")
+        .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+        .collect();
+      for (const row of accessRows) {
+        await ctx.db.delete(row._id);
+      }
     }
 
     return args.accountId;
@@ -0,0 +1,107 @@
+import { v } from "convex/values";
+import { query, mutation } from "./_generated/server";
+import { getUserAccess } from "./lib/organizations";
+import { permissionsOf, requirePermission } from "./lib/permissions";
+import { serverQuery, serverMutation } from "./lib/server";
+
+// Keys are managed by their owner: tokenHash is the session of the user asking
+
+// Get the signed-in user's keys (without hashes)
+export const getMine = query({
+  args: { tokenHash: v.string() },
+  handler: async (ctx, args) => {
+    const user = await requirePermission(ctx, args.tokenHash, "manageSettings");
+    const keys = await ctx.db
+      .query("apiKeys")
+      .withIndex("by_userId", (q) => q.eq("userId", user._id))
+      .order("desc")
+      .collect();
+
+    return keys.map((key) => ({
+      id: key._id,
+      name: key.name,
+      keyPrefix: key.keyPrefix,
+      lastUsedAt: key.lastUsedAt,
+      revokedAt: key.revokedAt,
+      createdAt: key.createdAt,
+    }));
+  },
+});
+
+// Find a key by its hash (used by the server to authenticate requests)
+export const getByHash = serverQuery({
+  args: { keyHash: v.string() },
+  handler: async (ctx, args) => {
+    const key = await ctx.db
+      .query("apiKeys")
+      .withIndex("by_keyHash", (q) => q.eq("keyHash", args.keyHash))
+      .first();
+
+    if (!key || key.revokedAt) return null;
+
+    // A key has the role and the accounts of its owner, and stops working with a disabled owner
+    const userId = ctx.db.normalizeId("users", key.userId);
+    const user = userId ? await ctx.db.get(userId) : null;
+    if (!user || !user.isActive) return null;
+
+    return {
+      id: key._id,
+      userId: key.userId,
+      name: key.name,
+      permissions: permissionsOf(user.role),
+      access: await getUserAccess(ctx, user),
+    };
+  },
+});
+
+// Create a new key for the signed-in user (the server generates the key and sends only its hash)
+export const create = mutation({
+  args: {
+    tokenHash: v.string(),
+    name: v.string(),
+    keyHash: v.string(),
+    keyPrefix: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const user = await requirePermission(ctx, args.tokenHash, "manageSettings");
+    if (!args.name.trim()) {
+      throw new Error("اسم المفتاح مطلوب");
+    }
+
+    return await ctx.db.insert("apiKeys", {
+      userId: user._id,
+      name: args.name.trim(),
+      keyHash: args.keyHash,
+      keyPrefix: args.keyPrefix,
+      createdAt: Date.now(),
+    });
+  },
+});
+
+// Record key usage
+export const touch = serverMutation({
+  args: { id: v.id("apiKeys") },
+  handler: async (ctx, args) => {
+    await ctx.db.patch(args.id, { lastUsedAt: Date.now() });
+  },
+});
+
+// Revoke one of the signed-in user's keys
+export const revoke = mutation({
+  args: {
+    tokenHash: v.string(),
+    id: v.id("apiKeys"),
+  },
+  handler: async (ctx, args) => {
+    const user = await requirePermission(ctx, args.tokenHash, "manageSettings");
+    const key = await ctx.db.get(args.id);
+
+    if (!key || key.userId !== user._id) {
+      throw new Error("المفتاح غير موجود");
+    }
+
+    await ctx.db.patch(args.id, { revokedAt: Date.now() });
+
+    return { success: true };
+  },
+});
@@ -0,0 +1,244 @@
+import { v } from "convex/values";
+import { query } from "./_generated/server";
+import type { QueryCtx, MutationCtx } from "./_generated/server";
+import { canUseAccount, requireOrgMember } from "./lib/organizations";
+import { serverQuery, serverMutation } from "./lib/server";
+
+const getAssignment = (ctx: MutationCtx, accountId: string, chatId: string) =>
+  ctx.db
+    .query("chatAssignments")
+    .withIndex("by_accountId_chatId", (q) =>
+      q.eq("accountId", accountId).eq("chatId", chatId)
+    )
+    .first();
+
+// Whether a user can be given an account's chats: an active user who may use the account
+const isTeamMember = async (ctx: QueryCtx, accountId: string, userId: string) => {
+  const id = ctx.db.normalizeId("users", userId);
+  const user = id ? await ctx.db.get(id) : null;
+  return !!user?.isActive && (await canUseAccount(ctx, user, accountId));
+};
+
+// Active members of a workspace, whom its chats can be assigned to (only those who may use
+// accountId, when given); tokenHash is the session of a user of the workspace
+export const getTeamMembers = query({
+  args: {
+    tokenHash: v.string(),
+    orgId: v.id("organizations"),
+    accountId: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    await requireOrgMember(ctx, args.tokenHash, args.orgId);
+
+    const memberships = await ctx.db
+      .query("orgMembers")
+      .withIndex("by_orgId", (q) => q.eq("orgId", args.orgId))
+      .collect();
+    const members = [];
+    for (const membership of memberships) {
+      const user = await ctx.db.get(membership.userId);
+      if (!user?.isActive) continue;
+      if (args.accountId && !(await canUseAccount(ctx, user, args.accountId))) continue;
+      members.push({ id: user._id, name: user.name, email: user.email });
+    }
+    return members;
+  },
+});
+
+// Current assignments of an account's chats
+export const getByAccountId = serverQuery({
+  args: { accountId: v.string() },
+  handler: async (ctx, args) => {
+    const assignments = await ctx.db
+      .query("chatAssignments")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .collect();
+
+    return assignments.map((assignment) => ({
+      chatId: assignment.chatId,
+      assigneeId: assignment.assigneeId,
+      assignedBy: assignment.assignedBy ?? null,
+      assignedAt: assignment.assignedAt,
+    }));
+  },
+});
+
+// Assignment changes of a chat, newest first
+export const getHistory = serverQuery({
+  args: { accountId: v.string(), chatId: v.string() },
+  handler: async (ctx, args) => {
+    const history = await ctx.db
+      .query("chatAssignmentHistory")
+      .withIndex("by_accountId_chatId", (q) =>
+        q.eq("accountId", args.accountId).eq("chatId", args.chatId)
+      )
+      .collect();
+
+    return history
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map((entry) => ({
+        id: entry._id,
+        fromUserId: entry.fromUserId ?? null,
+        toUserId: entry.toUserId ?? null,
+        byUserId: entry.byUserId ?? null,
+        reason: entry.reason,
+        createdAt: entry.createdAt,
+      }));
+  },
+});
+
+// Assign a chat to a user (assigneeId missing = unassign)
+export const assign = serverMutation({
+  args: {
+    accountId: v.string(),
+    chatId: v.string(),
+    assigneeId: v.optional(v.string()),
+    byUserId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    if (args.assigneeId && !(await isTeamMember(ctx, args.accountId, args.assigneeId))) {
+      throw new Error("عضو الفريق لا يملك صلاحية على هذا الحساب");
+    }
+
+    const existing = await getAssignment(ctx, args.accountId, args.chatId);
+    const previousAssigneeId = existing?.assigneeId;
+    if (previousAssigneeId === args.assigneeId) {
+      return { changed: false, previousAssigneeId: previousAssigneeId ?? null };
+    }
+
+    const now = Date.now();
+    if (!args.assigneeId) {
+      if (existing) await ctx.db.delete(existing._id);
+    } else if (existing) {
+      await ctx.db.patch(existing._id, { assigneeId: args.assigneeId, assignedBy: args.byUserId, assignedAt: now });
+    } else {
+      await ctx.db.insert("chatAssignments", {
+        accountId: args.accountId,
+        chatId: args.chatId,
+        assigneeId: args.assigneeId,
+        assignedBy: args.byUserId,
+        assignedAt: now,
+      });
+    }
+
+    await ctx.db.insert("chatAssignmentHistory", {
+      accountId: args.accountId,
+      chatId: args.chatId,
+      fromUserId: previousAssigneeId,
+      toUserId: args.assigneeId,
+      byUserId: args.byUserId,
+      reason: "manual",
+      createdAt: now,
+    });
+
+    return { changed: true, previousAssigneeId: previousAssigneeId ?? null };
+  },
+});
+
+// Assign an unassigned chat using the account's rule
+// (runs as one transaction, so two messages can't assign the same chat twice)
+// Returns the chat's assignee (reason null = it was already assigned), or null when no rule applies
+export const autoAssign = serverMutation({
+  args: { accountId: v.string(), chatId: v.string() },
+  handler: async (ctx, args) => {
+    const existing = await getAssignment(ctx, args.accountId, args.chatId);
+    if (existing) return { assigneeId: existing.assigneeId, reason: null };
+
+    const settings = await ctx.db
+      .query("assignmentSettings")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .first();
+    if (!settings || settings.mode === "manual") return null;
+
+    // Only users that can still sign in and are still in the workspace receive chats
+    const agentIds: string[] = [];
+    for (const agentId of settings.agentIds) {
+      if (await isTeamMember(ctx, args.accountId, agentId)) agentIds.push(agentId);
+    }
+    if (agentIds.length === 0) return null;
+
+    let assigneeId: string;
+    if (settings.mode === "least_loaded") {
+      const assignments = await ctx.db
+        .query("chatAssignments")
+        .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+        .collect();
+      const load = (agentId: string) => assignments.filter((a) => a.assigneeId === agentId).length;
+      // Ties go to the agent listed first
+      assigneeId = agentIds.reduce((best, agentId) => (load(agentId) < load(best) ? agentId : best));
+    } else {
+      const lastIndex = settings.lastAssigneeId ? agentIds.indexOf(settings.lastAssigneeId) : -1;
+      assigneeId = agentIds[(lastIndex + 1) % agentIds.length];
+    }
+
+    const now = Date.now();
+    await ctx.db.insert("chatAssignments", {
+      accountId: args.accountId,
+      chatId: args.chatId,
+      assigneeId,
+      assignedAt: now,
+    });
+    await ctx.db.insert("chatAssignmentHistory", {
+      accountId: args.accountId,
+      chatId: args.chatId,
+      toUserId: assigneeId,
+      reason: settings.mode,
+      createdAt: now,
+    });
+    await ctx.db.patch(settings._id, { lastAssigneeId: assigneeId });
+
+    return { assigneeId, reason: settings.mode };
+  },
+});
+
+// Assignment rule of an account (manual when never configured)
+export const getSettings = serverQuery({
+  args: { accountId: v.string() },
+  handler: async (ctx, args) => {
+    const settings = await ctx.db
+      .query("assignmentSettings")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .first();
+
+    return {
+      accountId: args.accountId,
+      mode: settings?.mode ?? "manual",
+      agentIds: settings?.agentIds ?? [],
+    };
+  },
+});
+
+// Save the assignment rule of an account (the server validates the mode; the agents must be
+// members of the account's workspace)
+export const saveSettings = serverMutation({
+  args: {
+    accountId: v.string(),
+    mode: v.string(),
+    agentIds: v.array(v.string()),
+  },
+  handler: async (ctx, args) => {
+    for (const agentId of args.agentIds) {
+      if (!(await isTeamMember(ctx, args.accountId, agentId))) {
+        throw new Error("أحد الموظفين لا يملك صلاحية على هذا الحساب");
+      }
+    }
+
+    const now = Date.now();
+    const existing = await ctx.db
+      .query("assignmentSettings")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .first();
+
+    if (existing) {
+      await ctx.db.patch(existing._id, { mode: args.mode, agentIds: args.agentIds, updatedAt: now });
+      return existing._id;
+    }
+
+    return await ctx.db.insert("assignmentSettings", {
+      accountId: args.accountId,
+      mode: args.mode,
+      agentIds: args.agentIds,
+      updatedAt: now,
+    });
+  },
+});
@@ -1,35 +1,38 @@
 import { v } from "convex/values";
-import { query, mutation } from "./_generated/server";
-
-// Simple hash function (for demo - in production use bcrypt)
-function simpleHash(password: string): string {
-  let hash = 0;
-  for (let i = 0; i < password.length; i++) {
-    const char = password.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  // Add salt
-  const salt = "whatsapp_pro_2024";
-  for (let i = 0; i < salt.length; i++) {
-    const char = salt.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  return hash.toString(16);
-}
+import { query, mutation, internalQuery, internalMutation, type MutationCtx } from "./_generated/server";
+import type { Id } from "./_generated/dataModel";
+import { ROLES, normalizeRole, requirePermission } from "./lib/permissions";
+
+// Passwords are hashed and checked by the actions in authActions.ts (scrypt needs Node), and so
+// are two-factor codes; the functions below only read and write the user records, the login
+// challenges and the password reset links
 
-// Register a new user
-export const register = mutation({
+const LOGIN_CHALLENGE_TTL = 5 * 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const PASSWORD_RESET_TTL = 60 * 60 * 1000;
+
+// A user with the password hash, for the login action
+export const getCredentials = internalQuery({
+  args: { email: v.string() },
+  handler: async (ctx, args) => {
+    return await ctx.db
+      .query("users")
+      .withIndex("by_email", (q) => q.eq("email", args.email.toLowerCase()))
+      .first();
+  },
+});
+
+// Create a user with an already hashed password
+export const createUser = internalMutation({
   args: {
     email: v.string(),
-    password: v.string(),
+    passwordHash: v.string(),
     name: v.string(),
+    role: v.string(),
   },
   handler: async (ctx, args) => {
     const now = Date.now();
 
-    // Check if email already exists
     const existing = await ctx.db
       .query("users")
       .withIndex("by_email", (q) => q.eq("email", args.email.toLowerCase()))
@@ -39,88 +42,243 @@ export const register = mutation({
       throw new Error("البريد الإلكتروني مستخدم بالفعل");
     }
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(args.email)) {
-      throw new Error("البريد الإلكتروني غير صالح");
-    }
-
-    // Validate password length
-    if (args.password.length < 6) {
-      throw new Error("كلمة المرور يجب أن تكون 6 أحرف على الأقل");
-    }
-
-    // Hash password
-    const passwordHash = simpleHash(args.password);
-
-    // Create user
-    const userId = await ctx.db.insert("users", {
+    return await ctx.db.insert("users", {
       email: args.email.toLowerCase(),
-      passwordHash,
+      passwordHash: args.passwordHash,
       name: args.name,
-      role: "user",
+      role: args.role,
       isActive: true,
       lastLogin: now,
       createdAt: now,
       updatedAt: now,
     });
-
-    return {
-      success: true,
-      userId: userId,
-      email: args.email,
-      name: args.name,
-    };
   },
 });
 
-// Login user
-export const login = mutation({
+// Record a login, with the new hash when the password was rehashed
+export const recordLogin = internalMutation({
   args: {
-    email: v.string(),
-    password: v.string(),
+    userId: v.id("users"),
+    passwordHash: v.optional(v.string()),
   },
   handler: async (ctx, args) => {
     const now = Date.now();
+    await ctx.db.patch(args.userId, {
+      lastLogin: now,
+      updatedAt: now,
+      ...(args.passwordHash ? { passwordHash: args.passwordHash } : {}),
+    });
+  },
+});
 
-    // Find user by email
-    const user = await ctx.db
-      .query("users")
-      .withIndex("by_email", (q) => q.eq("email", args.email.toLowerCase()))
-      .first();
+// Reset links sent before a password change stop working
+const expirePasswordResets = async (ctx: MutationCtx, userId: Id<"users">) => {
+  const now = Date.now();
+  const resets = await ctx.db
+    .query("passwordResets")
+    .withIndex("by_userId", (q) => q.eq("userId", userId))
+    .collect();
+  for (const reset of resets) {
+    if (!reset.usedAt) await ctx.db.patch(reset._id, { usedAt: now });
+  }
+};
 
-    if (!user) {
-      throw new Error("البريد الإلكتروني أو كلمة المرور غير صحيحة");
-    }
+export const setPasswordHash = internalMutation({
+  args: {
+    userId: v.id("users"),
+    passwordHash: v.string(),
+  },
+  handler: async (ctx, args) => {
+    await ctx.db.patch(args.userId, { passwordHash: args.passwordHash, updatedAt: Date.now() });
+    await expirePasswordResets(ctx, args.userId);
+  },
+});
+
+export const getUser = internalQuery({
+  args: { userId: v.id("users") },
+  handler: async (ctx, args) => await ctx.db.get(args.userId),
+});
+
+// ==================== Two-Factor Sign-In ====================
 
-    // Check if user is active
-    if (!user.isActive) {
-      throw new Error("الحساب معطل");
+// Keep a new secret until the user proves their app has it (enableTotp)
+export const setTotpPendingSecret = internalMutation({
+  args: {
+    userId: v.id("users"),
+    secret: v.string(),
+  },
+  handler: async (ctx, args) => {
+    await ctx.db.patch(args.userId, { totpPendingSecret: args.secret, updatedAt: Date.now() });
+  },
+});
+
+export const enableTotp = internalMutation({
+  args: {
+    userId: v.id("users"),
+    secret: v.string(),
+    step: v.number(),
+    recoveryCodeHashes: v.array(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const user = await ctx.db.get(args.userId);
+    // Set up again in another tab meanwhile
+    if (!user || user.totpPendingSecret !== args.secret) {
+      throw new Error("انتهت صلاحية رمز الإعداد، ابدأ من جديد");
     }
 
-    // Verify password
-    const passwordHash = simpleHash(args.password);
-    if (user.passwordHash !== passwordHash) {
-      throw new Error("البريد الإلكتروني أو كلمة المرور غير صحيحة");
+    const now = Date.now();
+    await ctx.db.patch(args.userId, {
+      totpSecret: args.secret,
+      totpPendingSecret: undefined,
+      totpEnabledAt: now,
+      totpLastStep: args.step,
+      recoveryCodeHashes: args.recoveryCodeHashes,
+      updatedAt: now,
+    });
+  },
+});
+
+export const disableTotp = internalMutation({
+  args: { userId: v.id("users") },
+  handler: async (ctx, args) => {
+    await ctx.db.patch(args.userId, {
+      totpSecret: undefined,
+      totpPendingSecret: undefined,
+      totpEnabledAt: undefined,
+      totpLastStep: undefined,
+      recoveryCodeHashes: undefined,
+      updatedAt: Date.now(),
+    });
+  },
+});
+
+export const setRecoveryCodes = internalMutation({
+  args: {
+    userId: v.id("users"),
+    recoveryCodeHashes: v.array(v.string()),
+  },
+  handler: async (ctx, args) => {
+    await ctx.db.patch(args.userId, { recoveryCodeHashes: args.recoveryCodeHashes, updatedAt: Date.now() });
+  },
+});
+
+// Use up a checked code: a TOTP step can't be used again, nor can a recovery code. False when
+// another request used it first
+export const consumeSecondFactor = internalMutation({
+  args: {
+    userId: v.id("users"),
+    step: v.optional(v.number()),
+    recoveryCodeHash: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const user = await ctx.db.get(args.userId);
+    if (!user || !user.totpEnabledAt) return false;
+
+    if (args.step !== undefined) {
+      if ((user.totpLastStep ?? -1) >= args.step) return false;
+      await ctx.db.patch(user._id, { totpLastStep: args.step });
+      return true;
     }
 
-    // Update last login
-    await ctx.db.patch(user._id, { lastLogin: now, updatedAt: now });
+    const remaining = (user.recoveryCodeHashes ?? []).filter((hash) => hash !== args.recoveryCodeHash);
+    if (remaining.length === (user.recoveryCodeHashes ?? []).length) return false;
+    await ctx.db.patch(user._id, { recoveryCodeHashes: remaining, updatedAt: Date.now() });
+    return true;
+  },
+});
 
-    return {
-      success: true,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-      },
-    };
+// A correct password of a user with two-factor sign-in: the code is asked for with this challenge
+export const createLoginChallenge = internalMutation({
+  args: {
+    userId: v.id("users"),
+    tokenHash: v.string(),
+    userAgent: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const now = Date.now();
+    const expiresAt = now + LOGIN_CHALLENGE_TTL;
+    await ctx.db.insert("loginChallenges", { ...args, attempts: 0, expiresAt, createdAt: now });
+    return expiresAt;
+  },
+});
+
+// An open challenge, or null once it was used, expired or had too many wrong codes
+export const getLoginChallenge = internalQuery({
+  args: { tokenHash: v.string() },
+  handler: async (ctx, args) => {
+    const challenge = await ctx.db
+      .query("loginChallenges")
+      .withIndex("by_tokenHash", (q) => q.eq("tokenHash", args.tokenHash))
+      .first();
+
+    if (!challenge || challenge.usedAt || challenge.expiresAt <= Date.now()) return null;
+    if (challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) return null;
+    return challenge;
+  },
+});
+
+export const recordChallengeAttempt = internalMutation({
+  args: { challengeId: v.id("loginChallenges") },
+  handler: async (ctx, args) => {
+    const challenge = await ctx.db.get(args.challengeId);
+    if (challenge) await ctx.db.patch(challenge._id, { attempts: challenge.attempts + 1 });
+  },
+});
+
+// Close a challenge once its code was accepted; false if it was already closed
+export const useLoginChallenge = internalMutation({
+  args: { challengeId: v.id("loginChallenges") },
+  handler: async (ctx, args) => {
+    const challenge = await ctx.db.get(args.challengeId);
+    if (!challenge || challenge.usedAt) return false;
+    await ctx.db.patch(challenge._id, { usedAt: Date.now() });
+    return true;
+  },
+});
+
+// ==================== Password Reset ====================
+
+// A new reset link replaces the ones sent before
+export const createPasswordReset = internalMutation({
+  args: {
+    userId: v.id("users"),
+    tokenHash: v.string(),
+  },
+  handler: async (ctx, args) => {
+    await expirePasswordResets(ctx, args.userId);
+
+    const now = Date.now();
+    const expiresAt = now + PASSWORD_RESET_TTL;
+    await ctx.db.insert("passwordResets", { ...args, expiresAt, createdAt: now });
+    return expiresAt;
+  },
+});
+
+// Set the new password of a reset link and use the link up; null if it no longer works
+export const completePasswordReset = internalMutation({
+  args: {
+    tokenHash: v.string(),
+    passwordHash: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const now = Date.now();
+    const reset = await ctx.db
+      .query("passwordResets")
+      .withIndex("by_tokenHash", (q) => q.eq("tokenHash", args.tokenHash))
+      .first();
+    if (!reset || reset.usedAt || reset.expiresAt <= now) return null;
+
+    const user = await ctx.db.get(reset.userId);
+    if (!user || !user.isActive) return null;
+
+    await ctx.db.patch(user._id, { passwordHash: args.passwordHash, updatedAt: now });
+    await expirePasswordResets(ctx, user._id);
+    return user._id;
   },
 });
 
 // Get user by email
-export const getByEmail = query({
+export const getByEmail = internalQuery({
   args: { email: v.string() },
   handler: async (ctx, args) => {
     const user = await ctx.db
@@ -142,7 +300,7 @@ export const getByEmail = query({
 });
 
 // Check if user exists
-export const exists = query({
+export const exists = internalQuery({
   args: { email: v.string() },
   handler: async (ctx, args) => {
     const user = await ctx.db
@@ -154,43 +312,58 @@ export const exists = query({
   },
 });
 
-// Get all users (admin only)
+// Get all users (admin screen); tokenHash is the session of the user asking
 export const getAll = query({
-  args: {},
-  handler: async (ctx) => {
+  args: { tokenHash: v.string() },
+  handler: async (ctx, args) => {
+    await requirePermission(ctx, args.tokenHash, "manageUsers");
+
     const users = await ctx.db.query("users").collect();
     return users.map((user) => ({
       id: user._id,
       email: user.email,
       name: user.name,
-      role: user.role,
+      role: normalizeRole(user.role),
       isActive: user.isActive,
       lastLogin: user.lastLogin,
+      twoFactorEnabled: !!user.totpEnabledAt,
       createdAt: user.createdAt,
     }));
   },
 });
 
-// Update user
+// Change a user's role or disable them (admin screen)
 export const update = mutation({
   args: {
-    email: v.string(),
+    tokenHash: v.string(),
+    userId: v.id("users"),
     name: v.optional(v.string()),
     isActive: v.optional(v.boolean()),
     role: v.optional(v.string()),
   },
   handler: async (ctx, args) => {
-    const now = Date.now();
-    const user = await ctx.db
-      .query("users")
-      .withIndex("by_email", (q) => q.eq("email", args.email.toLowerCase()))
-      .first();
+    const actor = await requirePermission(ctx, args.tokenHash, "manageUsers");
+    const user = await ctx.db.get(args.userId);
 
     if (!user) {
       throw new Error("المستخدم غير موجود");
     }
+    if (args.role !== undefined && !(ROLES as readonly string[]).includes(args.role)) {
+      throw new Error("دور غير معروف");
+    }
+
+    // The server must keep at least one active admin
+    const losesAdmin = normalizeRole(user.role) === "admin"
+      && ((args.role !== undefined && args.role !== "admin") || args.isActive === false);
+    if (losesAdmin) {
+      const admins = (await ctx.db.query("users").collect())
+        .filter((u) => u.isActive && normalizeRole(u.role) === "admin");
+      if (admins.length <= 1) {
+        throw new Error(user._id === actor._id ? "لا يمكنك إزالة صلاحية المدير الوحيد" : "يجب أن يبقى مدير واحد على الأقل");
+      }
+    }
 
-    const updateData: Record<string, unknown> = { updatedAt: now };
+    const updateData: Record<string, unknown> = { updatedAt: Date.now() };
     if (args.name !== undefined) updateData.name = args.name;
     if (args.isActive !== undefined) updateData.isActive = args.isActive;
     if (args.role !== undefined) updateData.role = args.role;
@@ -200,74 +373,3 @@ export const update = mutation({
     return { success: true };
   },
 });
-
-// Change password
-export const changePassword = mutation({
-  args: {
-    email: v.string(),
-    currentPassword: v.string(),
-    newPassword: v.string(),
-  },
-  handler: async (ctx, args) => {
-    const now = Date.now();
-
-    const user = await ctx.db
-      .query("users")
-      .withIndex("by_email", (q) => q.eq("email", args.email.toLowerCase()))
-      .first();
-
-    if (!user) {
-      throw new Error("المستخدم غير موجود");
-    }
-
-    // Verify current password
-    const currentHash = simpleHash(args.currentPassword);
-    if (user.passwordHash !== currentHash) {
-      throw new Error("كلمة المرور الحالية غير صحيحة");
-    }
-
-    // Validate new password
-    if (args.newPassword.length < 6) {
-      throw new Error("كلمة المرور الجديدة يجب أن تكون 6 أحرف على الأقل");
-    }
-
-    // Update password
-    const newHash = simpleHash(args.newPassword);
-    await ctx.db.patch(user._id, { passwordHash: newHash, updatedAt: now });
-
-    return { success: true };
-  },
-});
-
-// Create default admin user if not exists
-export const createDefaultAdmin = mutation({
-  args: {},
-  handler: async (ctx) => {
-    const now = Date.now();
-
-    // Check if any admin exists
-    const existingAdmin = await ctx.db
-      .query("users")
-      .withIndex("by_email", (q) => q.eq("email", "admin@whatsapp.pro"))
-      .first();
-
-    if (existingAdmin) {
-      return { success: false, message: "Admin already exists" };
-    }
-
-    // Create default admin
-    const passwordHash = simpleHash("admin123");
-    await ctx.db.insert("users", {
-      email: "admin@whatsapp.pro",
-      passwordHash,
-      name: "مدير النظام",
-      role: "admin",
-      isActive: true,
-      lastLogin: now,
-      createdAt: now,
-      updatedAt: now,
-    });
-
-    return { success: true, message: "Default admin created" };
-  },
-});
@@ -0,0 +1,502 @@
+"use node";
+
+import { v } from "convex/values";
+import { scrypt, randomBytes, timingSafeEqual, createHash, type ScryptOptions } from "node:crypto";
+import { action, internalAction, type ActionCtx } from "./_generated/server";
+import { api, internal } from "./_generated/api";
+import type { Doc, Id } from "./_generated/dataModel";
+import { requiresTwoFactor, toSessionUser, type Permission, type Role } from "./lib/permissions";
+import { requireServer } from "./lib/server";
+import { generateTotpSecret, totpUri, verifyTotp } from "./lib/totp";
+
+// Password hashes are "scrypt$N$r$p$salt$hash" (base64 salt and hash). Raising the cost here
+// rehashes every user on their next login
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const MIN_PASSWORD_LENGTH = 6;
+// Name authenticator apps show next to the code
+const TOTP_ISSUER = "WhatsApp Pro";
+const RECOVERY_CODE_COUNT = 10;
+
+const deriveKey = (password: string, salt: Buffer, { N, r, p }: typeof SCRYPT_PARAMS) =>
+  new Promise<Buffer>((resolve, reject) => {
+    const options: ScryptOptions = { N, r, p, maxmem: 256 * N * r };
+    scrypt(password, salt, KEY_LENGTH, options, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+
+const hashPassword = async (password: string) => {
+  const salt = randomBytes(SALT_LENGTH);
+  const key = await deriveKey(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `scrypt$${N}$${r}$${p}$${salt.toString("base64")}$${key.toString("base64")}`;
+};
+
+// The 32-bit hash passwords were stored with before scrypt; only used to let those users in once
+function legacySimpleHash(password: string): string {
+  let hash = 0;
+  for (let i = 0; i < password.length; i++) {
+    const char = password.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash;
+  }
+  const salt = "whatsapp_pro_2024";
+  for (let i = 0; i < salt.length; i++) {
+    const char = salt.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash;
+  }
+  return hash.toString(16);
+}
+
+// What login and refresh return (annotated: actions calling into the same API can't infer it)
+interface SessionUser {
+  id: Id<"users">;
+  email: string;
+  name: string;
+  role: Role;
+  permissions: Permission[];
+  twoFactor: { enabled: boolean; required: boolean; recoveryCodesLeft: number };
+}
+
+interface SessionTokens {
+  success: true;
+  user: SessionUser;
+  token: string;
+  expiresAt: number;
+  refreshToken: string;
+  refreshExpiresAt: number;
+}
+
+interface SessionExpiry {
+  expiresAt: number;
+  refreshExpiresAt: number;
+}
+
+interface ValidatedSession {
+  sessionId: Id<"authSessions">;
+  expiresAt: number;
+  user: SessionUser;
+}
+
+// What the actions changing a user's own login return; the server forgets that user's cached sessions
+interface UserUpdate {
+  success: true;
+  userId: Id<"users">;
+}
+
+// What login returns instead of a session when the user signs in with a second factor
+interface TwoFactorChallenge {
+  success: true;
+  twoFactorRequired: true;
+  challengeToken: string;
+  expiresAt: number;
+}
+
+// Check a password; needsRehash when the stored hash is legacy or uses older parameters
+const verifyPassword = async (password: string, stored: string) => {
+  const [scheme, N, r, p, salt, hash] = stored.split("$");
+  if (scheme !== "scrypt") {
+    const valid = legacySimpleHash(password) === stored;
+    return { valid, needsRehash: valid };
+  }
+
+  const params = { N: Number(N), r: Number(r), p: Number(p) };
+  const expected = Buffer.from(hash, "base64");
+  const key = await deriveKey(password, Buffer.from(salt, "base64"), params);
+  const valid = key.length === expected.length && timingSafeEqual(key, expected);
+  const needsRehash = params.N !== SCRYPT_PARAMS.N || params.r !== SCRYPT_PARAMS.r || params.p !== SCRYPT_PARAMS.p;
+  return { valid, needsRehash: valid && needsRehash };
+};
+
+const hashToken = (token: string) => createHash("sha256").update(token).digest("hex");
+const generateToken = () => randomBytes(32).toString("base64url");
+
+const validatePassword = (password: string) => {
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`كلمة المرور يجب أن تكون ${MIN_PASSWORD_LENGTH} أحرف على الأقل`);
+  }
+};
+
+// Recovery codes are typed by hand: "xxxxx-xxxxx", compared without the dash, spaces or case
+const normalizeRecoveryCode = (code: string) => code.replace(/[\s-]/g, "").toLowerCase();
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+const startSession = async (ctx: ActionCtx, user: Doc<"users">, userAgent?: string): Promise<SessionTokens> => {
+  const token = generateToken();
+  const refreshToken = generateToken();
+  const { expiresAt, refreshExpiresAt }: SessionExpiry = await ctx.runMutation(internal.authSessions.create, {
+    userId: user._id,
+    tokenHash: hashToken(token),
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent,
+  });
+
+  return {
+    success: true,
+    user: toSessionUser(user),
+    token,
+    expiresAt,
+    refreshToken,
+    refreshExpiresAt,
+  };
+};
+
+// The session and user of an access token, for the actions a signed-in user runs on their own login
+const requireSessionUser = async (
+  ctx: ActionCtx,
+  token: string
+): Promise<{ session: ValidatedSession; user: Doc<"users"> }> => {
+  const session: ValidatedSession | null = await ctx.runQuery(
+    api.authSessions.validate,
+    { tokenHash: hashToken(token) }
+  );
+  const user: Doc<"users"> | null = session ? await ctx.runQuery(internal.auth.getUser, { userId: session.user.id }) : null;
+  if (!session || !user) {
+    throw new Error("انتهت الجلسة، يرجى تسجيل الدخول مرة أخرى");
+  }
+  return { session, user };
+};
+
+// Check a code from the authenticator app, or one of the recovery codes, and use it up so it
+// can't be replayed
+const checkSecondFactor = async (ctx: ActionCtx, user: Doc<"users">, code: string): Promise<boolean> => {
+  if (!user.totpSecret) return false;
+
+  const step = verifyTotp(user.totpSecret, code, user.totpLastStep);
+  if (step !== null) {
+    return await ctx.runMutation(internal.auth.consumeSecondFactor, { userId: user._id, step });
+  }
+
+  const recoveryCodeHash = hashToken(normalizeRecoveryCode(code));
+  if (!user.recoveryCodeHashes?.includes(recoveryCodeHash)) return false;
+  return await ctx.runMutation(internal.auth.consumeSecondFactor, { userId: user._id, recoveryCodeHash });
+};
+
+// Register a new user
+export const register = action({
+  args: {
+    email: v.string(),
+    password: v.string(),
+    name: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(args.email)) {
+      throw new Error("البريد الإلكتروني غير صالح");
+    }
+    validatePassword(args.password);
+
+    const userId: Id<"users"> = await ctx.runMutation(internal.auth.createUser, {
+      email: args.email,
+      passwordHash: await hashPassword(args.password),
+      name: args.name,
+      // The least privileged role; an admin promotes them
+      role: "agent",
+    });
+
+    return {
+      success: true,
+      userId,
+      email: args.email,
+      name: args.name,
+    };
+  },
+});
+
+// Login: check the password and start a session. The tokens are returned once, only their
+// hashes are stored. Users with two-factor sign-in get a challenge for verifyLoginCode instead.
+// Only the server calls it (POST /api/auth/login), which limits the failed attempts
+export const login = action({
+  args: {
+    serverSecret: v.string(),
+    email: v.string(),
+    password: v.string(),
+    userAgent: v.optional(v.string()),
+  },
+  handler: async (ctx, args): Promise<SessionTokens | TwoFactorChallenge> => {
+    requireServer(args.serverSecret);
+
+    const user: Doc<"users"> | null = await ctx.runQuery(internal.auth.getCredentials, { email: args.email });
+
+    // Same work and message whether the email exists or not
+    const { valid, needsRehash } = await verifyPassword(
+      args.password,
+      user?.passwordHash ?? `scrypt$${SCRYPT_PARAMS.N}$${SCRYPT_PARAMS.r}$${SCRYPT_PARAMS.p}$$`
+    );
+    if (!user || !valid) {
+      throw new Error("البريد الإلكتروني أو كلمة المرور غير صحيحة");
+    }
+    if (!user.isActive) {
+      throw new Error("الحساب معطل");
+    }
+
+    // Nothing is recorded before the second factor: a known password alone isn't a login. The
+    // rehash needs the password, so two-factor users keep their old hash until a password change
+    if (user.totpEnabledAt) {
+      const challengeToken = generateToken();
+      const expiresAt: number = await ctx.runMutation(internal.auth.createLoginChallenge, {
+        userId: user._id,
+        tokenHash: hashToken(challengeToken),
+        userAgent: args.userAgent,
+      });
+      return { success: true, twoFactorRequired: true, challengeToken, expiresAt };
+    }
+
+    await ctx.runMutation(internal.auth.recordLogin, {
+      userId: user._id,
+      passwordHash: needsRehash ? await hashPassword(args.password) : undefined,
+    });
+    return await startSession(ctx, user, args.userAgent);
+  },
+});
+
+// Second login step: the code from the authenticator app (or a recovery code) for the challenge
+// login returned. A challenge takes a few wrong codes, then the password is asked for again.
+// Only the server calls it (POST /api/auth/login/2fa), like login
+export const verifyLoginCode = action({
+  args: {
+    serverSecret: v.string(),
+    challengeToken: v.string(),
+    code: v.string(),
+  },
+  handler: async (ctx, args): Promise<SessionTokens> => {
+    requireServer(args.serverSecret);
+
+    const challenge: Doc<"loginChallenges"> | null = await ctx.runQuery(internal.auth.getLoginChallenge, {
+      tokenHash: hashToken(args.challengeToken),
+    });
+    if (!challenge) {
+      throw new Error("انتهت مهلة تسجيل الدخول، أدخل كلمة المرور مرة أخرى");
+    }
+
+    const user: Doc<"users"> | null = await ctx.runQuery(internal.auth.getUser, { userId: challenge.userId });
+    if (!user || !user.isActive) {
+      throw new Error("الحساب معطل");
+    }
+
+    if (!(await checkSecondFactor(ctx, user, args.code))) {
+      await ctx.runMutation(internal.auth.recordChallengeAttempt, { challengeId: challenge._id });
+      throw new Error("رمز التحقق غير صحيح");
+    }
+    if (!(await ctx.runMutation(internal.auth.useLoginChallenge, { challengeId: challenge._id }))) {
+      throw new Error("انتهت مهلة تسجيل الدخول، أدخل كلمة المرور مرة أخرى");
+    }
+
+    await ctx.runMutation(internal.auth.recordLogin, { userId: user._id });
+    return await startSession(ctx, user, challenge.userAgent);
+  },
+});
+
+// Swap a refresh token for a new access token and refresh token
+export const refresh = action({
+  args: { refreshToken: v.string() },
+  handler: async (ctx, args): Promise<SessionTokens> => {
+    const token = generateToken();
+    const refreshToken = generateToken();
+    const session: (SessionExpiry & { user: SessionUser }) | null = await ctx.runMutation(internal.authSessions.rotate, {
+      refreshTokenHash: hashToken(args.refreshToken),
+      tokenHash: hashToken(token),
+      newRefreshTokenHash: hashToken(refreshToken),
+    });
+
+    if (!session) {
+      throw new Error("انتهت الجلسة، يرجى تسجيل الدخول مرة أخرى");
+    }
+
+    return { success: true, ...session, token, refreshToken };
+  },
+});
+
+// Change the password of the signed-in user; their other sessions are signed out. With
+// two-factor sign-in on, a code is needed too
+export const changePassword = action({
+  args: {
+    token: v.string(),
+    currentPassword: v.string(),
+    newPassword: v.string(),
+    code: v.optional(v.string()),
+  },
+  handler: async (ctx, args): Promise<UserUpdate> => {
+    const { session, user } = await requireSessionUser(ctx, args.token);
+    if (!(await verifyPassword(args.currentPassword, user.passwordHash)).valid) {
+      throw new Error("كلمة المرور الحالية غير صحيحة");
+    }
+    validatePassword(args.newPassword);
+    if (user.totpEnabledAt && !(args.code && (await checkSecondFactor(ctx, user, args.code)))) {
+      throw new Error("رمز التحقق غير صحيح");
+    }
+
+    await ctx.runMutation(internal.auth.setPasswordHash, {
+      userId: user._id,
+      passwordHash: await hashPassword(args.newPassword),
+    });
+    await ctx.runMutation(internal.authSessions.revokeAllForUser, {
+      userId: user._id,
+      exceptSessionId: session.sessionId,
+    });
+
+    return { success: true, userId: user._id };
+  },
+});
+
+// Start setting up two-factor sign-in: a new secret, shown to the user as a QR code. It only
+// takes effect once enableTwoFactor gets a code generated from it
+export const setupTwoFactor = action({
+  args: { token: v.string() },
+  handler: async (ctx, args) => {
+    const { user } = await requireSessionUser(ctx, args.token);
+    if (user.totpEnabledAt) {
+      throw new Error("التحقق بخطوتين مفعل بالفعل");
+    }
+
+    const secret = generateTotpSecret();
+    await ctx.runMutation(internal.auth.setTotpPendingSecret, { userId: user._id, secret });
+    return { secret, uri: totpUri(secret, user.email, TOTP_ISSUER) };
+  },
+});
+
+// Turn two-factor sign-in on with a first code from the app. The recovery codes are returned
+// this once, only their hashes are stored
+export const enableTwoFactor = action({
+  args: {
+    token: v.string(),
+    code: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireSessionUser(ctx, args.token);
+    if (!user.totpPendingSecret) {
+      throw new Error("انتهت صلاحية رمز الإعداد، ابدأ من جديد");
+    }
+
+    const step = verifyTotp(user.totpPendingSecret, args.code);
+    if (step === null) {
+      throw new Error("رمز التحقق غير صحيح");
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await ctx.runMutation(internal.auth.enableTotp, {
+      userId: user._id,
+      secret: user.totpPendingSecret,
+      step,
+      recoveryCodeHashes: recoveryCodes.map((code) => hashToken(normalizeRecoveryCode(code))),
+    });
+
+    return { success: true, userId: user._id, recoveryCodes };
+  },
+});
+
+// Turn two-factor sign-in off (password and a code); not for the roles that require it
+export const disableTwoFactor = action({
+  args: {
+    token: v.string(),
+    password: v.string(),
+    code: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireSessionUser(ctx, args.token);
+    if (requiresTwoFactor(user.role)) {
+      throw new Error("التحقق بخطوتين إلزامي لدورك");
+    }
+    if (!(await verifyPassword(args.password, user.passwordHash)).valid) {
+      throw new Error("كلمة المرور الحالية غير صحيحة");
+    }
+    if (!(await checkSecondFactor(ctx, user, args.code))) {
+      throw new Error("رمز التحقق غير صحيح");
+    }
+
+    await ctx.runMutation(internal.auth.disableTotp, { userId: user._id });
+    return { success: true, userId: user._id };
+  },
+});
+
+// New recovery codes (the old ones stop working), for a user who used or lost theirs
+export const regenerateRecoveryCodes = action({
+  args: {
+    token: v.string(),
+    code: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireSessionUser(ctx, args.token);
+    if (!(await checkSecondFactor(ctx, user, args.code))) {
+      throw new Error("رمز التحقق غير صحيح");
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await ctx.runMutation(internal.auth.setRecoveryCodes, {
+      userId: user._id,
+      recoveryCodeHashes: recoveryCodes.map((code) => hashToken(normalizeRecoveryCode(code))),
+    });
+
+    return { success: true, userId: user._id, recoveryCodes };
+  },
+});
+
+// A password reset link for an email, for the server to mail (null when there is no such active
+// user). Only the server may ask: it shares SERVER_SECRET with this deployment
+export const requestPasswordReset = action({
+  args: {
+    serverSecret: v.string(),
+    email: v.string(),
+  },
+  handler: async (ctx, args): Promise<{ token: string; expiresAt: number; email: string; name: string } | null> => {
+    requireServer(args.serverSecret);
+
+    const user: Doc<"users"> | null = await ctx.runQuery(internal.auth.getCredentials, { email: args.email });
+    if (!user || !user.isActive) return null;
+
+    const token = generateToken();
+    const expiresAt: number = await ctx.runMutation(internal.auth.createPasswordReset, {
+      userId: user._id,
+      tokenHash: hashToken(token),
+    });
+
+    return { token, expiresAt, email: user.email, name: user.name };
+  },
+});
+
+// Set a new password with an emailed link; every session of the user is signed out
+export const resetPassword = action({
+  args: {
+    token: v.string(),
+    newPassword: v.string(),
+  },
+  handler: async (ctx, args): Promise<UserUpdate> => {
+    validatePassword(args.newPassword);
+
+    const userId: Id<"users"> | null = await ctx.runMutation(internal.auth.completePasswordReset, {
+      tokenHash: hashToken(args.token),
+      passwordHash: await hashPassword(args.newPassword),
+    });
+    if (!userId) {
+      throw new Error("رابط استعادة كلمة المرور غير صالح أو منتهي الصلاحية");
+    }
+
+    await ctx.runMutation(internal.authSessions.revokeAllForUser, { userId });
+    return { success: true, userId };
+  },
+});
+
+// Create default admin user if not exists (from the dashboard or `npx convex run`)
+export const createDefaultAdmin = internalAction({
+  args: {},
+  handler: async (ctx) => {
+    if (await ctx.runQuery(internal.auth.getCredentials, { email: "admin@whatsapp.pro" })) {
+      return { success: false, message: "Admin already exists" };
+    }
+
+    await ctx.runMutation(internal.auth.createUser, {
+      email: "admin@whatsapp.pro",
+      passwordHash: await hashPassword("admin123"),
+      name: "مدير النظام",
+      role: "admin",
+    });
+
+    return { success: true, message: "Default admin created" };
+  },
+});
@@ -0,0 +1,121 @@
+import { v } from "convex/values";
+import { query, mutation, internalMutation } from "./_generated/server";
+import { getSession, toSessionUser } from "./lib/permissions";
+
+const ACCESS_TTL = 24 * 60 * 60 * 1000; // 1 day
+const REFRESH_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days since the last refresh
+
+// Start a session (tokens are generated by the login action, only their hashes reach the database)
+export const create = internalMutation({
+  args: {
+    userId: v.id("users"),
+    tokenHash: v.string(),
+    refreshTokenHash: v.string(),
+    userAgent: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const now = Date.now();
+    const expiresAt = now + ACCESS_TTL;
+    const refreshExpiresAt = now + REFRESH_TTL;
+
+    await ctx.db.insert("authSessions", {
+      ...args,
+      expiresAt,
+      refreshExpiresAt,
+      createdAt: now,
+    });
+
+    return { expiresAt, refreshExpiresAt };
+  },
+});
+
+// Find the session of an access token (used by the server to authenticate connections)
+export const validate = query({
+  args: { tokenHash: v.string() },
+  handler: async (ctx, args) => {
+    const found = await getSession(ctx, args.tokenHash);
+    if (!found) return null;
+
+    const { session, user } = found;
+    return {
+      sessionId: session._id,
+      expiresAt: session.expiresAt,
+      user: toSessionUser(user),
+    };
+  },
+});
+
+// Swap a refresh token for new tokens; the old ones stop working
+export const rotate = internalMutation({
+  args: {
+    refreshTokenHash: v.string(),
+    tokenHash: v.string(),
+    newRefreshTokenHash: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const now = Date.now();
+    const session = await ctx.db
+      .query("authSessions")
+      .withIndex("by_refreshTokenHash", (q) => q.eq("refreshTokenHash", args.refreshTokenHash))
+      .first();
+
+    if (!session || session.revokedAt || session.refreshExpiresAt <= now) return null;
+
+    const user = await ctx.db.get(session.userId);
+    if (!user || !user.isActive) return null;
+
+    const expiresAt = now + ACCESS_TTL;
+    const refreshExpiresAt = now + REFRESH_TTL;
+    await ctx.db.patch(session._id, {
+      tokenHash: args.tokenHash,
+      refreshTokenHash: args.newRefreshTokenHash,
+      expiresAt,
+      refreshExpiresAt,
+      lastRefreshedAt: now,
+    });
+
+    return {
+      expiresAt,
+      refreshExpiresAt,
+      user: toSessionUser(user),
+    };
+  },
+});
+
+// Sign out (logout)
+export const revoke = mutation({
+  args: { tokenHash: v.string() },
+  handler: async (ctx, args) => {
+    const session = await ctx.db
+      .query("authSessions")
+      .withIndex("by_tokenHash", (q) => q.eq("tokenHash", args.tokenHash))
+      .first();
+
+    if (session && !session.revokedAt) {
+      await ctx.db.patch(session._id, { revokedAt: Date.now() });
+    }
+
+    return { success: true };
+  },
+});
+
+// End every session of a user, but the one given (password change)
+export const revokeAllForUser = internalMutation({
+  args: {
+    userId: v.id("users"),
+    exceptSessionId: v.optional(v.id("authSessions")),
+  },
+  handler: async (ctx, args) => {
+    const now = Date.now();
+    const sessions = await ctx.db
+      .query("authSessions")
+      .withIndex("by_userId", (q) => q.eq("userId", args.userId))
+      .collect();
+
+    for (const session of sessions) {
+      if (session._id !== args.exceptSessionId && !session.revokedAt) {
+        await ctx.db.patch(session._id, { revokedAt: now });
+      }
+    }
+  },
+});
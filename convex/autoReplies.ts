@@ -0,0 +1,157 @@
+import { v } from "convex/values";
+import type { Doc } from "./_generated/dataModel";
+import { serverQuery, serverMutation } from "./lib/server";
+
+// Editable fields of a rule (shared by create and update)
+const ruleFields = {
+  name: v.string(),
+  isActive: v.boolean(),
+  priority: v.number(),
+  trigger: v.string(),
+  keywords: v.array(v.string()),
+  matchMode: v.string(),
+  pattern: v.optional(v.string()),
+  messageTypes: v.array(v.string()),
+  chatType: v.string(),
+  firstContactOnly: v.boolean(),
+  businessHours: v.string(),
+  schedule: v.object({
+    days: v.array(v.number()),
+    start: v.string(),
+    end: v.string(),
+    timezone: v.string(),
+  }),
+  replyText: v.optional(v.string()),
+  replyMediaUrl: v.optional(v.string()),
+  tags: v.array(v.string()),
+  cooldownMinutes: v.number(),
+  stopProcessing: v.boolean(),
+};
+
+const toRule = (rule: Doc<"autoReplyRules">) => ({
+  id: rule._id,
+  accountId: rule.accountId,
+  name: rule.name,
+  isActive: rule.isActive,
+  priority: rule.priority,
+  trigger: rule.trigger,
+  keywords: rule.keywords,
+  matchMode: rule.matchMode,
+  pattern: rule.pattern,
+  messageTypes: rule.messageTypes,
+  chatType: rule.chatType,
+  firstContactOnly: rule.firstContactOnly,
+  businessHours: rule.businessHours,
+  schedule: rule.schedule,
+  replyText: rule.replyText,
+  replyMediaUrl: rule.replyMediaUrl,
+  tags: rule.tags,
+  cooldownMinutes: rule.cooldownMinutes,
+  stopProcessing: rule.stopProcessing,
+  createdAt: rule.createdAt,
+  updatedAt: rule.updatedAt,
+});
+
+// A rule must do something: reply, send media or tag the contact
+const hasAction = (rule: { replyText?: string; replyMediaUrl?: string; tags: string[] }) =>
+  !!(rule.replyText?.trim() || rule.replyMediaUrl?.trim() || rule.tags.length > 0);
+
+// Get a user's rules for an account (ordered by priority)
+export const getByAccountId = serverQuery({
+  args: { userId: v.string(), accountId: v.string() },
+  handler: async (ctx, args) => {
+    const rules = await ctx.db
+      .query("autoReplyRules")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .collect();
+
+    return rules
+      .filter((rule) => rule.userId === args.userId)
+      .sort((a, b) => a.priority - b.priority || a.createdAt - b.createdAt)
+      .map(toRule);
+  },
+});
+
+// Get active rules for an account (used by the server to evaluate incoming messages)
+export const getActiveByAccountId = serverQuery({
+  args: { accountId: v.string() },
+  handler: async (ctx, args) => {
+    const rules = await ctx.db
+      .query("autoReplyRules")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .collect();
+
+    return rules
+      .filter((rule) => rule.isActive)
+      .sort((a, b) => a.priority - b.priority || a.createdAt - b.createdAt)
+      .map(toRule);
+  },
+});
+
+// Create a rule
+export const create = serverMutation({
+  args: {
+    userId: v.string(),
+    accountId: v.string(),
+    ...ruleFields,
+  },
+  handler: async (ctx, args) => {
+    if (!hasAction(args)) {
+      throw new Error("يجب تحديد رد أو وسائط أو وسم واحد على الأقل");
+    }
+
+    const now = Date.now();
+    return await ctx.db.insert("autoReplyRules", {
+      ...args,
+      createdAt: now,
+      updatedAt: now,
+    });
+  },
+});
+
+// Replace a rule's settings
+export const update = serverMutation({
+  args: {
+    id: v.id("autoReplyRules"),
+    userId: v.string(),
+    ...ruleFields,
+  },
+  handler: async (ctx, args) => {
+    const rule = await ctx.db.get(args.id);
+
+    if (!rule || rule.userId !== args.userId) {
+      throw new Error("القاعدة غير موجودة");
+    }
+    if (!hasAction(args)) {
+      throw new Error("يجب تحديد رد أو وسائط أو وسم واحد على الأقل");
+    }
+
+    const updates: Record<string, unknown> = { updatedAt: Date.now() };
+    for (const field of Object.keys(ruleFields) as (keyof typeof ruleFields)[]) {
+      updates[field] = args[field];
+    }
+
+    await ctx.db.patch(args.id, updates);
+
+    return { success: true, accountId: rule.accountId };
+  },
+});
+
+// Delete a rule
+export const remove = serverMutation({
+  args: {
+    id: v.id("autoReplyRules"),
+    userId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const rule = await ctx.db.get(args.id);
+
+    if (!rule || rule.userId !== args.userId) {
+      throw new Error("القاعدة غير موجودة");
+    }
+
+    await ctx.db.delete(args.id);
+
+    return { success: true, accountId: rule.accountId };
+  },
+});
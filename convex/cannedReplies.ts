@@ -0,0 +1,120 @@
+import { v } from "convex/values";
+import type { Doc } from "./_generated/dataModel";
+import { serverQuery, serverMutation } from "./lib/server";
+
+const toReply = (reply: Doc<"cannedReplies">) => ({
+  id: reply._id,
+  accountId: reply.accountId ?? null,
+  orgId: reply.orgId ?? null,
+  shortcut: reply.shortcut,
+  title: reply.title,
+  body: reply.body,
+  mediaUrl: reply.mediaUrl ?? null,
+  usageCount: reply.usageCount,
+  lastUsedAt: reply.lastUsedAt ?? null,
+  createdBy: reply.createdBy,
+});
+
+// Replies usable in an account's chats: its own plus the ones shared in its workspace, by shortcut
+export const getForAccount = serverQuery({
+  args: { accountId: v.string() },
+  handler: async (ctx, args) => {
+    const account = await ctx.db
+      .query("accounts")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .first();
+    const [own, shared] = await Promise.all([
+      ctx.db
+        .query("cannedReplies")
+        .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+        .collect(),
+      account?.orgId
+        ? ctx.db
+          .query("cannedReplies")
+          .withIndex("by_orgId", (q) => q.eq("orgId", account.orgId))
+          .collect()
+        : [],
+    ]);
+
+    return [...own, ...shared.filter((reply) => !reply.accountId)]
+      .sort((a, b) => a.shortcut.localeCompare(b.shortcut))
+      .map(toReply);
+  },
+});
+
+export const getById = serverQuery({
+  args: { id: v.id("cannedReplies") },
+  handler: async (ctx, args) => {
+    const reply = await ctx.db.get(args.id);
+    return reply ? toReply(reply) : null;
+  },
+});
+
+// Create a reply (accountId missing = shared by the accounts of the workspace orgId)
+export const create = serverMutation({
+  args: {
+    accountId: v.optional(v.string()),
+    orgId: v.optional(v.string()),
+    shortcut: v.string(),
+    title: v.string(),
+    body: v.string(),
+    mediaUrl: v.optional(v.string()),
+    createdBy: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const now = Date.now();
+    const id = await ctx.db.insert("cannedReplies", {
+      ...args,
+      usageCount: 0,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    return { id };
+  },
+});
+
+export const update = serverMutation({
+  args: {
+    id: v.id("cannedReplies"),
+    accountId: v.optional(v.string()),
+    orgId: v.optional(v.string()),
+    shortcut: v.string(),
+    title: v.string(),
+    body: v.string(),
+    mediaUrl: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const { id, ...fields } = args;
+    const reply = await ctx.db.get(id);
+    if (!reply) {
+      throw new Error("الرد غير موجود");
+    }
+
+    // Missing accountId / orgId are cleared (a reply moves between an account and the workspace)
+    await ctx.db.patch(id, { ...fields, accountId: fields.accountId, orgId: fields.orgId, updatedAt: Date.now() });
+
+    return { success: true };
+  },
+});
+
+export const remove = serverMutation({
+  args: { id: v.id("cannedReplies") },
+  handler: async (ctx, args) => {
+    await ctx.db.delete(args.id);
+    return { success: true };
+  },
+});
+
+// Count an insertion of the reply in a chat
+export const recordUse = serverMutation({
+  args: { id: v.id("cannedReplies") },
+  handler: async (ctx, args) => {
+    const reply = await ctx.db.get(args.id);
+    if (!reply) return null;
+
+    await ctx.db.patch(args.id, { usageCount: reply.usageCount + 1, lastUsedAt: Date.now() });
+
+    return { usageCount: reply.usageCount + 1 };
+  },
+});
@@ -1,8 +1,8 @@
 import { v } from "convex/values";
-import { query, mutation } from "./_generated/server";
+import { serverQuery, serverMutation } from "./lib/server";
 
 // Get all chats for an account
-export const getByAccountId = query({
+export const getByAccountId = serverQuery({
   args: { accountId: v.string() },
   handler: async (ctx, args) => {
     return await ctx.db
@@ -14,7 +14,7 @@ export const getByAccountId = query({
 });
 
 // Get a specific chat
-export const getChat = query({
+export const getChat = serverQuery({
   args: {
     accountId: v.string(),
     chatId: v.string(),
@@ -31,7 +31,7 @@ export const getChat = query({
 });
 
 // Upsert a single chat (create or update)
-export const upsertChat = mutation({
+export const upsertChat = serverMutation({
   args: {
     accountId: v.string(),
     chatId: v.string(),
@@ -106,7 +106,7 @@ export const upsertChat = mutation({
 });
 
 // Batch upsert chats (for efficient syncing)
-export const batchUpsertChats = mutation({
+export const batchUpsertChats = serverMutation({
   args: {
     accountId: v.string(),
     chats: v.array(v.object({
@@ -160,7 +160,7 @@ export const batchUpsertChats = mutation({
 });
 
 // Clear all chats for an account
-export const clearAccountChats = mutation({
+export const clearAccountChats = serverMutation({
   args: { accountId: v.string() },
   handler: async (ctx, args) => {
     const chats = await ctx.db
@@ -177,7 +177,7 @@ export const clearAccountChats = mutation({
 });
 
 // Delete a specific chat
-export const removeChat = mutation({
+export const removeChat = serverMutation({
   args: {
     accountId: v.string(),
     chatId: v.string(),
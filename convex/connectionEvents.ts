@@ -1,8 +1,8 @@
 import { v } from "convex/values";
-import { query, mutation } from "./_generated/server";
+import { serverQuery, serverMutation } from "./lib/server";
 
 // Log a connection event
-export const log = mutation({
+export const log = serverMutation({
   args: {
     accountId: v.string(),
     event: v.string(),
@@ -19,7 +19,7 @@ export const log = mutation({
 });
 
 // Get recent events for an account
-export const getRecent = query({
+export const getRecent = serverQuery({
   args: {
     accountId: v.string(),
     limit: v.optional(v.number()),
@@ -36,7 +36,7 @@ export const getRecent = query({
 });
 
 // Get events by type for an account
-export const getByEvent = query({
+export const getByEvent = serverQuery({
   args: {
     accountId: v.string(),
     event: v.string(),
@@ -55,7 +55,7 @@ export const getByEvent = query({
 });
 
 // Clear old events (keep last N days)
-export const clearOld = mutation({
+export const clearOld = serverMutation({
   args: {
     daysToKeep: v.optional(v.number()),
   },
@@ -0,0 +1,183 @@
+import { v } from "convex/values";
+import type { Doc } from "./_generated/dataModel";
+import { serverQuery, serverMutation } from "./lib/server";
+
+const toContact = (contact: Doc<"contacts">) => ({
+  id: contact._id,
+  chatId: contact.chatId,
+  tags: contact.tags,
+  fields: Object.fromEntries((contact.fields ?? []).map((field) => [field.fieldId, field.value])),
+  notes: contact.notes ?? "",
+  updatedAt: contact.updatedAt,
+});
+
+const toField = (field: Doc<"contactFields">) => ({
+  id: field._id,
+  accountId: field.accountId,
+  name: field.name,
+  type: field.type,
+  options: field.options,
+});
+
+// Get all contacts (with tags, custom fields and notes) of an account
+export const getByAccountId = serverQuery({
+  args: { accountId: v.string() },
+  handler: async (ctx, args) => {
+    const contacts = await ctx.db
+      .query("contacts")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .collect();
+
+    return contacts.map(toContact);
+  },
+});
+
+// Add tags to a contact (creates the contact record if needed)
+export const addTags = serverMutation({
+  args: {
+    accountId: v.string(),
+    chatId: v.string(),
+    tags: v.array(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const tags = args.tags.map((tag) => tag.trim()).filter(Boolean);
+    const now = Date.now();
+
+    const existing = await ctx.db
+      .query("contacts")
+      .withIndex("by_accountId_chatId", (q) =>
+        q.eq("accountId", args.accountId).eq("chatId", args.chatId)
+      )
+      .first();
+
+    if (existing) {
+      const merged = Array.from(new Set([...existing.tags, ...tags]));
+      if (merged.length !== existing.tags.length) {
+        await ctx.db.patch(existing._id, { tags: merged, updatedAt: now });
+      }
+      return existing._id;
+    }
+
+    return await ctx.db.insert("contacts", {
+      accountId: args.accountId,
+      chatId: args.chatId,
+      tags,
+      createdAt: now,
+      updatedAt: now,
+    });
+  },
+});
+
+// Replace a contact's tags, custom fields and notes (the server validates the values)
+export const update = serverMutation({
+  args: {
+    accountId: v.string(),
+    chatId: v.string(),
+    tags: v.array(v.string()),
+    fields: v.array(v.object({ fieldId: v.string(), value: v.string() })),
+    notes: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const now = Date.now();
+    const existing = await ctx.db
+      .query("contacts")
+      .withIndex("by_accountId_chatId", (q) =>
+        q.eq("accountId", args.accountId).eq("chatId", args.chatId)
+      )
+      .first();
+
+    if (existing) {
+      await ctx.db.patch(existing._id, { tags: args.tags, fields: args.fields, notes: args.notes, updatedAt: now });
+      return toContact((await ctx.db.get(existing._id))!);
+    }
+
+    const id = await ctx.db.insert("contacts", {
+      accountId: args.accountId,
+      chatId: args.chatId,
+      tags: args.tags,
+      fields: args.fields,
+      notes: args.notes,
+      createdAt: now,
+      updatedAt: now,
+    });
+    return toContact((await ctx.db.get(id))!);
+  },
+});
+
+// Custom fields of an account, in display order
+export const getFields = serverQuery({
+  args: { accountId: v.string() },
+  handler: async (ctx, args) => {
+    const fields = await ctx.db
+      .query("contactFields")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .collect();
+
+    return fields.sort((a, b) => a.order - b.order).map(toField);
+  },
+});
+
+// Add a custom field (the server validates the definition)
+export const createField = serverMutation({
+  args: {
+    accountId: v.string(),
+    name: v.string(),
+    type: v.string(),
+    options: v.array(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const existing = await ctx.db
+      .query("contactFields")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .collect();
+
+    return await ctx.db.insert("contactFields", {
+      accountId: args.accountId,
+      name: args.name,
+      type: args.type,
+      options: args.options,
+      order: existing.reduce((max, field) => Math.max(max, field.order + 1), 0),
+      createdAt: Date.now(),
+    });
+  },
+});
+
+// Rename a field or change its choices (the type is fixed once values exist)
+export const updateField = serverMutation({
+  args: {
+    id: v.id("contactFields"),
+    accountId: v.string(),
+    name: v.string(),
+    options: v.array(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const field = await ctx.db.get(args.id);
+
+    if (!field || field.accountId !== args.accountId) {
+      throw new Error("الحقل غير موجود");
+    }
+
+    await ctx.db.patch(args.id, { name: args.name, options: args.options });
+
+    return { success: true };
+  },
+});
+
+// Delete a field (values stored on contacts are ignored from then on)
+export const removeField = serverMutation({
+  args: {
+    id: v.id("contactFields"),
+    accountId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const field = await ctx.db.get(args.id);
+
+    if (!field || field.accountId !== args.accountId) {
+      throw new Error("الحقل غير موجود");
+    }
+
+    await ctx.db.delete(args.id);
+
+    return { success: true };
+  },
+});
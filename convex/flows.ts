@@ -0,0 +1,114 @@
+import { v } from "convex/values";
+import type { Doc } from "./_generated/dataModel";
+import { serverQuery, serverMutation } from "./lib/server";
+
+const toFlow = (flow: Doc<"chatbotFlows">) => ({
+  id: flow._id,
+  accountId: flow.accountId,
+  name: flow.name,
+  definition: flow.definition,
+  isActive: flow.isActive,
+  createdAt: flow.createdAt,
+  updatedAt: flow.updatedAt,
+});
+
+// Get a user's flows for an account
+export const getByAccountId = serverQuery({
+  args: { userId: v.string(), accountId: v.string() },
+  handler: async (ctx, args) => {
+    const flows = await ctx.db
+      .query("chatbotFlows")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .collect();
+
+    return flows
+      .filter((flow) => flow.userId === args.userId)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(toFlow);
+  },
+});
+
+// Get active flows for an account (used by the server's flow engine)
+export const getActiveByAccountId = serverQuery({
+  args: { accountId: v.string() },
+  handler: async (ctx, args) => {
+    const flows = await ctx.db
+      .query("chatbotFlows")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .collect();
+
+    return flows
+      .filter((flow) => flow.isActive)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(toFlow);
+  },
+});
+
+// Create a flow (the server validates the definition)
+export const create = serverMutation({
+  args: {
+    userId: v.string(),
+    accountId: v.string(),
+    name: v.string(),
+    definition: v.string(),
+    isActive: v.boolean(),
+  },
+  handler: async (ctx, args) => {
+    const now = Date.now();
+    return await ctx.db.insert("chatbotFlows", {
+      userId: args.userId,
+      accountId: args.accountId,
+      name: args.name,
+      definition: args.definition,
+      isActive: args.isActive,
+      createdAt: now,
+      updatedAt: now,
+    });
+  },
+});
+
+// Update a flow (name, definition, isActive)
+export const update = serverMutation({
+  args: {
+    id: v.id("chatbotFlows"),
+    userId: v.string(),
+    name: v.optional(v.string()),
+    definition: v.optional(v.string()),
+    isActive: v.optional(v.boolean()),
+  },
+  handler: async (ctx, args) => {
+    const flow = await ctx.db.get(args.id);
+
+    if (!flow || flow.userId !== args.userId) {
+      throw new Error("المسار غير موجود");
+    }
+
+    const updates: Record<string, unknown> = { updatedAt: Date.now() };
+    if (args.name !== undefined) updates.name = args.name;
+    if (args.definition !== undefined) updates.definition = args.definition;
+    if (args.isActive !== undefined) updates.isActive = args.isActive;
+
+    await ctx.db.patch(args.id, updates);
+
+    return { success: true };
+  },
+});
+
+// Delete a flow
+export const remove = serverMutation({
+  args: {
+    id: v.id("chatbotFlows"),
+    userId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const flow = await ctx.db.get(args.id);
+
+    if (!flow || flow.userId !== args.userId) {
+      throw new Error("المسار غير موجود");
+    }
+
+    await ctx.db.delete(args.id);
+
+    return { success: true };
+  },
+});
@@ -0,0 +1,103 @@
+import type { QueryCtx } from "../_generated/server";
+import type { Doc, Id } from "../_generated/dataModel";
+import { getSession, needsTwoFactorSetup, normalizeRole } from "./permissions";
+
+// A workspace admin manages the workspace's accounts, members and invitations and uses all of
+// its accounts; a member only uses the accounts they were given access to
+export const ORG_ROLES = ["admin", "member"] as const;
+
+export type OrgRole = (typeof ORG_ROLES)[number];
+
+export const ORG_ROLE_LABELS: Record<OrgRole, string> = {
+  admin: "مدير مساحة العمل",
+  member: "عضو",
+};
+
+// Server admins (global role "admin") run the deployment: they administer every workspace
+const isPlatformAdmin = (user: Doc<"users">) => normalizeRole(user.role) === "admin";
+
+// The workspaces a user belongs to, with their role in each, and the accounts they were given
+// access to (all workspaces)
+export const getUserAccess = async (ctx: QueryCtx, user: Doc<"users">) => {
+  const memberships = await ctx.db
+    .query("orgMembers")
+    .withIndex("by_userId", (q) => q.eq("userId", user._id))
+    .collect();
+  const roles = new Map<Id<"organizations">, string>(memberships.map((m) => [m.orgId, m.role]));
+
+  const orgs = isPlatformAdmin(user)
+    ? await ctx.db.query("organizations").collect()
+    : (await Promise.all(memberships.map((m) => ctx.db.get(m.orgId)))).filter(
+      (org): org is Doc<"organizations"> => org !== null
+    );
+
+  const accessRows = await ctx.db
+    .query("accountAccess")
+    .withIndex("by_userId", (q) => q.eq("userId", user._id))
+    .collect();
+
+  return {
+    orgs: orgs
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((org) => ({
+        id: org._id,
+        name: org.name,
+        role: (isPlatformAdmin(user) ? "admin" : roles.get(org._id) ?? "member") as OrgRole,
+      })),
+    accountIds: accessRows.map((row) => row.accountId),
+  };
+};
+
+// Whether a user may use an account: it belongs to one of their workspaces and they administer
+// the workspace or were given access to the account (the rule the server applies to sockets)
+export const canUseAccount = async (ctx: QueryCtx, user: Doc<"users">, accountId: string) => {
+  const account = await ctx.db
+    .query("accounts")
+    .withIndex("by_accountId", (q) => q.eq("accountId", accountId))
+    .first();
+  if (!account?.orgId) return false;
+
+  const access = await getUserAccess(ctx, user);
+  const org = access.orgs.find((o) => o.id === account.orgId);
+  return org?.role === "admin" || (!!org && access.accountIds.includes(accountId));
+};
+
+export const getMembership = async (ctx: QueryCtx, orgId: Id<"organizations">, userId: Id<"users">) =>
+  await ctx.db
+    .query("orgMembers")
+    .withIndex("by_orgId_userId", (q) => q.eq("orgId", orgId).eq("userId", userId))
+    .first();
+
+// The user of a session if they belong to the workspace (or administer every workspace); throws
+// otherwise
+export const requireOrgMember = async (ctx: QueryCtx, tokenHash: string, orgId: Id<"organizations">) => {
+  const { user } = (await getSession(ctx, tokenHash)) ?? {};
+  if (!user) {
+    throw new Error("انتهت الجلسة، يرجى تسجيل الدخول مرة أخرى");
+  }
+  if (needsTwoFactorSetup(user)) {
+    throw new Error("يجب تفعيل التحقق بخطوتين أولاً");
+  }
+  if (!isPlatformAdmin(user) && !(await getMembership(ctx, orgId, user._id))) {
+    throw new Error("ليست لديك صلاحية لهذا الإجراء");
+  }
+  return user;
+};
+
+// The user of a session if they administer the workspace; throws otherwise
+export const requireOrgAdmin = async (ctx: QueryCtx, tokenHash: string, orgId: Id<"organizations">) => {
+  const { user } = (await getSession(ctx, tokenHash)) ?? {};
+  if (!user) {
+    throw new Error("انتهت الجلسة، يرجى تسجيل الدخول مرة أخرى");
+  }
+  if (needsTwoFactorSetup(user)) {
+    throw new Error("يجب تفعيل التحقق بخطوتين أولاً");
+  }
+  if (!(await ctx.db.get(orgId))) {
+    throw new Error("مساحة العمل غير موجودة");
+  }
+  if (!isPlatformAdmin(user) && (await getMembership(ctx, orgId, user._id))?.role !== "admin") {
+    throw new Error("ليست لديك صلاحية لهذا الإجراء");
+  }
+  return user;
+};
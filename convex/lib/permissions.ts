@@ -0,0 +1,108 @@
+import type { QueryCtx } from "../_generated/server";
+import type { Doc } from "../_generated/dataModel";
+
+// What a signed-in user may do. The server (Socket.io handlers) and the dashboard get the list
+// of a user's permissions with their session, so roles are only defined here
+export const PERMISSIONS = [
+  "manageAccounts", // add and delete WhatsApp accounts
+  "scanQr", // see QR codes, reconnect and log out WhatsApp accounts
+  "clearSessions", // wipe every WhatsApp session of the server
+  "export", // export chats, generate and schedule reports
+  "viewAnalytics",
+  "sendMessages", // send, schedule and run campaigns
+  "viewUnmasked", // phone numbers in the clear; without it they arrive masked
+  "manageSettings", // API keys, webhooks, automations, team and contact settings
+  "manageUsers", // assign roles, enable / disable users
+] as const;
+
+export type Permission = (typeof PERMISSIONS)[number];
+
+export const ROLES = ["admin", "supervisor", "agent"] as const;
+
+export type Role = (typeof ROLES)[number];
+
+export const ROLE_LABELS: Record<Role, string> = {
+  admin: "مدير النظام",
+  supervisor: "مشرف",
+  agent: "موظف",
+};
+
+const ROLE_PERMISSIONS: Record<Role, readonly Permission[]> = {
+  admin: PERMISSIONS,
+  supervisor: PERMISSIONS.filter((p) => p !== "clearSessions" && p !== "manageUsers"),
+  agent: ["sendMessages"],
+};
+
+// Users created before roles existed have role "user": they managed their own accounts
+export const normalizeRole = (role: string): Role => {
+  if (role === "user") return "supervisor";
+  return (ROLES as readonly string[]).includes(role) ? (role as Role) : "agent";
+};
+
+export const permissionsOf = (role: string): Permission[] => [...ROLE_PERMISSIONS[normalizeRole(role)]];
+
+export const hasPermission = (role: string, permission: Permission) =>
+  ROLE_PERMISSIONS[normalizeRole(role)].includes(permission);
+
+// Roles that see customer data of every account must sign in with a second factor. The
+// TWO_FACTOR_ROLES deployment variable overrides them: comma separated roles, or "none"
+const DEFAULT_TWO_FACTOR_ROLES: readonly Role[] = ["admin", "supervisor"];
+
+export const requiresTwoFactor = (role: string) => {
+  const configured = process.env.TWO_FACTOR_ROLES;
+  const roles = configured === undefined
+    ? DEFAULT_TWO_FACTOR_ROLES
+    : configured.split(",").map((r) => r.trim()).filter(Boolean);
+  return roles.includes(normalizeRole(role));
+};
+
+// Signed in, but the role requires two-factor sign-in and the user hasn't set it up yet: such a
+// session can only set it up
+export const needsTwoFactorSetup = (user: Doc<"users">) => requiresTwoFactor(user.role) && !user.totpEnabledAt;
+
+// The session of an access token hash (as sent by the server) and its user, or null if the
+// session is over or the user disabled
+export const getSession = async (
+  ctx: QueryCtx,
+  tokenHash: string
+): Promise<{ session: Doc<"authSessions">; user: Doc<"users"> } | null> => {
+  const session = await ctx.db
+    .query("authSessions")
+    .withIndex("by_tokenHash", (q) => q.eq("tokenHash", tokenHash))
+    .first();
+
+  if (!session || session.revokedAt || session.expiresAt <= Date.now()) return null;
+
+  const user = await ctx.db.get(session.userId);
+  return user && user.isActive ? { session, user } : null;
+};
+
+// The user of a session if their role grants the permission; throws otherwise
+export const requirePermission = async (ctx: QueryCtx, tokenHash: string, permission: Permission) => {
+  const { user } = (await getSession(ctx, tokenHash)) ?? {};
+  if (!user) {
+    throw new Error("انتهت الجلسة، يرجى تسجيل الدخول مرة أخرى");
+  }
+  if (needsTwoFactorSetup(user)) {
+    throw new Error("يجب تفعيل التحقق بخطوتين أولاً");
+  }
+  if (!hasPermission(user.role, permission)) {
+    throw new Error("ليست لديك صلاحية لهذا الإجراء");
+  }
+  return user;
+};
+
+// A user as sessions hand it out: the role and what it allows, without the password hash or
+// the two-factor secrets
+export const toSessionUser = (user: Doc<"users">) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name,
+  role: normalizeRole(user.role),
+  permissions: permissionsOf(user.role),
+  twoFactor: {
+    enabled: !!user.totpEnabledAt,
+    required: requiresTwoFactor(user.role),
+    recoveryCodesLeft: user.recoveryCodeHashes?.length ?? 0,
+  },
+});
@@ -0,0 +1,51 @@
+import { v, type ObjectType, type PropertyValidators } from "convex/values";
+import { query, mutation, type QueryCtx, type MutationCtx } from "../_generated/server";
+
+// Functions only the server (server.js) may call. Internal functions can't be reached from its
+// HTTP client, so these are public and take the SERVER_SECRET it shares with this deployment
+
+// Compared in full whatever the first difference, so timing doesn't leak the secret
+const secretsMatch = (a: string, b: string) => {
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+};
+
+// Throws unless serverSecret is this deployment's SERVER_SECRET
+export const requireServer = (serverSecret: string) => {
+  const expected = process.env.SERVER_SECRET;
+  if (!expected) {
+    throw new Error("SERVER_SECRET is not set on the Convex deployment");
+  }
+  if (!secretsMatch(serverSecret, expected)) {
+    throw new Error("Forbidden");
+  }
+};
+
+// query() for the server: the handler gets its args without serverSecret
+export const serverQuery = <Args extends PropertyValidators, Output>(definition: {
+  args: Args;
+  handler: (ctx: QueryCtx, args: ObjectType<Args>) => Output;
+}) =>
+  query({
+    args: { ...definition.args, serverSecret: v.string() },
+    handler: (ctx, { serverSecret, ...args }) => {
+      requireServer(serverSecret);
+      return definition.handler(ctx, args as ObjectType<Args>);
+    },
+  });
+
+// mutation() for the server: the handler gets its args without serverSecret
+export const serverMutation = <Args extends PropertyValidators, Output>(definition: {
+  args: Args;
+  handler: (ctx: MutationCtx, args: ObjectType<Args>) => Output;
+}) =>
+  mutation({
+    args: { ...definition.args, serverSecret: v.string() },
+    handler: (ctx, { serverSecret, ...args }) => {
+      requireServer(serverSecret);
+      return definition.handler(ctx, args as ObjectType<Args>);
+    },
+  });
@@ -0,0 +1,90 @@
+import { v } from "convex/values";
+import { canUseAccount } from "./lib/organizations";
+import { serverQuery, serverMutation } from "./lib/server";
+
+// Internal notes of a chat, oldest first (with the author's name)
+export const getByChat = serverQuery({
+  args: { accountId: v.string(), chatId: v.string() },
+  handler: async (ctx, args) => {
+    const notes = await ctx.db
+      .query("chatNotes")
+      .withIndex("by_accountId_chatId", (q) =>
+        q.eq("accountId", args.accountId).eq("chatId", args.chatId)
+      )
+      .collect();
+
+    const names = new Map<string, string>();
+    for (const note of notes) {
+      if (names.has(note.authorId)) continue;
+      const userId = ctx.db.normalizeId("users", note.authorId);
+      const author = userId ? await ctx.db.get(userId) : null;
+      names.set(note.authorId, author?.name ?? "مستخدم محذوف");
+    }
+
+    return notes
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((note) => ({
+        id: note._id,
+        messageId: note.messageId ?? null,
+        authorId: note.authorId,
+        authorName: names.get(note.authorId) ?? "",
+        body: note.body,
+        mentions: note.mentions,
+        createdAt: note.createdAt,
+      }));
+  },
+});
+
+// Add a note to a chat (optionally about one of its messages)
+export const create = serverMutation({
+  args: {
+    accountId: v.string(),
+    chatId: v.string(),
+    messageId: v.optional(v.string()),
+    authorId: v.string(),
+    body: v.string(),
+    mentions: v.array(v.string()),
+  },
+  handler: async (ctx, args) => {
+    // Mentions of unknown or disabled users, and of users who may not use the account (they'd be
+    // told about a chat they can't see), are dropped
+    const mentions: string[] = [];
+    for (const mention of new Set(args.mentions)) {
+      if (mention === args.authorId) continue;
+      const userId = ctx.db.normalizeId("users", mention);
+      const user = userId ? await ctx.db.get(userId) : null;
+      if (user?.isActive && (await canUseAccount(ctx, user, args.accountId))) mentions.push(mention);
+    }
+
+    const id = await ctx.db.insert("chatNotes", {
+      accountId: args.accountId,
+      chatId: args.chatId,
+      messageId: args.messageId,
+      authorId: args.authorId,
+      body: args.body,
+      mentions,
+      createdAt: Date.now(),
+    });
+
+    return { id, mentions };
+  },
+});
+
+// Delete a note (its author only)
+export const remove = serverMutation({
+  args: {
+    id: v.id("chatNotes"),
+    userId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const note = await ctx.db.get(args.id);
+
+    if (!note || note.authorId !== args.userId) {
+      throw new Error("الملاحظة غير موجودة");
+    }
+
+    await ctx.db.delete(args.id);
+
+    return { success: true, accountId: note.accountId, chatId: note.chatId };
+  },
+});
@@ -0,0 +1,408 @@
+import { v } from "convex/values";
+import { query, mutation, type QueryCtx, type MutationCtx } from "./_generated/server";
+import type { Id } from "./_generated/dataModel";
+import { getSession, normalizeRole, requirePermission } from "./lib/permissions";
+import { ORG_ROLES, getMembership, getUserAccess, requireOrgAdmin } from "./lib/organizations";
+import { serverQuery, serverMutation } from "./lib/server";
+
+// Workspaces own WhatsApp accounts (accounts.orgId). tokenHash is always the session of the user
+// asking; invitation tokens are generated by the server and only their hash is stored here
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+const isOrgRole = (role: string) => (ORG_ROLES as readonly string[]).includes(role);
+
+// The workspaces and account access of the signed-in user (null when the session is over)
+export const getAccess = query({
+  args: { tokenHash: v.string() },
+  handler: async (ctx, args) => {
+    const { user } = (await getSession(ctx, args.tokenHash)) ?? {};
+    return user ? await getUserAccess(ctx, user) : null;
+  },
+});
+
+// Workspaces and account access of the user who saved a job (scheduled message, campaign, report),
+// checked by the server before running it; null once the user is deleted or disabled
+export const getAccessOfUser = serverQuery({
+  args: { userId: v.string() },
+  handler: async (ctx, args) => {
+    const userId = ctx.db.normalizeId("users", args.userId);
+    const user = userId ? await ctx.db.get(userId) : null;
+    return user?.isActive ? await getUserAccess(ctx, user) : null;
+  },
+});
+
+// Create a workspace; its creator becomes its admin
+export const create = mutation({
+  args: {
+    tokenHash: v.string(),
+    name: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const user = await requirePermission(ctx, args.tokenHash, "manageUsers");
+    const name = args.name.trim();
+    if (!name) {
+      throw new Error("اسم مساحة العمل مطلوب");
+    }
+
+    const now = Date.now();
+    const orgId = await ctx.db.insert("organizations", {
+      name,
+      createdBy: user._id,
+      createdAt: now,
+      updatedAt: now,
+    });
+    await ctx.db.insert("orgMembers", { orgId, userId: user._id, role: "admin", createdAt: now });
+
+    return orgId;
+  },
+});
+
+// Members, pending invitations and account access lists of a workspace (its admins only)
+export const getMembers = query({
+  args: {
+    tokenHash: v.string(),
+    orgId: v.id("organizations"),
+  },
+  handler: async (ctx, args) => {
+    await requireOrgAdmin(ctx, args.tokenHash, args.orgId);
+    const now = Date.now();
+
+    const memberships = await ctx.db
+      .query("orgMembers")
+      .withIndex("by_orgId", (q) => q.eq("orgId", args.orgId))
+      .collect();
+    const members = [];
+    for (const membership of memberships) {
+      const user = await ctx.db.get(membership.userId);
+      if (!user) continue;
+      members.push({
+        userId: user._id,
+        email: user.email,
+        name: user.name,
+        role: membership.role,
+        isActive: user.isActive,
+      });
+    }
+
+    const invitations = (await ctx.db
+      .query("orgInvitations")
+      .withIndex("by_orgId", (q) => q.eq("orgId", args.orgId))
+      .collect())
+      .filter((inv) => !inv.acceptedAt && !inv.revokedAt && inv.expiresAt > now)
+      .map((inv) => ({
+        id: inv._id,
+        email: inv.email,
+        role: inv.role,
+        expiresAt: inv.expiresAt,
+        createdAt: inv.createdAt,
+      }));
+
+    const access: Record<string, Id<"users">[]> = {};
+    const accessRows = await ctx.db
+      .query("accountAccess")
+      .withIndex("by_orgId", (q) => q.eq("orgId", args.orgId))
+      .collect();
+    for (const row of accessRows) {
+      (access[row.accountId] ??= []).push(row.userId);
+    }
+
+    return { members, invitations, access };
+  },
+});
+
+// Invite someone by email; a newer invitation replaces a pending one for the same address
+export const createInvitation = mutation({
+  args: {
+    tokenHash: v.string(),
+    orgId: v.id("organizations"),
+    email: v.string(),
+    role: v.string(),
+    inviteTokenHash: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const actor = await requireOrgAdmin(ctx, args.tokenHash, args.orgId);
+    const email = args.email.trim().toLowerCase();
+    const now = Date.now();
+
+    if (!isOrgRole(args.role)) {
+      throw new Error("دور غير معروف");
+    }
+
+    const invitedUser = await ctx.db
+      .query("users")
+      .withIndex("by_email", (q) => q.eq("email", email))
+      .first();
+    if (invitedUser && (await getMembership(ctx, args.orgId, invitedUser._id))) {
+      throw new Error("المستخدم عضو بالفعل في مساحة العمل");
+    }
+
+    const pending = (await ctx.db
+      .query("orgInvitations")
+      .withIndex("by_orgId", (q) => q.eq("orgId", args.orgId))
+      .collect())
+      .filter((inv) => inv.email === email && !inv.acceptedAt && !inv.revokedAt);
+    for (const inv of pending) {
+      await ctx.db.patch(inv._id, { revokedAt: now });
+    }
+
+    const invitationId = await ctx.db.insert("orgInvitations", {
+      orgId: args.orgId,
+      email,
+      role: args.role,
+      tokenHash: args.inviteTokenHash,
+      invitedBy: actor._id,
+      expiresAt: now + INVITATION_TTL,
+      createdAt: now,
+    });
+    const org = await ctx.db.get(args.orgId);
+
+    return { invitationId, orgName: org!.name, inviterName: actor.name, expiresAt: now + INVITATION_TTL };
+  },
+});
+
+export const revokeInvitation = mutation({
+  args: {
+    tokenHash: v.string(),
+    invitationId: v.id("orgInvitations"),
+  },
+  handler: async (ctx, args) => {
+    const invitation = await ctx.db.get(args.invitationId);
+    if (!invitation) {
+      throw new Error("الدعوة غير موجودة");
+    }
+    await requireOrgAdmin(ctx, args.tokenHash, invitation.orgId);
+
+    if (!invitation.acceptedAt && !invitation.revokedAt) {
+      await ctx.db.patch(invitation._id, { revokedAt: Date.now() });
+    }
+    return { success: true };
+  },
+});
+
+// What an invitation link is for, shown before it's accepted (the link itself is the secret)
+export const getInvitation = query({
+  args: { inviteTokenHash: v.string() },
+  handler: async (ctx, args) => {
+    const invitation = await ctx.db
+      .query("orgInvitations")
+      .withIndex("by_tokenHash", (q) => q.eq("tokenHash", args.inviteTokenHash))
+      .first();
+    if (!invitation) return null;
+
+    const org = await ctx.db.get(invitation.orgId);
+    const status = invitation.acceptedAt
+      ? "accepted"
+      : invitation.revokedAt || !org
+        ? "revoked"
+        : invitation.expiresAt <= Date.now()
+          ? "expired"
+          : "pending";
+
+    return {
+      orgName: org?.name ?? "",
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt,
+      status,
+    };
+  },
+});
+
+// Join a workspace with an invitation sent to the signed-in user's email; each link works once
+export const acceptInvitation = mutation({
+  args: {
+    tokenHash: v.string(),
+    inviteTokenHash: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const { user } = (await getSession(ctx, args.tokenHash)) ?? {};
+    if (!user) {
+      throw new Error("انتهت الجلسة، يرجى تسجيل الدخول مرة أخرى");
+    }
+
+    const invitation = await ctx.db
+      .query("orgInvitations")
+      .withIndex("by_tokenHash", (q) => q.eq("tokenHash", args.inviteTokenHash))
+      .first();
+    const org = invitation ? await ctx.db.get(invitation.orgId) : null;
+    if (!invitation || !org || invitation.revokedAt) {
+      throw new Error("الدعوة غير صالحة");
+    }
+    if (invitation.acceptedAt) {
+      throw new Error("تم استخدام هذه الدعوة بالفعل");
+    }
+    if (invitation.expiresAt <= Date.now()) {
+      throw new Error("انتهت صلاحية الدعوة");
+    }
+    if (invitation.email !== user.email.toLowerCase()) {
+      throw new Error("هذه الدعوة مرسلة إلى بريد إلكتروني آخر");
+    }
+
+    const now = Date.now();
+    if (!(await getMembership(ctx, org._id, user._id))) {
+      await ctx.db.insert("orgMembers", { orgId: org._id, userId: user._id, role: invitation.role, createdAt: now });
+    }
+    await ctx.db.patch(invitation._id, { acceptedAt: now, acceptedBy: user._id });
+
+    return { orgId: org._id, orgName: org.name };
+  },
+});
+
+// A workspace keeps at least one admin
+const assertKeepsAdmin = async (ctx: QueryCtx, orgId: Id<"organizations">) => {
+  const admins = (await ctx.db
+    .query("orgMembers")
+    .withIndex("by_orgId", (q) => q.eq("orgId", orgId))
+    .collect())
+    .filter((m) => m.role === "admin");
+  if (admins.length <= 1) {
+    throw new Error("يجب أن يبقى مدير واحد على الأقل لمساحة العمل");
+  }
+};
+
+export const setMemberRole = mutation({
+  args: {
+    tokenHash: v.string(),
+    orgId: v.id("organizations"),
+    userId: v.id("users"),
+    role: v.string(),
+  },
+  handler: async (ctx, args) => {
+    await requireOrgAdmin(ctx, args.tokenHash, args.orgId);
+    if (!isOrgRole(args.role)) {
+      throw new Error("دور غير معروف");
+    }
+
+    const membership = await getMembership(ctx, args.orgId, args.userId);
+    if (!membership) {
+      throw new Error("المستخدم ليس عضواً في مساحة العمل");
+    }
+    if (membership.role === "admin" && args.role !== "admin") {
+      await assertKeepsAdmin(ctx, args.orgId);
+    }
+
+    await ctx.db.patch(membership._id, { role: args.role });
+    return { success: true };
+  },
+});
+
+// Remove a member with their account access in the workspace
+export const removeMember = mutation({
+  args: {
+    tokenHash: v.string(),
+    orgId: v.id("organizations"),
+    userId: v.id("users"),
+  },
+  handler: async (ctx, args) => {
+    await requireOrgAdmin(ctx, args.tokenHash, args.orgId);
+
+    const membership = await getMembership(ctx, args.orgId, args.userId);
+    if (!membership) {
+      throw new Error("المستخدم ليس عضواً في مساحة العمل");
+    }
+    if (membership.role === "admin") {
+      await assertKeepsAdmin(ctx, args.orgId);
+    }
+
+    await ctx.db.delete(membership._id);
+    const accessRows = await ctx.db
+      .query("accountAccess")
+      .withIndex("by_userId", (q) => q.eq("userId", args.userId))
+      .collect();
+    for (const row of accessRows) {
+      if (row.orgId === args.orgId) await ctx.db.delete(row._id);
+    }
+
+    return { success: true };
+  },
+});
+
+// Replace the members who may use an account (workspace admins always can)
+export const setAccountAccess = mutation({
+  args: {
+    tokenHash: v.string(),
+    orgId: v.id("organizations"),
+    accountId: v.string(),
+    userIds: v.array(v.id("users")),
+  },
+  handler: async (ctx, args) => {
+    await requireOrgAdmin(ctx, args.tokenHash, args.orgId);
+
+    const account = await ctx.db
+      .query("accounts")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .first();
+    if (!account || account.orgId !== args.orgId) {
+      throw new Error("الحساب لا يتبع مساحة العمل");
+    }
+
+    const existing = await ctx.db
+      .query("accountAccess")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .collect();
+    for (const row of existing) {
+      await ctx.db.delete(row._id);
+    }
+
+    const now = Date.now();
+    for (const userId of new Set(args.userIds)) {
+      if (!(await getMembership(ctx, args.orgId, userId))) continue;
+      await ctx.db.insert("accountAccess", { orgId: args.orgId, accountId: args.accountId, userId, createdAt: now });
+    }
+
+    // Members whose access changed, so the server can refresh their dashboards
+    return { userIds: [...new Set([...existing.map((row) => row.userId), ...args.userIds])] };
+  },
+});
+
+// Canned replies shared before workspaces existed (no orgId) go to the default workspace
+const adoptSharedReplies = async (ctx: MutationCtx, orgId: Id<"organizations">) => {
+  const shared = await ctx.db
+    .query("cannedReplies")
+    .withIndex("by_accountId", (q) => q.eq("accountId", undefined))
+    .collect();
+  for (const reply of shared) {
+    if (!reply.orgId) await ctx.db.patch(reply._id, { orgId });
+  }
+};
+
+// Migration from single-tenant data, run by the server at startup: with no workspace yet, every
+// user and account goes into a default one, keeping who could use which account (accounts
+// without an owner were shared). Returns the oldest workspace, for accounts that have none
+export const ensureDefault = serverMutation({
+  args: {},
+  handler: async (ctx) => {
+    const existing = await ctx.db.query("organizations").collect();
+    if (existing.length > 0) {
+      const defaultOrgId = existing.sort((a, b) => a.createdAt - b.createdAt)[0]._id;
+      await adoptSharedReplies(ctx, defaultOrgId);
+      return defaultOrgId;
+    }
+
+    const now = Date.now();
+    const orgId = await ctx.db.insert("organizations", {
+      name: "مساحة العمل الافتراضية",
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    const users = await ctx.db.query("users").collect();
+    const members = [];
+    for (const user of users) {
+      const role = normalizeRole(user.role) === "agent" ? "member" : "admin";
+      await ctx.db.insert("orgMembers", { orgId, userId: user._id, role, createdAt: now });
+      if (role === "member") members.push(user._id);
+    }
+
+    for (const account of await ctx.db.query("accounts").collect()) {
+      await ctx.db.patch(account._id, { orgId });
+      const userIds = account.userId ? members.filter((id) => id === account.userId) : members;
+      for (const userId of userIds) {
+        await ctx.db.insert("accountAccess", { orgId, accountId: account.accountId, userId, createdAt: now });
+      }
+    }
+    await adoptSharedReplies(ctx, orgId);
+
+    return orgId;
+  },
+});
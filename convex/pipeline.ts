@@ -0,0 +1,237 @@
+import { v } from "convex/values";
+import type { MutationCtx } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { serverQuery, serverMutation } from "./lib/server";
+
+const toStage = (stage: Doc<"pipelineStages">) => ({
+  id: stage._id,
+  name: stage.name,
+  kind: stage.kind,
+  color: stage.color,
+});
+
+const toDeal = (deal: Doc<"deals">) => ({
+  id: deal._id,
+  chatId: deal.chatId,
+  stageId: deal.stageId,
+  value: deal.value,
+  title: deal.title ?? "",
+  createdBy: deal.createdBy,
+  stageEnteredAt: deal.stageEnteredAt,
+  createdAt: deal.createdAt,
+});
+
+const getAccountStage = async (ctx: MutationCtx, accountId: string, stageId: string) => {
+  const id = ctx.db.normalizeId("pipelineStages", stageId);
+  const stage = id ? await ctx.db.get(id) : null;
+  if (!stage || stage.accountId !== accountId) {
+    throw new Error("المرحلة غير موجودة");
+  }
+  return stage;
+};
+
+const getAccountDeal = async (ctx: MutationCtx, accountId: string, dealId: string) => {
+  const id = ctx.db.normalizeId("deals", dealId);
+  const deal = id ? await ctx.db.get(id) : null;
+  if (!deal || deal.accountId !== accountId) {
+    throw new Error("الصفقة غير موجودة");
+  }
+  return deal;
+};
+
+const recordStageChange = (
+  ctx: MutationCtx,
+  deal: { accountId: string; dealId: Id<"deals"> },
+  fromStageId: Id<"pipelineStages"> | undefined,
+  toStageId: Id<"pipelineStages">,
+  movedBy: string,
+  movedAt: number
+) =>
+  ctx.db.insert("dealStageChanges", {
+    accountId: deal.accountId,
+    dealId: deal.dealId,
+    fromStageId,
+    toStageId,
+    movedBy,
+    movedAt,
+  });
+
+// Pipeline stages of an account, in board order
+export const getStages = serverQuery({
+  args: { accountId: v.string() },
+  handler: async (ctx, args) => {
+    const stages = await ctx.db
+      .query("pipelineStages")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .collect();
+
+    return stages.sort((a, b) => a.order - b.order).map(toStage);
+  },
+});
+
+// Replace an account's stages - entries with an id are updated, the rest created,
+// and stages left out are deleted (the server refuses removing stages that hold deals)
+export const saveStages = serverMutation({
+  args: {
+    accountId: v.string(),
+    stages: v.array(
+      v.object({
+        id: v.optional(v.string()),
+        name: v.string(),
+        kind: v.string(),
+        color: v.string(),
+      })
+    ),
+  },
+  handler: async (ctx, args) => {
+    const existing = await ctx.db
+      .query("pipelineStages")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .collect();
+    const now = Date.now();
+
+    const kept = new Set<string>();
+    for (const [order, stage] of args.stages.entries()) {
+      const current = existing.find((s) => s._id === stage.id);
+      if (current) {
+        kept.add(current._id);
+        await ctx.db.patch(current._id, { name: stage.name, kind: stage.kind, color: stage.color, order });
+      } else {
+        await ctx.db.insert("pipelineStages", {
+          accountId: args.accountId,
+          name: stage.name,
+          kind: stage.kind,
+          color: stage.color,
+          order,
+          createdAt: now,
+        });
+      }
+    }
+
+    for (const stage of existing) {
+      if (!kept.has(stage._id)) await ctx.db.delete(stage._id);
+    }
+
+    return { success: true };
+  },
+});
+
+// Deals of an account
+export const getDeals = serverQuery({
+  args: { accountId: v.string() },
+  handler: async (ctx, args) => {
+    const deals = await ctx.db
+      .query("deals")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .collect();
+
+    return deals.map(toDeal);
+  },
+});
+
+// Put a chat on the pipeline, or update the value and title of its deal
+export const saveDeal = serverMutation({
+  args: {
+    accountId: v.string(),
+    chatId: v.string(),
+    stageId: v.string(),
+    value: v.number(),
+    title: v.optional(v.string()),
+    userId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const existing = await ctx.db
+      .query("deals")
+      .withIndex("by_accountId_chatId", (q) =>
+        q.eq("accountId", args.accountId).eq("chatId", args.chatId)
+      )
+      .first();
+    const now = Date.now();
+
+    if (existing) {
+      await ctx.db.patch(existing._id, { value: args.value, title: args.title, updatedAt: now });
+      return toDeal({ ...existing, value: args.value, title: args.title, updatedAt: now });
+    }
+
+    const stage = await getAccountStage(ctx, args.accountId, args.stageId);
+    const dealId = await ctx.db.insert("deals", {
+      accountId: args.accountId,
+      chatId: args.chatId,
+      stageId: stage._id,
+      value: args.value,
+      title: args.title,
+      createdBy: args.userId,
+      stageEnteredAt: now,
+      createdAt: now,
+      updatedAt: now,
+    });
+    await recordStageChange(ctx, { accountId: args.accountId, dealId }, undefined, stage._id, args.userId, now);
+
+    const deal = await ctx.db.get(dealId);
+    return deal ? toDeal(deal) : null;
+  },
+});
+
+// Move a deal to another stage (recorded for the analytics)
+export const moveDeal = serverMutation({
+  args: {
+    id: v.string(),
+    accountId: v.string(),
+    stageId: v.string(),
+    userId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const deal = await getAccountDeal(ctx, args.accountId, args.id);
+    const stage = await getAccountStage(ctx, args.accountId, args.stageId);
+    if (deal.stageId === stage._id) return { moved: false };
+
+    const now = Date.now();
+    await ctx.db.patch(deal._id, { stageId: stage._id, stageEnteredAt: now, updatedAt: now });
+    await recordStageChange(ctx, { accountId: args.accountId, dealId: deal._id }, deal.stageId, stage._id, args.userId, now);
+
+    return { moved: true };
+  },
+});
+
+// Take a chat off the pipeline (its stage history goes with it)
+export const removeDeal = serverMutation({
+  args: {
+    id: v.string(),
+    accountId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const deal = await getAccountDeal(ctx, args.accountId, args.id);
+
+    const changes = await ctx.db
+      .query("dealStageChanges")
+      .withIndex("by_dealId", (q) => q.eq("dealId", deal._id))
+      .collect();
+    for (const change of changes) {
+      await ctx.db.delete(change._id);
+    }
+    await ctx.db.delete(deal._id);
+
+    return { success: true };
+  },
+});
+
+// Stage changes of an account, oldest first (deal history and analytics)
+export const getStageChanges = serverQuery({
+  args: { accountId: v.string() },
+  handler: async (ctx, args) => {
+    const changes = await ctx.db
+      .query("dealStageChanges")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .collect();
+
+    return changes
+      .sort((a, b) => a.movedAt - b.movedAt)
+      .map((change) => ({
+        dealId: change.dealId,
+        fromStageId: change.fromStageId ?? null,
+        toStageId: change.toStageId,
+        movedBy: change.movedBy,
+        movedAt: change.movedAt,
+      }));
+  },
+});
@@ -7,17 +7,104 @@ export default defineSchema({
     email: v.string(), // User email (unique)
     passwordHash: v.string(), // Hashed password
     name: v.string(), // Display name
-    role: v.string(), // "admin" | "user"
+    role: v.string(), // "admin" | "supervisor" | "agent" (see lib/permissions.ts; legacy "user" = supervisor)
     isActive: v.boolean(), // Whether user is active
     lastLogin: v.optional(v.number()), // Last login timestamp
+    totpSecret: v.optional(v.string()), // Base32 TOTP secret once two-factor sign-in is on
+    totpPendingSecret: v.optional(v.string()), // Secret being set up, until a first code confirms it
+    totpEnabledAt: v.optional(v.number()),
+    totpLastStep: v.optional(v.number()), // Time step of the last accepted code (no replays)
+    recoveryCodeHashes: v.optional(v.array(v.string())), // SHA-256 of the unused recovery codes
     createdAt: v.number(),
     updatedAt: v.number(),
   }).index("by_email", ["email"]),
 
+  // Auth Sessions table - dashboard sign-ins; only hashes of the tokens are stored
+  authSessions: defineTable({
+    userId: v.id("users"),
+    tokenHash: v.string(), // SHA-256 of the access token
+    refreshTokenHash: v.string(), // SHA-256 of the refresh token (replaced on every refresh)
+    expiresAt: v.number(), // Access token expiry
+    refreshExpiresAt: v.number(), // The session ends here unless it is refreshed
+    userAgent: v.optional(v.string()),
+    revokedAt: v.optional(v.number()), // Set on logout or password change
+    lastRefreshedAt: v.optional(v.number()),
+    createdAt: v.number(),
+  }).index("by_tokenHash", ["tokenHash"])
+    .index("by_refreshTokenHash", ["refreshTokenHash"])
+    .index("by_userId", ["userId"]),
+
+  // Login Challenges table - a correct password of a user with two-factor sign-in waits here
+  // for the code
+  loginChallenges: defineTable({
+    userId: v.id("users"),
+    tokenHash: v.string(), // SHA-256 of the challenge token handed to the dashboard
+    userAgent: v.optional(v.string()),
+    attempts: v.number(), // Wrong codes so far
+    expiresAt: v.number(),
+    usedAt: v.optional(v.number()),
+    createdAt: v.number(),
+  }).index("by_tokenHash", ["tokenHash"])
+    .index("by_userId", ["userId"]),
+
+  // Password Resets table - single-use emailed links; only the token hash is stored
+  passwordResets: defineTable({
+    userId: v.id("users"),
+    tokenHash: v.string(), // SHA-256 of the token in the link
+    expiresAt: v.number(),
+    usedAt: v.optional(v.number()), // Also set when a newer link or a password change replaces it
+    createdAt: v.number(),
+  }).index("by_tokenHash", ["tokenHash"])
+    .index("by_userId", ["userId"]),
+
+  // Organizations table - workspaces (client companies) that own WhatsApp accounts
+  organizations: defineTable({
+    name: v.string(),
+    createdBy: v.optional(v.id("users")), // Unset for the default workspace of the migration
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  }),
+
+  // Organization Members table
+  orgMembers: defineTable({
+    orgId: v.id("organizations"),
+    userId: v.id("users"),
+    role: v.string(), // "admin" (all the workspace's accounts, members and invitations) | "member"
+    createdAt: v.number(),
+  }).index("by_orgId", ["orgId"])
+    .index("by_userId", ["userId"])
+    .index("by_orgId_userId", ["orgId", "userId"]),
+
+  // Organization Invitations table - one-time email links; only the token hash is stored
+  orgInvitations: defineTable({
+    orgId: v.id("organizations"),
+    email: v.string(), // Only this user can accept it
+    role: v.string(), // Membership role given on acceptance
+    tokenHash: v.string(), // SHA-256 of the token in the link
+    invitedBy: v.id("users"),
+    expiresAt: v.number(),
+    acceptedAt: v.optional(v.number()),
+    acceptedBy: v.optional(v.id("users")),
+    revokedAt: v.optional(v.number()),
+    createdAt: v.number(),
+  }).index("by_tokenHash", ["tokenHash"])
+    .index("by_orgId", ["orgId"]),
+
+  // Account Access table - members (other than the workspace admins) who may use an account
+  accountAccess: defineTable({
+    orgId: v.id("organizations"),
+    accountId: v.string(), // Reference to account
+    userId: v.id("users"),
+    createdAt: v.number(),
+  }).index("by_accountId", ["accountId"])
+    .index("by_userId", ["userId"])
+    .index("by_orgId", ["orgId"]),
+
   // WhatsApp Accounts table
   accounts: defineTable({
     accountId: v.string(), // Unique account identifier (e.g., account_1234567890)
-    userId: v.optional(v.string()), // Reference to user who owns this account
+    orgId: v.optional(v.string()), // Organization (workspace) that owns this account
+    userId: v.optional(v.string()), // Reference to user who added this account
     name: v.string(), // Account display name (e.g., "حساب 1")
     phone: v.optional(v.string()), // Phone number once authenticated
     isActive: v.boolean(), // Whether this is the currently active account
@@ -76,6 +163,212 @@ export default defineSchema({
     updatedAt: v.number(),
   }).index("by_accountId", ["accountId"]),
 
+  // API Keys table - per-user keys for the REST API (only the hash is stored)
+  apiKeys: defineTable({
+    userId: v.string(), // Reference to user who owns this key
+    name: v.string(), // Key label (e.g., "CRM integration")
+    keyHash: v.string(), // SHA-256 hash of the key
+    keyPrefix: v.string(), // First characters of the key, for display
+    lastUsedAt: v.optional(v.number()), // Last time the key authenticated a request
+    revokedAt: v.optional(v.number()), // Set when the key is revoked
+    createdAt: v.number(),
+  }).index("by_userId", ["userId"])
+    .index("by_keyHash", ["keyHash"]),
+
+  // Webhooks table - outbound webhook subscriptions per account
+  webhooks: defineTable({
+    userId: v.string(), // Reference to user who owns this webhook
+    accountId: v.string(), // WhatsApp account whose events are delivered
+    url: v.string(), // Target URL (receives POST requests)
+    secret: v.string(), // HMAC-SHA256 signing secret
+    events: v.array(v.string()), // Subscribed events (e.g., "message", "message_ack")
+    isActive: v.boolean(), // Whether deliveries are enabled
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  }).index("by_userId", ["userId"])
+    .index("by_accountId", ["accountId"]),
+
+  // Webhook Deliveries table - delivery log with retry state
+  webhookDeliveries: defineTable({
+    webhookId: v.id("webhooks"), // Reference to webhook
+    accountId: v.string(),
+    event: v.string(), // Event name
+    payload: v.string(), // JSON body as sent (signed as-is)
+    status: v.string(), // "pending" | "success" | "failed"
+    attempts: v.number(), // Number of delivery attempts so far
+    responseStatus: v.optional(v.number()), // HTTP status of the last attempt
+    error: v.optional(v.string()), // Error of the last attempt
+    nextRetryAt: v.optional(v.number()), // When the next retry is due (pending only)
+    deliveredAt: v.optional(v.number()),
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  }).index("by_webhookId", ["webhookId"])
+    .index("by_status_nextRetryAt", ["status", "nextRetryAt"])
+    .index("by_createdAt", ["createdAt"]),
+
+  // Auto-Reply Rules table - per-account rules evaluated against incoming messages
+  autoReplyRules: defineTable({
+    userId: v.string(), // Reference to user who owns this rule
+    accountId: v.string(), // WhatsApp account the rule applies to
+    name: v.string(), // Rule label (e.g., "After hours")
+    isActive: v.boolean(),
+    priority: v.number(), // Lower runs first
+    trigger: v.string(), // "any" | "keyword" | "regex"
+    keywords: v.array(v.string()), // Keywords for "keyword" triggers (any of them)
+    matchMode: v.string(), // "contains" | "exact" | "startsWith" (keyword triggers)
+    pattern: v.optional(v.string()), // Case-insensitive regex for "regex" triggers
+    messageTypes: v.array(v.string()), // Message types to match (e.g., "chat", "image"); empty = all
+    chatType: v.string(), // "any" | "private" | "group"
+    firstContactOnly: v.boolean(), // Only match the first message ever received from a chat
+    businessHours: v.string(), // "any" | "inside" | "outside"
+    schedule: v.object({
+      days: v.array(v.number()), // Working days (0 = Sunday)
+      start: v.string(), // "HH:MM"
+      end: v.string(), // "HH:MM"
+      timezone: v.string(), // IANA timezone (e.g., "Asia/Riyadh")
+    }),
+    replyText: v.optional(v.string()), // Reply text (caption when a media URL is set)
+    replyMediaUrl: v.optional(v.string()), // Media sent as the reply
+    tags: v.array(v.string()), // Tags applied to the contact
+    cooldownMinutes: v.number(), // Minimum time between two firings for the same contact
+    stopProcessing: v.boolean(), // Don't evaluate lower-priority rules after this one matches
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  }).index("by_userId", ["userId"])
+    .index("by_accountId", ["accountId"]),
+
+  // Chatbot Flows table - menu-driven conversation flows per account
+  chatbotFlows: defineTable({
+    userId: v.string(), // Reference to user who owns this flow
+    accountId: v.string(), // WhatsApp account the flow runs on
+    name: v.string(),
+    definition: v.string(), // Flow definition JSON (same format as import/export)
+    isActive: v.boolean(),
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  }).index("by_userId", ["userId"])
+    .index("by_accountId", ["accountId"]),
+
+  // Contacts table - per-account contact metadata (tags, custom fields, notes)
+  contacts: defineTable({
+    accountId: v.string(),
+    chatId: v.string(), // WhatsApp chat ID (e.g., "966500000000@c.us")
+    tags: v.array(v.string()),
+    fields: v.optional(v.array(v.object({
+      fieldId: v.string(), // Reference to contactFields
+      value: v.string(), // Normalized by the server (numbers as digits, dates as YYYY-MM-DD)
+    }))),
+    notes: v.optional(v.string()), // Free-form notes about the contact
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  }).index("by_accountId", ["accountId"])
+    .index("by_accountId_chatId", ["accountId", "chatId"]),
+
+  // Contact Fields table - custom contact fields defined per account
+  contactFields: defineTable({
+    accountId: v.string(),
+    name: v.string(), // Field label (e.g., "المدينة")
+    type: v.string(), // "text" | "number" | "date" | "select"
+    options: v.array(v.string()), // Choices of "select" fields
+    order: v.number(), // Display order
+    createdAt: v.number(),
+  }).index("by_accountId", ["accountId"]),
+
+  // Canned Replies table - saved replies inserted in the chat box by typing /shortcut
+  cannedReplies: defineTable({
+    accountId: v.optional(v.string()), // Missing = shared by the workspace's accounts
+    orgId: v.optional(v.string()), // Workspace of a shared reply
+    shortcut: v.string(), // Typed after "/" (lowercase, no spaces)
+    title: v.string(),
+    body: v.string(), // May contain {{contact.name}}, {{agent.name}}, {{date}}...
+    mediaUrl: v.optional(v.string()), // Attachment sent with the reply
+    createdBy: v.string(), // Reference to user who created the reply
+    usageCount: v.number(), // Times the reply was inserted
+    lastUsedAt: v.optional(v.number()),
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  }).index("by_accountId", ["accountId"])
+    .index("by_orgId", ["orgId"]),
+
+  // Pipeline Stages table - sales pipeline columns of an account
+  pipelineStages: defineTable({
+    accountId: v.string(),
+    name: v.string(), // Stage label (e.g., "عميل جديد")
+    kind: v.string(), // "open" | "won" | "lost"
+    color: v.string(), // Hex color of the column
+    order: v.number(), // Position on the board
+    createdAt: v.number(),
+  }).index("by_accountId", ["accountId"]),
+
+  // Deals table - a chat placed on the sales pipeline (at most one deal per chat)
+  deals: defineTable({
+    accountId: v.string(),
+    chatId: v.string(),
+    stageId: v.id("pipelineStages"),
+    value: v.number(), // Deal value
+    title: v.optional(v.string()),
+    createdBy: v.string(), // Reference to user who added the deal
+    stageEnteredAt: v.number(), // When the deal entered its current stage
+    createdAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index("by_accountId", ["accountId"])
+    .index("by_accountId_chatId", ["accountId", "chatId"]),
+
+  // Deal Stage Changes table - every stage a deal entered, for the funnel and time-in-stage analytics
+  dealStageChanges: defineTable({
+    accountId: v.string(),
+    dealId: v.id("deals"),
+    fromStageId: v.optional(v.id("pipelineStages")), // Missing = deal was created
+    toStageId: v.id("pipelineStages"),
+    movedBy: v.string(), // Reference to user who moved the deal
+    movedAt: v.number(),
+  })
+    .index("by_accountId", ["accountId"])
+    .index("by_dealId", ["dealId"]),
+
+  // Chat Assignments table - which team member handles a chat (unassigned chats have no row)
+  chatAssignments: defineTable({
+    accountId: v.string(),
+    chatId: v.string(),
+    assigneeId: v.string(), // Reference to the user handling the chat
+    assignedBy: v.optional(v.string()), // User who assigned it (missing = assignment rule)
+    assignedAt: v.number(),
+  }).index("by_accountId", ["accountId"])
+    .index("by_accountId_chatId", ["accountId", "chatId"])
+    .index("by_assigneeId", ["assigneeId"]),
+
+  // Chat Assignment History - every assignment change, newest last
+  chatAssignmentHistory: defineTable({
+    accountId: v.string(),
+    chatId: v.string(),
+    fromUserId: v.optional(v.string()), // Previous assignee (missing = was unassigned)
+    toUserId: v.optional(v.string()), // New assignee (missing = unassigned)
+    byUserId: v.optional(v.string()), // User who made the change (missing = assignment rule)
+    reason: v.string(), // "manual" | "round_robin" | "least_loaded"
+    createdAt: v.number(),
+  }).index("by_accountId_chatId", ["accountId", "chatId"]),
+
+  // Assignment Settings table - how new chats of an account are assigned
+  assignmentSettings: defineTable({
+    accountId: v.string(),
+    mode: v.string(), // "manual" | "round_robin" | "least_loaded"
+    agentIds: v.array(v.string()), // Users new chats are distributed between
+    lastAssigneeId: v.optional(v.string()), // Round-robin position
+    updatedAt: v.number(),
+  }).index("by_accountId", ["accountId"]),
+
+  // Chat Notes table - internal team notes on a chat, never sent to WhatsApp
+  chatNotes: defineTable({
+    accountId: v.string(),
+    chatId: v.string(),
+    messageId: v.optional(v.string()), // WhatsApp message the note is about (missing = whole chat)
+    authorId: v.string(), // Reference to user who wrote the note
+    body: v.string(),
+    mentions: v.array(v.string()), // @mentioned users (notified when the note is added)
+    createdAt: v.number(),
+  }).index("by_accountId_chatId", ["accountId", "chatId"]),
+
   // Connection Events log - for debugging and analytics
   connectionEvents: defineTable({
     accountId: v.string(),
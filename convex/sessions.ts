@@ -1,8 +1,8 @@
 import { v } from "convex/values";
-import { query, mutation } from "./_generated/server";
+import { serverQuery, serverMutation } from "./lib/server";
 
 // Get session by accountId
-export const getByAccountId = query({
+export const getByAccountId = serverQuery({
   args: { accountId: v.string() },
   handler: async (ctx, args) => {
     return await ctx.db
@@ -13,7 +13,7 @@ export const getByAccountId = query({
 });
 
 // Get all sessions
-export const getAll = query({
+export const getAll = serverQuery({
   args: {},
   handler: async (ctx) => {
     return await ctx.db.query("sessions").collect();
@@ -21,7 +21,7 @@ export const getAll = query({
 });
 
 // Create or update session
-export const upsert = mutation({
+export const upsert = serverMutation({
   args: {
     accountId: v.string(),
     sessionData: v.optional(v.string()),
@@ -59,7 +59,7 @@ export const upsert = mutation({
 });
 
 // Update session ready state
-export const setReady = mutation({
+export const setReady = serverMutation({
   args: {
     accountId: v.string(),
     isReady: v.boolean(),
@@ -92,7 +92,7 @@ export const setReady = mutation({
 });
 
 // Mark session as authenticated
-export const setAuthenticated = mutation({
+export const setAuthenticated = serverMutation({
   args: {
     accountId: v.string(),
     isAuthenticated: v.boolean(),
@@ -122,7 +122,7 @@ export const setAuthenticated = mutation({
 });
 
 // Mark session as disconnected
-export const setDisconnected = mutation({
+export const setDisconnected = serverMutation({
   args: {
     accountId: v.string(),
     reason: v.optional(v.string()),
@@ -146,7 +146,7 @@ export const setDisconnected = mutation({
 });
 
 // Delete session
-export const remove = mutation({
+export const remove = serverMutation({
   args: { accountId: v.string() },
   handler: async (ctx, args) => {
     const session = await ctx.db
@@ -161,7 +161,7 @@ export const remove = mutation({
 });
 
 // Store session data (for persistence)
-export const storeSessionData = mutation({
+export const storeSessionData = serverMutation({
   args: {
     accountId: v.string(),
     sessionData: v.string(),
@@ -1,8 +1,8 @@
 import { v } from "convex/values";
-import { query, mutation } from "./_generated/server";
+import { serverQuery, serverMutation } from "./lib/server";
 
 // Get sync status for an account
-export const getByAccountId = query({
+export const getByAccountId = serverQuery({
   args: { accountId: v.string() },
   handler: async (ctx, args) => {
     return await ctx.db
@@ -13,7 +13,7 @@ export const getByAccountId = query({
 });
 
 // Update sync status
-export const update = mutation({
+export const update = serverMutation({
   args: {
     accountId: v.string(),
     status: v.string(),
@@ -59,7 +59,7 @@ export const update = mutation({
 });
 
 // Start sync
-export const startSync = mutation({
+export const startSync = serverMutation({
   args: {
     accountId: v.string(),
     totalChats: v.number(),
@@ -93,7 +93,7 @@ export const startSync = mutation({
 });
 
 // Update sync progress
-export const updateProgress = mutation({
+export const updateProgress = serverMutation({
   args: {
     accountId: v.string(),
     syncedChats: v.number(),
@@ -134,7 +134,7 @@ export const updateProgress = mutation({
 });
 
 // Complete sync
-export const completeSync = mutation({
+export const completeSync = serverMutation({
   args: {
     accountId: v.string(),
     totalChats: v.number(),
@@ -169,7 +169,7 @@ export const completeSync = mutation({
 });
 
 // Fail sync
-export const failSync = mutation({
+export const failSync = serverMutation({
   args: {
     accountId: v.string(),
     error: v.string(),
@@ -203,7 +203,7 @@ export const failSync = mutation({
 });
 
 // Reset sync status
-export const reset = mutation({
+export const reset = serverMutation({
   args: { accountId: v.string() },
   handler: async (ctx, args) => {
     const now = Date.now();
@@ -0,0 +1,307 @@
+import { v } from "convex/values";
+import { query, mutation, type QueryCtx } from "./_generated/server";
+import type { Doc, Id } from "./_generated/dataModel";
+import { requirePermission } from "./lib/permissions";
+import { canUseAccount } from "./lib/organizations";
+import { serverQuery, serverMutation } from "./lib/server";
+
+// Webhooks are managed by their owner: tokenHash is the session of the user asking. The signing
+// secret is only handed out once, when the webhook is created; dispatching (the delivery log
+// functions below) is the server's
+
+// A webhook of the session's user; throws otherwise
+const requireOwnWebhook = async (ctx: QueryCtx, tokenHash: string, id: Id<"webhooks">) => {
+  const user = await requirePermission(ctx, tokenHash, "manageSettings");
+  const webhook = await ctx.db.get(id);
+  if (!webhook || webhook.userId !== user._id) {
+    throw new Error("الـ Webhook غير موجود");
+  }
+  return webhook;
+};
+
+// Whether a webhook gets deliveries: it's enabled and its owner is still active and may use the
+// account (the same checks apiKeys.getByHash makes for the owner of an API key)
+const isDeliverable = async (ctx: QueryCtx, webhook: Doc<"webhooks">) => {
+  if (!webhook.isActive) return false;
+  const userId = ctx.db.normalizeId("users", webhook.userId);
+  const owner = userId ? await ctx.db.get(userId) : null;
+  return !!owner?.isActive && (await canUseAccount(ctx, owner, webhook.accountId));
+};
+
+// Get the signed-in user's webhooks (without their secrets)
+export const getMine = query({
+  args: { tokenHash: v.string() },
+  handler: async (ctx, args) => {
+    const user = await requirePermission(ctx, args.tokenHash, "manageSettings");
+    const webhooks = await ctx.db
+      .query("webhooks")
+      .withIndex("by_userId", (q) => q.eq("userId", user._id))
+      .order("desc")
+      .collect();
+
+    return webhooks.map((webhook) => ({
+      id: webhook._id,
+      accountId: webhook.accountId,
+      url: webhook.url,
+      events: webhook.events,
+      isActive: webhook.isActive,
+      createdAt: webhook.createdAt,
+      updatedAt: webhook.updatedAt,
+    }));
+  },
+});
+
+// Get active webhooks for an account (used by the server to dispatch events)
+export const getActiveByAccountId = serverQuery({
+  args: { accountId: v.string() },
+  handler: async (ctx, args) => {
+    const webhooks = await ctx.db
+      .query("webhooks")
+      .withIndex("by_accountId", (q) => q.eq("accountId", args.accountId))
+      .collect();
+
+    const deliverable = [];
+    for (const webhook of webhooks) {
+      if (await isDeliverable(ctx, webhook)) deliverable.push(webhook);
+    }
+
+    return deliverable
+      .map((webhook) => ({
+        id: webhook._id,
+        url: webhook.url,
+        secret: webhook.secret,
+        events: webhook.events,
+      }));
+  },
+});
+
+// Create a webhook on an account the signed-in user may use (the server generates the secret)
+export const create = mutation({
+  args: {
+    tokenHash: v.string(),
+    accountId: v.string(),
+    url: v.string(),
+    secret: v.string(),
+    events: v.array(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const user = await requirePermission(ctx, args.tokenHash, "manageSettings");
+    if (!(await canUseAccount(ctx, user, args.accountId))) {
+      throw new Error("الحساب غير موجود");
+    }
+    if (args.events.length === 0) {
+      throw new Error("يجب اختيار حدث واحد على الأقل");
+    }
+
+    const now = Date.now();
+    return await ctx.db.insert("webhooks", {
+      userId: user._id,
+      accountId: args.accountId,
+      url: args.url,
+      secret: args.secret,
+      events: args.events,
+      isActive: true,
+      createdAt: now,
+      updatedAt: now,
+    });
+  },
+});
+
+// Update a webhook
+export const update = mutation({
+  args: {
+    tokenHash: v.string(),
+    id: v.id("webhooks"),
+    url: v.optional(v.string()),
+    events: v.optional(v.array(v.string())),
+    isActive: v.optional(v.boolean()),
+  },
+  handler: async (ctx, args) => {
+    await requireOwnWebhook(ctx, args.tokenHash, args.id);
+    if (args.events && args.events.length === 0) {
+      throw new Error("يجب اختيار حدث واحد على الأقل");
+    }
+
+    const updates: Record<string, unknown> = { updatedAt: Date.now() };
+    if (args.url !== undefined) updates.url = args.url;
+    if (args.events !== undefined) updates.events = args.events;
+    if (args.isActive !== undefined) updates.isActive = args.isActive;
+
+    await ctx.db.patch(args.id, updates);
+
+    return { success: true };
+  },
+});
+
+// Delete a webhook and its delivery log
+export const remove = mutation({
+  args: {
+    tokenHash: v.string(),
+    id: v.id("webhooks"),
+  },
+  handler: async (ctx, args) => {
+    await requireOwnWebhook(ctx, args.tokenHash, args.id);
+
+    const deliveries = await ctx.db
+      .query("webhookDeliveries")
+      .withIndex("by_webhookId", (q) => q.eq("webhookId", args.id))
+      .collect();
+
+    for (const delivery of deliveries) {
+      await ctx.db.delete(delivery._id);
+    }
+
+    await ctx.db.delete(args.id);
+
+    return { success: true };
+  },
+});
+
+// ==================== Delivery Log ====================
+
+// Log a new delivery before the first attempt
+export const createDelivery = serverMutation({
+  args: {
+    webhookId: v.id("webhooks"),
+    accountId: v.string(),
+    event: v.string(),
+    payload: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const now = Date.now();
+    return await ctx.db.insert("webhookDeliveries", {
+      webhookId: args.webhookId,
+      accountId: args.accountId,
+      event: args.event,
+      payload: args.payload,
+      status: "pending",
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+    });
+  },
+});
+
+// Record the result of a delivery attempt
+export const recordAttempt = serverMutation({
+  args: {
+    id: v.id("webhookDeliveries"),
+    status: v.string(), // "pending" (retry scheduled) | "success" | "failed"
+    responseStatus: v.optional(v.number()),
+    error: v.optional(v.string()),
+    nextRetryAt: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    const delivery = await ctx.db.get(args.id);
+    if (!delivery) return null;
+
+    const now = Date.now();
+    await ctx.db.patch(args.id, {
+      status: args.status,
+      attempts: delivery.attempts + 1,
+      responseStatus: args.responseStatus,
+      error: args.error,
+      nextRetryAt: args.nextRetryAt,
+      deliveredAt: args.status === "success" ? now : undefined,
+      updatedAt: now,
+    });
+
+    return { success: true };
+  },
+});
+
+// Get recent deliveries of one of the signed-in user's webhooks
+export const getDeliveries = query({
+  args: {
+    tokenHash: v.string(),
+    webhookId: v.id("webhooks"),
+    limit: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    await requireOwnWebhook(ctx, args.tokenHash, args.webhookId);
+
+    const deliveries = await ctx.db
+      .query("webhookDeliveries")
+      .withIndex("by_webhookId", (q) => q.eq("webhookId", args.webhookId))
+      .order("desc")
+      .take(args.limit || 50);
+
+    return deliveries.map((delivery) => ({
+      id: delivery._id,
+      webhookId: delivery.webhookId,
+      event: delivery.event,
+      payload: delivery.payload,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      responseStatus: delivery.responseStatus,
+      error: delivery.error,
+      nextRetryAt: delivery.nextRetryAt,
+      deliveredAt: delivery.deliveredAt,
+      createdAt: delivery.createdAt,
+    }));
+  },
+});
+
+// Get a delivery with its webhook (for retries and replays)
+export const getDelivery = serverQuery({
+  args: { id: v.id("webhookDeliveries") },
+  handler: async (ctx, args) => {
+    const delivery = await ctx.db.get(args.id);
+    if (!delivery) return null;
+
+    const webhook = await ctx.db.get(delivery.webhookId);
+    if (!webhook) return null;
+
+    return {
+      id: delivery._id,
+      accountId: delivery.accountId,
+      event: delivery.event,
+      payload: delivery.payload,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      webhook: {
+        id: webhook._id,
+        userId: webhook.userId,
+        url: webhook.url,
+        secret: webhook.secret,
+        // Also false once the owner may no longer use the account, so pending retries stop
+        isActive: await isDeliverable(ctx, webhook),
+      },
+    };
+  },
+});
+
+// Get pending deliveries whose retry is due (e.g. after a server restart)
+export const getDueRetries = serverQuery({
+  args: { now: v.number() },
+  handler: async (ctx, args) => {
+    const deliveries = await ctx.db
+      .query("webhookDeliveries")
+      .withIndex("by_status_nextRetryAt", (q) =>
+        q.eq("status", "pending").lte("nextRetryAt", args.now)
+      )
+      .take(100);
+
+    return deliveries.map((delivery) => ({
+      id: delivery._id,
+      attempts: delivery.attempts,
+    }));
+  },
+});
+
+// Delete old deliveries (keeps the log bounded)
+export const pruneDeliveries = serverMutation({
+  args: { before: v.number() },
+  handler: async (ctx, args) => {
+    const deliveries = await ctx.db
+      .query("webhookDeliveries")
+      .withIndex("by_createdAt", (q) => q.lt("createdAt", args.before))
+      .take(500);
+
+    for (const delivery of deliveries) {
+      await ctx.db.delete(delivery._id);
+    }
+
+    return { deleted: deliveries.length };
+  },
+});
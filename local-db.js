@@ -0,0 +1,73 @@
+/**
+ * Local SQLite database for WhatsApp Management Server
+ * Server-side state that must survive restarts but doesn't belong in Convex
+ * (message history, queues). Stored in .data/whatsapp-pro.db
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DATA_DIR = path.join(__dirname, ".data");
+const DB_FILE = path.join(DATA_DIR, "whatsapp-pro.db");
+
+let db = null;
+
+try {
+  const Database = require("better-sqlite3");
+
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+
+  db = new Database(DB_FILE);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+  console.log("Local database opened:", DB_FILE);
+} catch (e) {
+  console.error("Local database not available:", e.message);
+  console.log("Running without local persistence");
+}
+
+/**
+ * Create tables/indexes if they don't exist
+ * @param {string} sql - CREATE ... IF NOT EXISTS statements
+ * @returns {boolean} whether the schema is in place
+ */
+const ensureSchema = (sql) => {
+  if (!db) return false;
+  try {
+    db.exec(sql);
+    return true;
+  } catch (e) {
+    console.error("Error creating local database schema:", e.message);
+    return false;
+  }
+};
+
+/**
+ * Add a column to a table created by an earlier version (CREATE TABLE IF NOT EXISTS leaves it as is)
+ * @param {string} table
+ * @param {string} column
+ * @param {string} definition - e.g. "TEXT"
+ * @returns {boolean} whether the column is in place
+ */
+const ensureColumn = (table, column, definition) => {
+  if (!db) return false;
+  try {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+    return true;
+  } catch (e) {
+    console.error(`Error adding ${table}.${column}:`, e.message);
+    return false;
+  }
+};
+
+module.exports = {
+  db,
+  ensureSchema,
+  ensureColumn,
+  isLocalDbReady: () => db !== null,
+};
@@ -0,0 +1,110 @@
+/**
+ * Outgoing Mail for WhatsApp Management Server
+ * Transports are pluggable: "smtp" sends through nodemailer (point SMTP_HOST/SMTP_PORT at a local
+ * sink such as MailHog to test), "log" only prints what would be sent. Configured in .env.local:
+ * MAIL_TRANSPORT, MAIL_FROM, SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ */
+
+let nodemailer = null;
+try {
+  nodemailer = require("nodemailer");
+} catch (e) {
+  console.error("nodemailer not available:", e.message);
+}
+
+/**
+ * A transport turns a message into a delivery
+ * @typedef {object} Transport
+ * @property {(message: {from: string, to: string[], subject: string, text: string, html?: string, attachments?: {filename: string, content: Buffer, contentType?: string}[]}) => Promise<{messageId?: string}>} send
+ */
+
+const transports = {
+  smtp: (config) => {
+    if (!nodemailer) throw new Error("nodemailer is not installed");
+    if (!config.host) throw new Error("SMTP_HOST is not set");
+
+    const transporter = nodemailer.createTransport({
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+      // Local sinks usually have no valid certificate
+      tls: { rejectUnauthorized: config.secure },
+    });
+    return { send: (message) => transporter.sendMail(message) };
+  },
+
+  log: () => ({
+    send: async ({ to, subject, attachments = [] }) => {
+      console.log(`[mail] to ${to.join(", ")}: ${subject}${attachments.length ? ` (${attachments.map(a => a.filename).join(", ")})` : ""}`);
+      return { messageId: `log_${Date.now()}` };
+    },
+  }),
+};
+
+/**
+ * Add a transport (e.g. an HTTP mail API) selectable with MAIL_TRANSPORT
+ * @param {string} name
+ * @param {(config: object) => Transport} factory
+ */
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+const configFromEnv = () => ({
+  transport: process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "log"),
+  from: process.env.MAIL_FROM || "WhatsApp Pro <no-reply@localhost>",
+  host: process.env.SMTP_HOST,
+  port: Number(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === "true",
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS,
+});
+
+// Loose check for the recipient lists typed in the dashboard
+const isEmail = (value) => typeof value === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+/**
+ * Create the mailer
+ * @param {object} [config] - defaults to the .env.local settings
+ */
+const createMailer = (config = configFromEnv()) => {
+  let transport = null;
+
+  const getTransport = () => {
+    if (!transport) {
+      const factory = transports[config.transport];
+      if (!factory) throw new Error(`Unknown mail transport: ${config.transport}`);
+      transport = factory(config);
+    }
+    return transport;
+  };
+
+  return {
+    transportName: config.transport,
+
+    /**
+     * Send a message
+     * @param {object} message - { to: string|string[], subject, text, html?, attachments? }
+     * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+     */
+    send: async ({ to, ...message }) => {
+      const recipients = (Array.isArray(to) ? to : [to]).filter(isEmail);
+      if (recipients.length === 0) return { success: false, error: "No valid recipients" };
+
+      try {
+        const info = await getTransport().send({ from: config.from, to: recipients, ...message });
+        return { success: true, messageId: info?.messageId };
+      } catch (e) {
+        console.error(`Error sending mail via ${config.transport}:`, e.message);
+        return { success: false, error: e.message };
+      }
+    },
+  };
+};
+
+module.exports = {
+  createMailer,
+  registerTransport,
+  isEmail,
+};
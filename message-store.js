@@ -0,0 +1,365 @@
+/**
+ * Persistent Message Store
+ * Every message the server sees is kept in the local SQLite database (keyed by account + chat)
+ * with an FTS5 index, so history search is instant and chats stay readable while reconnecting.
+ * Messages sent from the dashboard also record which team member sent them
+ */
+
+const { db, ensureSchema } = require("./local-db");
+
+const ready = ensureSchema(`
+  CREATE TABLE IF NOT EXISTS messages (
+    account_id TEXT NOT NULL,
+    chat_id TEXT NOT NULL,
+    message_id TEXT NOT NULL,
+    from_me INTEGER NOT NULL DEFAULT 0,
+    sender_id TEXT,
+    sender_name TEXT,
+    body TEXT NOT NULL DEFAULT '',
+    type TEXT NOT NULL DEFAULT 'chat',
+    has_media INTEGER NOT NULL DEFAULT 0,
+    timestamp INTEGER NOT NULL,
+    ack INTEGER,
+    UNIQUE (account_id, message_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_messages_chat ON messages (account_id, chat_id, timestamp);
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+    body,
+    content = 'messages',
+    content_rowid = 'rowid',
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+
+  CREATE TRIGGER IF NOT EXISTS messages_ai AFTER INSERT ON messages BEGIN
+    INSERT INTO messages_fts (rowid, body) VALUES (new.rowid, new.body);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS messages_ad AFTER DELETE ON messages BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, body) VALUES ('delete', old.rowid, old.body);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS messages_au AFTER UPDATE OF body ON messages BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, body) VALUES ('delete', old.rowid, old.body);
+    INSERT INTO messages_fts (rowid, body) VALUES (new.rowid, new.body);
+  END;
+
+  -- Who sent a message from the dashboard (kept apart: the message row may be stored before or after)
+  CREATE TABLE IF NOT EXISTS message_agents (
+    account_id TEXT NOT NULL,
+    message_id TEXT NOT NULL,
+    chat_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    PRIMARY KEY (account_id, message_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_message_agents_time ON message_agents (account_id, timestamp);
+`);
+
+const statements = ready ? {
+  upsert: db.prepare(`
+    INSERT INTO messages (account_id, chat_id, message_id, from_me, sender_id, sender_name, body, type, has_media, timestamp, ack)
+    VALUES (@accountId, @chatId, @id, @fromMe, @senderId, @senderName, @body, @type, @hasMedia, @timestamp, @ack)
+    ON CONFLICT (account_id, message_id) DO UPDATE SET
+      body = excluded.body,
+      type = excluded.type,
+      has_media = excluded.has_media,
+      sender_name = COALESCE(excluded.sender_name, messages.sender_name),
+      ack = COALESCE(excluded.ack, messages.ack)
+  `),
+  updateAck: db.prepare(
+    "UPDATE messages SET ack = ? WHERE account_id = ? AND message_id = ?"
+  ),
+  getChatMessages: db.prepare(`
+    SELECT * FROM (
+      SELECT * FROM messages WHERE account_id = ? AND chat_id = ? ORDER BY timestamp DESC LIMIT ?
+    ) ORDER BY timestamp ASC
+  `),
+  search: db.prepare(`
+    SELECT m.* FROM messages_fts f
+    JOIN messages m ON m.rowid = f.rowid
+    WHERE messages_fts MATCH ? AND m.account_id = ?
+    ORDER BY m.timestamp DESC
+    LIMIT ?
+  `),
+  hasChatMessages: db.prepare("SELECT 1 FROM messages WHERE account_id = ? AND chat_id = ? LIMIT 1"),
+  getDailyCounts: db.prepare(`
+    SELECT date(timestamp - @shift, 'unixepoch') AS day,
+      SUM(from_me = 0) AS received,
+      SUM(from_me = 1) AS sent,
+      COUNT(DISTINCT chat_id) AS chats
+    FROM messages
+    WHERE account_id = @accountId AND timestamp BETWEEN @from AND @to AND chat_id != 'status@broadcast'
+    GROUP BY day
+  `),
+  getNewChatsPerDay: db.prepare(`
+    SELECT date(first_at - @shift, 'unixepoch') AS day, COUNT(*) AS newChats
+    FROM (
+      SELECT MIN(timestamp) AS first_at FROM messages
+      WHERE account_id = @accountId AND chat_id != 'status@broadcast'
+      GROUP BY chat_id
+    )
+    WHERE first_at BETWEEN @from AND @to
+    GROUP BY day
+  `),
+  getTimeline: db.prepare(`
+    SELECT m.chat_id, m.from_me, m.type, m.timestamp, a.user_id FROM messages m
+    LEFT JOIN message_agents a ON a.account_id = m.account_id AND a.message_id = m.message_id
+    WHERE m.account_id = ? AND m.timestamp BETWEEN ? AND ?
+    ORDER BY m.chat_id, m.timestamp
+  `),
+  getLastMessages: db.prepare(
+    "SELECT chat_id, from_me, MAX(timestamp) AS timestamp FROM messages WHERE account_id = ? GROUP BY chat_id"
+  ),
+  recordAgent: db.prepare(`
+    INSERT OR REPLACE INTO message_agents (account_id, message_id, chat_id, user_id, timestamp)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+  getAgentActivity: db.prepare(`
+    SELECT user_id, COUNT(*) AS sent, COUNT(DISTINCT chat_id) AS chats FROM message_agents
+    WHERE account_id = ? AND timestamp BETWEEN ? AND ?
+    GROUP BY user_id
+  `),
+  deleteAccount: db.prepare("DELETE FROM messages WHERE account_id = ?"),
+  deleteAccountAgents: db.prepare("DELETE FROM message_agents WHERE account_id = ?"),
+} : null;
+
+// Row -> plain record
+const fromRow = (row) => ({
+  id: row.message_id,
+  chatId: row.chat_id,
+  fromMe: row.from_me === 1,
+  senderId: row.sender_id,
+  senderName: row.sender_name,
+  body: row.body,
+  type: row.type,
+  hasMedia: row.has_media === 1,
+  timestamp: row.timestamp,
+  ack: row.ack,
+});
+
+// Turn user input into an FTS5 query: every word must match (as a prefix)
+const toFtsQuery = (query) =>
+  query
+    .trim()
+    .split(/\s+/)
+    .map(term => term.replace(/"/g, ""))
+    .filter(Boolean)
+    .map(term => `"${term}"*`)
+    .join(" ");
+
+/**
+ * Build a store record from a whatsapp-web.js message
+ * @param {object} msg - whatsapp-web.js Message
+ * @param {object} [extra] - fields to override (e.g. chatId, senderName)
+ */
+const fromWhatsAppMessage = (msg, extra = {}) => ({
+  id: msg.id?._serialized,
+  chatId: msg.fromMe ? msg.to : msg.from,
+  fromMe: msg.fromMe || false,
+  senderId: msg.author || (msg.fromMe ? null : msg.from) || null,
+  senderName: (!msg.fromMe && msg._data?.notifyName) || null,
+  body: msg.body || "",
+  type: msg.type || "chat",
+  hasMedia: msg.hasMedia || false,
+  timestamp: msg.timestamp || Math.floor(Date.now() / 1000),
+  ack: typeof msg.ack === "number" ? msg.ack : null,
+  ...extra,
+});
+
+const messageStore = {
+  /**
+   * Insert or update messages of an account
+   * @param {string} accountId
+   * @param {object[]} records - { id, chatId, fromMe, senderId?, senderName?, body, type, hasMedia, timestamp, ack? }
+   */
+  save(accountId, records) {
+    if (!statements || !accountId) return;
+    const valid = records.filter(r => r && r.id && r.chatId);
+    if (valid.length === 0) return;
+
+    try {
+      db.transaction(() => {
+        for (const r of valid) {
+          statements.upsert.run({
+            accountId,
+            chatId: r.chatId,
+            id: r.id,
+            fromMe: r.fromMe ? 1 : 0,
+            senderId: r.senderId || null,
+            senderName: r.senderName || null,
+            body: r.body || "",
+            type: r.type || "chat",
+            hasMedia: r.hasMedia ? 1 : 0,
+            timestamp: Math.floor(r.timestamp || Date.now() / 1000),
+            ack: typeof r.ack === "number" ? r.ack : null,
+          });
+        }
+      })();
+    } catch (e) {
+      console.error("Error saving messages to local store:", e.message);
+    }
+  },
+
+  // Update the delivery status of a message
+  updateAck(accountId, messageId, ack) {
+    if (!statements) return;
+    try {
+      statements.updateAck.run(ack, accountId, messageId);
+    } catch (e) {
+      console.error("Error updating message ack:", e.message);
+    }
+  },
+
+  // Get the latest messages of a chat (oldest first, like chat.fetchMessages)
+  getChatMessages(accountId, chatId, limit = 50) {
+    if (!statements) return [];
+    try {
+      return statements.getChatMessages.all(accountId, chatId, limit).map(fromRow);
+    } catch (e) {
+      console.error("Error reading messages from local store:", e.message);
+      return [];
+    }
+  },
+
+  // Whether any message of a chat has been stored
+  hasChatMessages(accountId, chatId) {
+    if (!statements) return false;
+    try {
+      return statements.hasChatMessages.get(accountId, chatId) !== undefined;
+    } catch (e) {
+      console.error("Error reading messages from local store:", e.message);
+      return false;
+    }
+  },
+
+  /**
+   * Who sent what when, for every chat of an account in a time range (response analytics)
+   * @param {string} accountId
+   * @param {number} from - unix seconds
+   * @param {number} to - unix seconds
+   * @returns {{chatId: string, fromMe: boolean, type: string, timestamp: number, agentId: string|null}[]} grouped by chat, oldest first
+   */
+  getTimeline(accountId, from, to) {
+    if (!statements) return [];
+    try {
+      return statements.getTimeline.all(accountId, from, to).map(row => ({
+        chatId: row.chat_id,
+        fromMe: row.from_me === 1,
+        type: row.type,
+        timestamp: row.timestamp,
+        agentId: row.user_id,
+      }));
+    } catch (e) {
+      console.error("Error reading message timeline from local store:", e.message);
+      return [];
+    }
+  },
+
+  /**
+   * Message counts of an account per local day
+   * @param {string} accountId
+   * @param {number} from - unix seconds
+   * @param {number} to - unix seconds
+   * @param {number} timezoneOffset - minutes, as Date#getTimezoneOffset of the viewer
+   * @returns {{date: string, received: number, sent: number, chats: number, newChats: number}[]} days with messages only
+   */
+  getDailyCounts(accountId, from, to, timezoneOffset = 0) {
+    if (!statements) return [];
+    const params = { accountId, from, to, shift: timezoneOffset * 60 };
+    try {
+      const days = new Map(statements.getDailyCounts.all(params).map(row => [row.day, {
+        date: row.day,
+        received: row.received,
+        sent: row.sent,
+        chats: row.chats,
+        newChats: 0,
+      }]));
+      for (const row of statements.getNewChatsPerDay.all(params)) {
+        const day = days.get(row.day);
+        if (day) day.newChats = row.newChats;
+      }
+      return [...days.values()];
+    } catch (e) {
+      console.error("Error reading daily message counts from local store:", e.message);
+      return [];
+    }
+  },
+
+  // Latest stored message of every chat of an account: { chatId, fromMe, timestamp }
+  getLastMessages(accountId) {
+    if (!statements) return [];
+    try {
+      return statements.getLastMessages.all(accountId).map(row => ({
+        chatId: row.chat_id,
+        fromMe: row.from_me === 1,
+        timestamp: row.timestamp,
+      }));
+    } catch (e) {
+      console.error("Error reading last messages from local store:", e.message);
+      return [];
+    }
+  },
+
+  /**
+   * Remember which team member sent a message from the dashboard
+   * @param {string} accountId
+   * @param {object} sent - { messageId, chatId, userId, timestamp }
+   */
+  recordAgent(accountId, { messageId, chatId, userId, timestamp }) {
+    if (!statements || !messageId || !chatId || !userId) return;
+    try {
+      statements.recordAgent.run(accountId, messageId, chatId, userId, Math.floor(timestamp || Date.now() / 1000));
+    } catch (e) {
+      console.error("Error recording message agent:", e.message);
+    }
+  },
+
+  // Messages sent and chats written to by each team member in a time range (unix seconds)
+  getAgentActivity(accountId, from, to) {
+    if (!statements) return [];
+    try {
+      return statements.getAgentActivity.all(accountId, from, to).map(row => ({
+        userId: row.user_id,
+        sent: row.sent,
+        chats: row.chats,
+      }));
+    } catch (e) {
+      console.error("Error reading agent activity from local store:", e.message);
+      return [];
+    }
+  },
+
+  // Full-text search across all chats of an account (newest first)
+  search(accountId, query, limit = 200) {
+    if (!statements) return [];
+    const ftsQuery = toFtsQuery(query || "");
+    if (!ftsQuery) return [];
+
+    try {
+      return statements.search.all(ftsQuery, accountId, limit).map(fromRow);
+    } catch (e) {
+      console.error("Error searching local message store:", e.message);
+      return [];
+    }
+  },
+
+  // Remove all stored messages of an account
+  deleteAccount(accountId) {
+    if (!statements) return;
+    try {
+      statements.deleteAccount.run(accountId);
+      statements.deleteAccountAgents.run(accountId);
+    } catch (e) {
+      console.error("Error deleting account messages from local store:", e.message);
+    }
+  },
+};
+
+module.exports = {
+  messageStore,
+  fromWhatsAppMessage,
+  isMessageStoreReady: () => statements !== null,
+};
@@ -0,0 +1,205 @@
+/**
+ * Response Analytics for WhatsApp Management Server
+ * Response-time metrics computed from the stored message history (message-store.js) rather than
+ * from each chat's last message: first response time, reply time, median reply time by hour and
+ * weekday, conversations resolved per day, and the reply times of each team member. Also lays
+ * out the daily message counts of a range
+ */
+
+const DAY_SECONDS = 24 * 60 * 60;
+const MAX_RANGE_DAYS = 366;
+
+// A chat going quiet this long ends a conversation; the next message starts a new one
+const CONVERSATION_GAP = DAY_SECONDS;
+
+// Messages that aren't something a customer or agent wrote
+const IGNORED_TYPES = new Set(["e2e_notification", "notification_template", "gp2", "call_log", "protocol", "revoked", "ciphertext"]);
+
+// Only one-to-one chats have a "customer waiting for a reply"
+const isCustomerChat = (chatId) => !chatId.endsWith("@g.us") && chatId !== "status@broadcast";
+
+/**
+ * Validate the date range picked on the analytics page
+ * @param {object} input - { from: "YYYY-MM-DD", to: "YYYY-MM-DD", timezoneOffset } (offset as Date#getTimezoneOffset)
+ * @returns {{range?: {from: number, to: number, timezoneOffset: number}, error?: string}} from / to in unix seconds, to inclusive
+ */
+const parseAnalyticsRange = ({ from, to, timezoneOffset } = {}) => {
+  const offset = Number.isInteger(timezoneOffset) && Math.abs(timezoneOffset) <= 14 * 60 ? timezoneOffset : 0;
+
+  // Midnight of a local calendar day, in unix seconds
+  const toDayStart = (value) => {
+    const match = typeof value === "string" ? /^(\d{4})-(\d{2})-(\d{2})$/.exec(value) : null;
+    if (!match) return null;
+    const ms = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return Number.isNaN(ms) ? null : ms / 1000 + offset * 60;
+  };
+
+  const start = toDayStart(from);
+  const end = toDayStart(to);
+  if (start === null || end === null) return { error: "حدد تاريخ البداية والنهاية" };
+  if (end < start) return { error: "تاريخ النهاية يجب أن يكون بعد تاريخ البداية" };
+  if ((end - start) / DAY_SECONDS >= MAX_RANGE_DAYS) return { error: `الحد الأقصى للفترة ${MAX_RANGE_DAYS} يوماً` };
+
+  return { range: { from: start, to: end + DAY_SECONDS - 1, timezoneOffset: offset } };
+};
+
+// Local calendar days of a range, as "YYYY-MM-DD"
+const rangeDays = (range) => {
+  const days = [];
+  for (let day = range.from; day <= range.to; day += DAY_SECONDS) {
+    days.push(new Date((day - range.timezoneOffset * 60) * 1000).toISOString().slice(0, 10));
+  }
+  return days;
+};
+
+const average = (values) =>
+  values.length > 0 ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+/**
+ * Compute the metrics of a date range
+ * @param {object[][]} timelines - one messageStore.getTimeline list per account, fetched from range.from
+ *   to range.to + CONVERSATION_GAP so a follow-up after the range still reopens a conversation
+ * @param {object} range - from parseAnalyticsRange
+ * @param {number} now - unix seconds
+ * @returns {object} times in seconds, null when there's nothing to measure
+ */
+const computeResponseAnalytics = (timelines, range, now = Math.floor(Date.now() / 1000)) => {
+  const inRange = (timestamp) => timestamp >= range.from && timestamp <= range.to;
+  // Shift to the viewer's timezone so hours, weekdays and days match their calendar
+  const toLocal = (timestamp) => new Date((timestamp - range.timezoneOffset * 60) * 1000);
+  const dayKey = (timestamp) => toLocal(timestamp).toISOString().slice(0, 10);
+
+  const firstResponses = [];
+  const replies = []; // { delay, waitingSince, agentId }
+  const resolvedDays = new Map();
+  let conversations = 0;
+  let waiting = 0;
+
+  // Walk one chat's messages, oldest first
+  const walkChat = (messages) => {
+    let conversation = null; // { hasCustomer, responded, lastFromMe, lastAt }
+    let waitingSince = null; // first customer message not replied to yet
+
+    const closeConversation = () => {
+      // Resolved: the customer wrote, we had the last word and they didn't come back
+      if (conversation?.hasCustomer && conversation.lastFromMe && inRange(conversation.lastAt)) {
+        const key = dayKey(conversation.lastAt);
+        resolvedDays.set(key, (resolvedDays.get(key) || 0) + 1);
+      }
+    };
+
+    for (const message of messages) {
+      if (!conversation || message.timestamp - conversation.lastAt > CONVERSATION_GAP) {
+        closeConversation();
+        // A conversation we start ourselves has nothing to respond to
+        conversation = { hasCustomer: false, responded: message.fromMe, lastFromMe: false, lastAt: 0 };
+        waitingSince = null;
+      }
+
+      if (message.fromMe) {
+        if (waitingSince !== null && inRange(waitingSince)) {
+          const delay = message.timestamp - waitingSince;
+          replies.push({ delay, waitingSince, agentId: message.agentId || null });
+          if (!conversation.responded) firstResponses.push(delay);
+        }
+        conversation.responded = true;
+        waitingSince = null;
+      } else {
+        // Conversations the customer started, i.e. the ones waiting for a first response
+        if (!conversation.hasCustomer && !conversation.responded && inRange(message.timestamp)) conversations++;
+        conversation.hasCustomer = true;
+        if (waitingSince === null) waitingSince = message.timestamp;
+      }
+      conversation.lastFromMe = message.fromMe;
+      conversation.lastAt = message.timestamp;
+    }
+
+    // The last conversation only counts as resolved once it has been quiet long enough
+    if (conversation && now - conversation.lastAt > CONVERSATION_GAP) closeConversation();
+    if (waitingSince !== null && inRange(waitingSince)) waiting++;
+  };
+
+  for (const timeline of timelines) {
+    let chatMessages = [];
+    for (const message of timeline) {
+      if (!isCustomerChat(message.chatId) || IGNORED_TYPES.has(message.type)) continue;
+      if (chatMessages.length > 0 && chatMessages[0].chatId !== message.chatId) {
+        walkChat(chatMessages);
+        chatMessages = [];
+      }
+      chatMessages.push(message);
+    }
+    if (chatMessages.length > 0) walkChat(chatMessages);
+  }
+
+  // Median reply time by the hour / weekday the customer wrote in
+  const byHour = Array.from({ length: 24 }, () => []);
+  const byWeekday = Array.from({ length: 7 }, () => []);
+  for (const { delay, waitingSince } of replies) {
+    const local = toLocal(waitingSince);
+    byHour[local.getUTCHours()].push(delay);
+    byWeekday[local.getUTCDay()].push(delay);
+  }
+
+  const resolvedPerDay = rangeDays(range).map(date => ({ date, count: resolvedDays.get(date) || 0 }));
+
+  // Reply times of the team members who answered from the dashboard
+  const agentDelays = new Map();
+  for (const { delay, agentId } of replies) {
+    if (!agentId) continue;
+    if (!agentDelays.has(agentId)) agentDelays.set(agentId, []);
+    agentDelays.get(agentId).push(delay);
+  }
+
+  const replyDelays = replies.map(r => r.delay);
+  return {
+    conversations,
+    responded: firstResponses.length,
+    waiting,
+    firstResponse: { average: average(firstResponses), median: median(firstResponses) },
+    replyTime: { average: average(replyDelays), median: median(replyDelays), count: replyDelays.length },
+    byHour: byHour.map((delays, hour) => ({ hour, median: median(delays), count: delays.length })),
+    byWeekday: byWeekday.map((delays, day) => ({ day, median: median(delays), count: delays.length })),
+    resolvedPerDay,
+    byAgent: [...agentDelays].map(([agentId, delays]) => ({
+      agentId,
+      replies: delays.length,
+      average: average(delays),
+      median: median(delays),
+    })),
+  };
+};
+
+/**
+ * Whether a chat's conversation is still going: the customer is waiting for a reply, or it
+ * hasn't been quiet long enough to count as resolved
+ * @param {object|undefined} lastMessage - from messageStore.getLastMessages (none stored = open)
+ * @param {number} now - unix seconds
+ */
+const isConversationOpen = (lastMessage, now = Math.floor(Date.now() / 1000)) =>
+  !lastMessage || !lastMessage.fromMe || now - lastMessage.timestamp <= CONVERSATION_GAP;
+
+/**
+ * Every day of a range with its message counts, days without messages included
+ * @param {object[]} counts - messageStore.getDailyCounts
+ * @param {object} range - from parseAnalyticsRange
+ */
+const fillDailyCounts = (counts, range) => {
+  const byDate = new Map(counts.map(c => [c.date, c]));
+  return rangeDays(range).map(date => byDate.get(date) || { date, received: 0, sent: 0, chats: 0, newChats: 0 });
+};
+
+module.exports = {
+  CONVERSATION_GAP,
+  parseAnalyticsRange,
+  computeResponseAnalytics,
+  fillDailyCounts,
+  isConversationOpen,
+};
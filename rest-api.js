@@ -0,0 +1,306 @@
+/**
+ * REST API for WhatsApp Management Server
+ * Versioned HTTP endpoints (/api/v1/...) that reuse the same handlers as the Socket.io events,
+ * authenticated with per-user API keys stored in Convex. A key acts as its owner: the same
+ * accounts and permissions, and masked phone numbers without viewUnmasked
+ */
+
+const crypto = require("crypto");
+const { canAccessAccount, hasPermission, maskPayload, unmaskPayload } = require("./access-control");
+
+const API_PREFIX = "/api/v1";
+const API_KEY_PREFIX = "wpk_";
+const MAX_BODY_SIZE = 10 * 1024 * 1024; // 10MB
+const KEY_CACHE_TTL = 60 * 1000; // 1 minute
+
+// Hash an API key (only the hash is stored in Convex)
+const hashApiKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+// Generate a new API key - the plain key is shown to the user once
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+  return {
+    key,
+    keyHash: hashApiKey(key),
+    keyPrefix: key.slice(0, API_KEY_PREFIX.length + 6),
+  };
+};
+
+// Send a JSON response
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+};
+
+// Read and parse a JSON request body
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+
+  req.on("data", (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      reject(Object.assign(new Error("Request body too large"), { statusCode: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on("end", () => {
+    if (chunks.length === 0) return resolve({});
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+    } catch (e) {
+      reject(Object.assign(new Error("Invalid JSON body"), { statusCode: 400 }));
+    }
+  });
+
+  req.on("error", reject);
+});
+
+// Extract the API key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+const getRequestApiKey = (req) => {
+  const authHeader = req.headers["authorization"] || "";
+  if (authHeader.startsWith("Bearer ")) {
+    return authHeader.slice("Bearer ".length).trim();
+  }
+  return (req.headers["x-api-key"] || "").trim();
+};
+
+/**
+ * Create the REST API request handler
+ * @param {object} deps - server state accessors and the shared handlers from server.js
+ */
+const createRestApi = ({
+  apiKeysDb,
+  isConvexReady,
+  getAccounts,
+  getDefaultAccountId,
+  isAccountReady,
+  getAccountChats,
+  fetchMessagesWithRetry,
+  sendMessageWithRetry,
+  searchAllMessages,
+}) => {
+  // keyHash -> { apiKey, expiresAt }
+  const keyCache = new Map();
+
+  // Resolve the API key of a request to its owner, or null
+  const authenticate = async (req) => {
+    const key = getRequestApiKey(req);
+    if (!key || !key.startsWith(API_KEY_PREFIX)) return null;
+
+    const keyHash = hashApiKey(key);
+    const cached = keyCache.get(keyHash);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.apiKey;
+    }
+
+    if (!isConvexReady()) return null;
+
+    const apiKey = await apiKeysDb.getByHash(keyHash);
+    if (!apiKey) {
+      keyCache.delete(keyHash);
+      return null;
+    }
+
+    keyCache.set(keyHash, { apiKey, expiresAt: Date.now() + KEY_CACHE_TTL });
+    apiKeysDb.touch(apiKey.id).catch(() => {});
+    return apiKey;
+  };
+
+  // Accounts of the key owner's workspaces they may use - same rule as the getAccounts socket
+  // event, across all their workspaces
+  const getUserAccounts = (apiKey) => getAccounts().filter(a => canAccessAccount(apiKey.access, a));
+
+  // Resolve the target account of a request (the key owner's default account when none is given)
+  const resolveAccount = (apiKey, accountId) => {
+    const userAccounts = getUserAccounts(apiKey);
+    const account = userAccounts.find(a => a.id === (accountId || getDefaultAccountId(apiKey.userId, userAccounts)));
+    if (!account) {
+      return { error: { statusCode: 404, message: "Account not found" } };
+    }
+    return { account };
+  };
+
+  const routes = [
+    {
+      method: "GET",
+      pattern: /^\/accounts$/,
+      handler: async ({ apiKey }) => {
+        const userAccounts = getUserAccounts(apiKey);
+        const defaultAccountId = getDefaultAccountId(apiKey.userId, userAccounts);
+        return {
+          data: userAccounts.map(a => ({
+            id: a.id,
+            name: a.name,
+            phone: a.phone,
+            isActive: a.id === defaultAccountId,
+            isConnected: isAccountReady(a.id),
+          })),
+        };
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/accounts\/([^/]+)\/chats$/,
+      handler: async ({ apiKey, params }) => {
+        const accountId = params[0];
+        const account = getUserAccounts(apiKey).find(a => a.id === accountId);
+        if (!account) {
+          return { statusCode: 404, error: "Account not found" };
+        }
+        return { data: await getAccountChats(accountId) };
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/chats\/([^/]+)\/messages$/,
+      handler: async ({ apiKey, params, query }) => {
+        const { account, error } = resolveAccount(apiKey, query.accountId);
+        if (error) {
+          return { statusCode: error.statusCode, error: error.message };
+        }
+
+        const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 500);
+        const result = await fetchMessagesWithRetry({ accountId: account.id, chatId: params[0], limit, maxRetries: 5 });
+        if (result.error) {
+          return { statusCode: 503, error: result.error };
+        }
+        return { data: result.messages, fromCache: result.fromCache || false };
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/messages$/,
+      permission: "sendMessages",
+      handler: async ({ apiKey, body }) => {
+        const { chatId, message, attachment, accountId } = body;
+        if (!chatId || (!message && !attachment)) {
+          return { statusCode: 400, error: "chatId and message (or attachment) are required" };
+        }
+
+        const { account, error } = resolveAccount(apiKey, accountId);
+        if (error) {
+          return { statusCode: error.statusCode, error: error.message };
+        }
+        if (!isAccountReady(account.id)) {
+          return { statusCode: 409, error: "Account is not connected" };
+        }
+
+        const result = await sendMessageWithRetry({
+          accountId: account.id,
+          chatId,
+          message,
+          attachment,
+          maxRetries: 10,
+        });
+        if (!result.success) {
+          return { statusCode: result.retryable === false ? 400 : 503, error: result.message };
+        }
+        return {
+          statusCode: 201,
+          data: { chatId: result.chatId, messageId: result.messageId, timestamp: result.timestamp },
+        };
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/search$/,
+      handler: async ({ apiKey, query }) => {
+        const { account, error } = resolveAccount(apiKey, query.accountId);
+        if (error) {
+          return { statusCode: error.statusCode, error: error.message };
+        }
+        if (!query.q || query.q.trim().length < 2) {
+          return { statusCode: 400, error: "Query must be at least 2 characters" };
+        }
+
+        const result = await searchAllMessages({
+          accountId: account.id,
+          query: query.q,
+          maxChats: parseInt(query.maxChats, 10) || undefined,
+          maxMessagesPerChat: parseInt(query.maxMessagesPerChat, 10) || undefined,
+        });
+        return { data: result.results, fromCache: result.fromCache || false };
+      },
+    },
+  ];
+
+  // Handle a request under /api/v1
+  const handleRequest = async (req, res, parsedUrl) => {
+    const route = parsedUrl.pathname.slice(API_PREFIX.length).replace(/\/+$/, "") || "/";
+
+    try {
+      const apiKey = await authenticate(req);
+      if (!apiKey) {
+        sendJson(res, 401, { success: false, error: "Invalid or missing API key" });
+        return;
+      }
+
+      let pathMatched = false;
+      for (const { method, pattern, permission, handler } of routes) {
+        const match = route.match(pattern);
+        if (!match) continue;
+        pathMatched = true;
+        if (method !== req.method) continue;
+
+        if (permission && !hasPermission(apiKey, permission)) {
+          sendJson(res, 403, { success: false, error: "Permission denied" });
+          return;
+        }
+
+        // Keys of users without viewUnmasked send back the masked chat ids they were given
+        const masked = !hasPermission(apiKey, "viewUnmasked");
+        const unmask = masked ? unmaskPayload : (value) => value;
+
+        let params;
+        try {
+          params = match.slice(1).map(decodeURIComponent);
+        } catch {
+          sendJson(res, 400, { success: false, error: "Malformed URL" });
+          return;
+        }
+        const body = method === "POST" ? await readJsonBody(req) : {};
+        const { statusCode = 200, error, ...result } = await handler({
+          apiKey,
+          params: unmask(params),
+          query: unmask({ ...parsedUrl.query }),
+          body: unmask(body),
+        });
+
+        if (error) {
+          sendJson(res, statusCode, { success: false, error });
+        } else {
+          sendJson(res, statusCode, { success: true, ...(masked ? maskPayload(result) : result) });
+        }
+        return;
+      }
+
+      if (pathMatched) {
+        sendJson(res, 405, { success: false, error: "Method not allowed" });
+      } else {
+        sendJson(res, 404, { success: false, error: "Not found" });
+      }
+    } catch (e) {
+      console.error(`REST API error (${req.method} ${parsedUrl.pathname}):`, e.message);
+      sendJson(res, e.statusCode || 500, { success: false, error: e.statusCode ? e.message : "Internal server error" });
+    }
+  };
+
+  return {
+    isApiRequest: (pathname) => pathname === API_PREFIX || pathname.startsWith(`${API_PREFIX}/`),
+    handleRequest,
+    // Forget cached keys (e.g. after a key is revoked)
+    clearKeyCache: () => keyCache.clear(),
+  };
+};
+
+module.exports = {
+  createRestApi,
+  generateApiKey,
+  hashApiKey,
+  readJsonBody,
+  sendJson,
+};
@@ -0,0 +1,76 @@
+/**
+ * Sales Pipeline for WhatsApp Management Server
+ * Chats are placed as deals on configurable stages (open stages, then won / lost).
+ * Validates stage lists and deal values coming from the pipeline board
+ */
+
+const STAGE_KINDS = ["open", "won", "lost"];
+const MAX_STAGES = 20;
+const MAX_STAGE_NAME_LENGTH = 50;
+const MAX_DEAL_TITLE_LENGTH = 100;
+const DEFAULT_COLOR = "#22c55e";
+
+// Stages given to an account the first time its pipeline is opened
+const DEFAULT_STAGES = [
+  { name: "عميل جديد", kind: "open", color: "#3b82f6" },
+  { name: "تم إرسال عرض سعر", kind: "open", color: "#8b5cf6" },
+  { name: "تفاوض", kind: "open", color: "#f97316" },
+  { name: "تم الفوز", kind: "won", color: "#22c55e" },
+  { name: "خسارة", kind: "lost", color: "#ef4444" },
+];
+
+/**
+ * Validate the stage list from the board editor
+ * @param {object[]} input - [{ id?, name, kind, color }] in board order
+ * @param {object[]} currentStages - stages from pipelineDb.getStages
+ * @param {object[]} deals - deals from pipelineDb.getDeals (stages holding deals can't be removed)
+ * @returns {{stages?: {id?: string, name: string, kind: string, color: string}[], error?: string}}
+ */
+const parseStages = (input, currentStages, deals) => {
+  if (!Array.isArray(input) || input.length === 0) return { error: "أضف مرحلة واحدة على الأقل" };
+  if (input.length > MAX_STAGES) return { error: `الحد الأقصى ${MAX_STAGES} مرحلة` };
+
+  const currentIds = new Set(currentStages.map(s => s.id));
+  const stages = [];
+  for (const stage of input) {
+    const name = typeof stage?.name === "string" ? stage.name.trim() : "";
+    if (!name) return { error: "اسم المرحلة مطلوب" };
+    if (name.length > MAX_STAGE_NAME_LENGTH) return { error: `اسم المرحلة "${name}" طويل جداً` };
+    if (stages.some(s => s.name === name)) return { error: `المرحلة "${name}" مكررة` };
+    if (!STAGE_KINDS.includes(stage.kind)) return { error: "نوع المرحلة غير صالح" };
+
+    stages.push({
+      ...(currentIds.has(stage.id) ? { id: stage.id } : {}),
+      name,
+      kind: stage.kind,
+      color: /^#[0-9a-f]{6}$/i.test(stage.color) ? stage.color : DEFAULT_COLOR,
+    });
+  }
+  if (!stages.some(s => s.kind === "open")) return { error: "يجب أن تحتوي القائمة على مرحلة مفتوحة واحدة على الأقل" };
+
+  const keptIds = new Set(stages.map(s => s.id).filter(Boolean));
+  const removedWithDeals = currentStages.find(s => !keptIds.has(s.id) && deals.some(d => d.stageId === s.id));
+  if (removedWithDeals) return { error: `لا يمكن حذف المرحلة "${removedWithDeals.name}" لأنها تحتوي على صفقات` };
+
+  return { stages };
+};
+
+/**
+ * Validate a deal's value and title
+ * @returns {{deal?: {value: number, title: string}, error?: string}}
+ */
+const parseDealInput = ({ value, title } = {}) => {
+  const amount = value === "" || value === null || value === undefined ? 0 : Number(value);
+  if (!Number.isFinite(amount) || amount < 0) return { error: "قيمة الصفقة يجب أن تكون رقماً موجباً" };
+
+  const cleanTitle = typeof title === "string" ? title.trim() : "";
+  if (cleanTitle.length > MAX_DEAL_TITLE_LENGTH) return { error: "عنوان الصفقة طويل جداً" };
+
+  return { deal: { value: Math.round(amount * 100) / 100, title: cleanTitle } };
+};
+
+module.exports = {
+  DEFAULT_STAGES,
+  parseStages,
+  parseDealInput,
+};
@@ -0,0 +1,310 @@
+/**
+ * Scheduled Messages for WhatsApp Management Server
+ * One-off and recurring (daily/weekly/monthly) messages kept in the local SQLite database,
+ * sent when due through the owning account and retried while it isn't ready
+ */
+
+const { db, ensureSchema } = require("./local-db");
+
+const ready = ensureSchema(`
+  CREATE TABLE IF NOT EXISTS scheduled_messages (
+    id TEXT PRIMARY KEY,
+    account_id TEXT NOT NULL,
+    chat_id TEXT NOT NULL,
+    user_id TEXT,
+    message TEXT NOT NULL DEFAULT '',
+    attachment TEXT,
+    send_at INTEGER NOT NULL,
+    recurrence TEXT NOT NULL DEFAULT 'none',
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    retry_at INTEGER,
+    last_error TEXT,
+    last_sent_at INTEGER,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due ON scheduled_messages (status, send_at);
+  CREATE INDEX IF NOT EXISTS idx_scheduled_messages_chat ON scheduled_messages (account_id, chat_id);
+`);
+
+const RECURRENCES = ["none", "daily", "weekly", "monthly"];
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY_BASE = 60 * 1000; // 1 minute, doubled per failed attempt
+const POLL_INTERVAL = 15 * 1000;
+
+const statements = ready ? {
+  insert: db.prepare(`
+    INSERT INTO scheduled_messages (id, account_id, chat_id, user_id, message, attachment, send_at, recurrence, created_at, updated_at)
+    VALUES (@id, @accountId, @chatId, @userId, @message, @attachment, @sendAt, @recurrence, @now, @now)
+  `),
+  get: db.prepare("SELECT * FROM scheduled_messages WHERE id = ?"),
+  listForChat: db.prepare(`
+    SELECT * FROM scheduled_messages
+    WHERE account_id = ? AND chat_id = ? AND status != 'cancelled'
+    ORDER BY CASE status WHEN 'pending' THEN 0 ELSE 1 END, send_at ASC
+  `),
+  listForAccount: db.prepare(`
+    SELECT * FROM scheduled_messages
+    WHERE account_id = ? AND status = 'pending'
+    ORDER BY send_at ASC
+  `),
+  dueAccounts: db.prepare(`
+    SELECT DISTINCT account_id FROM scheduled_messages
+    WHERE status = 'pending' AND COALESCE(retry_at, send_at) <= ?
+  `),
+  // accountIds is a JSON array: only the accounts that can send, so their jobs aren't crowded out
+  // of the batch by those of disconnected accounts
+  due: db.prepare(`
+    SELECT * FROM scheduled_messages
+    WHERE status = 'pending' AND COALESCE(retry_at, send_at) <= @now
+      AND account_id IN (SELECT value FROM json_each(@accountIds))
+    ORDER BY COALESCE(retry_at, send_at) ASC
+    LIMIT 20
+  `),
+  update: db.prepare(`
+    UPDATE scheduled_messages
+    SET message = @message, attachment = @attachment, send_at = @sendAt, recurrence = @recurrence,
+        status = 'pending', attempts = 0, retry_at = NULL, last_error = NULL, updated_at = @now
+    WHERE id = @id
+  `),
+  cancel: db.prepare("UPDATE scheduled_messages SET status = 'cancelled', updated_at = ? WHERE id = ?"),
+  markSent: db.prepare(`
+    UPDATE scheduled_messages
+    SET status = @status, send_at = @sendAt, attempts = 0, retry_at = NULL, last_error = NULL,
+        last_sent_at = @now, updated_at = @now
+    WHERE id = @id
+  `),
+  markRetry: db.prepare(`
+    UPDATE scheduled_messages
+    SET attempts = @attempts, retry_at = @retryAt, last_error = @error, updated_at = @now
+    WHERE id = @id
+  `),
+  markFailed: db.prepare(`
+    UPDATE scheduled_messages
+    SET status = 'failed', attempts = @attempts, retry_at = NULL, last_error = @error, updated_at = @now
+    WHERE id = @id
+  `),
+} : null;
+
+/**
+ * Next occurrence of a recurring job after `after`
+ * Monthly jobs keep their day of month, clamped to the month's last day (31st -> 30th/28th)
+ */
+const nextOccurrence = (sendAt, recurrence, after = Date.now()) => {
+  const original = new Date(sendAt);
+  const next = new Date(sendAt);
+  let months = 0;
+
+  while (next.getTime() <= after) {
+    if (recurrence === "daily") {
+      next.setDate(next.getDate() + 1);
+    } else if (recurrence === "weekly") {
+      next.setDate(next.getDate() + 7);
+    } else if (recurrence === "monthly") {
+      months++;
+      const target = new Date(original.getFullYear(), original.getMonth() + months + 1, 0); // last day of target month
+      next.setFullYear(target.getFullYear(), target.getMonth(), Math.min(original.getDate(), target.getDate()));
+    } else {
+      return null;
+    }
+  }
+
+  return next.getTime();
+};
+
+// Row -> job summary (attachment data is left out, only its kind and filename)
+const toJob = (row) => {
+  let attachment = null;
+  if (row.attachment) {
+    try {
+      const parsed = JSON.parse(row.attachment);
+      attachment = { kind: parsed.kind, filename: parsed.filename || null };
+    } catch (e) {
+      attachment = null;
+    }
+  }
+
+  return {
+    id: row.id,
+    accountId: row.account_id,
+    chatId: row.chat_id,
+    userId: row.user_id,
+    message: row.message,
+    attachment,
+    sendAt: row.send_at,
+    recurrence: row.recurrence,
+    status: row.status,
+    attempts: row.attempts,
+    retryAt: row.retry_at,
+    lastError: row.last_error,
+    lastSentAt: row.last_sent_at,
+    createdAt: row.created_at,
+  };
+};
+
+const scheduleStore = {
+  /**
+   * Schedule a message
+   * @returns {object} job summary
+   */
+  create({ accountId, chatId, userId, message, attachment, sendAt, recurrence }) {
+    if (!statements) return null;
+    const id = `job_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    statements.insert.run({
+      id,
+      accountId,
+      chatId,
+      userId: userId || null,
+      message: message || "",
+      attachment: attachment ? JSON.stringify(attachment) : null,
+      sendAt,
+      recurrence,
+      now: Date.now(),
+    });
+    return toJob(statements.get.get(id));
+  },
+
+  get(id) {
+    if (!statements) return null;
+    const row = statements.get.get(id);
+    return row ? toJob(row) : null;
+  },
+
+  listForChat(accountId, chatId) {
+    if (!statements) return [];
+    return statements.listForChat.all(accountId, chatId).map(toJob);
+  },
+
+  listPending(accountId) {
+    if (!statements) return [];
+    return statements.listForAccount.all(accountId).map(toJob);
+  },
+
+  /**
+   * Edit a job (reactivates failed jobs). attachment: undefined keeps the current one, null removes it
+   * @returns {object|null} job summary
+   */
+  update(id, { message, attachment, sendAt, recurrence }) {
+    if (!statements) return null;
+    const row = statements.get.get(id);
+    if (!row || row.status === "cancelled") return null;
+
+    statements.update.run({
+      id,
+      message: message ?? row.message,
+      attachment: attachment === undefined ? row.attachment : attachment ? JSON.stringify(attachment) : null,
+      sendAt: sendAt ?? row.send_at,
+      recurrence: recurrence ?? row.recurrence,
+      now: Date.now(),
+    });
+    return toJob(statements.get.get(id));
+  },
+
+  cancel(id) {
+    if (!statements) return null;
+    statements.cancel.run(Date.now(), id);
+    return this.get(id);
+  },
+};
+
+/**
+ * Create the scheduler
+ * @param {object} deps
+ * @param {(accountId: string) => boolean} deps.isAccountReady - whether the account's client can send now
+ * @param {(args: {accountId: string, chatId: string, message: string, attachment?: object, userId: string|null}) => Promise<object>} deps.sendMessage
+ *   - also checks that the job's owner (userId) may still use the account
+ * @param {(job: object) => void} deps.onUpdate - called with the job summary after every send attempt
+ */
+const createScheduler = ({ isAccountReady, sendMessage, onUpdate }) => {
+  let interval = null;
+  let running = false;
+
+  const runJob = async (row) => {
+    const result = await sendMessage({
+      accountId: row.account_id,
+      chatId: row.chat_id,
+      message: row.message,
+      attachment: row.attachment ? JSON.parse(row.attachment) : undefined,
+      userId: row.user_id,
+    });
+    const now = Date.now();
+
+    // Cancelled or edited while sending - leave it as the user set it
+    const current = statements.get.get(row.id);
+    if (!current || current.status !== "pending" || current.updated_at !== row.updated_at) return;
+
+    if (result.success) {
+      const next = row.recurrence !== "none" ? nextOccurrence(row.send_at, row.recurrence, now) : null;
+      statements.markSent.run({
+        id: row.id,
+        status: next ? "pending" : "sent",
+        sendAt: next || row.send_at,
+        now,
+      });
+      console.log(`Scheduled message ${row.id} sent to ${row.chat_id}${next ? `, next at ${new Date(next).toISOString()}` : ""}`);
+    } else {
+      const attempts = row.attempts + 1;
+      if (attempts >= MAX_ATTEMPTS || result.retryable === false) {
+        statements.markFailed.run({ id: row.id, attempts, error: result.message, now });
+        console.error(`Scheduled message ${row.id} failed:`, result.message);
+      } else {
+        statements.markRetry.run({
+          id: row.id,
+          attempts,
+          retryAt: now + RETRY_DELAY_BASE * Math.pow(2, attempts - 1),
+          error: result.message,
+          now,
+        });
+      }
+    }
+
+    onUpdate(toJob(statements.get.get(row.id)));
+  };
+
+  // Send due jobs; jobs of accounts that aren't ready stay due and are picked up on a later poll
+  const processDue = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const now = Date.now();
+      const accountIds = statements.dueAccounts.all(now)
+        .map(row => row.account_id)
+        .filter(isAccountReady);
+      if (accountIds.length === 0) return;
+
+      for (const row of statements.due.all({ now, accountIds: JSON.stringify(accountIds) })) {
+        await runJob(row);
+      }
+    } catch (e) {
+      console.error("Scheduler error:", e.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    start: () => {
+      if (!statements || interval) return;
+      interval = setInterval(processDue, POLL_INTERVAL);
+      processDue();
+    },
+    stop: () => {
+      clearInterval(interval);
+      interval = null;
+    },
+    // Check right away (after a job is created or edited)
+    wake: () => {
+      if (statements) processDue();
+    },
+  };
+};
+
+module.exports = {
+  RECURRENCES,
+  scheduleStore,
+  createScheduler,
+  nextOccurrence,
+  isSchedulerReady: () => statements !== null,
+};
@@ -2,7 +2,7 @@ const { createServer } = require("http");
 const { parse } = require("url");
 const next = require("next");
 const { Server } = require("socket.io");
-const { Client, LocalAuth } = require("whatsapp-web.js");
+const { Client, LocalAuth, MessageMedia, Location } = require("whatsapp-web.js");
 const fs = require("fs");
 const path = require("path");
 
@@ -16,10 +16,114 @@ const {
   chatsDb, 
   syncStatusDb, 
   eventsDb, 
+  apiKeysDb,
+  webhooksDb,
+  autoRepliesDb,
+  flowsDb,
+  contactsDb,
+  assignmentsDb,
+  notesDb,
+  cannedRepliesDb,
+  pipelineDb,
+  usersDb,
+  authSessionsDb,
+  orgsDb,
   migration,
   isConvexReady 
 } = require("./convex-integration");
 
+// Dashboard sign-in and Socket.io authentication
+const { UNAUTHORIZED, UNAVAILABLE, createSessionAuth } = require("./session-auth");
+
+// Roles, permissions and workspaces
+const {
+  PERMISSION_DENIED,
+  hasPermission,
+  getEventPermission,
+  getOrgRole,
+  canAccessAccount,
+  hashInviteToken,
+  generateInviteToken,
+  maskPayload,
+  unmaskPayload,
+} = require("./access-control");
+
+// REST API
+const { createRestApi, generateApiKey } = require("./rest-api");
+
+// Outbound Webhooks
+const {
+  WEBHOOK_EVENTS,
+  createWebhookDispatcher,
+  generateWebhookSecret,
+  isValidWebhookUrl,
+  serializeMessage,
+} = require("./webhooks");
+
+const webhookDispatcher = createWebhookDispatcher({ webhooksDb, isConvexReady });
+
+// Local message store (SQLite + full-text search)
+const { messageStore, fromWhatsAppMessage, isMessageStoreReady } = require("./message-store");
+
+// Broadcast campaigns
+const {
+  DEFAULTS: CAMPAIGN_DEFAULTS,
+  campaignStore,
+  createCampaignRunner,
+  isCampaignStoreReady,
+} = require("./campaigns");
+
+// Scheduled messages
+const {
+  RECURRENCES,
+  scheduleStore,
+  createScheduler,
+  isSchedulerReady,
+} = require("./scheduler");
+
+// Auto-reply rules
+const { createAutoResponder, validateRule } = require("./auto-reply");
+
+// Chatbot flows
+const { createFlowEngine, parseFlowDefinition, isFlowStoreReady } = require("./chatbot-flows");
+
+// Chat assignment to team members
+const { createChatAssigner, validateSettings: validateAssignmentSettings } = require("./chat-assignment");
+
+// Which agents have a chat open / are typing in it
+const { createChatPresence } = require("./chat-presence");
+
+// Contact tags, custom fields and notes
+const { parseFieldDefinition, parseContactInput } = require("./contact-fields");
+
+// Saved replies inserted with /shortcut
+const { parseCannedReply, renderCannedReply, fetchReplyMedia } = require("./canned-replies");
+
+// Sales pipeline (deals on stages)
+const { DEFAULT_STAGES, parseStages, parseDealInput } = require("./sales-pipeline");
+
+// Response-time analytics from the message history
+const {
+  CONVERSATION_GAP,
+  parseAnalyticsRange,
+  computeResponseAnalytics,
+  fillDailyCounts,
+  isConversationOpen,
+} = require("./response-analytics");
+
+// Outgoing mail (scheduled reports, workspace invitations)
+const { createMailer, isEmail } = require("./mailer");
+
+// Analytics reports (XLSX / PDF), on demand and on a schedule
+const {
+  FORMATS: REPORT_FORMATS,
+  parseReportSchedule,
+  reportStore,
+  createReportGenerator,
+  createReportScheduler,
+  isReportStoreReady,
+} = require("./analytics-report");
+
 const dev = process.env.NODE_ENV !== "production";
 const hostname = "localhost";
 const port = process.env.PORT || 3000;
@@ -29,7 +133,6 @@ const handle = app.getRequestHandler();
 
 // In-memory store for chats PER ACCOUNT
 const accountChats = new Map(); // accountId -> chats[]
-let isReady = false;
 
 // Chats storage directory
 const CHATS_DIR = path.join(__dirname, ".chats_cache");
@@ -75,20 +178,20 @@ const saveChats = (accountId, chats) => {
   }
 };
 
-// Helper to get current account chats (from memory, Convex, or disk)
-const getCurrentChats = async () => {
-  if (!currentAccountId) return [];
+// Helper to get an account's chats (from memory, Convex, or disk)
+const getAccountChats = async (accountId) => {
+  if (!accountId) return [];
   
   // Try memory first
-  let chats = accountChats.get(currentAccountId);
+  let chats = accountChats.get(accountId);
   
   // If not in memory, try Convex
   if ((!chats || chats.length === 0) && isConvexReady()) {
     try {
-      chats = await chatsDb.getByAccountId(currentAccountId);
+      chats = await chatsDb.getByAccountId(accountId);
       if (chats && chats.length > 0) {
-        accountChats.set(currentAccountId, chats);
-        console.log(`Loaded ${chats.length} chats from Convex for account ${currentAccountId}`);
+        accountChats.set(accountId, chats);
+        console.log(`Loaded ${chats.length} chats from Convex for account ${accountId}`);
         return chats;
       }
     } catch (e) {
@@ -98,12 +201,12 @@ const getCurrentChats = async () => {
   
   // Fallback to disk
   if (!chats || chats.length === 0) {
-    chats = loadChatsFromDisk(currentAccountId);
+    chats = loadChatsFromDisk(accountId);
     if (chats.length > 0) {
-      accountChats.set(currentAccountId, chats);
+      accountChats.set(accountId, chats);
       // Migrate to Convex if available
       if (isConvexReady()) {
-        chatsDb.batchUpsert(currentAccountId, chats).catch(e => 
+        chatsDb.batchUpsert(accountId, chats).catch(e => 
           console.error("Error migrating chats to Convex:", e.message)
         );
       }
@@ -114,27 +217,27 @@ const getCurrentChats = async () => {
 };
 
 // Sync version for places that can't use async
-const getCurrentChatsSync = () => {
-  if (!currentAccountId) return [];
-  let chats = accountChats.get(currentAccountId);
+const getAccountChatsSync = (accountId) => {
+  if (!accountId) return [];
+  let chats = accountChats.get(accountId);
   if (!chats || chats.length === 0) {
-    chats = loadChatsFromDisk(currentAccountId);
+    chats = loadChatsFromDisk(accountId);
     if (chats.length > 0) {
-      accountChats.set(currentAccountId, chats);
+      accountChats.set(accountId, chats);
     }
   }
   return chats || [];
 };
 
-// Helper to set current account chats (memory, disk, and Convex)
-const setCurrentChats = (chats) => {
-  if (!currentAccountId) return;
-  accountChats.set(currentAccountId, chats);
+// Helper to set an account's chats (memory, disk, and Convex)
+const setAccountChats = (accountId, chats) => {
+  if (!accountId) return;
+  accountChats.set(accountId, chats);
   // Save to disk for persistence
-  saveChats(currentAccountId, chats);
+  saveChats(accountId, chats);
   // Save to Convex for cloud sync
   if (isConvexReady()) {
-    chatsDb.batchUpsert(currentAccountId, chats).catch(e => 
+    chatsDb.batchUpsert(accountId, chats).catch(e => 
       console.error("Error saving chats to Convex:", e.message)
     );
   }
@@ -142,7 +245,18 @@ const setCurrentChats = (chats) => {
 
 // Accounts management
 const ACCOUNTS_FILE = path.join(__dirname, "accounts.json");
+// Default account: shown to new connections and used by the REST API when no account is given.
+// Every account stays connected, this only decides which one is opened first
 let currentAccountId = null;
+// Account each user viewed last (userId -> accountId), opened first for them instead of the
+// default one. Kept per user so switching doesn't move anyone else's dashboard
+const lastViewedAccounts = new Map();
+
+// The account to open first for a user, among the accounts they may use
+const getDefaultAccountId = (userId, userAccounts) =>
+  [lastViewedAccounts.get(userId), currentAccountId].find(id => id && userAccounts.some(a => a.id === id))
+    || userAccounts[0]?.id
+    || null;
 
 // Load accounts from file
 const loadAccounts = () => {
@@ -181,15 +295,30 @@ const saveAccounts = (accounts) => {
 
 // Initialize accounts
 let accounts = loadAccounts();
-// Set current account to the active one or first
+// Default to the last opened account or the first
 currentAccountId = accounts.find(a => a.isActive)?.id || accounts[0]?.id;
 
-// Migrate accounts to Convex on startup (async, non-blocking)
+// Workspace of the accounts created without one (the first account, the one after clearing the
+// sessions): the oldest workspace, known once Convex has answered
+let defaultOrgId = null;
+
+// Migrate accounts to Convex on startup (async, non-blocking), then put the accounts from before
+// workspaces existed into the default one
 (async () => {
   if (isConvexReady() && accounts.length > 0) {
     console.log("Migrating accounts to Convex...");
     await migration.migrateAccounts(accounts);
   }
+  if (!isConvexReady()) return;
+
+  defaultOrgId = await orgsDb.ensureDefault();
+  const unassigned = accounts.filter(a => !a.orgId);
+  if (defaultOrgId && unassigned.length > 0) {
+    unassigned.forEach(a => { a.orgId = defaultOrgId; });
+    saveAccounts(accounts);
+    await migration.migrateAccounts(unassigned);
+    console.log(`Moved ${unassigned.length} account(s) to the default workspace`);
+  }
 })().catch(e => console.error("Migration error:", e.message));
 
 // Find Chromium executable path
@@ -291,12 +420,14 @@ const cleanupOrphanedBrowser = async (accountId) => {
   });
 };
 
-// Stop all running WhatsApp clients
-const stopAllClients = async () => {
-  console.log("Stopping all running WhatsApp clients...");
+// Stop the running WhatsApp clients of the given accounts
+const stopClients = async (accountIds) => {
+  console.log("Stopping WhatsApp clients...");
   const promises = [];
   
-  for (const [accountId, client] of whatsappClients.entries()) {
+  for (const accountId of accountIds) {
+    const client = whatsappClients.get(accountId);
+    if (!client) continue;
     promises.push((async () => {
       try {
         console.log(`Stopping client for ${accountId}...`);
@@ -311,7 +442,7 @@ const stopAllClients = async () => {
   }
   
   await Promise.all(promises);
-  console.log("All clients stopped");
+  console.log("Clients stopped");
 };
 
 // Store for WhatsApp clients - each account has its own client
@@ -402,30 +533,55 @@ const createWhatsAppClient = (accountId) => {
   return client;
 };
 
-// Get current WhatsApp client
-const getCurrentClient = () => {
-  if (!currentAccountId) return null;
-  return whatsappClients.get(currentAccountId);
-};
+// Last QR code of each account still waiting to be scanned (sent to sockets that open it later)
+const pendingQrCodes = new Map();
+
+// Delay between starting the accounts' browsers, so they don't all load at once
+const ACCOUNT_START_STAGGER = 5000;
+
+// View id of the unified inbox (the chats of every account in one list)
+const ALL_ACCOUNTS = "all";
+
 
-// Current client reference (for compatibility)
-let whatsappClient = null;
+// Dashboards allowed to connect from another origin
+const ALLOWED_ORIGINS = [
+  "https://eng-whats-git-main-engelsayedebaids-projects.vercel.app",
+  "https://eng-whats-production-fb3e.up.railway.app",
+  "http://localhost:3000",
+  "http://localhost:8080",
+];
 
+// Scheduled reports, workspace invitations and password reset links
+const mailer = createMailer();
+
+const sessionAuth = createSessionAuth({
+  usersDb,
+  authSessionsDb,
+  isConvexReady,
+  allowedOrigins: ALLOWED_ORIGINS,
+  mailer,
+  appUrl: process.env.APP_URL,
+  serverSecret: process.env.SERVER_SECRET,
+});
 
 app.prepare().then(() => {
   const httpServer = createServer((req, res) => {
     const parsedUrl = parse(req.url, true);
+    // Sign-in and the versioned REST API are served here, everything else goes to Next.js
+    if (sessionAuth.isAuthRequest(parsedUrl.pathname)) {
+      sessionAuth.handleRequest(req, res, parsedUrl);
+      return;
+    }
+    if (restApi.isApiRequest(parsedUrl.pathname)) {
+      restApi.handleRequest(req, res, parsedUrl);
+      return;
+    }
     handle(req, res, parsedUrl);
   });
 
   const io = new Server(httpServer, {
     cors: {
-      origin: [
-        "https://eng-whats-git-main-engelsayedebaids-projects.vercel.app",
-        "https://eng-whats-production-fb3e.up.railway.app",
-        "http://localhost:3000",
-        "http://localhost:8080",
-      ],
+      origin: ALLOWED_ORIGINS,
       methods: ["GET", "POST", "OPTIONS"],
       credentials: true,
       allowedHeaders: ["Content-Type", "Authorization"],
@@ -445,14 +601,126 @@ app.prepare().then(() => {
     path: '/socket.io/',
   });
 
+  // Only signed-in dashboards connect; see session-auth.js
+  io.use(sessionAuth.authenticateSocket);
+
+  // A dashboard works in one of the user's workspaces at a time: the one it asks for (the last one
+  // it used) if the user still belongs to it, otherwise their first. Membership changes reconnect
+  // the user's sockets, which loads them again
+  io.use(async (socket, next) => {
+    try {
+      const access = await orgsDb.getAccess(socket.data.tokenHash);
+      if (!access) {
+        next(new Error(UNAUTHORIZED));
+        return;
+      }
+      const requestedOrgId = socket.handshake.auth?.orgId;
+      socket.data.access = access;
+      socket.data.orgId = getOrgRole(access, requestedOrgId) ? requestedOrgId : access.orgs[0]?.id || null;
+      next();
+    } catch (e) {
+      console.error("Error loading workspaces:", e.message);
+      next(new Error(UNAVAILABLE));
+    }
+  });
+
+  // ==================== Account Rooms ====================
+  // Each socket joins the room of the account it's viewing; WhatsApp events of an account
+  // go to its room only and carry the accountId, so the UI can drop late events of another account
+  const accountRoom = (accountId) => `account:${accountId}`;
+
+  // Sockets of users without the viewUnmasked permission also join the "masked:" twin of each
+  // room, and get a copy of the room's events with the phone numbers masked
+  const maskedRoom = (room) => `masked:${room}`;
+
+  const joinRoom = (socket, room) => {
+    socket.join(room);
+    if (socket.data.masked) socket.join(maskedRoom(room));
+  };
+
+  const leaveRoom = (socket, room) => {
+    socket.leave(room);
+    socket.leave(maskedRoom(room));
+  };
+
+  const emitToRoom = (room, event, data) => {
+    const masked = maskedRoom(room);
+    if (!io.sockets.adapter.rooms.has(masked)) {
+      io.to(room).emit(event, data);
+      return;
+    }
+    io.to(room).except(masked).emit(event, data);
+    io.to(masked).emit(event, maskPayload(data));
+  };
+
+  const emitToAccount = (accountId, event, data = {}) => {
+    emitToRoom(accountRoom(accountId), event, { ...data, accountId });
+  };
+
+  // QR codes only go to the viewers allowed to link WhatsApp accounts
+  const emitQrToAccount = async (accountId, qr) => {
+    for (const viewer of await io.in(accountRoom(accountId)).fetchSockets()) {
+      if (hasPermission(viewer.data.user, "scanQr")) viewer.emit("qr", { qr, accountId });
+    }
+  };
+
+  // Point a socket at the account it views; the unified inbox joins the rooms of all its accounts
+  const setViewedAccount = (socket, accountId, roomAccountIds = [accountId]) => {
+    for (const room of [...socket.rooms]) {
+      if (room.startsWith("account:") || room.startsWith("masked:account:")) socket.leave(room);
+    }
+    socket.data.accountId = accountId;
+    roomAccountIds.filter(Boolean).forEach(id => joinRoom(socket, accountRoom(id)));
+  };
+
+  // Every socket of a signed-in user also joins the user's room (personal notifications)
+  const userRoom = (userId) => `user:${userId}`;
+
+  // Sockets with a chat open join its room (presence of the other agents in the chat)
+  const chatRoom = (accountId, chatId) => `chat:${accountId}:${chatId}`;
+
+  // Sockets with an account's pipeline board open join its room (live board updates)
+  const pipelineRoom = (accountId) => `pipeline:${accountId}`;
+
+  const isAccountReady = (accountId) => clientReadyStates.get(accountId) === true;
+
+  // Accounts a socket may use: those of its workspace the user has access to
+  const getAccessibleAccounts = (socket) =>
+    accounts.filter(a => canAccessAccount(socket.data.access, a, socket.data.orgId));
+
+  // Connection state of a socket's accounts (for the account switcher)
+  const getAccountStatuses = (socket) => getAccessibleAccounts(socket).map(a => ({
+    accountId: a.id,
+    isReady: isAccountReady(a.id),
+    needsQr: pendingQrCodes.has(a.id),
+  }));
+
+  const broadcastAccountStatuses = () => {
+    for (const connected of io.sockets.sockets.values()) {
+      connected.emit("accountStatuses", getAccountStatuses(connected));
+    }
+  };
+
+  // Every socket gets the account list it may see
+  const broadcastAccounts = () => {
+    for (const connected of io.sockets.sockets.values()) {
+      connected.emit("accounts", getAccessibleAccounts(connected));
+    }
+  };
+
+  // Reconnect a user's dashboards, to load their changed workspaces or account access
+  const reloadUserAccess = (userIds) => {
+    userIds.forEach(userId => io.in(userRoom(userId)).disconnectSockets(true));
+  };
+
   // ==================== Heartbeat System for Connection Health ====================
   const HEARTBEAT_INTERVAL = 30000; // 30 seconds
   const heartbeatIntervals = new Map();
 
-  // Helper function to check page health using getCurrentClient
-  const checkPageHealth = async () => {
+  // Helper function to check the page health of an account's client
+  const checkPageHealth = async (accountId) => {
     try {
-      const client = getCurrentClient();
+      const client = whatsappClients.get(accountId);
       if (!client || !client.pupPage) {
         console.log('Heartbeat: No active client or page');
         return false;
@@ -475,15 +743,16 @@ app.prepare().then(() => {
     stopHeartbeat(socket.id);
     
     const interval = setInterval(async () => {
-      // Check if this account is still the active one
-      if (currentAccountId !== accountId) {
-        console.log(`Heartbeat: Account ${accountId} no longer active, stopping`);
+      // Check if the socket is still viewing this account
+      if (socket.data.accountId !== accountId) {
+        console.log(`Heartbeat: Account ${accountId} no longer viewed, stopping`);
         stopHeartbeat(socket.id);
         return;
       }
       
       if (!clientReadyStates.get(accountId)) {
         socket.emit('connectionHealth', { 
+          accountId,
           status: 'degraded', 
           message: 'تم فقد اتصال واتساب',
           canReconnect: true,
@@ -495,8 +764,9 @@ app.prepare().then(() => {
       }
       
       try {
-        const isHealthy = await checkPageHealth();
+        const isHealthy = await checkPageHealth(accountId);
         socket.emit('connectionHealth', { 
+          accountId,
           status: isHealthy ? 'healthy' : 'degraded',
           message: isHealthy ? 'متصل' : 'الاتصال غير مستقر',
           canReconnect: !isHealthy,
@@ -508,12 +778,13 @@ app.prepare().then(() => {
         if (!isHealthy && clientReadyStates.get(accountId)) {
           console.log('Heartbeat: Page unhealthy but marked as ready, updating state');
           clientReadyStates.set(accountId, false);
-          isReady = false;
-          io.emit("status", { isReady: false, reason: "page_unhealthy" });
+          emitToAccount(accountId, "status", { isReady: false, reason: "page_unhealthy" });
+          broadcastAccountStatuses();
         }
       } catch (e) {
         console.error('Heartbeat error:', e.message);
         socket.emit('connectionHealth', { 
+          accountId,
           status: 'error', 
           message: e.message,
           canReconnect: true,
@@ -534,13 +805,13 @@ app.prepare().then(() => {
     }
   };
 
-  // Setup WhatsApp client events
+  // Setup WhatsApp client events - every account's client runs at the same time
   const setupClientEvents = (client, accountId) => {
     client.on("qr", (qr) => {
       console.log(`QR Code received for account: ${accountId}`);
-      if (currentAccountId === accountId) {
-        io.emit("qr", qr);
-      }
+      pendingQrCodes.set(accountId, qr);
+      emitQrToAccount(accountId, qr).catch(e => console.error("Error sending QR code:", e.message));
+      broadcastAccountStatuses();
       // Log QR event to Convex
       if (isConvexReady()) {
         eventsDb.log(accountId, "qr_generated", "QR code generated for scanning").catch(() => {});
@@ -551,48 +822,47 @@ app.prepare().then(() => {
       console.log(`WhatsApp client is ready for account: ${accountId}!`);
       // Mark this client as ready
       clientReadyStates.set(accountId, true);
+      pendingQrCodes.delete(accountId);
       
-      if (currentAccountId === accountId) {
-        isReady = true;
-        // Update account phone number
-        try {
-          const info = client.info;
-          if (info && info.wid) {
-            const phoneNumber = info.wid.user;
-            const accountIndex = accounts.findIndex(a => a.id === accountId);
-            if (accountIndex !== -1) {
-              accounts[accountIndex].phone = phoneNumber;
-              saveAccounts(accounts);
-              io.emit("accounts", accounts);
-              
-              // Sync account to Convex
-              if (isConvexReady()) {
-                accountsDb.update(accountId, { phone: phoneNumber }).catch(() => {});
-              }
+      // Update account phone number
+      try {
+        const info = client.info;
+        if (info && info.wid) {
+          const phoneNumber = info.wid.user;
+          const accountIndex = accounts.findIndex(a => a.id === accountId);
+          if (accountIndex !== -1) {
+            accounts[accountIndex].phone = phoneNumber;
+            saveAccounts(accounts);
+            broadcastAccounts();
+            
+            // Sync account to Convex
+            if (isConvexReady()) {
+              accountsDb.update(accountId, { phone: phoneNumber }).catch(() => {});
             }
           }
-        } catch (e) {
-        console.error("Error getting client info:", e.message);
-        }
-        io.emit("status", { isReady: true, multiDevice: true });
-        io.emit("ready");
-        
-        // Reset reconnect attempts on successful connection
-        reconnectAttempts.set(accountId, 0);
-        
-        // Update session state in Convex
-        if (isConvexReady()) {
-          sessionsDb.setReady(accountId, true).catch(() => {});
-          sessionsDb.setAuthenticated(accountId, true).catch(() => {});
-          eventsDb.log(accountId, "ready", "WhatsApp client is ready (Multi-Device)").catch(() => {});
-        }
-        
-        // Send cached chats immediately if available
-        const cachedChats = await getCurrentChats();
-        if (cachedChats.length > 0) {
-          console.log(`Sending ${cachedChats.length} cached chats on ready`);
-          io.emit("chats", cachedChats);
         }
+      } catch (e) {
+        console.error("Error getting client info:", e.message);
+      }
+      emitToAccount(accountId, "status", { isReady: true, multiDevice: true });
+      emitToAccount(accountId, "ready");
+      broadcastAccountStatuses();
+      
+      // Reset reconnect attempts on successful connection
+      reconnectAttempts.set(accountId, 0);
+      
+      // Update session state in Convex
+      if (isConvexReady()) {
+        sessionsDb.setReady(accountId, true).catch(() => {});
+        sessionsDb.setAuthenticated(accountId, true).catch(() => {});
+        eventsDb.log(accountId, "ready", "WhatsApp client is ready (Multi-Device)").catch(() => {});
+      }
+      
+      // Send cached chats immediately if available
+      const cachedChats = await getAccountChats(accountId);
+      if (cachedChats.length > 0) {
+        console.log(`Sending ${cachedChats.length} cached chats on ready`);
+        emitToAccount(accountId, "chats", { chats: cachedChats });
       }
     });
 
@@ -605,19 +875,17 @@ app.prepare().then(() => {
       // State can be: CONFLICT, CONNECTED, DEPRECATED_VERSION, OPENING, PAIRING, PROXYBLOCK, SMB_TOS_BLOCK, TIMEOUT, TOS_BLOCK, UNLAUNCHED, UNPAIRED, UNPAIRED_IDLE
       const isConnected = state === "CONNECTED";
       
-      if (currentAccountId === accountId) {
-        io.emit("phoneState", { 
-          state: state,
-          isPhoneOnline: isConnected,
-          message: isConnected ? "الهاتف متصل" : `حالة الهاتف: ${state}`,
-          multiDeviceActive: true, // Multi-Device يعني الاستمرار حتى لو الهاتف مغلق
-          timestamp: Date.now()
-        });
-        
-        // Log state change
-        if (isConvexReady()) {
-          eventsDb.log(accountId, "phone_state_change", state).catch(() => {});
-        }
+      emitToAccount(accountId, "phoneState", { 
+        state: state,
+        isPhoneOnline: isConnected,
+        message: isConnected ? "الهاتف متصل" : `حالة الهاتف: ${state}`,
+        multiDeviceActive: true, // Multi-Device يعني الاستمرار حتى لو الهاتف مغلق
+        timestamp: Date.now()
+      });
+      
+      // Log state change
+      if (isConvexReady()) {
+        eventsDb.log(accountId, "phone_state_change", state).catch(() => {});
       }
     });
 
@@ -642,9 +910,8 @@ app.prepare().then(() => {
 
     client.on("auth_failure", (msg) => {
       console.error(`Auth failure for account ${accountId}:`, msg);
-      if (currentAccountId === accountId) {
-        io.emit("authFailure", { message: msg });
-      }
+      webhookDispatcher.dispatch(accountId, "auth_failure", { message: msg });
+      emitToAccount(accountId, "authFailure", { message: msg });
       // Log auth failure to Convex
       if (isConvexReady()) {
         sessionsDb.setAuthenticated(accountId, false).catch(() => {});
@@ -654,6 +921,7 @@ app.prepare().then(() => {
 
     client.on("disconnected", async (reason) => {
       console.log(`WhatsApp disconnected for account ${accountId}:`, reason);
+      webhookDispatcher.dispatch(accountId, "disconnected", { reason });
       // Mark this client as not ready
       clientReadyStates.set(accountId, false);
       
@@ -663,104 +931,124 @@ app.prepare().then(() => {
         reconnectTimeouts.delete(accountId);
       }
       
-      if (currentAccountId === accountId) {
-        isReady = false;
-        
-        // Get current attempt count
-        const currentAttempts = reconnectAttempts.get(accountId) || 0;
-        const canAutoReconnect = currentAttempts < MAX_RECONNECT_ATTEMPTS;
-        
-        io.emit("status", { isReady: false, reason: reason });
-        io.emit("disconnected", { 
-          reason, 
-          canReconnect: canAutoReconnect,
-          attempts: currentAttempts,
-          maxAttempts: MAX_RECONNECT_ATTEMPTS 
-        });
+      pendingQrCodes.delete(accountId);
+      broadcastAccountStatuses();
+      
+      // Get current attempt count
+      const currentAttempts = reconnectAttempts.get(accountId) || 0;
+      const canAutoReconnect = currentAttempts < MAX_RECONNECT_ATTEMPTS;
+      
+      emitToAccount(accountId, "status", { isReady: false, reason: reason });
+      emitToAccount(accountId, "disconnected", { 
+        reason, 
+        canReconnect: canAutoReconnect,
+        attempts: currentAttempts,
+        maxAttempts: MAX_RECONNECT_ATTEMPTS 
+      });
+      
+      // Update session state in Convex
+      if (isConvexReady()) {
+        sessionsDb.setDisconnected(accountId, reason).catch(() => {});
+        eventsDb.log(accountId, "disconnected", `${reason} (attempt ${currentAttempts + 1}/${MAX_RECONNECT_ATTEMPTS})`).catch(() => {});
+      }
+      
+      // Smart auto-reconnect with exponential backoff and attempt limits
+      if (canAutoReconnect) {
+        // Calculate delay with exponential backoff
+        const delay = Math.min(
+          RECONNECT_DELAY_BASE * Math.pow(2, currentAttempts),
+          RECONNECT_DELAY_MAX
+        );
         
-        // Update session state in Convex
-        if (isConvexReady()) {
-          sessionsDb.setDisconnected(accountId, reason).catch(() => {});
-          eventsDb.log(accountId, "disconnected", `${reason} (attempt ${currentAttempts + 1}/${MAX_RECONNECT_ATTEMPTS})`).catch(() => {});
-        }
+        console.log(`Will attempt auto-reconnect in ${delay/1000}s (attempt ${currentAttempts + 1}/${MAX_RECONNECT_ATTEMPTS})...`);
         
-        // Smart auto-reconnect with exponential backoff and attempt limits
-        if (canAutoReconnect) {
-          // Calculate delay with exponential backoff
-          const delay = Math.min(
-            RECONNECT_DELAY_BASE * Math.pow(2, currentAttempts),
-            RECONNECT_DELAY_MAX
-          );
+        const timeoutId = setTimeout(async () => {
+          reconnectTimeouts.delete(accountId);
           
-          console.log(`Will attempt auto-reconnect in ${delay/1000}s (attempt ${currentAttempts + 1}/${MAX_RECONNECT_ATTEMPTS})...`);
-          
-          const timeoutId = setTimeout(async () => {
-            reconnectTimeouts.delete(accountId);
+          // Skip accounts deleted in the meantime or already back online
+          if (accounts.some(a => a.id === accountId) && !clientReadyStates.get(accountId)) {
+            // Increment attempts
+            reconnectAttempts.set(accountId, currentAttempts + 1);
+            
+            console.log(`Attempting automatic reconnection (${currentAttempts + 1}/${MAX_RECONNECT_ATTEMPTS})...`);
+            emitToAccount(accountId, "status", { isReady: false, reason: "reconnecting" });
+            emitToAccount(accountId, "reconnecting", { 
+              attempt: currentAttempts + 1,
+              maxAttempts: MAX_RECONNECT_ATTEMPTS 
+            });
             
-            if (currentAccountId === accountId && !clientReadyStates.get(accountId)) {
-              // Increment attempts
-              reconnectAttempts.set(accountId, currentAttempts + 1);
+            try {
+              // Clean up old client
+              whatsappClients.delete(accountId);
+              clientReadyStates.delete(accountId);
+              await cleanupOrphanedBrowser(accountId);
               
-              console.log(`Attempting automatic reconnection (${currentAttempts + 1}/${MAX_RECONNECT_ATTEMPTS})...`);
-              io.emit("status", { isReady: false, reason: "reconnecting" });
-              io.emit("reconnecting", { 
-                attempt: currentAttempts + 1,
-                maxAttempts: MAX_RECONNECT_ATTEMPTS 
-              });
+              // Wait before reinitializing
+              await new Promise(r => setTimeout(r, 2000));
               
-              try {
-                // Clean up old client
-                whatsappClients.delete(accountId);
-                clientReadyStates.delete(accountId);
-                await cleanupOrphanedBrowser(accountId);
-                
-                // Wait before reinitializing
-                await new Promise(r => setTimeout(r, 2000));
-                
-                // Reinitialize
-                await initializeAccount(accountId, 0);
-                console.log('Auto-reconnect initiated successfully');
-                
-                // Reset attempts on success
-                reconnectAttempts.set(accountId, 0);
-              } catch (err) {
-                console.error(`Auto-reconnect failed (${currentAttempts + 1}/${MAX_RECONNECT_ATTEMPTS}):`, err.message);
-                
-                // Check if we should try again
-                if (currentAttempts + 1 >= MAX_RECONNECT_ATTEMPTS) {
-                  io.emit("reconnectFailed", { 
-                    reason: `فشلت ${MAX_RECONNECT_ATTEMPTS} محاولات للاتصال. يرجى إعادة المحاولة يدوياً.`,
-                    canManualRetry: true,
-                    attempts: currentAttempts + 1 
-                  });
-                }
-                
-                // Log to Convex
-                if (isConvexReady()) {
-                  eventsDb.log(accountId, "reconnect_failed", `Attempt ${currentAttempts + 1}: ${err.message}`).catch(() => {});
-                }
+              // Reinitialize
+              await initializeAccount(accountId, 0);
+              console.log(`Auto-reconnect initiated successfully for ${accountId}`);
+              
+              // Reset attempts on success
+              reconnectAttempts.set(accountId, 0);
+            } catch (err) {
+              console.error(`Auto-reconnect failed (${currentAttempts + 1}/${MAX_RECONNECT_ATTEMPTS}):`, err.message);
+              
+              // Check if we should try again
+              if (currentAttempts + 1 >= MAX_RECONNECT_ATTEMPTS) {
+                emitToAccount(accountId, "reconnectFailed", { 
+                  reason: `فشلت ${MAX_RECONNECT_ATTEMPTS} محاولات للاتصال. يرجى إعادة المحاولة يدوياً.`,
+                  canManualRetry: true,
+                  attempts: currentAttempts + 1 
+                });
+              }
+              
+              // Log to Convex
+              if (isConvexReady()) {
+                eventsDb.log(accountId, "reconnect_failed", `Attempt ${currentAttempts + 1}: ${err.message}`).catch(() => {});
               }
             }
-          }, delay);
-          
-          reconnectTimeouts.set(accountId, timeoutId);
-        } else {
-          console.log(`Max reconnect attempts (${MAX_RECONNECT_ATTEMPTS}) reached for account ${accountId}`);
-          io.emit("reconnectFailed", { 
-            reason: `تم الوصول للحد الأقصى من المحاولات (${MAX_RECONNECT_ATTEMPTS}). يرجى إعادة المحاولة يدوياً.`,
-            canManualRetry: true,
-            attempts: currentAttempts 
-          });
-        }
+          }
+        }, delay);
+        
+        reconnectTimeouts.set(accountId, timeoutId);
+      } else {
+        console.log(`Max reconnect attempts (${MAX_RECONNECT_ATTEMPTS}) reached for account ${accountId}`);
+        emitToAccount(accountId, "reconnectFailed", { 
+          reason: `تم الوصول للحد الأقصى من المحاولات (${MAX_RECONNECT_ATTEMPTS}). يرجى إعادة المحاولة يدوياً.`,
+          canManualRetry: true,
+          attempts: currentAttempts 
+        });
       }
     });
 
     client.on("message", async (message) => {
-      // Skip if not current account or client not ready
-      if (currentAccountId !== accountId) return;
+      // Webhooks receive every account's messages, not only the active one's
+      webhookDispatcher.dispatch(accountId, "message", serializeMessage(message));
+
+      // Bots run for every account; first contact = nothing seen from this chat before
+      if (!message.fromMe && !message.isStatus && message.from !== "status@broadcast") {
+        const knownChat = (accountChats.get(accountId) || []).some(c => c.id === message.from);
+        const incoming = {
+          chatId: message.from,
+          body: message.body,
+          type: message.type,
+          isGroup: message.from.endsWith("@g.us"),
+          isFirstContact: !knownChat && !messageStore.hasChatMessages(accountId, message.from),
+          senderName: message._data?.notifyName || null,
+        };
+        flowEngine.handleMessage(accountId, incoming).then((handledByFlow) => {
+          if (!handledByFlow) autoResponder.handleMessage(accountId, incoming);
+        });
+        chatAssigner.handleMessage(accountId, incoming);
+      }
+      messageStore.save(accountId, [fromWhatsAppMessage(message)]);
+
+      // Skip if client not ready
       if (!clientReadyStates.get(accountId)) return;
       
-      console.log("New message received from:", message.from);
+      console.log(`New message received for ${accountId} from:`, message.from);
       
       let senderName = "مجهول";
       let senderPhone = message.from.split("@")[0];
@@ -784,7 +1072,7 @@ app.prepare().then(() => {
           
           // Update chat in memory and Convex with new message
           const chatId = message.from;
-          const existingChats = accountChats.get(currentAccountId) || [];
+          const existingChats = accountChats.get(accountId) || [];
           const chatIndex = existingChats.findIndex(c => c.id === chatId);
           
           if (chatIndex !== -1) {
@@ -801,7 +1089,7 @@ app.prepare().then(() => {
             
             // Update Convex in background
             if (isConvexReady()) {
-              chatsDb.upsertChat(currentAccountId, existingChats[chatIndex]).catch(() => {});
+              chatsDb.upsertChat(accountId, existingChats[chatIndex]).catch(() => {});
             }
           }
         } catch (e) {
@@ -827,7 +1115,7 @@ app.prepare().then(() => {
         poll_creation: "استطلاع 📊",
       };
       
-      io.emit("newMessage", {
+      emitToAccount(accountId, "newMessage", {
         id: message.id._serialized,
         body: message.body || typeLabels[message.type] || "",
         fromMe: message.fromMe,
@@ -844,8 +1132,9 @@ app.prepare().then(() => {
     });
 
     client.on("message_create", async (message) => {
-      if (currentAccountId !== accountId) return;
-      
+      webhookDispatcher.dispatch(accountId, "message_create", serializeMessage(message));
+      messageStore.save(accountId, [fromWhatsAppMessage(message)]);
+
       if (message.fromMe) {
         console.log("Message sent to:", message.to);
         
@@ -890,11 +1179,11 @@ app.prepare().then(() => {
         };
         
         // Emit new message event
-        io.emit("newMessage", messageData);
+        emitToAccount(accountId, "newMessage", messageData);
         
         // Also update the chat in memory for lastMessage
         const chatId = message.to;
-        const existingChats = accountChats.get(currentAccountId) || [];
+        const existingChats = accountChats.get(accountId) || [];
         const chatIndex = existingChats.findIndex(c => c.id === chatId);
         
         if (chatIndex !== -1) {
@@ -910,7 +1199,7 @@ app.prepare().then(() => {
           existingChats[chatIndex].timestamp = message.timestamp;
           
           // Emit chat update to immediately refresh lastMessage in UI
-          io.emit("chatUpdate", {
+          emitToAccount(accountId, "chatUpdate", {
             chatId: chatId,
             lastMessage: existingChats[chatIndex].lastMessage,
             timestamp: message.timestamp
@@ -918,7 +1207,7 @@ app.prepare().then(() => {
           
           // Update Convex in background
           if (isConvexReady()) {
-            chatsDb.upsertChat(currentAccountId, existingChats[chatIndex]).catch(() => {});
+            chatsDb.upsertChat(accountId, existingChats[chatIndex]).catch(() => {});
           }
         }
       }
@@ -929,7 +1218,10 @@ app.prepare().then(() => {
     
     // message_ack fires when message status changes (sent, delivered, read)
     client.on("message_ack", async (message, ack) => {
-      if (currentAccountId !== accountId) return;
+      webhookDispatcher.dispatch(accountId, "message_ack", { ...serializeMessage(message), ack });
+      messageStore.updateAck(accountId, message.id._serialized, ack);
+      campaignRunner.handleAck(message.id._serialized, ack);
+
       if (!clientReadyStates.get(accountId)) return;
       
       // ack values: ACK_ERROR (-1), ACK_PENDING (0), ACK_SERVER (1), ACK_DEVICE (2), ACK_READ (3), ACK_PLAYED (4)
@@ -937,7 +1229,7 @@ app.prepare().then(() => {
       if (message.fromMe && ack === 3) {
         console.log(`Message read by recipient: ${message.to}`);
         // Emit event to notify frontend
-        io.emit("messageRead", {
+        emitToAccount(accountId, "messageRead", {
           chatId: message.to,
           messageId: message.id._serialized,
           timestamp: Date.now()
@@ -948,10 +1240,17 @@ app.prepare().then(() => {
     // Listen for incoming message reads (when user reads from phone)
     // This updates the unread count when messages are viewed from phone
     client.on("message_revoke_everyone", async (after, before) => {
+      webhookDispatcher.dispatch(accountId, "message_revoke_everyone", {
+        message: after ? serializeMessage(after) : null,
+        revokedMessage: before ? serializeMessage(before) : null,
+      });
+      if (after) {
+        messageStore.save(accountId, [fromWhatsAppMessage(after)]);
+      }
+
       // Message was deleted - update chats
-      if (currentAccountId !== accountId) return;
-      console.log("Message revoked, updating chats...");
-      io.emit("messageRevoked", {
+      console.log(`Message revoked for ${accountId}, updating chats...`);
+      emitToAccount(accountId, "messageRevoked", {
         chatId: before?.from || after?.from,
         messageId: before?.id._serialized,
         timestamp: Date.now()
@@ -969,15 +1268,11 @@ app.prepare().then(() => {
       // Poll every 3 seconds for unread count changes
       unreadUpdateInterval = setInterval(async () => {
         if (!clientReadyStates.get(accountId)) return;
-        if (currentAccountId !== accountId) return;
         
         try {
-          const client = getCurrentClient();
-          if (!client) return;
-          
           // Get all chats and check for unread count changes
           const allChats = await client.getChats();
-          const existingChats = accountChats.get(currentAccountId) || [];
+          const existingChats = accountChats.get(accountId) || [];
           let hasChanges = false;
           const updates = [];
           
@@ -1002,17 +1297,17 @@ app.prepare().then(() => {
           
           if (hasChanges && updates.length > 0) {
             // Emit updates to frontend
-            io.emit("unreadCountUpdate", updates);
+            emitToAccount(accountId, "unreadCountUpdate", { updates });
             
             // Save to disk
-            saveChats(currentAccountId, existingChats);
+            saveChats(accountId, existingChats);
             
             // Update Convex
             if (isConvexReady()) {
               for (const update of updates) {
                 const chat = existingChats.find(c => c.id === update.chatId);
                 if (chat) {
-                  chatsDb.upsertChat(currentAccountId, chat).catch(() => {});
+                  chatsDb.upsertChat(accountId, chat).catch(() => {});
                 }
               }
             }
@@ -1072,7 +1367,7 @@ app.prepare().then(() => {
         // Check if we've reached max attempts
         if (currentAttempts >= MAX_RECONNECT_ATTEMPTS) {
           console.log(`Max error recovery attempts reached for ${accountId}, waiting for manual reconnect`);
-          io.emit("reconnectFailed", { 
+          emitToAccount(accountId, "reconnectFailed", { 
             reason: `تم الوصول للحد الأقصى من المحاولات (${MAX_RECONNECT_ATTEMPTS}). يرجى إعادة المحاولة يدوياً.`,
             canManualRetry: true,
             attempts: currentAttempts 
@@ -1090,14 +1385,12 @@ app.prepare().then(() => {
         
         // Mark client as not ready immediately
         clientReadyStates.set(accountId, false);
-        if (currentAccountId === accountId) {
-          isReady = false;
-          io.emit("status", { isReady: false, reason: "reconnecting" });
-          io.emit("reconnecting", { 
-            attempt: currentAttempts + 1,
-            maxAttempts: MAX_RECONNECT_ATTEMPTS 
-          });
-        }
+        emitToAccount(accountId, "status", { isReady: false, reason: "reconnecting" });
+        emitToAccount(accountId, "reconnecting", { 
+          attempt: currentAttempts + 1,
+          maxAttempts: MAX_RECONNECT_ATTEMPTS 
+        });
+        broadcastAccountStatuses();
         
         // Calculate delay with exponential backoff
         const delay = Math.min(
@@ -1108,8 +1401,9 @@ app.prepare().then(() => {
         reinitTimeout = setTimeout(async () => {
           reinitTimeout = null;
           
-          if (currentAccountId === accountId) {
-            console.log(`Reinitializing WhatsApp client after detachment (attempt ${currentAttempts + 1})...`);
+          // The account may have been deleted while waiting
+          if (accounts.some(a => a.id === accountId)) {
+            console.log(`Reinitializing WhatsApp client for ${accountId} after detachment (attempt ${currentAttempts + 1})...`);
             
             // Increment attempts BEFORE trying
             reconnectAttempts.set(accountId, currentAttempts + 1);
@@ -1140,7 +1434,7 @@ app.prepare().then(() => {
               console.error(`Failed to reinitialize after detachment (attempt ${currentAttempts + 1}):`, err.message);
               
               if (currentAttempts + 1 >= MAX_RECONNECT_ATTEMPTS) {
-                io.emit("reconnectFailed", { 
+                emitToAccount(accountId, "reconnectFailed", { 
                   reason: `فشل إعادة الاتصال بعد ${MAX_RECONNECT_ATTEMPTS} محاولات`,
                   canManualRetry: true,
                   attempts: currentAttempts + 1 
@@ -1162,13 +1456,13 @@ app.prepare().then(() => {
     });
   };
 
-  // Initialize or switch to account
+  // Start (or restart) an account's client; the other accounts keep running
   const initializeAccount = async (accountId, retryCount = 0) => {
     console.log(`Initializing account: ${accountId}${retryCount > 0 ? ` (retry ${retryCount})` : ''}`);
     
-    isReady = false;
-    io.emit("status", { isReady: false });
-    io.emit("qrCleared");
+    pendingQrCodes.delete(accountId);
+    emitToAccount(accountId, "status", { isReady: false });
+    emitToAccount(accountId, "qrCleared");
     
     // Check Convex for session state first
     if (isConvexReady()) {
@@ -1183,7 +1477,7 @@ app.prepare().then(() => {
         if (cachedChats && cachedChats.length > 0) {
           console.log(`Loaded ${cachedChats.length} cached chats from Convex`);
           accountChats.set(accountId, cachedChats);
-          io.emit("chats", cachedChats);
+          emitToAccount(accountId, "chats", { chats: cachedChats });
         }
       } catch (e) {
         console.error("Error checking Convex session:", e.message);
@@ -1195,34 +1489,17 @@ app.prepare().then(() => {
     // Check if client already exists and is ready
     if (client && clientReadyStates.get(accountId)) {
       console.log(`Client already ready for ${accountId}, reusing...`);
-      isReady = true;
-      io.emit("status", { isReady: true });
-      io.emit("ready");
-      whatsappClient = client;
+      emitToAccount(accountId, "status", { isReady: true });
+      emitToAccount(accountId, "ready");
       
       // Send cached chats
-      const chats = await getCurrentChats();
+      const chats = await getAccountChats(accountId);
       if (chats.length > 0) {
-        io.emit("chats", chats);
+        emitToAccount(accountId, "chats", { chats });
       }
       return;
     }
     
-    // Stop ALL other clients first (we can only run one browser at a time)
-    for (const [otherAccountId, otherClient] of whatsappClients.entries()) {
-      if (otherAccountId !== accountId) {
-        console.log(`Stopping other client: ${otherAccountId}`);
-        try {
-          await otherClient.destroy();
-        } catch (e) {
-          console.log(`Error stopping other client: ${e.message}`);
-        }
-        await cleanupOrphanedBrowser(otherAccountId);
-        whatsappClients.delete(otherAccountId);
-        clientReadyStates.delete(otherAccountId);
-      }
-    }
-    
     // If there's an existing client for this account that's not ready, destroy it first
     if (client) {
       try {
@@ -1236,14 +1513,14 @@ app.prepare().then(() => {
       clientReadyStates.delete(accountId);
     }
     
-    // Wait for all processes to fully terminate
+    // Wait for the old browser to fully terminate
     await new Promise(resolve => setTimeout(resolve, 1500));
     
     // Create new client
     client = createWhatsAppClient(accountId);
     whatsappClients.set(accountId, client);
     setupClientEvents(client, accountId);
-    whatsappClient = client;
+    broadcastAccountStatuses();
     
     // Log initialization event to Convex
     if (isConvexReady()) {
@@ -1313,2100 +1590,3992 @@ app.prepare().then(() => {
     }
   };
 
-  // Socket.io connection
-  io.on("connection", (socket) => {
-    console.log("Client connected:", socket.id);
-
-    // Send current status
-    socket.emit("status", { isReady });
-
-
-    // Track getChats in progress to prevent multiple calls
-    let isGettingChats = false;
-    let lastGetChatsTime = 0;
-    let consecutiveDetachErrors = 0;
-    const GET_CHATS_THROTTLE = 15000; // 15 seconds between getChats calls (reduced for fresher data)
-
-    // Helper function to check if page is still healthy
-    const isPageHealthy = async () => {
-      try {
-        if (!whatsappClient || !whatsappClient.pupPage) {
-          return false;
-        }
-        // Try a simple page operation to verify connection
-        await whatsappClient.pupPage.evaluate(() => true);
-        return true;
-      } catch (e) {
-        console.log("Page health check failed:", e.message);
-        return false;
+  // Messages cache for fallback (keyed by accountId:chatId)
+  const messagesCache = new Map();
+  
+  // ==================== Memory Cleanup for Message Cache ====================
+  // Clean up old message cache entries periodically to prevent memory leaks
+  setInterval(() => {
+    const MAX_CACHE_AGE = 10 * 60 * 1000; // 10 minutes
+    const now = Date.now();
+    let cleaned = 0;
+    
+    for (const [key, cached] of messagesCache.entries()) {
+      if (now - cached.timestamp > MAX_CACHE_AGE) {
+        messagesCache.delete(key);
+        cleaned++;
       }
-    };
-
-    // Request to fetch chats
-    socket.on("getChats", async () => {
-      if (!isReady) {
-        // Still send cached chats if available
-        const cached = await getCurrentChats();
-        if (cached.length > 0) {
-          socket.emit("chats", cached);
-        } else {
-          socket.emit("chatsError", { message: "WhatsApp not ready" });
-        }
-        return;
+    }
+    
+    // Also limit cache size to prevent unbounded growth
+    if (messagesCache.size > 100) {
+      const entries = Array.from(messagesCache.entries());
+      entries.sort((a, b) => a[1].timestamp - b[1].timestamp);
+      const toDelete = entries.slice(0, entries.length - 100);
+      toDelete.forEach(([key]) => {
+        messagesCache.delete(key);
+        cleaned++;
+      });
+    }
+    
+    if (cleaned > 0) {
+      console.log(`Cleaned ${cleaned} old entries from messages cache`);
+    }
+  }, 5 * 60 * 1000); // Run every 5 minutes
+  
+  // Helper: Check if client is truly ready
+  const isClientReady = (accountId) => {
+    const client = whatsappClients.get(accountId);
+    return Boolean(client && client.pupPage && clientReadyStates.get(accountId));
+  };
+  
+  // Helper: Wait with promise
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  
+  // Helper: Safe operation with timeout
+  const safeOperation = async (operation, timeoutMs = 15000, fallback = null) => {
+    try {
+      return await Promise.race([
+        operation(),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('Operation timeout')), timeoutMs)
+        )
+      ]);
+    } catch (e) {
+      return fallback;
+    }
+  };
+  
+  // Helper: Format single message safely
+  const formatMessageSafe = async (accountId, msg, chat, skipMedia = false) => {
+    try {
+      const messageData = {
+        id: msg?.id?._serialized || msg?.id || `temp_${Date.now()}_${Math.random()}`,
+        body: msg?.body ?? '',
+        fromMe: msg?.fromMe ?? false,
+        timestamp: msg?.timestamp ?? Math.floor(Date.now() / 1000),
+        type: msg?.type ?? 'chat',
+        hasMedia: msg?.hasMedia ?? false,
+        mediaUrl: null,
+        mimetype: null,
+        filename: null,
+        duration: null,
+        senderName: null,
+        mediaError: false,
+      };
+      
+      // Get sender name for group messages
+      if (!messageData.fromMe && chat?.isGroup && msg?.author) {
+        messageData.senderName = await safeOperation(
+          async () => {
+            const contact = await msg.getContact();
+            return contact?.pushname || contact?.name || msg.author?.split("@")[0] || "مجهول";
+          },
+          5000,
+          msg.author?.split("@")[0] || "مجهول"
+        );
       }
-
-      // Check throttle
-      const now = Date.now();
-      if (now - lastGetChatsTime < GET_CHATS_THROTTLE) {
-        console.log("getChats throttled - sending cached data");
-        const cachedChats = await getCurrentChats();
-        if (cachedChats.length > 0) {
-          socket.emit("chats", cachedChats);
+      
+      // Fetch media if available (with multiple retries)
+      if (messageData.hasMedia && !skipMedia && isClientReady(accountId)) {
+        for (let mediaAttempt = 0; mediaAttempt < 3; mediaAttempt++) {
+          const media = await safeOperation(
+            () => msg.downloadMedia(),
+            10000,
+            null
+          );
+          if (media?.data) {
+            messageData.mediaUrl = `data:${media.mimetype || 'application/octet-stream'};base64,${media.data}`;
+            messageData.mimetype = media.mimetype;
+            messageData.filename = media.filename;
+            break;
+          }
+          if (mediaAttempt < 2) await wait(500);
         }
-        return;
-      }
-
-      // Check if already in progress
-      if (isGettingChats) {
-        console.log("getChats already in progress - sending cached data");
-        const cachedChats = await getCurrentChats();
-        if (cachedChats.length > 0) {
-          socket.emit("chats", cachedChats);
+        if (!messageData.mediaUrl) {
+          messageData.mediaError = true;
         }
-        return;
+      } else if (messageData.hasMedia) {
+        messageData.mediaError = true;
       }
-
-      isGettingChats = true;
-      lastGetChatsTime = now;
-
-      // Send cached chats immediately while fetching new ones
-      const cachedChats = await getCurrentChats();
-      if (cachedChats.length > 0) {
-        console.log(`Sending ${cachedChats.length} cached chats first`);
-        socket.emit("chats", cachedChats);
+      
+      // Get duration for audio/video
+      if (msg?.type === "ptt" || msg?.type === "audio") {
+        messageData.duration = msg?.duration || null;
       }
-
-      // Helper to delay
-      const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
       
-      // Retry function with better error handling
-      const fetchWithRetry = async (retries = 3) => {
-        for (let i = 0; i < retries; i++) {
-          try {
-            // Check if client and page are still available
-            if (!whatsappClient || !whatsappClient.pupPage) {
-              console.log("Client or page not available, waiting...");
-              await delay(2000);
-              continue;
-            }
-            
-            // Check if page is truly healthy before proceeding
-            const pageHealthy = await isPageHealthy();
-            if (!pageHealthy) {
-              console.log("Page is not healthy, marking client as not ready");
-              clientReadyStates.set(currentAccountId, false);
-              isReady = false;
-              io.emit("status", { isReady: false, reason: "page_detached" });
-              consecutiveDetachErrors++;
-              return null; // Signal to use cached data
-            }
-            
-            // Reset consecutive errors on healthy page
-            consecutiveDetachErrors = 0;
-            
-            // Check if client info is available
-            const info = whatsappClient.info;
-            if (!info) {
-              console.log("Client info not available, waiting...");
-              await delay(2000);
-              continue;
-            }
-            
-            console.log("Connected as:", info.pushname);
-            
-            // Wait a bit before fetching to ensure WhatsApp is ready
-            if (i === 0) await delay(1000);
-            
-            const allChats = await whatsappClient.getChats();
-            console.log(`Found ${allChats.length} chats`);
-            return allChats;
-          } catch (error) {
-            console.error(`Attempt ${i + 1} failed:`, error.message);
-            
-            // If it's a detached frame error, mark client as not ready and don't retry
-            const isDetachError = error.message.includes('detached Frame') || 
-                                  error.message.includes('Target closed') ||
-                                  error.message.includes('Session closed') ||
-                                  error.message.includes('Protocol error') ||
-                                  error.message.includes('Execution context');
-            
-            if (isDetachError) {
-              console.log("Browser page detached, marking as not ready and returning cached data");
-              clientReadyStates.set(currentAccountId, false);
-              isReady = false;
-              io.emit("status", { isReady: false, reason: "page_detached" });
-              consecutiveDetachErrors++;
-              return null; // Signal to use cached data
-            }
-            
-            if (i < retries - 1) {
-              await delay(2000 * (i + 1)); // Exponential backoff
-            } else {
-              throw error;
-            }
-          }
-        }
-        return null;
+      return messageData;
+    } catch (e) {
+      // Return minimal message data on error
+      return {
+        id: `error_${Date.now()}_${Math.random()}`,
+        body: msg?.body ?? '',
+        fromMe: msg?.fromMe ?? false,
+        timestamp: msg?.timestamp ?? Math.floor(Date.now() / 1000),
+        type: msg?.type ?? 'chat',
+        hasMedia: false,
+        mediaUrl: null,
+        mimetype: null,
+        filename: null,
+        duration: null,
+        senderName: null,
+        mediaError: false,
       };
+    }
+  };
 
-      try {
-        console.log("Fetching chats...");
-        
-        const allChats = await fetchWithRetry(3);
-        
-        // If fetch failed, use cached data
-        if (!allChats) {
-          console.log("Using cached chats due to fetch failure");
-          const cached = await getCurrentChats();
-          if (cached.length > 0) {
-            socket.emit("chats", cached);
-            return;
-          }
-          socket.emit("chatsError", { message: "لا يمكن جلب المحادثات - حاول مرة أخرى" });
-          return;
-        }
-        
-        console.log(`Processing ${allChats.length} chats...`);
-        
-        const processedChats = [];
-        
-        for (const chat of allChats) {
-          try {
-            // Get profile picture
-            let profilePic = null;
-            try {
-              profilePic = await chat.getContact().then(c => c.getProfilePicUrl());
-            } catch (e) {
-              // Ignore profile pic errors
-            }
-            
-            // Extract phone number
-            const phoneNumber = chat.id._serialized.split("@")[0];
+  // Keep fetched messages in the local store (skips placeholder ids from formatMessageSafe)
+  const storeFetchedMessages = (accountId, chatId, formattedMessages) => {
+    messageStore.save(accountId, formattedMessages
+      .filter(m => !String(m.id).startsWith("temp_") && !String(m.id).startsWith("error_"))
+      .map(m => ({
+        id: m.id,
+        chatId,
+        fromMe: m.fromMe,
+        senderName: m.senderName,
+        body: m.body,
+        type: m.type,
+        hasMedia: m.hasMedia,
+        timestamp: m.timestamp,
+      })));
+  };
+
+  // Messages of a chat from the local store, in the same shape as formatMessageSafe (no media data)
+  const getStoredMessages = (accountId, chatId, limit) =>
+    messageStore.getChatMessages(accountId, chatId, limit).map(m => ({
+      id: m.id,
+      body: m.body,
+      fromMe: m.fromMe,
+      timestamp: m.timestamp,
+      type: m.type,
+      hasMedia: m.hasMedia,
+      mediaUrl: null,
+      mimetype: null,
+      filename: null,
+      duration: null,
+      senderName: m.fromMe ? null : m.senderName,
+      mediaError: m.hasMedia,
+    }));
+
+  // Get messages for a specific chat (with media support) - PROFESSIONAL INFINITE RETRY
+  // Shared by the getMessages socket event and the REST API; progress goes through onProgress
+  const fetchMessagesWithRetry = async ({ accountId, chatId, limit = 50, maxRetries = 100, onProgress = () => {} }) => {
+    const cacheKey = `${accountId}:${chatId}`;
+    const INITIAL_DELAY = 500;
+    const MAX_DELAY = 10000;
+    
+    let attempt = 0;
+    let lastError = null;
+    
+    // Send loading status
+    onProgress("جاري التحميل...");
+    
+    // While WhatsApp is (re)connecting, answer from the local store right away
+    if (!isClientReady(accountId) && isMessageStoreReady()) {
+      const storedMessages = getStoredMessages(accountId, chatId, limit);
+      if (storedMessages.length > 0) {
+        return { chatId, messages: storedMessages, fromCache: true, fromStore: true };
+      }
+    }
+    
+    while (attempt < maxRetries) {
+      attempt++;
+      
+      // Strategy 1: Direct fetch if client is ready
+      if (isClientReady(accountId)) {
+        try {
+          // Method A: getChatById then fetchMessages
+          const chat = await safeOperation(
+            () => whatsappClients.get(accountId).getChatById(chatId),
+            20000,
+            null
+          );
+          
+          if (chat) {
+            const messages = await safeOperation(
+              () => chat.fetchMessages({ limit }),
+              30000,
+              null
+            );
             
-            // Get group participants if it's a group
-            let participants = [];
-            if (chat.isGroup) {
-              try {
-                const groupChat = chat;
-                if (groupChat.participants) {
-                  participants = groupChat.participants.map(p => ({
-                    id: p.id._serialized,
-                    name: p.id.user,
-                    isAdmin: p.isAdmin || false,
-                    isSuperAdmin: p.isSuperAdmin || false,
-                  }));
-                }
-              } catch (e) {
-                // Ignore participant errors
+            if (messages && Array.isArray(messages) && messages.length > 0) {
+              // Format messages in batches to avoid overwhelming
+              const BATCH_SIZE = 10;
+              const formattedMessages = [];
+              
+              for (let i = 0; i < messages.length; i += BATCH_SIZE) {
+                if (!isClientReady(accountId)) break; // Stop if client disconnected
+                
+                const batch = messages.slice(i, i + BATCH_SIZE);
+                const formattedBatch = await Promise.all(
+                  batch.map(msg => formatMessageSafe(accountId, msg, chat, false))
+                );
+                formattedMessages.push(...formattedBatch);
+                
+                // Send progress
+                onProgress(`جاري التحميل ${Math.min(i + BATCH_SIZE, messages.length)}/${messages.length}`);
               }
-            }
-            
-            const chatData = {
-              id: chat.id._serialized,
-              name: chat.name || chat.id.user || phoneNumber || "Unknown",
-              phone: phoneNumber,
-              profilePic: profilePic,
-              isGroup: chat.isGroup || false,
-              participants: participants,
-              participantCount: participants.length,
-              unreadCount: chat.unreadCount || 0,
-              lastMessage: null,
-              timestamp: chat.timestamp || Date.now() / 1000,
-            };
-            
-            // Try to get last message safely with sender info and type
-            if (chat.lastMessage) {
-              const msg = chat.lastMessage;
-              let senderName = "أنا";
               
-              if (!msg.fromMe && chat.isGroup) {
-                try {
-                  const senderId = msg.author || msg.from;
-                  senderName = senderId ? senderId.split("@")[0] : "مجهول";
-                } catch (e) {
-                  senderName = "مجهول";
-                }
-              } else if (!msg.fromMe) {
-                senderName = chat.name || phoneNumber;
+              if (formattedMessages.length > 0) {
+                // Cache successful result
+                messagesCache.set(cacheKey, {
+                  messages: formattedMessages,
+                  timestamp: Date.now()
+                });
+                storeFetchedMessages(accountId, chatId, formattedMessages);
+                
+                return { chatId, messages: formattedMessages }; // Success!
               }
+            }
+          }
+        } catch (e) {
+          lastError = e;
+        }
+      }
+      
+      // Strategy 2: Try getting from client's chats directly
+      if (isClientReady(accountId) && attempt % 3 === 0) {
+        try {
+          const chats = await safeOperation(
+            () => whatsappClients.get(accountId).getChats(),
+            30000,
+            []
+          );
+          
+          const targetChat = chats?.find?.(c => c?.id?._serialized === chatId);
+          if (targetChat) {
+            const messages = await safeOperation(
+              () => targetChat.fetchMessages({ limit }),
+              30000,
+              null
+            );
+            
+            if (messages && Array.isArray(messages) && messages.length > 0) {
+              const formattedMessages = await Promise.all(
+                messages.map(msg => formatMessageSafe(accountId, msg, targetChat, attempt > 5))
+              );
               
-              // Get message type label
-              const typeLabels = {
-                chat: "نص",
-                image: "صورة 📷",
-                video: "فيديو 🎥",
-                audio: "صوت 🎵",
-                ptt: "رسالة صوتية 🎤",
-                document: "مستند 📄",
-                sticker: "ملصق",
-                location: "موقع 📍",
-                contact: "جهة اتصال 👤",
-                poll_creation: "استطلاع 📊",
-              };
+              messagesCache.set(cacheKey, {
+                messages: formattedMessages,
+                timestamp: Date.now()
+              });
+              storeFetchedMessages(accountId, chatId, formattedMessages);
               
-              chatData.lastMessage = {
-                body: msg.body || typeLabels[msg.type] || "",
-                fromMe: msg.fromMe || false,
-                timestamp: msg.timestamp || Date.now() / 1000,
-                type: msg.type || "chat",
-                typeLabel: typeLabels[msg.type] || "نص",
-                senderName: senderName,
-              };
+              return { chatId, messages: formattedMessages }; // Success!
             }
-            
-            processedChats.push(chatData);
-          } catch (chatError) {
-            console.error("Error processing single chat:", chatError.message);
           }
+        } catch (e) {
+          lastError = e;
         }
-        
-        setCurrentChats(processedChats);
-        console.log(`Processed ${getCurrentChats().length} chats successfully`);
-        socket.emit("chats", getCurrentChats());
-        
-      } catch (error) {
-        console.error("Error fetching chats:", error.message, error.stack);
-        socket.emit("chatsError", { message: error.message || "Unknown error" });
-      } finally {
-        isGettingChats = false;
       }
-    });
-
-    // Messages cache for fallback
-    const messagesCache = new Map();
-    
-    // ==================== Memory Cleanup for Message Cache ====================
-    // Clean up old message cache entries periodically to prevent memory leaks
-    const messagesCacheCleanupInterval = setInterval(() => {
-      const MAX_CACHE_AGE = 10 * 60 * 1000; // 10 minutes
-      const now = Date.now();
-      let cleaned = 0;
       
-      for (const [chatId, cached] of messagesCache.entries()) {
-        if (now - cached.timestamp > MAX_CACHE_AGE) {
-          messagesCache.delete(chatId);
-          cleaned++;
+      // Strategy 3: Return cached messages if available (after several attempts)
+      if (attempt >= 5) {
+        const cached = messagesCache.get(cacheKey);
+        if (cached && cached.messages && cached.messages.length > 0) {
+          // Check cache age (use if less than 5 minutes old)
+          if (Date.now() - cached.timestamp < 5 * 60 * 1000) {
+            return { 
+              chatId, 
+              messages: cached.messages,
+              fromCache: true 
+            }; // Success from cache!
+          }
         }
       }
       
-      // Also limit cache size to prevent unbounded growth
-      if (messagesCache.size > 100) {
-        const entries = Array.from(messagesCache.entries());
-        entries.sort((a, b) => a[1].timestamp - b[1].timestamp);
-        const toDelete = entries.slice(0, entries.length - 100);
-        toDelete.forEach(([key]) => {
-          messagesCache.delete(key);
-          cleaned++;
-        });
+      // Strategy 4: Wait for client to become ready
+      if (!isClientReady(accountId)) {
+        onProgress(`انتظار اتصال واتساب... (${attempt})`);
+        
+        // Wait for client with checking
+        let waitTime = 0;
+        while (!isClientReady(accountId) && waitTime < 30000) {
+          await wait(1000);
+          waitTime += 1000;
+        }
+        
+        if (isClientReady(accountId)) {
+          continue; // Client ready, retry immediately
+        }
       }
       
-      if (cleaned > 0) {
-        console.log(`Cleaned ${cleaned} old entries from messages cache`);
+      // Calculate delay with exponential backoff (capped)
+      const delay = Math.min(INITIAL_DELAY * Math.pow(1.5, attempt - 1), MAX_DELAY);
+      
+      // Emit retry status every few attempts
+      if (attempt % 5 === 0) {
+        onProgress(`محاولة ${attempt}... جاري المحاولة`);
       }
-    }, 5 * 60 * 1000); // Run every 5 minutes
+      
+      await wait(delay);
+    }
     
-    // Helper: Check if client is truly ready
-    const isClientReady = () => {
-      return isReady && 
-             whatsappClient && 
-             whatsappClient.pupPage && 
-             clientReadyStates.get(currentAccountId);
-    };
+    // If we got here, all retries failed - try cache one last time
+    const cached = messagesCache.get(cacheKey);
+    if (cached && cached.messages && cached.messages.length > 0) {
+      return { 
+        chatId, 
+        messages: cached.messages,
+        fromCache: true,
+        cacheAge: Date.now() - cached.timestamp
+      };
+    }
     
-    // Helper: Wait with promise
-    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    // Then the local message store
+    const storedMessages = getStoredMessages(accountId, chatId, limit);
+    if (storedMessages.length > 0) {
+      return { chatId, messages: storedMessages, fromCache: true, fromStore: true };
+    }
     
-    // Helper: Safe operation with timeout
-    const safeOperation = async (operation, timeoutMs = 15000, fallback = null) => {
-      try {
-        return await Promise.race([
-          operation(),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Operation timeout')), timeoutMs)
-          )
-        ]);
-      } catch (e) {
-        return fallback;
-      }
+    // Absolute last resort: send empty with info
+    return { 
+      chatId, 
+      messages: [],
+      error: "تعذر جلب الرسائل بعد محاولات عديدة",
+      retryable: true
     };
+  };
+
+
+  // Build the whatsapp-web.js content + options for an outgoing message
+  // attachment kinds: media (image/video/document), voice (PTT), location, contact (vCard)
+  const buildMessageContent = ({ message, attachment }) => {
+    const caption = message?.trim() || undefined;
     
-    // Helper: Format single message safely
-    const formatMessageSafe = async (msg, chat, skipMedia = false) => {
-      try {
-        const messageData = {
-          id: msg?.id?._serialized || msg?.id || `temp_${Date.now()}_${Math.random()}`,
-          body: msg?.body ?? '',
-          fromMe: msg?.fromMe ?? false,
-          timestamp: msg?.timestamp ?? Math.floor(Date.now() / 1000),
-          type: msg?.type ?? 'chat',
-          hasMedia: msg?.hasMedia ?? false,
-          mediaUrl: null,
-          mimetype: null,
-          filename: null,
-          duration: null,
-          senderName: null,
-          mediaError: false,
-        };
-        
-        // Get sender name for group messages
-        if (!messageData.fromMe && chat?.isGroup && msg?.author) {
-          messageData.senderName = await safeOperation(
-            async () => {
-              const contact = await msg.getContact();
-              return contact?.pushname || contact?.name || msg.author?.split("@")[0] || "مجهول";
-            },
-            5000,
-            msg.author?.split("@")[0] || "مجهول"
-          );
+    if (!attachment) {
+      return { content: message, options: {}, isText: true };
+    }
+    
+    switch (attachment.kind) {
+      case "media":
+      case "voice": {
+        if (!attachment.data || !attachment.mimetype) {
+          return { error: "بيانات الملف غير مكتملة" };
         }
-        
-        // Fetch media if available (with multiple retries)
-        if (messageData.hasMedia && !skipMedia && isClientReady()) {
-          for (let mediaAttempt = 0; mediaAttempt < 3; mediaAttempt++) {
-            const media = await safeOperation(
-              () => msg.downloadMedia(),
-              10000,
-              null
-            );
-            if (media?.data) {
-              messageData.mediaUrl = `data:${media.mimetype || 'application/octet-stream'};base64,${media.data}`;
-              messageData.mimetype = media.mimetype;
-              messageData.filename = media.filename;
-              break;
-            }
-            if (mediaAttempt < 2) await wait(500);
-          }
-          if (!messageData.mediaUrl) {
-            messageData.mediaError = true;
-          }
-        } else if (messageData.hasMedia) {
-          messageData.mediaError = true;
-        }
-        
-        // Get duration for audio/video
-        if (msg?.type === "ptt" || msg?.type === "audio") {
-          messageData.duration = msg?.duration || null;
+        const media = new MessageMedia(attachment.mimetype, attachment.data, attachment.filename || null);
+        if (attachment.kind === "voice") {
+          return { content: media, options: { sendAudioAsVoice: true } };
         }
-        
-        return messageData;
-      } catch (e) {
-        // Return minimal message data on error
         return {
-          id: `error_${Date.now()}_${Math.random()}`,
-          body: msg?.body ?? '',
-          fromMe: msg?.fromMe ?? false,
-          timestamp: msg?.timestamp ?? Math.floor(Date.now() / 1000),
-          type: msg?.type ?? 'chat',
-          hasMedia: false,
-          mediaUrl: null,
-          mimetype: null,
-          filename: null,
-          duration: null,
-          senderName: null,
-          mediaError: false,
+          content: media,
+          options: { caption, sendMediaAsDocument: attachment.asDocument === true },
         };
       }
-    };
-
-    // Request to get messages for a specific chat (with media support) - PROFESSIONAL INFINITE RETRY
-    socket.on("getMessages", async ({ chatId, limit = 50 }) => {
-      const MAX_RETRIES = 100; // كثير جداً لضمان عدم الفشل
-      const INITIAL_DELAY = 500;
-      const MAX_DELAY = 10000;
       
-      let attempt = 0;
-      let lastError = null;
-      let partialMessages = [];
-      
-      // Send loading status
-      socket.emit("messagesLoading", { chatId, status: "جاري التحميل..." });
-      
-      while (attempt < MAX_RETRIES) {
-        attempt++;
-        
-        // Strategy 1: Direct fetch if client is ready
-        if (isClientReady()) {
-          try {
-            // Method A: getChatById then fetchMessages
-            const chat = await safeOperation(
-              () => whatsappClient.getChatById(chatId),
-              20000,
-              null
-            );
-            
-            if (chat) {
-              const messages = await safeOperation(
-                () => chat.fetchMessages({ limit }),
-                30000,
-                null
-              );
-              
-              if (messages && Array.isArray(messages) && messages.length > 0) {
-                // Format messages in batches to avoid overwhelming
-                const BATCH_SIZE = 10;
-                const formattedMessages = [];
-                
-                for (let i = 0; i < messages.length; i += BATCH_SIZE) {
-                  if (!isClientReady()) break; // Stop if client disconnected
-                  
-                  const batch = messages.slice(i, i + BATCH_SIZE);
-                  const formattedBatch = await Promise.all(
-                    batch.map(msg => formatMessageSafe(msg, chat, false))
-                  );
-                  formattedMessages.push(...formattedBatch);
-                  
-                  // Send progress
-                  socket.emit("messagesLoading", { 
-                    chatId, 
-                    status: `جاري التحميل ${Math.min(i + BATCH_SIZE, messages.length)}/${messages.length}` 
-                  });
-                }
-                
-                if (formattedMessages.length > 0) {
-                  // Cache successful result
-                  messagesCache.set(chatId, {
-                    messages: formattedMessages,
-                    timestamp: Date.now()
-                  });
-                  
-                  socket.emit("messages", { chatId, messages: formattedMessages });
-                  return; // Success!
-                }
-              }
-            }
-          } catch (e) {
-            lastError = e;
-          }
+      case "location": {
+        const latitude = Number(attachment.latitude);
+        const longitude = Number(attachment.longitude);
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+          return { error: "إحداثيات الموقع غير صالحة" };
         }
-        
-        // Strategy 2: Try getting from client's chats directly
-        if (isClientReady() && attempt % 3 === 0) {
-          try {
-            const chats = await safeOperation(
-              () => whatsappClient.getChats(),
-              30000,
-              []
-            );
-            
-            const targetChat = chats?.find?.(c => c?.id?._serialized === chatId);
-            if (targetChat) {
-              const messages = await safeOperation(
-                () => targetChat.fetchMessages({ limit }),
-                30000,
-                null
-              );
-              
-              if (messages && Array.isArray(messages) && messages.length > 0) {
-                const formattedMessages = await Promise.all(
-                  messages.map(msg => formatMessageSafe(msg, targetChat, attempt > 5))
-                );
-                
-                messagesCache.set(chatId, {
-                  messages: formattedMessages,
-                  timestamp: Date.now()
-                });
-                
-                socket.emit("messages", { chatId, messages: formattedMessages });
-                return; // Success!
-              }
-            }
-          } catch (e) {
-            lastError = e;
-          }
+        const location = new Location(latitude, longitude, {
+          name: attachment.name || caption,
+          address: attachment.address || undefined,
+        });
+        return { content: location, options: {} };
+      }
+      
+      case "contact": {
+        const phone = String(attachment.phone || "").replace(/\D/g, "");
+        if (!phone) {
+          return { error: "رقم جهة الاتصال مطلوب" };
         }
-        
-        // Strategy 3: Return cached messages if available (after several attempts)
-        if (attempt >= 5) {
-          const cached = messagesCache.get(chatId);
-          if (cached && cached.messages && cached.messages.length > 0) {
-            // Check cache age (use if less than 5 minutes old)
-            if (Date.now() - cached.timestamp < 5 * 60 * 1000) {
-              socket.emit("messages", { 
-                chatId, 
-                messages: cached.messages,
-                fromCache: true 
-              });
-              return; // Success from cache!
-            }
-          }
+        const name = (attachment.name || phone).replace(/[\r\n]/g, " ");
+        const vCard = [
+          "BEGIN:VCARD",
+          "VERSION:3.0",
+          `FN:${name}`,
+          `TEL;type=CELL;waid=${phone}:+${phone}`,
+          "END:VCARD",
+        ].join("\n");
+        return { content: vCard, options: { parseVCards: true } };
+      }
+      
+      default:
+        return { error: "نوع المرفق غير مدعوم" };
+    }
+  };
+
+  // Whether a canned reply can be used in an account's chats: it's the account's own or shared in
+  // the account's workspace
+  const isReplyForAccount = (reply, accountId) => reply.accountId
+    ? reply.accountId === accountId
+    : !!reply.orgId && reply.orgId === accounts.find(a => a.id === accountId)?.orgId;
+
+  // The media of a canned reply usable in an account's chats, as a media attachment
+  const loadCannedReplyMedia = async (accountId, replyId) => {
+    const reply = replyId && isConvexReady() ? await cannedRepliesDb.getById(replyId) : null;
+    if (!reply?.mediaUrl || !isReplyForAccount(reply, accountId)) {
+      return { error: "الرد غير موجود" };
+    }
+    try {
+      return { attachment: { kind: "media", ...(await fetchReplyMedia(reply.mediaUrl)) } };
+    } catch (e) {
+      console.error(`Failed to load canned reply media: ${e.message}`);
+      return { error: "تعذر تحميل وسائط الرد" };
+    }
+  };
+
+  // Send message - PROFESSIONAL INFINITE RETRY
+  // Shared by the sendMessage socket event and the REST API; status updates go through onStatus
+  const sendMessageWithRetry = async ({ accountId, chatId, message, attachment, maxRetries = 50, onStatus = () => {} }) => {
+    if (!chatId || (!message && !attachment)) {
+      return { success: false, message: "Chat ID and message are required" };
+    }
+    
+    // A canned reply's media ({ kind: "cannedReply", replyId }) is only downloaded here, to be sent
+    if (attachment?.kind === "cannedReply") {
+      const { attachment: media, error } = await loadCannedReplyMedia(accountId, attachment.replyId);
+      if (error) return { success: false, message: error, retryable: false };
+      attachment = media;
+    }
+    
+    const { content, options, isText, error: contentError } = buildMessageContent({ message, attachment });
+    if (contentError) {
+      return { success: false, message: contentError, retryable: false };
+    }
+
+    const INITIAL_DELAY = 500;
+    const MAX_DELAY = 5000;
+    
+    let attempt = 0;
+    let sentMessage = null;
+    let lastError = null;
+    
+    // Send status
+    onStatus("جاري الإرسال...");
+    
+    // Prepare target ID
+    let targetId = chatId;
+    if (chatId.includes("@lid")) {
+      try {
+        const chats = await getAccountChats(accountId);
+        const cachedChat = chats?.find?.(c => c?.id === chatId);
+        if (cachedChat?.phone) {
+          targetId = cachedChat.phone + "@c.us";
         }
+      } catch (e) {
+        // Use original chatId
+      }
+    }
+    
+    while (attempt < maxRetries && !sentMessage) {
+      attempt++;
+      
+      // Wait for client to be ready
+      if (!isClientReady(accountId)) {
+        onStatus(`انتظار الاتصال... (${attempt})`);
         
-        // Strategy 4: Wait for client to become ready
-        if (!isClientReady()) {
-          socket.emit("messagesLoading", { 
-            chatId, 
-            status: `انتظار اتصال واتساب... (${attempt})` 
-          });
-          
-          // Wait for client with checking
-          let waitTime = 0;
-          while (!isClientReady() && waitTime < 30000) {
-            await wait(1000);
-            waitTime += 1000;
-          }
-          
-          if (isClientReady()) {
-            continue; // Client ready, retry immediately
-          }
+        let waitTime = 0;
+        while (!isClientReady(accountId) && waitTime < 30000) {
+          await wait(1000);
+          waitTime += 1000;
         }
         
-        // Calculate delay with exponential backoff (capped)
-        const delay = Math.min(INITIAL_DELAY * Math.pow(1.5, attempt - 1), MAX_DELAY);
-        
-        // Emit retry status every few attempts
-        if (attempt % 5 === 0) {
-          socket.emit("messagesLoading", { 
-            chatId, 
-            status: `محاولة ${attempt}... جاري المحاولة` 
-          });
+        if (!isClientReady(accountId)) {
+          const delay = Math.min(INITIAL_DELAY * Math.pow(1.5, attempt - 1), MAX_DELAY);
+          await wait(delay);
+          continue;
         }
-        
-        await wait(delay);
       }
       
-      // If we got here, all retries failed - try cache one last time
-      const cached = messagesCache.get(chatId);
-      if (cached && cached.messages && cached.messages.length > 0) {
-        socket.emit("messages", { 
-          chatId, 
-          messages: cached.messages,
-          fromCache: true,
-          cacheAge: Date.now() - cached.timestamp
-        });
-        return;
-      }
-      
-      // Absolute last resort: send empty with info
-      socket.emit("messages", { 
-        chatId, 
-        messages: [],
-        error: "تعذر جلب الرسائل بعد محاولات عديدة",
-        retryable: true
-      });
-    });
-
-    // Send message - PROFESSIONAL INFINITE RETRY
-    socket.on("sendMessage", async ({ chatId, message }) => {
-      if (!chatId || !message) {
-        socket.emit("sendMessageError", { message: "Chat ID and message are required" });
-        return;
+      // Method 1: Direct sendMessage (simplest)
+      try {
+        sentMessage = await safeOperation(
+          () => whatsappClients.get(accountId).sendMessage(targetId, content, options),
+          isText ? 20000 : 60000,
+          null
+        );
+        if (sentMessage) {
+          console.log("Message sent via direct method");
+          break;
+        }
+      } catch (e) {
+        lastError = e;
       }
-
-      const MAX_RETRIES = 50;
-      const INITIAL_DELAY = 500;
-      const MAX_DELAY = 5000;
-      
-      let attempt = 0;
-      let sentMessage = null;
-      let lastError = null;
       
-      // Send status
-      socket.emit("sendMessageStatus", { chatId, status: "جاري الإرسال..." });
-      
-      // Prepare target ID
-      let targetId = chatId;
-      if (chatId.includes("@lid")) {
+      // Method 2: Get chat first, then send
+      if (!sentMessage && isClientReady(accountId)) {
         try {
-          const chats = await getCurrentChats();
-          const cachedChat = chats?.find?.(c => c?.id === chatId);
-          if (cachedChat?.phone) {
-            targetId = cachedChat.phone + "@c.us";
+          const chat = await safeOperation(
+            () => whatsappClients.get(accountId).getChatById(targetId),
+            15000,
+            null
+          );
+          if (chat && typeof chat.sendMessage === 'function') {
+            sentMessage = await safeOperation(
+              () => chat.sendMessage(content, options),
+              isText ? 15000 : 60000,
+              null
+            );
+            if (sentMessage) {
+              console.log("Message sent via chat.sendMessage");
+              break;
+            }
           }
         } catch (e) {
-          // Use original chatId
+          lastError = e;
         }
       }
       
-      while (attempt < MAX_RETRIES && !sentMessage) {
-        attempt++;
-        
-        // Wait for client to be ready
-        if (!isClientReady()) {
-          socket.emit("sendMessageStatus", { chatId, status: `انتظار الاتصال... (${attempt})` });
-          
-          let waitTime = 0;
-          while (!isClientReady() && waitTime < 30000) {
-            await wait(1000);
-            waitTime += 1000;
-          }
+      // Method 3: Use pupPage directly with WWebJS injected methods (text only)
+      const pupPage = whatsappClients.get(accountId)?.pupPage;
+      if (!sentMessage && isText && pupPage) {
+        try {
+          const result = await safeOperation(async () => {
+            return await pupPage.evaluate(async (to, msg) => {
+              try {
+                if (window.WWebJS && window.WWebJS.sendMessage) {
+                  const chatWid = window.Store.WidFactory.createWid(to);
+                  await window.WWebJS.sendMessage(chatWid, msg, {});
+                  return { success: true, method: 'WWebJS' };
+                }
+                
+                const chatWid = window.Store.WidFactory.createWid(to);
+                const chat = await window.Store.Chat.find(chatWid);
+                if (chat) {
+                  await window.Store.SendMessage.sendMsgToChat(chat, msg);
+                  return { success: true, method: 'Store' };
+                }
+                return { success: false, error: 'Chat not found' };
+              } catch (err) {
+                return { success: false, error: err.message };
+              }
+            }, targetId, message);
+          }, 15000, { success: false });
           
-          if (!isClientReady()) {
-            const delay = Math.min(INITIAL_DELAY * Math.pow(1.5, attempt - 1), MAX_DELAY);
-            await wait(delay);
-            continue;
+          if (result?.success) {
+            console.log(`Message sent via pupPage (${result.method})`);
+            sentMessage = { id: { _serialized: `manual_${Date.now()}` }, timestamp: Date.now() / 1000 };
+            break;
           }
+        } catch (e) {
+          lastError = e;
         }
-        
-        // Method 1: Direct sendMessage (simplest)
+      }
+      
+      // Method 4: Try with original chatId if different
+      if (!sentMessage && targetId !== chatId && isClientReady(accountId)) {
         try {
           sentMessage = await safeOperation(
-            () => whatsappClient.sendMessage(targetId, message),
-            20000,
+            () => whatsappClients.get(accountId).sendMessage(chatId, content, options),
+            isText ? 15000 : 60000,
             null
           );
           if (sentMessage) {
-            console.log("Message sent via direct method");
+            console.log("Message sent via original chatId");
             break;
           }
         } catch (e) {
           lastError = e;
         }
-        
-        // Method 2: Get chat first, then send
-        if (!sentMessage && isClientReady()) {
-          try {
-            const chat = await safeOperation(
-              () => whatsappClient.getChatById(targetId),
-              15000,
-              null
-            );
-            if (chat && typeof chat.sendMessage === 'function') {
-              sentMessage = await safeOperation(
-                () => chat.sendMessage(message),
-                15000,
-                null
-              );
-              if (sentMessage) {
-                console.log("Message sent via chat.sendMessage");
-                break;
-              }
-            }
-          } catch (e) {
-            lastError = e;
-          }
-        }
-        
-        // Method 3: Use pupPage directly with WWebJS injected methods
-        if (!sentMessage && whatsappClient?.pupPage) {
-          try {
-            const result = await safeOperation(async () => {
-              return await whatsappClient.pupPage.evaluate(async (to, msg) => {
-                try {
-                  if (window.WWebJS && window.WWebJS.sendMessage) {
-                    const chatWid = window.Store.WidFactory.createWid(to);
-                    await window.WWebJS.sendMessage(chatWid, msg, {});
-                    return { success: true, method: 'WWebJS' };
-                  }
-                  
-                  const chatWid = window.Store.WidFactory.createWid(to);
-                  const chat = await window.Store.Chat.find(chatWid);
-                  if (chat) {
-                    await window.Store.SendMessage.sendMsgToChat(chat, msg);
-                    return { success: true, method: 'Store' };
-                  }
-                  return { success: false, error: 'Chat not found' };
-                } catch (err) {
-                  return { success: false, error: err.message };
-                }
-              }, targetId, message);
-            }, 15000, { success: false });
-            
-            if (result?.success) {
-              console.log(`Message sent via pupPage (${result.method})`);
-              sentMessage = { id: { _serialized: `manual_${Date.now()}` }, timestamp: Date.now() / 1000 };
-              break;
-            }
-          } catch (e) {
-            lastError = e;
-          }
-        }
-        
-        // Method 4: Try with original chatId if different
-        if (!sentMessage && targetId !== chatId && isClientReady()) {
-          try {
-            sentMessage = await safeOperation(
-              () => whatsappClient.sendMessage(chatId, message),
-              15000,
-              null
-            );
-            if (sentMessage) {
-              console.log("Message sent via original chatId");
-              break;
-            }
-          } catch (e) {
-            lastError = e;
-          }
-        }
-        
-        // Update status every few attempts
-        if (attempt % 5 === 0) {
-          socket.emit("sendMessageStatus", { chatId, status: `محاولة ${attempt}...` });
-        }
-        
-        // Delay before next attempt
-        const delay = Math.min(INITIAL_DELAY * Math.pow(1.3, attempt - 1), MAX_DELAY);
-        await wait(delay);
       }
       
-      if (sentMessage) {
-        console.log("Message sent successfully!");
-        socket.emit("messageSent", { 
-          success: true, 
-          chatId,
-          messageId: sentMessage?.id?._serialized || sentMessage?.id || `msg_${Date.now()}`,
-          timestamp: sentMessage?.timestamp || Date.now() / 1000
-        });
-      } else {
-        // Final failure after all retries
-        socket.emit("sendMessageError", { 
-          message: "فشل الإرسال - حاول مرة أخرى",
-          retryable: true,
-          attempts: attempt
-        });
+      // Update status every few attempts
+      if (attempt % 5 === 0) {
+        onStatus(`محاولة ${attempt}...`);
       }
-    });
+      
+      // Delay before next attempt
+      const delay = Math.min(INITIAL_DELAY * Math.pow(1.3, attempt - 1), MAX_DELAY);
+      await wait(delay);
+    }
+    
+    if (sentMessage) {
+      console.log("Message sent successfully!");
+      return { 
+        success: true, 
+        chatId,
+        messageId: sentMessage?.id?._serialized || sentMessage?.id || `msg_${Date.now()}`,
+        timestamp: sentMessage?.timestamp || Date.now() / 1000
+      };
+    }
+    
+    // Final failure after all retries
+    return { 
+      success: false,
+      message: "فشل الإرسال - حاول مرة أخرى",
+      retryable: true,
+      attempts: attempt
+    };
+  };
+
+
+  // Search cache for results
+  const searchResultsCache = new Map();
+  
+  // Search messages across all chats - PROFESSIONAL WITH RETRY
+  // Shared by the searchMessages socket event and the REST API; progress goes through onProgress
+  const searchAllMessages = async ({ accountId, query, maxChats = 50, maxMessagesPerChat = 30, onProgress = () => {} }) => {
+    if (!query || query.trim().length < 2) {
+      return { results: [], query: "" };
+    }
 
-    // Search cache for results
-    const searchResultsCache = new Map();
+    const queryLower = query.toLowerCase().trim();
+    const cacheKey = `${accountId}_${queryLower}_${maxChats}_${maxMessagesPerChat}`;
     
-    // Search messages across all chats - PROFESSIONAL WITH RETRY
-    socket.on("searchMessages", async ({ query, maxChats = 50, maxMessagesPerChat = 30 }) => {
-      if (!query || query.trim().length < 2) {
-        socket.emit("searchResults", { results: [], query: "" });
-        return;
+    console.log(`Searching for: "${query}"`);
+    
+    onProgress({ 
+      status: "searching", 
+      message: `جاري البحث عن "${query}"...`,
+      progress: 5
+    });
+
+    // Search the full local history first - instant and works while disconnected
+    if (isMessageStoreReady()) {
+      const storedResults = messageStore.search(accountId, query);
+      if (storedResults.length > 0) {
+        const chatsById = new Map(getAccountChatsSync(accountId).map(c => [c.id, c]));
+        const results = storedResults.map(m => {
+          const chat = chatsById.get(m.chatId);
+          const phoneNumber = m.chatId.split("@")[0];
+          const isGroup = chat?.isGroup ?? m.chatId.includes("@g.us");
+          
+          let senderName = "أنا";
+          if (!m.fromMe && isGroup) {
+            senderName = m.senderName || m.senderId?.split("@")[0] || "مجهول";
+          } else if (!m.fromMe) {
+            senderName = chat?.name || m.senderName || phoneNumber;
+          }
+          
+          return {
+            id: m.id,
+            chatId: m.chatId,
+            chatName: chat?.name || m.senderName || phoneNumber,
+            chatPhone: phoneNumber,
+            isGroup,
+            body: m.body,
+            timestamp: m.timestamp,
+            fromMe: m.fromMe,
+            senderName,
+            type: m.type,
+          };
+        });
+        
+        console.log(`Found ${results.length} results for "${query}" in local store`);
+        onProgress({ 
+          status: "completed", 
+          message: `تم العثور على ${results.length} نتيجة`,
+          progress: 100
+        });
+        return { results, query, fromStore: true };
       }
+    }
 
-      const queryLower = query.toLowerCase().trim();
-      const cacheKey = `${queryLower}_${maxChats}_${maxMessagesPerChat}`;
+    // Get chats with retry
+    let allChats = [];
+    for (let attempt = 0; attempt < 10; attempt++) {
+      if (!isClientReady(accountId)) {
+        onProgress({ 
+          status: "searching", 
+          message: `انتظار الاتصال... (${attempt + 1})`,
+          progress: 5
+        });
+        await wait(2000);
+        continue;
+      }
       
-      console.log(`Searching for: "${query}"`);
+      try {
+        allChats = await safeOperation(
+          () => whatsappClients.get(accountId).getChats(),
+          30000,
+          []
+        );
+        if (allChats && allChats.length > 0) break;
+      } catch (e) {
+        // Continue retrying
+      }
       
-      socket.emit("searchProgress", { 
-        status: "searching", 
-        message: `جاري البحث عن "${query}"...`,
-        progress: 5
-      });
-
-      // Get chats with retry
-      let allChats = [];
-      for (let attempt = 0; attempt < 10; attempt++) {
-        if (!isClientReady()) {
-          socket.emit("searchProgress", { 
-            status: "searching", 
-            message: `انتظار الاتصال... (${attempt + 1})`,
-            progress: 5
-          });
-          await wait(2000);
-          continue;
-        }
-        
-        try {
-          allChats = await safeOperation(
-            () => whatsappClient.getChats(),
-            30000,
-            []
-          );
-          if (allChats && allChats.length > 0) break;
-        } catch (e) {
-          // Continue retrying
-        }
+      await wait(1000);
+    }
+    
+    // If still no chats, use cached chats
+    if (!allChats || allChats.length === 0) {
+      const cachedChats = await getAccountChats(accountId);
+      if (cachedChats.length > 0) {
+        // Search in cached chat names only
+        const nameResults = cachedChats
+          .filter(c => c?.name?.toLowerCase()?.includes(queryLower))
+          .map(c => ({
+            id: `name_${c.id}`,
+            chatId: c.id,
+            chatName: c.name,
+            chatPhone: c.phone || c.id?.split("@")[0],
+            isGroup: c.isGroup || false,
+            body: `محادثة: ${c.name}`,
+            timestamp: c.timestamp || Date.now() / 1000,
+            fromMe: false,
+            senderName: c.name,
+            type: "name_match"
+          }));
         
-        await wait(1000);
+        onProgress({ 
+          status: "completed", 
+          message: `تم العثور على ${nameResults.length} نتيجة (من الذاكرة)`,
+          progress: 100
+        });
+        return { results: nameResults, query, fromCache: true };
       }
       
-      // If still no chats, use cached chats
-      if (!allChats || allChats.length === 0) {
-        const cachedChats = await getCurrentChats();
-        if (cachedChats.length > 0) {
-          // Search in cached chat names only
-          const nameResults = cachedChats
-            .filter(c => c?.name?.toLowerCase()?.includes(queryLower))
-            .map(c => ({
-              id: `name_${c.id}`,
-              chatId: c.id,
-              chatName: c.name,
-              chatPhone: c.phone || c.id?.split("@")[0],
-              isGroup: c.isGroup || false,
-              body: `محادثة: ${c.name}`,
-              timestamp: c.timestamp || Date.now() / 1000,
-              fromMe: false,
-              senderName: c.name,
-              type: "name_match"
-            }));
-          
-          socket.emit("searchProgress", { 
-            status: "completed", 
-            message: `تم العثور على ${nameResults.length} نتيجة (من الذاكرة)`,
-            progress: 100
-          });
-          socket.emit("searchResults", { results: nameResults, query, fromCache: true });
-          return;
-        }
-        
-        // Check cache for previous search results
-        const cached = searchResultsCache.get(cacheKey);
-        if (cached) {
-          socket.emit("searchProgress", { 
-            status: "completed", 
-            message: `${cached.results.length} نتيجة (محفوظة)`,
-            progress: 100
-          });
-          socket.emit("searchResults", { ...cached, fromCache: true });
-          return;
-        }
-        
-        socket.emit("searchProgress", { status: "error", message: "لا يمكن الوصول للمحادثات", progress: 0 });
-        socket.emit("searchResults", { results: [], query });
-        return;
+      // Check cache for previous search results
+      const cached = searchResultsCache.get(cacheKey);
+      if (cached) {
+        onProgress({ 
+          status: "completed", 
+          message: `${cached.results.length} نتيجة (محفوظة)`,
+          progress: 100
+        });
+        return { ...cached, fromCache: true };
       }
+      
+      onProgress({ status: "error", message: "لا يمكن الوصول للمحادثات", progress: 0 });
+      return { results: [], query };
+    }
 
-      const searchResults = [];
-      const chatsToSearch = allChats.slice(0, maxChats);
-      const totalChats = chatsToSearch.length;
+    const searchResults = [];
+    const chatsToSearch = allChats.slice(0, maxChats);
+    const totalChats = chatsToSearch.length;
 
-      console.log(`Searching in ${totalChats} chats...`);
+    console.log(`Searching in ${totalChats} chats...`);
 
-      socket.emit("searchProgress", { 
-        status: "searching", 
-        message: `تم العثور على ${allChats.length} محادثة، جاري البحث...`,
-        progress: 10
-      });
+    onProgress({ 
+      status: "searching", 
+      message: `تم العثور على ${allChats.length} محادثة، جاري البحث...`,
+      progress: 10
+    });
 
-      let skippedChats = 0;
-      for (let i = 0; i < chatsToSearch.length; i++) {
-        const chat = chatsToSearch[i];
-        
-        // Check client health periodically
-        if (i % 10 === 0 && !isClientReady()) {
-          console.log("Client disconnected during search, using partial results");
-          break;
-        }
+    let skippedChats = 0;
+    for (let i = 0; i < chatsToSearch.length; i++) {
+      const chat = chatsToSearch[i];
+      
+      // Check client health periodically
+      if (i % 10 === 0 && !isClientReady(accountId)) {
+        console.log("Client disconnected during search, using partial results");
+        break;
+      }
+      
+      // Fetch messages with retry for each chat
+      let messages = null;
+      for (let msgAttempt = 0; msgAttempt < 3; msgAttempt++) {
+        messages = await safeOperation(
+          () => chat.fetchMessages({ limit: maxMessagesPerChat }),
+          15000,
+          null
+        );
+        if (messages) break;
+        await wait(300);
+      }
+      
+      if (messages && Array.isArray(messages)) {
+        messageStore.save(accountId, messages.map(msg => fromWhatsAppMessage(msg, { chatId: chat?.id?._serialized })));
         
-        // Fetch messages with retry for each chat
-        let messages = null;
-        for (let msgAttempt = 0; msgAttempt < 3; msgAttempt++) {
-          messages = await safeOperation(
-            () => chat.fetchMessages({ limit: maxMessagesPerChat }),
-            15000,
-            null
-          );
-          if (messages) break;
-          await wait(300);
-        }
-        
-        if (messages && Array.isArray(messages)) {
-          for (const msg of messages) {
-            try {
-              if (msg?.body && msg.body.toLowerCase().includes(queryLower)) {
-                const phoneNumber = chat?.id?._serialized?.split("@")[0] || "unknown";
-                
-                let senderName = "أنا";
-                if (!msg.fromMe && chat?.isGroup) {
-                  senderName = msg.author ? msg.author.split("@")[0] : "مجهول";
-                } else if (!msg.fromMe) {
-                  senderName = chat?.name || phoneNumber;
-                }
-                
-                searchResults.push({
-                  id: msg?.id?._serialized || `msg_${Date.now()}_${Math.random()}`,
-                  chatId: chat?.id?._serialized || "",
-                  chatName: chat?.name || phoneNumber,
-                  chatPhone: phoneNumber,
-                  isGroup: chat?.isGroup || false,
-                  body: msg.body,
-                  timestamp: msg.timestamp || Date.now() / 1000,
-                  fromMe: msg.fromMe ?? false,
-                  senderName: senderName,
-                  type: msg.type || "chat",
-                });
+        for (const msg of messages) {
+          try {
+            if (msg?.body && msg.body.toLowerCase().includes(queryLower)) {
+              const phoneNumber = chat?.id?._serialized?.split("@")[0] || "unknown";
+              
+              let senderName = "أنا";
+              if (!msg.fromMe && chat?.isGroup) {
+                senderName = msg.author ? msg.author.split("@")[0] : "مجهول";
+              } else if (!msg.fromMe) {
+                senderName = chat?.name || phoneNumber;
               }
-            } catch (e) {
-              // Skip this message
+              
+              searchResults.push({
+                id: msg?.id?._serialized || `msg_${Date.now()}_${Math.random()}`,
+                chatId: chat?.id?._serialized || "",
+                chatName: chat?.name || phoneNumber,
+                chatPhone: phoneNumber,
+                isGroup: chat?.isGroup || false,
+                body: msg.body,
+                timestamp: msg.timestamp || Date.now() / 1000,
+                fromMe: msg.fromMe ?? false,
+                senderName: senderName,
+                type: msg.type || "chat",
+              });
             }
+          } catch (e) {
+            // Skip this message
           }
-        } else {
-          skippedChats++;
-        }
-
-        // Emit progress every chat
-        const progress = Math.round(10 + ((i + 1) / totalChats) * 85);
-        if (i % 5 === 0 || i === totalChats - 1) {
-          socket.emit("searchProgress", { 
-            status: "searching", 
-            message: `جاري البحث... (${i + 1}/${totalChats})`,
-            progress: progress
-          });
         }
+      } else {
+        skippedChats++;
       }
 
-      console.log(`Found ${searchResults.length} results for "${query}" (skipped ${skippedChats} chats)`);
-      
-      // Sort by timestamp (newest first)
-      searchResults.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
-      
-      // Cache results
-      searchResultsCache.set(cacheKey, { results: searchResults, query, timestamp: Date.now() });
-      
-      // Limit cache size
-      if (searchResultsCache.size > 50) {
-        const oldestKey = searchResultsCache.keys().next().value;
-        searchResultsCache.delete(oldestKey);
-      }
-      
-      socket.emit("searchProgress", { 
-        status: "completed", 
-        message: `تم العثور على ${searchResults.length} نتيجة`,
-        progress: 100
-      });
-
-      socket.emit("searchResults", { results: searchResults, query });
-    });
-
-    // Logout
-    socket.on("logout", async () => {
-      try {
-        console.log("Logout requested...");
-        
-        // Mark as not ready immediately to prevent new operations
-        isReady = false;
-        clientReadyStates.set(currentAccountId, false);
-        io.emit("status", { isReady: false });
-        
-        // Clear chats from memory
-        setCurrentChats([]);
-        
-        // Try to logout gracefully
-        if (whatsappClient) {
-          try {
-            await whatsappClient.logout();
-            console.log("Logout successful");
-          } catch (logoutError) {
-            // Ignore errors during logout - context might already be destroyed
-            console.log("Logout completed with warning:", logoutError.message);
-          }
-          
-          // Clean up the client
-          try {
-            await whatsappClient.destroy();
-          } catch (e) {
-            // Ignore destroy errors
-          }
-          
-          whatsappClients.delete(currentAccountId);
-          clientReadyStates.delete(currentAccountId);
-        }
-        
-        io.emit("logout");
-      } catch (error) {
-        console.error("Logout error:", error.message);
-        // Even on error, send logout event to clear frontend data
-        isReady = false;
-        setCurrentChats([]);
-        io.emit("status", { isReady: false });
-        io.emit("logout");
+      // Emit progress every chat
+      const progress = Math.round(10 + ((i + 1) / totalChats) * 85);
+      if (i % 5 === 0 || i === totalChats - 1) {
+        onProgress({ 
+          status: "searching", 
+          message: `جاري البحث... (${i + 1}/${totalChats})`,
+          progress: progress
+        });
       }
-    });
+    }
 
-    // ==================== Professional Streaming Sync System ====================
-    
-    // Track sync state to allow cancellation and concurrent message handling
-    let syncInProgress = false;
-    let syncCancelled = false;
+    console.log(`Found ${searchResults.length} results for "${query}" (skipped ${skippedChats} chats)`);
     
-    // Profile picture cache to avoid repeated fetching
-    const profilePicCache = new Map(); // chatId -> { url, fetchedAt }
-    const PROFILE_PIC_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+    // Sort by timestamp (newest first)
+    searchResults.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
     
-    // Type labels for messages
-    const typeLabels = {
-      chat: "نص",
-      image: "صورة 📷",
-      video: "فيديو 🎥",
-      audio: "صوت 🎵",
-      ptt: "رسالة صوتية 🎤",
-      document: "مستند 📄",
-      sticker: "ملصق",
-      location: "موقع 📍",
-      contact: "جهة اتصال 👤",
-      poll_creation: "استطلاع 📊",
-    };
+    // Cache results
+    searchResultsCache.set(cacheKey, { results: searchResults, query, timestamp: Date.now() });
     
-    // Fast chat processing - without profile pics (for speed)
-    const processChatFast = (chat) => {
-      const phoneNumber = chat.id._serialized.split("@")[0];
-      
-      // Get participants for groups (sync, from existing data)
-      let participants = [];
-      if (chat.isGroup && chat.participants) {
-        try {
-          participants = chat.participants.map(p => ({
-            id: p.id._serialized,
-            name: p.id.user,
-            isAdmin: p.isAdmin || false,
-            isSuperAdmin: p.isSuperAdmin || false,
-          }));
-        } catch (e) {}
-      }
-      
-      // Get last message info
-      let lastMessageData = null;
-      if (chat.lastMessage) {
-        try {
-          const msg = chat.lastMessage;
-          let senderName = "أنا";
-          
-          if (!msg.fromMe && chat.isGroup) {
-            const senderId = msg.author || msg.from;
-            senderName = senderId ? senderId.split("@")[0] : "مجهول";
-          } else if (!msg.fromMe) {
-            senderName = chat.name || phoneNumber;
-          }
-          
-          lastMessageData = {
-            body: msg.body || typeLabels[msg.type] || "",
-            fromMe: msg.fromMe || false,
-            timestamp: msg.timestamp || Date.now() / 1000,
-            type: msg.type || "chat",
-            typeLabel: typeLabels[msg.type] || "نص",
-            senderName: senderName,
-          };
-        } catch (e) {}
-      }
-      
-      // Check cache for profile pic
-      let profilePic = null;
-      const cached = profilePicCache.get(chat.id._serialized);
-      if (cached && (Date.now() - cached.fetchedAt) < PROFILE_PIC_CACHE_TTL) {
-        profilePic = cached.url;
-      }
-      
-      return {
-        id: chat.id._serialized,
-        name: chat.name || chat.id.user || phoneNumber || "Unknown",
-        phone: phoneNumber,
-        profilePic: profilePic,
-        isGroup: chat.isGroup || false,
-        participants: participants,
-        participantCount: chat.isGroup ? (participants.length || chat.groupMetadata?.participants?.length || 0) : 0,
-        unreadCount: chat.unreadCount || 0,
-        lastMessage: lastMessageData,
-        timestamp: chat.timestamp || Date.now() / 1000,
-      };
-    };
+    // Limit cache size
+    if (searchResultsCache.size > 50) {
+      const oldestKey = searchResultsCache.keys().next().value;
+      searchResultsCache.delete(oldestKey);
+    }
     
-    // Fetch profile picture lazily (called on demand)
-    const fetchProfilePic = async (chatId) => {
+    onProgress({ 
+      status: "completed", 
+      message: `تم العثور على ${searchResults.length} نتيجة`,
+      progress: 100
+    });
+
+    return { results: searchResults, query };
+  };
+
+
+  // A campaign is only listed to the user who created it (campaigns from before creators were
+  // recorded: to the viewers of their account)
+  const emitCampaignUpdate = (campaign) => {
+    if (campaign.userId) {
+      emitToRoom(userRoom(campaign.userId), "campaignUpdate", campaign);
+    } else {
+      emitToAccount(campaign.accountId, "campaignUpdate", campaign);
+    }
+  };
+
+  // Campaigns, scheduled messages and report schedules run for the user who saved them, only while
+  // that user is active and may still use the account: checked when they run, as the REST API
+  // checks the owner of an API key. Jobs from before owners were recorded have none to check
+  const OWNER_ACCESS_TTL = 60 * 1000; // 1 minute, how late a removed owner is noticed
+  // userId -> { access, checkedAt }
+  const ownerAccessCache = new Map();
+
+  // Whether a job's owner may use an account, or null when Convex can't tell right now
+  const canOwnerUseAccount = async (userId, accountId) => {
+    if (!userId) return true;
+    const account = accounts.find(a => a.id === accountId);
+    if (!account) return false;
+
+    let cached = ownerAccessCache.get(userId);
+    if (!cached || cached.checkedAt + OWNER_ACCESS_TTL <= Date.now()) {
+      if (!isConvexReady()) return null;
       try {
-        // Check cache first
-        const cached = profilePicCache.get(chatId);
-        if (cached && (Date.now() - cached.fetchedAt) < PROFILE_PIC_CACHE_TTL) {
-          return cached.url;
-        }
-        
-        const chat = await whatsappClient.getChatById(chatId);
-        const contact = await Promise.race([
-          chat.getContact(),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), 1500))
-        ]);
-        const profilePic = await Promise.race([
-          contact.getProfilePicUrl(),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), 1000))
-        ]);
-        
-        profilePicCache.set(chatId, { url: profilePic || null, fetchedAt: Date.now() });
-        return profilePic;
+        cached = { access: await orgsDb.getAccessOfUser(userId), checkedAt: Date.now() };
       } catch (e) {
-        profilePicCache.set(chatId, { url: null, fetchedAt: Date.now() });
+        console.error("Error checking job owner access:", e.message);
         return null;
       }
-    };
-    
-    // Handle profile picture requests from client
-    socket.on("getProfilePic", async ({ chatId }) => {
-      const profilePic = await fetchProfilePic(chatId);
-      socket.emit("profilePic", { chatId, url: profilePic });
-    });
-    
-    // Batch fetch profile pics for visible chats
-    socket.on("getProfilePics", async ({ chatIds }) => {
-      const results = {};
-      const batchSize = 5;
-      for (let i = 0; i < chatIds.length; i += batchSize) {
-        const batch = chatIds.slice(i, i + batchSize);
-        await Promise.all(batch.map(async (chatId) => {
-          results[chatId] = await fetchProfilePic(chatId);
-        }));
+      ownerAccessCache.set(userId, cached);
+    }
+    return !!cached.access && canAccessAccount(cached.access, account);
+  };
+
+  // Broadcast campaigns are sent through their own account, one message at a time
+  const campaignRunner = createCampaignRunner({
+    isAccountReady,
+    sendMessage: ({ accountId, chatId, message }) =>
+      sendMessageWithRetry({ accountId, chatId, message, maxRetries: 3 }),
+    canRun: ({ accountId, userId }) => canOwnerUseAccount(userId, accountId),
+    onUpdate: emitCampaignUpdate,
+  });
+
+  // Scheduled messages of a chat are listed to the viewers of its account
+  const emitScheduledMessageUpdate = (job) => emitToAccount(job.accountId, "scheduledMessageUpdate", job);
+
+  // Scheduled messages wait until their account is connected
+  const scheduler = createScheduler({
+    isAccountReady,
+    sendMessage: async ({ accountId, chatId, message, attachment, userId }) => {
+      const allowed = await canOwnerUseAccount(userId, accountId);
+      if (allowed === null) {
+        return { success: false, message: "تعذر التحقق من صلاحية صاحب الرسالة", retryable: true };
       }
-      socket.emit("profilePics", results);
-    });
+      if (!allowed) {
+        return { success: false, message: "لم يعد لصاحب الرسالة صلاحية على هذا الحساب", retryable: false };
+      }
+      return sendMessageWithRetry({ accountId, chatId, message, attachment, maxRetries: 3 });
+    },
+    onUpdate: emitScheduledMessageUpdate,
+  });
 
-    // Cancel ongoing sync
-    socket.on("cancelSync", () => {
-      if (syncInProgress) {
-        console.log("Sync cancelled by user");
-        syncCancelled = true;
-        socket.emit("syncProgress", {
-          status: "cancelled",
-          message: "تم إلغاء المزامنة",
-          progress: 0,
-          total: 0,
-          current: 0
-        });
+  // Analytics reports use the cached chat names and the same Chromium as the WhatsApp clients
+  const reportGenerator = createReportGenerator({
+    messageStore,
+    getChatName: (accountId, chatId) =>
+      getAccountChatsSync(accountId).find(c => c.id === chatId)?.name || chatId.split("@")[0],
+    executablePath: getChromiumPath(),
+  });
+
+  // Scheduled reports cover the schedule's account, or every account of its workspace (schedules
+  // from before workspaces: the default one) - those its owner may still use
+  const reportScheduler = createReportScheduler({
+    generator: reportGenerator,
+    mailer,
+    getAccounts: async (schedule) => {
+      const covered = accounts
+        .filter(a => (schedule.accountId ? a.id === schedule.accountId : a.orgId === (schedule.orgId || defaultOrgId)));
+      const usable = [];
+      for (const account of covered) {
+        const allowed = await canOwnerUseAccount(schedule.userId, account.id);
+        if (allowed === null) throw new Error("Could not check the schedule owner's access");
+        if (allowed) usable.push({ id: account.id, name: account.name });
       }
-    });
+      return usable;
+    },
+    onUpdate: (schedule) => emitToRoom(userRoom(schedule.userId), "reportScheduleUpdate", schedule),
+  });
 
-    // Sync all chats with streaming - Professional Edition
-    socket.on("syncAllChats", async ({ maxChats, incrementalOnly = false } = {}) => {
-      if (!isReady) {
-        console.log("Sync requested but WhatsApp not ready");
-        socket.emit("chatsError", { message: "WhatsApp not ready" });
-        socket.emit("syncProgress", { 
-          status: "error", 
-          message: "واتساب غير جاهز",
-          progress: 0,
-          total: 0,
-          current: 0
-        });
-        return;
+  // Bot replies are sent by the account that received the message
+  const sendFromAccount = async (accountId, chatId, content, options = {}) => {
+    const client = whatsappClients.get(accountId);
+    if (!client || !clientReadyStates.get(accountId)) {
+      throw new Error("Client not ready");
+    }
+    await client.sendMessage(chatId, content, options);
+  };
+
+  const autoResponder = createAutoResponder({
+    autoRepliesDb,
+    contactsDb,
+    isConvexReady,
+    sendReply: async (accountId, chatId, { text, mediaUrl }) => {
+      if (mediaUrl) {
+        const { mimetype, data, filename } = await fetchReplyMedia(mediaUrl);
+        const media = new MessageMedia(mimetype, data, filename);
+        await sendFromAccount(accountId, chatId, media, { caption: text?.trim() || undefined });
+      } else {
+        await sendFromAccount(accountId, chatId, text);
       }
+    },
+  });
 
-      // Prevent multiple syncs
-      if (syncInProgress) {
-        console.log("Sync already in progress");
-        socket.emit("syncProgress", {
-          status: "info",
-          message: "المزامنة قيد التنفيذ بالفعل...",
-          progress: 0,
-          total: 0,
-          current: 0
+  // Chatbot flows take precedence over auto-replies for the chats they handle
+  const flowEngine = createFlowEngine({
+    flowsDb,
+    isConvexReady,
+    sendText: (accountId, chatId, text) => sendFromAccount(accountId, chatId, text),
+    onHandoffChange: (accountId) => {
+      emitToAccount(accountId, "handoffChats", { chats: flowEngine.getHandoffChats(accountId) });
+    },
+  });
+
+  // Assignment changes reach the account's viewers; the new assignee is also notified
+  // on every device they're signed in on
+  const chatAssigner = createChatAssigner({
+    assignmentsDb,
+    isConvexReady,
+    onChange: ({ accountId, ...change }) => {
+      emitToAccount(accountId, "chatAssignment", change);
+      if (change.assigneeId && change.assigneeId !== change.byUserId) {
+        const chat = (accountChats.get(accountId) || []).find(c => c.id === change.chatId);
+        emitToRoom(userRoom(change.assigneeId), "chatAssignedToYou", {
+          accountId,
+          chatId: change.chatId,
+          chatName: chat?.name || change.chatId.split("@")[0],
+          reason: change.reason,
         });
-        return;
       }
+    },
+  });
 
-      syncInProgress = true;
-      syncCancelled = false;
+  const chatPresence = createChatPresence({
+    onChange: (accountId, chatId) => {
+      emitToRoom(chatRoom(accountId, chatId), "chatPresence", {
+        accountId,
+        chatId,
+        viewers: chatPresence.getViewers(accountId, chatId),
+      });
+    },
+  });
 
-      try {
-        console.log("Starting FAST streaming sync (no profile pics)...");
-        const syncStartTime = Date.now();
+  // REST API - reuses the same handlers as the socket events
+  const restApi = createRestApi({
+    apiKeysDb,
+    isConvexReady,
+    getAccounts: () => accounts,
+    getDefaultAccountId,
+    isAccountReady,
+    getAccountChats,
+    fetchMessagesWithRetry,
+    sendMessageWithRetry,
+    searchAllMessages,
+  });
 
-        // Emit sync started
-        socket.emit("syncProgress", { 
-          status: "started", 
-          message: "🚀 بدء المزامنة السريعة...",
-          progress: 1,
-          total: 0,
-          current: 0
-        });
-        
-        // Update Convex sync status
-        if (isConvexReady()) {
-          await syncStatusDb.update(currentAccountId, {
-            status: "syncing",
-            progress: 1,
-            totalChats: 0,
-            syncedChats: 0,
-            message: "بدء المزامنة...",
-          }).catch(() => {});
-        }
-        
-        // Clear existing chats for fresh sync (unless incremental)
-        if (!incrementalOnly) {
-          socket.emit("syncClear");
-        }
-        
-        // Fetch all chats with retry logic
-        console.log("Fetching chat list...");
-        socket.emit("syncProgress", { 
-          status: "fetching", 
-          message: "📥 جاري جلب قائمة المحادثات...",
-          progress: 3,
-          total: 0,
-          current: 0
-        });
+  // Socket.io connection
+  io.on("connection", (socket) => {
+    const user = socket.data.user;
+    console.log("Client connected:", socket.id, `(${user.email}, ${user.role})`);
+
+    // Phone numbers are masked in everything sent to users who may only see masked data (room
+    // events through emitToRoom, direct ones here), and the chat ids they send back unmasked in
+    // the middleware below
+    socket.data.masked = !hasPermission(user, "viewUnmasked");
+    if (socket.data.masked) {
+      const emit = socket.emit.bind(socket);
+      socket.emit = (event, ...args) => emit(event, ...args.map(maskPayload));
+    }
+    joinRoom(socket, userRoom(user.id));
+    // The role and permissions the server applies, which may have changed since sign-in
+    socket.emit("sessionUser", user);
+
+    // The user's workspaces and the one this dashboard works in
+    const isOrgAdmin = () => getOrgRole(socket.data.access, socket.data.orgId) === "admin";
+    const emitWorkspaces = () => socket.emit("workspaces", {
+      workspaces: socket.data.access.orgs,
+      currentOrgId: socket.data.orgId,
+    });
+    emitWorkspaces();
+
+    // Handlers act as the signed-in user whatever the dashboard sends, a session that expires
+    // or is revoked while connected ends the connection, and events the user's role doesn't
+    // allow are refused
+    socket.use((packet, next) => {
+      if (!sessionAuth.checkSocket(socket)) {
+        // The dashboard refreshes its session and reconnects, or signs out
+        socket.disconnect(true);
+        return;
+      }
+      const [event] = packet;
+      const permission = getEventPermission(event);
+      if (permission && !hasPermission(socket.data.user, permission)) {
+        console.log(`Refused ${event} for ${user.email} (needs ${permission})`);
+        socket.emit("permissionDenied", { event, permission, message: PERMISSION_DENIED });
+        return;
+      }
+      if (socket.data.masked) {
+        for (let i = 1; i < packet.length; i++) packet[i] = unmaskPayload(packet[i]);
+      }
+      const payload = packet[1];
+      if (payload && typeof payload === "object" && !Array.isArray(payload)) {
+        payload.userId = user.id;
+        if ("userName" in payload) payload.userName = user.name;
+      }
+      next();
+    });
 
-        let allChats;
-        const maxRetries = 3;
-        
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-          try {
-            // Check if client and page are available
-            if (!whatsappClient || !whatsappClient.pupPage) {
-              throw new Error("Client not ready");
-            }
-            
-            allChats = await whatsappClient.getChats();
-            console.log(`Found ${allChats.length} chats in ${Date.now() - syncStartTime}ms`);
-            break; // Success, exit retry loop
-          } catch (error) {
-            console.error(`Fetch attempt ${attempt} failed:`, error.message);
-            
-            // If it's a detached frame error, try to use cached data
-            if (error.message.includes('detached Frame') || error.message.includes('Target closed')) {
-              console.log("Browser page detached, trying cached data...");
-              const cachedChats = await getCurrentChats();
-              if (cachedChats.length > 0) {
-                console.log(`Using ${cachedChats.length} cached chats`);
-                socket.emit("chats", cachedChats);
-                socket.emit("syncProgress", { 
-                  status: "completed", 
-                  message: `✅ تم إرسال ${cachedChats.length} محادثة من الذاكرة المؤقتة`,
-                  progress: 100,
-                  total: cachedChats.length,
-                  current: cachedChats.length
-                });
-                syncInProgress = false;
-                return;
-              }
-            }
-            
-            if (attempt === maxRetries) {
-              socket.emit("syncProgress", { 
-                status: "error", 
-                message: `❌ خطأ في جلب المحادثات: ${error.message}`,
-                progress: 0,
-                total: 0,
-                current: 0
-              });
-              
-              if (isConvexReady()) {
-                await syncStatusDb.fail(currentAccountId, error.message).catch(() => {});
-              }
-              
-              syncInProgress = false;
-              return;
-            }
-            
-            // Wait before retry
-            await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
-          }
-        }
+    // Every socket views one account at a time (the default account until it switches),
+    // or ALL_ACCOUNTS for the unified inbox; events of the other accounts keep flowing to their own rooms
+    const viewedAccountId = () => socket.data.accountId;
+    const isAllAccountsView = () => socket.data.accountId === ALL_ACCOUNTS;
 
-        if (syncCancelled) {
-          syncInProgress = false;
-          return;
-        }
+    // Accounts of the socket's user in its workspace
+    const getSocketAccounts = () => getAccessibleAccounts(socket);
 
-        // Determine total chats to process
-        const totalChats = maxChats ? Math.min(allChats.length, maxChats) : allChats.length;
-        const chatsToProcess = allChats.slice(0, totalChats);
+    const findSocketAccount = (accountId) => getSocketAccounts().find(a => a.id === accountId);
 
-        if (totalChats === 0) {
-          socket.emit("syncProgress", { 
-            status: "completed", 
-            message: "📭 لا توجد محادثات للمزامنة",
-            progress: 100,
-            total: 0,
-            current: 0
-          });
-          socket.emit("chats", []);
-          syncInProgress = false;
-          return;
-        }
+    // Account a chat action goes through: the chat's own account (sent by the unified inbox)
+    // or the viewed one
+    const targetAccountId = (accountId) =>
+      accountId && findSocketAccount(accountId) ? accountId : viewedAccountId();
 
-        // Update Convex with total count
-        if (isConvexReady()) {
-          await syncStatusDb.startSync(currentAccountId, totalChats).catch(() => {});
+    // Chats of an account, tagged like the room events
+    const emitChats = (accountId, chats) => socket.emit("chats", { accountId, chats });
+
+    // Chats of all the user's accounts, newest first, each tagged with its account
+    const getMergedChats = async () => {
+      const lists = await Promise.all(getSocketAccounts().map(async (account) =>
+        (await getAccountChats(account.id)).map(chat => ({ ...chat, accountId: account.id }))
+      ));
+      return lists.flat().sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    };
+
+    // Status of the viewed account, and its QR code if it's waiting for one
+    const emitViewedStatus = () => {
+      const accountId = viewedAccountId();
+      if (!accountId) return;
+      if (isAllAccountsView()) {
+        socket.emit("status", { accountId, isReady: getSocketAccounts().some(a => isAccountReady(a.id)) });
+        return;
+      }
+      socket.emit("status", { accountId, isReady: isAccountReady(accountId) });
+      if (isAccountReady(accountId)) {
+        socket.emit("ready", { accountId });
+      } else if (pendingQrCodes.has(accountId) && hasPermission(user, "scanQr")) {
+        socket.emit("qr", { accountId, qr: pendingQrCodes.get(accountId) });
+      }
+    };
+
+    // The default account, if the user may use it in this workspace
+    setViewedAccount(socket, getDefaultAccountId(user.id, getSocketAccounts()));
+    emitViewedStatus();
+    socket.emit("accountStatuses", getAccountStatuses(socket));
+
+
+    // Track getChats in progress to prevent multiple calls
+    let isGettingChats = false;
+    let lastGetChatsTime = 0;
+    let consecutiveDetachErrors = 0;
+    const GET_CHATS_THROTTLE = 15000; // 15 seconds between getChats calls (reduced for fresher data)
+
+    // Helper function to check if page is still healthy
+    const isPageHealthy = async (accountId) => {
+      try {
+        const client = whatsappClients.get(accountId);
+        if (!client || !client.pupPage) {
+          return false;
         }
+        // Try a simple page operation to verify connection
+        await client.pupPage.evaluate(() => true);
+        return true;
+      } catch (e) {
+        console.log("Page health check failed:", e.message);
+        return false;
+      }
+    };
 
-        console.log(`Processing ${totalChats} chats with FAST sync...`);
-        socket.emit("syncProgress", { 
-          status: "processing", 
-          message: `⚡ معالجة ${totalChats} محادثة بسرعة فائقة...`,
-          progress: 5,
-          total: totalChats,
-          current: 0
-        });
+    // Request to fetch chats
+    socket.on("getChats", async () => {
+      const accountId = viewedAccountId();
+      if (isAllAccountsView()) {
+        emitChats(accountId, await getMergedChats());
+        return;
+      }
+      if (!isAccountReady(accountId)) {
+        // Still send cached chats if available
+        const cached = await getAccountChats(accountId);
+        if (cached.length > 0) {
+          emitChats(accountId, cached);
+        } else {
+          socket.emit("chatsError", { message: "WhatsApp not ready" });
+        }
+        return;
+      }
 
-        // Get existing chats for incremental sync comparison
-        let existingChatsMap = new Map();
-        if (incrementalOnly) {
-          const existingChats = getCurrentChatsSync();
-          existingChats.forEach(chat => existingChatsMap.set(chat.id, chat));
+      // Check throttle
+      const now = Date.now();
+      if (now - lastGetChatsTime < GET_CHATS_THROTTLE) {
+        console.log("getChats throttled - sending cached data");
+        const cachedChats = await getAccountChats(accountId);
+        if (cachedChats.length > 0) {
+          emitChats(accountId, cachedChats);
         }
+        return;
+      }
 
-        const processedChats = [];
-        let successCount = 0;
-        let errorCount = 0;
-        let unchangedCount = 0;
-        
-        // Batch processing for speed - process multiple chats in parallel
-        const PARALLEL_BATCH_SIZE = 50; // Process 50 chats at a time
-        const CONVEX_BATCH_SIZE = 20;
-        let convexBatch = [];
+      // Check if already in progress
+      if (isGettingChats) {
+        console.log("getChats already in progress - sending cached data");
+        const cachedChats = await getAccountChats(accountId);
+        if (cachedChats.length > 0) {
+          emitChats(accountId, cachedChats);
+        }
+        return;
+      }
 
-        // Process chats in parallel batches for MASSIVE speed improvement
-        for (let batchStart = 0; batchStart < chatsToProcess.length; batchStart += PARALLEL_BATCH_SIZE) {
-          if (syncCancelled) {
-            console.log("Sync cancelled during processing");
-            syncInProgress = false;
-            return;
-          }
+      isGettingChats = true;
+      lastGetChatsTime = now;
 
-          const batchEnd = Math.min(batchStart + PARALLEL_BATCH_SIZE, chatsToProcess.length);
-          const batch = chatsToProcess.slice(batchStart, batchEnd);
+      // Send cached chats immediately while fetching new ones
+      const cachedChats = await getAccountChats(accountId);
+      if (cachedChats.length > 0) {
+        console.log(`Sending ${cachedChats.length} cached chats first`);
+        emitChats(accountId, cachedChats);
+      }
 
-          // Process entire batch in parallel using FAST sync (no async profile pic fetching)
-          const batchResults = batch.map((chat, idx) => {
-            try {
-              const processedChat = processChatFast(chat);
-              return { success: true, chat: processedChat, index: batchStart + idx };
-            } catch (e) {
-              const phoneNumber = chat.id._serialized.split("@")[0];
-              return {
-                success: false,
-                chat: {
-                  id: chat.id._serialized,
-                  name: chat.name || phoneNumber || "Unknown",
-                  phone: phoneNumber,
-                  profilePic: null,
-                  isGroup: chat.isGroup || false,
-                  participants: [],
-                  participantCount: 0,
-                  unreadCount: 0,
-                  lastMessage: null,
-                  timestamp: chat.timestamp || Date.now() / 1000,
-                },
-                index: batchStart + idx
-              };
+      // Helper to delay
+      const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+      
+      // Retry function with better error handling
+      const fetchWithRetry = async (retries = 3) => {
+        for (let i = 0; i < retries; i++) {
+          try {
+            // Check if client and page are still available
+            const client = whatsappClients.get(accountId);
+            if (!client || !client.pupPage) {
+              console.log("Client or page not available, waiting...");
+              await delay(2000);
+              continue;
             }
-          });
-
-          // Process results and emit to client
-          for (const result of batchResults) {
-            const processedChat = result.chat;
-            const i = result.index;
             
-            if (!result.success) {
-              errorCount++;
+            // Check if page is truly healthy before proceeding
+            const pageHealthy = await isPageHealthy(accountId);
+            if (!pageHealthy) {
+              console.log("Page is not healthy, marking client as not ready");
+              clientReadyStates.set(accountId, false);
+              emitToAccount(accountId, "status", { isReady: false, reason: "page_detached" });
+              broadcastAccountStatuses();
+              consecutiveDetachErrors++;
+              return null; // Signal to use cached data
             }
             
-            // Check if chat changed (for incremental sync)
-            if (incrementalOnly && existingChatsMap.has(processedChat.id)) {
-              const existing = existingChatsMap.get(processedChat.id);
-              if (existing.lastMessage?.timestamp === processedChat.lastMessage?.timestamp &&
-                  existing.unreadCount === processedChat.unreadCount) {
-                unchangedCount++;
-                processedChats.push(processedChat);
-                continue;
-              }
+            // Reset consecutive errors on healthy page
+            consecutiveDetachErrors = 0;
+            
+            // Check if client info is available
+            const info = client.info;
+            if (!info) {
+              console.log("Client info not available, waiting...");
+              await delay(2000);
+              continue;
             }
             
-            processedChats.push(processedChat);
-            if (result.success) successCount++;
+            console.log("Connected as:", info.pushname);
             
-            convexBatch.push(processedChat);
+            // Wait a bit before fetching to ensure WhatsApp is ready
+            if (i === 0) await delay(1000);
+            
+            const allChats = await client.getChats();
+            console.log(`Found ${allChats.length} chats`);
+            return allChats;
+          } catch (error) {
+            console.error(`Attempt ${i + 1} failed:`, error.message);
+            
+            // If it's a detached frame error, mark client as not ready and don't retry
+            const isDetachError = error.message.includes('detached Frame') || 
+                                  error.message.includes('Target closed') ||
+                                  error.message.includes('Session closed') ||
+                                  error.message.includes('Protocol error') ||
+                                  error.message.includes('Execution context');
+            
+            if (isDetachError) {
+              console.log("Browser page detached, marking as not ready and returning cached data");
+              clientReadyStates.set(accountId, false);
+              emitToAccount(accountId, "status", { isReady: false, reason: "page_detached" });
+              broadcastAccountStatuses();
+              consecutiveDetachErrors++;
+              return null; // Signal to use cached data
+            }
+            
+            if (i < retries - 1) {
+              await delay(2000 * (i + 1)); // Exponential backoff
+            } else {
+              throw error;
+            }
+          }
+        }
+        return null;
+      };
 
-            // Batch save to Convex
-            if (convexBatch.length >= CONVEX_BATCH_SIZE) {
-              if (isConvexReady()) {
-                chatsDb.batchUpsert(currentAccountId, convexBatch).catch(e => 
-                  console.error("Error batch saving to Convex:", e.message)
-                );
+      try {
+        console.log("Fetching chats...");
+        
+        const allChats = await fetchWithRetry(3);
+        
+        // If fetch failed, use cached data
+        if (!allChats) {
+          console.log("Using cached chats due to fetch failure");
+          const cached = await getAccountChats(accountId);
+          if (cached.length > 0) {
+            emitChats(accountId, cached);
+            return;
+          }
+          socket.emit("chatsError", { message: "لا يمكن جلب المحادثات - حاول مرة أخرى" });
+          return;
+        }
+        
+        console.log(`Processing ${allChats.length} chats...`);
+        
+        const processedChats = [];
+        
+        for (const chat of allChats) {
+          try {
+            // Get profile picture
+            let profilePic = null;
+            try {
+              profilePic = await chat.getContact().then(c => c.getProfilePicUrl());
+            } catch (e) {
+              // Ignore profile pic errors
+            }
+            
+            // Extract phone number
+            const phoneNumber = chat.id._serialized.split("@")[0];
+            
+            // Get group participants if it's a group
+            let participants = [];
+            if (chat.isGroup) {
+              try {
+                const groupChat = chat;
+                if (groupChat.participants) {
+                  participants = groupChat.participants.map(p => ({
+                    id: p.id._serialized,
+                    name: p.id.user,
+                    isAdmin: p.isAdmin || false,
+                    isSuperAdmin: p.isSuperAdmin || false,
+                  }));
+                }
+              } catch (e) {
+                // Ignore participant errors
               }
-              convexBatch = [];
             }
+            
+            const chatData = {
+              id: chat.id._serialized,
+              name: chat.name || chat.id.user || phoneNumber || "Unknown",
+              phone: phoneNumber,
+              profilePic: profilePic,
+              isGroup: chat.isGroup || false,
+              participants: participants,
+              participantCount: participants.length,
+              unreadCount: chat.unreadCount || 0,
+              lastMessage: null,
+              timestamp: chat.timestamp || Date.now() / 1000,
+            };
+            
+            // Try to get last message safely with sender info and type
+            if (chat.lastMessage) {
+              const msg = chat.lastMessage;
+              let senderName = "أنا";
+              
+              if (!msg.fromMe && chat.isGroup) {
+                try {
+                  const senderId = msg.author || msg.from;
+                  senderName = senderId ? senderId.split("@")[0] : "مجهول";
+                } catch (e) {
+                  senderName = "مجهول";
+                }
+              } else if (!msg.fromMe) {
+                senderName = chat.name || phoneNumber;
+              }
+              
+              // Get message type label
+              const typeLabels = {
+                chat: "نص",
+                image: "صورة 📷",
+                video: "فيديو 🎥",
+                audio: "صوت 🎵",
+                ptt: "رسالة صوتية 🎤",
+                document: "مستند 📄",
+                sticker: "ملصق",
+                location: "موقع 📍",
+                contact: "جهة اتصال 👤",
+                poll_creation: "استطلاع 📊",
+              };
+              
+              chatData.lastMessage = {
+                body: msg.body || typeLabels[msg.type] || "",
+                fromMe: msg.fromMe || false,
+                timestamp: msg.timestamp || Date.now() / 1000,
+                type: msg.type || "chat",
+                typeLabel: typeLabels[msg.type] || "نص",
+                senderName: senderName,
+              };
+            }
+            
+            processedChats.push(chatData);
+          } catch (chatError) {
+            console.error("Error processing single chat:", chatError.message);
+          }
+        }
+        
+        setAccountChats(accountId, processedChats);
+        console.log(`Processed ${processedChats.length} chats successfully`);
+        emitChats(accountId, processedChats);
+        
+      } catch (error) {
+        console.error("Error fetching chats:", error.message, error.stack);
+        socket.emit("chatsError", { message: error.message || "Unknown error" });
+      } finally {
+        isGettingChats = false;
+      }
+    });
+
+    // Request to get messages for a specific chat (with media support)
+    socket.on("getMessages", async ({ chatId, limit = 50, accountId: chatAccountId }) => {
+      const accountId = targetAccountId(chatAccountId);
+      const result = await fetchMessagesWithRetry({
+        accountId,
+        chatId,
+        limit,
+        onProgress: (status) => socket.emit("messagesLoading", { chatId, status }),
+      });
+      socket.emit("messages", { ...result, accountId });
+    });
+
+    // Send message (through the account that owns the chat)
+    socket.on("sendMessage", async ({ chatId, message, attachment, accountId }) => {
+      const result = await sendMessageWithRetry({
+        accountId: targetAccountId(accountId),
+        chatId,
+        message,
+        attachment,
+        onStatus: (status) => socket.emit("sendMessageStatus", { chatId, status }),
+      });
+      
+      if (result.success) {
+        socket.emit("messageSent", result);
+        // Credit the team member for agent analytics
+        if (socket.data.userId) {
+          messageStore.recordAgent(targetAccountId(accountId), {
+            messageId: result.messageId,
+            chatId,
+            userId: socket.data.userId,
+            timestamp: result.timestamp,
+          });
+        }
+        // Warn the other agents in the chat that it was just answered
+        const viewed = socket.data.viewedChat;
+        if (viewed && viewed.chatId === chatId && viewed.accountId === targetAccountId(accountId)) {
+          const send = chatPresence.recordSend(viewed.accountId, chatId, { userId: viewed.userId, name: viewed.name });
+          emitToRoom(chatRoom(viewed.accountId, chatId), "agentSent", { accountId: viewed.accountId, chatId, ...send, elapsed: 0 });
+        }
+      } else {
+        socket.emit("sendMessageError", {
+          message: result.message,
+          retryable: result.retryable,
+          attempts: result.attempts
+        });
+      }
+    });
+
+    // Search messages across all chats
+    socket.on("searchMessages", async ({ query, maxChats, maxMessagesPerChat }) => {
+      // The unified inbox searches its accounts one after another
+      const accountIds = isAllAccountsView() ? getSocketAccounts().map(a => a.id) : [viewedAccountId()];
+      const results = [];
+      for (const accountId of accountIds) {
+        const result = await searchAllMessages({
+          accountId,
+          query,
+          maxChats,
+          maxMessagesPerChat,
+          onProgress: (progress) => socket.emit("searchProgress", progress),
+        });
+        results.push(...result.results.map(r => ({ ...r, accountId })));
+      }
+      results.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+      socket.emit("searchResults", { results, query: query?.trim() || "" });
+    });
+
+    // Logout (of the viewed account only)
+    socket.on("logout", async () => {
+      const accountId = viewedAccountId();
+      if (isAllAccountsView()) return;
+      try {
+        console.log(`Logout requested for ${accountId}...`);
+        
+        // Mark as not ready immediately to prevent new operations
+        clientReadyStates.set(accountId, false);
+        emitToAccount(accountId, "status", { isReady: false });
+        
+        // Clear chats from memory
+        setAccountChats(accountId, []);
+        
+        // Try to logout gracefully
+        const client = whatsappClients.get(accountId);
+        if (client) {
+          try {
+            await client.logout();
+            console.log("Logout successful");
+          } catch (logoutError) {
+            // Ignore errors during logout - context might already be destroyed
+            console.log("Logout completed with warning:", logoutError.message);
+          }
+          
+          // Clean up the client
+          try {
+            await client.destroy();
+          } catch (e) {
+            // Ignore destroy errors
           }
+          
+          whatsappClients.delete(accountId);
+          clientReadyStates.delete(accountId);
+        }
+        
+        emitToAccount(accountId, "logout");
+      } catch (error) {
+        console.error("Logout error:", error.message);
+        // Even on error, send logout event to clear frontend data
+        setAccountChats(accountId, []);
+        emitToAccount(accountId, "status", { isReady: false });
+        emitToAccount(accountId, "logout");
+      }
+      broadcastAccountStatuses();
+    });
+
+    // ==================== Professional Streaming Sync System ====================
+    
+    // Track sync state to allow cancellation and concurrent message handling
+    let syncInProgress = false;
+    let syncCancelled = false;
+    
+    // Profile picture cache to avoid repeated fetching
+    const profilePicCache = new Map(); // chatId -> { url, fetchedAt }
+    const PROFILE_PIC_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+    
+    // Type labels for messages
+    const typeLabels = {
+      chat: "نص",
+      image: "صورة 📷",
+      video: "فيديو 🎥",
+      audio: "صوت 🎵",
+      ptt: "رسالة صوتية 🎤",
+      document: "مستند 📄",
+      sticker: "ملصق",
+      location: "موقع 📍",
+      contact: "جهة اتصال 👤",
+      poll_creation: "استطلاع 📊",
+    };
+    
+    // Fast chat processing - without profile pics (for speed)
+    const processChatFast = (chat) => {
+      const phoneNumber = chat.id._serialized.split("@")[0];
+      
+      // Get participants for groups (sync, from existing data)
+      let participants = [];
+      if (chat.isGroup && chat.participants) {
+        try {
+          participants = chat.participants.map(p => ({
+            id: p.id._serialized,
+            name: p.id.user,
+            isAdmin: p.isAdmin || false,
+            isSuperAdmin: p.isSuperAdmin || false,
+          }));
+        } catch (e) {}
+      }
+      
+      // Get last message info
+      let lastMessageData = null;
+      if (chat.lastMessage) {
+        try {
+          const msg = chat.lastMessage;
+          let senderName = "أنا";
+          
+          if (!msg.fromMe && chat.isGroup) {
+            const senderId = msg.author || msg.from;
+            senderName = senderId ? senderId.split("@")[0] : "مجهول";
+          } else if (!msg.fromMe) {
+            senderName = chat.name || phoneNumber;
+          }
+          
+          lastMessageData = {
+            body: msg.body || typeLabels[msg.type] || "",
+            fromMe: msg.fromMe || false,
+            timestamp: msg.timestamp || Date.now() / 1000,
+            type: msg.type || "chat",
+            typeLabel: typeLabels[msg.type] || "نص",
+            senderName: senderName,
+          };
+        } catch (e) {}
+      }
+      
+      // Check cache for profile pic
+      let profilePic = null;
+      const cached = profilePicCache.get(chat.id._serialized);
+      if (cached && (Date.now() - cached.fetchedAt) < PROFILE_PIC_CACHE_TTL) {
+        profilePic = cached.url;
+      }
+      
+      return {
+        id: chat.id._serialized,
+        name: chat.name || chat.id.user || phoneNumber || "Unknown",
+        phone: phoneNumber,
+        profilePic: profilePic,
+        isGroup: chat.isGroup || false,
+        participants: participants,
+        participantCount: chat.isGroup ? (participants.length || chat.groupMetadata?.participants?.length || 0) : 0,
+        unreadCount: chat.unreadCount || 0,
+        lastMessage: lastMessageData,
+        timestamp: chat.timestamp || Date.now() / 1000,
+      };
+    };
+    
+    // Fetch profile picture lazily (called on demand)
+    const fetchProfilePic = async (accountId, chatId) => {
+      try {
+        // Check cache first
+        const cached = profilePicCache.get(chatId);
+        if (cached && (Date.now() - cached.fetchedAt) < PROFILE_PIC_CACHE_TTL) {
+          return cached.url;
+        }
+        
+        const chat = await whatsappClients.get(accountId).getChatById(chatId);
+        const contact = await Promise.race([
+          chat.getContact(),
+          new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), 1500))
+        ]);
+        const profilePic = await Promise.race([
+          contact.getProfilePicUrl(),
+          new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), 1000))
+        ]);
+        
+        profilePicCache.set(chatId, { url: profilePic || null, fetchedAt: Date.now() });
+        return profilePic;
+      } catch (e) {
+        profilePicCache.set(chatId, { url: null, fetchedAt: Date.now() });
+        return null;
+      }
+    };
+    
+    // Handle profile picture requests from client
+    socket.on("getProfilePic", async ({ chatId, accountId }) => {
+      const profilePic = await fetchProfilePic(targetAccountId(accountId), chatId);
+      socket.emit("profilePic", { chatId, url: profilePic });
+    });
+    
+    // Batch fetch profile pics for visible chats
+    socket.on("getProfilePics", async ({ chatIds, accountId: chatsAccountId }) => {
+      const accountId = targetAccountId(chatsAccountId);
+      const results = {};
+      const batchSize = 5;
+      for (let i = 0; i < chatIds.length; i += batchSize) {
+        const batch = chatIds.slice(i, i + batchSize);
+        await Promise.all(batch.map(async (chatId) => {
+          results[chatId] = await fetchProfilePic(accountId, chatId);
+        }));
+      }
+      socket.emit("profilePics", results);
+    });
+
+    // Cancel ongoing sync
+    socket.on("cancelSync", () => {
+      if (syncInProgress) {
+        console.log("Sync cancelled by user");
+        syncCancelled = true;
+        socket.emit("syncProgress", {
+          status: "cancelled",
+          message: "تم إلغاء المزامنة",
+          progress: 0,
+          total: 0,
+          current: 0
+        });
+      }
+    });
+
+    // Sync all chats with streaming - Professional Edition
+    socket.on("syncAllChats", async ({ maxChats, incrementalOnly = false } = {}) => {
+      const accountId = viewedAccountId();
+      if (!isAccountReady(accountId)) {
+        console.log("Sync requested but WhatsApp not ready");
+        socket.emit("chatsError", { message: "WhatsApp not ready" });
+        socket.emit("syncProgress", { 
+          status: "error", 
+          message: "واتساب غير جاهز",
+          progress: 0,
+          total: 0,
+          current: 0
+        });
+        return;
+      }
+
+      // Prevent multiple syncs
+      if (syncInProgress) {
+        console.log("Sync already in progress");
+        socket.emit("syncProgress", {
+          status: "info",
+          message: "المزامنة قيد التنفيذ بالفعل...",
+          progress: 0,
+          total: 0,
+          current: 0
+        });
+        return;
+      }
+
+      syncInProgress = true;
+      syncCancelled = false;
+
+      try {
+        console.log("Starting FAST streaming sync (no profile pics)...");
+        const syncStartTime = Date.now();
+
+        // Emit sync started
+        socket.emit("syncProgress", { 
+          status: "started", 
+          message: "🚀 بدء المزامنة السريعة...",
+          progress: 1,
+          total: 0,
+          current: 0
+        });
+        
+        // Update Convex sync status
+        if (isConvexReady()) {
+          await syncStatusDb.update(accountId, {
+            status: "syncing",
+            progress: 1,
+            totalChats: 0,
+            syncedChats: 0,
+            message: "بدء المزامنة...",
+          }).catch(() => {});
+        }
+        
+        // Clear existing chats for fresh sync (unless incremental)
+        if (!incrementalOnly) {
+          socket.emit("syncClear");
+        }
+        
+        // Fetch all chats with retry logic
+        console.log("Fetching chat list...");
+        socket.emit("syncProgress", { 
+          status: "fetching", 
+          message: "📥 جاري جلب قائمة المحادثات...",
+          progress: 3,
+          total: 0,
+          current: 0
+        });
+
+        let allChats;
+        const maxRetries = 3;
+        
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+          try {
+            // Check if client and page are available
+            const client = whatsappClients.get(accountId);
+            if (!client || !client.pupPage) {
+              throw new Error("Client not ready");
+            }
+            
+            allChats = await client.getChats();
+            console.log(`Found ${allChats.length} chats in ${Date.now() - syncStartTime}ms`);
+            break; // Success, exit retry loop
+          } catch (error) {
+            console.error(`Fetch attempt ${attempt} failed:`, error.message);
+            
+            // If it's a detached frame error, try to use cached data
+            if (error.message.includes('detached Frame') || error.message.includes('Target closed')) {
+              console.log("Browser page detached, trying cached data...");
+              const cachedChats = await getAccountChats(accountId);
+              if (cachedChats.length > 0) {
+                console.log(`Using ${cachedChats.length} cached chats`);
+                emitChats(accountId, cachedChats);
+                socket.emit("syncProgress", { 
+                  status: "completed", 
+                  message: `✅ تم إرسال ${cachedChats.length} محادثة من الذاكرة المؤقتة`,
+                  progress: 100,
+                  total: cachedChats.length,
+                  current: cachedChats.length
+                });
+                syncInProgress = false;
+                return;
+              }
+            }
+            
+            if (attempt === maxRetries) {
+              socket.emit("syncProgress", { 
+                status: "error", 
+                message: `❌ خطأ في جلب المحادثات: ${error.message}`,
+                progress: 0,
+                total: 0,
+                current: 0
+              });
+              
+              if (isConvexReady()) {
+                await syncStatusDb.fail(accountId, error.message).catch(() => {});
+              }
+              
+              syncInProgress = false;
+              return;
+            }
+            
+            // Wait before retry
+            await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+          }
+        }
+
+        if (syncCancelled) {
+          syncInProgress = false;
+          return;
+        }
+
+        // Determine total chats to process
+        const totalChats = maxChats ? Math.min(allChats.length, maxChats) : allChats.length;
+        const chatsToProcess = allChats.slice(0, totalChats);
+
+        if (totalChats === 0) {
+          socket.emit("syncProgress", { 
+            status: "completed", 
+            message: "📭 لا توجد محادثات للمزامنة",
+            progress: 100,
+            total: 0,
+            current: 0
+          });
+          emitChats(accountId, []);
+          syncInProgress = false;
+          return;
+        }
+
+        // Update Convex with total count
+        if (isConvexReady()) {
+          await syncStatusDb.startSync(accountId, totalChats).catch(() => {});
+        }
+
+        console.log(`Processing ${totalChats} chats with FAST sync...`);
+        socket.emit("syncProgress", { 
+          status: "processing", 
+          message: `⚡ معالجة ${totalChats} محادثة بسرعة فائقة...`,
+          progress: 5,
+          total: totalChats,
+          current: 0
+        });
+
+        // Get existing chats for incremental sync comparison
+        let existingChatsMap = new Map();
+        if (incrementalOnly) {
+          const existingChats = getAccountChatsSync(accountId);
+          existingChats.forEach(chat => existingChatsMap.set(chat.id, chat));
+        }
+
+        const processedChats = [];
+        let successCount = 0;
+        let errorCount = 0;
+        let unchangedCount = 0;
+        
+        // Batch processing for speed - process multiple chats in parallel
+        const PARALLEL_BATCH_SIZE = 50; // Process 50 chats at a time
+        const CONVEX_BATCH_SIZE = 20;
+        let convexBatch = [];
+
+        // Process chats in parallel batches for MASSIVE speed improvement
+        for (let batchStart = 0; batchStart < chatsToProcess.length; batchStart += PARALLEL_BATCH_SIZE) {
+          if (syncCancelled) {
+            console.log("Sync cancelled during processing");
+            syncInProgress = false;
+            return;
+          }
+
+          const batchEnd = Math.min(batchStart + PARALLEL_BATCH_SIZE, chatsToProcess.length);
+          const batch = chatsToProcess.slice(batchStart, batchEnd);
+
+          // Process entire batch in parallel using FAST sync (no async profile pic fetching)
+          const batchResults = batch.map((chat, idx) => {
+            try {
+              const processedChat = processChatFast(chat);
+              return { success: true, chat: processedChat, index: batchStart + idx };
+            } catch (e) {
+              const phoneNumber = chat.id._serialized.split("@")[0];
+              return {
+                success: false,
+                chat: {
+                  id: chat.id._serialized,
+                  name: chat.name || phoneNumber || "Unknown",
+                  phone: phoneNumber,
+                  profilePic: null,
+                  isGroup: chat.isGroup || false,
+                  participants: [],
+                  participantCount: 0,
+                  unreadCount: 0,
+                  lastMessage: null,
+                  timestamp: chat.timestamp || Date.now() / 1000,
+                },
+                index: batchStart + idx
+              };
+            }
+          });
+
+          // Keep each chat's last message in the local store
+          messageStore.save(accountId, batch
+            .filter(chat => chat.lastMessage?.id)
+            .map(chat => fromWhatsAppMessage(chat.lastMessage, { chatId: chat.id._serialized })));
+
+          // Process results and emit to client
+          for (const result of batchResults) {
+            const processedChat = result.chat;
+            const i = result.index;
+            
+            if (!result.success) {
+              errorCount++;
+            }
+            
+            // Check if chat changed (for incremental sync)
+            if (incrementalOnly && existingChatsMap.has(processedChat.id)) {
+              const existing = existingChatsMap.get(processedChat.id);
+              if (existing.lastMessage?.timestamp === processedChat.lastMessage?.timestamp &&
+                  existing.unreadCount === processedChat.unreadCount) {
+                unchangedCount++;
+                processedChats.push(processedChat);
+                continue;
+              }
+            }
+            
+            processedChats.push(processedChat);
+            if (result.success) successCount++;
+            
+            convexBatch.push(processedChat);
+
+            // Batch save to Convex
+            if (convexBatch.length >= CONVEX_BATCH_SIZE) {
+              if (isConvexReady()) {
+                chatsDb.batchUpsert(accountId, convexBatch).catch(e => 
+                  console.error("Error batch saving to Convex:", e.message)
+                );
+              }
+              convexBatch = [];
+            }
+          }
+
+          // Emit progress after each batch
+          const progress = Math.round(5 + (batchEnd / totalChats) * 93);
+          socket.emit("syncProgress", { 
+            status: "processing", 
+            message: `⚡ تم معالجة ${batchEnd} من ${totalChats} محادثة`,
+            progress: progress,
+            total: totalChats,
+            current: batchEnd
+          });
+          
+          // Update Convex progress
+          if (isConvexReady()) {
+            syncStatusDb.updateProgress(accountId, batchEnd, totalChats, `Batch ${Math.ceil(batchEnd/PARALLEL_BATCH_SIZE)}`).catch(() => {});
+          }
+
+          console.log(`Fast synced batch: ${batchEnd}/${totalChats} (${Date.now() - syncStartTime}ms elapsed)`);
+          
+          // Yield to event loop between batches
+          await new Promise(resolve => setImmediate(resolve));
+        }
+
+        // Save remaining batch to Convex
+        if (convexBatch.length > 0 && isConvexReady()) {
+          await chatsDb.batchUpsert(accountId, convexBatch).catch(e => 
+            console.error("Error saving final batch to Convex:", e.message)
+          );
+        }
+
+        // Update account chats
+        setAccountChats(accountId, processedChats);
+
+        // Calculate sync time
+        const syncDuration = ((Date.now() - syncStartTime) / 1000).toFixed(1);
+
+        // Emit completion
+        let successMessage;
+        if (incrementalOnly && unchangedCount > 0) {
+          successMessage = `✅ تم تحديث ${successCount} محادثة (${unchangedCount} بدون تغيير) في ${syncDuration} ثانية`;
+        } else if (errorCount > 0) {
+          successMessage = `✅ تم مزامنة ${successCount} محادثة (${errorCount} أخطاء) في ${syncDuration} ثانية`;
+        } else {
+          successMessage = `✅ تم مزامنة ${successCount} محادثة في ${syncDuration} ثانية فقط!`;
+        }
+
+        console.log(`FAST SYNC COMPLETE: ${successCount} chats in ${syncDuration}s`);
+        
+        // Update Convex completion status
+        if (isConvexReady()) {
+          await syncStatusDb.complete(accountId, totalChats).catch(() => {});
+          eventsDb.log(accountId, "sync_complete", 
+            `Fast synced ${successCount} chats in ${syncDuration}s`
+          ).catch(() => {});
+        }
+        
+        socket.emit("syncProgress", { 
+          status: "completed", 
+          message: successMessage,
+          progress: 100,
+          total: totalChats,
+          current: totalChats,
+          successCount: successCount,
+          errorCount: errorCount,
+          unchangedCount: unchangedCount,
+          duration: syncDuration
+        });
+
+        // Tell everyone viewing the account that sync is complete
+        emitToAccount(accountId, "syncComplete", { 
+          total: processedChats.length,
+          success: successCount,
+          errors: errorCount,
+          unchanged: unchangedCount,
+          duration: syncDuration
+        });
+
+        // Send complete chats array as final confirmation
+        const finalChats = await getAccountChats(accountId);
+        emitChats(accountId, finalChats);
+
+      } catch (error) {
+        console.error("Sync error:", error);
+        socket.emit("syncProgress", { 
+          status: "error", 
+          message: `❌ حدث خطأ: ${error.message}`,
+          progress: 0,
+          total: 0,
+          current: 0
+        });
+        socket.emit("chatsError", { message: error.message });
+        
+        // Log error to Convex
+        if (isConvexReady()) {
+          await syncStatusDb.fail(accountId, error.message).catch(() => {});
+        }
+      } finally {
+        syncInProgress = false;
+        syncCancelled = false;
+      }
+    });
+
+    // Quick sync - for refreshing without full re-sync
+    socket.on("quickSync", async () => {
+      const accountId = viewedAccountId();
+      if (!isAccountReady(accountId)) {
+        socket.emit("chatsError", { message: "WhatsApp not ready" });
+        return;
+      }
+
+      try {
+        console.log("Quick sync started...");
+        socket.emit("syncProgress", {
+          status: "quick",
+          message: "🚀 مزامنة سريعة...",
+          progress: 50,
+          total: 0,
+          current: 0
+        });
+
+        const allChats = await whatsappClients.get(accountId).getChats();
+        
+        // Update ALL chats timestamps and unread counts using fast processing
+        const quickUpdates = allChats.map(chat => {
+          const phoneNumber = chat.id._serialized.split("@")[0];
+          let lastMessageBody = null;
+          let lastMessageFromMe = false;
+          let lastMessageType = "chat";
+          
+          if (chat.lastMessage) {
+            lastMessageBody = chat.lastMessage.body || typeLabels[chat.lastMessage.type] || "";
+            lastMessageFromMe = chat.lastMessage.fromMe || false;
+            lastMessageType = chat.lastMessage.type || "chat";
+          }
+          
+          return {
+            id: chat.id._serialized,
+            name: chat.name || chat.id.user || phoneNumber || "Unknown",
+            unreadCount: chat.unreadCount || 0,
+            timestamp: chat.timestamp || Date.now() / 1000,
+            lastMessageBody: lastMessageBody,
+            lastMessageFromMe: lastMessageFromMe,
+            lastMessageType: lastMessageType,
+          };
+        });
+
+        socket.emit("quickSyncData", quickUpdates);
+        socket.emit("syncProgress", {
+          status: "completed",
+          message: `✅ تم تحديث ${quickUpdates.length} محادثة بسرعة`,
+          progress: 100,
+          total: quickUpdates.length,
+          current: quickUpdates.length
+        });
+        
+        // Tell everyone viewing the account about the quick sync
+        emitToAccount(accountId, "quickSyncComplete", { count: quickUpdates.length });
+
+      } catch (error) {
+        console.error("Quick sync error:", error);
+        socket.emit("chatsError", { message: error.message });
+      }
+    });
+
+    // Incremental sync - only syncs changed chats
+    socket.on("incrementalSync", async () => {
+      if (!isAccountReady(viewedAccountId())) {
+        socket.emit("chatsError", { message: "WhatsApp not ready" });
+        return;
+      }
+
+      console.log("Starting incremental sync...");
+      socket.emit("syncProgress", {
+        status: "incremental",
+        message: "🔄 مزامنة تدريجية...",
+        progress: 10,
+        total: 0,
+        current: 0
+      });
+
+      // Trigger incremental sync
+      socket.emit("syncAllChats", { incrementalOnly: true });
+    });
+
+    // Get sync status from Convex
+    socket.on("getSyncStatus", async () => {
+      if (!isConvexReady()) {
+        socket.emit("syncStatusData", null);
+        return;
+      }
+
+      try {
+        const status = await syncStatusDb.get(viewedAccountId());
+        socket.emit("syncStatusData", status);
+      } catch (e) {
+        console.error("Error getting sync status:", e.message);
+        socket.emit("syncStatusData", null);
+      }
+    });
+
+    // Force sync from Convex (load cached data)
+    socket.on("loadFromCloud", async () => {
+      const accountId = viewedAccountId();
+      if (!isConvexReady()) {
+        socket.emit("chatsError", { message: "Convex not ready" });
+        return;
+      }
+
+      try {
+        console.log("Loading chats from Convex...");
+        socket.emit("syncProgress", {
+          status: "loading",
+          message: "☁️ جاري التحميل من السحابة...",
+          progress: 50,
+          total: 0,
+          current: 0
+        });
+
+        const cloudChats = await chatsDb.getByAccountId(accountId);
+        
+        if (cloudChats && cloudChats.length > 0) {
+          accountChats.set(accountId, cloudChats);
+          emitChats(accountId, cloudChats);
+          socket.emit("syncProgress", {
+            status: "completed",
+            message: `☁️ تم تحميل ${cloudChats.length} محادثة من السحابة`,
+            progress: 100,
+            total: cloudChats.length,
+            current: cloudChats.length
+          });
+          console.log(`Loaded ${cloudChats.length} chats from Convex`);
+        } else {
+          socket.emit("syncProgress", {
+            status: "completed",
+            message: "📭 لا توجد محادثات في السحابة",
+            progress: 100,
+            total: 0,
+            current: 0
+          });
+        }
+      } catch (error) {
+        console.error("Error loading from Convex:", error);
+        socket.emit("chatsError", { message: error.message });
+      }
+    });
+
+    // ==================== Account Management ====================
+    
+    // Send the accounts the signed-in user may use in the workspace
+    const sendAccounts = () => {
+      const userId = user.id;
+      const orgId = socket.data.orgId;
+      console.log(`Getting accounts for user: ${userId} in workspace: ${orgId}`);
+      
+      // The workspace's accounts for its admins, the ones they were given access to for members
+      let filteredAccounts = getSocketAccounts();
+      
+      // ONLY create new account if the workspace has NO accounts at all (and the user administers it)
+      if (filteredAccounts.length === 0 && orgId && isOrgAdmin() && !accounts.some(a => a.orgId === orgId)) {
+        console.log("No accounts in workspace, creating default account...");
+        const defaultAccount = {
+          id: `account_${Date.now()}`,
+          name: "حسابي",
+          phone: null,
+          isActive: true,
+          orgId,
+          userId: userId
+        };
+        accounts.push(defaultAccount);
+        saveAccounts(accounts);
+        if (isConvexReady()) {
+          accountsDb.create({ accountId: defaultAccount.id, orgId, name: defaultAccount.name, isActive: true }).catch(() => {});
+        }
+        filteredAccounts = [defaultAccount];
+        
+        // Opened first for this user from now on
+        lastViewedAccounts.set(user.id, defaultAccount.id);
+        setViewedAccount(socket, defaultAccount.id);
+        
+        // Initialize this account (request QR) - ONLY for NEW accounts
+        setTimeout(() => {
+          initializeAccount(defaultAccount.id);
+        }, 500);
+      } else if (filteredAccounts.length > 0 && !isAllAccountsView() && !filteredAccounts.some(a => a.id === viewedAccountId())) {
+        // View the user's last account (or the default one) - the other accounts keep running
+        const activeAccount = findSocketAccount(getDefaultAccountId(user.id, filteredAccounts));
+        console.log("Using existing account:", activeAccount.id);
+        setViewedAccount(socket, activeAccount.id);
+        emitViewedStatus();
+        
+        if (!whatsappClients.has(activeAccount.id)) {
+          console.log("Initializing existing account...");
+          initializeAccount(activeAccount.id);
+        }
+      }
+      
+      socket.emit("accounts", filteredAccounts);
+      socket.emit("currentAccount", viewedAccountId());
+    };
+
+    socket.on("getAccounts", sendAccounts);
+
+    // Add new account to the workspace (its admins only)
+    socket.on("addAccount", ({ name, userId }) => {
+      console.log("Adding new account:", name, "for user:", userId);
+      
+      if (!name || !name.trim()) {
+        console.log("Account name is empty, ignoring");
+        return;
+      }
+      if (!socket.data.orgId || !isOrgAdmin()) {
+        socket.emit("permissionDenied", { event: "addAccount", message: "فقط مدير مساحة العمل يمكنه إضافة الحسابات" });
+        return;
+      }
+      
+      const newAccount = {
+        id: `account_${Date.now()}`,
+        name: name.trim(),
+        phone: null,
+        isActive: false,
+        orgId: socket.data.orgId,
+        userId
+      };
+      
+      accounts.push(newAccount);
+      saveAccounts(accounts);
+      if (isConvexReady()) {
+        accountsDb.create({ accountId: newAccount.id, orgId: newAccount.orgId, name: newAccount.name, isActive: false }).catch(() => {});
+      }
+      
+      console.log("Account added successfully:", newAccount.id);
+      
+      // Start it right away so its QR code is waiting when the user switches to it
+      initializeAccount(newAccount.id);
+      broadcastAccountStatuses();
+      if (isAllAccountsView()) joinRoom(socket, accountRoom(newAccount.id));
+      socket.emit("accountAdded", newAccount);
+      socket.emit("accounts", getSocketAccounts());
+    });
+
+    // Switch the account this socket views; every account keeps its own connection
+    socket.on("switchAccount", async ({ accountId }) => {
+      console.log("Switching to account:", accountId);
+      
+      // Unified inbox - the default account stays as it is
+      if (accountId === ALL_ACCOUNTS) {
+        const userAccounts = getSocketAccounts();
+        setViewedAccount(socket, ALL_ACCOUNTS, userAccounts.map(a => a.id));
+        socket.emit("currentAccount", ALL_ACCOUNTS);
+        socket.emit("accounts", userAccounts);
+        emitViewedStatus();
+        emitChats(ALL_ACCOUNTS, await getMergedChats());
+        return;
+      }
+      
+      const account = findSocketAccount(accountId);
+      if (!account) {
+        console.log("Account not found:", accountId);
+        return;
+      }
+      
+      // Opened first on the user's next connections and used by their API keys
+      lastViewedAccounts.set(user.id, accountId);
+      
+      setViewedAccount(socket, accountId);
+      socket.emit("currentAccount", accountId);
+      socket.emit("accounts", getSocketAccounts());
+      emitViewedStatus();
+      
+      // Each account has its own chats in memory
+      const cachedChats = await getAccountChats(accountId);
+      if (cachedChats.length > 0) {
+        console.log(`Sending ${cachedChats.length} cached chats for account ${account.name}`);
+        emitChats(accountId, cachedChats);
+      }
+      
+      // Logged out (or never started) - start it and wait for the QR code
+      if (!whatsappClients.has(accountId)) {
+        console.log("No client for this account, initializing...");
+        initializeAccount(accountId);
+      }
+    });
+
+    // Delete account (the workspace's admins only)
+    socket.on("deleteAccount", async ({ accountId }) => {
+      console.log("Deleting account:", accountId);
+      
+      if (!isOrgAdmin()) {
+        socket.emit("permissionDenied", { event: "deleteAccount", message: "فقط مدير مساحة العمل يمكنه حذف الحسابات" });
+        return;
+      }
+      if (getSocketAccounts().length <= 1) {
+        console.log("Cannot delete the only account");
+        return;
+      }
+      
+      const accountIndex = accounts.findIndex(a => a.id === accountId);
+      if (accountIndex === -1 || !findSocketAccount(accountId)) {
+        console.log("Account not found:", accountId);
+        return;
+      }
+      
+      const wasActive = accounts[accountIndex].isActive;
+      accounts.splice(accountIndex, 1);
+      messageStore.deleteAccount(accountId);
+      
+      // If deleted account was active, set another as active
+      if (wasActive && accounts.length > 0) {
+        accounts[0].isActive = true;
+        currentAccountId = accounts[0].id;
+      }
+      
+      saveAccounts(accounts);
+      
+      // Stop its client (the account is gone, so it won't try to reconnect)
+      const client = whatsappClients.get(accountId);
+      whatsappClients.delete(accountId);
+      clientReadyStates.delete(accountId);
+      pendingQrCodes.delete(accountId);
+      accountChats.delete(accountId);
+      if (client) {
+        client.destroy()
+          .catch(e => console.log(`Error stopping client ${accountId}: ${e.message}`))
+          .then(() => cleanupOrphanedBrowser(accountId));
+      }
+      
+      // Whoever was viewing it moves to their default account
+      const viewers = await io.in(accountRoom(accountId)).fetchSockets();
+      for (const viewer of viewers) {
+        // The unified inbox just stops receiving its events
+        if (viewer.data.accountId === ALL_ACCOUNTS) {
+          leaveRoom(viewer, accountRoom(accountId));
+          continue;
+        }
+        const nextAccountId = getDefaultAccountId(viewer.data.user.id, getAccessibleAccounts(viewer));
+        setViewedAccount(viewer, nextAccountId);
+        viewer.emit("currentAccount", nextAccountId);
+        viewer.emit("status", { accountId: nextAccountId, isReady: isAccountReady(nextAccountId) });
+      }
+      
+      console.log("Account deleted successfully");
+      socket.emit("accounts", getSocketAccounts());
+      socket.emit("currentAccount", viewedAccountId());
+      broadcastAccountStatuses();
+    });
+
+    // Clear the workspace's sessions and start fresh
+    // Every account of the workspace loses its WhatsApp session, so only its admins may do it;
+    // other workspaces' accounts are left as they are
+    socket.on("clearSessions", async () => {
+      const orgId = socket.data.orgId;
+      if (!orgId || !isOrgAdmin()) {
+        socket.emit("permissionDenied", { event: "clearSessions", message: "فقط مدير مساحة العمل يمكنه مسح الجلسات" });
+        return;
+      }
+      console.log("Clearing the sessions of workspace:", orgId);
+      
+      try {
+        // Stop and destroy the workspace's WhatsApp clients
+        const clearedIds = accounts.filter(a => a.orgId === orgId).map(a => a.id);
+        await stopClients(clearedIds);
+        
+        // Clear their session directories
+        for (const accountId of clearedIds) {
+          const sessionPath = path.join(__dirname, ".wwebjs_auth", `session-${accountId}`);
+          if (!fs.existsSync(sessionPath)) continue;
+          console.log(`Removing session directory of ${accountId}...`);
+          try {
+            fs.rmSync(sessionPath, { recursive: true, force: true });
+          } catch (rmError) {
+            console.log("Could not remove session directory, trying alternative method...");
+            // On Windows, use rd command which can sometimes work when fs.rmSync fails
+            if (process.platform === 'win32') {
+              const { execSync } = require('child_process');
+              try {
+                execSync(`rd /s /q "${sessionPath}"`, { stdio: 'ignore' });
+              } catch (e) {
+                console.log("Alternative removal also failed, directory may be in use");
+              }
+            }
+          }
+        }
+        
+        // Reset state
+        for (const accountId of clearedIds) {
+          pendingQrCodes.delete(accountId);
+          accountChats.delete(accountId);
+          messageStore.deleteAccount(accountId);
+        }
+        
+        // Reset the workspace's accounts to a fresh one
+        const freshAccount = {
+          id: `account_${Date.now()}`,
+          name: "حساب 1",
+          phone: null,
+          isActive: !accounts.some(a => a.isActive && !clearedIds.includes(a.id)),
+          orgId
+        };
+        accounts = [...accounts.filter(a => !clearedIds.includes(a.id)), freshAccount];
+        if (!currentAccountId || clearedIds.includes(currentAccountId)) {
+          currentAccountId = accounts.find(a => a.isActive)?.id || freshAccount.id;
+        }
+        saveAccounts(accounts);
+        if (isConvexReady()) {
+          accountsDb.create({ accountId: freshAccount.id, orgId, name: freshAccount.name, isActive: freshAccount.isActive }).catch(() => {});
+        }
+        
+        console.log("Workspace sessions cleared successfully!");
+        
+        // Everyone working in the workspace who may use it now views the fresh account
+        for (const connected of await io.fetchSockets()) {
+          if (connected.data.orgId !== orgId) continue;
+          const nextAccountId = getAccessibleAccounts(connected).length > 0 ? freshAccount.id : null;
+          setViewedAccount(connected, nextAccountId);
+          connected.emit("currentAccount", nextAccountId);
+          connected.emit("sessionsCleared", { success: true });
+        }
+        
+        // Notify clients
+        broadcastAccounts();
+        emitToAccount(freshAccount.id, "status", { isReady: false });
+        emitToAccount(freshAccount.id, "qrCleared");
+        broadcastAccountStatuses();
+        
+        // Reinitialize with fresh account
+        setTimeout(() => {
+          console.log("Reinitializing with fresh account...");
+          initializeAccount(freshAccount.id);
+        }, 2000);
+        
+      } catch (error) {
+        console.error("Error clearing sessions:", error);
+        socket.emit("sessionsCleared", { success: false, error: error.message });
+      }
+    });
+
+    // ==================== User Management ====================
+    // Roles are checked twice: here (manageUsers, see access-control.js) and by Convex against
+    // the admin's own session
+
+    // Errors of the Convex user mutation that are shown as they are
+    const USER_UPDATE_ERRORS = ["يجب أن يبقى مدير واحد على الأقل", "لا يمكنك إزالة صلاحية المدير الوحيد", "دور غير معروف", "المستخدم غير موجود"];
+
+    const emitUsers = async () => {
+      const { users, error } = await usersDb.getAll(socket.data.tokenHash);
+      if (error) {
+        socket.emit("userError", { message: "تعذر تحميل المستخدمين" });
+        return;
+      }
+      socket.emit("users", { users });
+    };
+
+    socket.on("getUsers", async () => {
+      if (!isConvexReady()) {
+        socket.emit("users", { users: [] });
+        return;
+      }
+      await emitUsers();
+    });
+
+    // Change a user's role or enable / disable them; their open dashboards reconnect with it
+    socket.on("updateUser", async ({ targetUserId, role, isActive } = {}) => {
+      if (!targetUserId || !isConvexReady()) return;
+
+      const result = await usersDb.update(socket.data.tokenHash, targetUserId, {
+        role: typeof role === "string" ? role : undefined,
+        isActive: typeof isActive === "boolean" ? isActive : undefined,
+      });
+      if (result.error) {
+        socket.emit("userError", {
+          message: USER_UPDATE_ERRORS.find(message => result.error.includes(message)) || "فشل تحديث المستخدم",
+        });
+        return;
+      }
+
+      console.log(`User ${targetUserId} updated by ${user.email}:`, { role, isActive });
+      sessionAuth.invalidateUser(targetUserId);
+      io.in(userRoom(targetUserId)).disconnectSockets(true);
+      await emitUsers();
+    });
+
+    // ==================== Workspaces ====================
+    // Workspace admins manage members, invitations and account access lists; Convex checks it
+    // again against their session. Changes reconnect the affected users' dashboards
+
+    // Errors of the Convex workspace functions that are shown as they are
+    const WORKSPACE_ERRORS = [
+      "اسم مساحة العمل مطلوب",
+      "المستخدم عضو بالفعل في مساحة العمل",
+      "المستخدم ليس عضواً في مساحة العمل",
+      "يجب أن يبقى مدير واحد على الأقل لمساحة العمل",
+      "الحساب لا يتبع مساحة العمل",
+      "الدعوة غير موجودة",
+      "دور غير معروف",
+      PERMISSION_DENIED,
+    ];
+    const INVITATION_ERRORS = [
+      "الدعوة غير صالحة",
+      "تم استخدام هذه الدعوة بالفعل",
+      "انتهت صلاحية الدعوة",
+      "هذه الدعوة مرسلة إلى بريد إلكتروني آخر",
+    ];
+
+    const emitWorkspaceError = (error, fallback) => {
+      socket.emit("workspaceError", {
+        message: WORKSPACE_ERRORS.find(message => error.includes(message)) || fallback,
+      });
+    };
+
+    // Memberships change in Convex; this socket's copy is reloaded when it needs a new one
+    const reloadAccess = async () => {
+      try {
+        const access = await orgsDb.getAccess(socket.data.tokenHash);
+        if (access) socket.data.access = access;
+      } catch (e) {
+        console.error("Error reloading workspaces:", e.message);
+      }
+    };
+
+    // Work in another workspace: its accounts, the default one (or its first) viewed
+    const enterWorkspace = async (orgId) => {
+      socket.data.orgId = orgId;
+      leavePipeline();
+      leaveViewedChat();
+      setViewedAccount(socket, getDefaultAccountId(user.id, getSocketAccounts()));
+      emitWorkspaces();
+      sendAccounts();
+      socket.emit("accountStatuses", getAccountStatuses(socket));
+      emitViewedStatus();
+      const accountId = viewedAccountId();
+      emitChats(accountId, accountId ? await getAccountChats(accountId) : []);
+    };
+
+    socket.on("switchWorkspace", async ({ orgId } = {}) => {
+      if (!orgId || orgId === socket.data.orgId) return;
+      // A workspace joined since this socket connected
+      if (!getOrgRole(socket.data.access, orgId)) await reloadAccess();
+      if (!getOrgRole(socket.data.access, orgId)) {
+        emitWorkspaceError("", "مساحة العمل غير موجودة");
+        return;
+      }
+      console.log(`${user.email} switched to workspace ${orgId}`);
+      await enterWorkspace(orgId);
+    });
+
+    // New workspace (server admins); its creator administers it and switches to it
+    socket.on("createWorkspace", async ({ name } = {}) => {
+      if (!isConvexReady()) return;
+      const result = await orgsDb.create(socket.data.tokenHash, String(name || ""));
+      if (result.error) {
+        emitWorkspaceError(result.error, "فشل إنشاء مساحة العمل");
+        return;
+      }
+      console.log(`Workspace ${result.orgId} created by ${user.email}`);
+      await reloadAccess();
+      await enterWorkspace(result.orgId);
+    });
+
+    const emitWorkspaceMembers = async () => {
+      const orgId = socket.data.orgId;
+      const result = await orgsDb.getMembers(socket.data.tokenHash, orgId);
+      if (result.error) {
+        emitWorkspaceError(result.error, "تعذر تحميل أعضاء مساحة العمل");
+        return;
+      }
+      socket.emit("workspaceMembers", {
+        orgId,
+        ...result,
+        accounts: getSocketAccounts().map(a => ({ id: a.id, name: a.name, phone: a.phone })),
+      });
+    };
+
+    socket.on("getWorkspaceMembers", async () => {
+      if (!socket.data.orgId || !isOrgAdmin() || !isConvexReady()) return;
+      await emitWorkspaceMembers();
+    });
+
+    // Invite by email: the link is mailed, and shown to the admin to share another way. It points
+    // at the dashboard the admin uses, or APP_URL when set
+    socket.on("inviteMember", async ({ email, role } = {}) => {
+      if (!socket.data.orgId || !isOrgAdmin() || !isConvexReady()) return;
+      const address = String(email || "").trim().toLowerCase();
+      if (!isEmail(address)) {
+        socket.emit("workspaceError", { message: "البريد الإلكتروني غير صالح" });
+        return;
+      }
+
+      const { token, tokenHash } = generateInviteToken();
+      const result = await orgsDb.createInvitation(socket.data.tokenHash, socket.data.orgId, {
+        email: address,
+        role: role === "admin" ? "admin" : "member",
+        inviteTokenHash: tokenHash,
+      });
+      if (result.error) {
+        emitWorkspaceError(result.error, "فشل إنشاء الدعوة");
+        return;
+      }
+
+      const baseUrl = (process.env.APP_URL || socket.handshake.headers.origin || `http://localhost:${port}`).replace(/\/$/, "");
+      const link = `${baseUrl}/invite?token=${token}`;
+      const mail = await mailer.send({
+        to: address,
+        subject: `دعوة للانضمام إلى ${result.orgName}`,
+        text: [
+          `دعاك ${result.inviterName} للانضمام إلى مساحة العمل "${result.orgName}".`,
+          "",
+          `افتح الرابط التالي وسجّل الدخول (أو أنشئ حساباً) بهذا البريد: ${link}`,
+          "",
+          `صلاحية الرابط حتى ${new Date(result.expiresAt).toISOString().slice(0, 10)}، ويمكن استخدامه مرة واحدة فقط.`,
+        ].join("\n"),
+      });
+
+      console.log(`Invitation to ${address} for workspace ${socket.data.orgId} created by ${user.email} (mail ${mail.success ? "sent" : "failed"})`);
+      socket.emit("invitationCreated", { email: address, link, emailed: mail.success });
+      await emitWorkspaceMembers();
+    });
+
+    socket.on("revokeInvitation", async ({ invitationId } = {}) => {
+      if (!invitationId || !isConvexReady()) return;
+      const result = await orgsDb.revokeInvitation(socket.data.tokenHash, invitationId);
+      if (result.error) {
+        emitWorkspaceError(result.error, "فشل إلغاء الدعوة");
+        return;
+      }
+      await emitWorkspaceMembers();
+    });
+
+    socket.on("setMemberRole", async ({ targetUserId, role } = {}) => {
+      if (!targetUserId || !socket.data.orgId || !isConvexReady()) return;
+      const result = await orgsDb.setMemberRole(socket.data.tokenHash, socket.data.orgId, targetUserId, String(role || ""));
+      if (result.error) {
+        emitWorkspaceError(result.error, "فشل تغيير دور العضو");
+        return;
+      }
+      reloadUserAccess([targetUserId]);
+      await emitWorkspaceMembers();
+    });
+
+    socket.on("removeMember", async ({ targetUserId } = {}) => {
+      if (!targetUserId || !socket.data.orgId || !isConvexReady()) return;
+      const result = await orgsDb.removeMember(socket.data.tokenHash, socket.data.orgId, targetUserId);
+      if (result.error) {
+        emitWorkspaceError(result.error, "فشل إزالة العضو");
+        return;
+      }
+      console.log(`User ${targetUserId} removed from workspace ${socket.data.orgId} by ${user.email}`);
+      reloadUserAccess([targetUserId]);
+      await emitWorkspaceMembers();
+    });
+
+    // Replace the members who may use one of the workspace's accounts
+    socket.on("setAccountAccess", async ({ accountId, userIds } = {}) => {
+      if (!findSocketAccount(accountId) || !Array.isArray(userIds) || !isConvexReady()) return;
+      const result = await orgsDb.setAccountAccess(
+        socket.data.tokenHash,
+        socket.data.orgId,
+        accountId,
+        userIds.filter(id => typeof id === "string")
+      );
+      if (result.error) {
+        emitWorkspaceError(result.error, "فشل تحديث صلاحيات الحساب");
+        return;
+      }
+      reloadUserAccess(result.userIds.filter(id => id !== user.id));
+      await emitWorkspaceMembers();
+    });
+
+    // What an invitation link is for (the /invite page)
+    socket.on("getInvitation", async ({ token } = {}) => {
+      if (!token || !isConvexReady()) {
+        socket.emit("invitation", null);
+        return;
+      }
+      socket.emit("invitation", await orgsDb.getInvitation(hashInviteToken(token)));
+    });
+
+    // Join the workspace of an invitation and switch to it; the user's other dashboards reconnect
+    socket.on("acceptInvitation", async ({ token } = {}) => {
+      if (!token || !isConvexReady()) return;
+      const result = await orgsDb.acceptInvitation(socket.data.tokenHash, hashInviteToken(token));
+      if (result.error) {
+        socket.emit("invitationError", {
+          message: INVITATION_ERRORS.find(message => result.error.includes(message)) || "فشل قبول الدعوة",
+        });
+        return;
+      }
+      console.log(`${user.email} joined workspace ${result.orgId}`);
+      io.in(userRoom(user.id)).except(socket.id).disconnectSockets(true);
+      await reloadAccess();
+      await enterWorkspace(result.orgId);
+      socket.emit("invitationAccepted", result);
+    });
+
+    // ==================== API Keys Management ====================
+    
+    // Get API keys for a user
+    socket.on("getApiKeys", async ({ userId } = {}) => {
+      if (!userId || !isConvexReady()) {
+        socket.emit("apiKeys", []);
+        return;
+      }
+      socket.emit("apiKeys", await apiKeysDb.getMine(socket.data.tokenHash));
+    });
+
+    // Create an API key - the plain key is only sent back once
+    socket.on("createApiKey", async ({ userId, name } = {}) => {
+      if (!userId || !name || !name.trim()) {
+        socket.emit("apiKeyError", { message: "اسم المفتاح مطلوب" });
+        return;
+      }
+      if (!isConvexReady()) {
+        socket.emit("apiKeyError", { message: "Convex not ready" });
+        return;
+      }
+      
+      const { key, keyHash, keyPrefix } = generateApiKey();
+      const id = await apiKeysDb.create(socket.data.tokenHash, name.trim(), keyHash, keyPrefix);
+      if (!id) {
+        socket.emit("apiKeyError", { message: "فشل إنشاء المفتاح" });
+        return;
+      }
+      
+      console.log(`API key created for user ${userId}: ${keyPrefix}...`);
+      socket.emit("apiKeyCreated", { id, name: name.trim(), key, keyPrefix });
+      socket.emit("apiKeys", await apiKeysDb.getMine(socket.data.tokenHash));
+    });
+
+    // Revoke an API key
+    socket.on("revokeApiKey", async ({ userId, keyId } = {}) => {
+      if (!userId || !keyId || !isConvexReady()) return;
+      
+      const result = await apiKeysDb.revoke(socket.data.tokenHash, keyId);
+      if (!result) {
+        socket.emit("apiKeyError", { message: "فشل إلغاء المفتاح" });
+        return;
+      }
+      
+      restApi.clearKeyCache();
+      socket.emit("apiKeys", await apiKeysDb.getMine(socket.data.tokenHash));
+    });
+
+    // ==================== Webhooks Management ====================
+
+    const emitWebhooks = async () => {
+      socket.emit("webhooks", {
+        webhooks: await webhooksDb.getMine(socket.data.tokenHash),
+        availableEvents: WEBHOOK_EVENTS,
+      });
+    };
+
+    // Validate webhook fields sent by the client, returns an error message or null
+    const validateWebhookInput = ({ url, events }) => {
+      if (url !== undefined && !isValidWebhookUrl(url)) {
+        return "رابط الـ Webhook غير صالح (يجب أن يبدأ بـ http أو https)";
+      }
+      if (events !== undefined) {
+        if (!Array.isArray(events) || events.length === 0) {
+          return "يجب اختيار حدث واحد على الأقل";
+        }
+        if (events.some(e => !WEBHOOK_EVENTS.includes(e))) {
+          return "حدث غير مدعوم";
+        }
+      }
+      return null;
+    };
+
+    // Get webhooks for a user
+    socket.on("getWebhooks", async ({ userId } = {}) => {
+      if (!userId || !isConvexReady()) {
+        socket.emit("webhooks", { webhooks: [], availableEvents: WEBHOOK_EVENTS });
+        return;
+      }
+      await emitWebhooks();
+    });
+
+    // Create a webhook for one of the user's accounts
+    socket.on("createWebhook", async ({ userId, accountId, url, events } = {}) => {
+      if (!userId || !isConvexReady()) return;
+
+      if (!findSocketAccount(accountId)) {
+        socket.emit("webhookError", { message: "الحساب غير موجود" });
+        return;
+      }
+      const validationError = validateWebhookInput({ url: url || "", events: events || [] });
+      if (validationError) {
+        socket.emit("webhookError", { message: validationError });
+        return;
+      }
+
+      const secret = generateWebhookSecret();
+      const id = await webhooksDb.create(socket.data.tokenHash, accountId, url.trim(), secret, events);
+      if (!id) {
+        socket.emit("webhookError", { message: "فشل إنشاء الـ Webhook" });
+        return;
+      }
+
+      console.log(`Webhook created for account ${accountId}: ${url}`);
+      webhookDispatcher.invalidate(accountId);
+      // The signing secret is only sent back once
+      socket.emit("webhookCreated", { id, secret });
+      await emitWebhooks();
+    });
+
+    // Update a webhook (url, events, isActive)
+    socket.on("updateWebhook", async ({ userId, webhookId, url, events, isActive } = {}) => {
+      if (!userId || !webhookId || !isConvexReady()) return;
+
+      const validationError = validateWebhookInput({ url, events });
+      if (validationError) {
+        socket.emit("webhookError", { message: validationError });
+        return;
+      }
+
+      const result = await webhooksDb.update(socket.data.tokenHash, webhookId, {
+        url: url?.trim(),
+        events,
+        isActive: typeof isActive === "boolean" ? isActive : undefined,
+      });
+      if (!result) {
+        socket.emit("webhookError", { message: "فشل تحديث الـ Webhook" });
+        return;
+      }
+
+      webhookDispatcher.invalidate();
+      await emitWebhooks();
+    });
+
+    // Delete a webhook and its delivery log
+    socket.on("deleteWebhook", async ({ userId, webhookId } = {}) => {
+      if (!userId || !webhookId || !isConvexReady()) return;
+
+      const result = await webhooksDb.remove(socket.data.tokenHash, webhookId);
+      if (!result) {
+        socket.emit("webhookError", { message: "فشل حذف الـ Webhook" });
+        return;
+      }
+
+      webhookDispatcher.invalidate();
+      await emitWebhooks();
+    });
+
+    // Get the delivery log of a webhook
+    socket.on("getWebhookDeliveries", async ({ userId, webhookId, limit } = {}) => {
+      if (!userId || !webhookId || !isConvexReady()) return;
+
+      socket.emit("webhookDeliveries", {
+        webhookId,
+        deliveries: await webhooksDb.getDeliveries(socket.data.tokenHash, webhookId, limit || 50),
+      });
+    });
+
+    // Replay a logged delivery (sends its payload again as a new delivery)
+    socket.on("replayWebhookDelivery", async ({ userId, webhookId, deliveryId } = {}) => {
+      if (!userId || !deliveryId || !isConvexReady()) return;
+
+      const newDeliveryId = await webhookDispatcher.replay(deliveryId, userId);
+      if (!newDeliveryId) {
+        socket.emit("webhookError", { message: "فشل إعادة إرسال الطلب" });
+        return;
+      }
+
+      if (webhookId) {
+        socket.emit("webhookDeliveries", {
+          webhookId,
+          deliveries: await webhooksDb.getDeliveries(socket.data.tokenHash, webhookId, 50),
+        });
+      }
+    });
+
+    // ==================== Auto-Reply Rules ====================
+
+    const emitAutoReplyRules = async (userId, accountId) => {
+      socket.emit("autoReplyRules", {
+        accountId,
+        rules: await autoRepliesDb.getByAccountId(userId, accountId),
+      });
+    };
+
+    // Only the known rule fields are stored (numbers coerced, text trimmed)
+    const sanitizeRule = (rule = {}) => ({
+      name: String(rule.name || "").trim(),
+      isActive: rule.isActive !== false,
+      priority: Number(rule.priority) || 0,
+      trigger: rule.trigger,
+      keywords: (Array.isArray(rule.keywords) ? rule.keywords : []).map(k => String(k).trim()).filter(Boolean),
+      matchMode: rule.matchMode || "contains",
+      pattern: rule.trigger === "regex" ? String(rule.pattern || "") : undefined,
+      messageTypes: (Array.isArray(rule.messageTypes) ? rule.messageTypes : []).map(String),
+      chatType: rule.chatType || "any",
+      firstContactOnly: rule.firstContactOnly === true,
+      businessHours: rule.businessHours || "any",
+      schedule: {
+        days: (Array.isArray(rule.schedule?.days) ? rule.schedule.days : []).map(Number).filter(d => d >= 0 && d <= 6),
+        start: String(rule.schedule?.start || "09:00"),
+        end: String(rule.schedule?.end || "17:00"),
+        timezone: String(rule.schedule?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone),
+      },
+      replyText: rule.replyText?.trim() || undefined,
+      replyMediaUrl: rule.replyMediaUrl?.trim() || undefined,
+      tags: (Array.isArray(rule.tags) ? rule.tags : []).map(t => String(t).trim()).filter(Boolean),
+      cooldownMinutes: Math.max(0, Number(rule.cooldownMinutes) || 0),
+      stopProcessing: rule.stopProcessing === true,
+    });
+
+    // Get a user's rules for an account
+    socket.on("getAutoReplyRules", async ({ userId, accountId } = {}) => {
+      if (!userId || !accountId || !isConvexReady()) {
+        socket.emit("autoReplyRules", { accountId, rules: [] });
+        return;
+      }
+      await emitAutoReplyRules(userId, accountId);
+    });
+
+    // Create (no ruleId) or replace a rule
+    socket.on("saveAutoReplyRule", async ({ userId, accountId, ruleId, rule } = {}) => {
+      if (!userId || !isConvexReady()) return;
+
+      if (!findSocketAccount(accountId)) {
+        socket.emit("autoReplyError", { message: "الحساب غير موجود" });
+        return;
+      }
+      const fields = sanitizeRule(rule);
+      const validationError = validateRule(fields);
+      if (validationError) {
+        socket.emit("autoReplyError", { message: validationError });
+        return;
+      }
+
+      const result = ruleId
+        ? await autoRepliesDb.update(ruleId, userId, fields)
+        : await autoRepliesDb.create(userId, accountId, fields);
+      if (!result) {
+        socket.emit("autoReplyError", { message: "فشل حفظ القاعدة" });
+        return;
+      }
+
+      // An edited rule stays on the account it was stored for, whatever the client sent
+      const ruleAccountId = ruleId ? result.accountId : accountId;
+      autoResponder.invalidate(ruleAccountId);
+      socket.emit("autoReplyRuleSaved", { ruleId: ruleId || result });
+      await emitAutoReplyRules(userId, ruleAccountId);
+    });
+
+    socket.on("deleteAutoReplyRule", async ({ userId, accountId, ruleId } = {}) => {
+      if (!userId || !ruleId || !isConvexReady()) return;
+
+      const result = await autoRepliesDb.remove(ruleId, userId);
+      if (!result) {
+        socket.emit("autoReplyError", { message: "فشل حذف القاعدة" });
+        return;
+      }
+
+      autoResponder.invalidate(result.accountId);
+      await emitAutoReplyRules(userId, result.accountId);
+    });
+
+    // ==================== Chatbot Flows ====================
+
+    const emitFlows = async (userId, accountId) => {
+      socket.emit("flows", {
+        accountId,
+        flows: await flowsDb.getByAccountId(userId, accountId),
+      });
+    };
+
+    socket.on("getFlows", async ({ userId, accountId } = {}) => {
+      if (!userId || !accountId || !isConvexReady()) {
+        socket.emit("flows", { accountId, flows: [] });
+        return;
+      }
+      await emitFlows(userId, accountId);
+    });
+
+    // Create (no flowId) or update a flow from its JSON definition
+    socket.on("saveFlow", async ({ userId, accountId, flowId, name, definition, isActive } = {}) => {
+      if (!userId || !isConvexReady()) return;
+
+      if (!findSocketAccount(accountId)) {
+        socket.emit("flowError", { message: "الحساب غير موجود" });
+        return;
+      }
+
+      const updates = { isActive: typeof isActive === "boolean" ? isActive : undefined };
+      if (definition !== undefined) {
+        const parsed = parseFlowDefinition(definition);
+        if (parsed.error) {
+          socket.emit("flowError", { message: parsed.error });
+          return;
+        }
+        updates.definition = typeof definition === "string" ? definition : JSON.stringify(definition, null, 2);
+        updates.name = name?.trim() || parsed.definition.name || "مسار بدون اسم";
+      } else if (name !== undefined) {
+        updates.name = name.trim();
+      }
+
+      let result = null;
+      if (flowId) {
+        result = await flowsDb.update(flowId, userId, updates);
+      } else if (updates.definition) {
+        result = await flowsDb.create(userId, accountId, updates.name, updates.definition, updates.isActive ?? true);
+      }
+      if (!result) {
+        socket.emit("flowError", { message: "فشل حفظ المسار" });
+        return;
+      }
+
+      flowEngine.invalidate(accountId);
+      socket.emit("flowSaved", { flowId: flowId || result });
+      await emitFlows(userId, accountId);
+    });
+
+    socket.on("deleteFlow", async ({ userId, accountId, flowId } = {}) => {
+      if (!userId || !flowId || !isConvexReady()) return;
+
+      const result = await flowsDb.remove(flowId, userId);
+      if (!result) {
+        socket.emit("flowError", { message: "فشل حذف المسار" });
+        return;
+      }
+
+      flowEngine.invalidate(accountId);
+      await emitFlows(userId, accountId);
+    });
+
+    // Chats of the viewed account waiting for a human after a flow handoff
+    socket.on("getHandoffChats", () => {
+      const accountIds = isAllAccountsView() ? getSocketAccounts().map(a => a.id) : [viewedAccountId()];
+      for (const accountId of accountIds.filter(Boolean)) {
+        socket.emit("handoffChats", {
+          accountId,
+          chats: isFlowStoreReady() ? flowEngine.getHandoffChats(accountId) : [],
+        });
+      }
+    });
+
+    socket.on("resolveHandoff", ({ chatId, accountId: chatAccountId } = {}) => {
+      const accountId = targetAccountId(chatAccountId);
+      if (!accountId || accountId === ALL_ACCOUNTS || !chatId) return;
+      flowEngine.resolveHandoff(accountId, chatId);
+    });
+
+    // ==================== Chat Assignment ====================
+
+    socket.on("getTeamMembers", async () => {
+      socket.emit("teamMembers", isConvexReady()
+        ? await assignmentsDb.getTeamMembers(socket.data.tokenHash, socket.data.orgId)
+        : []);
+    });
+
+    // Assignments of the viewed account's chats (one event per account in the unified inbox)
+    socket.on("getAssignments", async () => {
+      const accountIds = isAllAccountsView() ? getSocketAccounts().map(a => a.id) : [viewedAccountId()];
+      for (const accountId of accountIds.filter(Boolean)) {
+        socket.emit("assignments", {
+          accountId,
+          assignments: isConvexReady() ? await assignmentsDb.getByAccountId(accountId) : [],
+        });
+      }
+    });
+
+    // Whether every id is an active member of the workspace who may use the account (Convex checks
+    // it again when saving)
+    const areTeamMembers = async (accountId, ids) => {
+      const members = await assignmentsDb.getTeamMembers(socket.data.tokenHash, socket.data.orgId, accountId);
+      return ids.every(id => members.some(member => member.id === id));
+    };
+
+    // Assign a chat to a team member (assigneeId null = unassign)
+    socket.on("assignChat", async ({ userId, chatId, accountId: chatAccountId, assigneeId } = {}) => {
+      if (!userId || !chatId || !isConvexReady()) return;
+      const accountId = targetAccountId(chatAccountId);
+      if (!accountId || accountId === ALL_ACCOUNTS) return;
+      if (assigneeId && !(await areTeamMembers(accountId, [assigneeId]))) {
+        socket.emit("assignmentError", { message: "عضو الفريق لا يملك صلاحية على هذا الحساب" });
+        return;
+      }
+
+      if (!(await chatAssigner.assign(accountId, chatId, assigneeId || null, userId))) {
+        socket.emit("assignmentError", { message: "فشل إسناد المحادثة" });
+      }
+    });
+
+    socket.on("getAssignmentHistory", async ({ chatId, accountId: chatAccountId } = {}) => {
+      const accountId = targetAccountId(chatAccountId);
+      if (!accountId || accountId === ALL_ACCOUNTS || !chatId) return;
+      socket.emit("assignmentHistory", {
+        accountId,
+        chatId,
+        history: isConvexReady() ? await assignmentsDb.getHistory(accountId, chatId) : [],
+      });
+    });
+
+    socket.on("getAssignmentSettings", async ({ userId, accountId } = {}) => {
+      if (!userId || !findSocketAccount(accountId) || !isConvexReady()) return;
+      const settings = await assignmentsDb.getSettings(accountId);
+      if (settings) socket.emit("assignmentSettings", settings);
+    });
+
+    socket.on("saveAssignmentSettings", async ({ userId, accountId, mode, agentIds } = {}) => {
+      if (!userId || !isConvexReady()) return;
+
+      if (!findSocketAccount(accountId)) {
+        socket.emit("assignmentError", { message: "الحساب غير موجود" });
+        return;
+      }
+      const error = validateAssignmentSettings({ mode, agentIds });
+      if (error) {
+        socket.emit("assignmentError", { message: error });
+        return;
+      }
+      if (!(await areTeamMembers(accountId, agentIds))) {
+        socket.emit("assignmentError", { message: "أحد الموظفين لا يملك صلاحية على هذا الحساب" });
+        return;
+      }
+
+      if (!(await assignmentsDb.saveSettings(accountId, mode, [...new Set(agentIds)]))) {
+        socket.emit("assignmentError", { message: "فشل حفظ إعدادات الإسناد" });
+        return;
+      }
+      chatAssigner.invalidate(accountId);
+      socket.emit("assignmentSettingsSaved", { accountId });
+      socket.emit("assignmentSettings", await assignmentsDb.getSettings(accountId));
+    });
+
+    // ==================== Chat Presence ====================
+
+    const leaveViewedChat = () => {
+      const viewed = socket.data.viewedChat;
+      if (!viewed) return;
+      leaveRoom(socket, chatRoom(viewed.accountId, viewed.chatId));
+      socket.data.viewedChat = null;
+      chatPresence.leave(socket.id);
+    };
+
+    // The dashboard opened a chat - announce it and catch up on the chat's last send
+    socket.on("viewChat", ({ chatId, accountId: chatAccountId, userId, userName } = {}) => {
+      const accountId = targetAccountId(chatAccountId);
+      if (!accountId || accountId === ALL_ACCOUNTS || !chatId || !userId) return;
+
+      leaveViewedChat();
+      const name = userName?.trim() || "موظف";
+      socket.data.viewedChat = { accountId, chatId, userId, name };
+      joinRoom(socket, chatRoom(accountId, chatId));
+      chatPresence.view(socket.id, { accountId, chatId, userId, name });
+
+      const lastSent = chatPresence.getLastSent(accountId, chatId);
+      if (lastSent) {
+        socket.emit("agentSent", { accountId, chatId, ...lastSent, elapsed: Date.now() - lastSent.at });
+      }
+    });
+
+    socket.on("leaveChat", leaveViewedChat);
+
+    socket.on("chatTyping", ({ isTyping } = {}) => {
+      chatPresence.setTyping(socket.id, isTyping === true);
+    });
+
+    // ==================== Chat Notes ====================
+
+    const MAX_NOTE_LENGTH = 4000;
+
+    // Notes go to everyone with the chat open, or to the given socket only
+    const emitChatNotes = async (accountId, chatId, toSocket = null) => {
+      const data = {
+        accountId,
+        chatId,
+        notes: isConvexReady() ? await notesDb.getByChat(accountId, chatId) : [],
+      };
+      if (toSocket) {
+        toSocket.emit("chatNotes", data);
+      } else {
+        emitToRoom(chatRoom(accountId, chatId), "chatNotes", data);
+      }
+    };
+
+    socket.on("getChatNotes", async ({ chatId, accountId: chatAccountId } = {}) => {
+      const accountId = targetAccountId(chatAccountId);
+      if (!accountId || accountId === ALL_ACCOUNTS || !chatId) return;
+      await emitChatNotes(accountId, chatId, socket);
+    });
+
+    // Add an internal note; @mentioned users are notified wherever they're signed in
+    socket.on("addChatNote", async ({ userId, userName, chatId, accountId: chatAccountId, messageId, body, mentions } = {}) => {
+      if (!userId || !chatId || !isConvexReady()) return;
+      const accountId = targetAccountId(chatAccountId);
+      if (!accountId || accountId === ALL_ACCOUNTS) return;
+
+      const text = typeof body === "string" ? body.trim() : "";
+      if (!text || text.length > MAX_NOTE_LENGTH) {
+        socket.emit("chatNoteError", { message: `الملاحظة يجب أن تكون بين 1 و ${MAX_NOTE_LENGTH} حرف` });
+        return;
+      }
+
+      const result = await notesDb.create({
+        accountId,
+        chatId,
+        messageId: typeof messageId === "string" ? messageId : null,
+        authorId: userId,
+        body: text,
+        mentions: Array.isArray(mentions) ? mentions.filter(id => typeof id === "string") : [],
+      });
+      if (!result) {
+        socket.emit("chatNoteError", { message: "فشل حفظ الملاحظة" });
+        return;
+      }
+
+      await emitChatNotes(accountId, chatId);
+      if (!socket.rooms.has(chatRoom(accountId, chatId))) await emitChatNotes(accountId, chatId, socket);
+
+      const chat = (accountChats.get(accountId) || []).find(c => c.id === chatId);
+      for (const mentionedId of result.mentions) {
+        emitToRoom(userRoom(mentionedId), "mentionedInNote", {
+          accountId,
+          chatId,
+          chatName: chat?.name || chatId.split("@")[0],
+          authorName: userName?.trim() || "موظف",
+          body: text.slice(0, 200),
+        });
+      }
+    });
+
+    socket.on("deleteChatNote", async ({ userId, noteId } = {}) => {
+      if (!userId || !noteId || !isConvexReady()) return;
+
+      const result = await notesDb.remove(noteId, userId);
+      if (!result) {
+        socket.emit("chatNoteError", { message: "فشل حذف الملاحظة" });
+        return;
+      }
+      await emitChatNotes(result.accountId, result.chatId);
+      if (!socket.rooms.has(chatRoom(result.accountId, result.chatId))) {
+        await emitChatNotes(result.accountId, result.chatId, socket);
+      }
+    });
+
+    // ==================== Contacts ====================
+
+    // Contacts of the viewed account and its custom fields (one event per account in the unified inbox)
+    socket.on("getContacts", async () => {
+      const accountIds = isAllAccountsView() ? getSocketAccounts().map(a => a.id) : [viewedAccountId()];
+      for (const accountId of accountIds.filter(Boolean)) {
+        const [contacts, fields] = isConvexReady()
+          ? await Promise.all([contactsDb.getByAccountId(accountId), contactsDb.getFields(accountId)])
+          : [[], []];
+        socket.emit("contacts", { accountId, contacts, fields });
+      }
+    });
+
+    // Save a contact's tags, custom field values and notes
+    socket.on("updateContact", async ({ userId, chatId, accountId: chatAccountId, tags, fields, notes } = {}) => {
+      if (!userId || !chatId || !isConvexReady()) return;
+      const accountId = targetAccountId(chatAccountId);
+      if (!accountId || accountId === ALL_ACCOUNTS) return;
+
+      const parsed = parseContactInput(await contactsDb.getFields(accountId), { tags, fields, notes });
+      if (parsed.error) {
+        socket.emit("contactError", { message: parsed.error });
+        return;
+      }
+
+      const contact = await contactsDb.update(accountId, chatId, parsed.contact);
+      if (!contact) {
+        socket.emit("contactError", { message: "فشل حفظ بيانات جهة الاتصال" });
+        return;
+      }
+      socket.emit("contactSaved", { accountId, chatId });
+      emitToAccount(accountId, "contactUpdated", { chatId, contact });
+    });
+
+    // Field changes reach the editor and everyone viewing the account
+    const emitContactFields = async (accountId) => {
+      const payload = { accountId, fields: await contactsDb.getFields(accountId) };
+      socket.emit("contactFields", payload);
+      socket.to(accountRoom(accountId)).emit("contactFields", payload);
+    };
+
+    socket.on("getContactFields", async ({ userId, accountId } = {}) => {
+      if (!userId || !findSocketAccount(accountId) || !isConvexReady()) {
+        socket.emit("contactFields", { accountId, fields: [] });
+        return;
+      }
+      socket.emit("contactFields", { accountId, fields: await contactsDb.getFields(accountId) });
+    });
+
+    // Create (no fieldId) or update a custom field
+    socket.on("saveContactField", async ({ userId, accountId, fieldId, name, type, options } = {}) => {
+      if (!userId || !isConvexReady()) return;
+
+      if (!findSocketAccount(accountId)) {
+        socket.emit("contactError", { message: "الحساب غير موجود" });
+        return;
+      }
+      const parsed = parseFieldDefinition({ name, type, options });
+      if (parsed.error) {
+        socket.emit("contactError", { message: parsed.error });
+        return;
+      }
+
+      const result = fieldId
+        ? await contactsDb.updateField(fieldId, accountId, parsed.field)
+        : await contactsDb.createField(accountId, parsed.field);
+      if (!result) {
+        socket.emit("contactError", { message: "فشل حفظ الحقل" });
+        return;
+      }
+      socket.emit("contactFieldSaved", { accountId });
+      await emitContactFields(accountId);
+    });
+
+    socket.on("deleteContactField", async ({ userId, accountId, fieldId } = {}) => {
+      if (!userId || !fieldId || !findSocketAccount(accountId) || !isConvexReady()) return;
+
+      if (!(await contactsDb.removeField(fieldId, accountId))) {
+        socket.emit("contactError", { message: "فشل حذف الحقل" });
+        return;
+      }
+      await emitContactFields(accountId);
+    });
+
+    // ==================== Canned Replies ====================
+
+    // Replies usable in an account's chats (its own and the team-wide ones)
+    socket.on("getCannedReplies", async ({ userId, accountId } = {}) => {
+      const replies = userId && findSocketAccount(accountId) && isConvexReady()
+        ? await cannedRepliesDb.getForAccount(accountId)
+        : [];
+      socket.emit("cannedReplies", { accountId, replies });
+    });
+
+    // Replies of another account or workspace can't be edited through this one
+    const findEditableReply = async (replyId) => {
+      const reply = await cannedRepliesDb.getById(replyId);
+      if (!reply) return null;
+      if (reply.accountId ? !findSocketAccount(reply.accountId) : reply.orgId !== socket.data.orgId) return null;
+      return reply;
+    };
+
+    // Shared replies show up in every account of the workspace, so settings managers edit them
+    const SHARED_REPLY_DENIED = "الردود المشتركة تحتاج صلاحية إدارة الإعدادات";
+    const canEditSharedReplies = () => hasPermission(socket.data.user, "manageSettings");
+
+    // Viewers of the accounts that list a reply refetch theirs (a shared reply: every account of
+    // the workspace)
+    const emitCannedRepliesChanged = (...replyAccountIds) => {
+      const accountIds = replyAccountIds.some(id => !id) ? getSocketAccounts().map(a => a.id) : replyAccountIds;
+      new Set(accountIds).forEach(id => emitToAccount(id, "cannedRepliesChanged"));
+    };
+
+    // Create (no replyId) or update a reply; shared replies show up in every account of the workspace
+    socket.on("saveCannedReply", async ({ userId, accountId, replyId, shared, shortcut, title, body, mediaUrl } = {}) => {
+      if (!userId || !isConvexReady()) return;
+
+      const account = findSocketAccount(accountId);
+      if (!account) {
+        socket.emit("cannedReplyError", { message: "الحساب غير موجود" });
+        return;
+      }
+      const existing = replyId ? await findEditableReply(replyId) : null;
+      if (replyId && !existing) {
+        socket.emit("cannedReplyError", { message: "الرد غير موجود" });
+        return;
+      }
+      if ((shared || (existing && !existing.accountId)) && !canEditSharedReplies()) {
+        socket.emit("cannedReplyError", { message: SHARED_REPLY_DENIED });
+        return;
+      }
+      const parsed = parseCannedReply(
+        { shortcut, title, body, mediaUrl },
+        await cannedRepliesDb.getForAccount(accountId),
+        replyId
+      );
+      if (parsed.error) {
+        socket.emit("cannedReplyError", { message: parsed.error });
+        return;
+      }
+
+      // Media is downloaded by the server when the reply is sent, so only settings managers add it
+      if (parsed.reply.mediaUrl && parsed.reply.mediaUrl !== existing?.mediaUrl && !hasPermission(socket.data.user, "manageSettings")) {
+        socket.emit("cannedReplyError", { message: "إضافة رابط وسائط تحتاج صلاحية إدارة الإعدادات" });
+        return;
+      }
+
+      const data = { ...parsed.reply, accountId: shared ? null : accountId, orgId: shared ? account.orgId : null };
+      const result = replyId
+        ? await cannedRepliesDb.update(replyId, data)
+        : await cannedRepliesDb.create({ ...data, createdBy: userId });
+      if (!result) {
+        socket.emit("cannedReplyError", { message: "فشل حفظ الرد" });
+        return;
+      }
+      socket.emit("cannedReplySaved", { accountId });
+      emitCannedRepliesChanged(data.accountId, ...(existing ? [existing.accountId] : []));
+    });
 
-          // Emit progress after each batch
-          const progress = Math.round(5 + (batchEnd / totalChats) * 93);
-          socket.emit("syncProgress", { 
-            status: "processing", 
-            message: `⚡ تم معالجة ${batchEnd} من ${totalChats} محادثة`,
-            progress: progress,
-            total: totalChats,
-            current: batchEnd
-          });
-          
-          // Update Convex progress
-          if (isConvexReady()) {
-            syncStatusDb.updateProgress(currentAccountId, batchEnd, totalChats, `Batch ${Math.ceil(batchEnd/PARALLEL_BATCH_SIZE)}`).catch(() => {});
-          }
+    socket.on("deleteCannedReply", async ({ userId, replyId } = {}) => {
+      if (!userId || !replyId || !isConvexReady()) return;
 
-          console.log(`Fast synced batch: ${batchEnd}/${totalChats} (${Date.now() - syncStartTime}ms elapsed)`);
-          
-          // Yield to event loop between batches
-          await new Promise(resolve => setImmediate(resolve));
-        }
+      const reply = await findEditableReply(replyId);
+      if (reply && !reply.accountId && !canEditSharedReplies()) {
+        socket.emit("cannedReplyError", { message: SHARED_REPLY_DENIED });
+        return;
+      }
+      if (!reply || !(await cannedRepliesDb.remove(replyId))) {
+        socket.emit("cannedReplyError", { message: "فشل حذف الرد" });
+        return;
+      }
+      emitCannedRepliesChanged(reply.accountId);
+    });
 
-        // Save remaining batch to Convex
-        if (convexBatch.length > 0 && isConvexReady()) {
-          await chatsDb.batchUpsert(currentAccountId, convexBatch).catch(e => 
-            console.error("Error saving final batch to Convex:", e.message)
-          );
-        }
+    // Insert a reply in a chat: variables are filled in for the chat, media becomes an attachment
+    // that points at the reply (downloaded when the message is sent), and the use is counted
+    socket.on("useCannedReply", async ({ userName, chatId, accountId: chatAccountId, replyId } = {}) => {
+      if (!chatId || !replyId || !isConvexReady()) return;
+      const accountId = targetAccountId(chatAccountId);
+      if (!accountId || accountId === ALL_ACCOUNTS) return;
 
-        // Update account chats
-        setCurrentChats(processedChats);
+      const reply = await cannedRepliesDb.getById(replyId);
+      if (!reply || !isReplyForAccount(reply, accountId)) {
+        socket.emit("cannedReplyError", { message: "الرد غير موجود" });
+        return;
+      }
 
-        // Calculate sync time
-        const syncDuration = ((Date.now() - syncStartTime) / 1000).toFixed(1);
+      const chat = (await getAccountChats(accountId)).find(c => c.id === chatId);
+      const text = renderCannedReply(reply.body, {
+        contactName: chat?.name,
+        contactPhone: chat?.phone || chatId.split("@")[0],
+        agentName: userName,
+        accountName: accounts.find(a => a.id === accountId)?.name,
+      });
 
-        // Emit completion
-        let successMessage;
-        if (incrementalOnly && unchangedCount > 0) {
-          successMessage = `✅ تم تحديث ${successCount} محادثة (${unchangedCount} بدون تغيير) في ${syncDuration} ثانية`;
-        } else if (errorCount > 0) {
-          successMessage = `✅ تم مزامنة ${successCount} محادثة (${errorCount} أخطاء) في ${syncDuration} ثانية`;
-        } else {
-          successMessage = `✅ تم مزامنة ${successCount} محادثة في ${syncDuration} ثانية فقط!`;
-        }
+      const attachment = reply.mediaUrl ? { kind: "cannedReply", replyId } : null;
 
-        console.log(`FAST SYNC COMPLETE: ${successCount} chats in ${syncDuration}s`);
-        
-        // Update Convex completion status
-        if (isConvexReady()) {
-          await syncStatusDb.complete(currentAccountId, totalChats).catch(() => {});
-          eventsDb.log(currentAccountId, "sync_complete", 
-            `Fast synced ${successCount} chats in ${syncDuration}s`
-          ).catch(() => {});
-        }
-        
-        socket.emit("syncProgress", { 
-          status: "completed", 
-          message: successMessage,
-          progress: 100,
-          total: totalChats,
-          current: totalChats,
-          successCount: successCount,
-          errorCount: errorCount,
-          unchangedCount: unchangedCount,
-          duration: syncDuration
-        });
+      await cannedRepliesDb.recordUse(replyId);
+      socket.emit("cannedReplyRendered", { accountId, chatId, replyId, title: reply.title, text, attachment });
+    });
 
-        // Broadcast to all clients that sync is complete
-        io.emit("syncComplete", { 
-          total: processedChats.length,
-          success: successCount,
-          errors: errorCount,
-          unchanged: unchangedCount,
-          duration: syncDuration
-        });
+    // ==================== Sales Pipeline ====================
 
-        // Send complete chats array as final confirmation
-        const finalChats = await getCurrentChats();
-        socket.emit("chats", finalChats);
+    // Stages, deals and stage changes of an account; the board gives a new account the default stages
+    const getPipeline = async (accountId, { withDefaults = false } = {}) => {
+      let stages = await pipelineDb.getStages(accountId);
+      if (stages.length === 0 && withDefaults) {
+        await pipelineDb.saveStages(accountId, DEFAULT_STAGES);
+        stages = await pipelineDb.getStages(accountId);
+      }
+      const [deals, changes] = await Promise.all([
+        pipelineDb.getDeals(accountId),
+        pipelineDb.getStageChanges(accountId),
+      ]);
+      return { accountId, stages, deals, changes };
+    };
 
-      } catch (error) {
-        console.error("Sync error:", error);
-        socket.emit("syncProgress", { 
-          status: "error", 
-          message: `❌ حدث خطأ: ${error.message}`,
-          progress: 0,
-          total: 0,
-          current: 0
-        });
-        socket.emit("chatsError", { message: error.message });
-        
-        // Log error to Convex
-        if (isConvexReady()) {
-          await syncStatusDb.fail(currentAccountId, error.message).catch(() => {});
-        }
-      } finally {
-        syncInProgress = false;
-        syncCancelled = false;
+    const emitPipeline = async (accountId) => {
+      emitToRoom(pipelineRoom(accountId), "pipeline", await getPipeline(accountId));
+    };
+
+    const leavePipeline = () => {
+      for (const room of [...socket.rooms]) {
+        if (room.startsWith("pipeline:") || room.startsWith("masked:pipeline:")) socket.leave(room);
+      }
+    };
+
+    // Open an account's board
+    socket.on("getPipeline", async ({ userId, accountId } = {}) => {
+      if (!userId || !findSocketAccount(accountId) || !isConvexReady()) {
+        socket.emit("pipeline", { accountId, stages: [], deals: [], changes: [] });
+        return;
       }
+      leavePipeline();
+      joinRoom(socket, pipelineRoom(accountId));
+      socket.emit("pipeline", await getPipeline(accountId, { withDefaults: true }));
     });
 
-    // Quick sync - for refreshing without full re-sync
-    socket.on("quickSync", async () => {
-      if (!isReady) {
-        socket.emit("chatsError", { message: "WhatsApp not ready" });
+    socket.on("leavePipeline", leavePipeline);
+
+    socket.on("savePipelineStages", async ({ userId, accountId, stages } = {}) => {
+      if (!userId || !isConvexReady()) return;
+
+      if (!findSocketAccount(accountId)) {
+        socket.emit("pipelineError", { message: "الحساب غير موجود" });
+        return;
+      }
+      const { stages: currentStages, deals } = await getPipeline(accountId);
+      const parsed = parseStages(stages, currentStages, deals);
+      if (parsed.error) {
+        socket.emit("pipelineError", { message: parsed.error });
         return;
       }
 
-      try {
-        console.log("Quick sync started...");
-        socket.emit("syncProgress", {
-          status: "quick",
-          message: "🚀 مزامنة سريعة...",
-          progress: 50,
-          total: 0,
-          current: 0
-        });
+      if (!(await pipelineDb.saveStages(accountId, parsed.stages))) {
+        socket.emit("pipelineError", { message: "فشل حفظ المراحل" });
+        return;
+      }
+      socket.emit("pipelineStagesSaved", { accountId });
+      await emitPipeline(accountId);
+    });
 
-        const allChats = await whatsappClient.getChats();
-        
-        // Update ALL chats timestamps and unread counts using fast processing
-        const quickUpdates = allChats.map(chat => {
-          const phoneNumber = chat.id._serialized.split("@")[0];
-          let lastMessageBody = null;
-          let lastMessageFromMe = false;
-          let lastMessageType = "chat";
-          
-          if (chat.lastMessage) {
-            lastMessageBody = chat.lastMessage.body || typeLabels[chat.lastMessage.type] || "";
-            lastMessageFromMe = chat.lastMessage.fromMe || false;
-            lastMessageType = chat.lastMessage.type || "chat";
-          }
-          
-          return {
-            id: chat.id._serialized,
-            name: chat.name || chat.id.user || phoneNumber || "Unknown",
-            unreadCount: chat.unreadCount || 0,
-            timestamp: chat.timestamp || Date.now() / 1000,
-            lastMessageBody: lastMessageBody,
-            lastMessageFromMe: lastMessageFromMe,
-            lastMessageType: lastMessageType,
-          };
-        });
+    // Put a chat on the board, or edit its deal's value and title
+    socket.on("saveDeal", async ({ userId, accountId, chatId, stageId, value, title } = {}) => {
+      if (!userId || !chatId || !isConvexReady()) return;
 
-        socket.emit("quickSyncData", quickUpdates);
-        socket.emit("syncProgress", {
-          status: "completed",
-          message: `✅ تم تحديث ${quickUpdates.length} محادثة بسرعة`,
-          progress: 100,
-          total: quickUpdates.length,
-          current: quickUpdates.length
-        });
-        
-        // Broadcast quick sync updates to all clients
-        io.emit("quickSyncComplete", { count: quickUpdates.length });
+      if (!findSocketAccount(accountId)) {
+        socket.emit("pipelineError", { message: "الحساب غير موجود" });
+        return;
+      }
+      const parsed = parseDealInput({ value, title });
+      if (parsed.error) {
+        socket.emit("pipelineError", { message: parsed.error });
+        return;
+      }
 
-      } catch (error) {
-        console.error("Quick sync error:", error);
-        socket.emit("chatsError", { message: error.message });
+      const deal = await pipelineDb.saveDeal({ accountId, chatId, stageId, userId, ...parsed.deal });
+      if (!deal) {
+        socket.emit("pipelineError", { message: "فشل حفظ الصفقة" });
+        return;
       }
+      socket.emit("dealSaved", { accountId, dealId: deal.id });
+      await emitPipeline(accountId);
     });
 
-    // Incremental sync - only syncs changed chats
-    socket.on("incrementalSync", async () => {
-      if (!isReady) {
-        socket.emit("chatsError", { message: "WhatsApp not ready" });
+    // Drag a deal to another stage - who moved it and when is kept for the analytics
+    socket.on("moveDeal", async ({ userId, accountId, dealId, stageId } = {}) => {
+      if (!userId || !dealId || !stageId || !findSocketAccount(accountId) || !isConvexReady()) return;
+
+      const result = await pipelineDb.moveDeal(dealId, accountId, stageId, userId);
+      if (!result) {
+        socket.emit("pipelineError", { message: "فشل نقل الصفقة" });
+      }
+      // Also sent on failure, so the board drops its optimistic move
+      await emitPipeline(accountId);
+    });
+
+    socket.on("deleteDeal", async ({ userId, accountId, dealId } = {}) => {
+      if (!userId || !dealId || !findSocketAccount(accountId) || !isConvexReady()) return;
+
+      if (!(await pipelineDb.removeDeal(dealId, accountId))) {
+        socket.emit("pipelineError", { message: "فشل حذف الصفقة" });
         return;
       }
+      await emitPipeline(accountId);
+    });
 
-      console.log("Starting incremental sync...");
-      socket.emit("syncProgress", {
-        status: "incremental",
-        message: "🔄 مزامنة تدريجية...",
-        progress: 10,
-        total: 0,
-        current: 0
+    // Pipeline data of the viewed accounts for the analytics page (one event per account)
+    socket.on("getPipelineAnalytics", async () => {
+      const accountIds = isAllAccountsView() ? getSocketAccounts().map(a => a.id) : [viewedAccountId()];
+      for (const accountId of accountIds.filter(Boolean)) {
+        socket.emit("pipelineAnalytics", isConvexReady()
+          ? await getPipeline(accountId)
+          : { accountId, stages: [], deals: [], changes: [] });
+      }
+    });
+
+    // ==================== Response Analytics ====================
+
+    // Range and accounts of an analytics request, or null after reporting the error.
+    // accountId narrows the unified inbox down to one account; scope is what the answer is for
+    // (that account, or the viewed one)
+    const parseAnalyticsRequest = ({ from, to, timezoneOffset, accountId }) => {
+      if (!isMessageStoreReady()) {
+        socket.emit("responseAnalyticsError", { message: "سجل الرسائل غير متاح" });
+        return null;
+      }
+
+      const { range, error } = parseAnalyticsRange({ from, to, timezoneOffset });
+      if (error) {
+        socket.emit("responseAnalyticsError", { message: error });
+        return null;
+      }
+
+      const socketAccountIds = getSocketAccounts().map(a => a.id);
+      if (socketAccountIds.includes(accountId)) return { range, scope: accountId, accountIds: [accountId] };
+      return {
+        range,
+        scope: viewedAccountId(),
+        accountIds: isAllAccountsView() ? socketAccountIds : [viewedAccountId()].filter(Boolean),
+      };
+    };
+
+    // Response times of a date range, from the local message store. The metrics of several
+    // accounts are computed together
+    socket.on("getResponseAnalytics", ({ from, to, timezoneOffset, accountId } = {}) => {
+      const request = parseAnalyticsRequest({ from, to, timezoneOffset, accountId });
+      if (!request) return;
+      const { range, scope, accountIds } = request;
+
+      // Read past the range end so a customer coming back right after it still counts
+      const timelines = accountIds.map(id => messageStore.getTimeline(id, range.from, range.to + CONVERSATION_GAP));
+      socket.emit("responseAnalytics", {
+        from,
+        to,
+        accountId: scope,
+        ...computeResponseAnalytics(timelines, range),
       });
+    });
 
-      // Trigger incremental sync
-      socket.emit("syncAllChats", { incrementalOnly: true });
+    // Messages received / sent, active and new chats per day, for each account of the request
+    socket.on("getDailyStats", ({ from, to, timezoneOffset, accountId } = {}) => {
+      const request = parseAnalyticsRequest({ from, to, timezoneOffset, accountId });
+      if (!request) return;
+      const { range, scope, accountIds } = request;
+
+      socket.emit("dailyStats", {
+        from,
+        to,
+        accountId: scope,
+        accounts: accountIds.map(id => ({
+          accountId: id,
+          days: fillDailyCounts(messageStore.getDailyCounts(id, range.from, range.to, range.timezoneOffset), range),
+        })),
+      });
     });
 
-    // Get sync status from Convex
-    socket.on("getSyncStatus", async () => {
-      if (!isConvexReady()) {
-        socket.emit("syncStatusData", null);
+    // Messages sent, chats handled, reply times and open assigned conversations of each team member
+    socket.on("getAgentAnalytics", async ({ from, to, timezoneOffset, accountId } = {}) => {
+      const request = parseAnalyticsRequest({ from, to, timezoneOffset, accountId });
+      if (!request) return;
+      const { range, scope, accountIds } = request;
+
+      const newAgent = (userId, name) =>
+        ({ userId, name, sent: 0, chats: 0, replies: 0, averageReply: null, medianReply: null, open: 0 });
+
+      // Every active team member is listed, even without activity in the range
+      const members = isConvexReady()
+        ? await assignmentsDb.getTeamMembers(socket.data.tokenHash, socket.data.orgId)
+        : [];
+      const agents = new Map(members.map(m => [m.id, newAgent(m.id, m.name)]));
+      const getAgent = (userId) => {
+        if (!agents.has(userId)) agents.set(userId, newAgent(userId, null));
+        return agents.get(userId);
+      };
+
+      for (const id of accountIds) {
+        for (const activity of messageStore.getAgentActivity(id, range.from, range.to)) {
+          const agent = getAgent(activity.userId);
+          agent.sent += activity.sent;
+          agent.chats += activity.chats;
+        }
+      }
+
+      const timelines = accountIds.map(id => messageStore.getTimeline(id, range.from, range.to + CONVERSATION_GAP));
+      for (const { agentId, replies, average, median } of computeResponseAnalytics(timelines, range).byAgent) {
+        Object.assign(getAgent(agentId), { replies, averageReply: average, medianReply: median });
+      }
+
+      // Open conversations are counted now, whatever the range
+      if (isConvexReady()) {
+        for (const id of accountIds) {
+          const lastMessages = new Map(messageStore.getLastMessages(id).map(m => [m.chatId, m]));
+          for (const assignment of await assignmentsDb.getByAccountId(id)) {
+            if (isConversationOpen(lastMessages.get(assignment.chatId))) getAgent(assignment.assigneeId).open++;
+          }
+        }
+      }
+
+      socket.emit("agentAnalytics", { from, to, accountId: scope, agents: [...agents.values()] });
+    });
+
+    // ==================== Analytics Reports ====================
+
+    // Build a report of the analytics page's range and send it back for download
+    socket.on("generateReport", async ({ from, to, timezoneOffset, accountId, format } = {}) => {
+      if (!REPORT_FORMATS.includes(format)) {
+        socket.emit("reportError", { message: "صيغة التقرير غير مدعومة" });
         return;
       }
+      const request = parseAnalyticsRequest({ from, to, timezoneOffset, accountId });
+      if (!request) return;
 
+      const reportAccounts = accounts
+        .filter(a => request.accountIds.includes(a.id))
+        .map(a => ({ id: a.id, name: a.name }));
       try {
-        const status = await syncStatusDb.get(currentAccountId);
-        socket.emit("syncStatusData", status);
-      } catch (e) {
-        console.error("Error getting sync status:", e.message);
-        socket.emit("syncStatusData", null);
+        const { files, error } = await reportGenerator.generate({
+          from,
+          to,
+          timezoneOffset: request.range.timezoneOffset,
+          accounts: reportAccounts,
+          formats: [format],
+        });
+        if (error) {
+          socket.emit("reportError", { message: error });
+          return;
+        }
+        const [file] = files;
+        socket.emit("reportGenerated", { filename: file.filename, mimeType: file.contentType, data: file.content });
+      } catch (error) {
+        console.error("Error generating report:", error.message);
+        socket.emit("reportError", { message: "فشل إنشاء التقرير" });
+      }
+    });
+
+    const findUserReportSchedule = (userId, scheduleId) => {
+      const schedule = reportStore.get(scheduleId);
+      return schedule && schedule.userId === userId ? schedule : null;
+    };
+
+    socket.on("getReportSchedules", ({ userId } = {}) => {
+      socket.emit("reportSchedules", { schedules: userId ? reportStore.listForUser(userId) : [] });
+    });
+
+    // Create (no scheduleId) or update a schedule; no accountId = all the workspace's accounts,
+    // which only its admins may report on
+    socket.on("saveReportSchedule", ({ userId, scheduleId, accountId, ...input } = {}) => {
+      if (!userId) return;
+      if (!isReportStoreReady()) {
+        socket.emit("reportError", { message: "قاعدة البيانات المحلية غير متاحة" });
+        return;
+      }
+      if (accountId && !findSocketAccount(accountId)) {
+        socket.emit("reportError", { message: "الحساب غير موجود" });
+        return;
+      }
+      if (!accountId && !isOrgAdmin()) {
+        socket.emit("reportError", { message: "اختر حساباً - تقارير كل الحسابات لمدير مساحة العمل فقط" });
+        return;
+      }
+      if (scheduleId && !findUserReportSchedule(userId, scheduleId)) {
+        socket.emit("reportError", { message: "التقرير المجدول غير موجود" });
+        return;
+      }
+      const { schedule, error } = parseReportSchedule(input);
+      if (error) {
+        socket.emit("reportError", { message: error });
+        return;
+      }
+
+      const orgId = socket.data.orgId;
+      const saved = scheduleId
+        ? reportStore.update(scheduleId, { orgId, accountId, ...schedule })
+        : reportStore.create({ userId, orgId, accountId, ...schedule });
+      console.log(`Report schedule ${saved.id} saved (${saved.frequency}, next ${new Date(saved.nextRunAt).toISOString()})`);
+      socket.emit("reportScheduleSaved", saved);
+      socket.emit("reportSchedules", { schedules: reportStore.listForUser(userId) });
+    });
+
+    socket.on("deleteReportSchedule", ({ userId, scheduleId } = {}) => {
+      if (!findUserReportSchedule(userId, scheduleId)) return;
+      reportStore.remove(scheduleId);
+      socket.emit("reportSchedules", { schedules: reportStore.listForUser(userId) });
+    });
+
+    // ==================== Broadcast Campaigns ====================
+
+    const MAX_CAMPAIGN_RECIPIENTS = 10000;
+    const MIN_CAMPAIGN_DELAY = 3000; // Never send faster than one message every 3 seconds
+
+    // Campaigns visible to a user: those of the workspace's accounts they may use
+    const getUserCampaigns = (userId) =>
+      campaignStore.list().filter(c => (!c.userId || c.userId === userId) && findSocketAccount(c.accountId));
+
+    const findUserCampaign = (userId, campaignId) =>
+      getUserCampaigns(userId).find(c => c.id === campaignId);
+
+    socket.on("getCampaigns", ({ userId } = {}) => {
+      socket.emit("campaigns", {
+        campaigns: getUserCampaigns(userId),
+        defaults: CAMPAIGN_DEFAULTS,
+      });
+    });
+
+    // Create a campaign from parsed spreadsheet rows
+    socket.on("createCampaign", ({ userId, name, template, phoneColumn, rows, minDelay, maxDelay, dailyCap, start = true } = {}) => {
+      if (!isCampaignStoreReady()) {
+        socket.emit("campaignError", { message: "قاعدة البيانات المحلية غير متاحة" });
+        return;
+      }
+      const accountId = viewedAccountId();
+      if (!accountId) {
+        socket.emit("campaignError", { message: "لا يوجد حساب نشط" });
+        return;
+      }
+      if (accountId === ALL_ACCOUNTS) {
+        socket.emit("campaignError", { message: "اختر الحساب الذي سترسل الحملة من خلاله" });
+        return;
+      }
+      if (!name?.trim() || !template?.trim()) {
+        socket.emit("campaignError", { message: "اسم الحملة ونص الرسالة مطلوبان" });
+        return;
+      }
+      if (!Array.isArray(rows) || rows.length === 0) {
+        socket.emit("campaignError", { message: "الملف لا يحتوي على جهات اتصال" });
+        return;
       }
-    });
-
-    // Force sync from Convex (load cached data)
-    socket.on("loadFromCloud", async () => {
-      if (!isConvexReady()) {
-        socket.emit("chatsError", { message: "Convex not ready" });
+      if (rows.length > MAX_CAMPAIGN_RECIPIENTS) {
+        socket.emit("campaignError", { message: `الحد الأقصى ${MAX_CAMPAIGN_RECIPIENTS} جهة اتصال لكل حملة` });
+        return;
+      }
+      if (!phoneColumn || !rows.some(row => row && row[phoneColumn] !== undefined)) {
+        socket.emit("campaignError", { message: "يرجى اختيار عمود رقم الهاتف" });
         return;
       }
 
+      const min = Math.max(MIN_CAMPAIGN_DELAY, Number(minDelay) || CAMPAIGN_DEFAULTS.minDelay);
+      const max = Math.max(min, Number(maxDelay) || CAMPAIGN_DEFAULTS.maxDelay);
+      const cap = Math.max(1, Math.floor(Number(dailyCap) || CAMPAIGN_DEFAULTS.dailyCap));
+
       try {
-        console.log("Loading chats from Convex...");
-        socket.emit("syncProgress", {
-          status: "loading",
-          message: "☁️ جاري التحميل من السحابة...",
-          progress: 50,
-          total: 0,
-          current: 0
+        const campaign = campaignStore.create({
+          accountId,
+          userId,
+          name: name.trim(),
+          template,
+          phoneColumn,
+          rows: rows.filter(row => row && typeof row === "object"),
+          minDelay: min,
+          maxDelay: max,
+          dailyCap: cap,
+          start,
         });
 
-        const cloudChats = await chatsDb.getByAccountId(currentAccountId);
-        
-        if (cloudChats && cloudChats.length > 0) {
-          accountChats.set(currentAccountId, cloudChats);
-          socket.emit("chats", cloudChats);
-          socket.emit("syncProgress", {
-            status: "completed",
-            message: `☁️ تم تحميل ${cloudChats.length} محادثة من السحابة`,
-            progress: 100,
-            total: cloudChats.length,
-            current: cloudChats.length
-          });
-          console.log(`Loaded ${cloudChats.length} chats from Convex`);
-        } else {
-          socket.emit("syncProgress", {
-            status: "completed",
-            message: "📭 لا توجد محادثات في السحابة",
-            progress: 100,
-            total: 0,
-            current: 0
-          });
-        }
+        console.log(`Campaign created: ${campaign.name} (${campaign.counts.total} recipients)`);
+        socket.emit("campaignCreated", campaign);
+        emitCampaignUpdate(campaign);
+        campaignRunner.wake();
       } catch (error) {
-        console.error("Error loading from Convex:", error);
-        socket.emit("chatsError", { message: error.message });
+        console.error("Error creating campaign:", error.message);
+        socket.emit("campaignError", { message: "فشل إنشاء الحملة" });
       }
     });
 
-    // ==================== Account Management ====================
-    
-    // Get all accounts (filtered by userId if provided)
-    socket.on("getAccounts", (data) => {
-      const userId = data?.userId;
-      console.log("Getting accounts...", userId ? `for user: ${userId}` : "all");
-      
-      let filteredAccounts = accounts;
-      
-      // If userId is provided, filter accounts by userId
-      if (userId) {
-        // Get accounts that belong to this user OR have no userId (legacy accounts)
-        filteredAccounts = accounts.filter(a => !a.userId || a.userId === userId);
-        
-        // If there are legacy accounts (without userId), assign them to this user (first login gets them)
-        // This is for admin user who had accounts before userId was implemented
-        const legacyAccounts = filteredAccounts.filter(a => !a.userId);
-        if (legacyAccounts.length > 0) {
-          console.log(`Found ${legacyAccounts.length} legacy accounts, keeping for user`);
-          // Don't auto-assign to maintain backward compatibility
-        }
-        
-        // ONLY create new account if NO accounts exist at all for this user
-        if (filteredAccounts.length === 0) {
-          console.log("No accounts for user, creating default account...");
-          const defaultAccount = {
-            id: `account_${Date.now()}`,
-            name: "حسابي",
-            phone: null,
-            isActive: true,
-            userId: userId
-          };
-          accounts.push(defaultAccount);
-          saveAccounts(accounts);
-          filteredAccounts = [defaultAccount];
-          
-          // Set as current account
-          currentAccountId = defaultAccount.id;
-          
-          // Initialize this account (request QR) - ONLY for NEW accounts
-          setTimeout(() => {
-            initializeAccount(defaultAccount.id);
-          }, 500);
-        } else {
-          // Use existing active account or first available
-          const activeAccount = filteredAccounts.find(a => a.isActive) || filteredAccounts[0];
-          if (activeAccount && currentAccountId !== activeAccount.id) {
-            console.log("Using existing account:", activeAccount.id);
-            currentAccountId = activeAccount.id;
-            
-            // Check if this account already has a ready client
-            const existingClient = whatsappClients.get(activeAccount.id);
-            const isClientReady = clientReadyStates.get(activeAccount.id);
-            
-            if (existingClient && isClientReady) {
-              console.log("Client already ready for this account");
-              isReady = true;
-              whatsappClient = existingClient;
-              socket.emit("status", { isReady: true });
-            } else {
-              // Initialize the account
-              console.log("Initializing existing account...");
-              initializeAccount(activeAccount.id);
-            }
-          }
-        }
+    // Pause / resume / cancel a campaign
+    const setCampaignStatus = (userId, campaignId, status, allowedFrom) => {
+      const campaign = findUserCampaign(userId, campaignId);
+      if (!campaign) {
+        socket.emit("campaignError", { message: "الحملة غير موجودة" });
+        return;
       }
-      
-      socket.emit("accounts", filteredAccounts);
-      socket.emit("currentAccount", currentAccountId);
+      if (!allowedFrom.includes(campaign.status)) return;
+
+      campaignStore.setStatus(campaignId, status);
+      emitCampaignUpdate(campaignStore.get(campaignId));
+      if (status === "running") campaignRunner.wake();
+    };
+
+    socket.on("pauseCampaign", ({ userId, campaignId } = {}) => {
+      setCampaignStatus(userId, campaignId, "paused", ["running"]);
     });
 
-    // Add new account
-    socket.on("addAccount", ({ name, userId }) => {
-      console.log("Adding new account:", name, "for user:", userId);
-      
-      if (!name || !name.trim()) {
-        console.log("Account name is empty, ignoring");
+    socket.on("resumeCampaign", ({ userId, campaignId } = {}) => {
+      setCampaignStatus(userId, campaignId, "running", ["paused"]);
+    });
+
+    socket.on("cancelCampaign", ({ userId, campaignId } = {}) => {
+      setCampaignStatus(userId, campaignId, "cancelled", ["running", "paused"]);
+    });
+
+    socket.on("deleteCampaign", ({ userId, campaignId } = {}) => {
+      const campaign = findUserCampaign(userId, campaignId);
+      if (!campaign || campaign.status === "running") {
+        socket.emit("campaignError", { message: "لا يمكن حذف حملة قيد التشغيل" });
         return;
       }
-      
-      const newAccount = {
-        id: `account_${Date.now()}`,
-        name: name.trim(),
-        phone: null,
-        isActive: false,
-        userId: userId || null
-      };
-      
-      accounts.push(newAccount);
-      saveAccounts(accounts);
-      
-      console.log("Account added successfully:", newAccount.id);
-      socket.emit("accountAdded", newAccount);
-      
-      // Send filtered accounts based on userId
-      if (userId) {
-        const filteredAccounts = accounts.filter(a => !a.userId || a.userId === userId);
-        socket.emit("accounts", filteredAccounts);
-      } else {
-        socket.emit("accounts", accounts);
-      }
+      campaignStore.remove(campaignId);
+      socket.emit("campaigns", { campaigns: getUserCampaigns(userId), defaults: CAMPAIGN_DEFAULTS });
     });
 
-    // Switch to different account
-    socket.on("switchAccount", async ({ accountId }) => {
-      console.log("Switching to account:", accountId);
-      
-      const account = accounts.find(a => a.id === accountId);
-      if (!account) {
-        console.log("Account not found:", accountId);
+    // Per-recipient status of a campaign
+    socket.on("getCampaignRecipients", ({ userId, campaignId, limit = 500, offset = 0 } = {}) => {
+      if (!findUserCampaign(userId, campaignId)) return;
+      socket.emit("campaignRecipients", {
+        campaignId,
+        recipients: campaignStore.getRecipients(campaignId, limit, offset),
+      });
+    });
+
+    // ==================== Scheduled Messages ====================
+
+    const MIN_SCHEDULE_LEAD = 30 * 1000; // Allow a little clock skew between browser and server
+
+    // Validate schedule input shared by create and edit; returns an error message or null
+    const validateSchedule = ({ message, attachment, sendAt, recurrence }) => {
+      if (!message?.trim() && !attachment) return "نص الرسالة أو المرفق مطلوب";
+      if (!Number.isFinite(sendAt) || sendAt < Date.now() - MIN_SCHEDULE_LEAD) return "يرجى اختيار وقت في المستقبل";
+      if (!RECURRENCES.includes(recurrence)) return "نوع التكرار غير صالح";
+      return null;
+    };
+
+    const findUserJob = (userId, jobId) => {
+      const job = scheduleStore.get(jobId);
+      if (!job || (job.userId && job.userId !== userId)) return null;
+      return job;
+    };
+
+    socket.on("getScheduledMessages", ({ chatId, accountId: chatAccountId } = {}) => {
+      const accountId = targetAccountId(chatAccountId);
+      if (!accountId || !chatId) return;
+      socket.emit("scheduledMessages", {
+        accountId,
+        chatId,
+        jobs: scheduleStore.listForChat(accountId, chatId),
+      });
+    });
+
+    // Schedule a message (text or attachment) to a chat of the viewed account
+    socket.on("scheduleMessage", ({ userId, chatId, accountId: chatAccountId, message, attachment, sendAt, recurrence = "none" } = {}) => {
+      if (!isSchedulerReady()) {
+        socket.emit("scheduleError", { message: "قاعدة البيانات المحلية غير متاحة" });
         return;
       }
-      
-      // Don't switch if already on this account AND client is ready
-      if (currentAccountId === accountId) {
-        const existingClient = whatsappClients.get(accountId);
-        const isClientReady = clientReadyStates.get(accountId);
-        
-        if (existingClient && isClientReady) {
-          console.log("Already on this account and client is ready");
-          socket.emit("currentAccount", currentAccountId);
-          socket.emit("accounts", accounts);
-          io.emit("status", { isReady: true });
-          return;
-        }
-        
-        // Client not ready, need to initialize
-        console.log("Already on this account but client not ready, initializing...");
-        
-        isReady = false;
-        setCurrentChats([]);
-        io.emit("status", { isReady: false });
-        io.emit("qrCleared");
-        
-        // Destroy existing client if any to avoid "browser already running" error
-        if (existingClient) {
-          try {
-            console.log("Destroying existing client before reinitializing...");
-            await existingClient.destroy();
-          } catch (e) {
-            console.log("Error destroying client (may already be closed):", e.message);
-            // Clean up orphaned browser processes if destroy failed
-            await cleanupOrphanedBrowser(accountId);
-          }
-          whatsappClients.delete(accountId);
-          clientReadyStates.delete(accountId);
-        }
-        
-        // Create fresh client
-        const client = createWhatsAppClient(accountId);
-        whatsappClients.set(accountId, client);
-        setupClientEvents(client, accountId);
-        whatsappClient = client;
-        
-        try {
-          await client.initialize();
-        } catch (error) {
-          console.error(`Failed to initialize account ${accountId}:`, error.message);
-          
-          // If browser is already running, clean up and retry once
-          if (error.message.includes("browser is already running")) {
-            console.log("Browser conflict detected, cleaning up and retrying...");
-            whatsappClients.delete(accountId);
-            clientReadyStates.delete(accountId);
-            await cleanupOrphanedBrowser(accountId);
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
-            const retryClient = createWhatsAppClient(accountId);
-            whatsappClients.set(accountId, retryClient);
-            setupClientEvents(retryClient, accountId);
-            whatsappClient = retryClient;
-            
-            try {
-              await retryClient.initialize();
-            } catch (retryError) {
-              console.error(`Retry also failed: ${retryError.message}`);
-            }
-          }
-        }
+      const accountId = targetAccountId(chatAccountId);
+      if (!accountId || accountId === ALL_ACCOUNTS || !chatId) {
+        socket.emit("scheduleError", { message: "لا يوجد حساب نشط" });
         return;
       }
-      
-      // Update active state
-      accounts = accounts.map(a => ({
-        ...a,
-        isActive: a.id === accountId
-      }));
-      
-      // Store previous account ID
-      const previousAccountId = currentAccountId;
-      currentAccountId = accountId;
-      saveAccounts(accounts);
-      
-      // IMPORTANT: Stop ALL running browsers to avoid conflicts
-      // On Railway, we can only run one browser at a time due to resource limits
-      if (whatsappClients.size > 0) {
-        console.log(`Stopping all running browsers before switching to ${accountId}...`);
-        await stopAllClients();
-        // Extra wait for browser processes to fully terminate
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
-      
-      // Check if client already exists for this account
-      let client = whatsappClients.get(accountId);
-      const isClientReady = clientReadyStates.get(accountId);
-      
-      if (client && isClientReady) {
-        // Client exists and is ready, use it directly
-        console.log("Client already authenticated, using existing session");
-        whatsappClient = client;
-        isReady = true;
-        
-        // Update account phone number if available
-        try {
-          const clientInfo = client.info;
-          if (clientInfo && clientInfo.wid) {
-            const phoneNumber = clientInfo.wid.user;
-            const accountIndex = accounts.findIndex(a => a.id === accountId);
-            if (accountIndex !== -1 && accounts[accountIndex].phone !== phoneNumber) {
-              accounts[accountIndex].phone = phoneNumber;
-              saveAccounts(accounts);
-            }
-          }
-        } catch (e) {
-          // Ignore errors getting phone number
-        }
-        
-        // Notify client that we're ready
-        socket.emit("currentAccount", currentAccountId);
-        socket.emit("accounts", accounts);
-        io.emit("status", { isReady: true });
-        io.emit("ready");
-        
-        // Send cached chats if available
-        const cachedChats = getCurrentChats();
-        if (cachedChats.length > 0) {
-          console.log(`Sending ${cachedChats.length} cached chats for account ${account.name}`);
-          socket.emit("chats", cachedChats);
-        }
-        
-        console.log("Using existing session for account:", account.name);
+      const error = validateSchedule({ message, attachment, sendAt: Number(sendAt), recurrence });
+      if (error) {
+        socket.emit("scheduleError", { message: error });
         return;
       }
-      
-      // Client doesn't exist or not ready
-      console.log("Client not ready, initializing...");
-      
-      // Reset state for new/unready account
 
-      isReady = false;
-      // Don't clear chats when switching - each account has its own storage
-      
-      // Notify client
-      socket.emit("currentAccount", currentAccountId);
-      socket.emit("accounts", accounts);
-      io.emit("status", { isReady: false });
-      io.emit("qrCleared");
-      
-      console.log("Switched to account:", account.name);
-      console.log("Please wait while initializing account session...");
-      
-      // Destroy existing client if any to avoid "browser already running" error
-      if (client) {
-        try {
-          console.log("Destroying existing client before reinitializing...");
-          await client.destroy();
-        } catch (e) {
-          console.log("Error destroying client:", e.message);
-          // Clean up orphaned browser processes if destroy failed
-          await cleanupOrphanedBrowser(accountId);
-        }
-        whatsappClients.delete(accountId);
-        clientReadyStates.delete(accountId);
-      }
-      
-      // Create new client for this account
-      const newClient = createWhatsAppClient(accountId);
-      whatsappClients.set(accountId, newClient);
-      setupClientEvents(newClient, accountId);
-      
-      // Set as current
-      whatsappClient = newClient;
-      
-      // Initialize the client (will use saved session if available)
       try {
-        await newClient.initialize();
+        const job = scheduleStore.create({
+          accountId,
+          chatId,
+          userId,
+          message: message?.trim() || "",
+          attachment: attachment || null,
+          sendAt: Number(sendAt),
+          recurrence,
+        });
+
+        console.log(`Message scheduled for ${chatId} at ${new Date(job.sendAt).toISOString()} (${recurrence})`);
+        emitScheduledMessageUpdate(job);
+        scheduler.wake();
       } catch (error) {
-        console.error(`Failed to initialize account ${accountId}:`, error.message);
-        
-        // If browser is already running, clean up and retry once
-        if (error.message.includes("browser is already running")) {
-          console.log("Browser conflict detected, cleaning up and retrying...");
-          whatsappClients.delete(accountId);
-          clientReadyStates.delete(accountId);
-          await cleanupOrphanedBrowser(accountId);
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          
-          const retryClient = createWhatsAppClient(accountId);
-          whatsappClients.set(accountId, retryClient);
-          setupClientEvents(retryClient, accountId);
-          whatsappClient = retryClient;
-          
-          try {
-            await retryClient.initialize();
-          } catch (retryError) {
-            console.error(`Retry also failed: ${retryError.message}`);
-          }
-        }
+        console.error("Error scheduling message:", error.message);
+        socket.emit("scheduleError", { message: "فشل جدولة الرسالة" });
       }
     });
 
-
-
-    // Delete account
-    socket.on("deleteAccount", ({ accountId }) => {
-      console.log("Deleting account:", accountId);
-      
-      if (accounts.length <= 1) {
-        console.log("Cannot delete the only account");
+    // Edit text, time or recurrence; a failed job becomes pending again
+    socket.on("updateScheduledMessage", ({ userId, jobId, message, attachment, sendAt, recurrence } = {}) => {
+      const job = findUserJob(userId, jobId);
+      if (!job || job.status === "cancelled") {
+        socket.emit("scheduleError", { message: "الرسالة المجدولة غير موجودة" });
         return;
       }
-      
-      const accountIndex = accounts.findIndex(a => a.id === accountId);
-      if (accountIndex === -1) {
-        console.log("Account not found:", accountId);
+
+      const changes = {
+        message: message !== undefined ? message.trim() : job.message,
+        attachment,
+        sendAt: sendAt !== undefined ? Number(sendAt) : job.sendAt,
+        recurrence: recurrence ?? job.recurrence,
+      };
+      const error = validateSchedule({
+        ...changes,
+        attachment: attachment === undefined ? job.attachment : attachment,
+      });
+      if (error) {
+        socket.emit("scheduleError", { message: error });
         return;
       }
-      
-      const wasActive = accounts[accountIndex].isActive;
-      accounts.splice(accountIndex, 1);
-      
-      // If deleted account was active, set another as active
-      if (wasActive && accounts.length > 0) {
-        accounts[0].isActive = true;
-        currentAccountId = accounts[0].id;
-      }
-      
-      saveAccounts(accounts);
-      
-      console.log("Account deleted successfully");
-      socket.emit("accounts", accounts);
-      socket.emit("currentAccount", currentAccountId);
+
+      emitScheduledMessageUpdate(scheduleStore.update(jobId, changes));
+      scheduler.wake();
     });
 
-    // Clear all sessions and start fresh
-    socket.on("clearSessions", async () => {
-      console.log("Clearing all sessions...");
-      
-      try {
-        // Stop and destroy all WhatsApp clients
-        for (const [accountId, client] of whatsappClients.entries()) {
-          try {
-            console.log(`Destroying client for account: ${accountId}`);
-            await client.destroy();
-          } catch (e) {
-            console.error(`Error destroying client ${accountId}:`, e.message);
-            // Clean up orphaned browser for this account
-            await cleanupOrphanedBrowser(accountId);
-          }
-        }
-        
-        // Clear all maps
-        whatsappClients.clear();
-        clientReadyStates.clear();
-        
-        // On Windows, kill ALL Chrome processes that might be holding locks
-        if (process.platform === 'win32') {
-          const { exec } = require('child_process');
-          await new Promise((resolve) => {
-            const wwebjsPath = path.join(__dirname, '.wwebjs_auth').replace(/\\/g, '\\\\');
-            exec(`wmic process where "commandline like '%${wwebjsPath}%' and name='chrome.exe'" call terminate`, (error) => {
-              if (!error) {
-                console.log("Terminated all WhatsApp Chrome processes");
-              }
-              setTimeout(resolve, 2000); // Wait for processes to fully terminate
-            });
-          });
-        }
-        
-        // Clear session directories
-        const authPath = path.join(__dirname, ".wwebjs_auth");
-        const cachePath = path.join(__dirname, ".wwebjs_cache");
-        
-        if (fs.existsSync(authPath)) {
-          console.log("Removing auth directory...");
-          try {
-            fs.rmSync(authPath, { recursive: true, force: true });
-          } catch (rmError) {
-            console.log("Could not remove auth directory, trying alternative method...");
-            // On Windows, use rd command which can sometimes work when fs.rmSync fails
-            if (process.platform === 'win32') {
-              const { execSync } = require('child_process');
-              try {
-                execSync(`rd /s /q "${authPath}"`, { stdio: 'ignore' });
-              } catch (e) {
-                console.log("Alternative removal also failed, directory may be in use");
-              }
-            }
-          }
-        }
-        
-        if (fs.existsSync(cachePath)) {
-          console.log("Removing cache directory...");
-          fs.rmSync(cachePath, { recursive: true, force: true });
-        }
-        
-        // Reset state
-        isReady = false;
-        accountChats.clear(); // Clear all accounts' chats
-        whatsappClient = null;
-        
-        // Reset accounts to default
-        accounts = [{
-          id: `account_${Date.now()}`,
-          name: "حساب 1",
-          phone: null,
-          isActive: true
-        }];
-        currentAccountId = accounts[0].id;
-        saveAccounts(accounts);
-        
-        console.log("All sessions cleared successfully!");
-        
-        // Notify clients
-        io.emit("sessionsCleared", { success: true });
-        io.emit("accounts", accounts);
-        io.emit("currentAccount", currentAccountId);
-        io.emit("status", { isReady: false });
-        io.emit("qrCleared");
-        
-        // Reinitialize with fresh account
-        setTimeout(() => {
-          console.log("Reinitializing with fresh account...");
-          initializeAccount(currentAccountId);
-        }, 2000);
-        
-      } catch (error) {
-        console.error("Error clearing sessions:", error);
-        socket.emit("sessionsCleared", { success: false, error: error.message });
+    socket.on("cancelScheduledMessage", ({ userId, jobId } = {}) => {
+      if (!findUserJob(userId, jobId)) {
+        socket.emit("scheduleError", { message: "الرسالة المجدولة غير موجودة" });
+        return;
       }
+      emitScheduledMessageUpdate(scheduleStore.cancel(jobId));
     });
 
     // ==================== Manual Reconnect Handler ====================
     socket.on("requestReconnect", async () => {
-      console.log("Manual reconnect requested by client...");
+      const accountId = viewedAccountId();
+      console.log(`Manual reconnect requested by client for ${accountId}...`);
       
-      if (!currentAccountId) {
+      if (!accountId) {
         socket.emit("reconnectFailed", { reason: "No active account", canManualRetry: false });
         return;
       }
       
-      socket.emit("status", { isReady: false, reason: "reconnecting" });
+      socket.emit("status", { accountId, isReady: false, reason: "reconnecting" });
       socket.emit("reconnecting", { attempt: 1, manual: true });
       
       try {
-        const existingClient = whatsappClients.get(currentAccountId);
+        const existingClient = whatsappClients.get(accountId);
         if (existingClient) {
           try {
             await existingClient.destroy();
@@ -3415,13 +5584,13 @@ app.prepare().then(() => {
           }
         }
         
-        whatsappClients.delete(currentAccountId);
-        clientReadyStates.delete(currentAccountId);
-        await cleanupOrphanedBrowser(currentAccountId);
+        whatsappClients.delete(accountId);
+        clientReadyStates.delete(accountId);
+        await cleanupOrphanedBrowser(accountId);
         
         await new Promise(r => setTimeout(r, 2000));
         
-        await initializeAccount(currentAccountId, 0);
+        await initializeAccount(accountId, 0);
         console.log("Manual reconnect initiated successfully");
       } catch (err) {
         console.error("Manual reconnect failed:", err.message);
@@ -3432,21 +5601,23 @@ app.prepare().then(() => {
         
         // Log to Convex
         if (isConvexReady()) {
-          eventsDb.log(currentAccountId, "manual_reconnect_failed", err.message).catch(() => {});
+          eventsDb.log(accountId, "manual_reconnect_failed", err.message).catch(() => {});
         }
       }
     });
 
     // Start heartbeat when WhatsApp is ready
     socket.on("startHeartbeat", () => {
-      if (currentAccountId && isReady) {
-        startHeartbeat(socket, currentAccountId);
+      const accountId = viewedAccountId();
+      if (accountId && isAccountReady(accountId)) {
+        startHeartbeat(socket, accountId);
       }
     });
 
     socket.on("disconnect", () => {
       console.log("Client disconnected:", socket.id);
       stopHeartbeat(socket.id);
+      chatPresence.leave(socket.id);
     });
 
   });
@@ -3491,10 +5662,22 @@ app.prepare().then(() => {
     }
   });
 
-  // Initialize current account's WhatsApp client
-  if (currentAccountId) {
-    initializeAccount(currentAccountId);
-  }
+  // Start every account's WhatsApp client, a few seconds apart so the browsers don't all launch at once
+  accounts.forEach((account, index) => {
+    setTimeout(() => initializeAccount(account.id), index * ACCOUNT_START_STAGGER);
+  });
+
+  // Resume pending webhook retries and keep the delivery log bounded
+  webhookDispatcher.start();
+  
+  // Resume campaigns that were running before the restart
+  campaignRunner.start();
+
+  // Send scheduled messages that came due while the server was down
+  scheduler.start();
+
+  // Send analytics reports that came due while the server was down
+  reportScheduler.start();
 
   httpServer.listen(port, () => {
     console.log(`> Ready on http://${hostname}:${port}`);
@@ -0,0 +1,489 @@
+/**
+ * Dashboard Sessions for WhatsApp Management Server
+ * The dashboard signs in through POST /api/auth/login and gets an access token and a refresh
+ * token. Sessions live in Convex (authSessions) and can be refreshed and revoked; this server only
+ * keeps the token hashes it has recently checked. Socket.io connections must present a valid
+ * access token - see authenticateSocket
+ *
+ * Users with two-factor sign-in (TOTP) get a challenge from /login and finish with /login/2fa.
+ * Roles listed in TWO_FACTOR_ROLES on the Convex deployment (default admin, supervisor) must turn
+ * it on: until they do, their session can only set it up and Socket.io refuses it. Repeated wrong
+ * passwords or codes lock the client address or the email out for a while (in memory); Convex
+ * only takes sign-ins from this server (SERVER_SECRET), so the limit can't be bypassed.
+ * Password reset links are mailed through mailer.js; they need SERVER_SECRET set to the same value
+ * here and on the Convex deployment, and point at APP_URL (or the dashboard, when it is one of
+ * the allowed origins)
+ */
+
+const crypto = require("crypto");
+const { readJsonBody, sendJson } = require("./rest-api");
+const { isEmail } = require("./mailer");
+
+const AUTH_PREFIX = "/api/auth";
+const SESSION_CACHE_TTL = 60 * 1000; // 1 minute, how late a revoked session is noticed
+const UNAUTHORIZED = "Unauthorized";
+// Not the dashboard's fault: it keeps the session and retries
+const UNAVAILABLE = "Service unavailable";
+// Refused connection of a user whose role requires two-factor sign-in they haven't set up
+const TWO_FACTOR_SETUP_REQUIRED = "Two-factor setup required";
+const SESSION_EXPIRED = "انتهت الجلسة، يرجى تسجيل الدخول مرة أخرى";
+
+// Failed sign-ins (wrong password or code) allowed in a window, per client address and per email;
+// reaching either limit refuses that address or email for the lockout. Behind a reverse proxy all
+// clients share its address, so the per-address limit is the higher one
+const LOGIN_FAILURE_WINDOW = 15 * 60 * 1000; // 15 minutes
+const LOGIN_LOCKOUT = 15 * 60 * 1000; // 15 minutes
+const MAX_FAILURES_PER_IP = 20;
+const MAX_FAILURES_PER_EMAIL = 5;
+const TOO_MANY_ATTEMPTS = "محاولات كثيرة لتسجيل الدخول، حاول مرة أخرى بعد 15 دقيقة";
+
+// Errors of the Convex login action that are shown to the user as they are
+const LOGIN_ERRORS = ["البريد الإلكتروني أو كلمة المرور غير صحيحة", "الحساب معطل"];
+
+// Errors of the two-factor and password actions that are shown to the user as they are
+const ACCOUNT_ERRORS = [
+  SESSION_EXPIRED,
+  "الحساب معطل",
+  "رمز التحقق غير صحيح",
+  "انتهت مهلة تسجيل الدخول، أدخل كلمة المرور مرة أخرى",
+  "التحقق بخطوتين مفعل بالفعل",
+  "انتهت صلاحية رمز الإعداد، ابدأ من جديد",
+  "التحقق بخطوتين إلزامي لدورك",
+  "كلمة المرور الحالية غير صحيحة",
+  "كلمة المرور يجب أن تكون",
+  "رابط استعادة كلمة المرور غير صالح أو منتهي الصلاحية",
+];
+
+// Pick the known message out of a Convex error ("كلمة المرور يجب أن تكون" is only its start)
+const accountError = (error, fallback) => {
+  const known = ACCOUNT_ERRORS.find(message => error?.includes(message));
+  if (!known) return fallback;
+  // The rest of its line (the minimum length), without the Convex stack that follows
+  return error.slice(error.indexOf(known)).split("\n")[0];
+};
+
+const text = (value) => (typeof value === "string" ? value : "");
+
+// Hash a token (only the hashes are stored in Convex)
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const needsTwoFactorSetup = (user) => !!user.twoFactor?.required && !user.twoFactor.enabled;
+
+// The access token of "Authorization: Bearer <token>"
+const getBearerToken = (req) => {
+  const authHeader = req.headers["authorization"] || "";
+  return authHeader.startsWith("Bearer ") ? authHeader.slice("Bearer ".length).trim() : "";
+};
+
+/**
+ * Count failed sign-ins per key (client address, email) in LOGIN_FAILURE_WINDOW; a key that
+ * reaches maxFailures is locked for LOGIN_LOCKOUT. Kept in memory, so a restart forgets it
+ * @param {number} maxFailures
+ */
+const createFailureThrottle = (maxFailures) => {
+  // key -> { failures, windowStart, lockedUntil }
+  const entries = new Map();
+
+  const isLocked = (key) => (entries.get(key)?.lockedUntil || 0) > Date.now();
+
+  const fail = (key) => {
+    const now = Date.now();
+    const current = entries.get(key);
+    const entry = current && current.windowStart + LOGIN_FAILURE_WINDOW > now
+      ? current
+      : { failures: 0, windowStart: now, lockedUntil: 0 };
+    entry.failures++;
+    // The count starts over with the lockout
+    if (entry.failures >= maxFailures) Object.assign(entry, { failures: 0, windowStart: now, lockedUntil: now + LOGIN_LOCKOUT });
+    entries.set(key, entry);
+  };
+
+  // Forget the keys whose window and lockout are over
+  const prune = () => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.windowStart + LOGIN_FAILURE_WINDOW <= now && entry.lockedUntil <= now) entries.delete(key);
+    }
+  };
+
+  return { isLocked, fail, reset: (key) => entries.delete(key), prune };
+};
+
+/**
+ * Create the session checks and the /api/auth routes
+ * @param {object} deps
+ * @param {object} deps.usersDb - from convex-integration
+ * @param {object} deps.authSessionsDb - from convex-integration
+ * @param {() => boolean} deps.isConvexReady
+ * @param {string[]} deps.allowedOrigins - dashboards served from another origin (same list as Socket.io CORS)
+ * @param {object} deps.mailer - from mailer.js, sends the password reset links
+ * @param {string} [deps.appUrl] - dashboard address for the links in mails
+ * @param {string} [deps.serverSecret] - SERVER_SECRET, shared with the Convex deployment
+ */
+const createSessionAuth = ({ usersDb, authSessionsDb, isConvexReady, allowedOrigins, mailer, appUrl, serverSecret }) => {
+  // tokenHash -> { session, checkedAt }
+  const sessionCache = new Map();
+  // tokenHash -> Promise of the check running for it
+  const pendingChecks = new Map();
+
+  const isFresh = (cached) => cached && cached.checkedAt + SESSION_CACHE_TTL > Date.now();
+
+  const ipFailures = createFailureThrottle(MAX_FAILURES_PER_IP);
+  const emailFailures = createFailureThrottle(MAX_FAILURES_PER_EMAIL);
+  // Hash of an open two-factor challenge -> { email, expiresAt }, so wrong codes count for the email
+  const challengeEmails = new Map();
+  setInterval(() => {
+    ipFailures.prune();
+    emailFailures.prune();
+    for (const [challengeHash, challenge] of challengeEmails) {
+      if (challenge.expiresAt <= Date.now()) challengeEmails.delete(challengeHash);
+    }
+    // Entries past their TTL are checked again before use, so they only take up memory
+    for (const [tokenHash, cached] of sessionCache) {
+      if (!isFresh(cached)) sessionCache.delete(tokenHash);
+    }
+  }, LOGIN_FAILURE_WINDOW).unref();
+
+  const clientAddress = (req) => req.socket.remoteAddress || "";
+
+  // Resolve a token hash to its session ({ sessionId, expiresAt, user }), or null
+  const resolveSession = async (tokenHash) => {
+    const cached = sessionCache.get(tokenHash);
+    if (isFresh(cached)) {
+      return cached.session && cached.session.expiresAt > Date.now() ? cached.session : null;
+    }
+
+    if (!pendingChecks.has(tokenHash)) {
+      pendingChecks.set(tokenHash, authSessionsDb.validate(tokenHash)
+        .then((session) => {
+          sessionCache.set(tokenHash, { session, checkedAt: Date.now() });
+          return session;
+        })
+        .finally(() => pendingChecks.delete(tokenHash)));
+    }
+    return pendingChecks.get(tokenHash);
+  };
+
+  /**
+   * Socket.io middleware (io.use): refuses connections without a valid session and puts the
+   * user on socket.data.user / socket.data.userId
+   */
+  const authenticateSocket = async (socket, next) => {
+    const token = socket.handshake.auth?.token;
+    if (typeof token !== "string" || !token) {
+      next(new Error(UNAUTHORIZED));
+      return;
+    }
+
+    const tokenHash = hashToken(token);
+    if (!isFresh(sessionCache.get(tokenHash)) && !isConvexReady()) {
+      next(new Error(UNAVAILABLE));
+      return;
+    }
+
+    try {
+      const session = await resolveSession(tokenHash);
+      if (!session) {
+        next(new Error(UNAUTHORIZED));
+        return;
+      }
+      if (needsTwoFactorSetup(session.user)) {
+        next(new Error(TWO_FACTOR_SETUP_REQUIRED));
+        return;
+      }
+      socket.data.tokenHash = tokenHash;
+      socket.data.session = session;
+      socket.data.user = session.user;
+      socket.data.userId = session.user.id;
+      next();
+    } catch (e) {
+      console.error("Error checking socket session:", e.message);
+      next(new Error(UNAVAILABLE));
+    }
+  };
+
+  /**
+   * Check the session of a connected socket, for socket.use. Synchronous so events keep their
+   * order: the cached session answers, and once it's stale it is checked again in the background,
+   * disconnecting the socket if it was revoked meanwhile
+   * @returns {boolean} false if the session has expired
+   */
+  const checkSocket = (socket) => {
+    const { tokenHash, session } = socket.data;
+    if (session.expiresAt <= Date.now()) return false;
+
+    if (!isFresh(sessionCache.get(tokenHash)) && !pendingChecks.has(tokenHash) && isConvexReady()) {
+      resolveSession(tokenHash)
+        .then((current) => {
+          if (current && !needsTwoFactorSetup(current.user)) {
+            // Picks up role changes
+            socket.data.session = current;
+            socket.data.user = current.user;
+          } else {
+            socket.disconnect(true);
+          }
+        })
+        .catch((e) => console.error("Error checking socket session:", e.message));
+    }
+    return true;
+  };
+
+  const login = async (req) => {
+    const { email, password } = await readJsonBody(req);
+    if (typeof email !== "string" || typeof password !== "string" || !email.trim() || !password) {
+      return { statusCode: 400, error: "أدخل البريد الإلكتروني وكلمة المرور" };
+    }
+    const ip = clientAddress(req);
+    const emailKey = email.trim().toLowerCase();
+    if (ipFailures.isLocked(ip) || emailFailures.isLocked(emailKey)) {
+      return { statusCode: 429, error: TOO_MANY_ATTEMPTS };
+    }
+    if (!isConvexReady()) return { statusCode: 503, error: "الخدمة غير متاحة حالياً" };
+
+    const userAgent = (req.headers["user-agent"] || "").slice(0, 500) || undefined;
+    const { session, error } = await usersDb.login(email.trim(), password, userAgent);
+    if (!session) {
+      ipFailures.fail(ip);
+      emailFailures.fail(emailKey);
+      return {
+        statusCode: 401,
+        error: LOGIN_ERRORS.find(message => error?.includes(message)) || "فشل تسجيل الدخول - تحقق من البيانات",
+      };
+    }
+
+    // Password checked, the code comes next (verifyLoginCode); only a full login clears the failures
+    if (session.twoFactorRequired) {
+      challengeEmails.set(hashToken(session.challengeToken), { email: emailKey, expiresAt: session.expiresAt });
+      return session;
+    }
+    emailFailures.reset(emailKey);
+    console.log(`User signed in: ${session.user.email}`);
+    return session;
+  };
+
+  // Second step of a login with two-factor sign-in
+  const verifyLoginCode = async (req) => {
+    const { challengeToken, code } = await readJsonBody(req);
+    if (typeof challengeToken !== "string" || typeof code !== "string" || !challengeToken || !code.trim()) {
+      return { statusCode: 400, error: "أدخل رمز التحقق" };
+    }
+    const ip = clientAddress(req);
+    const challengeHash = hashToken(challengeToken);
+    const emailKey = challengeEmails.get(challengeHash)?.email;
+    if (ipFailures.isLocked(ip) || (emailKey && emailFailures.isLocked(emailKey))) {
+      return { statusCode: 429, error: TOO_MANY_ATTEMPTS };
+    }
+    if (!isConvexReady()) return { statusCode: 503, error: "الخدمة غير متاحة حالياً" };
+
+    const { session, error } = await usersDb.verifyLoginCode(challengeToken, code.trim());
+    if (!session) {
+      ipFailures.fail(ip);
+      if (emailKey) emailFailures.fail(emailKey);
+      return { statusCode: 401, error: accountError(error, "فشل تسجيل الدخول - تحقق من البيانات") };
+    }
+    challengeEmails.delete(challengeHash);
+    if (emailKey) emailFailures.reset(emailKey);
+
+    console.log(`User signed in: ${session.user.email} (two-factor)`);
+    return session;
+  };
+
+  /**
+   * A route where the signed-in user changes their own login (two-factor, password). The Convex
+   * action checks the access token; afterwards the user's cached sessions are dropped, so the
+   * change reaches their connections right away
+   * @param {(token: string, body: object) => Promise<object>} run - calls usersDb
+   */
+  const accountRoute = (run) => async (req) => {
+    const token = getBearerToken(req);
+    if (!token) return { statusCode: 401, error: UNAUTHORIZED };
+    if (!isConvexReady()) return { statusCode: 503, error: "الخدمة غير متاحة حالياً" };
+
+    const { error, userId, ...result } = await run(token, await readJsonBody(req));
+    if (error) {
+      return {
+        statusCode: error.includes(SESSION_EXPIRED) ? 401 : 400,
+        error: accountError(error, "تعذر تنفيذ العملية"),
+      };
+    }
+    if (userId) invalidateUser(userId);
+    return result;
+  };
+
+  const sendResetLink = async (email, baseUrl) => {
+    const { reset } = await usersDb.requestPasswordReset(serverSecret, email);
+    if (!reset) return;
+
+    const link = `${baseUrl.replace(/\/$/, "")}/reset-password?token=${reset.token}`;
+    const mail = await mailer.send({
+      to: reset.email,
+      subject: "استعادة كلمة المرور",
+      text: [
+        `مرحباً ${reset.name}،`,
+        "",
+        `لتعيين كلمة مرور جديدة لحسابك افتح الرابط التالي: ${link}`,
+        "",
+        `صلاحية الرابط ${Math.round((reset.expiresAt - Date.now()) / 60000)} دقيقة، ويمكن استخدامه مرة واحدة فقط.`,
+        "إن لم تطلب ذلك فتجاهل هذه الرسالة، كلمة مرورك الحالية لم تتغير.",
+      ].join("\n"),
+    });
+    console.log(`Password reset requested for ${reset.email} (mail ${mail.success ? "sent" : "failed"})`);
+  };
+
+  // Same answer whether the email has a user or not, and before anything is looked up
+  const forgotPassword = async (req) => {
+    const { email } = await readJsonBody(req);
+    if (!isEmail(email?.trim())) return { statusCode: 400, error: "البريد الإلكتروني غير صالح" };
+    if (!serverSecret) return { statusCode: 503, error: "استعادة كلمة المرور غير مفعلة على هذا الخادم" };
+    if (!isConvexReady()) return { statusCode: 503, error: "الخدمة غير متاحة حالياً" };
+
+    // Never the Host header: a forged one would mail the victim a link to another site
+    const baseUrl = appUrl || (allowedOrigins.includes(req.headers.origin) ? req.headers.origin : null);
+    if (!baseUrl) {
+      console.error("Password reset requested from an unknown origin; set APP_URL to send reset links");
+      return {};
+    }
+
+    sendResetLink(email.trim(), baseUrl).catch((e) => console.error("Error sending password reset:", e.message));
+    return {};
+  };
+
+  const resetPassword = async (req) => {
+    const { token, password } = await readJsonBody(req);
+    if (typeof token !== "string" || typeof password !== "string" || !token || !password) {
+      return { statusCode: 400, error: "أدخل كلمة المرور الجديدة" };
+    }
+    if (!isConvexReady()) return { statusCode: 503, error: "الخدمة غير متاحة حالياً" };
+
+    const { error, userId } = await usersDb.resetPassword(token, password);
+    if (error) {
+      return { statusCode: 400, error: accountError(error, "فشل تعيين كلمة المرور") };
+    }
+
+    invalidateUser(userId);
+    return {};
+  };
+
+  const refresh = async (req) => {
+    const { refreshToken } = await readJsonBody(req);
+    if (typeof refreshToken !== "string" || !refreshToken) {
+      return { statusCode: 400, error: "refreshToken is required" };
+    }
+    if (!isConvexReady()) return { statusCode: 503, error: "الخدمة غير متاحة حالياً" };
+
+    // The access token it replaces (if sent) stops working here right away, not after the cache
+    const previousToken = getBearerToken(req);
+    if (previousToken) sessionCache.delete(hashToken(previousToken));
+
+    const session = await authSessionsDb.refresh(refreshToken);
+    if (!session) return { statusCode: 401, error: "انتهت الجلسة، يرجى تسجيل الدخول مرة أخرى" };
+    return session;
+  };
+
+  const logout = async (req) => {
+    const token = getBearerToken(req);
+    if (!token) return { statusCode: 401, error: UNAUTHORIZED };
+
+    const tokenHash = hashToken(token);
+    sessionCache.delete(tokenHash);
+    if (!isConvexReady()) return { statusCode: 503, error: "الخدمة غير متاحة حالياً" };
+
+    await authSessionsDb.revoke(tokenHash);
+    return {};
+  };
+
+  // The user of an access token - the dashboard checks its stored session with it on load
+  const getSession = async (req) => {
+    const token = getBearerToken(req);
+    if (!token) return { statusCode: 401, error: UNAUTHORIZED };
+
+    const tokenHash = hashToken(token);
+    if (!isFresh(sessionCache.get(tokenHash)) && !isConvexReady()) {
+      return { statusCode: 503, error: "الخدمة غير متاحة حالياً" };
+    }
+
+    let session;
+    try {
+      session = await resolveSession(tokenHash);
+    } catch (e) {
+      console.error("Error checking session:", e.message);
+      return { statusCode: 503, error: "الخدمة غير متاحة حالياً" };
+    }
+    if (!session) return { statusCode: 401, error: UNAUTHORIZED };
+    return { user: session.user, expiresAt: session.expiresAt };
+  };
+
+  const routes = {
+    "POST /login": login,
+    "POST /login/2fa": verifyLoginCode,
+    "POST /refresh": refresh,
+    "POST /logout": logout,
+    "GET /session": getSession,
+    "POST /2fa/setup": accountRoute((token) => usersDb.setupTwoFactor(token)),
+    "POST /2fa/enable": accountRoute((token, body) => usersDb.enableTwoFactor(token, text(body.code))),
+    "POST /2fa/disable": accountRoute((token, body) =>
+      usersDb.disableTwoFactor(token, text(body.password), text(body.code))),
+    "POST /2fa/recovery-codes": accountRoute((token, body) => usersDb.regenerateRecoveryCodes(token, text(body.code))),
+    "POST /password/change": accountRoute((token, body) =>
+      usersDb.changePassword(token, text(body.currentPassword), text(body.newPassword), text(body.code) || undefined)),
+    "POST /password/forgot": forgotPassword,
+    "POST /password/reset": resetPassword,
+  };
+
+  const handleRequest = async (req, res, parsedUrl) => {
+    const origin = req.headers.origin;
+    if (origin && allowedOrigins.includes(origin)) {
+      res.setHeader("Access-Control-Allow-Origin", origin);
+      res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+      res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+      res.setHeader("Vary", "Origin");
+    }
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    try {
+      const path = parsedUrl.pathname.slice(AUTH_PREFIX.length);
+      const route = routes[`${req.method} ${path}`];
+      if (!route) {
+        const known = Object.keys(routes).some(key => key.endsWith(` ${path}`));
+        sendJson(res, known ? 405 : 404, { success: false, error: known ? "Method not allowed" : "Not found" });
+        return;
+      }
+
+      const { statusCode = 200, error, ...result } = await route(req);
+      if (error) {
+        sendJson(res, statusCode, { success: false, error });
+      } else {
+        sendJson(res, statusCode, { success: true, ...result });
+      }
+    } catch (e) {
+      console.error(`Auth error (${req.method} ${parsedUrl.pathname}):`, e.message);
+      sendJson(res, e.statusCode || 500, { success: false, error: e.statusCode ? e.message : "Internal server error" });
+    }
+  };
+
+  // Forget the cached sessions of a user, so a role change or deactivation applies to their
+  // next connection right away
+  const invalidateUser = (userId) => {
+    for (const [tokenHash, cached] of sessionCache) {
+      if (cached.session?.user.id === userId) sessionCache.delete(tokenHash);
+    }
+  };
+
+  return {
+    authenticateSocket,
+    checkSocket,
+    invalidateUser,
+    isAuthRequest: (pathname) => pathname.startsWith(`${AUTH_PREFIX}/`),
+    handleRequest,
+  };
+};
+
+module.exports = {
+  UNAUTHORIZED,
+  UNAVAILABLE,
+  createSessionAuth,
+};
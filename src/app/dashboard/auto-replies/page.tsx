@@ -0,0 +1,7 @@
+"use client";
+
+import AutoRepliesPanel from "@/components/AutoRepliesPanel";
+
+export default function AutoRepliesPage() {
+  return <AutoRepliesPanel />;
+}
@@ -0,0 +1,7 @@
+"use client";
+
+import CampaignsPanel from "@/components/CampaignsPanel";
+
+export default function CampaignsPage() {
+  return <CampaignsPanel />;
+}
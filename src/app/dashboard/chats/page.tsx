@@ -1,13 +1,13 @@
 "use client";
 
 import { useEffect, useState } from "react";
-import { useSocket } from "@/context/SocketContext";
+import { useSocket, ChatRef } from "@/context/SocketContext";
 import ChatList from "@/components/ChatList";
 import ChatWindow from "@/components/ChatWindow";
 
 export default function ChatsPage() {
   const { fetchChats, isReady } = useSocket();
-  const [selectedChatId, setSelectedChatId] = useState<string | null>(null);
+  const [selectedChat, setSelectedChat] = useState<ChatRef | null>(null);
 
   useEffect(() => {
     if (isReady) {
@@ -19,11 +19,11 @@ export default function ChatsPage() {
     <div className="flex h-full">
       {/* Chat List */}
       <div className="w-80 lg:w-96 border-l border-gray-700 flex-shrink-0">
-        <ChatList onSelectChat={setSelectedChatId} selectedChatId={selectedChatId} />
+        <ChatList onSelectChat={setSelectedChat} selectedChat={selectedChat} />
       </div>
 
       {/* Chat Window */}
-      <ChatWindow chatId={selectedChatId} />
+      <ChatWindow chatId={selectedChat?.chatId ?? null} accountId={selectedChat?.accountId ?? null} />
     </div>
   );
 }
@@ -0,0 +1,7 @@
+"use client";
+
+import FlowsPanel from "@/components/FlowsPanel";
+
+export default function FlowsPage() {
+  return <FlowsPanel />;
+}
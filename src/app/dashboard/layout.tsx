@@ -3,7 +3,9 @@
 import { useEffect } from "react";
 import { useRouter } from "next/navigation";
 import { useSocket } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
 import Sidebar from "@/components/Sidebar";
+import TeamNotifier from "@/components/TeamNotifier";
 import { Loader2 } from "lucide-react";
 
 export default function DashboardLayout({
@@ -13,6 +15,7 @@ export default function DashboardLayout({
 }) {
   const router = useRouter();
   const { isReady, isConnected } = useSocket();
+  const { needsTwoFactorSetup } = useAuth();
 
   useEffect(() => {
     if (isConnected && !isReady) {
@@ -20,6 +23,13 @@ export default function DashboardLayout({
     }
   }, [isConnected, isReady, router]);
 
+  // The server refuses the connection until then; the login page sets it up
+  useEffect(() => {
+    if (needsTwoFactorSetup) {
+      router.push("/login");
+    }
+  }, [needsTwoFactorSetup, router]);
+
   if (!isConnected) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-[#0b141a]">
@@ -32,6 +42,7 @@ export default function DashboardLayout({
     <div className="flex h-screen bg-[#0b141a] overflow-hidden">
       <Sidebar />
       <main className="flex-1 overflow-y-auto">{children}</main>
+      <TeamNotifier />
     </div>
   );
 }
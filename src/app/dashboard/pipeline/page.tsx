@@ -0,0 +1,18 @@
+"use client";
+
+import { useEffect } from "react";
+import { useSocket } from "@/context/SocketContext";
+import PipelineBoard from "@/components/PipelineBoard";
+
+export default function PipelinePage() {
+  const { fetchChats, isReady } = useSocket();
+
+  // Chat names for the deal cards
+  useEffect(() => {
+    if (isReady) {
+      fetchChats();
+    }
+  }, [isReady, fetchChats]);
+
+  return <PipelineBoard />;
+}
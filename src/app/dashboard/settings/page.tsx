@@ -0,0 +1,44 @@
+"use client";
+
+import { Settings } from "lucide-react";
+import { useAuth } from "@/context/AuthContext";
+import { useSocket } from "@/context/SocketContext";
+import ApiKeysPanel from "@/components/ApiKeysPanel";
+import WebhooksPanel from "@/components/WebhooksPanel";
+import AssignmentSettingsPanel from "@/components/AssignmentSettingsPanel";
+import ContactFieldsPanel from "@/components/ContactFieldsPanel";
+import CannedRepliesPanel from "@/components/CannedRepliesPanel";
+import ReportSchedulesPanel from "@/components/ReportSchedulesPanel";
+import UsersPanel from "@/components/UsersPanel";
+import WorkspacePanel from "@/components/WorkspacePanel";
+import SecurityPanel from "@/components/SecurityPanel";
+
+export default function SettingsPage() {
+  const { can } = useAuth();
+  const { currentWorkspace } = useSocket();
+
+  return (
+    <div className="p-6 space-y-6 bg-[#0b141a] min-h-screen">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-white flex items-center gap-3">
+          <div className="p-2 rounded-xl bg-gradient-to-br from-green-500 to-teal-600 shadow-lg shadow-green-500/25">
+            <Settings className="w-6 h-6 text-white" />
+          </div>
+          الإعدادات
+        </h1>
+        <p className="text-gray-400 text-sm mt-1">إدارة الفريق والتكاملات والوصول البرمجي</p>
+      </div>
+
+      <SecurityPanel />
+      {(can("manageUsers") || currentWorkspace?.role === "admin") && <WorkspacePanel />}
+      {can("manageUsers") && <UsersPanel />}
+      {can("manageSettings") && <AssignmentSettingsPanel />}
+      {can("manageSettings") && <ContactFieldsPanel />}
+      <CannedRepliesPanel />
+      {can("export") && <ReportSchedulesPanel />}
+      {can("manageSettings") && <ApiKeysPanel />}
+      {can("manageSettings") && <WebhooksPanel />}
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+"use client";
+
+import { Suspense, useEffect, useState } from "react";
+import Link from "next/link";
+import { useRouter, useSearchParams } from "next/navigation";
+import { useSocket } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import { ORG_ROLE_LABELS, type OrgRole } from "../../../convex/lib/organizations";
+import { Loader2, Building2, CheckCircle2, AlertCircle } from "lucide-react";
+
+interface Invitation {
+  orgName: string;
+  email: string;
+  role: OrgRole;
+  expiresAt: number;
+  status: "pending" | "accepted" | "revoked" | "expired";
+}
+
+const statusMessages: Record<Exclude<Invitation["status"], "pending">, string> = {
+  accepted: "تم استخدام هذه الدعوة بالفعل",
+  revoked: "تم إلغاء هذه الدعوة",
+  expired: "انتهت صلاحية هذه الدعوة، اطلب دعوة جديدة",
+};
+
+// An invitation link (/invite?token=...): sign in with the invited email, then join the workspace
+function InviteContent() {
+  const router = useRouter();
+  const token = useSearchParams().get("token") ?? "";
+  const { user, isAuthenticated, isLoading: authLoading } = useAuth();
+  const { socket, isConnected } = useSocket();
+  // undefined while loading, null for an unknown link
+  const [invitation, setInvitation] = useState<Invitation | null | undefined>(undefined);
+  const [error, setError] = useState<string | null>(null);
+  const [isAccepting, setIsAccepting] = useState(false);
+  const [joinedOrg, setJoinedOrg] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!socket || !isConnected || !token) return;
+
+    const handleInvitation = (data: Invitation | null) => setInvitation(data);
+    const handleAccepted = (data: { orgName: string }) => {
+      setIsAccepting(false);
+      setJoinedOrg(data.orgName);
+    };
+    const handleError = (data: { message: string }) => {
+      setIsAccepting(false);
+      setError(data.message);
+    };
+
+    socket.on("invitation", handleInvitation);
+    socket.on("invitationAccepted", handleAccepted);
+    socket.on("invitationError", handleError);
+    socket.emit("getInvitation", { token });
+
+    return () => {
+      socket.off("invitation", handleInvitation);
+      socket.off("invitationAccepted", handleAccepted);
+      socket.off("invitationError", handleError);
+    };
+  }, [socket, isConnected, token]);
+
+  const handleAccept = () => {
+    setError(null);
+    setIsAccepting(true);
+    socket?.emit("acceptInvitation", { token });
+  };
+
+  const signInHref = `/login?next=${encodeURIComponent(`/invite?token=${token}`)}`;
+  const isOtherEmail = !!invitation && !!user && invitation.email !== user.email.toLowerCase();
+
+  let content;
+  if (!token) {
+    content = <p className="text-red-400 text-sm">رابط الدعوة غير صالح</p>;
+  } else if (authLoading) {
+    content = <Loader2 className="w-8 h-8 animate-spin text-green-500 mx-auto" />;
+  } else if (!isAuthenticated) {
+    content = (
+      <>
+        <p className="text-gray-300 text-sm mb-6">
+          لديك دعوة للانضمام إلى مساحة عمل. سجّل الدخول أو أنشئ حساباً بالبريد الإلكتروني الذي وصلته الدعوة، ثم ستعود إلى هذه الصفحة.
+        </p>
+        <Link
+          href={signInHref}
+          className="block w-full py-3 bg-green-600 hover:bg-green-700 text-white rounded-xl font-medium transition-colors"
+        >
+          تسجيل الدخول
+        </Link>
+      </>
+    );
+  } else if (joinedOrg) {
+    content = (
+      <>
+        <CheckCircle2 className="w-12 h-12 text-green-400 mx-auto mb-3" />
+        <p className="text-white mb-6">انضممت إلى {joinedOrg}</p>
+        <button
+          onClick={() => router.push("/login")}
+          className="w-full py-3 bg-green-600 hover:bg-green-700 text-white rounded-xl font-medium transition-colors"
+        >
+          فتح لوحة التحكم
+        </button>
+      </>
+    );
+  } else if (invitation === undefined) {
+    content = <Loader2 className="w-8 h-8 animate-spin text-green-500 mx-auto" />;
+  } else if (invitation === null) {
+    content = <p className="text-red-400 text-sm">رابط الدعوة غير صالح</p>;
+  } else {
+    content = (
+      <>
+        <p className="text-gray-300 text-sm mb-1">دعوة للانضمام إلى</p>
+        <p className="text-xl font-semibold text-white mb-1">{invitation.orgName}</p>
+        <p className="text-gray-400 text-sm mb-6">
+          بصفة {ORG_ROLE_LABELS[invitation.role] ?? invitation.role} · <span dir="ltr">{invitation.email}</span>
+        </p>
+
+        {invitation.status !== "pending" ? (
+          <p className="text-yellow-400 text-sm">{statusMessages[invitation.status]}</p>
+        ) : isOtherEmail ? (
+          <p className="text-yellow-400 text-sm">
+            أنت مسجل الدخول بالبريد <span dir="ltr">{user?.email}</span>. سجّل الدخول بالبريد الذي وصلته الدعوة لقبولها.
+          </p>
+        ) : (
+          <button
+            onClick={handleAccept}
+            disabled={isAccepting}
+            className="w-full py-3 bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white rounded-xl font-medium transition-colors flex items-center justify-center gap-2"
+          >
+            {isAccepting && <Loader2 className="w-4 h-4 animate-spin" />}
+            قبول الدعوة
+          </button>
+        )}
+      </>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-[#0a0f14] via-[#0b141a] to-[#111b21] p-6">
+      <div className="w-full max-w-md bg-[#111b21] rounded-2xl shadow-2xl border border-gray-800 p-8 text-center">
+        <div className="w-14 h-14 mx-auto mb-6 rounded-xl bg-gradient-to-br from-green-500 to-teal-600 flex items-center justify-center">
+          <Building2 className="w-7 h-7 text-white" />
+        </div>
+
+        {content}
+
+        {error && (
+          <div className="mt-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm flex items-center gap-2">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            {error}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function InvitePage() {
+  return (
+    <Suspense>
+      <InviteContent />
+    </Suspense>
+  );
+}
@@ -4,6 +4,7 @@ import { useEffect, useState } from "react";
 import { useRouter } from "next/navigation";
 import { useSocket } from "@/context/SocketContext";
 import { useAuth } from "@/context/AuthContext";
+import TwoFactorSetup from "@/components/TwoFactorSetup";
 import { QRCodeSVG } from "qrcode.react";
 import {
   Loader2,
@@ -25,10 +26,13 @@ import {
   Lock,
   Eye,
   EyeOff,
-  LogOut
+  LogOut,
+  ShieldCheck
 } from "lucide-react";
 
 type AuthTab = "login" | "register";
+// Sign-in: the password, then the two-factor code for users who have it; or a reset link
+type LoginStep = "password" | "code" | "forgot";
 type MainTab = "auth" | "whatsapp" | "accounts" | "preview";
 
 export default function LoginPage() {
@@ -44,16 +48,30 @@ export default function LoginPage() {
     addAccount,
     switchAccount,
     deleteAccount,
-    chats
+    chats,
+    currentWorkspace
   } = useSocket();
 
-  const { user, isAuthenticated, isLoading: authLoading, login, register, logout } = useAuth();
+  const {
+    user,
+    isAuthenticated,
+    isLoading: authLoading,
+    login,
+    verifyTwoFactor,
+    register,
+    logout,
+    can,
+    needsTwoFactorSetup,
+    requestPasswordReset
+  } = useAuth();
+  const canManageAccounts = can("manageAccounts") && currentWorkspace?.role === "admin";
 
   const [isClearing, setIsClearing] = useState(false);
   const [showAddForm, setShowAddForm] = useState(false);
   const [newAccountName, setNewAccountName] = useState("");
   const [activeTab, setActiveTab] = useState<MainTab>("auth");
   const [authTab, setAuthTab] = useState<AuthTab>("login");
+  const [loginStep, setLoginStep] = useState<LoginStep>("password");
 
   // Auth form state
   const [email, setEmail] = useState("");
@@ -62,6 +80,8 @@ export default function LoginPage() {
   const [showPassword, setShowPassword] = useState(false);
   const [authError, setAuthError] = useState("");
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [code, setCode] = useState("");
+  const [resetSent, setResetSent] = useState(false);
 
   const currentAccount = accounts.find(a => a.id === currentAccountId);
 
@@ -77,6 +97,15 @@ export default function LoginPage() {
     }
   }, [isAuthenticated, activeTab]);
 
+  // Back to the page that asked to sign in first (an invitation link)
+  useEffect(() => {
+    if (!isAuthenticated || needsTwoFactorSetup) return;
+    const next = new URLSearchParams(window.location.search).get("next");
+    if (next?.startsWith("/") && !next.startsWith("//")) {
+      router.push(next);
+    }
+  }, [isAuthenticated, needsTwoFactorSetup, router]);
+
   const handleLogin = async (e: React.FormEvent) => {
     e.preventDefault();
     setAuthError("");
@@ -84,7 +113,10 @@ export default function LoginPage() {
 
     try {
       const result = await login(email, password);
-      if (!result.success) {
+      if (result.twoFactorRequired) {
+        setCode("");
+        setLoginStep("code");
+      } else if (!result.success) {
         setAuthError(result.error || "فشل تسجيل الدخول");
       }
     } catch (error) {
@@ -94,6 +126,42 @@ export default function LoginPage() {
     }
   };
 
+  const handleVerifyCode = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setAuthError("");
+    setIsSubmitting(true);
+
+    const result = await verifyTwoFactor(code.trim());
+    setIsSubmitting(false);
+    if (!result.success) {
+      setAuthError(result.error || "فشل تسجيل الدخول");
+      if (result.expired) {
+        setPassword("");
+        setLoginStep("password");
+      }
+    }
+  };
+
+  const handleForgotPassword = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setAuthError("");
+    setIsSubmitting(true);
+
+    const result = await requestPasswordReset(email.trim());
+    setIsSubmitting(false);
+    if (result.success) {
+      setResetSent(true);
+    } else {
+      setAuthError(result.error);
+    }
+  };
+
+  const showLoginStep = (step: LoginStep) => {
+    setAuthError("");
+    setResetSent(false);
+    setLoginStep(step);
+  };
+
   const handleRegister = async (e: React.FormEvent) => {
     e.preventDefault();
     setAuthError("");
@@ -141,7 +209,7 @@ export default function LoginPage() {
   };
 
   const handleClearSessions = () => {
-    if (window.confirm("هل أنت متأكد من مسح جميع الجلسات؟")) {
+    if (window.confirm("هل أنت متأكد من مسح جميع جلسات مساحة العمل؟")) {
       setIsClearing(true);
       clearSessions();
       setTimeout(() => setIsClearing(false), 3000);
@@ -259,7 +327,7 @@ export default function LoginPage() {
             )}
 
             {/* Tabs - Only show when authenticated */}
-            {isAuthenticated && (
+            {isAuthenticated && !needsTwoFactorSetup && (
               <div className="flex bg-[#111b21] rounded-xl p-1 mb-6">
                 <button
                   onClick={() => setActiveTab("whatsapp")}
@@ -296,13 +364,27 @@ export default function LoginPage() {
             {/* Main Card */}
             <div className="bg-[#111b21] rounded-2xl shadow-2xl border border-gray-800 overflow-hidden">
 
+              {/* Two-factor sign-in the role requires - nothing else until it is set up */}
+              {isAuthenticated && needsTwoFactorSetup && (
+                <div className="p-6">
+                  <h2 className="text-lg font-semibold text-white mb-2 flex items-center gap-2">
+                    <ShieldCheck className="w-5 h-5 text-green-400" />
+                    فعّل التحقق بخطوتين
+                  </h2>
+                  <p className="text-sm text-gray-400 mb-4">
+                    دورك يتيح الوصول إلى بيانات العملاء، لذلك يلزم رمز من تطبيق المصادقة على هاتفك مع كلمة المرور قبل المتابعة.
+                  </p>
+                  <TwoFactorSetup />
+                </div>
+              )}
+
               {/* Auth Tab - Email/Password Login */}
               {activeTab === "auth" && !isAuthenticated && (
                 <div className="p-6">
                   {/* Auth Tabs */}
                   <div className="flex mb-6">
                     <button
-                      onClick={() => { setAuthTab("login"); setAuthError(""); }}
+                      onClick={() => { setAuthTab("login"); showLoginStep("password"); }}
                       className={`flex-1 py-2 text-sm font-medium border-b-2 transition-colors ${authTab === "login"
                         ? "border-green-500 text-green-400"
                         : "border-transparent text-gray-400 hover:text-white"
@@ -329,7 +411,7 @@ export default function LoginPage() {
                   )}
 
                   {/* Login Form */}
-                  {authTab === "login" && (
+                  {authTab === "login" && loginStep === "password" && (
                     <form onSubmit={handleLogin} className="space-y-4">
                       <div>
                         <label className="block text-sm text-gray-400 mb-2">البريد الإلكتروني</label>
@@ -366,6 +448,13 @@ export default function LoginPage() {
                             {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
                           </button>
                         </div>
+                        <button
+                          type="button"
+                          onClick={() => showLoginStep("forgot")}
+                          className="mt-2 text-xs text-gray-400 hover:text-green-400 transition-colors"
+                        >
+                          نسيت كلمة المرور؟
+                        </button>
                       </div>
 
                       <button
@@ -385,6 +474,92 @@ export default function LoginPage() {
                     </form>
                   )}
 
+                  {/* Two-factor code */}
+                  {authTab === "login" && loginStep === "code" && (
+                    <form onSubmit={handleVerifyCode} className="space-y-4">
+                      <div className="text-center">
+                        <ShieldCheck className="w-10 h-10 text-green-400 mx-auto mb-2" />
+                        <p className="text-sm text-gray-300">
+                          أدخل الرمز المكون من 6 أرقام من تطبيق المصادقة، أو أحد رموز الاسترداد
+                        </p>
+                      </div>
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                        value={code}
+                        onChange={(e) => setCode(e.target.value)}
+                        placeholder="000000"
+                        required
+                        autoFocus
+                        dir="ltr"
+                        className="w-full px-4 py-3 bg-[#202c33] border border-gray-700 rounded-xl text-white text-center tracking-widest placeholder-gray-500 focus:outline-none focus:border-green-500 transition-colors"
+                      />
+                      <button
+                        type="submit"
+                        disabled={isSubmitting || !code.trim()}
+                        className="w-full py-3 bg-gradient-to-r from-green-600 to-teal-600 hover:from-green-500 hover:to-teal-500 disabled:from-gray-600 disabled:to-gray-600 text-white font-medium rounded-xl flex items-center justify-center gap-2 transition-all shadow-lg shadow-green-500/20"
+                      >
+                        {isSubmitting ? <Loader2 className="w-5 h-5 animate-spin" /> : "تحقق"}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => showLoginStep("password")}
+                        className="w-full text-sm text-gray-400 hover:text-white transition-colors"
+                      >
+                        رجوع
+                      </button>
+                    </form>
+                  )}
+
+                  {/* Forgotten password */}
+                  {authTab === "login" && loginStep === "forgot" && (
+                    resetSent ? (
+                      <div className="text-center space-y-4">
+                        <CheckCircle2 className="w-10 h-10 text-green-400 mx-auto" />
+                        <p className="text-sm text-gray-300">
+                          إن كان البريد <span dir="ltr">{email}</span> مسجلاً لدينا فستصله رسالة برابط لتعيين كلمة مرور جديدة خلال دقائق.
+                        </p>
+                        <button
+                          type="button"
+                          onClick={() => showLoginStep("password")}
+                          className="text-sm text-green-400 hover:text-green-300 transition-colors"
+                        >
+                          العودة لتسجيل الدخول
+                        </button>
+                      </div>
+                    ) : (
+                      <form onSubmit={handleForgotPassword} className="space-y-4">
+                        <p className="text-sm text-gray-300">أدخل بريدك الإلكتروني وسنرسل لك رابطاً لتعيين كلمة مرور جديدة.</p>
+                        <div className="relative">
+                          <Mail className="absolute right-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-500" />
+                          <input
+                            type="email"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            placeholder="your@email.com"
+                            required
+                            className="w-full pr-10 pl-4 py-3 bg-[#202c33] border border-gray-700 rounded-xl text-white placeholder-gray-500 focus:outline-none focus:border-green-500 transition-colors"
+                          />
+                        </div>
+                        <button
+                          type="submit"
+                          disabled={isSubmitting}
+                          className="w-full py-3 bg-gradient-to-r from-green-600 to-teal-600 hover:from-green-500 hover:to-teal-500 disabled:from-gray-600 disabled:to-gray-600 text-white font-medium rounded-xl flex items-center justify-center gap-2 transition-all shadow-lg shadow-green-500/20"
+                        >
+                          {isSubmitting ? <Loader2 className="w-5 h-5 animate-spin" /> : "إرسال الرابط"}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => showLoginStep("password")}
+                          className="w-full text-sm text-gray-400 hover:text-white transition-colors"
+                        >
+                          رجوع
+                        </button>
+                      </form>
+                    )
+                  )}
+
                   {/* Register Form */}
                   {authTab === "register" && (
                     <form onSubmit={handleRegister} className="space-y-4">
@@ -471,7 +646,7 @@ export default function LoginPage() {
               )}
 
               {/* WhatsApp Tab */}
-              {activeTab === "whatsapp" && isAuthenticated && (
+              {activeTab === "whatsapp" && isAuthenticated && !needsTwoFactorSetup && (
                 <div className="p-6">
                   {/* Connection Error */}
                   {connectionError && (
@@ -528,26 +703,37 @@ export default function LoginPage() {
                     </div>
                   )}
 
+                  {/* Waiting for someone allowed to link the account */}
+                  {isConnected && !isReady && !can("scanQr") && (
+                    <div className="text-center py-12">
+                      <Smartphone className="w-16 h-16 text-gray-500 mx-auto mb-4" />
+                      <p className="text-white font-medium mb-2">الحساب غير متصل بواتساب</p>
+                      <p className="text-gray-400 text-sm">اطلب من المشرف ربط الحساب ثم أعد المحاولة</p>
+                    </div>
+                  )}
+
                   {/* QR Code Loading */}
-                  {isConnected && !isReady && !qrCode && (
+                  {isConnected && !isReady && !qrCode && can("scanQr") && (
                     <div className="text-center py-12">
                       <Loader2 className="w-16 h-16 animate-spin text-green-500 mx-auto mb-4" />
                       <p className="text-white font-medium mb-2">جاري تحميل QR...</p>
                       <p className="text-gray-400 text-sm">انتظر قليلاً</p>
 
-                      <button
-                        onClick={handleClearSessions}
-                        disabled={isClearing}
-                        className="mt-6 px-4 py-2 bg-red-600/20 hover:bg-red-600/30 text-red-400 rounded-lg text-sm flex items-center gap-2 mx-auto transition-colors"
-                      >
-                        <RefreshCw className={`w-4 h-4 ${isClearing ? 'animate-spin' : ''}`} />
-                        {isClearing ? 'جاري...' : 'إعادة البدء'}
-                      </button>
+                      {can("clearSessions") && (
+                        <button
+                          onClick={handleClearSessions}
+                          disabled={isClearing}
+                          className="mt-6 px-4 py-2 bg-red-600/20 hover:bg-red-600/30 text-red-400 rounded-lg text-sm flex items-center gap-2 mx-auto transition-colors"
+                        >
+                          <RefreshCw className={`w-4 h-4 ${isClearing ? 'animate-spin' : ''}`} />
+                          {isClearing ? 'جاري...' : 'إعادة البدء'}
+                        </button>
+                      )}
                     </div>
                   )}
 
                   {/* QR Code Display */}
-                  {isConnected && !isReady && qrCode && (
+                  {isConnected && !isReady && qrCode && can("scanQr") && (
                     <div className="text-center py-6">
                       <div className="flex items-center justify-center gap-2 mb-6">
                         <Smartphone className="w-6 h-6 text-green-500" />
@@ -565,21 +751,23 @@ export default function LoginPage() {
                         </p>
                       </div>
 
-                      <button
-                        onClick={handleClearSessions}
-                        disabled={isClearing}
-                        className="mt-6 px-4 py-2 bg-gray-700 hover:bg-gray-600 text-gray-300 rounded-lg text-sm flex items-center gap-2 mx-auto transition-colors"
-                      >
-                        <RefreshCw className={`w-4 h-4 ${isClearing ? 'animate-spin' : ''}`} />
-                        {isClearing ? 'جاري...' : 'مسح وإعادة البدء'}
-                      </button>
+                      {can("clearSessions") && (
+                        <button
+                          onClick={handleClearSessions}
+                          disabled={isClearing}
+                          className="mt-6 px-4 py-2 bg-gray-700 hover:bg-gray-600 text-gray-300 rounded-lg text-sm flex items-center gap-2 mx-auto transition-colors"
+                        >
+                          <RefreshCw className={`w-4 h-4 ${isClearing ? 'animate-spin' : ''}`} />
+                          {isClearing ? 'جاري...' : 'مسح وإعادة البدء'}
+                        </button>
+                      )}
                     </div>
                   )}
                 </div>
               )}
 
               {/* Accounts Tab */}
-              {activeTab === "accounts" && isAuthenticated && (
+              {activeTab === "accounts" && isAuthenticated && !needsTwoFactorSetup && (
                 <div className="p-4">
                   <div className="space-y-2 max-h-80 overflow-y-auto">
                     {accounts.map((account) => (
@@ -603,7 +791,7 @@ export default function LoginPage() {
                         {account.id === currentAccountId && (
                           <Check className="w-5 h-5 text-green-400 flex-shrink-0" />
                         )}
-                        {accounts.length > 1 && (
+                        {accounts.length > 1 && canManageAccounts && (
                           <button
                             onClick={(e) => handleDeleteAccount(account.id, e)}
                             className="p-2 hover:bg-red-500/20 rounded-lg transition-colors"
@@ -616,7 +804,7 @@ export default function LoginPage() {
                   </div>
 
                   {/* Add Account */}
-                  {!showAddForm ? (
+                  {!canManageAccounts ? null : !showAddForm ? (
                     <button
                       onClick={() => setShowAddForm(true)}
                       className="w-full mt-4 py-3 px-4 border-2 border-dashed border-gray-600 hover:border-green-500 rounded-xl text-gray-400 hover:text-green-400 flex items-center justify-center gap-2 transition-all"
@@ -664,7 +852,7 @@ export default function LoginPage() {
               )}
 
               {/* Preview Tab - Recent Chats */}
-              {activeTab === "preview" && isReady && isAuthenticated && (
+              {activeTab === "preview" && isReady && isAuthenticated && !needsTwoFactorSetup && (
                 <div className="p-4">
                   <div className="flex items-center justify-between mb-4">
                     <h3 className="font-medium text-white">آخر المحادثات</h3>
@@ -0,0 +1,114 @@
+"use client";
+
+import { Suspense, useState } from "react";
+import Link from "next/link";
+import { useSearchParams } from "next/navigation";
+import { useAuth } from "@/context/AuthContext";
+import { Loader2, KeyRound, CheckCircle2, AlertCircle } from "lucide-react";
+
+// A password reset link (/reset-password?token=...): set a new password, then sign in with it
+function ResetPasswordContent() {
+  const token = useSearchParams().get("token") ?? "";
+  const { resetPassword } = useAuth();
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isDone, setIsDone] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+    if (password !== confirmPassword) {
+      setError("كلمتا المرور غير متطابقتين");
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await resetPassword(token, password);
+    setIsSubmitting(false);
+    if (result.success) {
+      setIsDone(true);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  let content;
+  if (!token) {
+    content = <p className="text-red-400 text-sm">رابط استعادة كلمة المرور غير صالح</p>;
+  } else if (isDone) {
+    content = (
+      <>
+        <CheckCircle2 className="w-12 h-12 text-green-400 mx-auto mb-3" />
+        <p className="text-white mb-2">تم تعيين كلمة المرور الجديدة</p>
+        <p className="text-gray-400 text-sm mb-6">تم تسجيل الخروج من كل الأجهزة، سجّل الدخول بكلمة المرور الجديدة.</p>
+        <Link
+          href="/login"
+          className="block w-full py-3 bg-green-600 hover:bg-green-700 text-white rounded-xl font-medium transition-colors"
+        >
+          تسجيل الدخول
+        </Link>
+      </>
+    );
+  } else {
+    content = (
+      <form onSubmit={handleSubmit} className="space-y-4 text-right">
+        <p className="text-gray-300 text-sm text-center mb-2">أدخل كلمة مرور جديدة لحسابك</p>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="كلمة المرور الجديدة (6 أحرف على الأقل)"
+          required
+          minLength={6}
+          className="w-full px-4 py-3 bg-[#202c33] border border-gray-700 rounded-xl text-white placeholder-gray-500 focus:outline-none focus:border-green-500 transition-colors"
+        />
+        <input
+          type="password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          placeholder="تأكيد كلمة المرور"
+          required
+          minLength={6}
+          className="w-full px-4 py-3 bg-[#202c33] border border-gray-700 rounded-xl text-white placeholder-gray-500 focus:outline-none focus:border-green-500 transition-colors"
+        />
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full py-3 bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white rounded-xl font-medium transition-colors flex items-center justify-center gap-2"
+        >
+          {isSubmitting && <Loader2 className="w-4 h-4 animate-spin" />}
+          تعيين كلمة المرور
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-[#0a0f14] via-[#0b141a] to-[#111b21] p-6">
+      <div className="w-full max-w-md bg-[#111b21] rounded-2xl shadow-2xl border border-gray-800 p-8 text-center">
+        <div className="w-14 h-14 mx-auto mb-6 rounded-xl bg-gradient-to-br from-green-500 to-teal-600 flex items-center justify-center">
+          <KeyRound className="w-7 h-7 text-white" />
+        </div>
+
+        {content}
+
+        {error && (
+          <div className="mt-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm flex items-center gap-2">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            {error}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function ResetPasswordPage() {
+  return (
+    <Suspense>
+      <ResetPasswordContent />
+    </Suspense>
+  );
+}
@@ -1,8 +1,9 @@
 "use client";
 
 import { useState, useEffect, useRef } from "react";
-import { useSocket } from "@/context/SocketContext";
-import { ChevronDown, Plus, Trash2, Check, User } from "lucide-react";
+import { useSocket, ALL_ACCOUNTS } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import { ChevronDown, Plus, Trash2, Check, User, Inbox } from "lucide-react";
 
 interface Account {
   id: string;
@@ -12,7 +13,10 @@ interface Account {
 }
 
 export default function AccountDropdown() {
-  const { socket, currentAccountId, accounts, addAccount, switchAccount, deleteAccount } = useSocket();
+  const { socket, currentAccountId, accounts, accountStatuses, currentWorkspace, addAccount, switchAccount, deleteAccount } = useSocket();
+  const { can } = useAuth();
+  // Accounts are added to and deleted from a workspace by its admins
+  const canManageAccounts = can("manageAccounts") && currentWorkspace?.role === "admin";
   const [isOpen, setIsOpen] = useState(false);
   const [showAddForm, setShowAddForm] = useState(false);
   const [newAccountName, setNewAccountName] = useState("");
@@ -32,6 +36,16 @@ export default function AccountDropdown() {
   }, []);
 
   const currentAccount = accounts.find(a => a.id === currentAccountId);
+  const isAllAccounts = currentAccountId === ALL_ACCOUNTS;
+  const connectedCount = accountStatuses.filter(s => s.isReady && accounts.some(a => a.id === s.accountId)).length;
+
+  // Every account stays connected in the background - show each one's state
+  const getStatusIndicator = (accountId: string) => {
+    const status = accountStatuses.find(s => s.accountId === accountId);
+    if (status?.isReady) return { color: "bg-green-500", label: "متصل" };
+    if (status?.needsQr) return { color: "bg-amber-400", label: "بانتظار مسح رمز QR" };
+    return { color: "bg-gray-500", label: "غير متصل" };
+  };
 
   const handleAddAccount = () => {
     if (newAccountName.trim()) {
@@ -66,13 +80,18 @@ export default function AccountDropdown() {
       >
         <div className="flex items-center gap-2 flex-1 min-w-0">
           <div className="w-8 h-8 rounded-full bg-gradient-to-br from-green-500 to-teal-600 flex items-center justify-center flex-shrink-0">
-            <User className="w-4 h-4 text-white" />
+            {isAllAccounts ? <Inbox className="w-4 h-4 text-white" /> : <User className="w-4 h-4 text-white" />}
           </div>
           <div className="flex-1 min-w-0 text-right">
             <div className="text-sm font-medium truncate">
-              {currentAccount?.name || "لا يوجد حساب"}
+              {isAllAccounts ? "كل الحسابات" : currentAccount?.name || "لا يوجد حساب"}
             </div>
-            {currentAccount?.phone && (
+            {isAllAccounts && (
+              <div className="text-xs text-gray-400 truncate">
+                {connectedCount} من {accounts.length} متصل
+              </div>
+            )}
+            {!isAllAccounts && currentAccount?.phone && (
               <div className="text-xs text-gray-400 truncate">
                 {currentAccount.phone}
               </div>
@@ -87,42 +106,67 @@ export default function AccountDropdown() {
         <div className="absolute top-full left-0 right-0 mt-2 bg-[#202c33] rounded-lg shadow-2xl border border-gray-700 overflow-hidden z-[9999] max-h-80 overflow-y-auto">
           {/* Accounts List */}
           <div className="py-1">
-            {accounts.map((account) => (
+            {/* Unified inbox - chats of every account in one list */}
+            {accounts.length > 1 && (
               <div
-                key={account.id}
-                className="flex items-center gap-2 px-4 py-3 hover:bg-[#2a3942] transition-colors cursor-pointer group"
-                onClick={() => handleSwitchAccount(account.id)}
+                className="flex items-center gap-2 px-4 py-3 border-b border-gray-700 hover:bg-[#2a3942] transition-colors cursor-pointer"
+                onClick={() => handleSwitchAccount(ALL_ACCOUNTS)}
               >
-                <div className="w-8 h-8 rounded-full bg-gradient-to-br from-green-500 to-teal-600 flex items-center justify-center flex-shrink-0">
-                  <User className="w-4 h-4 text-white" />
+                <div className="w-8 h-8 rounded-full bg-gradient-to-br from-teal-500 to-cyan-600 flex items-center justify-center flex-shrink-0">
+                  <Inbox className="w-4 h-4 text-white" />
                 </div>
                 <div className="flex-1 min-w-0 text-right">
-                  <div className="text-sm font-medium text-white truncate">
-                    {account.name}
-                  </div>
-                  {account.phone && (
-                    <div className="text-xs text-gray-400 truncate">
-                      {account.phone}
-                    </div>
-                  )}
+                  <div className="text-sm font-medium text-white truncate">كل الحسابات</div>
+                  <div className="text-xs text-gray-400 truncate">صندوق وارد موحد</div>
                 </div>
-                {account.isActive && (
+                {isAllAccounts && (
                   <Check className="w-4 h-4 text-green-400 flex-shrink-0" />
                 )}
-                {accounts.length > 1 && (
-                  <button
-                    onClick={(e) => handleDeleteAccount(account.id, e)}
-                    className="opacity-0 group-hover:opacity-100 p-1 hover:bg-red-500/20 rounded transition-all"
-                  >
-                    <Trash2 className="w-4 h-4 text-red-400" />
-                  </button>
-                )}
               </div>
-            ))}
+            )}
+            {accounts.map((account) => {
+              const indicator = getStatusIndicator(account.id);
+              return (
+                <div
+                  key={account.id}
+                  className="flex items-center gap-2 px-4 py-3 hover:bg-[#2a3942] transition-colors cursor-pointer group"
+                  onClick={() => handleSwitchAccount(account.id)}
+                >
+                  <div className="relative w-8 h-8 rounded-full bg-gradient-to-br from-green-500 to-teal-600 flex items-center justify-center flex-shrink-0">
+                    <User className="w-4 h-4 text-white" />
+                    <span
+                      className={`absolute -bottom-0.5 -left-0.5 w-3 h-3 rounded-full border-2 border-[#202c33] ${indicator.color}`}
+                      title={indicator.label}
+                    />
+                  </div>
+                  <div className="flex-1 min-w-0 text-right">
+                    <div className="text-sm font-medium text-white truncate">
+                      {account.name}
+                    </div>
+                    {account.phone && (
+                      <div className="text-xs text-gray-400 truncate">
+                        {account.phone}
+                      </div>
+                    )}
+                  </div>
+                  {account.id === currentAccountId && (
+                    <Check className="w-4 h-4 text-green-400 flex-shrink-0" />
+                  )}
+                  {accounts.length > 1 && canManageAccounts && (
+                    <button
+                      onClick={(e) => handleDeleteAccount(account.id, e)}
+                      className="opacity-0 group-hover:opacity-100 p-1 hover:bg-red-500/20 rounded transition-all"
+                    >
+                      <Trash2 className="w-4 h-4 text-red-400" />
+                    </button>
+                  )}
+                </div>
+              );
+            })}
           </div>
 
           {/* Add Account Button */}
-          {!showAddForm ? (
+          {!canManageAccounts ? null : !showAddForm ? (
             <button
               onClick={() => setShowAddForm(true)}
               className="w-full flex items-center gap-2 px-4 py-3 border-t border-gray-700 hover:bg-[#2a3942] transition-colors text-green-400"
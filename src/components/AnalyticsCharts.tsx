@@ -1,7 +1,10 @@
 "use client";
 
-import { useMemo } from "react";
-import { useSocket } from "@/context/SocketContext";
+import { useEffect, useMemo, useState } from "react";
+import type { Socket } from "socket.io-client";
+import { useSocket, ALL_ACCOUNTS } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import { formatDealValue, type PipelineData } from "@/components/PipelineBoard";
 import {
   MessageCircle,
   Users,
@@ -17,12 +20,17 @@ import {
   UserX,
   Activity,
   Zap,
+  Timer,
+  CircleCheckBig,
   Target,
   Award,
   Calendar,
   MessageSquare,
   RefreshCw,
   Loader2,
+  KanbanSquare,
+  Trophy,
+  FileSpreadsheet,
 } from "lucide-react";
 import {
   BarChart,
@@ -51,7 +59,9 @@ function StatCard({
   icon: Icon,
   gradient,
   subValue,
-  trend
+  trend,
+  change,
+  lowerIsBetter = false
 }: {
   title: string;
   value: string | number;
@@ -59,6 +69,8 @@ function StatCard({
   gradient: string;
   subValue?: string;
   trend?: "up" | "down" | "neutral";
+  change?: number | null; // percent vs the compared period
+  lowerIsBetter?: boolean;
 }) {
   return (
     <div className="relative overflow-hidden bg-gradient-to-br from-[#1a2730] to-[#111b21] rounded-2xl p-5 border border-gray-700/30 hover:border-gray-600/50 transition-all duration-300 hover:shadow-lg hover:shadow-green-500/5 group">
@@ -76,6 +88,14 @@ function StatCard({
               {subValue}
             </p>
           )}
+          {change != null && (
+            <p
+              className={`text-xs mt-1 ${change === 0 ? "text-gray-400" : (change > 0) !== lowerIsBetter ? "text-green-400" : "text-red-400"}`}
+              title="مقارنة بالفترة السابقة"
+            >
+              <span className="ltr-num">{change > 0 ? "▲" : change < 0 ? "▼" : ""} {Math.abs(change)}%</span> عن الفترة السابقة
+            </p>
+          )}
         </div>
         <div className={`p-3 rounded-xl bg-gradient-to-br ${gradient} shadow-lg`}>
           <Icon className="w-6 h-6 text-white" />
@@ -137,16 +157,625 @@ function ChartCard({ title, children, className = "" }: { title: string; childre
   );
 }
 
+const DAY = 24 * 60 * 60 * 1000;
+
+// Funnel and time-in-stage figures of the shown pipelines. Stages are matched by name,
+// so the unified inbox adds up same-named stages of its accounts
+function getPipelineStats(pipelines: PipelineData[]) {
+  const stageOrder: { name: string; kind: string; color: string }[] = [];
+  const stageById = new Map<string, { name: string; kind: string }>();
+  pipelines.forEach((pipeline) => {
+    pipeline.stages.forEach((stage) => {
+      stageById.set(stage.id, stage);
+      if (!stageOrder.some((s) => s.name === stage.name)) stageOrder.push(stage);
+    });
+  });
+  const openStages = stageOrder.filter((s) => s.kind === "open");
+  const wonStages = stageOrder.filter((s) => s.kind === "won");
+
+  const now = Date.now();
+  const reachedCounts = new Map<string, number>();
+  const timeInStage = new Map<string, { total: number; visits: number }>();
+  let openValue = 0;
+  let openCount = 0;
+  let wonValue = 0;
+  let wonCount = 0;
+  let lostCount = 0;
+
+  pipelines.forEach((pipeline) => {
+    pipeline.deals.forEach((deal) => {
+      const current = stageById.get(deal.stageId);
+      if (current?.kind === "won") {
+        wonValue += deal.value;
+        wonCount++;
+      } else if (current?.kind === "lost") {
+        lostCount++;
+      } else {
+        openValue += deal.value;
+        openCount++;
+      }
+
+      const changes = pipeline.changes
+        .filter((c) => c.dealId === deal.id)
+        .sort((a, b) => a.movedAt - b.movedAt);
+      const entered = changes.map((c) => stageById.get(c.toStageId)).filter((s) => s !== undefined);
+      if (current) entered.push(current);
+
+      // A deal reached an open stage if it ever got that far; won deals went through them all
+      const isWon = entered.some((s) => s.kind === "won");
+      const furthest = Math.max(-1, ...entered.map((s) => openStages.findIndex((o) => o.name === s.name)));
+      openStages.forEach((stage, index) => {
+        if (isWon || furthest >= index) reachedCounts.set(stage.name, (reachedCounts.get(stage.name) || 0) + 1);
+      });
+      wonStages.forEach((stage) => {
+        if (entered.some((s) => s.name === stage.name)) reachedCounts.set(stage.name, (reachedCounts.get(stage.name) || 0) + 1);
+      });
+
+      // Time spent in each open stage: until the next move, or until now for the current one
+      changes.forEach((change, index) => {
+        const stage = stageById.get(change.toStageId);
+        if (stage?.kind !== "open") return;
+        const leftAt = changes[index + 1]?.movedAt ?? now;
+        const entry = timeInStage.get(stage.name) || { total: 0, visits: 0 };
+        timeInStage.set(stage.name, { total: entry.total + (leftAt - change.movedAt), visits: entry.visits + 1 });
+      });
+    });
+  });
+
+  const funnelStages = [...openStages, ...wonStages];
+  const firstCount = reachedCounts.get(funnelStages[0]?.name) || 0;
+  const funnel = funnelStages.map((stage) => {
+    const count = reachedCounts.get(stage.name) || 0;
+    return {
+      name: stage.name,
+      count,
+      rate: firstCount > 0 ? Math.round((count / firstCount) * 100) : 0,
+      color: stage.color,
+    };
+  });
+
+  const stageTimes = openStages.map((stage) => {
+    const entry = timeInStage.get(stage.name);
+    return {
+      name: stage.name,
+      days: entry ? Math.round((entry.total / entry.visits / DAY) * 10) / 10 : 0,
+      color: stage.color,
+    };
+  });
+
+  return {
+    hasStages: stageOrder.length > 0,
+    funnel,
+    stageTimes,
+    openCount,
+    openValue,
+    wonCount,
+    wonValue,
+    winRate: wonCount + lostCount > 0 ? Math.round((wonCount / (wonCount + lostCount)) * 100) : 0,
+  };
+}
+
+// Response-time metrics of a date range, computed by the server from the message history.
+// Times are in seconds, null when nothing was measured
+interface ResponseAnalytics {
+  from: string;
+  to: string;
+  accountId: string;
+  conversations: number; // started by the customer in the range
+  responded: number;
+  waiting: number; // chats whose customer is still waiting for a reply
+  firstResponse: { average: number | null; median: number | null };
+  replyTime: { average: number | null; median: number | null; count: number };
+  byHour: { hour: number; median: number | null; count: number }[];
+  byWeekday: { day: number; median: number | null; count: number }[];
+  resolvedPerDay: { date: string; count: number }[];
+}
+
+// Message counts of one day of an account
+interface DailyCount {
+  date: string;
+  received: number;
+  sent: number;
+  chats: number;
+  newChats: number;
+}
+
+// Daily counts of a date range, one list per account of the request
+interface DailyStats {
+  from: string;
+  to: string;
+  accountId: string;
+  accounts: { accountId: string; days: DailyCount[] }[];
+}
+
+interface Period {
+  from: string;
+  to: string;
+}
+
+type RangePreset = "today" | "7d" | "30d" | "custom";
+
+// A team member's activity in a date range (messages sent from the dashboard)
+interface AgentStats {
+  userId: string;
+  name: string | null;
+  sent: number;
+  chats: number;
+  replies: number;
+  averageReply: number | null;
+  medianReply: number | null;
+  open: number; // assigned conversations not resolved yet (counted now)
+}
+
+interface AgentAnalytics {
+  from: string;
+  to: string;
+  accountId: string;
+  agents: AgentStats[];
+}
+
+const analyticsTabs = [
+  { id: "overview" as const, label: "نظرة عامة", icon: BarChart3 },
+  { id: "agents" as const, label: "أداء الموظفين", icon: Trophy },
+];
+
+const DAYS_OF_WEEK = ["الأحد", "الإثنين", "الثلاثاء", "الأربعاء", "الخميس", "الجمعة", "السبت"];
+
+const RANGE_PRESETS: { id: Exclude<RangePreset, "custom">; label: string; days: number }[] = [
+  { id: "today", label: "اليوم", days: 1 },
+  { id: "7d", label: "آخر 7 أيام", days: 7 },
+  { id: "30d", label: "آخر 30 يوماً", days: 30 },
+];
+
+// Local date as "YYYY-MM-DD" (the value of a date input), some days back from today
+const daysAgo = (days: number) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+};
+
+// "YYYY-MM-DD" moved by some days
+const shiftDate = (date: string, days: number) => new Date(Date.parse(date) + days * DAY).toISOString().slice(0, 10);
+
+// The period of the same length right before another one
+const previousPeriod = ({ from, to }: Period): Period => {
+  const length = Math.round((Date.parse(to) - Date.parse(from)) / DAY) + 1;
+  return { from: shiftDate(from, -length), to: shiftDate(from, -1) };
+};
+
+const periodKey = ({ from, to }: Period, accountId: string | null) => `${from}_${to}_${accountId}`;
+
+// Ask the server for the response analytics and daily counts of some periods
+const requestPeriodAnalytics = (socket: Socket, periods: Period[], accountId: string) => {
+  const timezoneOffset = new Date().getTimezoneOffset();
+  periods.forEach(({ from, to }) => {
+    socket.emit("getResponseAnalytics", { from, to, accountId, timezoneOffset });
+    socket.emit("getDailyStats", { from, to, accountId, timezoneOffset });
+  });
+};
+
+const requestAgentAnalytics = (socket: Socket, { from, to }: Period, accountId: string) => {
+  socket.emit("getAgentAnalytics", { from, to, accountId, timezoneOffset: new Date().getTimezoneOffset() });
+};
+
+type ReportFormat = "xlsx" | "pdf";
+
+const reportFormats: { id: ReportFormat; label: string; icon: typeof FileText }[] = [
+  { id: "xlsx", label: "Excel", icon: FileSpreadsheet },
+  { id: "pdf", label: "PDF", icon: FileText },
+];
+
+const downloadFile = ({ filename, mimeType, data }: { filename: string; mimeType: string; data: ArrayBuffer }) => {
+  const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Percent change from the previous period, null when there's nothing to compare with
+const percentChange = (current: number | null | undefined, previous: number | null | undefined) =>
+  current == null || !previous ? null : Math.round(((current - previous) / previous) * 100);
+
+const formatReplyTime = (seconds: number | null) => {
+  if (seconds === null) return "—";
+  if (seconds < 60) return `${seconds} ث`;
+  if (seconds < 60 * 60) return `${Math.round(seconds / 60)} د`;
+  if (seconds < DAY / 1000) return `${(seconds / 3600).toFixed(1)} س`;
+  return `${(seconds / (DAY / 1000)).toFixed(1)} يوم`;
+};
+
+const toMinutes = (seconds: number | null | undefined) => (seconds == null ? 0 : Math.round(seconds / 6) / 10);
+
+// Chart-ready figures of the response analytics, with the previous period's figures next to
+// the current ones (matched by weekday, hour, or position of the day in the range)
+function getResponseStats(analytics: ResponseAnalytics | null, previous: ResponseAnalytics | null) {
+  const weekly = DAYS_OF_WEEK.map((day, index) => {
+    const entry = analytics?.byWeekday[index];
+    return {
+      day,
+      minutes: toMinutes(entry?.median),
+      prevMinutes: toMinutes(previous?.byWeekday[index].median),
+      median: entry?.median ?? null,
+      prevMedian: previous?.byWeekday[index].median ?? null,
+      replies: entry?.count ?? 0,
+    };
+  });
+  const hourly = Array.from({ length: 24 }, (_, hour) => {
+    const entry = analytics?.byHour[hour];
+    return {
+      hour: `${hour.toString().padStart(2, "0")}:00`,
+      minutes: toMinutes(entry?.median),
+      prevMinutes: toMinutes(previous?.byHour[hour].median),
+      median: entry?.median ?? null,
+      prevMedian: previous?.byHour[hour].median ?? null,
+      replies: entry?.count ?? 0,
+    };
+  });
+
+  const conversations = analytics?.conversations ?? 0;
+  const responded = analytics?.responded ?? 0;
+  const resolvedPerDay = (analytics?.resolvedPerDay ?? []).map((d, index) => ({
+    date: d.date.slice(5),
+    count: d.count,
+    prevCount: previous?.resolvedPerDay[index]?.count ?? 0,
+  }));
+  const sumResolved = (a: ResponseAnalytics | null) => a?.resolvedPerDay.reduce((sum, d) => sum + d.count, 0) ?? 0;
+
+  return {
+    weekly,
+    hourly,
+    busiestDay: weekly.reduce((max, curr) => (curr.replies > max.replies ? curr : max), weekly[0]),
+    busiestHour: hourly.reduce((max, curr) => (curr.replies > max.replies ? curr : max), hourly[0]),
+    responseRate: conversations > 0 ? Math.round((responded / conversations) * 100) : 0,
+    responsePie: [
+      { name: "تم الرد", value: responded, color: "#22c55e" },
+      { name: "بدون رد", value: conversations - responded, color: "#f97316" },
+    ],
+    resolvedPerDay,
+    resolvedTotal: sumResolved(analytics),
+    prevResolvedTotal: previous ? sumResolved(previous) : null,
+  };
+}
+
+// Daily counts added up over the accounts, with the previous period's counts by position
+function getDailyTotals(stats: DailyStats | null, previous: DailyStats | null) {
+  const addUp = (data: DailyStats | null) => {
+    const days: DailyCount[] = [];
+    data?.accounts.forEach(({ days: accountDays }) => {
+      accountDays.forEach((day, index) => {
+        const total = days[index] ?? (days[index] = { date: day.date, received: 0, sent: 0, chats: 0, newChats: 0 });
+        total.received += day.received;
+        total.sent += day.sent;
+        total.chats += day.chats;
+        total.newChats += day.newChats;
+      });
+    });
+    return days;
+  };
+  const sum = (days: DailyCount[], field: "received" | "sent" | "newChats") =>
+    days.reduce((total, day) => total + day[field], 0);
+
+  const current = addUp(stats);
+  const prev = addUp(previous);
+  return {
+    days: current.map((day, index) => ({
+      date: day.date.slice(5),
+      received: day.received,
+      sent: day.sent,
+      prevReceived: prev[index]?.received ?? 0,
+      prevSent: prev[index]?.sent ?? 0,
+    })),
+    received: stats ? sum(current, "received") : null,
+    sent: stats ? sum(current, "sent") : null,
+    newChats: stats ? sum(current, "newChats") : null,
+    prevReceived: previous ? sum(prev, "received") : null,
+    prevSent: previous ? sum(prev, "sent") : null,
+    prevNewChats: previous ? sum(prev, "newChats") : null,
+  };
+}
+
+const agentSortOptions: { id: "sent" | "chats" | "averageReply" | "open"; label: string }[] = [
+  { id: "sent", label: "الرسائل المرسلة" },
+  { id: "chats", label: "المحادثات" },
+  { id: "averageReply", label: "أسرع رد" },
+  { id: "open", label: "المحادثات المفتوحة" },
+];
+
+const medalColors = ["text-yellow-400", "text-gray-300", "text-orange-400"];
+
+// Team members of the period ranked like a leaderboard, for the weekly review
+function AgentPerformance({ analytics }: { analytics: AgentAnalytics | null }) {
+  const [sortBy, setSortBy] = useState<(typeof agentSortOptions)[number]["id"]>("sent");
+
+  if (!analytics) {
+    return (
+      <div className="flex justify-center py-16">
+        <Loader2 className="w-6 h-6 text-green-400 animate-spin" />
+      </div>
+    );
+  }
+
+  const ranked = [...analytics.agents].sort((a, b) =>
+    sortBy === "averageReply"
+      ? (a.averageReply ?? Infinity) - (b.averageReply ?? Infinity)
+      : b[sortBy] - a[sortBy]
+  );
+  const podium = ranked.filter((agent) => agent.sent > 0).slice(0, 3);
+  const agentName = (agent: AgentStats) => agent.name || "موظف محذوف";
+  const chartData = ranked
+    .filter((agent) => agent.sent > 0 || agent.chats > 0)
+    .map((agent) => ({ name: agentName(agent), sent: agent.sent, chats: agent.chats }));
+
+  return (
+    <>
+      {/* Leaderboard */}
+      {podium.length > 0 && (
+        <div className="summary-grid">
+          {podium.map((agent, index) => (
+            <div key={agent.userId} className="bg-gradient-to-br from-[#1a2730] to-[#111b21] rounded-2xl p-6 border border-gray-700/30">
+              <div className="flex items-center gap-3 mb-4">
+                <Trophy className={`w-6 h-6 ${medalColors[index]}`} />
+                <div className="min-w-0">
+                  <p className="text-white font-semibold truncate">{agentName(agent)}</p>
+                  <p className="text-xs text-gray-400">المركز <span className="ltr-num">{index + 1}</span></p>
+                </div>
+              </div>
+              <div className="grid grid-cols-3 gap-2 text-center">
+                <div>
+                  <p className="text-xl font-bold text-white ltr-num">{agent.sent}</p>
+                  <p className="text-xs text-gray-400">رسالة</p>
+                </div>
+                <div>
+                  <p className="text-xl font-bold text-white ltr-num">{agent.chats}</p>
+                  <p className="text-xs text-gray-400">محادثة</p>
+                </div>
+                <div>
+                  <p className="text-xl font-bold text-white ltr-num">{formatReplyTime(agent.averageReply)}</p>
+                  <p className="text-xs text-gray-400">متوسط الرد</p>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {chartData.length > 0 && (
+        <ChartCard title="الرسائل والمحادثات لكل موظف">
+          <ResponsiveContainer width="100%" height={280}>
+            <BarChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#2a3942" />
+              <XAxis dataKey="name" stroke="#9ca3af" fontSize={12} />
+              <YAxis stroke="#9ca3af" fontSize={12} allowDecimals={false} />
+              <Tooltip
+                contentStyle={{
+                  backgroundColor: "#111b21",
+                  border: "1px solid #2a3942",
+                  borderRadius: "8px",
+                  color: "#fff",
+                }}
+              />
+              <Legend formatter={(value) => <span className="text-gray-300 text-sm">{value}</span>} />
+              <Bar dataKey="sent" fill="#22c55e" radius={[8, 8, 0, 0]} name="الرسائل المرسلة" />
+              <Bar dataKey="chats" fill="#3b82f6" radius={[8, 8, 0, 0]} name="المحادثات" />
+            </BarChart>
+          </ResponsiveContainer>
+        </ChartCard>
+      )}
+
+      <ChartCard title="أداء الموظفين">
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <span className="text-sm text-gray-400">ترتيب حسب:</span>
+          {agentSortOptions.map((option) => (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => setSortBy(option.id)}
+              className={`px-3 py-1.5 rounded-full text-xs ${sortBy === option.id ? "bg-green-600 text-white" : "bg-[#202c33] text-gray-300 hover:bg-[#2a3942]"}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        {ranked.length === 0 ? (
+          <p className="text-sm text-gray-500">لا يوجد موظفون بعد</p>
+        ) : (
+          <div className="overflow-x-auto" dir="rtl">
+            <table className="w-full text-sm" style={{ minWidth: "700px" }}>
+              <thead>
+                <tr className="border-b border-gray-700 bg-gray-800/30">
+                  <th className="text-center py-4 px-4 text-gray-300 font-semibold" style={{ width: "60px" }}>#</th>
+                  <th className="text-right py-4 px-4 text-gray-300 font-semibold">الموظف</th>
+                  <th className="text-center py-4 px-4 text-gray-300 font-semibold">الرسائل المرسلة</th>
+                  <th className="text-center py-4 px-4 text-gray-300 font-semibold">المحادثات</th>
+                  <th className="text-center py-4 px-4 text-gray-300 font-semibold">متوسط وقت الرد</th>
+                  <th className="text-center py-4 px-4 text-gray-300 font-semibold">مفتوحة الآن</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ranked.map((agent, index) => (
+                  <tr key={agent.userId} className="border-b border-gray-700/50 hover:bg-gray-800/30 transition-colors">
+                    <td className="py-3 px-3 text-center text-gray-500 ltr-num">{index + 1}</td>
+                    <td className="py-3 px-4">
+                      <div className="flex items-center gap-3">
+                        <div className="w-8 h-8 rounded-full bg-gradient-to-br from-green-500 to-teal-600 flex items-center justify-center text-white text-xs font-bold flex-shrink-0">
+                          {agentName(agent).charAt(0)}
+                        </div>
+                        <span className="text-white font-medium">{agentName(agent)}</span>
+                      </div>
+                    </td>
+                    <td className="py-3 px-4 text-center text-white ltr-num">{agent.sent}</td>
+                    <td className="py-3 px-4 text-center text-white ltr-num">{agent.chats}</td>
+                    <td className="py-3 px-4 text-center">
+                      <span className="text-white ltr-num">{formatReplyTime(agent.averageReply)}</span>
+                      {agent.replies > 0 && (
+                        <span className="block text-xs text-gray-500">
+                          الوسيط {formatReplyTime(agent.medianReply)} · <span className="ltr-num">{agent.replies}</span> رد
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-3 px-4 text-center">
+                      {agent.open > 0 ? (
+                        <span className="bg-orange-500/20 text-orange-400 px-3 py-1.5 rounded-full text-xs font-medium ltr-num">
+                          {agent.open}
+                        </span>
+                      ) : (
+                        <span className="text-gray-600">—</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <p className="text-xs text-gray-500 mt-4">
+          تُحتسب الرسائل المرسلة من لوحة التحكم فقط، والمحادثات المفتوحة هي المسندة للموظف ولم تُحل بعد
+        </p>
+      </ChartCard>
+    </>
+  );
+}
+
 export default function AnalyticsCharts() {
-  const { chats, fetchChats, isLoading, isReady } = useSocket();
+  const { chats, fetchChats, isLoading, isReady, socket, currentAccountId, accounts } = useSocket();
+  const { can } = useAuth();
+  // Pipeline data by account (the unified inbox gets one event per account)
+  const [pipelines, setPipelines] = useState<Record<string, PipelineData>>({});
+  const [range, setRange] = useState(() => ({ preset: "30d" as RangePreset, from: daysAgo(29), to: daysAgo(0) }));
+  const [compare, setCompare] = useState(false);
+  const [tab, setTab] = useState<(typeof analyticsTabs)[number]["id"]>("overview");
+  // One account of the unified inbox, or "" for all of them
+  const [rangeAccountId, setRangeAccountId] = useState("");
+  // Answers by period and account, so the compared period is kept next to the current one
+  const [responseAnalytics, setResponseAnalytics] = useState<Record<string, ResponseAnalytics>>({});
+  const [dailyStats, setDailyStats] = useState<Record<string, DailyStats>>({});
+  const [agentAnalytics, setAgentAnalytics] = useState<Record<string, AgentAnalytics>>({});
+  const [responseError, setResponseError] = useState<string | null>(null);
+  const [exporting, setExporting] = useState<ReportFormat | null>(null);
+
+  const analyticsAccountId = currentAccountId === ALL_ACCOUNTS ? rangeAccountId : "";
+  const period = useMemo(() => ({ from: range.from, to: range.to }), [range.from, range.to]);
+  const comparedPeriod = useMemo(() => (compare ? previousPeriod(period) : null), [compare, period]);
+  const periods = useMemo(() => (comparedPeriod ? [period, comparedPeriod] : [period]), [period, comparedPeriod]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handlePipelineAnalytics = (data: PipelineData) => {
+      setPipelines((prev) => ({ ...prev, [data.accountId]: data }));
+    };
+
+    socket.on("pipelineAnalytics", handlePipelineAnalytics);
+    socket.emit("getPipelineAnalytics");
+
+    return () => {
+      socket.off("pipelineAnalytics", handlePipelineAnalytics);
+    };
+  }, [socket, currentAccountId]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleResponseAnalytics = (data: ResponseAnalytics) => {
+      setResponseAnalytics((prev) => ({ ...prev, [periodKey(data, data.accountId)]: data }));
+      setResponseError(null);
+    };
+    const handleDailyStats = (data: DailyStats) => {
+      setDailyStats((prev) => ({ ...prev, [periodKey(data, data.accountId)]: data }));
+    };
+    const handleResponseError = (data: { message: string }) => setResponseError(data.message);
+
+    socket.on("responseAnalytics", handleResponseAnalytics);
+    socket.on("dailyStats", handleDailyStats);
+    socket.on("responseAnalyticsError", handleResponseError);
+    requestPeriodAnalytics(socket, periods, analyticsAccountId);
+
+    return () => {
+      socket.off("responseAnalytics", handleResponseAnalytics);
+      socket.off("dailyStats", handleDailyStats);
+      socket.off("responseAnalyticsError", handleResponseError);
+    };
+  }, [socket, currentAccountId, periods, analyticsAccountId]);
+
+  useEffect(() => {
+    if (!socket || tab !== "agents") return;
+
+    const handleAgentAnalytics = (data: AgentAnalytics) => {
+      setAgentAnalytics((prev) => ({ ...prev, [periodKey(data, data.accountId)]: data }));
+    };
+
+    socket.on("agentAnalytics", handleAgentAnalytics);
+    requestAgentAnalytics(socket, period, analyticsAccountId);
+
+    return () => {
+      socket.off("agentAnalytics", handleAgentAnalytics);
+    };
+  }, [socket, currentAccountId, tab, period, analyticsAccountId]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleReportGenerated = (data: { filename: string; mimeType: string; data: ArrayBuffer }) => {
+      setExporting(null);
+      downloadFile(data);
+    };
+    const handleReportError = (data: { message: string }) => {
+      setExporting(null);
+      setResponseError(data.message);
+    };
+
+    socket.on("reportGenerated", handleReportGenerated);
+    socket.on("reportError", handleReportError);
+
+    return () => {
+      socket.off("reportGenerated", handleReportGenerated);
+      socket.off("reportError", handleReportError);
+    };
+  }, [socket]);
+
+  // The report of the selected range and account, built by the server
+  const exportReport = (format: ReportFormat) => {
+    if (!socket) return;
+    setExporting(format);
+    socket.emit("generateReport", {
+      ...period,
+      accountId: analyticsAccountId,
+      timezoneOffset: new Date().getTimezoneOffset(),
+      format,
+    });
+  };
+
+  // Answers for the current filters (the server echoes the account they are for)
+  const scope = analyticsAccountId || currentAccountId;
+  const shownResponseAnalytics = responseAnalytics[periodKey(period, scope)] ?? null;
+  const comparedResponseAnalytics = comparedPeriod ? responseAnalytics[periodKey(comparedPeriod, scope)] ?? null : null;
+  const shownAgentAnalytics = agentAnalytics[periodKey(period, scope)] ?? null;
+  const responseStats = useMemo(
+    () => getResponseStats(shownResponseAnalytics, comparedResponseAnalytics),
+    [shownResponseAnalytics, comparedResponseAnalytics]
+  );
+  const dailyTotals = useMemo(
+    () => getDailyTotals(
+      dailyStats[periodKey(period, scope)] ?? null,
+      comparedPeriod ? dailyStats[periodKey(comparedPeriod, scope)] ?? null : null
+    ),
+    [dailyStats, period, comparedPeriod, scope]
+  );
+
+  const pipelineStats = useMemo(
+    () => getPipelineStats(
+      Object.values(pipelines).filter((p) => currentAccountId === ALL_ACCOUNTS || p.accountId === currentAccountId)
+    ),
+    [pipelines, currentAccountId]
+  );
 
   // Calculate all statistics
   const stats = useMemo(() => {
     const totalChats = chats.length;
     const groupChats = chats.filter((c) => c.isGroup).length;
     const privateChats = totalChats - groupChats;
-    const replied = chats.filter((c) => c.lastMessage?.fromMe === true).length;
-    const notReplied = chats.filter((c) => c.lastMessage?.fromMe === false).length;
     const unreadTotal = chats.reduce((sum, c) => sum + (c.unreadCount || 0), 0);
 
     // Message type counts
@@ -172,7 +801,6 @@ export default function AnalyticsCharts() {
     });
 
     // Time-based statistics (today vs older)
-    const now = Date.now() / 1000;
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     const todayTimestamp = today.getTime() / 1000;
@@ -181,62 +809,12 @@ export default function AnalyticsCharts() {
       (c.lastMessage?.timestamp || c.timestamp || 0) >= todayTimestamp
     ).length;
 
-    // Response rate
-    const responseRate = totalChats > 0 ? Math.round((replied / totalChats) * 100) : 0;
-
-    // Activity by hour (mock based on timestamps)
-    const hourlyActivity = Array(24).fill(0).map((_, hour) => ({
-      hour: `${hour.toString().padStart(2, '0')}:00`,
-      messages: 0
-    }));
-
-    chats.forEach(chat => {
-      const timestamp = chat.lastMessage?.timestamp || chat.timestamp;
-      if (timestamp) {
-        const date = new Date(timestamp * 1000);
-        const hour = date.getHours();
-        hourlyActivity[hour].messages++;
-      }
-    });
-
-    // Find peak hour
-    const peakHour = hourlyActivity.reduce((max, curr) =>
-      curr.messages > max.messages ? curr : max
-      , hourlyActivity[0]);
-
-    // Days of week activity
-    const daysOfWeek = ['الأحد', 'الإثنين', 'الثلاثاء', 'الأربعاء', 'الخميس', 'الجمعة', 'السبت'];
-    const weeklyActivity = daysOfWeek.map((day, index) => ({
-      day,
-      messages: 0
-    }));
-
-    chats.forEach(chat => {
-      const timestamp = chat.lastMessage?.timestamp || chat.timestamp;
-      if (timestamp) {
-        const date = new Date(timestamp * 1000);
-        const dayIndex = date.getDay();
-        weeklyActivity[dayIndex].messages++;
-      }
-    });
-
-    // Most active day
-    const mostActiveDay = weeklyActivity.reduce((max, curr) =>
-      curr.messages > max.messages ? curr : max
-      , weeklyActivity[0]);
-
     // Group vs Private pie data
     const chatTypePie = [
       { name: "محادثات خاصة", value: privateChats, color: "#8b5cf6" },
       { name: "مجموعات", value: groupChats, color: "#06b6d4" },
     ];
 
-    // Response status pie data
-    const responsePie = [
-      { name: "تم الرد", value: replied, color: "#22c55e" },
-      { name: "بانتظار الرد", value: notReplied, color: "#f97316" },
-    ];
-
     // Message types pie data
     const messageTypePie = [
       { name: "نصية", value: messageTypes.text, color: "#3b82f6" },
@@ -247,30 +825,15 @@ export default function AnalyticsCharts() {
       { name: "ملصقات", value: messageTypes.sticker, color: "#eab308" },
     ].filter(item => item.value > 0);
 
-    // Radial bar for engagement
-    const engagementData = [
-      { name: "معدل الرد", value: responseRate, fill: "#22c55e" },
-      { name: "المحادثات اليوم", value: totalChats > 0 ? Math.round((todayChats / totalChats) * 100) : 0, fill: "#3b82f6" },
-    ];
-
     return {
       totalChats,
       groupChats,
       privateChats,
-      replied,
-      notReplied,
       unreadTotal,
-      responseRate,
       todayChats,
       messageTypes,
-      hourlyActivity,
-      weeklyActivity,
-      peakHour,
-      mostActiveDay,
       chatTypePie,
-      responsePie,
       messageTypePie,
-      engagementData
     };
   }, [chats]);
 
@@ -287,451 +850,764 @@ export default function AnalyticsCharts() {
           </h1>
           <p className="text-gray-400 text-sm mt-1">تحليل شامل لمحادثات الواتساب</p>
         </div>
+        <div className="flex items-center gap-2">
+          {can("export") && reportFormats.map((format) => (
+            <button
+              key={format.id}
+              type="button"
+              onClick={() => exportReport(format.id)}
+              disabled={!socket || exporting !== null}
+              className="flex items-center gap-2 px-4 py-2 bg-[#202c33] hover:bg-[#2a3942] rounded-xl text-gray-200 text-sm transition-colors disabled:opacity-50"
+              title="تقرير الفترة المحددة"
+            >
+              {exporting === format.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <format.icon className="w-4 h-4" />}
+              {format.label}
+            </button>
+          ))}
+          <button
+            onClick={() => {
+              fetchChats();
+              socket?.emit("getPipelineAnalytics");
+              if (socket) requestPeriodAnalytics(socket, periods, analyticsAccountId);
+              if (socket && tab === "agents") requestAgentAnalytics(socket, period, analyticsAccountId);
+            }}
+            disabled={isLoading || !isReady}
+            className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-500 hover:from-green-700 hover:to-emerald-600 rounded-xl text-white text-sm transition-all duration-200 disabled:opacity-50 shadow-lg shadow-green-500/25"
+          >
+            {isLoading ? (
+              <Loader2 className="w-4 h-4 animate-spin" />
+            ) : (
+              <RefreshCw className="w-4 h-4" />
+            )}
+            تحديث البيانات
+          </button>
+        </div>
+      </div>
+
+      {/* Date range and account of the response analytics */}
+      <div className="flex flex-wrap items-center gap-3 bg-gradient-to-br from-[#1a2730] to-[#111b21] rounded-2xl p-4 border border-gray-700/30">
+        <Calendar className="w-5 h-5 text-green-400" />
+        {RANGE_PRESETS.map((preset) => (
+          <button
+            key={preset.id}
+            type="button"
+            onClick={() => setRange({ preset: preset.id, from: daysAgo(preset.days - 1), to: daysAgo(0) })}
+            className={`px-3 py-1.5 rounded-full text-xs ${range.preset === preset.id ? "bg-green-600 text-white" : "bg-[#202c33] text-gray-300 hover:bg-[#2a3942]"}`}
+          >
+            {preset.label}
+          </button>
+        ))}
         <button
-          onClick={() => fetchChats()}
-          disabled={isLoading || !isReady}
-          className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-500 hover:from-green-700 hover:to-emerald-600 rounded-xl text-white text-sm transition-all duration-200 disabled:opacity-50 shadow-lg shadow-green-500/25"
+          type="button"
+          onClick={() => setRange({ ...range, preset: "custom" })}
+          className={`px-3 py-1.5 rounded-full text-xs ${range.preset === "custom" ? "bg-green-600 text-white" : "bg-[#202c33] text-gray-300 hover:bg-[#2a3942]"}`}
         >
-          {isLoading ? (
-            <Loader2 className="w-4 h-4 animate-spin" />
-          ) : (
-            <RefreshCw className="w-4 h-4" />
-          )}
-          تحديث البيانات
+          مخصص
         </button>
+        {range.preset === "custom" && (
+          <>
+            <input
+              type="date"
+              value={range.from}
+              max={range.to}
+              onChange={(e) => setRange({ ...range, from: e.target.value })}
+              className="px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-green-500"
+            />
+            <span className="text-gray-400 text-sm">إلى</span>
+            <input
+              type="date"
+              value={range.to}
+              min={range.from}
+              onChange={(e) => setRange({ ...range, to: e.target.value })}
+              className="px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-green-500"
+            />
+          </>
+        )}
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={compare}
+            onChange={(e) => setCompare(e.target.checked)}
+            className="accent-green-500"
+          />
+          مقارنة بالفترة السابقة
+        </label>
+        {currentAccountId === ALL_ACCOUNTS && accounts.length > 1 && (
+          <select
+            value={rangeAccountId}
+            onChange={(e) => setRangeAccountId(e.target.value)}
+            className="px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-green-500"
+          >
+            <option value="">كل الحسابات</option>
+            {accounts.map((account) => (
+              <option key={account.id} value={account.id}>
+                {account.name}
+              </option>
+            ))}
+          </select>
+        )}
+        {responseError ? (
+          <span className="text-sm text-red-400">{responseError}</span>
+        ) : (
+          <span className="text-xs text-gray-500">أوقات الرد محسوبة من سجل الرسائل المحفوظ</span>
+        )}
       </div>
 
-      {/* Quick Stats Grid */}
-      <div className="stats-grid">
-        <StatCard
-          title="إجمالي المحادثات"
-          value={stats.totalChats}
-          icon={MessageCircle}
-          gradient="from-blue-500 to-blue-600"
-          subValue={`${stats.todayChats} اليوم`}
-          trend="up"
-        />
-        <StatCard
-          title="المجموعات"
-          value={stats.groupChats}
-          icon={Users}
-          gradient="from-cyan-500 to-cyan-600"
-        />
-        <StatCard
-          title="محادثات خاصة"
-          value={stats.privateChats}
-          icon={UserCheck}
-          gradient="from-purple-500 to-purple-600"
-        />
-        <StatCard
-          title="تم الرد"
-          value={stats.replied}
-          icon={CheckCheck}
-          gradient="from-green-500 to-green-600"
-        />
-        <StatCard
-          title="بانتظار الرد"
-          value={stats.notReplied}
-          icon={Clock}
-          gradient="from-orange-500 to-orange-600"
-        />
-        <StatCard
-          title="غير مقروءة"
-          value={stats.unreadTotal}
-          icon={MessageSquare}
-          gradient="from-red-500 to-red-600"
-        />
+      {/* Tabs */}
+      <div className="flex gap-2">
+        {analyticsTabs.map((item) => (
+          <button
+            key={item.id}
+            type="button"
+            onClick={() => setTab(item.id)}
+            className={`flex items-center gap-2 px-4 py-2 rounded-xl text-sm ${tab === item.id ? "bg-[#202c33] text-white border border-green-500/40" : "text-gray-400 hover:text-white hover:bg-[#202c33]"}`}
+          >
+            <item.icon className="w-4 h-4" />
+            {item.label}
+          </button>
+        ))}
       </div>
 
-      {/* Engagement Overview */}
-      <div className="charts-grid-3">
-        {/* Response Rate Ring */}
-        <ChartCard title="مؤشرات الأداء">
-          <div className="flex items-center justify-around py-4">
-            <ProgressRing
-              value={stats.responseRate}
-              label="معدل الرد"
-              color="#22c55e"
-            />
-            <ProgressRing
-              value={stats.totalChats > 0 ? Math.round((stats.todayChats / stats.totalChats) * 100) : 0}
-              label="نشاط اليوم"
-              color="#3b82f6"
-            />
-            <ProgressRing
-              value={stats.totalChats > 0 ? Math.round((stats.groupChats / stats.totalChats) * 100) : 0}
-              label="المجموعات"
-              color="#8b5cf6"
-            />
-          </div>
-        </ChartCard>
+      {tab === "agents" ? (
+        <AgentPerformance analytics={shownAgentAnalytics} />
+      ) : (
+        <>
+        {/* Quick Stats Grid */}
+        <div className="stats-grid">
+          <StatCard
+            title="إجمالي المحادثات"
+            value={stats.totalChats}
+            icon={MessageCircle}
+            gradient="from-blue-500 to-blue-600"
+            subValue={`${stats.todayChats} اليوم`}
+            trend="up"
+          />
+          <StatCard
+            title="المجموعات"
+            value={stats.groupChats}
+            icon={Users}
+            gradient="from-cyan-500 to-cyan-600"
+          />
+          <StatCard
+            title="محادثات خاصة"
+            value={stats.privateChats}
+            icon={UserCheck}
+            gradient="from-purple-500 to-purple-600"
+          />
+          <StatCard
+            title="تم الرد"
+            value={shownResponseAnalytics?.responded ?? "—"}
+            icon={CheckCheck}
+            gradient="from-green-500 to-green-600"
+            subValue={shownResponseAnalytics ? `من ${shownResponseAnalytics.conversations} محادثة جديدة` : undefined}
+            change={percentChange(shownResponseAnalytics?.responded, comparedResponseAnalytics?.responded)}
+          />
+          <StatCard
+            title="بانتظار الرد"
+            value={shownResponseAnalytics?.waiting ?? "—"}
+            change={percentChange(shownResponseAnalytics?.waiting, comparedResponseAnalytics?.waiting)}
+            lowerIsBetter
+            icon={Clock}
+            gradient="from-orange-500 to-orange-600"
+          />
+          <StatCard
+            title="غير مقروءة"
+            value={stats.unreadTotal}
+            icon={MessageSquare}
+            gradient="from-red-500 to-red-600"
+          />
+        </div>
 
-        {/* Response Status Pie */}
-        <ChartCard title="حالة الرد">
-          <ResponsiveContainer width="100%" height={200}>
-            <PieChart>
-              <Pie
-                data={stats.responsePie}
-                cx="50%"
-                cy="50%"
-                innerRadius={50}
-                outerRadius={80}
-                paddingAngle={5}
-                dataKey="value"
-              >
-                {stats.responsePie.map((entry, index) => (
-                  <Cell key={`cell-${index}`} fill={entry.color} />
-                ))}
-              </Pie>
-              <Tooltip
-                contentStyle={{
-                  backgroundColor: "#111b21",
-                  border: "1px solid #2a3942",
-                  borderRadius: "8px",
-                  color: "#fff",
-                }}
-              />
-              <Legend
-                verticalAlign="bottom"
-                height={36}
-                formatter={(value) => <span className="text-gray-300 text-sm">{value}</span>}
-              />
-            </PieChart>
-          </ResponsiveContainer>
-        </ChartCard>
+        {/* Messages of the period */}
+        <div className="summary-grid">
+          <StatCard
+            title="رسائل واردة"
+            value={dailyTotals.received ?? "—"}
+            icon={MessageSquare}
+            gradient="from-indigo-500 to-indigo-600"
+            change={percentChange(dailyTotals.received, dailyTotals.prevReceived)}
+          />
+          <StatCard
+            title="رسائل مرسلة"
+            value={dailyTotals.sent ?? "—"}
+            icon={MessageCircle}
+            gradient="from-emerald-500 to-emerald-600"
+            change={percentChange(dailyTotals.sent, dailyTotals.prevSent)}
+          />
+          <StatCard
+            title="محادثات جديدة"
+            value={dailyTotals.newChats ?? "—"}
+            icon={Users}
+            gradient="from-sky-500 to-sky-600"
+            change={percentChange(dailyTotals.newChats, dailyTotals.prevNewChats)}
+          />
+        </div>
 
-        {/* Chat Types Pie */}
-        <ChartCard title="أنواع المحادثات">
-          <ResponsiveContainer width="100%" height={200}>
-            <PieChart>
-              <Pie
-                data={stats.chatTypePie}
-                cx="50%"
-                cy="50%"
-                innerRadius={50}
-                outerRadius={80}
-                paddingAngle={5}
-                dataKey="value"
-              >
-                {stats.chatTypePie.map((entry, index) => (
-                  <Cell key={`cell-${index}`} fill={entry.color} />
-                ))}
-              </Pie>
-              <Tooltip
-                contentStyle={{
-                  backgroundColor: "#111b21",
-                  border: "1px solid #2a3942",
-                  borderRadius: "8px",
-                  color: "#fff",
-                }}
-              />
-              <Legend
-                verticalAlign="bottom"
-                height={36}
-                formatter={(value) => <span className="text-gray-300 text-sm">{value}</span>}
-              />
-            </PieChart>
-          </ResponsiveContainer>
-        </ChartCard>
-      </div>
+        {/* Response Times */}
+        <div className="summary-grid">
+          <StatCard
+            title="متوسط وقت أول رد"
+            value={formatReplyTime(shownResponseAnalytics?.firstResponse.average ?? null)}
+            icon={Timer}
+            gradient="from-teal-500 to-teal-600"
+            subValue={`الوسيط ${formatReplyTime(shownResponseAnalytics?.firstResponse.median ?? null)}`}
+            change={percentChange(shownResponseAnalytics?.firstResponse.average, comparedResponseAnalytics?.firstResponse.average)}
+            lowerIsBetter
+          />
+          <StatCard
+            title="متوسط وقت الرد"
+            value={formatReplyTime(shownResponseAnalytics?.replyTime.average ?? null)}
+            icon={Clock}
+            gradient="from-blue-500 to-blue-600"
+            subValue={`الوسيط ${formatReplyTime(shownResponseAnalytics?.replyTime.median ?? null)} · ${shownResponseAnalytics?.replyTime.count ?? 0} رد`}
+            change={percentChange(shownResponseAnalytics?.replyTime.average, comparedResponseAnalytics?.replyTime.average)}
+            lowerIsBetter
+          />
+          <StatCard
+            title="محادثات تم حلها"
+            value={responseStats.resolvedTotal}
+            icon={CircleCheckBig}
+            gradient="from-green-500 to-emerald-600"
+            subValue="آخر رسالة منا دون عودة العميل خلال 24 ساعة"
+            change={percentChange(responseStats.resolvedTotal, responseStats.prevResolvedTotal)}
+          />
+        </div>
 
-      {/* Activity Charts */}
-      <div className="charts-grid-2">
-        {/* Weekly Activity Bar Chart */}
-        <ChartCard title="النشاط الأسبوعي">
-          <ResponsiveContainer width="100%" height={280}>
-            <BarChart data={stats.weeklyActivity}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#2a3942" />
-              <XAxis dataKey="day" stroke="#9ca3af" fontSize={12} />
-              <YAxis stroke="#9ca3af" fontSize={12} />
-              <Tooltip
-                contentStyle={{
-                  backgroundColor: "#111b21",
-                  border: "1px solid #2a3942",
-                  borderRadius: "8px",
-                  color: "#fff",
-                }}
-                labelFormatter={(label) => `يوم ${label}`}
-                formatter={(value) => [`${value ?? 0} محادثة`, "المحادثات"]}
+        {/* Engagement Overview */}
+        <div className="charts-grid-3">
+          {/* Response Rate Ring */}
+          <ChartCard title="مؤشرات الأداء">
+            <div className="flex items-center justify-around py-4">
+              <ProgressRing
+                value={responseStats.responseRate}
+                label="معدل الرد"
+                color="#22c55e"
               />
-              <Bar
-                dataKey="messages"
-                fill="url(#greenGradient)"
-                radius={[8, 8, 0, 0]}
-                name="المحادثات"
-              />
-              <defs>
-                <linearGradient id="greenGradient" x1="0" y1="0" x2="0" y2="1">
-                  <stop offset="0%" stopColor="#22c55e" />
-                  <stop offset="100%" stopColor="#059669" />
-                </linearGradient>
-              </defs>
-            </BarChart>
-          </ResponsiveContainer>
-          <div className="mt-4 flex items-center justify-center gap-2 text-sm text-gray-400">
-            <Award className="w-4 h-4 text-yellow-500" />
-            <span>أكثر يوم نشاطًا: <span className="text-white font-medium">{stats.mostActiveDay.day}</span> ({stats.mostActiveDay.messages} محادثة)</span>
-          </div>
-        </ChartCard>
-
-        {/* Hourly Activity Area Chart */}
-        <ChartCard title="النشاط على مدار اليوم">
-          <ResponsiveContainer width="100%" height={280}>
-            <AreaChart data={stats.hourlyActivity}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#2a3942" />
-              <XAxis dataKey="hour" stroke="#9ca3af" fontSize={10} interval={2} />
-              <YAxis stroke="#9ca3af" fontSize={12} />
-              <Tooltip
-                contentStyle={{
-                  backgroundColor: "#111b21",
-                  border: "1px solid #2a3942",
-                  borderRadius: "8px",
-                  color: "#fff",
-                }}
-                formatter={(value) => [`${value ?? 0} محادثة`, "المحادثات"]}
+              <ProgressRing
+                value={stats.totalChats > 0 ? Math.round((stats.todayChats / stats.totalChats) * 100) : 0}
+                label="نشاط اليوم"
+                color="#3b82f6"
               />
-              <defs>
-                <linearGradient id="blueGradient" x1="0" y1="0" x2="0" y2="1">
-                  <stop offset="0%" stopColor="#3b82f6" stopOpacity={0.8} />
-                  <stop offset="100%" stopColor="#3b82f6" stopOpacity={0.1} />
-                </linearGradient>
-              </defs>
-              <Area
-                type="monotone"
-                dataKey="messages"
-                stroke="#3b82f6"
-                fill="url(#blueGradient)"
-                strokeWidth={2}
-                name="المحادثات"
+              <ProgressRing
+                value={stats.totalChats > 0 ? Math.round((stats.groupChats / stats.totalChats) * 100) : 0}
+                label="المجموعات"
+                color="#8b5cf6"
               />
-            </AreaChart>
-          </ResponsiveContainer>
-          <div className="mt-4 flex items-center justify-center gap-2 text-sm text-gray-400">
-            <Zap className="w-4 h-4 text-blue-500" />
-            <span>ذروة النشاط: <span className="text-white font-medium">{stats.peakHour.hour}</span> ({stats.peakHour.messages} محادثة)</span>
-          </div>
-        </ChartCard>
-      </div>
+            </div>
+          </ChartCard>
 
-      {/* Message Types */}
-      <div className="charts-grid-2">
-        {/* Message Types Pie */}
-        <ChartCard title="أنواع الرسائل">
-          <ResponsiveContainer width="100%" height={280}>
-            <PieChart>
-              <Pie
-                data={stats.messageTypePie}
-                cx="50%"
-                cy="50%"
-                outerRadius={100}
-                paddingAngle={2}
-                dataKey="value"
-                label={({ name, percent }) =>
-                  `${name} (${((percent ?? 0) * 100).toFixed(0)}%)`
-                }
-                labelLine={false}
-              >
-                {stats.messageTypePie.map((entry, index) => (
-                  <Cell key={`cell-${index}`} fill={entry.color} />
-                ))}
-              </Pie>
-              <Tooltip
-                contentStyle={{
-                  backgroundColor: "#111b21",
-                  border: "1px solid #2a3942",
-                  borderRadius: "8px",
-                  color: "#fff",
-                }}
-              />
-            </PieChart>
-          </ResponsiveContainer>
-        </ChartCard>
+          {/* Response Status Pie */}
+          <ChartCard title="حالة الرد">
+            <ResponsiveContainer width="100%" height={200}>
+              <PieChart>
+                <Pie
+                  data={responseStats.responsePie}
+                  cx="50%"
+                  cy="50%"
+                  innerRadius={50}
+                  outerRadius={80}
+                  paddingAngle={5}
+                  dataKey="value"
+                >
+                  {responseStats.responsePie.map((entry, index) => (
+                    <Cell key={`cell-${index}`} fill={entry.color} />
+                  ))}
+                </Pie>
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: "#111b21",
+                    border: "1px solid #2a3942",
+                    borderRadius: "8px",
+                    color: "#fff",
+                  }}
+                />
+                <Legend
+                  verticalAlign="bottom"
+                  height={36}
+                  formatter={(value) => <span className="text-gray-300 text-sm">{value}</span>}
+                />
+              </PieChart>
+            </ResponsiveContainer>
+          </ChartCard>
 
-        {/* Message Types Grid */}
-        <ChartCard title="توزيع الوسائط">
-          <div className="media-grid">
-            <div className="bg-[#202c33] rounded-xl p-4 text-center">
-              <div className="w-12 h-12 mx-auto mb-2 rounded-full bg-blue-500/20 flex items-center justify-center">
-                <MessageCircle className="w-6 h-6 text-blue-400" />
-              </div>
-              <p className="text-2xl font-bold text-white ltr-num">{stats.messageTypes.text}</p>
-              <p className="text-xs text-gray-400">رسائل نصية</p>
+          {/* Chat Types Pie */}
+          <ChartCard title="أنواع المحادثات">
+            <ResponsiveContainer width="100%" height={200}>
+              <PieChart>
+                <Pie
+                  data={stats.chatTypePie}
+                  cx="50%"
+                  cy="50%"
+                  innerRadius={50}
+                  outerRadius={80}
+                  paddingAngle={5}
+                  dataKey="value"
+                >
+                  {stats.chatTypePie.map((entry, index) => (
+                    <Cell key={`cell-${index}`} fill={entry.color} />
+                  ))}
+                </Pie>
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: "#111b21",
+                    border: "1px solid #2a3942",
+                    borderRadius: "8px",
+                    color: "#fff",
+                  }}
+                />
+                <Legend
+                  verticalAlign="bottom"
+                  height={36}
+                  formatter={(value) => <span className="text-gray-300 text-sm">{value}</span>}
+                />
+              </PieChart>
+            </ResponsiveContainer>
+          </ChartCard>
+        </div>
+
+        {/* Reply Time Charts */}
+        <div className="charts-grid-2">
+          {/* Median reply time by weekday */}
+          <ChartCard title="وسيط وقت الرد حسب اليوم (بالدقائق)">
+            <ResponsiveContainer width="100%" height={280}>
+              <BarChart data={responseStats.weekly}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#2a3942" />
+                <XAxis dataKey="day" stroke="#9ca3af" fontSize={12} />
+                <YAxis stroke="#9ca3af" fontSize={12} />
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: "#111b21",
+                    border: "1px solid #2a3942",
+                    borderRadius: "8px",
+                    color: "#fff",
+                  }}
+                  labelFormatter={(label) => `يوم ${label}`}
+                  formatter={(_value, name, item) =>
+                    item.dataKey === "prevMinutes"
+                      ? [formatReplyTime(item.payload.prevMedian), name]
+                      : [`${formatReplyTime(item.payload.median)} (${item.payload.replies} رد)`, name]
+                  }
+                />
+                <Bar
+                  dataKey="minutes"
+                  fill="url(#greenGradient)"
+                  radius={[8, 8, 0, 0]}
+                  name="الفترة الحالية"
+                />
+                {compare && (
+                  <Bar dataKey="prevMinutes" fill="#4b5563" radius={[8, 8, 0, 0]} name="الفترة السابقة" />
+                )}
+                <defs>
+                  <linearGradient id="greenGradient" x1="0" y1="0" x2="0" y2="1">
+                    <stop offset="0%" stopColor="#22c55e" />
+                    <stop offset="100%" stopColor="#059669" />
+                  </linearGradient>
+                </defs>
+              </BarChart>
+            </ResponsiveContainer>
+            <div className="mt-4 flex items-center justify-center gap-2 text-sm text-gray-400">
+              <Award className="w-4 h-4 text-yellow-500" />
+              <span>أكثر يوم نشاطًا: <span className="text-white font-medium">{responseStats.busiestDay.day}</span> ({responseStats.busiestDay.replies} رد)</span>
             </div>
-            <div className="bg-[#202c33] rounded-xl p-4 text-center">
-              <div className="w-12 h-12 mx-auto mb-2 rounded-full bg-purple-500/20 flex items-center justify-center">
-                <ImageIcon className="w-6 h-6 text-purple-400" />
-              </div>
-              <p className="text-2xl font-bold text-white ltr-num">{stats.messageTypes.image}</p>
-              <p className="text-xs text-gray-400">صور</p>
+          </ChartCard>
+
+          {/* Median reply time by hour */}
+          <ChartCard title="وسيط وقت الرد على مدار اليوم (بالدقائق)">
+            <ResponsiveContainer width="100%" height={280}>
+              <AreaChart data={responseStats.hourly}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#2a3942" />
+                <XAxis dataKey="hour" stroke="#9ca3af" fontSize={10} interval={2} />
+                <YAxis stroke="#9ca3af" fontSize={12} />
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: "#111b21",
+                    border: "1px solid #2a3942",
+                    borderRadius: "8px",
+                    color: "#fff",
+                  }}
+                  formatter={(_value, name, item) =>
+                    item.dataKey === "prevMinutes"
+                      ? [formatReplyTime(item.payload.prevMedian), name]
+                      : [`${formatReplyTime(item.payload.median)} (${item.payload.replies} رد)`, name]
+                  }
+                />
+                <defs>
+                  <linearGradient id="blueGradient" x1="0" y1="0" x2="0" y2="1">
+                    <stop offset="0%" stopColor="#3b82f6" stopOpacity={0.8} />
+                    <stop offset="100%" stopColor="#3b82f6" stopOpacity={0.1} />
+                  </linearGradient>
+                </defs>
+                <Area
+                  type="monotone"
+                  dataKey="minutes"
+                  stroke="#3b82f6"
+                  fill="url(#blueGradient)"
+                  strokeWidth={2}
+                  name="الفترة الحالية"
+                />
+                {compare && (
+                  <Area
+                    type="monotone"
+                    dataKey="prevMinutes"
+                    stroke="#9ca3af"
+                    strokeDasharray="5 5"
+                    fill="none"
+                    strokeWidth={2}
+                    name="الفترة السابقة"
+                  />
+                )}
+              </AreaChart>
+            </ResponsiveContainer>
+            <div className="mt-4 flex items-center justify-center gap-2 text-sm text-gray-400">
+              <Zap className="w-4 h-4 text-blue-500" />
+              <span>ذروة النشاط: <span className="text-white font-medium">{responseStats.busiestHour.hour}</span> ({responseStats.busiestHour.replies} رد)</span>
             </div>
-            <div className="bg-[#202c33] rounded-xl p-4 text-center">
-              <div className="w-12 h-12 mx-auto mb-2 rounded-full bg-pink-500/20 flex items-center justify-center">
-                <Video className="w-6 h-6 text-pink-400" />
+          </ChartCard>
+        </div>
+
+        {/* Daily Messages and Resolved Conversations */}
+        <div className="charts-grid-2">
+          <ChartCard title="الرسائل اليومية">
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={dailyTotals.days}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#2a3942" />
+                <XAxis dataKey="date" stroke="#9ca3af" fontSize={11} />
+                <YAxis stroke="#9ca3af" fontSize={12} allowDecimals={false} />
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: "#111b21",
+                    border: "1px solid #2a3942",
+                    borderRadius: "8px",
+                    color: "#fff",
+                  }}
+                  formatter={(value, name) => [`${value ?? 0} رسالة`, name]}
+                />
+                <Legend formatter={(value) => <span className="text-gray-300 text-sm">{value}</span>} />
+                <Line type="monotone" dataKey="received" stroke="#6366f1" strokeWidth={2} dot={false} name="واردة" />
+                <Line type="monotone" dataKey="sent" stroke="#10b981" strokeWidth={2} dot={false} name="مرسلة" />
+                {compare && (
+                  <Line type="monotone" dataKey="prevReceived" stroke="#6366f1" strokeOpacity={0.5} strokeDasharray="5 5" dot={false} name="واردة (السابقة)" />
+                )}
+                {compare && (
+                  <Line type="monotone" dataKey="prevSent" stroke="#10b981" strokeOpacity={0.5} strokeDasharray="5 5" dot={false} name="مرسلة (السابقة)" />
+                )}
+              </LineChart>
+            </ResponsiveContainer>
+          </ChartCard>
+
+          <ChartCard title="المحادثات التي تم حلها يومياً">
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={responseStats.resolvedPerDay}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#2a3942" />
+                <XAxis dataKey="date" stroke="#9ca3af" fontSize={11} />
+                <YAxis stroke="#9ca3af" fontSize={12} allowDecimals={false} />
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: "#111b21",
+                    border: "1px solid #2a3942",
+                    borderRadius: "8px",
+                    color: "#fff",
+                  }}
+                  formatter={(value, name) => [`${value ?? 0} محادثة`, name]}
+                />
+                <Line type="monotone" dataKey="count" stroke="#22c55e" strokeWidth={2} dot={false} name="الفترة الحالية" />
+                {compare && (
+                  <Line type="monotone" dataKey="prevCount" stroke="#9ca3af" strokeDasharray="5 5" dot={false} name="الفترة السابقة" />
+                )}
+              </LineChart>
+            </ResponsiveContainer>
+          </ChartCard>
+        </div>
+
+        {/* Message Types */}
+        <div className="charts-grid-2">
+          {/* Message Types Pie */}
+          <ChartCard title="أنواع الرسائل">
+            <ResponsiveContainer width="100%" height={280}>
+              <PieChart>
+                <Pie
+                  data={stats.messageTypePie}
+                  cx="50%"
+                  cy="50%"
+                  outerRadius={100}
+                  paddingAngle={2}
+                  dataKey="value"
+                  label={({ name, percent }) =>
+                    `${name} (${((percent ?? 0) * 100).toFixed(0)}%)`
+                  }
+                  labelLine={false}
+                >
+                  {stats.messageTypePie.map((entry, index) => (
+                    <Cell key={`cell-${index}`} fill={entry.color} />
+                  ))}
+                </Pie>
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: "#111b21",
+                    border: "1px solid #2a3942",
+                    borderRadius: "8px",
+                    color: "#fff",
+                  }}
+                />
+              </PieChart>
+            </ResponsiveContainer>
+          </ChartCard>
+
+          {/* Message Types Grid */}
+          <ChartCard title="توزيع الوسائط">
+            <div className="media-grid">
+              <div className="bg-[#202c33] rounded-xl p-4 text-center">
+                <div className="w-12 h-12 mx-auto mb-2 rounded-full bg-blue-500/20 flex items-center justify-center">
+                  <MessageCircle className="w-6 h-6 text-blue-400" />
+                </div>
+                <p className="text-2xl font-bold text-white ltr-num">{stats.messageTypes.text}</p>
+                <p className="text-xs text-gray-400">رسائل نصية</p>
               </div>
-              <p className="text-2xl font-bold text-white ltr-num">{stats.messageTypes.video}</p>
-              <p className="text-xs text-gray-400">فيديو</p>
-            </div>
-            <div className="bg-[#202c33] rounded-xl p-4 text-center">
-              <div className="w-12 h-12 mx-auto mb-2 rounded-full bg-green-500/20 flex items-center justify-center">
-                <Mic className="w-6 h-6 text-green-400" />
+              <div className="bg-[#202c33] rounded-xl p-4 text-center">
+                <div className="w-12 h-12 mx-auto mb-2 rounded-full bg-purple-500/20 flex items-center justify-center">
+                  <ImageIcon className="w-6 h-6 text-purple-400" />
+                </div>
+                <p className="text-2xl font-bold text-white ltr-num">{stats.messageTypes.image}</p>
+                <p className="text-xs text-gray-400">صور</p>
               </div>
-              <p className="text-2xl font-bold text-white ltr-num">{stats.messageTypes.audio}</p>
-              <p className="text-xs text-gray-400">رسائل صوتية</p>
-            </div>
-            <div className="bg-[#202c33] rounded-xl p-4 text-center">
-              <div className="w-12 h-12 mx-auto mb-2 rounded-full bg-orange-500/20 flex items-center justify-center">
-                <FileText className="w-6 h-6 text-orange-400" />
+              <div className="bg-[#202c33] rounded-xl p-4 text-center">
+                <div className="w-12 h-12 mx-auto mb-2 rounded-full bg-pink-500/20 flex items-center justify-center">
+                  <Video className="w-6 h-6 text-pink-400" />
+                </div>
+                <p className="text-2xl font-bold text-white ltr-num">{stats.messageTypes.video}</p>
+                <p className="text-xs text-gray-400">فيديو</p>
               </div>
-              <p className="text-2xl font-bold text-white ltr-num">{stats.messageTypes.document}</p>
-              <p className="text-xs text-gray-400">مستندات</p>
-            </div>
-            <div className="bg-[#202c33] rounded-xl p-4 text-center">
-              <div className="w-12 h-12 mx-auto mb-2 rounded-full bg-yellow-500/20 flex items-center justify-center">
-                <Activity className="w-6 h-6 text-yellow-400" />
+              <div className="bg-[#202c33] rounded-xl p-4 text-center">
+                <div className="w-12 h-12 mx-auto mb-2 rounded-full bg-green-500/20 flex items-center justify-center">
+                  <Mic className="w-6 h-6 text-green-400" />
+                </div>
+                <p className="text-2xl font-bold text-white ltr-num">{stats.messageTypes.audio}</p>
+                <p className="text-xs text-gray-400">رسائل صوتية</p>
+              </div>
+              <div className="bg-[#202c33] rounded-xl p-4 text-center">
+                <div className="w-12 h-12 mx-auto mb-2 rounded-full bg-orange-500/20 flex items-center justify-center">
+                  <FileText className="w-6 h-6 text-orange-400" />
+                </div>
+                <p className="text-2xl font-bold text-white ltr-num">{stats.messageTypes.document}</p>
+                <p className="text-xs text-gray-400">مستندات</p>
+              </div>
+              <div className="bg-[#202c33] rounded-xl p-4 text-center">
+                <div className="w-12 h-12 mx-auto mb-2 rounded-full bg-yellow-500/20 flex items-center justify-center">
+                  <Activity className="w-6 h-6 text-yellow-400" />
+                </div>
+                <p className="text-2xl font-bold text-white ltr-num">{stats.messageTypes.sticker + stats.messageTypes.other}</p>
+                <p className="text-xs text-gray-400">أخرى</p>
               </div>
-              <p className="text-2xl font-bold text-white ltr-num">{stats.messageTypes.sticker + stats.messageTypes.other}</p>
-              <p className="text-xs text-gray-400">أخرى</p>
             </div>
+          </ChartCard>
+        </div>
+
+        {/* Sales Pipeline */}
+        {pipelineStats.hasStages && (
+          <div className="charts-grid-2">
+            <ChartCard title="قمع التحويل في مسار المبيعات">
+              <ResponsiveContainer width="100%" height={280}>
+                <BarChart data={pipelineStats.funnel} layout="vertical" margin={{ left: 20 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#2a3942" />
+                  <XAxis type="number" stroke="#9ca3af" fontSize={12} allowDecimals={false} />
+                  <YAxis type="category" dataKey="name" stroke="#9ca3af" fontSize={12} width={110} />
+                  <Tooltip
+                    contentStyle={{
+                      backgroundColor: "#111b21",
+                      border: "1px solid #2a3942",
+                      borderRadius: "8px",
+                      color: "#fff",
+                    }}
+                    formatter={(value, _name, item) => [`${value ?? 0} صفقة (${item.payload.rate}%)`, "وصلت إلى المرحلة"]}
+                  />
+                  <Bar dataKey="count" radius={[0, 8, 8, 0]} name="الصفقات">
+                    {pipelineStats.funnel.map((entry, index) => (
+                      <Cell key={`cell-${index}`} fill={entry.color} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+              <div className="mt-4 flex flex-wrap items-center justify-center gap-4 text-sm text-gray-400">
+                <span className="flex items-center gap-1.5">
+                  <KanbanSquare className="w-4 h-4 text-blue-400" />
+                  مفتوحة: <span className="text-white ltr-num">{pipelineStats.openCount}</span>
+                  (<span className="ltr-num">{formatDealValue(pipelineStats.openValue)}</span>)
+                </span>
+                <span className="flex items-center gap-1.5">
+                  <Award className="w-4 h-4 text-yellow-500" />
+                  تم الفوز: <span className="text-white ltr-num">{pipelineStats.wonCount}</span>
+                  (<span className="ltr-num">{formatDealValue(pipelineStats.wonValue)}</span>)
+                </span>
+                <span>
+                  نسبة الفوز: <span className="text-white ltr-num">{pipelineStats.winRate}%</span>
+                </span>
+              </div>
+            </ChartCard>
+
+            <ChartCard title="متوسط الوقت في كل مرحلة (بالأيام)">
+              <ResponsiveContainer width="100%" height={280}>
+                <BarChart data={pipelineStats.stageTimes}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#2a3942" />
+                  <XAxis dataKey="name" stroke="#9ca3af" fontSize={12} />
+                  <YAxis stroke="#9ca3af" fontSize={12} />
+                  <Tooltip
+                    contentStyle={{
+                      backgroundColor: "#111b21",
+                      border: "1px solid #2a3942",
+                      borderRadius: "8px",
+                      color: "#fff",
+                    }}
+                    formatter={(value) => [`${value ?? 0} يوم`, "متوسط البقاء"]}
+                  />
+                  <Bar dataKey="days" radius={[8, 8, 0, 0]} name="الأيام">
+                    {pipelineStats.stageTimes.map((entry, index) => (
+                      <Cell key={`cell-${index}`} fill={entry.color} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </ChartCard>
           </div>
-        </ChartCard>
-      </div>
+        )}
 
-      {/* Summary Cards */}
-      <div className="summary-grid">
-        <div className="bg-gradient-to-br from-green-500/10 to-teal-500/10 border border-green-500/20 rounded-2xl p-6">
-          <div className="flex items-center gap-3 mb-4">
-            <div className="p-2 rounded-lg bg-green-500/20">
-              <Target className="w-5 h-5 text-green-400" />
+        {/* Summary Cards */}
+        <div className="summary-grid">
+          <div className="bg-gradient-to-br from-green-500/10 to-teal-500/10 border border-green-500/20 rounded-2xl p-6">
+            <div className="flex items-center gap-3 mb-4">
+              <div className="p-2 rounded-lg bg-green-500/20">
+                <Target className="w-5 h-5 text-green-400" />
+              </div>
+              <h3 className="text-lg font-semibold text-white">معدل الاستجابة</h3>
+            </div>
+            <div className="text-center">
+              <p className="text-5xl font-bold text-green-400 ltr-num">{responseStats.responseRate}%</p>
+              <p className="text-sm text-gray-400 mt-2">
+                {responseStats.responseRate >= 80 ? "ممتاز! استمر كذلك 🎉" :
+                  responseStats.responseRate >= 50 ? "جيد، يمكن تحسينه 💪" :
+                    "يحتاج متابعة أكثر ⚠️"}
+              </p>
             </div>
-            <h3 className="text-lg font-semibold text-white">معدل الاستجابة</h3>
-          </div>
-          <div className="text-center">
-            <p className="text-5xl font-bold text-green-400 ltr-num">{stats.responseRate}%</p>
-            <p className="text-sm text-gray-400 mt-2">
-              {stats.responseRate >= 80 ? "ممتاز! استمر كذلك 🎉" :
-                stats.responseRate >= 50 ? "جيد، يمكن تحسينه 💪" :
-                  "يحتاج متابعة أكثر ⚠️"}
-            </p>
           </div>
-        </div>
 
-        <div className="bg-gradient-to-br from-blue-500/10 to-cyan-500/10 border border-blue-500/20 rounded-2xl p-6">
-          <div className="flex items-center gap-3 mb-4">
-            <div className="p-2 rounded-lg bg-blue-500/20">
-              <Calendar className="w-5 h-5 text-blue-400" />
+          <div className="bg-gradient-to-br from-blue-500/10 to-cyan-500/10 border border-blue-500/20 rounded-2xl p-6">
+            <div className="flex items-center gap-3 mb-4">
+              <div className="p-2 rounded-lg bg-blue-500/20">
+                <Calendar className="w-5 h-5 text-blue-400" />
+              </div>
+              <h3 className="text-lg font-semibold text-white">أكثر يوم نشاطًا</h3>
+            </div>
+            <div className="text-center">
+              <p className="text-3xl font-bold text-blue-400">{responseStats.busiestDay.day}</p>
+              <p className="text-sm text-gray-400 mt-2 ltr-num">{responseStats.busiestDay.replies} رد</p>
             </div>
-            <h3 className="text-lg font-semibold text-white">أكثر يوم نشاطًا</h3>
-          </div>
-          <div className="text-center">
-            <p className="text-3xl font-bold text-blue-400">{stats.mostActiveDay.day}</p>
-            <p className="text-sm text-gray-400 mt-2 ltr-num">{stats.mostActiveDay.messages} محادثة</p>
           </div>
-        </div>
 
-        <div className="bg-gradient-to-br from-purple-500/10 to-pink-500/10 border border-purple-500/20 rounded-2xl p-6">
-          <div className="flex items-center gap-3 mb-4">
-            <div className="p-2 rounded-lg bg-purple-500/20">
-              <Zap className="w-5 h-5 text-purple-400" />
+          <div className="bg-gradient-to-br from-purple-500/10 to-pink-500/10 border border-purple-500/20 rounded-2xl p-6">
+            <div className="flex items-center gap-3 mb-4">
+              <div className="p-2 rounded-lg bg-purple-500/20">
+                <Zap className="w-5 h-5 text-purple-400" />
+              </div>
+              <h3 className="text-lg font-semibold text-white">ذروة النشاط</h3>
+            </div>
+            <div className="text-center">
+              <p className="text-3xl font-bold text-purple-400 ltr-num">{responseStats.busiestHour.hour}</p>
+              <p className="text-sm text-gray-400 mt-2 ltr-num">{responseStats.busiestHour.replies} رد</p>
             </div>
-            <h3 className="text-lg font-semibold text-white">ذروة النشاط</h3>
-          </div>
-          <div className="text-center">
-            <p className="text-3xl font-bold text-purple-400 ltr-num">{stats.peakHour.hour}</p>
-            <p className="text-sm text-gray-400 mt-2 ltr-num">{stats.peakHour.messages} محادثة</p>
           </div>
         </div>
-      </div>
 
-      {/* Response Time Analysis Table */}
-      <ChartCard title="تحليل وقت الرد لكل محادثة" className="col-span-full">
-        <div className="overflow-x-auto" dir="rtl">
-          <table className="w-full text-sm" style={{ minWidth: '900px' }}>
-            <thead>
-              <tr className="border-b border-gray-700 bg-gray-800/30">
-                <th className="text-center py-4 px-4 text-gray-300 font-semibold" style={{ width: '60px' }}>#</th>
-                <th className="text-right py-4 px-4 text-gray-300 font-semibold" style={{ minWidth: '220px' }}>اسم المحادثة</th>
-                <th className="text-center py-4 px-4 text-gray-300 font-semibold" style={{ width: '100px' }}>النوع</th>
-                <th className="text-center py-4 px-4 text-gray-300 font-semibold" style={{ width: '120px' }}>منذ متى</th>
-                <th className="text-center py-4 px-4 text-gray-300 font-semibold" style={{ width: '130px' }}>الحالة</th>
-                <th className="text-center py-4 px-4 text-gray-300 font-semibold" style={{ width: '100px' }}>غير مقروء</th>
-              </tr>
-            </thead>
-            <tbody>
-              {chats.slice(0, 20).map((chat, index) => {
-                const lastMessageTime = chat.lastMessage?.timestamp || chat.timestamp;
-                const timeSinceLastMessage = lastMessageTime
-                  ? Math.floor((Date.now() / 1000 - lastMessageTime) / 60)
-                  : null;
-
-                const getTimeLabel = (minutes: number | null) => {
-                  if (minutes === null) return <span>غير معروف</span>;
-                  if (minutes < 1) return <span>الآن</span>;
-                  if (minutes < 60) return <><span className="ltr-num">{minutes}</span> دقيقة</>;
-                  if (minutes < 1440) return <><span className="ltr-num">{Math.floor(minutes / 60)}</span> ساعة</>;
-                  return <><span className="ltr-num">{Math.floor(minutes / 1440)}</span> يوم</>;
-                };
-
-                const getStatusColor = (fromMe: boolean | undefined) => {
-                  if (fromMe === true) return "bg-green-500/20 text-green-400";
-                  if (fromMe === false) return "bg-orange-500/20 text-orange-400";
-                  return "bg-gray-500/20 text-gray-400";
-                };
-
-                const getStatusLabel = (fromMe: boolean | undefined) => {
-                  if (fromMe === true) return "تم الرد ✓";
-                  if (fromMe === false) return "بانتظار الرد";
-                  return "غير معروف";
-                };
-
-                return (
-                  <tr
-                    key={chat.id}
-                    className="border-b border-gray-700/50 hover:bg-gray-800/30 transition-colors"
-                  >
-                    <td className="py-3 px-3 text-center text-gray-500 ltr-num">{index + 1}</td>
-                    <td className="py-3 px-4">
-                      <div className="flex items-center gap-3">
-                        <div className="w-8 h-8 rounded-full bg-gradient-to-br from-green-500 to-teal-600 flex items-center justify-center text-white text-xs font-bold flex-shrink-0">
-                          {chat.name?.charAt(0) || "?"}
+        {/* Response Time Analysis Table */}
+        <ChartCard title="تحليل وقت الرد لكل محادثة" className="col-span-full">
+          <div className="overflow-x-auto" dir="rtl">
+            <table className="w-full text-sm" style={{ minWidth: '900px' }}>
+              <thead>
+                <tr className="border-b border-gray-700 bg-gray-800/30">
+                  <th className="text-center py-4 px-4 text-gray-300 font-semibold" style={{ width: '60px' }}>#</th>
+                  <th className="text-right py-4 px-4 text-gray-300 font-semibold" style={{ minWidth: '220px' }}>اسم المحادثة</th>
+                  <th className="text-center py-4 px-4 text-gray-300 font-semibold" style={{ width: '100px' }}>النوع</th>
+                  <th className="text-center py-4 px-4 text-gray-300 font-semibold" style={{ width: '120px' }}>منذ متى</th>
+                  <th className="text-center py-4 px-4 text-gray-300 font-semibold" style={{ width: '130px' }}>الحالة</th>
+                  <th className="text-center py-4 px-4 text-gray-300 font-semibold" style={{ width: '100px' }}>غير مقروء</th>
+                </tr>
+              </thead>
+              <tbody>
+                {chats.slice(0, 20).map((chat, index) => {
+                  const lastMessageTime = chat.lastMessage?.timestamp || chat.timestamp;
+                  const timeSinceLastMessage = lastMessageTime
+                    ? Math.floor((Date.now() / 1000 - lastMessageTime) / 60)
+                    : null;
+
+                  const getTimeLabel = (minutes: number | null) => {
+                    if (minutes === null) return <span>غير معروف</span>;
+                    if (minutes < 1) return <span>الآن</span>;
+                    if (minutes < 60) return <><span className="ltr-num">{minutes}</span> دقيقة</>;
+                    if (minutes < 1440) return <><span className="ltr-num">{Math.floor(minutes / 60)}</span> ساعة</>;
+                    return <><span className="ltr-num">{Math.floor(minutes / 1440)}</span> يوم</>;
+                  };
+
+                  const getStatusColor = (fromMe: boolean | undefined) => {
+                    if (fromMe === true) return "bg-green-500/20 text-green-400";
+                    if (fromMe === false) return "bg-orange-500/20 text-orange-400";
+                    return "bg-gray-500/20 text-gray-400";
+                  };
+
+                  const getStatusLabel = (fromMe: boolean | undefined) => {
+                    if (fromMe === true) return "تم الرد ✓";
+                    if (fromMe === false) return "بانتظار الرد";
+                    return "غير معروف";
+                  };
+
+                  return (
+                    <tr
+                      key={chat.id}
+                      className="border-b border-gray-700/50 hover:bg-gray-800/30 transition-colors"
+                    >
+                      <td className="py-3 px-3 text-center text-gray-500 ltr-num">{index + 1}</td>
+                      <td className="py-3 px-4">
+                        <div className="flex items-center gap-3">
+                          <div className="w-8 h-8 rounded-full bg-gradient-to-br from-green-500 to-teal-600 flex items-center justify-center text-white text-xs font-bold flex-shrink-0">
+                            {chat.name?.charAt(0) || "?"}
+                          </div>
+                          <span className="text-white font-medium">{chat.name}</span>
                         </div>
-                        <span className="text-white font-medium">{chat.name}</span>
-                      </div>
-                    </td>
-                    <td className="py-3 px-4 text-center">
-                      <span className={`px-3 py-1.5 rounded-full text-xs font-medium ${chat.isGroup ? "bg-cyan-500/20 text-cyan-400" : "bg-purple-500/20 text-purple-400"
-                        }`}>
-                        {chat.isGroup ? "مجموعة" : "خاص"}
-                      </span>
-                    </td>
-                    <td className="py-3 px-4 text-center text-gray-400">
-                      {getTimeLabel(timeSinceLastMessage)}
-                    </td>
-                    <td className="py-3 px-4 text-center">
-                      <span className={`px-3 py-1.5 rounded-full text-xs font-medium ${getStatusColor(chat.lastMessage?.fromMe)}`}>
-                        {getStatusLabel(chat.lastMessage?.fromMe)}
-                      </span>
-                    </td>
-                    <td className="py-3 px-4 text-center">
-                      {chat.unreadCount > 0 ? (
-                        <span className="bg-red-500/20 text-red-400 px-3 py-1.5 rounded-full text-xs font-medium ltr-num">
-                          {chat.unreadCount}
+                      </td>
+                      <td className="py-3 px-4 text-center">
+                        <span className={`px-3 py-1.5 rounded-full text-xs font-medium ${chat.isGroup ? "bg-cyan-500/20 text-cyan-400" : "bg-purple-500/20 text-purple-400"
+                          }`}>
+                          {chat.isGroup ? "مجموعة" : "خاص"}
                         </span>
-                      ) : (
-                        <span className="text-gray-600">—</span>
-                      )}
-                    </td>
-                  </tr>
-                );
-              })}
-            </tbody>
-          </table>
-          {chats.length > 20 && (
-            <p className="text-center text-gray-500 mt-4 text-sm">
-              يتم عرض أول 20 محادثة من إجمالي {chats.length} محادثة
-            </p>
-          )}
-        </div>
-      </ChartCard>
+                      </td>
+                      <td className="py-3 px-4 text-center text-gray-400">
+                        {getTimeLabel(timeSinceLastMessage)}
+                      </td>
+                      <td className="py-3 px-4 text-center">
+                        <span className={`px-3 py-1.5 rounded-full text-xs font-medium ${getStatusColor(chat.lastMessage?.fromMe)}`}>
+                          {getStatusLabel(chat.lastMessage?.fromMe)}
+                        </span>
+                      </td>
+                      <td className="py-3 px-4 text-center">
+                        {chat.unreadCount > 0 ? (
+                          <span className="bg-red-500/20 text-red-400 px-3 py-1.5 rounded-full text-xs font-medium ltr-num">
+                            {chat.unreadCount}
+                          </span>
+                        ) : (
+                          <span className="text-gray-600">—</span>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {chats.length > 20 && (
+              <p className="text-center text-gray-500 mt-4 text-sm">
+                يتم عرض أول 20 محادثة من إجمالي {chats.length} محادثة
+              </p>
+            )}
+          </div>
+        </ChartCard>
+        </>
+      )}
     </div>
   );
 }
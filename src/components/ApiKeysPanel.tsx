@@ -0,0 +1,163 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useSocket } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import { KeyRound, Plus, Trash2, Copy, Check, AlertTriangle } from "lucide-react";
+
+interface ApiKey {
+  id: string;
+  name: string;
+  keyPrefix: string;
+  lastUsedAt?: number;
+  revokedAt?: number;
+  createdAt: number;
+}
+
+export default function ApiKeysPanel() {
+  const { socket } = useSocket();
+  const { user } = useAuth();
+  const [apiKeys, setApiKeys] = useState<ApiKey[]>([]);
+  const [newKeyName, setNewKeyName] = useState("");
+  const [createdKey, setCreatedKey] = useState<string | null>(null);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!socket || !user) return;
+
+    const handleApiKeys = (data: ApiKey[]) => setApiKeys(Array.isArray(data) ? data : []);
+    const handleCreated = (data: { key: string }) => {
+      setCreatedKey(data.key);
+      setCopied(false);
+      setError(null);
+    };
+    const handleError = (data: { message: string }) => setError(data.message);
+
+    socket.on("apiKeys", handleApiKeys);
+    socket.on("apiKeyCreated", handleCreated);
+    socket.on("apiKeyError", handleError);
+    socket.emit("getApiKeys", { userId: user.id });
+
+    return () => {
+      socket.off("apiKeys", handleApiKeys);
+      socket.off("apiKeyCreated", handleCreated);
+      socket.off("apiKeyError", handleError);
+    };
+  }, [socket, user]);
+
+  const handleCreate = () => {
+    if (!socket || !user || !newKeyName.trim()) return;
+    socket.emit("createApiKey", { userId: user.id, name: newKeyName.trim() });
+    setNewKeyName("");
+  };
+
+  const handleRevoke = (keyId: string) => {
+    if (!socket || !user) return;
+    if (confirm("هل أنت متأكد من إلغاء هذا المفتاح؟ ستتوقف كل الخدمات التي تستخدمه.")) {
+      socket.emit("revokeApiKey", { userId: user.id, keyId });
+    }
+  };
+
+  const handleCopy = async () => {
+    if (!createdKey) return;
+    await navigator.clipboard.writeText(createdKey);
+    setCopied(true);
+  };
+
+  const formatDate = (timestamp?: number) =>
+    timestamp ? new Date(timestamp).toLocaleString("ar-EG") : "-";
+
+  return (
+    <div className="bg-gradient-to-br from-[#1a2730] to-[#111b21] rounded-2xl p-6 border border-gray-700/30">
+      <h3 className="text-lg font-semibold text-white mb-1 flex items-center gap-2">
+        <KeyRound className="w-5 h-5 text-green-400" />
+        مفاتيح API
+      </h3>
+      <p className="text-gray-400 text-sm mb-4">
+        استخدم المفتاح في الترويسة <span dir="ltr" className="font-mono text-gray-300">Authorization: Bearer &lt;key&gt;</span> للوصول إلى <span dir="ltr" className="font-mono text-gray-300">/api/v1</span>
+      </p>
+
+      {/* New key (shown once) */}
+      {createdKey && (
+        <div className="mb-4 p-4 rounded-xl bg-amber-500/10 border border-amber-500/30">
+          <div className="flex items-center gap-2 text-amber-400 text-sm mb-2">
+            <AlertTriangle className="w-4 h-4" />
+            انسخ المفتاح الآن، لن يتم عرضه مرة أخرى
+          </div>
+          <div className="flex items-center gap-2">
+            <code dir="ltr" className="flex-1 px-3 py-2 bg-[#111b21] rounded-lg text-green-400 text-sm break-all">
+              {createdKey}
+            </code>
+            <button
+              onClick={handleCopy}
+              className="p-2 bg-[#202c33] hover:bg-[#2a3942] rounded-lg text-gray-300 transition-colors"
+              title="نسخ"
+            >
+              {copied ? <Check className="w-4 h-4 text-green-400" /> : <Copy className="w-4 h-4" />}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+          {error}
+        </div>
+      )}
+
+      {/* Create key */}
+      <div className="flex gap-2 mb-4">
+        <input
+          type="text"
+          value={newKeyName}
+          onChange={(e) => setNewKeyName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && handleCreate()}
+          placeholder="اسم المفتاح (مثال: نظام CRM)"
+          className="flex-1 px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-green-500 text-sm"
+        />
+        <button
+          onClick={handleCreate}
+          disabled={!newKeyName.trim()}
+          className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-500 hover:from-green-700 hover:to-emerald-600 rounded-lg text-white text-sm transition-all disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4" />
+          إنشاء مفتاح
+        </button>
+      </div>
+
+      {/* Keys list */}
+      {apiKeys.length === 0 ? (
+        <p className="text-gray-500 text-sm text-center py-4">لا توجد مفاتيح بعد</p>
+      ) : (
+        <div className="space-y-2">
+          {apiKeys.map((key) => (
+            <div
+              key={key.id}
+              className={`flex items-center gap-3 p-3 rounded-lg bg-[#202c33] ${key.revokedAt ? "opacity-50" : ""}`}
+            >
+              <div className="flex-1 min-w-0">
+                <div className="text-sm font-medium text-white truncate">{key.name}</div>
+                <div className="text-xs text-gray-400">
+                  <span dir="ltr" className="font-mono">{key.keyPrefix}…</span>
+                  {" · "}آخر استخدام: {formatDate(key.lastUsedAt)}
+                </div>
+              </div>
+              {key.revokedAt ? (
+                <span className="text-xs text-red-400">ملغي</span>
+              ) : (
+                <button
+                  onClick={() => handleRevoke(key.id)}
+                  className="p-2 hover:bg-red-500/20 rounded-lg transition-colors"
+                  title="إلغاء المفتاح"
+                >
+                  <Trash2 className="w-4 h-4 text-red-400" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,175 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { useSocket } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import { UserCheck, UserPlus, UserX, History, Check } from "lucide-react";
+
+interface TeamMember {
+  id: string;
+  name: string;
+  email: string;
+}
+
+interface HistoryEntry {
+  id: string;
+  fromUserId: string | null;
+  toUserId: string | null;
+  byUserId: string | null;
+  reason: "manual" | "round_robin" | "least_loaded";
+  createdAt: number;
+}
+
+const reasonLabels: Record<HistoryEntry["reason"], string> = {
+  manual: "يدوياً",
+  round_robin: "بالتناوب",
+  least_loaded: "للأقل انشغالاً",
+};
+
+// Who handles a chat: shows the assignee, lets anyone reassign it, and lists past changes
+export default function AssignmentMenu({ chatId, accountId }: { chatId: string; accountId: string | null }) {
+  const { socket } = useSocket();
+  const { user } = useAuth();
+  const [assigneeId, setAssigneeId] = useState<string | null>(null);
+  const [teamMembers, setTeamMembers] = useState<TeamMember[]>([]);
+  const [history, setHistory] = useState<HistoryEntry[]>([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const menuRef = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleAssignments = (data: { accountId: string; assignments: { chatId: string; assigneeId: string }[] }) => {
+      if (data.accountId !== accountId) return;
+      setAssigneeId(data.assignments.find((a) => a.chatId === chatId)?.assigneeId || null);
+    };
+    const handleAssignment = (data: { accountId: string; chatId: string; assigneeId: string | null }) => {
+      if (data.accountId !== accountId || data.chatId !== chatId) return;
+      setAssigneeId(data.assigneeId);
+      setError(null);
+      socket.emit("getAssignmentHistory", { chatId, accountId });
+    };
+    const handleHistory = (data: { accountId: string; chatId: string; history: HistoryEntry[] }) => {
+      if (data.accountId === accountId && data.chatId === chatId) setHistory(data.history);
+    };
+    const handleError = (data: { message: string }) => setError(data.message);
+
+    socket.on("assignments", handleAssignments);
+    socket.on("chatAssignment", handleAssignment);
+    socket.on("assignmentHistory", handleHistory);
+    socket.on("teamMembers", setTeamMembers);
+    socket.on("assignmentError", handleError);
+    socket.emit("getAssignments");
+    socket.emit("getTeamMembers");
+    socket.emit("getAssignmentHistory", { chatId, accountId });
+
+    return () => {
+      socket.off("assignments", handleAssignments);
+      socket.off("chatAssignment", handleAssignment);
+      socket.off("assignmentHistory", handleHistory);
+      socket.off("teamMembers", setTeamMembers);
+      socket.off("assignmentError", handleError);
+    };
+  }, [socket, chatId, accountId]);
+
+  // Close on outside click
+  useEffect(() => {
+    const handleClickOutside = (event: MouseEvent) => {
+      if (menuRef.current && !menuRef.current.contains(event.target as Node)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, []);
+
+  const memberName = (id: string | null) => {
+    if (!id) return null;
+    if (id === user?.id) return "أنت";
+    return teamMembers.find((m) => m.id === id)?.name || "عضو فريق";
+  };
+
+  const assign = (id: string | null) => {
+    socket?.emit("assignChat", { userId: user?.id, chatId, accountId, assigneeId: id });
+    setIsOpen(false);
+  };
+
+  const isMine = !!assigneeId && assigneeId === user?.id;
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className={`flex items-center gap-1.5 px-3 py-1.5 rounded-xl text-xs transition-colors ${!assigneeId
+          ? "text-gray-400 hover:text-white hover:bg-[#2a3942]"
+          : isMine
+            ? "bg-green-500/20 text-green-400 hover:bg-green-500/30"
+            : "bg-blue-500/20 text-blue-300 hover:bg-blue-500/30"
+          }`}
+        title="إسناد المحادثة"
+      >
+        {assigneeId ? <UserCheck className="w-4 h-4" /> : <UserPlus className="w-4 h-4" />}
+        {assigneeId ? (isMine ? "مسندة إليك" : `مسندة إلى ${memberName(assigneeId)}`) : "إسناد"}
+      </button>
+
+      {isOpen && (
+        <div className="absolute top-full left-0 mt-2 w-72 bg-[#202c33] rounded-lg shadow-2xl border border-gray-700 z-50 max-h-96 overflow-y-auto">
+          <div className="py-1">
+            {teamMembers.map((member) => (
+              <button
+                key={member.id}
+                type="button"
+                onClick={() => assign(member.id)}
+                className="w-full flex items-center gap-2 px-4 py-2 hover:bg-[#2a3942] text-right"
+              >
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm text-white truncate">
+                    {member.name}{member.id === user?.id && " (أنت)"}
+                  </div>
+                  <div className="text-xs text-gray-500 truncate" dir="ltr">{member.email}</div>
+                </div>
+                {member.id === assigneeId && <Check className="w-4 h-4 text-green-400 flex-shrink-0" />}
+              </button>
+            ))}
+            {assigneeId && (
+              <button
+                type="button"
+                onClick={() => assign(null)}
+                className="w-full flex items-center gap-2 px-4 py-2 border-t border-gray-700 hover:bg-[#2a3942] text-red-400 text-sm"
+              >
+                <UserX className="w-4 h-4" />
+                إلغاء الإسناد
+              </button>
+            )}
+          </div>
+
+          {error && <p className="px-4 py-2 text-xs text-red-400 border-t border-gray-700">{error}</p>}
+
+          {history.length > 0 && (
+            <div className="px-4 py-3 border-t border-gray-700 space-y-2">
+              <p className="flex items-center gap-1.5 text-xs text-gray-400">
+                <History className="w-3.5 h-3.5" />
+                سجل الإسناد
+              </p>
+              {history.map((entry) => (
+                <div key={entry.id} className="text-xs text-gray-300">
+                  <p>
+                    {entry.toUserId ? `إلى ${memberName(entry.toUserId)}` : "إلغاء الإسناد"}
+                    {entry.fromUserId && ` (بدلاً من ${memberName(entry.fromUserId)})`}
+                  </p>
+                  <p className="text-gray-500">
+                    {entry.byUserId ? `بواسطة ${memberName(entry.byUserId)}` : `تلقائياً ${reasonLabels[entry.reason]}`}
+                    {" • "}
+                    {new Date(entry.createdAt).toLocaleString("ar-EG", { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" })}
+                  </p>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
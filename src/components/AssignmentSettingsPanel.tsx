@@ -0,0 +1,154 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useSocket } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import { UsersRound, Check } from "lucide-react";
+
+type AssignmentMode = "manual" | "round_robin" | "least_loaded";
+
+interface TeamMember {
+  id: string;
+  name: string;
+  email: string;
+}
+
+const modeOptions: { value: AssignmentMode; label: string; description: string }[] = [
+  { value: "manual", label: "يدوي", description: "لا تُسند المحادثات الجديدة تلقائياً" },
+  { value: "round_robin", label: "بالتناوب", description: "كل محادثة جديدة للموظف التالي في القائمة" },
+  { value: "least_loaded", label: "الأقل انشغالاً", description: "للموظف الذي لديه أقل عدد من المحادثات المسندة" },
+];
+
+export default function AssignmentSettingsPanel() {
+  const { socket, accounts } = useSocket();
+  const { user } = useAuth();
+  const [accountId, setAccountId] = useState("");
+  const [teamMembers, setTeamMembers] = useState<TeamMember[]>([]);
+  const [mode, setMode] = useState<AssignmentMode>("manual");
+  const [agentIds, setAgentIds] = useState<string[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [saved, setSaved] = useState(false);
+
+  const targetAccountId = accountId || accounts[0]?.id || "";
+
+  useEffect(() => {
+    if (!socket || !user || !targetAccountId) return;
+
+    const handleSettings = (data: { accountId: string; mode: AssignmentMode; agentIds: string[] }) => {
+      if (data.accountId !== targetAccountId) return;
+      setMode(data.mode);
+      setAgentIds(data.agentIds);
+    };
+    const handleSaved = () => {
+      setError(null);
+      setSaved(true);
+      setTimeout(() => setSaved(false), 2000);
+    };
+    const handleError = (data: { message: string }) => setError(data.message);
+
+    socket.on("assignmentSettings", handleSettings);
+    socket.on("assignmentSettingsSaved", handleSaved);
+    socket.on("assignmentError", handleError);
+    socket.on("teamMembers", setTeamMembers);
+    socket.emit("getAssignmentSettings", { userId: user.id, accountId: targetAccountId });
+    socket.emit("getTeamMembers");
+
+    return () => {
+      socket.off("assignmentSettings", handleSettings);
+      socket.off("assignmentSettingsSaved", handleSaved);
+      socket.off("assignmentError", handleError);
+      socket.off("teamMembers", setTeamMembers);
+    };
+  }, [socket, user, targetAccountId]);
+
+  const toggleAgent = (id: string) => {
+    setAgentIds((prev) => (prev.includes(id) ? prev.filter((a) => a !== id) : [...prev, id]));
+  };
+
+  const handleSave = () => {
+    socket?.emit("saveAssignmentSettings", { userId: user?.id, accountId: targetAccountId, mode, agentIds });
+  };
+
+  return (
+    <div className="bg-gradient-to-br from-[#1a2730] to-[#111b21] rounded-2xl p-6 border border-gray-700/30">
+      <h3 className="text-lg font-semibold text-white mb-1 flex items-center gap-2">
+        <UsersRound className="w-5 h-5 text-green-400" />
+        إسناد المحادثات
+      </h3>
+      <p className="text-gray-400 text-sm mb-4">
+        توزيع المحادثات الخاصة الجديدة على أعضاء الفريق عند وصول أول رسالة منها
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="space-y-4">
+        <select
+          value={targetAccountId}
+          onChange={(e) => setAccountId(e.target.value)}
+          className="px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-green-500"
+        >
+          {accounts.map((account) => (
+            <option key={account.id} value={account.id}>
+              {account.name}
+            </option>
+          ))}
+        </select>
+
+        <div className="grid gap-2 sm:grid-cols-3">
+          {modeOptions.map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setMode(option.value)}
+              className={`p-3 rounded-xl text-right border transition-colors ${mode === option.value
+                ? "border-green-500 bg-green-500/10"
+                : "border-gray-700 bg-[#202c33] hover:bg-[#2a3942]"
+                }`}
+            >
+              <p className="text-sm font-medium text-white">{option.label}</p>
+              <p className="text-xs text-gray-400 mt-0.5">{option.description}</p>
+            </button>
+          ))}
+        </div>
+
+        {mode !== "manual" && (
+          <div>
+            <p className="text-sm text-gray-300 mb-2">الموظفون المشاركون في التوزيع</p>
+            <div className="flex flex-wrap gap-2">
+              {teamMembers.map((member) => (
+                <button
+                  key={member.id}
+                  type="button"
+                  onClick={() => toggleAgent(member.id)}
+                  className={`flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs transition-colors ${agentIds.includes(member.id)
+                    ? "bg-green-500/20 text-green-400"
+                    : "bg-[#202c33] text-gray-300 hover:bg-[#2a3942]"
+                    }`}
+                >
+                  {agentIds.includes(member.id) && <Check className="w-3.5 h-3.5" />}
+                  {member.name}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="flex items-center justify-end gap-3">
+          {saved && <span className="text-xs text-green-400">تم الحفظ</span>}
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={!targetAccountId}
+            className="px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-500 rounded-lg text-white text-sm disabled:opacity-50"
+          >
+            حفظ
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,366 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import type { OutgoingAttachment } from "@/context/SocketContext";
+import {
+  Paperclip, Image as ImageIcon, FileText, MapPin, UserRound, Mic, Square, Trash2, X, Crosshair, Send,
+} from "lucide-react";
+
+// Largest file we upload through the socket (base64 adds ~33%, socket buffer is 100MB)
+const MAX_FILE_SIZE = 64 * 1024 * 1024;
+
+// Read a file as base64 (without the data: prefix)
+const readFileAsBase64 = (file: Blob) =>
+  new Promise<string>((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+type Panel = "menu" | "location" | "contact" | null;
+
+interface AttachmentPickerProps {
+  disabled?: boolean;
+  onAttach: (attachment: OutgoingAttachment, label: string) => void;
+}
+
+// Attachment button: images/videos, documents, location pins and contact cards
+export default function AttachmentPicker({ disabled, onAttach }: AttachmentPickerProps) {
+  const [panel, setPanel] = useState<Panel>(null);
+  const [isReading, setIsReading] = useState(false);
+  const mediaInputRef = useRef<HTMLInputElement>(null);
+  const documentInputRef = useRef<HTMLInputElement>(null);
+
+  // Location form
+  const [latitude, setLatitude] = useState("");
+  const [longitude, setLongitude] = useState("");
+  const [locationName, setLocationName] = useState("");
+  const [isLocating, setIsLocating] = useState(false);
+
+  // Contact form
+  const [contactName, setContactName] = useState("");
+  const [contactPhone, setContactPhone] = useState("");
+
+  const handleFile = async (file: File | undefined, asDocument: boolean) => {
+    setPanel(null);
+    if (!file) return;
+    if (file.size > MAX_FILE_SIZE) {
+      alert("حجم الملف كبير جداً (الحد الأقصى 64 ميجابايت)");
+      return;
+    }
+
+    setIsReading(true);
+    try {
+      const data = await readFileAsBase64(file);
+      onAttach(
+        {
+          kind: "media",
+          data,
+          mimetype: file.type || "application/octet-stream",
+          filename: file.name,
+          asDocument,
+        },
+        file.name
+      );
+    } catch {
+      alert("تعذر قراءة الملف");
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const handleUseCurrentLocation = () => {
+    if (!navigator.geolocation) return;
+    setIsLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLatitude(position.coords.latitude.toFixed(6));
+        setLongitude(position.coords.longitude.toFixed(6));
+        setIsLocating(false);
+      },
+      () => {
+        alert("تعذر تحديد موقعك الحالي");
+        setIsLocating(false);
+      }
+    );
+  };
+
+  const handleSendLocation = () => {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
+    onAttach(
+      { kind: "location", latitude: lat, longitude: lng, name: locationName.trim() || undefined },
+      locationName.trim() || "موقع"
+    );
+    setLatitude("");
+    setLongitude("");
+    setLocationName("");
+    setPanel(null);
+  };
+
+  const handleSendContact = () => {
+    if (!contactPhone.trim()) return;
+    onAttach(
+      { kind: "contact", name: contactName.trim() || contactPhone.trim(), phone: contactPhone.trim() },
+      contactName.trim() || contactPhone.trim()
+    );
+    setContactName("");
+    setContactPhone("");
+    setPanel(null);
+  };
+
+  const inputClassName =
+    "w-full bg-[#111b21] border border-gray-600 rounded-lg px-3 py-2 text-white text-sm placeholder-gray-500 focus:outline-none focus:border-green-500";
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        disabled={disabled || isReading}
+        onClick={() => setPanel(panel ? null : "menu")}
+        className="p-3 rounded-xl text-gray-400 hover:text-white hover:bg-[#2a3942] transition-colors disabled:opacity-50"
+        title="إرفاق"
+      >
+        {isReading ? (
+          <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+        ) : (
+          <Paperclip className="w-5 h-5" />
+        )}
+      </button>
+
+      <input
+        ref={mediaInputRef}
+        type="file"
+        accept="image/*,video/*"
+        className="hidden"
+        onChange={(e) => {
+          handleFile(e.target.files?.[0], false);
+          e.target.value = "";
+        }}
+      />
+      <input
+        ref={documentInputRef}
+        type="file"
+        className="hidden"
+        onChange={(e) => {
+          handleFile(e.target.files?.[0], true);
+          e.target.value = "";
+        }}
+      />
+
+      {panel === "menu" && (
+        <div className="absolute bottom-full mb-2 right-0 w-52 bg-[#233138] rounded-xl shadow-xl border border-gray-700 py-2 z-20">
+          <button
+            type="button"
+            onClick={() => mediaInputRef.current?.click()}
+            className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-200 hover:bg-[#2a3942]"
+          >
+            <ImageIcon className="w-4 h-4 text-purple-400" />
+            صورة أو فيديو
+          </button>
+          <button
+            type="button"
+            onClick={() => documentInputRef.current?.click()}
+            className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-200 hover:bg-[#2a3942]"
+          >
+            <FileText className="w-4 h-4 text-orange-400" />
+            مستند
+          </button>
+          <button
+            type="button"
+            onClick={() => setPanel("location")}
+            className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-200 hover:bg-[#2a3942]"
+          >
+            <MapPin className="w-4 h-4 text-green-400" />
+            موقع
+          </button>
+          <button
+            type="button"
+            onClick={() => setPanel("contact")}
+            className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-200 hover:bg-[#2a3942]"
+          >
+            <UserRound className="w-4 h-4 text-blue-400" />
+            جهة اتصال
+          </button>
+        </div>
+      )}
+
+      {panel === "location" && (
+        <div className="absolute bottom-full mb-2 right-0 w-72 bg-[#233138] rounded-xl shadow-xl border border-gray-700 p-4 space-y-2 z-20">
+          <div className="flex items-center justify-between mb-1">
+            <span className="text-sm font-medium text-white">إرسال موقع</span>
+            <button type="button" onClick={() => setPanel(null)} className="text-gray-400 hover:text-white">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="flex gap-2" dir="ltr">
+            <input value={latitude} onChange={(e) => setLatitude(e.target.value)} placeholder="Latitude" className={inputClassName} />
+            <input value={longitude} onChange={(e) => setLongitude(e.target.value)} placeholder="Longitude" className={inputClassName} />
+          </div>
+          <input
+            value={locationName}
+            onChange={(e) => setLocationName(e.target.value)}
+            placeholder="اسم المكان (اختياري)"
+            className={inputClassName}
+          />
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={handleUseCurrentLocation}
+              disabled={isLocating}
+              className="flex-1 flex items-center justify-center gap-2 px-3 py-2 bg-[#2a3942] hover:bg-[#374248] rounded-lg text-gray-200 text-sm disabled:opacity-50"
+            >
+              <Crosshair className={`w-4 h-4 ${isLocating ? "animate-spin" : ""}`} />
+              موقعي الحالي
+            </button>
+            <button
+              type="button"
+              onClick={handleSendLocation}
+              disabled={!latitude || !longitude}
+              className="flex-1 flex items-center justify-center gap-2 px-3 py-2 bg-gradient-to-r from-green-600 to-emerald-500 rounded-lg text-white text-sm disabled:opacity-50"
+            >
+              <Send className="w-4 h-4" />
+              إرسال
+            </button>
+          </div>
+        </div>
+      )}
+
+      {panel === "contact" && (
+        <div className="absolute bottom-full mb-2 right-0 w-72 bg-[#233138] rounded-xl shadow-xl border border-gray-700 p-4 space-y-2 z-20">
+          <div className="flex items-center justify-between mb-1">
+            <span className="text-sm font-medium text-white">إرسال جهة اتصال</span>
+            <button type="button" onClick={() => setPanel(null)} className="text-gray-400 hover:text-white">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <input
+            value={contactName}
+            onChange={(e) => setContactName(e.target.value)}
+            placeholder="الاسم"
+            className={inputClassName}
+          />
+          <input
+            value={contactPhone}
+            onChange={(e) => setContactPhone(e.target.value)}
+            placeholder="رقم الهاتف مع رمز الدولة (مثال: 9665xxxxxxxx)"
+            dir="ltr"
+            className={inputClassName}
+          />
+          <button
+            type="button"
+            onClick={handleSendContact}
+            disabled={!contactPhone.trim()}
+            className="w-full flex items-center justify-center gap-2 px-3 py-2 bg-gradient-to-r from-green-600 to-emerald-500 rounded-lg text-white text-sm disabled:opacity-50"
+          >
+            <Send className="w-4 h-4" />
+            إرسال
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Voice note recorder - the recording is sent as a PTT voice message
+export function VoiceRecorderButton({ disabled, onAttach }: AttachmentPickerProps) {
+  const [isRecording, setIsRecording] = useState(false);
+  const [seconds, setSeconds] = useState(0);
+  const recorderRef = useRef<MediaRecorder | null>(null);
+  const chunksRef = useRef<Blob[]>([]);
+  const discardRef = useRef(false);
+
+  useEffect(() => {
+    if (!isRecording) return;
+    const interval = setInterval(() => setSeconds((s) => s + 1), 1000);
+    return () => clearInterval(interval);
+  }, [isRecording]);
+
+  // Stop the microphone if the component unmounts mid-recording
+  useEffect(() => {
+    return () => {
+      discardRef.current = true;
+      recorderRef.current?.stream.getTracks().forEach((track) => track.stop());
+    };
+  }, []);
+
+  const startRecording = async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      // WhatsApp voice notes are OGG/Opus; fall back to WebM/Opus where OGG isn't recordable
+      const mimeType = MediaRecorder.isTypeSupported("audio/ogg;codecs=opus")
+        ? "audio/ogg;codecs=opus"
+        : "audio/webm;codecs=opus";
+      const recorder = new MediaRecorder(stream, { mimeType });
+
+      chunksRef.current = [];
+      discardRef.current = false;
+      recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunksRef.current.push(e.data);
+      };
+      recorder.onstop = async () => {
+        stream.getTracks().forEach((track) => track.stop());
+        if (discardRef.current || chunksRef.current.length === 0) return;
+
+        const blob = new Blob(chunksRef.current, { type: mimeType });
+        const data = await readFileAsBase64(blob);
+        onAttach({ kind: "voice", data, mimetype: mimeType.replace(";", "; ") }, "رسالة صوتية");
+      };
+
+      recorderRef.current = recorder;
+      recorder.start();
+      setSeconds(0);
+      setIsRecording(true);
+    } catch {
+      alert("تعذر الوصول إلى الميكروفون");
+    }
+  };
+
+  const stopRecording = (discard: boolean) => {
+    discardRef.current = discard;
+    recorderRef.current?.stop();
+    recorderRef.current = null;
+    setIsRecording(false);
+  };
+
+  if (isRecording) {
+    return (
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={() => stopRecording(true)}
+          className="p-3 rounded-xl text-red-400 hover:bg-red-500/20 transition-colors"
+          title="إلغاء"
+        >
+          <Trash2 className="w-5 h-5" />
+        </button>
+        <span className="flex items-center gap-2 text-sm text-red-400 ltr-num">
+          <span className="w-2 h-2 rounded-full bg-red-500 animate-pulse" />
+          {Math.floor(seconds / 60)}:{String(seconds % 60).padStart(2, "0")}
+        </span>
+        <button
+          type="button"
+          onClick={() => stopRecording(false)}
+          className="p-3 rounded-xl bg-gradient-to-r from-green-500 to-emerald-500 text-white shadow-lg shadow-green-500/30"
+          title="إيقاف وإرسال"
+        >
+          <Square className="w-5 h-5" />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      disabled={disabled}
+      onClick={startRecording}
+      className="p-3 rounded-xl text-gray-400 hover:text-white hover:bg-[#2a3942] transition-colors disabled:opacity-50"
+      title="تسجيل رسالة صوتية"
+    >
+      <Mic className="w-5 h-5" />
+    </button>
+  );
+}
@@ -0,0 +1,580 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useSocket } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import { Bot, Plus, Pencil, Trash2, Power, Clock, Tag, Image as ImageIcon, MessageSquare } from "lucide-react";
+
+type Trigger = "any" | "keyword" | "regex";
+type MatchMode = "contains" | "exact" | "startsWith";
+type ChatType = "any" | "private" | "group";
+type BusinessHours = "any" | "inside" | "outside";
+
+interface RuleFields {
+  name: string;
+  isActive: boolean;
+  priority: number;
+  trigger: Trigger;
+  keywords: string[];
+  matchMode: MatchMode;
+  pattern?: string;
+  messageTypes: string[];
+  chatType: ChatType;
+  firstContactOnly: boolean;
+  businessHours: BusinessHours;
+  schedule: { days: number[]; start: string; end: string; timezone: string };
+  replyText?: string;
+  replyMediaUrl?: string;
+  tags: string[];
+  cooldownMinutes: number;
+  stopProcessing: boolean;
+}
+
+interface Rule extends RuleFields {
+  id: string;
+  accountId: string;
+  createdAt: number;
+}
+
+const triggerLabels: Record<Trigger, string> = {
+  any: "أي رسالة",
+  keyword: "كلمات مفتاحية",
+  regex: "تعبير نمطي (Regex)",
+};
+
+const matchModeLabels: Record<MatchMode, string> = {
+  contains: "تحتوي على",
+  exact: "تطابق تماماً",
+  startsWith: "تبدأ بـ",
+};
+
+const chatTypeLabels: Record<ChatType, string> = {
+  any: "الكل",
+  private: "المحادثات الخاصة",
+  group: "المجموعات",
+};
+
+const businessHoursLabels: Record<BusinessHours, string> = {
+  any: "في أي وقت",
+  inside: "خلال ساعات العمل",
+  outside: "خارج ساعات العمل",
+};
+
+const messageTypeOptions = [
+  { value: "chat", label: "نص" },
+  { value: "image", label: "صورة" },
+  { value: "video", label: "فيديو" },
+  { value: "ptt", label: "رسالة صوتية" },
+  { value: "audio", label: "ملف صوتي" },
+  { value: "document", label: "مستند" },
+  { value: "sticker", label: "ملصق" },
+  { value: "location", label: "موقع" },
+  { value: "vcard", label: "جهة اتصال" },
+];
+
+const dayLabels = ["الأحد", "الإثنين", "الثلاثاء", "الأربعاء", "الخميس", "الجمعة", "السبت"];
+
+const emptyRule = (): RuleFields => ({
+  name: "",
+  isActive: true,
+  priority: 0,
+  trigger: "keyword",
+  keywords: [],
+  matchMode: "contains",
+  pattern: "",
+  messageTypes: [],
+  chatType: "private",
+  firstContactOnly: false,
+  businessHours: "any",
+  schedule: {
+    days: [0, 1, 2, 3, 4],
+    start: "09:00",
+    end: "17:00",
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  },
+  replyText: "",
+  replyMediaUrl: "",
+  tags: [],
+  cooldownMinutes: 60,
+  stopProcessing: true,
+});
+
+// Copy of a rule without the server-side fields
+const toFields = (rule: Rule): RuleFields => ({
+  name: rule.name,
+  isActive: rule.isActive,
+  priority: rule.priority,
+  trigger: rule.trigger,
+  keywords: rule.keywords,
+  matchMode: rule.matchMode,
+  pattern: rule.pattern || "",
+  messageTypes: rule.messageTypes,
+  chatType: rule.chatType,
+  firstContactOnly: rule.firstContactOnly,
+  businessHours: rule.businessHours,
+  schedule: rule.schedule,
+  replyText: rule.replyText || "",
+  replyMediaUrl: rule.replyMediaUrl || "",
+  tags: rule.tags,
+  cooldownMinutes: rule.cooldownMinutes,
+  stopProcessing: rule.stopProcessing,
+});
+
+// Comma/newline separated text <-> list
+const splitList = (value: string) => value.split(/[,،\n]/).map((item) => item.trim()).filter(Boolean);
+
+export default function AutoRepliesPanel() {
+  const { socket, accounts } = useSocket();
+  const { user } = useAuth();
+  const [accountId, setAccountId] = useState("");
+  const [rules, setRules] = useState<Rule[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  // Editor (editingId null = new rule)
+  const [isEditing, setIsEditing] = useState(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [draft, setDraft] = useState<RuleFields>(emptyRule);
+  const [keywordsText, setKeywordsText] = useState("");
+  const [tagsText, setTagsText] = useState("");
+
+  const targetAccountId = accountId || accounts[0]?.id || "";
+
+  useEffect(() => {
+    if (!socket || !user || !targetAccountId) return;
+
+    const handleRules = (data: { accountId: string; rules: Rule[] }) => {
+      if (data.accountId === targetAccountId) setRules(data.rules || []);
+    };
+    const handleSaved = () => {
+      setIsEditing(false);
+      setEditingId(null);
+      setError(null);
+    };
+    const handleError = (data: { message: string }) => setError(data.message);
+
+    socket.on("autoReplyRules", handleRules);
+    socket.on("autoReplyRuleSaved", handleSaved);
+    socket.on("autoReplyError", handleError);
+    socket.emit("getAutoReplyRules", { userId: user.id, accountId: targetAccountId });
+
+    return () => {
+      socket.off("autoReplyRules", handleRules);
+      socket.off("autoReplyRuleSaved", handleSaved);
+      socket.off("autoReplyError", handleError);
+    };
+  }, [socket, user, targetAccountId]);
+
+  const update = <K extends keyof RuleFields>(field: K, value: RuleFields[K]) => {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const openEditor = (rule?: Rule) => {
+    const fields = rule ? toFields(rule) : { ...emptyRule(), priority: rules.length };
+    setDraft(fields);
+    setKeywordsText(fields.keywords.join("، "));
+    setTagsText(fields.tags.join("، "));
+    setEditingId(rule?.id || null);
+    setIsEditing(true);
+    setError(null);
+  };
+
+  const saveRule = (ruleId: string | null, fields: RuleFields) => {
+    socket?.emit("saveAutoReplyRule", {
+      userId: user?.id,
+      accountId: targetAccountId,
+      ruleId,
+      rule: fields,
+    });
+  };
+
+  const handleSave = () => {
+    saveRule(editingId, { ...draft, keywords: splitList(keywordsText), tags: splitList(tagsText) });
+  };
+
+  const handleDelete = (ruleId: string) => {
+    if (confirm("هل أنت متأكد من حذف هذه القاعدة؟")) {
+      socket?.emit("deleteAutoReplyRule", { userId: user?.id, accountId: targetAccountId, ruleId });
+    }
+  };
+
+  const toggleInList = <T,>(list: T[], value: T) =>
+    list.includes(value) ? list.filter((item) => item !== value) : [...list, value];
+
+  const describeTrigger = (rule: Rule) => {
+    if (rule.trigger === "keyword") return `${matchModeLabels[rule.matchMode]}: ${rule.keywords.join("، ")}`;
+    if (rule.trigger === "regex") return `/${rule.pattern}/`;
+    return triggerLabels.any;
+  };
+
+  const inputClassName =
+    "w-full px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-green-500 text-sm";
+  const labelClassName = "block text-xs text-gray-400 mb-1";
+
+  return (
+    <div className="p-6 space-y-6 bg-[#0b141a] min-h-screen">
+      {/* Header */}
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-white flex items-center gap-3">
+            <div className="p-2 rounded-xl bg-gradient-to-br from-green-500 to-teal-600 shadow-lg shadow-green-500/25">
+              <Bot className="w-6 h-6 text-white" />
+            </div>
+            الرد التلقائي
+          </h1>
+          <p className="text-gray-400 text-sm mt-1">
+            قواعد تُطبّق على الرسائل الواردة بالترتيب، حتى عندما لا يكون أحد متصلاً
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={targetAccountId}
+            onChange={(e) => setAccountId(e.target.value)}
+            className="px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-green-500"
+          >
+            {accounts.map((account) => (
+              <option key={account.id} value={account.id}>
+                {account.name}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => openEditor()}
+            disabled={!targetAccountId}
+            className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-500 rounded-lg text-white text-sm disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" />
+            قاعدة جديدة
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">{error}</div>
+      )}
+
+      {/* Editor */}
+      {isEditing && (
+        <div className="bg-gradient-to-br from-[#1a2730] to-[#111b21] rounded-2xl p-6 border border-gray-700/30 space-y-5">
+          <h3 className="text-lg font-semibold text-white">{editingId ? "تعديل القاعدة" : "قاعدة جديدة"}</h3>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="md:col-span-2">
+              <label className={labelClassName}>اسم القاعدة</label>
+              <input
+                value={draft.name}
+                onChange={(e) => update("name", e.target.value)}
+                placeholder="مثال: خارج أوقات الدوام"
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className={labelClassName}>الأولوية (الأصغر أولاً)</label>
+              <input
+                type="number"
+                value={draft.priority}
+                onChange={(e) => update("priority", Number(e.target.value))}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+
+          {/* Trigger */}
+          <div className="p-4 rounded-xl bg-[#202c33] space-y-3">
+            <h4 className="text-sm font-medium text-white">المطابقة</h4>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <select
+                value={draft.trigger}
+                onChange={(e) => update("trigger", e.target.value as Trigger)}
+                className={inputClassName}
+              >
+                {(Object.keys(triggerLabels) as Trigger[]).map((value) => (
+                  <option key={value} value={value}>{triggerLabels[value]}</option>
+                ))}
+              </select>
+              {draft.trigger === "keyword" && (
+                <>
+                  <select
+                    value={draft.matchMode}
+                    onChange={(e) => update("matchMode", e.target.value as MatchMode)}
+                    className={inputClassName}
+                  >
+                    {(Object.keys(matchModeLabels) as MatchMode[]).map((value) => (
+                      <option key={value} value={value}>{matchModeLabels[value]}</option>
+                    ))}
+                  </select>
+                  <input
+                    value={keywordsText}
+                    onChange={(e) => setKeywordsText(e.target.value)}
+                    placeholder="السعر، الأسعار، price"
+                    className={inputClassName}
+                  />
+                </>
+              )}
+              {draft.trigger === "regex" && (
+                <input
+                  dir="ltr"
+                  value={draft.pattern}
+                  onChange={(e) => update("pattern", e.target.value)}
+                  placeholder="^(order|طلب)\s*#?\d+"
+                  className={`${inputClassName} md:col-span-2 font-mono`}
+                />
+              )}
+            </div>
+
+            <div>
+              <label className={labelClassName}>أنواع الرسائل (بدون اختيار = الكل)</label>
+              <div className="flex flex-wrap gap-2">
+                {messageTypeOptions.map((option) => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    onClick={() => update("messageTypes", toggleInList(draft.messageTypes, option.value))}
+                    className={`px-3 py-1 rounded-full text-xs border transition-colors ${draft.messageTypes.includes(option.value)
+                      ? "bg-green-500/20 border-green-500 text-green-400"
+                      : "border-gray-600 text-gray-400 hover:text-white"
+                      }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-4">
+              <select
+                value={draft.chatType}
+                onChange={(e) => update("chatType", e.target.value as ChatType)}
+                className="px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-green-500"
+              >
+                {(Object.keys(chatTypeLabels) as ChatType[]).map((value) => (
+                  <option key={value} value={value}>{chatTypeLabels[value]}</option>
+                ))}
+              </select>
+              <label className="flex items-center gap-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={draft.firstContactOnly}
+                  onChange={(e) => update("firstContactOnly", e.target.checked)}
+                  className="accent-green-500"
+                />
+                أول تواصل فقط (جهة اتصال جديدة)
+              </label>
+            </div>
+          </div>
+
+          {/* Business hours */}
+          <div className="p-4 rounded-xl bg-[#202c33] space-y-3">
+            <h4 className="text-sm font-medium text-white flex items-center gap-2">
+              <Clock className="w-4 h-4 text-green-400" />
+              ساعات العمل
+            </h4>
+            <select
+              value={draft.businessHours}
+              onChange={(e) => update("businessHours", e.target.value as BusinessHours)}
+              className="px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-green-500"
+            >
+              {(Object.keys(businessHoursLabels) as BusinessHours[]).map((value) => (
+                <option key={value} value={value}>{businessHoursLabels[value]}</option>
+              ))}
+            </select>
+            {draft.businessHours !== "any" && (
+              <>
+                <div className="flex flex-wrap gap-2">
+                  {dayLabels.map((label, day) => (
+                    <button
+                      key={day}
+                      type="button"
+                      onClick={() => update("schedule", { ...draft.schedule, days: toggleInList(draft.schedule.days, day) })}
+                      className={`px-3 py-1 rounded-full text-xs border transition-colors ${draft.schedule.days.includes(day)
+                        ? "bg-green-500/20 border-green-500 text-green-400"
+                        : "border-gray-600 text-gray-400 hover:text-white"
+                        }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  <div>
+                    <label className={labelClassName}>من</label>
+                    <input
+                      type="time"
+                      value={draft.schedule.start}
+                      onChange={(e) => update("schedule", { ...draft.schedule, start: e.target.value })}
+                      className={inputClassName}
+                    />
+                  </div>
+                  <div>
+                    <label className={labelClassName}>إلى</label>
+                    <input
+                      type="time"
+                      value={draft.schedule.end}
+                      onChange={(e) => update("schedule", { ...draft.schedule, end: e.target.value })}
+                      className={inputClassName}
+                    />
+                  </div>
+                  <div>
+                    <label className={labelClassName}>المنطقة الزمنية</label>
+                    <input
+                      dir="ltr"
+                      value={draft.schedule.timezone}
+                      onChange={(e) => update("schedule", { ...draft.schedule, timezone: e.target.value })}
+                      placeholder="Asia/Riyadh"
+                      className={inputClassName}
+                    />
+                  </div>
+                </div>
+              </>
+            )}
+          </div>
+
+          {/* Actions */}
+          <div className="p-4 rounded-xl bg-[#202c33] space-y-3">
+            <h4 className="text-sm font-medium text-white">الإجراء</h4>
+            <div>
+              <label className={labelClassName}>نص الرد (أو تعليق الوسائط)</label>
+              <textarea
+                value={draft.replyText}
+                onChange={(e) => update("replyText", e.target.value)}
+                rows={3}
+                placeholder="شكراً لتواصلك معنا! سنرد عليك خلال ساعات العمل."
+                className={`${inputClassName} resize-y`}
+              />
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <div>
+                <label className={labelClassName}>رابط وسائط (اختياري)</label>
+                <input
+                  type="url"
+                  dir="ltr"
+                  value={draft.replyMediaUrl}
+                  onChange={(e) => update("replyMediaUrl", e.target.value)}
+                  placeholder="https://example.com/catalog.pdf"
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <label className={labelClassName}>وسوم تُضاف لجهة الاتصال</label>
+                <input
+                  value={tagsText}
+                  onChange={(e) => setTagsText(e.target.value)}
+                  placeholder="عميل محتمل، استفسار سعر"
+                  className={inputClassName}
+                />
+              </div>
+            </div>
+            <div className="flex flex-wrap items-center gap-4">
+              <label className="flex items-center gap-2 text-sm text-gray-300">
+                فترة التهدئة لكل جهة اتصال
+                <input
+                  type="number"
+                  min={0}
+                  value={draft.cooldownMinutes}
+                  onChange={(e) => update("cooldownMinutes", Number(e.target.value))}
+                  className="w-20 px-2 py-1 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-green-500"
+                />
+                دقيقة
+              </label>
+              <label className="flex items-center gap-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={draft.stopProcessing}
+                  onChange={(e) => update("stopProcessing", e.target.checked)}
+                  className="accent-green-500"
+                />
+                عدم تطبيق القواعد التالية عند المطابقة
+              </label>
+            </div>
+          </div>
+
+          <div className="flex items-center justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setIsEditing(false)}
+              className="px-4 py-2 text-sm text-gray-300 hover:text-white rounded-lg hover:bg-[#2a3942]"
+            >
+              إلغاء
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={!draft.name.trim()}
+              className="px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-500 rounded-lg text-white text-sm disabled:opacity-50"
+            >
+              حفظ القاعدة
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Rules */}
+      <div className="bg-gradient-to-br from-[#1a2730] to-[#111b21] rounded-2xl p-6 border border-gray-700/30">
+        <h3 className="text-lg font-semibold text-white mb-4">القواعد</h3>
+        {rules.length === 0 ? (
+          <p className="text-gray-500 text-sm">لا توجد قواعد لهذا الحساب بعد</p>
+        ) : (
+          <div className="space-y-2">
+            {rules.map((rule) => (
+              <div
+                key={rule.id}
+                className={`flex items-start gap-3 p-4 rounded-xl bg-[#202c33] ${rule.isActive ? "" : "opacity-60"}`}
+              >
+                <span className="mt-0.5 w-7 h-7 rounded-lg bg-[#111b21] flex items-center justify-center text-xs text-gray-400 ltr-num">
+                  {rule.priority}
+                </span>
+                <div className="flex-1 min-w-0">
+                  <p className="text-white font-medium">{rule.name}</p>
+                  <p className="text-xs text-gray-400 truncate mt-0.5">{describeTrigger(rule)}</p>
+                  <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-gray-400">
+                    <span className="px-2 py-0.5 rounded-full bg-[#111b21]">{chatTypeLabels[rule.chatType]}</span>
+                    {rule.businessHours !== "any" && (
+                      <span className="px-2 py-0.5 rounded-full bg-[#111b21]">{businessHoursLabels[rule.businessHours]}</span>
+                    )}
+                    {rule.firstContactOnly && (
+                      <span className="px-2 py-0.5 rounded-full bg-[#111b21]">أول تواصل</span>
+                    )}
+                    {rule.replyText && <MessageSquare className="w-3.5 h-3.5 text-green-400" />}
+                    {rule.replyMediaUrl && <ImageIcon className="w-3.5 h-3.5 text-purple-400" />}
+                    {rule.tags.length > 0 && (
+                      <span className="flex items-center gap-1">
+                        <Tag className="w-3.5 h-3.5 text-amber-400" />
+                        {rule.tags.join("، ")}
+                      </span>
+                    )}
+                    {rule.cooldownMinutes > 0 && <span>تهدئة {rule.cooldownMinutes} د</span>}
+                  </div>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => saveRule(rule.id, { ...toFields(rule), isActive: !rule.isActive })}
+                  disabled={isEditing}
+                  className={`p-2 rounded-lg hover:bg-[#2a3942] disabled:opacity-50 ${rule.isActive ? "text-green-400" : "text-gray-500"}`}
+                  title={rule.isActive ? "إيقاف" : "تفعيل"}
+                >
+                  <Power className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => openEditor(rule)}
+                  className="p-2 rounded-lg text-gray-400 hover:text-white hover:bg-[#2a3942]"
+                  title="تعديل"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(rule.id)}
+                  className="p-2 rounded-lg text-gray-400 hover:text-red-400 hover:bg-[#2a3942]"
+                  title="حذف"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
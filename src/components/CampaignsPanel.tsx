@@ -0,0 +1,411 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import * as XLSX from "xlsx";
+import { useSocket } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import {
+  Megaphone, Upload, FileSpreadsheet, Play, Pause, XCircle, Trash2, Eye, ChevronDown, ChevronUp, Clock,
+} from "lucide-react";
+
+type CampaignStatus = "running" | "paused" | "completed" | "cancelled";
+type RecipientStatus = "queued" | "sent" | "delivered" | "read" | "failed";
+
+interface Campaign {
+  id: string;
+  accountId: string;
+  name: string;
+  template: string;
+  status: CampaignStatus;
+  minDelay: number;
+  maxDelay: number;
+  dailyCap: number;
+  createdAt: number;
+  startedAt?: number;
+  completedAt?: number;
+  waitingReason?: string | null;
+  counts: Record<RecipientStatus, number> & { total: number };
+}
+
+interface Recipient {
+  id: number;
+  phone: string;
+  message: string;
+  status: RecipientStatus;
+  error?: string | null;
+  sentAt?: number | null;
+}
+
+type SheetRow = Record<string, string | number>;
+
+const statusLabels: Record<CampaignStatus, { label: string; className: string }> = {
+  running: { label: "قيد الإرسال", className: "bg-green-500/20 text-green-400" },
+  paused: { label: "متوقفة مؤقتاً", className: "bg-amber-500/20 text-amber-400" },
+  completed: { label: "مكتملة", className: "bg-blue-500/20 text-blue-400" },
+  cancelled: { label: "ملغاة", className: "bg-gray-500/20 text-gray-400" },
+};
+
+const recipientLabels: Record<RecipientStatus, { label: string; className: string }> = {
+  queued: { label: "في الانتظار", className: "text-gray-400" },
+  sent: { label: "مرسلة", className: "text-blue-300" },
+  delivered: { label: "تم التسليم", className: "text-teal-400" },
+  read: { label: "مقروءة", className: "text-green-400" },
+  failed: { label: "فشل", className: "text-red-400" },
+};
+
+// Same rendering as the server: {{column}} -> row value (case-insensitive column names)
+const renderTemplate = (template: string, row: SheetRow) => {
+  const lookup: Record<string, string> = {};
+  for (const [key, value] of Object.entries(row)) {
+    lookup[key.trim().toLowerCase()] = value == null ? "" : String(value);
+  }
+  return template.replace(/\{\{\s*([^}]+?)\s*\}\}/g, (_, key: string) => lookup[key.toLowerCase()] ?? "");
+};
+
+const PHONE_COLUMN_PATTERN = /phone|mobile|number|whatsapp|رقم|هاتف|جوال|موبايل/i;
+
+export default function CampaignsPanel() {
+  const { socket, isReady, accounts } = useSocket();
+  const { user } = useAuth();
+  const [campaigns, setCampaigns] = useState<Campaign[]>([]);
+  const [recipients, setRecipients] = useState<Record<string, Recipient[]>>({});
+  const [openCampaignId, setOpenCampaignId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  // New campaign form
+  const [name, setName] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [rows, setRows] = useState<SheetRow[]>([]);
+  const [columns, setColumns] = useState<string[]>([]);
+  const [phoneColumn, setPhoneColumn] = useState("");
+  const [template, setTemplate] = useState("مرحباً {{name}}،\n");
+  const [minDelay, setMinDelay] = useState(8);
+  const [maxDelay, setMaxDelay] = useState(20);
+  const [dailyCap, setDailyCap] = useState(200);
+
+  useEffect(() => {
+    if (!socket || !user) return;
+
+    const handleCampaigns = (data: { campaigns: Campaign[] }) => setCampaigns(data.campaigns || []);
+    // New campaigns only show up in the workspace of their account
+    const handleUpdate = (campaign: Campaign) => {
+      setCampaigns((prev) => {
+        if (prev.some((c) => c.id === campaign.id)) {
+          return prev.map((c) => (c.id === campaign.id ? campaign : c));
+        }
+        return accounts.some((a) => a.id === campaign.accountId) ? [campaign, ...prev] : prev;
+      });
+    };
+    const handleCreated = () => {
+      setName("");
+      setFileName("");
+      setRows([]);
+      setColumns([]);
+      setPhoneColumn("");
+      setError(null);
+    };
+    const handleRecipients = (data: { campaignId: string; recipients: Recipient[] }) => {
+      setRecipients((prev) => ({ ...prev, [data.campaignId]: data.recipients }));
+    };
+    const handleError = (data: { message: string }) => setError(data.message);
+
+    socket.on("campaigns", handleCampaigns);
+    socket.on("campaignUpdate", handleUpdate);
+    socket.on("campaignCreated", handleCreated);
+    socket.on("campaignRecipients", handleRecipients);
+    socket.on("campaignError", handleError);
+    socket.emit("getCampaigns", { userId: user.id });
+
+    return () => {
+      socket.off("campaigns", handleCampaigns);
+      socket.off("campaignUpdate", handleUpdate);
+      socket.off("campaignCreated", handleCreated);
+      socket.off("campaignRecipients", handleRecipients);
+      socket.off("campaignError", handleError);
+    };
+  }, [socket, user, accounts]);
+
+  const previewRows = useMemo(() => rows.slice(0, 3), [rows]);
+
+  const handleFile = async (file: File | undefined) => {
+    if (!file) return;
+    try {
+      const workbook = XLSX.read(await file.arrayBuffer());
+      const sheet = workbook.Sheets[workbook.SheetNames[0]];
+      const data = XLSX.utils.sheet_to_json<SheetRow>(sheet, { defval: "", raw: false });
+      const sheetColumns = data.length > 0 ? Object.keys(data[0]) : [];
+
+      setRows(data);
+      setColumns(sheetColumns);
+      setPhoneColumn(sheetColumns.find((c) => PHONE_COLUMN_PATTERN.test(c)) || sheetColumns[0] || "");
+      setFileName(file.name);
+      setError(data.length === 0 ? "الملف لا يحتوي على بيانات" : null);
+    } catch {
+      setError("تعذر قراءة الملف، تأكد أنه بصيغة XLSX أو CSV");
+    }
+  };
+
+  const handleCreate = () => {
+    if (!socket || !user) return;
+    socket.emit("createCampaign", {
+      userId: user.id,
+      name,
+      template,
+      phoneColumn,
+      rows,
+      minDelay: minDelay * 1000,
+      maxDelay: maxDelay * 1000,
+      dailyCap,
+      start: true,
+    });
+  };
+
+  const emitAction = (event: string, campaignId: string) => {
+    socket?.emit(event, { userId: user?.id, campaignId });
+  };
+
+  const handleDelete = (campaignId: string) => {
+    if (confirm("هل أنت متأكد من حذف هذه الحملة وسجل الإرسال الخاص بها؟")) {
+      emitAction("deleteCampaign", campaignId);
+    }
+  };
+
+  const handleToggleRecipients = (campaignId: string) => {
+    if (openCampaignId === campaignId) {
+      setOpenCampaignId(null);
+      return;
+    }
+    setOpenCampaignId(campaignId);
+    emitAction("getCampaignRecipients", campaignId);
+  };
+
+  const canCreate = name.trim() && template.trim() && rows.length > 0 && phoneColumn && isReady;
+
+  const inputClassName =
+    "w-full px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-green-500 text-sm";
+
+  return (
+    <div className="p-6 space-y-6 bg-[#0b141a] min-h-screen">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-white flex items-center gap-3">
+          <div className="p-2 rounded-xl bg-gradient-to-br from-green-500 to-teal-600 shadow-lg shadow-green-500/25">
+            <Megaphone className="w-6 h-6 text-white" />
+          </div>
+          الحملات
+        </h1>
+        <p className="text-gray-400 text-sm mt-1">إرسال رسائل مخصصة لقائمة جهات اتصال من ملف Excel أو CSV</p>
+      </div>
+
+      {error && (
+        <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">{error}</div>
+      )}
+
+      {/* New campaign */}
+      <div className="bg-gradient-to-br from-[#1a2730] to-[#111b21] rounded-2xl p-6 border border-gray-700/30 space-y-4">
+        <h3 className="text-lg font-semibold text-white">حملة جديدة</h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="اسم الحملة"
+            className={inputClassName}
+          />
+          <label className="flex items-center gap-3 px-3 py-2 bg-[#111b21] border border-dashed border-gray-600 rounded-lg cursor-pointer hover:border-green-500 transition-colors">
+            {fileName ? <FileSpreadsheet className="w-5 h-5 text-green-400" /> : <Upload className="w-5 h-5 text-gray-400" />}
+            <span className="text-sm text-gray-300 truncate">
+              {fileName ? `${fileName} (${rows.length} صف)` : "رفع ملف جهات الاتصال (XLSX / CSV)"}
+            </span>
+            <input
+              type="file"
+              accept=".xlsx,.xls,.csv"
+              className="hidden"
+              onChange={(e) => {
+                handleFile(e.target.files?.[0]);
+                e.target.value = "";
+              }}
+            />
+          </label>
+        </div>
+
+        {columns.length > 0 && (
+          <>
+            <div className="flex items-center gap-3">
+              <span className="text-sm text-gray-400 whitespace-nowrap">عمود رقم الهاتف:</span>
+              <select
+                value={phoneColumn}
+                onChange={(e) => setPhoneColumn(e.target.value)}
+                className="px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-green-500"
+              >
+                {columns.map((column) => (
+                  <option key={column} value={column}>{column}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <div className="flex flex-wrap items-center gap-2 mb-2">
+                <span className="text-xs text-gray-400">إدراج متغير:</span>
+                {columns.map((column) => (
+                  <button
+                    key={column}
+                    type="button"
+                    onClick={() => setTemplate((t) => `${t}{{${column}}}`)}
+                    className="px-2 py-1 rounded-md bg-[#202c33] hover:bg-[#2a3942] text-xs text-green-400 font-mono"
+                  >
+                    {`{{${column}}}`}
+                  </button>
+                ))}
+              </div>
+              <textarea
+                value={template}
+                onChange={(e) => setTemplate(e.target.value)}
+                rows={5}
+                placeholder="نص الرسالة، مثال: مرحباً {{name}}"
+                className={`${inputClassName} resize-y`}
+              />
+            </div>
+
+            {/* Preview */}
+            <div>
+              <div className="flex items-center gap-2 text-sm text-gray-400 mb-2">
+                <Eye className="w-4 h-4" />
+                معاينة
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                {previewRows.map((row, index) => (
+                  <div key={index} className="p-3 rounded-xl bg-[#005c4b]/40 border border-green-900/50">
+                    <p dir="ltr" className="text-xs text-gray-400 mb-1 text-right">{String(row[phoneColumn] ?? "")}</p>
+                    <p className="text-sm text-white whitespace-pre-wrap break-words">{renderTemplate(template, row)}</p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </>
+        )}
+
+        {/* Throttling */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <label className="text-sm text-gray-400 space-y-1">
+            <span>أقل تأخير بين الرسائل (ثانية)</span>
+            <input type="number" min={3} value={minDelay} onChange={(e) => setMinDelay(Number(e.target.value))} className={inputClassName} />
+          </label>
+          <label className="text-sm text-gray-400 space-y-1">
+            <span>أكبر تأخير بين الرسائل (ثانية)</span>
+            <input type="number" min={minDelay} value={maxDelay} onChange={(e) => setMaxDelay(Number(e.target.value))} className={inputClassName} />
+          </label>
+          <label className="text-sm text-gray-400 space-y-1">
+            <span>الحد اليومي للرسائل</span>
+            <input type="number" min={1} value={dailyCap} onChange={(e) => setDailyCap(Number(e.target.value))} className={inputClassName} />
+          </label>
+        </div>
+
+        <button
+          onClick={handleCreate}
+          disabled={!canCreate}
+          className="flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-green-600 to-emerald-500 hover:from-green-700 hover:to-emerald-600 rounded-lg text-white text-sm font-medium transition-all disabled:opacity-50"
+        >
+          <Play className="w-4 h-4" />
+          بدء الحملة عبر الحساب الحالي
+        </button>
+        {!isReady && <p className="text-xs text-amber-400">يجب أن يكون واتساب متصلاً لبدء حملة</p>}
+      </div>
+
+      {/* Campaigns list */}
+      <div className="space-y-3">
+        {campaigns.length === 0 ? (
+          <p className="text-gray-500 text-sm text-center py-8">لا توجد حملات بعد</p>
+        ) : (
+          campaigns.map((campaign) => {
+            const processed = campaign.counts.total - campaign.counts.queued;
+            const progress = campaign.counts.total > 0 ? Math.round((processed / campaign.counts.total) * 100) : 0;
+
+            return (
+              <div key={campaign.id} className="bg-gradient-to-br from-[#1a2730] to-[#111b21] rounded-2xl p-5 border border-gray-700/30">
+                <div className="flex items-center gap-3 mb-3">
+                  <h4 className="text-white font-semibold flex-1 truncate">{campaign.name}</h4>
+                  <span className={`px-2 py-0.5 rounded-full text-xs ${statusLabels[campaign.status].className}`}>
+                    {statusLabels[campaign.status].label}
+                  </span>
+                  {campaign.status === "running" && (
+                    <button onClick={() => emitAction("pauseCampaign", campaign.id)} className="p-2 rounded-lg hover:bg-[#2a3942]" title="إيقاف مؤقت">
+                      <Pause className="w-4 h-4 text-amber-400" />
+                    </button>
+                  )}
+                  {campaign.status === "paused" && (
+                    <button onClick={() => emitAction("resumeCampaign", campaign.id)} className="p-2 rounded-lg hover:bg-[#2a3942]" title="استئناف">
+                      <Play className="w-4 h-4 text-green-400" />
+                    </button>
+                  )}
+                  {(campaign.status === "running" || campaign.status === "paused") && (
+                    <button onClick={() => emitAction("cancelCampaign", campaign.id)} className="p-2 rounded-lg hover:bg-[#2a3942]" title="إلغاء الحملة">
+                      <XCircle className="w-4 h-4 text-gray-400" />
+                    </button>
+                  )}
+                  {campaign.status !== "running" && (
+                    <button onClick={() => handleDelete(campaign.id)} className="p-2 rounded-lg hover:bg-red-500/20" title="حذف">
+                      <Trash2 className="w-4 h-4 text-red-400" />
+                    </button>
+                  )}
+                  <button onClick={() => handleToggleRecipients(campaign.id)} className="p-2 rounded-lg hover:bg-[#2a3942]" title="المستلمون">
+                    {openCampaignId === campaign.id ? <ChevronUp className="w-4 h-4 text-gray-400" /> : <ChevronDown className="w-4 h-4 text-gray-400" />}
+                  </button>
+                </div>
+
+                {/* Progress */}
+                <div className="h-2 bg-[#202c33] rounded-full overflow-hidden mb-2">
+                  <div className="h-full bg-gradient-to-r from-green-500 to-emerald-400 transition-all" style={{ width: `${progress}%` }} />
+                </div>
+                <div className="flex flex-wrap gap-4 text-xs">
+                  <span className="text-gray-300 ltr-num">{processed}/{campaign.counts.total}</span>
+                  {(Object.keys(recipientLabels) as RecipientStatus[]).map((status) => (
+                    <span key={status} className={recipientLabels[status].className}>
+                      {recipientLabels[status].label}: <span className="ltr-num">{campaign.counts[status]}</span>
+                    </span>
+                  ))}
+                  <span className="text-gray-500">
+                    {campaign.minDelay / 1000}-{campaign.maxDelay / 1000} ث · حد يومي {campaign.dailyCap}
+                  </span>
+                </div>
+                {campaign.status === "running" && campaign.waitingReason === "daily_cap" && (
+                  <p className="flex items-center gap-2 mt-2 text-xs text-amber-400">
+                    <Clock className="w-3 h-3" />
+                    تم الوصول للحد اليومي، سيستمر الإرسال غداً
+                  </p>
+                )}
+
+                {/* Recipients */}
+                {openCampaignId === campaign.id && (
+                  <div className="mt-4 max-h-96 overflow-y-auto rounded-lg border border-gray-700/50">
+                    <table className="w-full text-xs">
+                      <thead className="bg-[#202c33] text-gray-400 sticky top-0">
+                        <tr>
+                          <th className="text-right p-2">الرقم</th>
+                          <th className="text-right p-2">الرسالة</th>
+                          <th className="text-right p-2">الحالة</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {(recipients[campaign.id] || []).map((recipient) => (
+                          <tr key={recipient.id} className="border-t border-gray-700/50">
+                            <td dir="ltr" className="p-2 text-gray-300 text-right whitespace-nowrap">{recipient.phone}</td>
+                            <td className="p-2 text-gray-400 max-w-md truncate">{recipient.message}</td>
+                            <td className={`p-2 whitespace-nowrap ${recipientLabels[recipient.status].className}`}>
+                              {recipientLabels[recipient.status].label}
+                              {recipient.error ? ` (${recipient.error})` : ""}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+}
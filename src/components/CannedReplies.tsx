@@ -0,0 +1,72 @@
+"use client";
+
+import { Paperclip, Zap } from "lucide-react";
+
+export interface CannedReply {
+  id: string;
+  accountId: string | null; // null = shared by the workspace's accounts
+  shortcut: string;
+  title: string;
+  body: string;
+  mediaUrl: string | null;
+  usageCount: number;
+  lastUsedAt: number | null;
+  createdBy: string;
+}
+
+// Variables filled in by the server when a reply is inserted
+export const replyVariables = [
+  { name: "{{contact.name}}", label: "اسم العميل" },
+  { name: "{{contact.phone}}", label: "رقم العميل" },
+  { name: "{{agent.name}}", label: "اسمك" },
+  { name: "{{account.name}}", label: "اسم الحساب" },
+  { name: "{{date}}", label: "تاريخ اليوم" },
+  { name: "{{time}}", label: "الوقت الحالي" },
+];
+
+// The "/shortcut" being typed, when it's all the input holds
+export const getShortcutQuery = (text: string) => /^\/(\S*)$/.exec(text)?.[1] ?? null;
+
+export const matchReplies = (query: string, replies: CannedReply[]) =>
+  replies
+    .filter((reply) => reply.shortcut.startsWith(query.toLowerCase()) || reply.title.toLowerCase().includes(query.toLowerCase()))
+    .slice(0, 8);
+
+// Saved replies matching the /shortcut being typed
+export function CannedReplySuggestions({
+  query,
+  replies,
+  onPick,
+}: {
+  query: string;
+  replies: CannedReply[];
+  onPick: (reply: CannedReply) => void;
+}) {
+  const matches = matchReplies(query, replies);
+  if (matches.length === 0) return null;
+
+  return (
+    <div className="absolute bottom-full mb-2 right-0 w-80 bg-[#202c33] rounded-lg shadow-2xl border border-gray-700 py-1 z-50">
+      {matches.map((reply) => (
+        <button
+          key={reply.id}
+          type="button"
+          onMouseDown={(e) => {
+            // Keep the input focused
+            e.preventDefault();
+            onPick(reply);
+          }}
+          className="w-full px-3 py-2 text-right hover:bg-[#2a3942]"
+        >
+          <p className="flex items-center gap-1.5 text-sm text-white">
+            <Zap className="w-3.5 h-3.5 text-green-400 flex-shrink-0" />
+            <span className="text-green-400" dir="ltr">/{reply.shortcut}</span>
+            <span className="truncate">{reply.title}</span>
+            {reply.mediaUrl && <Paperclip className="w-3.5 h-3.5 text-gray-400 flex-shrink-0" />}
+          </p>
+          {reply.body && <p className="text-xs text-gray-500 truncate">{reply.body}</p>}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,229 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useSocket } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import { replyVariables, type CannedReply } from "@/components/CannedReplies";
+import { Zap, Pencil, Trash2, X, Paperclip, Users } from "lucide-react";
+
+const emptyForm = { replyId: null as string | null, shortcut: "", title: "", body: "", mediaUrl: "", shared: false };
+
+// Saved replies of an account and the team-wide ones, with how often each is used
+export default function CannedRepliesPanel() {
+  const { socket, accounts } = useSocket();
+  const { user, can } = useAuth();
+  const [accountId, setAccountId] = useState("");
+  const [replies, setReplies] = useState<{ accountId: string; replies: CannedReply[] } | null>(null);
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState<string | null>(null);
+
+  const targetAccountId = accountId || accounts[0]?.id || "";
+  const shownReplies = replies?.accountId === targetAccountId
+    ? [...replies.replies].sort((a, b) => b.usageCount - a.usageCount)
+    : [];
+
+  useEffect(() => {
+    if (!socket || !user || !targetAccountId) return;
+
+    const handleReplies = (data: { accountId: string; replies: CannedReply[] }) => {
+      if (data.accountId === targetAccountId) setReplies(data);
+    };
+    const handleChanged = () => socket.emit("getCannedReplies", { userId: user.id, accountId: targetAccountId });
+    const handleSaved = () => {
+      setError(null);
+      setForm(emptyForm);
+    };
+    const handleError = (data: { message: string }) => setError(data.message);
+
+    socket.on("cannedReplies", handleReplies);
+    socket.on("cannedRepliesChanged", handleChanged);
+    socket.on("cannedReplySaved", handleSaved);
+    socket.on("cannedReplyError", handleError);
+    handleChanged();
+
+    return () => {
+      socket.off("cannedReplies", handleReplies);
+      socket.off("cannedRepliesChanged", handleChanged);
+      socket.off("cannedReplySaved", handleSaved);
+      socket.off("cannedReplyError", handleError);
+    };
+  }, [socket, user, targetAccountId]);
+
+  const handleSave = () => {
+    socket?.emit("saveCannedReply", { userId: user?.id, accountId: targetAccountId, ...form });
+  };
+
+  const handleEdit = (reply: CannedReply) => {
+    setError(null);
+    setForm({
+      replyId: reply.id,
+      shortcut: reply.shortcut,
+      title: reply.title,
+      body: reply.body,
+      mediaUrl: reply.mediaUrl || "",
+      shared: reply.accountId === null,
+    });
+  };
+
+  const handleDelete = (reply: CannedReply) => {
+    if (!confirm(`حذف الرد /${reply.shortcut}؟`)) return;
+    socket?.emit("deleteCannedReply", { userId: user?.id, replyId: reply.id });
+  };
+
+  const inputClass = "w-full px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm placeholder-gray-500 focus:outline-none focus:border-green-500";
+
+  return (
+    <div className="bg-gradient-to-br from-[#1a2730] to-[#111b21] rounded-2xl p-6 border border-gray-700/30">
+      <h3 className="text-lg font-semibold text-white mb-1 flex items-center gap-2">
+        <Zap className="w-5 h-5 text-green-400" />
+        الردود المحفوظة
+      </h3>
+      <p className="text-gray-400 text-sm mb-4">
+        ردود جاهزة تُدرج في المحادثة بكتابة / ثم الاختصار، مع متغيرات تُستبدل تلقائياً
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="space-y-4">
+        <select
+          value={targetAccountId}
+          onChange={(e) => {
+            setAccountId(e.target.value);
+            setForm(emptyForm);
+          }}
+          className="px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-green-500"
+        >
+          {accounts.map((account) => (
+            <option key={account.id} value={account.id}>
+              {account.name}
+            </option>
+          ))}
+        </select>
+
+        {shownReplies.length === 0 ? (
+          <p className="text-sm text-gray-500">لا توجد ردود محفوظة بعد</p>
+        ) : (
+          <div className="space-y-2">
+            {shownReplies.map((reply) => (
+              <div key={reply.id} className="flex items-center gap-3 p-3 rounded-xl bg-[#202c33]">
+                <div className="flex-1 min-w-0">
+                  <p className="flex items-center gap-2 text-sm text-white">
+                    <span className="text-green-400" dir="ltr">/{reply.shortcut}</span>
+                    <span className="truncate">{reply.title}</span>
+                    {reply.accountId === null && (
+                      <span className="flex items-center gap-1 px-1.5 py-0.5 rounded bg-blue-500/15 text-blue-300 text-[10px]">
+                        <Users className="w-3 h-3" />
+                        مشترك
+                      </span>
+                    )}
+                    {reply.mediaUrl && <Paperclip className="w-3.5 h-3.5 text-gray-400" />}
+                  </p>
+                  <p className="text-xs text-gray-400 truncate">{reply.body || reply.mediaUrl}</p>
+                </div>
+                <span className="text-xs text-gray-400 whitespace-nowrap" title="عدد مرات الاستخدام">
+                  <span className="ltr-num text-white">{reply.usageCount}</span> استخدام
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleEdit(reply)}
+                  disabled={reply.accountId === null && !can("manageSettings")}
+                  className="p-2 rounded-lg text-gray-400 hover:text-white hover:bg-[#2a3942] disabled:opacity-40 disabled:pointer-events-none"
+                  title="تعديل"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(reply)}
+                  disabled={reply.accountId === null && !can("manageSettings")}
+                  className="p-2 rounded-lg text-red-400 hover:bg-red-500/20 disabled:opacity-40 disabled:pointer-events-none"
+                  title="حذف"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="p-4 rounded-xl border border-gray-700 space-y-3">
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-300">{form.replyId ? "تعديل الرد" : "رد جديد"}</p>
+            {form.replyId && (
+              <button type="button" onClick={() => setForm(emptyForm)} className="text-gray-400 hover:text-white">
+                <X className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+          <div className="grid gap-2 sm:grid-cols-2">
+            <input
+              value={form.shortcut}
+              onChange={(e) => setForm({ ...form, shortcut: e.target.value })}
+              placeholder="الاختصار (مثال: شكرا)"
+              className={inputClass}
+            />
+            <input
+              value={form.title}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+              placeholder="العنوان"
+              className={inputClass}
+            />
+          </div>
+          <textarea
+            value={form.body}
+            onChange={(e) => setForm({ ...form, body: e.target.value })}
+            rows={4}
+            placeholder="مرحباً {{contact.name}}، معك {{agent.name}}..."
+            className={`${inputClass} resize-y`}
+          />
+          <div className="flex flex-wrap gap-1.5">
+            {replyVariables.map((variable) => (
+              <button
+                key={variable.name}
+                type="button"
+                onClick={() => setForm({ ...form, body: `${form.body}${variable.name}` })}
+                className="px-2 py-1 rounded-full bg-[#202c33] text-gray-300 hover:bg-[#2a3942] text-xs"
+                title={variable.name}
+              >
+                {variable.label}
+              </button>
+            ))}
+          </div>
+          <input
+            value={form.mediaUrl}
+            onChange={(e) => setForm({ ...form, mediaUrl: e.target.value })}
+            placeholder="رابط صورة أو ملف مرفق (اختياري)"
+            dir="ltr"
+            disabled={!can("manageSettings")}
+            title={can("manageSettings") ? undefined : "إضافة رابط وسائط تحتاج صلاحية إدارة الإعدادات"}
+            className={`${inputClass} disabled:opacity-50`}
+          />
+          <div className="flex items-center justify-between">
+            <label className="flex items-center gap-2 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={form.shared}
+                onChange={(e) => setForm({ ...form, shared: e.target.checked })}
+                disabled={!can("manageSettings")}
+                className="accent-green-500"
+              />
+              مشترك مع كل حسابات مساحة العمل
+            </label>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={!targetAccountId || !form.shortcut.trim()}
+              className="px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-500 rounded-lg text-white text-sm disabled:opacity-50"
+            >
+              {form.replyId ? "حفظ التعديل" : "إضافة الرد"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
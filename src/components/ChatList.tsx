@@ -1,12 +1,14 @@
 "use client";
 
 import { useState, useEffect, useMemo } from "react";
-import { useSocket } from "@/context/SocketContext";
+import { useSocket, ALL_ACCOUNTS, chatKey, ChatRef } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import type { Contact, ContactField } from "@/components/ContactPanel";
 import {
   Search, Filter, MessageCircle, CheckCheck, Clock, RefreshCw, Loader2, Users,
   Calendar, CalendarDays, CalendarRange, Image as ImageIcon, Video, Mic, FileText,
   MapPin, User, Sticker, BarChart2, ChevronDown, X, Archive, ArchiveRestore, Pin, PinOff,
-  Eye, EyeOff, UserPlus, Sparkles
+  Eye, EyeOff, UserPlus, Sparkles, Headset, UserCheck, Tag
 } from "lucide-react";
 import Image from "next/image";
 
@@ -14,6 +16,13 @@ type FilterType = "all" | "replied" | "not_replied";
 type DateFilterType = "all" | "today" | "week" | "month";
 type TypeFilterType = "all" | "text" | "media" | "voice" | "document";
 type ChatTypeFilter = "all" | "private" | "groups";
+type AssignmentView = "mine" | "unassigned" | "all";
+
+interface TeamMember {
+  id: string;
+  name: string;
+  email: string;
+}
 
 // Format phone number for better readability
 function formatPhoneNumber(phone: string | undefined): string {
@@ -197,24 +206,39 @@ function FilterSection({
 
 export default function ChatList({
   onSelectChat,
-  selectedChatId,
+  selectedChat,
 }: {
-  onSelectChat: (chatId: string) => void;
-  selectedChatId: string | null;
+  onSelectChat: (chat: ChatRef) => void;
+  selectedChat: ChatRef | null;
 }) {
-  const { chats, messages, isLoading, syncAllChats, quickSync, fetchChats, fetchProfilePics, isReady, syncProgress, searchMessages, clearSearch, searchState, privacyMode, setPrivacyMode } = useSocket();
+  const { chats, messages, isLoading, syncAllChats, quickSync, fetchChats, fetchProfilePics, isReady, syncProgress, searchMessages, clearSearch, searchState, privacyMode, setPrivacyMode, socket, currentAccountId, accounts } = useSocket();
+  const { user } = useAuth();
+  const isAllAccounts = currentAccountId === ALL_ACCOUNTS;
   const [filter, setFilter] = useState<FilterType>("all");
   const [dateFilter, setDateFilter] = useState<DateFilterType>("all");
   const [typeFilter, setTypeFilter] = useState<TypeFilterType>("all");
   const [chatTypeFilter, setChatTypeFilter] = useState<ChatTypeFilter>("all");
   const [showNewContactsOnly, setShowNewContactsOnly] = useState(false);
+  const [showHandoffOnly, setShowHandoffOnly] = useState(false);
+  // chatKey()s, since the unified inbox mixes chats from several accounts
+  const [handoffChatKeys, setHandoffChatKeys] = useState<string[]>([]);
+  // Assignee of each assigned chat, by chatKey()
+  const [assignees, setAssignees] = useState<Record<string, string>>({});
+  const [teamMembers, setTeamMembers] = useState<TeamMember[]>([]);
+  const [assignmentView, setAssignmentView] = useState<AssignmentView>("all");
+  // Contact tags and custom field values by chatKey(), field definitions by account
+  const [contacts, setContacts] = useState<Record<string, Contact>>({});
+  const [contactFields, setContactFields] = useState<Record<string, ContactField[]>>({});
+  const [tagFilter, setTagFilter] = useState<string[]>([]);
+  const [fieldFilter, setFieldFilter] = useState({ name: "", value: "" });
   const [searchQuery, setSearchQuery] = useState("");
   const [showFilters, setShowFilters] = useState(false);
   const [openSections, setOpenSections] = useState({
     date: true,
     status: true,
     type: false,
-    chatType: true
+    chatType: true,
+    contact: false
   });
   const [archivedChats, setArchivedChats] = useState<string[]>([]);
   const [showArchived, setShowArchived] = useState(false);
@@ -232,6 +256,114 @@ export default function ChatList({
     }
   }, []);
 
+  // Chats where a chatbot flow handed the conversation over to a human
+  useEffect(() => {
+    if (!socket) return;
+
+    // The unified inbox receives one list per account
+    const handleHandoffChats = (data: { accountId: string; chats: { chatId: string }[] }) => {
+      if (currentAccountId !== ALL_ACCOUNTS && data.accountId !== currentAccountId) return;
+      setHandoffChatKeys((prev) => [
+        ...prev.filter((key) => currentAccountId === ALL_ACCOUNTS && !key.startsWith(`${data.accountId}:`)),
+        ...data.chats.map((chat) => chatKey(data.accountId, chat.chatId)),
+      ]);
+    };
+
+    socket.on("handoffChats", handleHandoffChats);
+    socket.emit("getHandoffChats");
+
+    return () => {
+      socket.off("handoffChats", handleHandoffChats);
+    };
+  }, [socket, currentAccountId]);
+
+  // Who handles each chat - kept live as chats are assigned
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleAssignments = (data: { accountId: string; assignments: { chatId: string; assigneeId: string }[] }) => {
+      if (currentAccountId !== ALL_ACCOUNTS && data.accountId !== currentAccountId) return;
+      setAssignees((prev) => {
+        const next = Object.fromEntries(
+          Object.entries(prev).filter(([key]) => currentAccountId === ALL_ACCOUNTS && !key.startsWith(`${data.accountId}:`))
+        );
+        data.assignments.forEach((a) => { next[chatKey(data.accountId, a.chatId)] = a.assigneeId; });
+        return next;
+      });
+    };
+    const handleAssignment = (data: { accountId: string; chatId: string; assigneeId: string | null }) => {
+      setAssignees((prev) => {
+        const next = { ...prev };
+        if (data.assigneeId) {
+          next[chatKey(data.accountId, data.chatId)] = data.assigneeId;
+        } else {
+          delete next[chatKey(data.accountId, data.chatId)];
+        }
+        return next;
+      });
+    };
+
+    socket.on("assignments", handleAssignments);
+    socket.on("chatAssignment", handleAssignment);
+    socket.on("teamMembers", setTeamMembers);
+    socket.emit("getAssignments");
+    socket.emit("getTeamMembers");
+
+    return () => {
+      socket.off("assignments", handleAssignments);
+      socket.off("chatAssignment", handleAssignment);
+      socket.off("teamMembers", setTeamMembers);
+    };
+  }, [socket, currentAccountId]);
+
+  // Contact tags and custom fields, for the contact filters
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleContacts = (data: { accountId: string; contacts: Contact[]; fields: ContactField[] }) => {
+      if (currentAccountId !== ALL_ACCOUNTS && data.accountId !== currentAccountId) return;
+      setContacts((prev) => {
+        const next = Object.fromEntries(
+          Object.entries(prev).filter(([key]) => currentAccountId === ALL_ACCOUNTS && !key.startsWith(`${data.accountId}:`))
+        );
+        data.contacts.forEach((c) => { next[chatKey(data.accountId, c.chatId)] = c; });
+        return next;
+      });
+      setContactFields((prev) => ({
+        ...(currentAccountId === ALL_ACCOUNTS ? prev : {}),
+        [data.accountId]: data.fields,
+      }));
+    };
+    const handleContactUpdated = (data: { accountId: string; chatId: string; contact: Contact }) => {
+      setContacts((prev) => ({ ...prev, [chatKey(data.accountId, data.chatId)]: data.contact }));
+    };
+    const handleContactFields = (data: { accountId: string; fields: ContactField[] }) => {
+      setContactFields((prev) => (data.accountId in prev ? { ...prev, [data.accountId]: data.fields } : prev));
+    };
+
+    socket.on("contacts", handleContacts);
+    socket.on("contactUpdated", handleContactUpdated);
+    socket.on("contactFields", handleContactFields);
+    socket.emit("getContacts");
+
+    return () => {
+      socket.off("contacts", handleContacts);
+      socket.off("contactUpdated", handleContactUpdated);
+      socket.off("contactFields", handleContactFields);
+    };
+  }, [socket, currentAccountId]);
+
+  // Tags in use and field names across the shown accounts (the unified inbox filters fields by name)
+  const contactTags = useMemo(() => [...new Set(Object.values(contacts).flatMap((c) => c.tags))].sort(), [contacts]);
+  const contactFieldNames = useMemo(
+    () => [...new Set(Object.values(contactFields).flatMap((fields) => fields.map((f) => f.name)))],
+    [contactFields]
+  );
+  const filterField = useMemo(
+    () => Object.values(contactFields).flat().find((f) => f.name === fieldFilter.name) || null,
+    [contactFields, fieldFilter.name]
+  );
+
   // Toggle archive status
   const toggleArchive = (chatId: string, e: React.MouseEvent) => {
     e.stopPropagation();
@@ -266,16 +398,19 @@ export default function ChatList({
   // Lazy load profile pictures for visible chats (first 20) - runs once after sync completes
   useEffect(() => {
     if (isReady && chats.length > 0 && syncProgress.status === "idle") {
-      // Get IDs of first 20 chats that don't have profile pics
-      const chatsNeedingPics = chats
+      // Get IDs of first 20 chats that don't have profile pics, grouped by account
+      const chatsNeedingPics = new Map<string, string[]>();
+      chats
         .slice(0, 20)
         .filter(chat => !chat.profilePic)
-        .map(chat => chat.id);
+        .forEach(chat => {
+          chatsNeedingPics.set(chat.accountId, [...(chatsNeedingPics.get(chat.accountId) || []), chat.id]);
+        });
 
-      if (chatsNeedingPics.length > 0) {
+      if (chatsNeedingPics.size > 0) {
         // Delay to not interfere with initial render
         const timer = setTimeout(() => {
-          fetchProfilePics(chatsNeedingPics);
+          chatsNeedingPics.forEach((chatIds, accountId) => fetchProfilePics(chatIds, accountId));
         }, 2000);
         return () => clearTimeout(timer);
       }
@@ -352,7 +487,7 @@ export default function ChatList({
           if (chat.isGroup) return false; // Exclude groups
 
           // Check if this chat has messages loaded
-          const chatMessages = messages[chat.id];
+          const chatMessages = messages[chatKey(chat.accountId, chat.id)];
           if (chatMessages && chatMessages.length > 0) {
             // Check if the oldest message is from today
             const oldestMessage = chatMessages.reduce((oldest, msg) =>
@@ -366,6 +501,31 @@ export default function ChatList({
           }
         }
 
+        // Mine / Unassigned / All
+        const assigneeId = assignees[chatKey(chat.accountId, chat.id)];
+        if (assignmentView === "mine" && assigneeId !== user?.id) return false;
+        if (assignmentView === "unassigned" && assigneeId) return false;
+
+        // Waiting for a human after a chatbot flow handoff
+        if (showHandoffOnly && !handoffChatKeys.includes(chatKey(chat.accountId, chat.id))) return false;
+
+        // Contact tags (any of the selected) and custom field value
+        const contact = contacts[chatKey(chat.accountId, chat.id)];
+        if (tagFilter.length > 0 && !contact?.tags.some((tag) => tagFilter.includes(tag))) return false;
+        if (fieldFilter.name && fieldFilter.value.trim()) {
+          const field = contactFields[chat.accountId]?.find((f) => f.name === fieldFilter.name);
+          const value = field ? contact?.fields[field.id] : undefined;
+          if (!value) return false;
+          const wanted = fieldFilter.value.trim();
+          if (field?.type === "text") {
+            if (!value.toLowerCase().includes(wanted.toLowerCase())) return false;
+          } else if (field?.type === "number") {
+            if (Number(value) !== Number(wanted)) return false;
+          } else if (value !== wanted) {
+            return false;
+          }
+        }
+
         // Date filter
         const chatTimestamp = chat.lastMessage?.timestamp || chat.timestamp || 0;
         if (dateFilter !== "all" && chatTimestamp < minTimestamp) {
@@ -397,7 +557,7 @@ export default function ChatList({
         // Then sort by timestamp
         return (b.timestamp || 0) - (a.timestamp || 0);
       });
-  }, [chats, searchQuery, dateFilter, typeFilter, filter, chatTypeFilter, showNewContactsOnly, archivedChats, showArchived, pinnedChats]);
+  }, [chats, searchQuery, dateFilter, typeFilter, filter, chatTypeFilter, showNewContactsOnly, showHandoffOnly, handoffChatKeys, assignmentView, assignees, contacts, contactFields, tagFilter, fieldFilter, user, archivedChats, showArchived, pinnedChats]);
 
   const formatTime = (timestamp: number) => {
     if (!timestamp) return "";
@@ -426,7 +586,7 @@ export default function ChatList({
       if (c.isGroup) return false; // Exclude groups
 
       // Check if this chat has messages loaded
-      const chatMessages = messages[c.id];
+      const chatMessages = messages[chatKey(c.accountId, c.id)];
       if (chatMessages && chatMessages.length > 0) {
         // Check if the oldest message is from today
         const oldestMessage = chatMessages.reduce((oldest, msg) =>
@@ -440,7 +600,11 @@ export default function ChatList({
       return chatTimestamp >= todayTimestamp;
     }).length;
 
-    return { all: chats.length, replied, notReplied, privateChats, groupChats, newContactsToday };
+    const waitingForAgent = chats.filter((c) => handoffChatKeys.includes(chatKey(c.accountId, c.id))).length;
+    const mine = chats.filter((c) => assignees[chatKey(c.accountId, c.id)] === user?.id).length;
+    const unassigned = chats.filter((c) => !assignees[chatKey(c.accountId, c.id)]).length;
+
+    return { all: chats.length, replied, notReplied, privateChats, groupChats, newContactsToday, waitingForAgent, mine, unassigned };
   };
 
   const getMessageTypeIcon = (type: string) => {
@@ -466,7 +630,10 @@ export default function ChatList({
     filter !== "all",
     typeFilter !== "all",
     chatTypeFilter !== "all",
-    showNewContactsOnly
+    showNewContactsOnly,
+    showHandoffOnly,
+    tagFilter.length > 0,
+    !!(fieldFilter.name && fieldFilter.value.trim())
   ].filter(Boolean).length;
 
   // Reset all filters
@@ -476,6 +643,9 @@ export default function ChatList({
     setTypeFilter("all");
     setChatTypeFilter("all");
     setShowNewContactsOnly(false);
+    setShowHandoffOnly(false);
+    setTagFilter([]);
+    setFieldFilter({ name: "", value: "" });
     setSearchQuery("");
   };
 
@@ -593,6 +763,27 @@ export default function ChatList({
           </div>
         </div>
 
+        {/* Assignment view */}
+        <div className="flex p-1 mb-3 bg-[#202c33] rounded-xl text-xs">
+          {([
+            { view: "mine", label: "محادثاتي", count: stats.mine },
+            { view: "unassigned", label: "غير مسندة", count: stats.unassigned },
+            { view: "all", label: "الكل", count: stats.all },
+          ] as const).map(({ view, label, count }) => (
+            <button
+              key={view}
+              onClick={() => setAssignmentView(view)}
+              className={`flex-1 flex items-center justify-center gap-1.5 py-1.5 rounded-lg transition-colors ${assignmentView === view
+                ? "bg-[#2a3942] text-white"
+                : "text-gray-400 hover:text-white"
+                }`}
+            >
+              {label}
+              <span className="ltr-num text-[10px] text-gray-500">{count}</span>
+            </button>
+          ))}
+        </div>
+
         {/* Filters Panel */}
         {showFilters && (
           <div className="space-y-3 mb-3 animate-in slide-in-from-top-2 duration-200">
@@ -656,7 +847,7 @@ export default function ChatList({
               icon={<MessageCircle className="w-4 h-4" />}
               isOpen={openSections.status}
               onToggle={() => toggleSection("status")}
-              activeCount={filter !== "all" ? 1 : 0}
+              activeCount={(filter !== "all" ? 1 : 0) + (showHandoffOnly ? 1 : 0)}
             >
               <FilterButton
                 active={filter === "all"}
@@ -682,6 +873,14 @@ export default function ChatList({
                 count={stats.notReplied}
                 color="orange"
               />
+              <FilterButton
+                active={showHandoffOnly}
+                onClick={() => setShowHandoffOnly(!showHandoffOnly)}
+                icon={<Headset className="w-3.5 h-3.5" />}
+                label="بانتظار موظف"
+                count={stats.waitingForAgent}
+                color="orange"
+              />
             </FilterSection>
 
             {/* Type Filters */}
@@ -762,6 +961,64 @@ export default function ChatList({
                 color="blue"
               />
             </FilterSection>
+
+            {/* Contact Filters (tags and custom fields) */}
+            <FilterSection
+              title="جهات الاتصال"
+              icon={<Tag className="w-4 h-4" />}
+              isOpen={openSections.contact}
+              onToggle={() => toggleSection("contact")}
+              activeCount={(tagFilter.length > 0 ? 1 : 0) + (fieldFilter.name && fieldFilter.value.trim() ? 1 : 0)}
+            >
+              {contactTags.length === 0 && contactFieldNames.length === 0 && (
+                <p className="text-xs text-gray-500">لا توجد وسوم أو حقول مخصصة بعد</p>
+              )}
+              {contactTags.map((tag) => (
+                <FilterButton
+                  key={tag}
+                  active={tagFilter.includes(tag)}
+                  onClick={() => setTagFilter(tagFilter.includes(tag) ? tagFilter.filter((t) => t !== tag) : [...tagFilter, tag])}
+                  icon={<Tag className="w-3.5 h-3.5" />}
+                  label={tag}
+                  color="purple"
+                />
+              ))}
+              {contactFieldNames.length > 0 && (
+                <div className="flex w-full gap-2">
+                  <select
+                    value={fieldFilter.name}
+                    onChange={(e) => setFieldFilter({ name: e.target.value, value: "" })}
+                    className="flex-1 min-w-0 px-2 py-1.5 bg-[#202c33] border border-gray-700 rounded-lg text-white text-xs focus:outline-none focus:border-green-500"
+                  >
+                    <option value="">حقل مخصص...</option>
+                    {contactFieldNames.map((name) => (
+                      <option key={name} value={name}>{name}</option>
+                    ))}
+                  </select>
+                  {filterField?.type === "select" ? (
+                    <select
+                      value={fieldFilter.value}
+                      onChange={(e) => setFieldFilter({ ...fieldFilter, value: e.target.value })}
+                      className="flex-1 min-w-0 px-2 py-1.5 bg-[#202c33] border border-gray-700 rounded-lg text-white text-xs focus:outline-none focus:border-green-500"
+                    >
+                      <option value="">أي قيمة</option>
+                      {filterField.options.map((option) => (
+                        <option key={option} value={option}>{option}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      type={filterField?.type === "number" ? "number" : filterField?.type === "date" ? "date" : "text"}
+                      value={fieldFilter.value}
+                      onChange={(e) => setFieldFilter({ ...fieldFilter, value: e.target.value })}
+                      disabled={!fieldFilter.name}
+                      placeholder="القيمة"
+                      className="flex-1 min-w-0 px-2 py-1.5 bg-[#202c33] border border-gray-700 rounded-lg text-white text-xs placeholder-gray-500 focus:outline-none focus:border-green-500 disabled:opacity-50"
+                    />
+                  )}
+                </div>
+              )}
+            </FilterSection>
           </div>
         )}
 
@@ -769,8 +1026,8 @@ export default function ChatList({
         {!showFilters && (
           <div className="flex gap-2 flex-wrap">
             <FilterButton
-              active={filter === "all" && chatTypeFilter === "all" && !showNewContactsOnly}
-              onClick={() => { setFilter("all"); setChatTypeFilter("all"); setShowNewContactsOnly(false); }}
+              active={filter === "all" && chatTypeFilter === "all" && !showNewContactsOnly && !showHandoffOnly}
+              onClick={() => { setFilter("all"); setChatTypeFilter("all"); setShowNewContactsOnly(false); setShowHandoffOnly(false); }}
               icon={<MessageCircle className="w-3.5 h-3.5" />}
               label="الكل"
               count={stats.all}
@@ -808,6 +1065,16 @@ export default function ChatList({
               count={stats.notReplied}
               color="orange"
             />
+            {(stats.waitingForAgent > 0 || showHandoffOnly) && (
+              <FilterButton
+                active={showHandoffOnly}
+                onClick={() => setShowHandoffOnly(!showHandoffOnly)}
+                icon={<Headset className="w-3.5 h-3.5" />}
+                label="بانتظار موظف"
+                count={stats.waitingForAgent}
+                color="orange"
+              />
+            )}
           </div>
         )}
 
@@ -948,7 +1215,7 @@ export default function ChatList({
           {searchState.results.map((result) => (
             <div
               key={result.id}
-              onClick={() => onSelectChat(result.chatId)}
+              onClick={() => onSelectChat({ chatId: result.chatId, accountId: result.accountId || currentAccountId || "" })}
               className="flex gap-3 p-3 hover:bg-[#202c33] cursor-pointer border-b border-gray-700/30 transition-colors"
             >
               <div className="w-10 h-10 rounded-full bg-gradient-to-br from-blue-500 to-cyan-600 flex items-center justify-center text-white font-bold flex-shrink-0">
@@ -1033,9 +1300,9 @@ export default function ChatList({
           ) : (
             filteredChats.map((chat) => (
               <div
-                key={chat.id}
-                onClick={() => onSelectChat(chat.id)}
-                className={`group flex items-center gap-3 p-3 cursor-pointer border-b border-gray-700/30 transition-all duration-200 ${selectedChatId === chat.id
+                key={chatKey(chat.accountId, chat.id)}
+                onClick={() => onSelectChat({ chatId: chat.id, accountId: chat.accountId })}
+                className={`group flex items-center gap-3 p-3 cursor-pointer border-b border-gray-700/30 transition-all duration-200 ${selectedChat?.chatId === chat.id && selectedChat.accountId === chat.accountId
                   ? "bg-gradient-to-r from-[#2a3942] to-[#1f2d34]"
                   : "hover:bg-[#202c33]"
                   }`}
@@ -1089,6 +1356,30 @@ export default function ChatList({
                     </div>
                   )}
 
+                  {/* Owning account (unified inbox) */}
+                  {isAllAccounts && (
+                    <span className="inline-block mt-0.5 px-1.5 py-0.5 rounded bg-teal-500/15 text-teal-300 text-[10px] max-w-full truncate">
+                      {accounts.find((account) => account.id === chat.accountId)?.name || "حساب محذوف"}
+                    </span>
+                  )}
+
+                  {/* Assignee */}
+                  {assignees[chatKey(chat.accountId, chat.id)] && (
+                    <span className="inline-flex items-center gap-1 mt-0.5 mr-1 px-1.5 py-0.5 rounded bg-blue-500/15 text-blue-300 text-[10px] max-w-full truncate">
+                      <UserCheck className="w-3 h-3 flex-shrink-0" />
+                      {assignees[chatKey(chat.accountId, chat.id)] === user?.id
+                        ? "أنت"
+                        : teamMembers.find((m) => m.id === assignees[chatKey(chat.accountId, chat.id)])?.name || "عضو فريق"}
+                    </span>
+                  )}
+
+                  {/* Contact tags */}
+                  {contacts[chatKey(chat.accountId, chat.id)]?.tags.slice(0, 3).map((tag) => (
+                    <span key={tag} className="inline-block mt-0.5 mr-1 px-1.5 py-0.5 rounded bg-purple-500/15 text-purple-300 text-[10px] max-w-full truncate">
+                      {tag}
+                    </span>
+                  ))}
+
                   {/* Last Message with sender and type */}
                   <div className="flex items-center gap-1 mt-0.5">
                     {chat.lastMessage?.fromMe && (
@@ -0,0 +1,129 @@
+"use client";
+
+import { StickyNote, Trash2 } from "lucide-react";
+
+export interface ChatNote {
+  id: string;
+  messageId: string | null;
+  authorId: string;
+  authorName: string;
+  body: string;
+  mentions: string[];
+  createdAt: number;
+}
+
+export interface TeamMember {
+  id: string;
+  name: string;
+  email: string;
+}
+
+// Members whose @name appears in the text
+export const findMentions = (text: string, members: TeamMember[]) =>
+  members.filter((member) => text.includes(`@${member.name}`)).map((member) => member.id);
+
+// The "@query" being typed at the end of the input, if any
+export const getMentionQuery = (text: string) => /(?:^|\s)@([^\s@]*)$/.exec(text)?.[1] ?? null;
+
+// Note text with @mentions highlighted
+function NoteBody({ body, members }: { body: string; members: TeamMember[] }) {
+  const names = members.map((m) => m.name).filter(Boolean).sort((a, b) => b.length - a.length);
+  if (names.length === 0) return <>{body}</>;
+
+  const escaped = names.map((name) => name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const parts = body.split(new RegExp(`(@(?:${escaped.join("|")}))`, "g"));
+  return (
+    <>
+      {parts.map((part, i) =>
+        i % 2 === 1 ? (
+          <span key={i} className="text-amber-300 font-medium">{part}</span>
+        ) : (
+          part
+        )
+      )}
+    </>
+  );
+}
+
+// Internal note in the chat timeline - styled apart from WhatsApp messages
+export function NoteBubble({
+  note,
+  members,
+  canDelete,
+  onDelete,
+  quote,
+}: {
+  note: ChatNote;
+  members: TeamMember[];
+  canDelete: boolean;
+  onDelete: () => void;
+  quote?: string;
+}) {
+  return (
+    <div className="flex justify-center">
+      <div className="group w-full max-w-[80%] px-3 py-2 rounded-lg border border-dashed border-amber-500/40 bg-amber-500/10 text-amber-100">
+        <div className="flex items-center gap-1.5 mb-1 text-[11px] text-amber-400">
+          <StickyNote className="w-3.5 h-3.5" />
+          <span className="font-medium">ملاحظة داخلية • {note.authorName}</span>
+          <span className="mr-auto ltr-num text-amber-400/70">
+            {new Date(note.createdAt).toLocaleString("ar-EG", { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" })}
+          </span>
+          {canDelete && (
+            <button
+              type="button"
+              onClick={onDelete}
+              className="opacity-0 group-hover:opacity-100 p-0.5 rounded hover:bg-red-500/20 text-red-400 transition-opacity"
+              title="حذف الملاحظة"
+            >
+              <Trash2 className="w-3.5 h-3.5" />
+            </button>
+          )}
+        </div>
+        {quote !== undefined && (
+          <p className="mb-1 px-2 py-1 border-r-2 border-amber-500/50 text-xs text-gray-400 truncate">
+            {quote || "رسالة"}
+          </p>
+        )}
+        <p className="text-sm break-words whitespace-pre-wrap">
+          <NoteBody body={note.body} members={members} />
+        </p>
+      </div>
+    </div>
+  );
+}
+
+// Team members matching the @query being typed
+export function MentionSuggestions({
+  query,
+  members,
+  onPick,
+}: {
+  query: string;
+  members: TeamMember[];
+  onPick: (member: TeamMember) => void;
+}) {
+  const matches = members
+    .filter((member) => member.name.toLowerCase().includes(query.toLowerCase()))
+    .slice(0, 6);
+  if (matches.length === 0) return null;
+
+  return (
+    <div className="absolute bottom-full mb-2 right-0 w-64 bg-[#202c33] rounded-lg shadow-2xl border border-gray-700 py-1 z-50">
+      {matches.map((member) => (
+        <button
+          key={member.id}
+          type="button"
+          onMouseDown={(e) => {
+            // Keep the input focused
+            e.preventDefault();
+            onPick(member);
+          }}
+          className="w-full px-3 py-2 text-right hover:bg-[#2a3942]"
+        >
+          <p className="text-sm text-white truncate">{member.name}</p>
+          <p className="text-xs text-gray-500 truncate" dir="ltr">{member.email}</p>
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -1,10 +1,20 @@
 "use client";
 
 import { useEffect, useState, useRef } from "react";
-import { useSocket } from "@/context/SocketContext";
+import { useSocket, chatKey, type OutgoingAttachment } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import AttachmentPicker, { VoiceRecorderButton } from "@/components/AttachmentPicker";
+import SchedulerPanel from "@/components/SchedulerPanel";
+import AssignmentMenu from "@/components/AssignmentMenu";
+import ContactPanel from "@/components/ContactPanel";
+import { CannedReplySuggestions, getShortcutQuery, matchReplies, type CannedReply } from "@/components/CannedReplies";
+import {
+  NoteBubble, MentionSuggestions, findMentions, getMentionQuery, type ChatNote, type TeamMember
+} from "@/components/ChatNotes";
 import {
   Send, CheckCheck, Image as ImageIcon, Video, Mic, FileText,
-  Play, Pause, Download, X, Volume2, ZoomIn, Loader2, ChevronDown, ChevronUp
+  Play, Pause, Download, X, Volume2, ZoomIn, Loader2, ChevronDown, ChevronUp, CalendarClock, Headset,
+  Eye, PenLine, AlertTriangle, StickyNote, IdCard
 } from "lucide-react";
 
 // Format phone number for better readability
@@ -261,8 +271,22 @@ function getMessageTypeInfo(type: string) {
   }
 }
 
-export default function ChatWindow({ chatId }: { chatId: string | null }) {
-  const { messages, fetchMessages, chats, privacyMode, sendMessage } = useSocket();
+// Another agent's message this recent makes the send button ask first
+const RECENT_SEND_WINDOW = 60 * 1000;
+// Typing notices are refreshed at most this often while the agent keeps typing
+const TYPING_NOTICE_INTERVAL = 3000;
+
+interface ChatViewer {
+  userId: string;
+  name: string;
+  isTyping: boolean;
+}
+
+// accountId is the account that owns the chat - everything here goes through it,
+// also when the unified inbox is shown
+export default function ChatWindow({ chatId, accountId }: { chatId: string | null; accountId: string | null }) {
+  const { messages, fetchMessages, chats, privacyMode, sendMessage, socket } = useSocket();
+  const { user } = useAuth();
   const [modalMedia, setModalMedia] = useState<{
     url: string;
     mimetype: string | null;
@@ -270,14 +294,157 @@ export default function ChatWindow({ chatId }: { chatId: string | null }) {
   } | null>(null);
   const [messageInput, setMessageInput] = useState("");
   const [isSending, setIsSending] = useState(false);
+  const [pendingAttachment, setPendingAttachment] = useState<{
+    attachment: OutgoingAttachment;
+    label: string;
+  } | null>(null);
   const [loadingMedia, setLoadingMedia] = useState<string | null>(null);
+  const [showScheduler, setShowScheduler] = useState(false);
+  const [showContact, setShowContact] = useState(false);
+  const [handoffChatIds, setHandoffChatIds] = useState<string[]>([]);
+  // Other agents in this chat, tagged with the chatKey() they belong to
+  const [presence, setPresence] = useState<{ key: string; viewers: ChatViewer[] } | null>(null);
+  const [recentSend, setRecentSend] = useState<{ key: string; name: string; at: number } | null>(null);
+  const lastTypingNoticeRef = useRef(0);
+  // Internal notes (never sent to WhatsApp), tagged with their chatKey()
+  const [chatNotes, setChatNotes] = useState<{ key: string; notes: ChatNote[] } | null>(null);
+  const [teamMembers, setTeamMembers] = useState<TeamMember[]>([]);
+  const [isNoteMode, setIsNoteMode] = useState(false);
+  const [noteTarget, setNoteTarget] = useState<{ messageId: string; preview: string } | null>(null);
+  const [noteError, setNoteError] = useState<string | null>(null);
+  // Saved replies of the chat's account (its own and the shared ones)
+  const [cannedReplies, setCannedReplies] = useState<{ accountId: string; replies: CannedReply[] } | null>(null);
+  const [cannedReplyError, setCannedReplyError] = useState<string | null>(null);
   const messagesEndRef = useRef<HTMLDivElement>(null);
 
+  // Presence: tell the other agents this chat is open, and hear about theirs
+  useEffect(() => {
+    if (!socket || !chatId || !accountId || !user) return;
+    const key = chatKey(accountId, chatId);
+
+    const handlePresence = (data: { accountId: string; chatId: string; viewers: ChatViewer[] }) => {
+      if (chatKey(data.accountId, data.chatId) !== key) return;
+      setPresence({ key, viewers: data.viewers.filter((viewer) => viewer.userId !== user.id) });
+    };
+    const handleAgentSent = (data: { accountId: string; chatId: string; userId: string; name: string; elapsed: number }) => {
+      if (chatKey(data.accountId, data.chatId) !== key || data.userId === user.id) return;
+      if (data.elapsed >= RECENT_SEND_WINDOW) return;
+      const send = { key, name: data.name, at: Date.now() - data.elapsed };
+      setRecentSend(send);
+      setTimeout(() => setRecentSend((current) => (current === send ? null : current)), RECENT_SEND_WINDOW - data.elapsed);
+    };
+
+    socket.on("chatPresence", handlePresence);
+    socket.on("agentSent", handleAgentSent);
+    socket.emit("viewChat", { chatId, accountId, userId: user.id, userName: user.name });
+
+    return () => {
+      socket.off("chatPresence", handlePresence);
+      socket.off("agentSent", handleAgentSent);
+      socket.emit("leaveChat");
+    };
+  }, [socket, chatId, accountId, user]);
+
+  useEffect(() => {
+    if (!socket || !chatId || !accountId) return;
+    const key = chatKey(accountId, chatId);
+
+    const handleNotes = (data: { accountId: string; chatId: string; notes: ChatNote[] }) => {
+      if (chatKey(data.accountId, data.chatId) === key) setChatNotes({ key, notes: data.notes });
+    };
+    const handleNoteError = (data: { message: string }) => setNoteError(data.message);
+
+    socket.on("chatNotes", handleNotes);
+    socket.on("chatNoteError", handleNoteError);
+    socket.on("teamMembers", setTeamMembers);
+    socket.emit("getChatNotes", { chatId, accountId });
+    socket.emit("getTeamMembers");
+
+    return () => {
+      socket.off("chatNotes", handleNotes);
+      socket.off("chatNoteError", handleNoteError);
+      socket.off("teamMembers", setTeamMembers);
+    };
+  }, [socket, chatId, accountId]);
+
+  useEffect(() => {
+    if (!socket || !accountId || !user) return;
+
+    const handleReplies = (data: { accountId: string; replies: CannedReply[] }) => {
+      if (data.accountId === accountId) setCannedReplies(data);
+    };
+    const handleChanged = () => socket.emit("getCannedReplies", { userId: user.id, accountId });
+    const handleError = (data: { message: string }) => setCannedReplyError(data.message);
+
+    socket.on("cannedReplies", handleReplies);
+    socket.on("cannedRepliesChanged", handleChanged);
+    socket.on("cannedReplyError", handleError);
+    handleChanged();
+
+    return () => {
+      socket.off("cannedReplies", handleReplies);
+      socket.off("cannedRepliesChanged", handleChanged);
+      socket.off("cannedReplyError", handleError);
+    };
+  }, [socket, accountId, user]);
+
+  // A picked reply comes back with its variables filled in for this chat
+  useEffect(() => {
+    if (!socket || !chatId || !accountId) return;
+    const key = chatKey(accountId, chatId);
+
+    const handleRendered = (data: {
+      accountId: string;
+      chatId: string;
+      replyId: string;
+      title: string;
+      text: string;
+      attachment: OutgoingAttachment | null;
+    }) => {
+      if (chatKey(data.accountId, data.chatId) !== key) return;
+      setMessageInput(data.text);
+      if (data.attachment) setPendingAttachment({ attachment: data.attachment, label: data.title });
+    };
+
+    socket.on("cannedReplyRendered", handleRendered);
+    return () => {
+      socket.off("cannedReplyRendered", handleRendered);
+    };
+  }, [socket, chatId, accountId]);
+
+  const notifyTyping = (text: string) => {
+    const now = Date.now();
+    if (!text.trim()) {
+      lastTypingNoticeRef.current = 0;
+      socket?.emit("chatTyping", { isTyping: false });
+    } else if (now - lastTypingNoticeRef.current > TYPING_NOTICE_INTERVAL) {
+      lastTypingNoticeRef.current = now;
+      socket?.emit("chatTyping", { isTyping: true });
+    }
+  };
+
+  // Chats handed over to a human by a chatbot flow
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleHandoffChats = (data: { accountId: string; chats: { chatId: string }[] }) => {
+      if (data.accountId !== accountId) return;
+      setHandoffChatIds(data.chats.map((chat) => chat.chatId));
+    };
+
+    socket.on("handoffChats", handleHandoffChats);
+    socket.emit("getHandoffChats");
+
+    return () => {
+      socket.off("handoffChats", handleHandoffChats);
+    };
+  }, [socket, accountId]);
+
   useEffect(() => {
     if (chatId) {
-      fetchMessages(chatId);
+      fetchMessages(chatId, accountId || undefined);
     }
-  }, [chatId, fetchMessages]);
+  }, [chatId, accountId, fetchMessages]);
 
   // Scroll to bottom when messages change
   useEffect(() => {
@@ -300,8 +467,80 @@ export default function ChatWindow({ chatId }: { chatId: string | null }) {
     );
   }
 
-  const chatMessages = messages[chatId] || [];
-  const chat = chats.find((c) => c.id === chatId);
+  const chatMessages = messages[chatKey(accountId || "", chatId)] || [];
+  const chat = chats.find((c) => c.id === chatId && c.accountId === accountId);
+
+  const notes = chatNotes?.key === chatKey(accountId || "", chatId) ? chatNotes.notes : [];
+  const mentionQuery = isNoteMode ? getMentionQuery(messageInput) : null;
+  const replies = cannedReplies?.accountId === accountId ? cannedReplies.replies : [];
+  const shortcutQuery = isNoteMode ? null : getShortcutQuery(messageInput);
+
+  const insertCannedReply = (reply: CannedReply) => {
+    setCannedReplyError(null);
+    setMessageInput("");
+    socket?.emit("useCannedReply", { userName: user?.name, chatId, accountId, replyId: reply.id });
+  };
+
+  const addNote = () => {
+    socket?.emit("addChatNote", {
+      userId: user?.id,
+      userName: user?.name,
+      chatId,
+      accountId,
+      messageId: noteTarget?.messageId,
+      body: messageInput,
+      mentions: findMentions(messageInput, teamMembers),
+    });
+    setNoteError(null);
+    setMessageInput("");
+    setNoteTarget(null);
+    setIsNoteMode(false);
+  };
+
+  const deleteNote = (noteId: string) => {
+    if (confirm("هل تريد حذف هذه الملاحظة؟")) {
+      socket?.emit("deleteChatNote", { userId: user?.id, noteId });
+    }
+  };
+
+  const startNoteOn = (messageId: string, preview: string) => {
+    setNoteTarget({ messageId, preview });
+    setIsNoteMode(true);
+  };
+
+  const otherViewers = presence?.key === chatKey(accountId || "", chatId) ? presence.viewers : [];
+  const typingViewers = otherViewers.filter((viewer) => viewer.isTyping);
+  const otherSend = recentSend?.key === chatKey(accountId || "", chatId) ? recentSend : null;
+
+  // Returns false when the agent backed off because a colleague just answered
+  const sendAndRefresh = (text: string, attachment?: OutgoingAttachment) => {
+    if (otherSend) {
+      const seconds = Math.max(1, Math.round((Date.now() - otherSend.at) / 1000));
+      if (!confirm(`أرسل ${otherSend.name} رسالة إلى هذه المحادثة قبل ${seconds} ثانية. هل تريد الإرسال على أي حال؟`)) {
+        return false;
+      }
+    }
+    lastTypingNoticeRef.current = 0;
+    socket?.emit("chatTyping", { isTyping: false });
+    setIsSending(true);
+    sendMessage(chatId, text, attachment, accountId || undefined);
+    setTimeout(() => {
+      setIsSending(false);
+      fetchMessages(chatId, accountId || undefined);
+    }, 1000);
+    return true;
+  };
+
+  // Files wait for an optional caption; voice notes, locations and contacts are sent right away
+  const handleAttach = (attachment: OutgoingAttachment, label: string) => {
+    if (attachment.kind === "media") {
+      setPendingAttachment({ attachment, label });
+    } else {
+      sendAndRefresh("", attachment);
+    }
+  };
+
+  const canSend = (messageInput.trim() || pendingAttachment) && !isSending;
 
   const formatTime = (timestamp: number) => {
     if (!timestamp) return "";
@@ -409,7 +648,7 @@ export default function ChatWindow({ chatId }: { chatId: string | null }) {
   };
 
   return (
-    <div className="flex-1 flex flex-col bg-[#0b141a]">
+    <div className="relative flex-1 flex flex-col bg-[#0b141a]">
       {/* Media Modal */}
       {modalMedia && (
         <MediaModal
@@ -446,8 +685,81 @@ export default function ChatWindow({ chatId }: { chatId: string | null }) {
             <p className="text-xs text-gray-400">محادثة خاصة</p>
           )}
         </div>
+        <div className="mr-auto flex items-center gap-2">
+          <AssignmentMenu key={chatKey(accountId || "", chatId)} chatId={chatId} accountId={accountId} />
+          {handoffChatIds.includes(chatId) && (
+            <button
+              type="button"
+              onClick={() => socket?.emit("resolveHandoff", { chatId, accountId })}
+              className="flex items-center gap-1.5 px-3 py-1.5 rounded-xl bg-orange-500/20 text-orange-400 hover:bg-orange-500/30 text-xs transition-colors"
+              title="إنهاء التحويل وإعادة المحادثة إلى المسار الآلي"
+            >
+              <Headset className="w-4 h-4" />
+              بانتظار موظف • تم التعامل
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => setShowScheduler(!showScheduler)}
+            className={`p-2 rounded-xl transition-colors ${showScheduler
+              ? "bg-green-500/20 text-green-400"
+              : "text-gray-400 hover:text-white hover:bg-[#2a3942]"
+              }`}
+            title="الرسائل المجدولة"
+          >
+            <CalendarClock className="w-5 h-5" />
+          </button>
+          <button
+            type="button"
+            onClick={() => setShowContact(!showContact)}
+            className={`p-2 rounded-xl transition-colors ${showContact
+              ? "bg-green-500/20 text-green-400"
+              : "text-gray-400 hover:text-white hover:bg-[#2a3942]"
+              }`}
+            title="بيانات جهة الاتصال"
+          >
+            <IdCard className="w-5 h-5" />
+          </button>
+        </div>
       </div>
 
+      {showContact && (
+        <ContactPanel
+          key={chatKey(accountId || "", chatId)}
+          chatId={chatId}
+          accountId={accountId}
+          onClose={() => setShowContact(false)}
+        />
+      )}
+
+      {/* Other agents in this chat */}
+      {otherViewers.length > 0 && (
+        <div className="flex items-center gap-2 px-4 py-1.5 bg-[#182229] border-b border-gray-700/50 text-xs">
+          {typingViewers.length > 0 ? (
+            <>
+              <PenLine className="w-3.5 h-3.5 text-amber-400 animate-pulse" />
+              <span className="text-amber-400">{typingViewers.map((viewer) => viewer.name).join("، ")} يكتب الآن...</span>
+            </>
+          ) : (
+            <>
+              <Eye className="w-3.5 h-3.5 text-blue-400" />
+              <span className="text-blue-300">{otherViewers.map((viewer) => viewer.name).join("، ")} يشاهد هذه المحادثة</span>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Scheduled messages */}
+      {showScheduler && (
+        <SchedulerPanel
+          key={chatKey(accountId || "", chatId)}
+          chatId={chatId}
+          accountId={accountId}
+          initialMessage={messageInput}
+          onClose={() => setShowScheduler(false)}
+        />
+      )}
+
       {/* Messages */}
       <div
         className="flex-1 overflow-y-auto p-4 space-y-2"
@@ -495,13 +807,36 @@ export default function ChatWindow({ chatId }: { chatId: string | null }) {
 
               let lastDateLabel = "";
 
-              return chatMessages.map((msg, index) => {
+              // Notes about a loaded message follow it; the others are placed by time
+              const loadedIds = new Set(chatMessages.map((m) => m.id));
+              const floatingNotes = notes.filter((n) => !n.messageId || !loadedIds.has(n.messageId));
+              let floatingIndex = 0;
+              const renderNote = (note: ChatNote, quote?: string) => (
+                <NoteBubble
+                  key={note.id}
+                  note={note}
+                  members={teamMembers}
+                  canDelete={note.authorId === user?.id}
+                  onDelete={() => deleteNote(note.id)}
+                  quote={quote}
+                />
+              );
+
+              const timeline = chatMessages.map((msg, index) => {
                 const currentDateLabel = getDateLabel(msg.timestamp);
                 const showDateSeparator = currentDateLabel !== lastDateLabel;
                 lastDateLabel = currentDateLabel;
 
+                const notesBefore: ChatNote[] = [];
+                while (floatingIndex < floatingNotes.length && floatingNotes[floatingIndex].createdAt / 1000 < msg.timestamp) {
+                  notesBefore.push(floatingNotes[floatingIndex++]);
+                }
+                const messageNotes = notes.filter((n) => n.messageId === msg.id);
+
                 return (
                   <div key={msg.id}>
+                    {notesBefore.map((note) => renderNote(note, note.messageId ? "" : undefined))}
+
                     {/* Date Separator */}
                     {showDateSeparator && (
                       <div className="flex items-center justify-center my-4">
@@ -512,7 +847,17 @@ export default function ChatWindow({ chatId }: { chatId: string | null }) {
                     )}
 
                     {/* Message */}
-                    <div className={`flex ${msg.fromMe ? "justify-end" : "justify-start"}`}>
+                    <div className={`group flex items-center gap-1 ${msg.fromMe ? "justify-end" : "justify-start"}`}>
+                      {msg.fromMe && (
+                        <button
+                          type="button"
+                          onClick={() => startNoteOn(msg.id, msg.body || getMessageTypeInfo(msg.type)?.label || "")}
+                          className="opacity-0 group-hover:opacity-100 p-1 rounded-lg text-gray-500 hover:text-amber-400 hover:bg-[#202c33] transition-opacity"
+                          title="ملاحظة داخلية على هذه الرسالة"
+                        >
+                          <StickyNote className="w-4 h-4" />
+                        </button>
+                      )}
                       <div
                         className={`max-w-[70%] px-3 py-2 rounded-lg shadow ${msg.fromMe
                           ? "bg-[#005c4b] text-white rounded-br-none"
@@ -545,10 +890,30 @@ export default function ChatWindow({ chatId }: { chatId: string | null }) {
                           )}
                         </div>
                       </div>
+                      {!msg.fromMe && (
+                        <button
+                          type="button"
+                          onClick={() => startNoteOn(msg.id, msg.body || getMessageTypeInfo(msg.type)?.label || "")}
+                          className="opacity-0 group-hover:opacity-100 p-1 rounded-lg text-gray-500 hover:text-amber-400 hover:bg-[#202c33] transition-opacity"
+                          title="ملاحظة داخلية على هذه الرسالة"
+                        >
+                          <StickyNote className="w-4 h-4" />
+                        </button>
+                      )}
                     </div>
+                    {messageNotes.length > 0 && (
+                      <div className="mt-1 space-y-1">
+                        {messageNotes.map((note) => renderNote(note, msg.body || getMessageTypeInfo(msg.type)?.label || ""))}
+                      </div>
+                    )}
                   </div>
                 );
               });
+
+              return [
+                ...timeline,
+                ...floatingNotes.slice(floatingIndex).map((note) => renderNote(note, note.messageId ? "" : undefined)),
+              ];
             })()}
             <div ref={messagesEndRef} />
           </>
@@ -557,42 +922,148 @@ export default function ChatWindow({ chatId }: { chatId: string | null }) {
 
       {/* Input */}
       <div className="p-4 bg-gradient-to-r from-[#202c33] to-[#1a252b] border-t border-gray-700">
+        {/* Pending attachment */}
+        {pendingAttachment && (
+          <div className="flex items-center gap-3 mb-3 p-3 bg-[#2a3942] rounded-xl">
+            <div className="w-10 h-10 rounded-lg bg-green-500/20 flex items-center justify-center">
+              {pendingAttachment.attachment.kind === "media" && pendingAttachment.attachment.asDocument ? (
+                <FileText className="w-5 h-5 text-orange-400" />
+              ) : (
+                <ImageIcon className="w-5 h-5 text-purple-400" />
+              )}
+            </div>
+            <div className="flex-1 min-w-0">
+              <p className="text-sm text-white truncate">{pendingAttachment.label}</p>
+              <p className="text-xs text-gray-400">يمكنك كتابة تعليق قبل الإرسال</p>
+            </div>
+            <button
+              type="button"
+              onClick={() => setPendingAttachment(null)}
+              className="p-2 text-gray-400 hover:text-white rounded-lg hover:bg-[#374248]"
+              title="إزالة المرفق"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+
+        {/* A colleague just answered this chat */}
+        {otherSend && (
+          <div className="flex items-center gap-2 mb-3 px-3 py-2 rounded-xl bg-amber-500/10 border border-amber-500/30 text-amber-400 text-xs">
+            <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+            أرسل {otherSend.name} رسالة إلى هذه المحادثة للتو - تأكد قبل الرد
+          </div>
+        )}
+
+        {/* Internal note being written */}
+        {isNoteMode && (
+          <div className="flex items-center gap-2 mb-3 px-3 py-2 rounded-xl bg-amber-500/10 border border-dashed border-amber-500/40 text-amber-400 text-xs">
+            <StickyNote className="w-4 h-4 flex-shrink-0" />
+            <span className="flex-1 min-w-0 truncate">
+              {noteTarget ? `ملاحظة داخلية على: ${noteTarget.preview || "رسالة"}` : "ملاحظة داخلية - لن تُرسل إلى العميل. استخدم @ للإشارة إلى زميل"}
+            </span>
+            <button
+              type="button"
+              onClick={() => {
+                setIsNoteMode(false);
+                setNoteTarget(null);
+              }}
+              className="p-1 rounded hover:bg-amber-500/20"
+              title="إلغاء الملاحظة"
+            >
+              <X className="w-3.5 h-3.5" />
+            </button>
+          </div>
+        )}
+        {noteError && <p className="mb-2 text-xs text-red-400">{noteError}</p>}
+        {cannedReplyError && <p className="mb-2 text-xs text-red-400">{cannedReplyError}</p>}
+
         <form
           onSubmit={(e) => {
             e.preventDefault();
-            if (messageInput.trim() && chatId && !isSending) {
-              setIsSending(true);
-              sendMessage(chatId, messageInput);
+            if (isNoteMode) {
+              if (messageInput.trim()) addNote();
+              return;
+            }
+            // Enter on a /shortcut inserts the first matching reply
+            const shortcutMatch = shortcutQuery !== null ? matchReplies(shortcutQuery, replies)[0] : undefined;
+            if (shortcutMatch) {
+              insertCannedReply(shortcutMatch);
+              return;
+            }
+            if (canSend && chatId && sendAndRefresh(messageInput, pendingAttachment?.attachment)) {
               setMessageInput("");
-              setTimeout(() => {
-                setIsSending(false);
-                fetchMessages(chatId);
-              }, 1000);
+              setPendingAttachment(null);
             }
           }}
-          className="flex items-center gap-3"
+          className="relative flex items-center gap-3"
         >
-          <input
-            type="text"
-            placeholder="اكتب رسالة..."
-            value={messageInput}
-            onChange={(e) => setMessageInput(e.target.value)}
-            className="flex-1 bg-[#2a3942] text-white px-4 py-3 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500 transition-all placeholder-gray-400 text-sm"
-          />
+          {mentionQuery !== null && (
+            <MentionSuggestions
+              query={mentionQuery}
+              members={teamMembers}
+              onPick={(member) => setMessageInput(messageInput.replace(/@([^\s@]*)$/, `@${member.name} `))}
+            />
+          )}
+          {shortcutQuery !== null && (
+            <CannedReplySuggestions query={shortcutQuery} replies={replies} onPick={insertCannedReply} />
+          )}
+          {!isNoteMode && <AttachmentPicker disabled={isSending} onAttach={handleAttach} />}
           <button
-            type="submit"
-            disabled={!messageInput.trim() || isSending}
-            className={`p-3 rounded-xl transition-all duration-300 transform ${messageInput.trim() && !isSending
-              ? 'bg-gradient-to-r from-green-500 to-emerald-500 text-white hover:from-green-600 hover:to-emerald-600 shadow-lg shadow-green-500/30 hover:scale-105 active:scale-95'
-              : 'bg-gray-700 text-gray-500 cursor-not-allowed'
+            type="button"
+            onClick={() => {
+              setIsNoteMode(!isNoteMode);
+              setNoteTarget(null);
+            }}
+            disabled={!!pendingAttachment}
+            className={`p-2 rounded-xl transition-colors disabled:opacity-50 ${isNoteMode
+              ? "bg-amber-500/20 text-amber-400"
+              : "text-gray-400 hover:text-amber-400 hover:bg-[#2a3942]"
               }`}
+            title="ملاحظة داخلية"
           >
-            {isSending ? (
-              <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-            ) : (
-              <Send className="w-5 h-5" />
-            )}
+            <StickyNote className="w-5 h-5" />
           </button>
+          <input
+            type="text"
+            placeholder={isNoteMode ? "اكتب ملاحظة للفريق..." : pendingAttachment ? "أضف تعليقاً..." : "اكتب رسالة أو / للردود المحفوظة..."}
+            value={messageInput}
+            onChange={(e) => {
+              setMessageInput(e.target.value);
+              if (!isNoteMode) notifyTyping(e.target.value);
+            }}
+            className={`flex-1 text-white px-4 py-3 rounded-xl focus:outline-none focus:ring-2 transition-all placeholder-gray-400 text-sm ${isNoteMode
+              ? "bg-amber-500/10 focus:ring-amber-500"
+              : "bg-[#2a3942] focus:ring-green-500"
+              }`}
+          />
+          {isNoteMode ? (
+            <button
+              type="submit"
+              disabled={!messageInput.trim()}
+              className="p-3 rounded-xl bg-gradient-to-r from-amber-600 to-orange-500 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+              title="حفظ الملاحظة"
+            >
+              <StickyNote className="w-5 h-5" />
+            </button>
+          ) : !messageInput.trim() && !pendingAttachment && !isSending ? (
+            <VoiceRecorderButton onAttach={handleAttach} />
+          ) : (
+            <button
+              type="submit"
+              disabled={!canSend}
+              className={`p-3 rounded-xl transition-all duration-300 transform ${canSend
+                ? 'bg-gradient-to-r from-green-500 to-emerald-500 text-white hover:from-green-600 hover:to-emerald-600 shadow-lg shadow-green-500/30 hover:scale-105 active:scale-95'
+                : 'bg-gray-700 text-gray-500 cursor-not-allowed'
+                }`}
+            >
+              {isSending ? (
+                <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+              ) : (
+                <Send className="w-5 h-5" />
+              )}
+            </button>
+          )}
         </form>
       </div>
     </div>
@@ -1,9 +1,11 @@
 "use client";
 
 import { useSocket } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
 
 export function ConnectionStatus() {
   const { isConnected, isReady, connectionError, connectionHealth, requestReconnect } = useSocket();
+  const { can } = useAuth();
 
   const getStatusColor = () => {
     if (!isConnected) return 'bg-red-500';
@@ -26,7 +28,7 @@ export function ConnectionStatus() {
       <div className={`w-2 h-2 rounded-full ${getStatusColor()} animate-pulse`} />
       <span className="text-xs text-gray-300">{getStatusText()}</span>
 
-      {connectionHealth.canReconnect && (
+      {connectionHealth.canReconnect && can("scanQr") && (
         <button
           onClick={requestReconnect}
           className="text-xs text-blue-400 hover:text-blue-300 transition-colors mr-2"
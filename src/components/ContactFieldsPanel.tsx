@@ -0,0 +1,185 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useSocket } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import { fieldTypeLabels, type ContactField, type ContactFieldType } from "@/components/ContactPanel";
+import { ListPlus, Pencil, Trash2, X } from "lucide-react";
+
+const emptyForm = { fieldId: null as string | null, name: "", type: "text" as ContactFieldType, options: "" };
+
+// Custom contact fields of an account (shown in the contact panel and the chat filters)
+export default function ContactFieldsPanel() {
+  const { socket, accounts } = useSocket();
+  const { user } = useAuth();
+  const [accountId, setAccountId] = useState("");
+  const [fields, setFields] = useState<ContactField[]>([]);
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState<string | null>(null);
+
+  const targetAccountId = accountId || accounts[0]?.id || "";
+
+  useEffect(() => {
+    if (!socket || !user || !targetAccountId) return;
+
+    const handleFields = (data: { accountId: string; fields: ContactField[] }) => {
+      if (data.accountId === targetAccountId) setFields(data.fields);
+    };
+    const handleSaved = (data: { accountId: string }) => {
+      if (data.accountId !== targetAccountId) return;
+      setError(null);
+      setForm(emptyForm);
+    };
+    const handleError = (data: { message: string }) => setError(data.message);
+
+    socket.on("contactFields", handleFields);
+    socket.on("contactFieldSaved", handleSaved);
+    socket.on("contactError", handleError);
+    socket.emit("getContactFields", { userId: user.id, accountId: targetAccountId });
+
+    return () => {
+      socket.off("contactFields", handleFields);
+      socket.off("contactFieldSaved", handleSaved);
+      socket.off("contactError", handleError);
+    };
+  }, [socket, user, targetAccountId]);
+
+  const handleSave = () => {
+    socket?.emit("saveContactField", {
+      userId: user?.id,
+      accountId: targetAccountId,
+      fieldId: form.fieldId,
+      name: form.name,
+      type: form.type,
+      options: form.options.split(",").map((o) => o.trim()).filter(Boolean),
+    });
+  };
+
+  const handleEdit = (field: ContactField) => {
+    setError(null);
+    setForm({ fieldId: field.id, name: field.name, type: field.type, options: field.options.join(", ") });
+  };
+
+  const handleDelete = (field: ContactField) => {
+    if (!confirm(`حذف الحقل "${field.name}"؟ لن تظهر قيمه بعد ذلك في أي جهة اتصال.`)) return;
+    socket?.emit("deleteContactField", { userId: user?.id, accountId: targetAccountId, fieldId: field.id });
+  };
+
+  const inputClass = "px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm placeholder-gray-500 focus:outline-none focus:border-green-500";
+
+  return (
+    <div className="bg-gradient-to-br from-[#1a2730] to-[#111b21] rounded-2xl p-6 border border-gray-700/30">
+      <h3 className="text-lg font-semibold text-white mb-1 flex items-center gap-2">
+        <ListPlus className="w-5 h-5 text-green-400" />
+        حقول جهات الاتصال
+      </h3>
+      <p className="text-gray-400 text-sm mb-4">
+        حقول مخصصة تُعبّأ لكل جهة اتصال من نافذة المحادثة، ويمكن فلترة المحادثات وتصديرها حسبها
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="space-y-4">
+        <select
+          value={targetAccountId}
+          onChange={(e) => {
+            setAccountId(e.target.value);
+            setForm(emptyForm);
+          }}
+          className={inputClass}
+        >
+          {accounts.map((account) => (
+            <option key={account.id} value={account.id}>
+              {account.name}
+            </option>
+          ))}
+        </select>
+
+        {fields.length === 0 ? (
+          <p className="text-sm text-gray-500">لا توجد حقول مخصصة لهذا الحساب</p>
+        ) : (
+          <div className="space-y-2">
+            {fields.map((field) => (
+              <div key={field.id} className="flex items-center gap-3 p-3 rounded-xl bg-[#202c33]">
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-white truncate">{field.name}</p>
+                  <p className="text-xs text-gray-400 truncate">
+                    {fieldTypeLabels[field.type]}
+                    {field.type === "select" && ` • ${field.options.join("، ")}`}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleEdit(field)}
+                  className="p-2 rounded-lg text-gray-400 hover:text-white hover:bg-[#2a3942]"
+                  title="تعديل"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(field)}
+                  className="p-2 rounded-lg text-red-400 hover:bg-red-500/20"
+                  title="حذف"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="p-4 rounded-xl border border-gray-700 space-y-3">
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-300">{form.fieldId ? "تعديل الحقل" : "حقل جديد"}</p>
+            {form.fieldId && (
+              <button type="button" onClick={() => setForm(emptyForm)} className="text-gray-400 hover:text-white">
+                <X className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+          <div className="grid gap-2 sm:grid-cols-2">
+            <input
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="اسم الحقل (مثال: المدينة)"
+              className={inputClass}
+            />
+            <select
+              value={form.type}
+              onChange={(e) => setForm({ ...form, type: e.target.value as ContactFieldType })}
+              disabled={!!form.fieldId}
+              className={`${inputClass} disabled:opacity-50`}
+            >
+              {(Object.keys(fieldTypeLabels) as ContactFieldType[]).map((type) => (
+                <option key={type} value={type}>{fieldTypeLabels[type]}</option>
+              ))}
+            </select>
+          </div>
+          {form.type === "select" && (
+            <input
+              value={form.options}
+              onChange={(e) => setForm({ ...form, options: e.target.value })}
+              placeholder="الخيارات مفصولة بفواصل (مثال: ذهبي, فضي, عادي)"
+              className={`${inputClass} w-full`}
+            />
+          )}
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={!targetAccountId || !form.name.trim()}
+              className="px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-500 rounded-lg text-white text-sm disabled:opacity-50"
+            >
+              {form.fieldId ? "حفظ التعديل" : "إضافة الحقل"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,231 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useSocket } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import { IdCard, Tag, X } from "lucide-react";
+
+export type ContactFieldType = "text" | "number" | "date" | "select";
+
+export interface ContactField {
+  id: string;
+  accountId: string;
+  name: string;
+  type: ContactFieldType;
+  options: string[];
+}
+
+export interface Contact {
+  chatId: string;
+  tags: string[];
+  fields: Record<string, string>; // fieldId -> value
+  notes: string;
+}
+
+export const fieldTypeLabels: Record<ContactFieldType, string> = {
+  text: "نص",
+  number: "رقم",
+  date: "تاريخ",
+  select: "قائمة اختيار",
+};
+
+const emptyContact = (chatId: string): Contact => ({ chatId, tags: [], fields: {}, notes: "" });
+
+// Tags, custom fields and notes of the chat's contact (side panel of ChatWindow)
+export default function ContactPanel({
+  chatId,
+  accountId,
+  onClose,
+}: {
+  chatId: string;
+  accountId: string | null;
+  onClose: () => void;
+}) {
+  const { socket } = useSocket();
+  const { user } = useAuth();
+  const [fields, setFields] = useState<ContactField[]>([]);
+  const [knownTags, setKnownTags] = useState<string[]>([]);
+  const [draft, setDraft] = useState<Contact>(() => emptyContact(chatId));
+  const [tagInput, setTagInput] = useState("");
+  const [error, setError] = useState<string | null>(null);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    if (!socket || !accountId) return;
+
+    const handleContacts = (data: { accountId: string; contacts: Contact[]; fields: ContactField[] }) => {
+      if (data.accountId !== accountId) return;
+      setFields(data.fields);
+      setKnownTags([...new Set(data.contacts.flatMap((c) => c.tags))]);
+      setDraft(data.contacts.find((c) => c.chatId === chatId) || emptyContact(chatId));
+    };
+    const handleUpdated = (data: { accountId: string; chatId: string; contact: Contact }) => {
+      if (data.accountId === accountId && data.chatId === chatId) setDraft(data.contact);
+    };
+    const handleFields = (data: { accountId: string; fields: ContactField[] }) => {
+      if (data.accountId === accountId) setFields(data.fields);
+    };
+    const handleSaved = (data: { accountId: string; chatId: string }) => {
+      if (data.accountId !== accountId || data.chatId !== chatId) return;
+      setError(null);
+      setSaved(true);
+      setTimeout(() => setSaved(false), 2000);
+    };
+    const handleError = (data: { message: string }) => setError(data.message);
+
+    socket.on("contacts", handleContacts);
+    socket.on("contactUpdated", handleUpdated);
+    socket.on("contactFields", handleFields);
+    socket.on("contactSaved", handleSaved);
+    socket.on("contactError", handleError);
+    socket.emit("getContacts");
+
+    return () => {
+      socket.off("contacts", handleContacts);
+      socket.off("contactUpdated", handleUpdated);
+      socket.off("contactFields", handleFields);
+      socket.off("contactSaved", handleSaved);
+      socket.off("contactError", handleError);
+    };
+  }, [socket, chatId, accountId]);
+
+  const addTag = () => {
+    const tag = tagInput.trim();
+    if (tag && !draft.tags.includes(tag)) {
+      setDraft({ ...draft, tags: [...draft.tags, tag] });
+    }
+    setTagInput("");
+  };
+
+  const setFieldValue = (fieldId: string, value: string) => {
+    setDraft({ ...draft, fields: { ...draft.fields, [fieldId]: value } });
+  };
+
+  const handleSave = () => {
+    socket?.emit("updateContact", {
+      userId: user?.id,
+      chatId,
+      accountId,
+      tags: draft.tags,
+      fields: draft.fields,
+      notes: draft.notes,
+    });
+  };
+
+  const inputClass = "w-full px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm placeholder-gray-500 focus:outline-none focus:border-green-500";
+
+  return (
+    <aside className="absolute top-0 left-0 h-full w-80 max-w-full bg-[#111b21] border-r border-gray-700 shadow-2xl z-40 flex flex-col">
+      <div className="flex items-center justify-between p-4 border-b border-gray-700">
+        <h3 className="flex items-center gap-2 font-semibold text-white">
+          <IdCard className="w-5 h-5 text-green-400" />
+          بيانات جهة الاتصال
+        </h3>
+        <button type="button" onClick={onClose} className="p-1 rounded-lg text-gray-400 hover:text-white hover:bg-[#202c33]">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-5">
+        {error && (
+          <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">{error}</div>
+        )}
+
+        {/* Tags */}
+        <div>
+          <p className="text-sm text-gray-300 mb-2">الوسوم</p>
+          <div className="flex flex-wrap gap-1.5 mb-2">
+            {draft.tags.map((tag) => (
+              <span key={tag} className="flex items-center gap-1 px-2 py-1 rounded-full bg-blue-500/15 text-blue-300 text-xs">
+                <Tag className="w-3 h-3" />
+                {tag}
+                <button
+                  type="button"
+                  onClick={() => setDraft({ ...draft, tags: draft.tags.filter((t) => t !== tag) })}
+                  className="hover:text-red-400"
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+          <input
+            value={tagInput}
+            onChange={(e) => setTagInput(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") {
+                e.preventDefault();
+                addTag();
+              }
+            }}
+            list="contact-tags"
+            placeholder="أضف وسماً ثم اضغط Enter"
+            className={inputClass}
+          />
+          <datalist id="contact-tags">
+            {knownTags.filter((tag) => !draft.tags.includes(tag)).map((tag) => (
+              <option key={tag} value={tag} />
+            ))}
+          </datalist>
+        </div>
+
+        {/* Custom fields */}
+        <div className="space-y-3">
+          <p className="text-sm text-gray-300">الحقول المخصصة</p>
+          {fields.length === 0 ? (
+            <p className="text-xs text-gray-500">لا توجد حقول مخصصة لهذا الحساب. يمكنك إضافتها من صفحة الإعدادات.</p>
+          ) : (
+            fields.map((field) => (
+              <label key={field.id} className="block">
+                <span className="text-xs text-gray-400">{field.name}</span>
+                {field.type === "select" ? (
+                  <select
+                    value={draft.fields[field.id] || ""}
+                    onChange={(e) => setFieldValue(field.id, e.target.value)}
+                    className={`${inputClass} mt-1`}
+                  >
+                    <option value="">—</option>
+                    {field.options.map((option) => (
+                      <option key={option} value={option}>{option}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    type={field.type === "number" ? "number" : field.type === "date" ? "date" : "text"}
+                    value={draft.fields[field.id] || ""}
+                    onChange={(e) => setFieldValue(field.id, e.target.value)}
+                    className={`${inputClass} mt-1`}
+                  />
+                )}
+              </label>
+            ))
+          )}
+        </div>
+
+        {/* Notes */}
+        <label className="block">
+          <span className="text-sm text-gray-300">ملاحظات</span>
+          <textarea
+            value={draft.notes}
+            onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+            rows={5}
+            placeholder="معلومات عن العميل، تفضيلاته، طلباته السابقة..."
+            className={`${inputClass} mt-1 resize-y`}
+          />
+        </label>
+      </div>
+
+      <div className="flex items-center justify-end gap-3 p-4 border-t border-gray-700">
+        {saved && <span className="text-xs text-green-400">تم الحفظ</span>}
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={!accountId}
+          className="px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-500 rounded-lg text-white text-sm disabled:opacity-50"
+        >
+          حفظ
+        </button>
+      </div>
+    </aside>
+  );
+}
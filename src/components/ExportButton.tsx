@@ -1,26 +1,82 @@
 "use client";
 
-import { useSocket } from "@/context/SocketContext";
+import { useEffect, useState } from "react";
+import { useSocket, ALL_ACCOUNTS, chatKey, chatIdToPhone } from "@/context/SocketContext";
+import type { Contact, ContactField } from "@/components/ContactPanel";
 import { Download, FileSpreadsheet } from "lucide-react";
 import * as XLSX from "xlsx";
 
 export default function ExportButton() {
-  const { chats } = useSocket();
+  const { chats, socket, currentAccountId } = useSocket();
+  // Contact tags, field values and notes by chatKey(), field definitions by account
+  const [contacts, setContacts] = useState<Record<string, Contact>>({});
+  const [contactFields, setContactFields] = useState<Record<string, ContactField[]>>({});
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleContacts = (data: { accountId: string; contacts: Contact[]; fields: ContactField[] }) => {
+      if (currentAccountId !== ALL_ACCOUNTS && data.accountId !== currentAccountId) return;
+      setContacts((prev) => {
+        const next = Object.fromEntries(
+          Object.entries(prev).filter(([key]) => currentAccountId === ALL_ACCOUNTS && !key.startsWith(`${data.accountId}:`))
+        );
+        data.contacts.forEach((c) => { next[chatKey(data.accountId, c.chatId)] = c; });
+        return next;
+      });
+      setContactFields((prev) => ({
+        ...(currentAccountId === ALL_ACCOUNTS ? prev : {}),
+        [data.accountId]: data.fields,
+      }));
+    };
+    const handleContactUpdated = (data: { accountId: string; chatId: string; contact: Contact }) => {
+      setContacts((prev) => ({ ...prev, [chatKey(data.accountId, data.chatId)]: data.contact }));
+    };
+    const handleContactFields = (data: { accountId: string; fields: ContactField[] }) => {
+      setContactFields((prev) => (data.accountId in prev ? { ...prev, [data.accountId]: data.fields } : prev));
+    };
+
+    socket.on("contacts", handleContacts);
+    socket.on("contactUpdated", handleContactUpdated);
+    socket.on("contactFields", handleContactFields);
+    socket.emit("getContacts");
+
+    return () => {
+      socket.off("contacts", handleContacts);
+      socket.off("contactUpdated", handleContactUpdated);
+      socket.off("contactFields", handleContactFields);
+    };
+  }, [socket, currentAccountId]);
 
   const exportToExcel = () => {
+    // One column per custom field name - the unified inbox merges same-named fields of its accounts
+    const fieldNames = [...new Set(Object.values(contactFields).flatMap((fields) => fields.map((f) => f.name)))];
+
     // Prepare data for export
-    const data = chats.map((chat) => ({
-      "اسم المحادثة": chat.name,
-      "رقم المحادثة": chat.id.replace("@c.us", "").replace("@g.us", ""),
-      "نوع المحادثة": chat.isGroup ? "مجموعة" : "خاصة",
-      "آخر رسالة": chat.lastMessage?.body || "-",
-      "من طرفي": chat.lastMessage?.fromMe ? "نعم" : "لا",
-      "تاريخ آخر رسالة": chat.lastMessage?.timestamp
-        ? new Date(chat.lastMessage.timestamp * 1000).toLocaleString("ar-EG")
-        : "-",
-      "عدد الرسائل غير المقروءة": chat.unreadCount || 0,
-      "حالة الرد": chat.lastMessage?.fromMe ? "تم الرد" : "لم يتم الرد",
-    }));
+    const data = chats.map((chat) => {
+      const contact = contacts[chatKey(chat.accountId, chat.id)];
+      const fieldValues = Object.fromEntries(
+        fieldNames.map((name) => {
+          const field = contactFields[chat.accountId]?.find((f) => f.name === name);
+          return [name, (field && contact?.fields[field.id]) || "-"];
+        })
+      );
+      return {
+        "اسم المحادثة": chat.name,
+        "رقم المحادثة": chatIdToPhone(chat.id),
+        "نوع المحادثة": chat.isGroup ? "مجموعة" : "خاصة",
+        "آخر رسالة": chat.lastMessage?.body || "-",
+        "من طرفي": chat.lastMessage?.fromMe ? "نعم" : "لا",
+        "تاريخ آخر رسالة": chat.lastMessage?.timestamp
+          ? new Date(chat.lastMessage.timestamp * 1000).toLocaleString("ar-EG")
+          : "-",
+        "عدد الرسائل غير المقروءة": chat.unreadCount || 0,
+        "حالة الرد": chat.lastMessage?.fromMe ? "تم الرد" : "لم يتم الرد",
+        "الوسوم": contact?.tags.join("، ") || "-",
+        ...fieldValues,
+        "ملاحظات جهة الاتصال": contact?.notes || "-",
+      };
+    });
 
     // Create workbook and worksheet
     const wb = XLSX.utils.book_new();
@@ -34,6 +90,9 @@ export default function ExportButton() {
         "تاريخ آخر رسالة",
         "عدد الرسائل غير المقروءة",
         "حالة الرد",
+        "الوسوم",
+        ...fieldNames,
+        "ملاحظات جهة الاتصال",
       ],
     });
 
@@ -47,6 +106,9 @@ export default function ExportButton() {
       { wch: 20 },
       { wch: 20 },
       { wch: 15 },
+      { wch: 25 },
+      ...fieldNames.map(() => ({ wch: 18 })),
+      { wch: 40 },
     ];
 
     XLSX.utils.book_append_sheet(wb, ws, "المحادثات");
@@ -0,0 +1,326 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { useSocket } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import { Workflow, Plus, Upload, Download, Pencil, Trash2, Power } from "lucide-react";
+
+interface Flow {
+  id: string;
+  accountId: string;
+  name: string;
+  definition: string;
+  isActive: boolean;
+  createdAt: number;
+  updatedAt: number;
+}
+
+// Starting point for a new flow (same format as import/export)
+const SAMPLE_FLOW = {
+  version: 1,
+  name: "قائمة الدعم",
+  trigger: { keywords: ["القائمة", "menu"], firstContact: true, anyMessage: false },
+  start: "welcome",
+  timeoutMinutes: 60,
+  steps: {
+    welcome: {
+      type: "menu",
+      text: "أهلاً {{contactName}}! كيف يمكننا مساعدتك؟",
+      variable: "topic",
+      options: [
+        { label: "الأسعار", next: "prices" },
+        { label: "حالة الطلب", next: "ask_order" },
+        { label: "التحدث مع موظف", next: "agent" },
+      ],
+    },
+    prices: { type: "message", text: "تجد قائمة الأسعار على موقعنا.", next: "end" },
+    ask_order: { type: "question", text: "ما رقم طلبك؟", variable: "order", validate: "number", next: "agent" },
+    agent: { type: "handoff", text: "تم تحويلك إلى أحد موظفينا، سيتواصل معك قريباً." },
+    end: { type: "end", text: "شكراً لتواصلك معنا!" },
+  },
+};
+
+const flowSummary = (definition: string) => {
+  try {
+    const parsed = JSON.parse(definition);
+    const stepCount = Object.keys(parsed.steps || {}).length;
+    const keywords: string[] = parsed.trigger?.keywords || [];
+    const triggers = [
+      ...keywords,
+      parsed.trigger?.firstContact ? "أول تواصل" : null,
+      parsed.trigger?.anyMessage ? "أي رسالة" : null,
+    ].filter(Boolean);
+    return `${stepCount} خطوة • يبدأ بـ: ${triggers.join("، ")}`;
+  } catch {
+    return "تعريف غير صالح";
+  }
+};
+
+export default function FlowsPanel() {
+  const { socket, accounts } = useSocket();
+  const { user } = useAuth();
+  const [accountId, setAccountId] = useState("");
+  const [flows, setFlows] = useState<Flow[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const importInputRef = useRef<HTMLInputElement>(null);
+
+  // Editor (editingId null = new flow)
+  const [isEditing, setIsEditing] = useState(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [name, setName] = useState("");
+  const [definition, setDefinition] = useState("");
+
+  const targetAccountId = accountId || accounts[0]?.id || "";
+
+  useEffect(() => {
+    if (!socket || !user || !targetAccountId) return;
+
+    const handleFlows = (data: { accountId: string; flows: Flow[] }) => {
+      if (data.accountId === targetAccountId) setFlows(data.flows || []);
+    };
+    const handleSaved = () => {
+      setIsEditing(false);
+      setEditingId(null);
+      setError(null);
+    };
+    const handleError = (data: { message: string }) => setError(data.message);
+
+    socket.on("flows", handleFlows);
+    socket.on("flowSaved", handleSaved);
+    socket.on("flowError", handleError);
+    socket.emit("getFlows", { userId: user.id, accountId: targetAccountId });
+
+    return () => {
+      socket.off("flows", handleFlows);
+      socket.off("flowSaved", handleSaved);
+      socket.off("flowError", handleError);
+    };
+  }, [socket, user, targetAccountId]);
+
+  const openEditor = (flow?: Flow, importedDefinition?: string) => {
+    if (flow) {
+      setName(flow.name);
+      setDefinition(flow.definition);
+    } else {
+      const text = importedDefinition || JSON.stringify(SAMPLE_FLOW, null, 2);
+      let importedName = "";
+      try {
+        importedName = JSON.parse(text).name || "";
+      } catch {
+        // The server reports invalid JSON on save
+      }
+      setName(importedName);
+      setDefinition(text);
+    }
+    setEditingId(flow?.id || null);
+    setIsEditing(true);
+    setError(null);
+  };
+
+  const handleImport = async (file: File | undefined) => {
+    if (!file) return;
+    openEditor(undefined, await file.text());
+  };
+
+  // Download the definition as <name>.json (with the flow name inside, so it round-trips)
+  const handleExport = (flow: Flow) => {
+    let content = flow.definition;
+    try {
+      content = JSON.stringify({ ...JSON.parse(flow.definition), name: flow.name }, null, 2);
+    } catch {
+      // Export as stored
+    }
+    const url = URL.createObjectURL(new Blob([content], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${flow.name.replace(/[\\/:*?"<>|]/g, "_") || "flow"}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleSave = () => {
+    socket?.emit("saveFlow", {
+      userId: user?.id,
+      accountId: targetAccountId,
+      flowId: editingId,
+      name,
+      definition,
+    });
+  };
+
+  const handleToggleActive = (flow: Flow) => {
+    socket?.emit("saveFlow", {
+      userId: user?.id,
+      accountId: targetAccountId,
+      flowId: flow.id,
+      isActive: !flow.isActive,
+    });
+  };
+
+  const handleDelete = (flowId: string) => {
+    if (confirm("هل أنت متأكد من حذف هذا المسار؟ المحادثات الجارية عليه ستتوقف.")) {
+      socket?.emit("deleteFlow", { userId: user?.id, accountId: targetAccountId, flowId });
+    }
+  };
+
+  return (
+    <div className="p-6 space-y-6 bg-[#0b141a] min-h-screen">
+      {/* Header */}
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-white flex items-center gap-3">
+            <div className="p-2 rounded-xl bg-gradient-to-br from-green-500 to-teal-600 shadow-lg shadow-green-500/25">
+              <Workflow className="w-6 h-6 text-white" />
+            </div>
+            مسارات المحادثة
+          </h1>
+          <p className="text-gray-400 text-sm mt-1">
+            قوائم مرقمة وأسئلة وتفرعات، مع تحويل المحادثة إلى موظف عند الحاجة
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={targetAccountId}
+            onChange={(e) => setAccountId(e.target.value)}
+            className="px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-green-500"
+          >
+            {accounts.map((account) => (
+              <option key={account.id} value={account.id}>
+                {account.name}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => importInputRef.current?.click()}
+            disabled={!targetAccountId}
+            className="flex items-center gap-2 px-4 py-2 bg-[#202c33] hover:bg-[#2a3942] rounded-lg text-gray-200 text-sm disabled:opacity-50"
+          >
+            <Upload className="w-4 h-4" />
+            استيراد JSON
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => {
+              handleImport(e.target.files?.[0]);
+              e.target.value = "";
+            }}
+          />
+          <button
+            type="button"
+            onClick={() => openEditor()}
+            disabled={!targetAccountId}
+            className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-500 rounded-lg text-white text-sm disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" />
+            مسار جديد
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">{error}</div>
+      )}
+
+      {/* Editor */}
+      {isEditing && (
+        <div className="bg-gradient-to-br from-[#1a2730] to-[#111b21] rounded-2xl p-6 border border-gray-700/30 space-y-4">
+          <h3 className="text-lg font-semibold text-white">{editingId ? "تعديل المسار" : "مسار جديد"}</h3>
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="اسم المسار"
+            className="w-full px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-green-500 text-sm"
+          />
+          <textarea
+            dir="ltr"
+            value={definition}
+            onChange={(e) => setDefinition(e.target.value)}
+            rows={22}
+            spellCheck={false}
+            className="w-full px-3 py-2 bg-[#0b141a] border border-gray-600 rounded-lg text-gray-200 font-mono text-xs focus:outline-none focus:border-green-500 resize-y"
+          />
+          <p className="text-xs text-gray-500">
+            أنواع الخطوات: message، menu، question (التحقق: text / number / email / phone)، condition (equals / contains / matches)، handoff، end.
+            استخدم {"{{اسم_المتغير}}"} لإدراج إجابة سابقة، و{"{{contactName}}"} و{"{{phone}}"} متاحة دائماً.
+          </p>
+          <div className="flex items-center justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setIsEditing(false)}
+              className="px-4 py-2 text-sm text-gray-300 hover:text-white rounded-lg hover:bg-[#2a3942]"
+            >
+              إلغاء
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={!definition.trim()}
+              className="px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-500 rounded-lg text-white text-sm disabled:opacity-50"
+            >
+              حفظ المسار
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Flows */}
+      <div className="bg-gradient-to-br from-[#1a2730] to-[#111b21] rounded-2xl p-6 border border-gray-700/30">
+        <h3 className="text-lg font-semibold text-white mb-4">المسارات</h3>
+        {flows.length === 0 ? (
+          <p className="text-gray-500 text-sm">لا توجد مسارات لهذا الحساب بعد</p>
+        ) : (
+          <div className="space-y-2">
+            {flows.map((flow) => (
+              <div
+                key={flow.id}
+                className={`flex items-center gap-3 p-4 rounded-xl bg-[#202c33] ${flow.isActive ? "" : "opacity-60"}`}
+              >
+                <div className="flex-1 min-w-0">
+                  <p className="text-white font-medium">{flow.name}</p>
+                  <p className="text-xs text-gray-400 truncate mt-0.5">{flowSummary(flow.definition)}</p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleToggleActive(flow)}
+                  disabled={isEditing}
+                  className={`p-2 rounded-lg hover:bg-[#2a3942] disabled:opacity-50 ${flow.isActive ? "text-green-400" : "text-gray-500"}`}
+                  title={flow.isActive ? "إيقاف" : "تفعيل"}
+                >
+                  <Power className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleExport(flow)}
+                  className="p-2 rounded-lg text-gray-400 hover:text-white hover:bg-[#2a3942]"
+                  title="تصدير JSON"
+                >
+                  <Download className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => openEditor(flow)}
+                  className="p-2 rounded-lg text-gray-400 hover:text-white hover:bg-[#2a3942]"
+                  title="تعديل"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(flow.id)}
+                  className="p-2 rounded-lg text-gray-400 hover:text-red-400 hover:bg-[#2a3942]"
+                  title="حذف"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,566 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { useSocket, ALL_ACCOUNTS, chatIdToPhone } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import {
+  KanbanSquare, Plus, Settings2, X, Trash2, ArrowUp, ArrowDown, Clock, History, Search
+} from "lucide-react";
+
+export type StageKind = "open" | "won" | "lost";
+
+export interface PipelineStage {
+  id: string;
+  name: string;
+  kind: StageKind;
+  color: string;
+}
+
+export interface Deal {
+  id: string;
+  chatId: string;
+  stageId: string;
+  value: number;
+  title: string;
+  createdBy: string;
+  stageEnteredAt: number;
+  createdAt: number;
+}
+
+export interface StageChange {
+  dealId: string;
+  fromStageId: string | null;
+  toStageId: string;
+  movedBy: string;
+  movedAt: number;
+}
+
+export interface PipelineData {
+  accountId: string;
+  stages: PipelineStage[];
+  deals: Deal[];
+  changes: StageChange[];
+}
+
+interface TeamMember {
+  id: string;
+  name: string;
+  email: string;
+}
+
+type StageDraft = { id?: string; name: string; kind: StageKind; color: string };
+
+const stageKindLabels: Record<StageKind, string> = {
+  open: "مفتوحة",
+  won: "فوز",
+  lost: "خسارة",
+};
+
+export const formatDealValue = (value: number) => value.toLocaleString("en-US", { maximumFractionDigits: 2 });
+
+// "3 يوم" / "5 ساعة" / "أقل من ساعة"
+export const formatDuration = (ms: number) => {
+  const hours = Math.floor(ms / (60 * 60 * 1000));
+  if (hours < 1) return "أقل من ساعة";
+  if (hours < 24) return `${hours} ساعة`;
+  return `${Math.floor(hours / 24)} يوم`;
+};
+
+// Kanban board of an account's deals - drag cards between stages
+export default function PipelineBoard() {
+  const { socket, accounts, chats, currentAccountId } = useSocket();
+  const { user } = useAuth();
+  const [accountId, setAccountId] = useState("");
+  // Tagged with its accountId - data of the previously picked account is ignored
+  const [pipeline, setPipeline] = useState<PipelineData | null>(null);
+  const [teamMembers, setTeamMembers] = useState<TeamMember[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [draggedDealId, setDraggedDealId] = useState<string | null>(null);
+  const [dropStageId, setDropStageId] = useState<string | null>(null);
+  const [openDealId, setOpenDealId] = useState<string | null>(null);
+  const [newDeal, setNewDeal] = useState<{ chatId: string; stageId: string; value: string; title: string; search: string } | null>(null);
+  const [dealEdit, setDealEdit] = useState({ value: "", title: "" });
+  const [stageDraft, setStageDraft] = useState<StageDraft[] | null>(null);
+
+  const targetAccountId = accountId
+    || (currentAccountId && currentAccountId !== ALL_ACCOUNTS ? currentAccountId : "")
+    || accounts[0]?.id
+    || "";
+  const data = pipeline?.accountId === targetAccountId ? pipeline : null;
+  const stages = useMemo(() => data?.stages || [], [data]);
+  const deals = useMemo(() => data?.deals || [], [data]);
+
+  useEffect(() => {
+    if (!socket || !user || !targetAccountId) return;
+
+    const handlePipeline = (payload: PipelineData) => {
+      if (payload.accountId === targetAccountId) setPipeline(payload);
+    };
+    const handleStagesSaved = () => {
+      setError(null);
+      setStageDraft(null);
+    };
+    const handleDealSaved = () => {
+      setError(null);
+      setNewDeal(null);
+    };
+    const handleError = (payload: { message: string }) => setError(payload.message);
+
+    socket.on("pipeline", handlePipeline);
+    socket.on("pipelineStagesSaved", handleStagesSaved);
+    socket.on("dealSaved", handleDealSaved);
+    socket.on("pipelineError", handleError);
+    socket.on("teamMembers", setTeamMembers);
+    socket.emit("getPipeline", { userId: user.id, accountId: targetAccountId });
+    socket.emit("getTeamMembers");
+
+    return () => {
+      socket.off("pipeline", handlePipeline);
+      socket.off("pipelineStagesSaved", handleStagesSaved);
+      socket.off("dealSaved", handleDealSaved);
+      socket.off("pipelineError", handleError);
+      socket.off("teamMembers", setTeamMembers);
+      socket.emit("leavePipeline");
+    };
+  }, [socket, user, targetAccountId]);
+
+  const accountChats = useMemo(
+    () => chats.filter((chat) => chat.accountId === targetAccountId),
+    [chats, targetAccountId]
+  );
+  const chatName = (chatId: string) => accountChats.find((chat) => chat.id === chatId)?.name || chatIdToPhone(chatId);
+  const memberName = (id: string) => teamMembers.find((m) => m.id === id)?.name || "عضو فريق";
+  const stageName = (id: string | null) => stages.find((s) => s.id === id)?.name || "مرحلة محذوفة";
+
+  const emitAsUser = (event: string, payload: Record<string, unknown>) => {
+    socket?.emit(event, { userId: user?.id, accountId: targetAccountId, ...payload });
+  };
+
+  const moveDeal = (dealId: string | null, stageId: string) => {
+    const deal = deals.find((d) => d.id === dealId);
+    if (!deal || deal.stageId === stageId || !pipeline) return;
+
+    // Move the card right away; the server's pipeline update confirms or undoes it
+    setPipeline({
+      ...pipeline,
+      deals: pipeline.deals.map((d) => (d.id === deal.id ? { ...d, stageId, stageEnteredAt: Date.now() } : d)),
+    });
+    emitAsUser("moveDeal", { dealId: deal.id, stageId });
+  };
+
+  const handleDrop = (stageId: string) => {
+    moveDeal(draggedDealId, stageId);
+    setDraggedDealId(null);
+    setDropStageId(null);
+  };
+
+  const openDeal = (deal: Deal) => {
+    setError(null);
+    setOpenDealId(deal.id);
+    setDealEdit({ value: String(deal.value), title: deal.title });
+  };
+
+  const openDealData = deals.find((d) => d.id === openDealId) || null;
+  const openDealHistory = (data?.changes || []).filter((c) => c.dealId === openDealId).reverse();
+  const chatsWithoutDeal = accountChats.filter(
+    (chat) => !chat.isGroup && !deals.some((d) => d.chatId === chat.id)
+  );
+
+  const inputClass = "w-full px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm placeholder-gray-500 focus:outline-none focus:border-green-500";
+
+  return (
+    <div className="p-6 space-y-6 bg-[#0b141a] min-h-screen">
+      {/* Header */}
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-bold text-white flex items-center gap-3">
+            <div className="p-2 rounded-xl bg-gradient-to-br from-green-500 to-teal-600 shadow-lg shadow-green-500/25">
+              <KanbanSquare className="w-6 h-6 text-white" />
+            </div>
+            مسار المبيعات
+          </h1>
+          <p className="text-gray-400 text-sm mt-1">تابع العملاء المحتملين من أول رسالة حتى إتمام الصفقة</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={targetAccountId}
+            onChange={(e) => setAccountId(e.target.value)}
+            className="px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-green-500"
+          >
+            {accounts.map((account) => (
+              <option key={account.id} value={account.id}>
+                {account.name}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => {
+              setError(null);
+              setStageDraft(stages.map((s) => ({ ...s })));
+            }}
+            disabled={!data}
+            className="flex items-center gap-2 px-3 py-2 rounded-lg bg-[#202c33] text-gray-300 hover:bg-[#2a3942] hover:text-white text-sm disabled:opacity-50"
+          >
+            <Settings2 className="w-4 h-4" />
+            المراحل
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              setError(null);
+              setNewDeal({ chatId: "", stageId: stages.find((s) => s.kind === "open")?.id || "", value: "", title: "", search: "" });
+            }}
+            disabled={stages.length === 0}
+            className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-500 rounded-lg text-white text-sm disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" />
+            صفقة جديدة
+          </button>
+        </div>
+      </div>
+
+      {error && !newDeal && !openDealData && !stageDraft && (
+        <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">{error}</div>
+      )}
+
+      {/* Board */}
+      <div className="flex gap-4 overflow-x-auto pb-4">
+        {stages.map((stage) => {
+          const stageDeals = deals
+            .filter((d) => d.stageId === stage.id)
+            .sort((a, b) => b.stageEnteredAt - a.stageEnteredAt);
+          const total = stageDeals.reduce((sum, d) => sum + d.value, 0);
+
+          return (
+            <div
+              key={stage.id}
+              onDragOver={(e) => {
+                e.preventDefault();
+                if (dropStageId !== stage.id) setDropStageId(stage.id);
+              }}
+              onDragLeave={() => setDropStageId(null)}
+              onDrop={() => handleDrop(stage.id)}
+              className={`flex-shrink-0 w-72 rounded-2xl border bg-[#111b21] transition-colors ${dropStageId === stage.id ? "border-green-500" : "border-gray-700/50"
+                }`}
+            >
+              <div className="p-3 border-b border-gray-700/50" style={{ borderTop: `3px solid ${stage.color}`, borderRadius: "1rem 1rem 0 0" }}>
+                <div className="flex items-center justify-between">
+                  <span className="font-semibold text-white text-sm">{stage.name}</span>
+                  <span className="px-2 py-0.5 rounded-full bg-[#202c33] text-gray-300 text-xs ltr-num">{stageDeals.length}</span>
+                </div>
+                <p className="text-xs text-gray-400 mt-1">
+                  الإجمالي: <span className="ltr-num text-gray-200">{formatDealValue(total)}</span>
+                </p>
+              </div>
+              <div className="p-2 space-y-2 min-h-[120px]">
+                {stageDeals.map((deal) => (
+                  <div
+                    key={deal.id}
+                    draggable
+                    onDragStart={() => setDraggedDealId(deal.id)}
+                    onDragEnd={() => {
+                      setDraggedDealId(null);
+                      setDropStageId(null);
+                    }}
+                    onClick={() => openDeal(deal)}
+                    className={`p-3 rounded-xl bg-[#202c33] hover:bg-[#2a3942] cursor-grab active:cursor-grabbing transition-opacity ${draggedDealId === deal.id ? "opacity-50" : ""
+                      }`}
+                  >
+                    <p className="text-sm font-medium text-white truncate">{chatName(deal.chatId)}</p>
+                    {deal.title && <p className="text-xs text-gray-400 truncate">{deal.title}</p>}
+                    <div className="flex items-center justify-between mt-2 text-xs">
+                      <span className="text-green-400 ltr-num">{formatDealValue(deal.value)}</span>
+                      <span className="flex items-center gap-1 text-gray-500">
+                        <Clock className="w-3 h-3" />
+                        {formatDuration(Date.now() - deal.stageEnteredAt)}
+                      </span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+        {data && stages.length === 0 && (
+          <p className="text-gray-500 text-sm">لا توجد مراحل. أضف مراحل المسار من زر المراحل.</p>
+        )}
+      </div>
+
+      {/* New deal */}
+      {newDeal && (
+        <Dialog title="صفقة جديدة" onClose={() => setNewDeal(null)} error={error}>
+          <div className="relative">
+            <Search className="absolute right-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-500" />
+            <input
+              value={newDeal.search}
+              onChange={(e) => setNewDeal({ ...newDeal, search: e.target.value })}
+              placeholder="ابحث عن محادثة..."
+              className={`${inputClass} pr-9`}
+            />
+          </div>
+          {chatsWithoutDeal.length === 0 && (
+            <p className="text-xs text-gray-500">لا توجد محادثات محمّلة لهذا الحساب. اختره من قائمة الحسابات لتحميل محادثاته.</p>
+          )}
+          <select
+            value={newDeal.chatId}
+            onChange={(e) => setNewDeal({ ...newDeal, chatId: e.target.value })}
+            size={6}
+            className={inputClass}
+          >
+            {chatsWithoutDeal
+              .filter((chat) => !newDeal.search || chat.name?.toLowerCase().includes(newDeal.search.toLowerCase()) || chat.phone?.includes(newDeal.search))
+              .slice(0, 100)
+              .map((chat) => (
+                <option key={chat.id} value={chat.id}>
+                  {chat.name || chatIdToPhone(chat.id)}
+                </option>
+              ))}
+          </select>
+          <div className="grid grid-cols-2 gap-2">
+            <select
+              value={newDeal.stageId}
+              onChange={(e) => setNewDeal({ ...newDeal, stageId: e.target.value })}
+              className={inputClass}
+            >
+              {stages.map((stage) => (
+                <option key={stage.id} value={stage.id}>{stage.name}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min={0}
+              value={newDeal.value}
+              onChange={(e) => setNewDeal({ ...newDeal, value: e.target.value })}
+              placeholder="قيمة الصفقة"
+              className={inputClass}
+            />
+          </div>
+          <input
+            value={newDeal.title}
+            onChange={(e) => setNewDeal({ ...newDeal, title: e.target.value })}
+            placeholder="عنوان (اختياري) - مثال: طلب 50 قطعة"
+            className={inputClass}
+          />
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={() => emitAsUser("saveDeal", {
+                chatId: newDeal.chatId,
+                stageId: newDeal.stageId,
+                value: newDeal.value,
+                title: newDeal.title,
+              })}
+              disabled={!newDeal.chatId || !newDeal.stageId}
+              className="px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-500 rounded-lg text-white text-sm disabled:opacity-50"
+            >
+              إضافة إلى المسار
+            </button>
+          </div>
+        </Dialog>
+      )}
+
+      {/* Deal details */}
+      {openDealData && (
+        <Dialog title={chatName(openDealData.chatId)} onClose={() => setOpenDealId(null)} error={error}>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="block">
+              <span className="text-xs text-gray-400">القيمة</span>
+              <input
+                type="number"
+                min={0}
+                value={dealEdit.value}
+                onChange={(e) => setDealEdit({ ...dealEdit, value: e.target.value })}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+            <label className="block">
+              <span className="text-xs text-gray-400">المرحلة</span>
+              <select
+                value={openDealData.stageId}
+                onChange={(e) => moveDeal(openDealData.id, e.target.value)}
+                className={`${inputClass} mt-1`}
+              >
+                {stages.map((stage) => (
+                  <option key={stage.id} value={stage.id}>{stage.name}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <label className="block">
+            <span className="text-xs text-gray-400">العنوان</span>
+            <input
+              value={dealEdit.title}
+              onChange={(e) => setDealEdit({ ...dealEdit, title: e.target.value })}
+              className={`${inputClass} mt-1`}
+            />
+          </label>
+
+          <div>
+            <p className="flex items-center gap-1.5 text-sm text-gray-300 mb-2">
+              <History className="w-4 h-4" />
+              سجل المراحل
+            </p>
+            <div className="max-h-48 overflow-y-auto space-y-1.5">
+              {openDealHistory.map((change, i) => (
+                <div key={i} className="text-xs text-gray-400 p-2 rounded-lg bg-[#111b21]">
+                  <span className="text-white">{memberName(change.movedBy)}</span>
+                  {change.fromStageId
+                    ? <> نقلها من <span className="text-gray-200">{stageName(change.fromStageId)}</span> إلى <span className="text-gray-200">{stageName(change.toStageId)}</span></>
+                    : <> أضافها إلى <span className="text-gray-200">{stageName(change.toStageId)}</span></>}
+                  <span className="block mt-0.5 text-gray-500 ltr-num">
+                    {new Date(change.movedAt).toLocaleString("ar-EG", { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" })}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex items-center justify-between">
+            <button
+              type="button"
+              onClick={() => {
+                if (!confirm("إزالة هذه الصفقة من المسار؟ سيُحذف سجل مراحلها أيضاً.")) return;
+                emitAsUser("deleteDeal", { dealId: openDealData.id });
+                setOpenDealId(null);
+              }}
+              className="flex items-center gap-1.5 px-3 py-2 rounded-lg text-red-400 hover:bg-red-500/20 text-sm"
+            >
+              <Trash2 className="w-4 h-4" />
+              حذف
+            </button>
+            <button
+              type="button"
+              onClick={() => emitAsUser("saveDeal", {
+                chatId: openDealData.chatId,
+                stageId: openDealData.stageId,
+                value: dealEdit.value,
+                title: dealEdit.title,
+              })}
+              className="px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-500 rounded-lg text-white text-sm"
+            >
+              حفظ
+            </button>
+          </div>
+        </Dialog>
+      )}
+
+      {/* Stage editor */}
+      {stageDraft && (
+        <Dialog title="مراحل المسار" onClose={() => setStageDraft(null)} error={error}>
+          <div className="space-y-2">
+            {stageDraft.map((stage, index) => {
+              const update = (changes: Partial<StageDraft>) =>
+                setStageDraft(stageDraft.map((s, i) => (i === index ? { ...s, ...changes } : s)));
+              const move = (offset: number) => {
+                const next = [...stageDraft];
+                [next[index], next[index + offset]] = [next[index + offset], next[index]];
+                setStageDraft(next);
+              };
+
+              return (
+                <div key={stage.id || `new-${index}`} className="flex items-center gap-2">
+                  <input
+                    type="color"
+                    value={stage.color}
+                    onChange={(e) => update({ color: e.target.value })}
+                    className="w-9 h-9 rounded bg-transparent border-0 cursor-pointer"
+                  />
+                  <input
+                    value={stage.name}
+                    onChange={(e) => update({ name: e.target.value })}
+                    placeholder="اسم المرحلة"
+                    className={`${inputClass} flex-1`}
+                  />
+                  <select
+                    value={stage.kind}
+                    onChange={(e) => update({ kind: e.target.value as StageKind })}
+                    className={`${inputClass} w-24`}
+                  >
+                    {(Object.keys(stageKindLabels) as StageKind[]).map((kind) => (
+                      <option key={kind} value={kind}>{stageKindLabels[kind]}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => move(-1)}
+                    disabled={index === 0}
+                    className="p-1.5 rounded text-gray-400 hover:text-white disabled:opacity-30"
+                  >
+                    <ArrowUp className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => move(1)}
+                    disabled={index === stageDraft.length - 1}
+                    className="p-1.5 rounded text-gray-400 hover:text-white disabled:opacity-30"
+                  >
+                    <ArrowDown className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setStageDraft(stageDraft.filter((_, i) => i !== index))}
+                    className="p-1.5 rounded text-red-400 hover:bg-red-500/20"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+          <div className="flex items-center justify-between">
+            <button
+              type="button"
+              onClick={() => setStageDraft([...stageDraft, { name: "", kind: "open", color: "#3b82f6" }])}
+              className="flex items-center gap-1.5 px-3 py-2 rounded-lg bg-[#111b21] text-gray-300 hover:text-white text-sm"
+            >
+              <Plus className="w-4 h-4" />
+              مرحلة
+            </button>
+            <button
+              type="button"
+              onClick={() => emitAsUser("savePipelineStages", { stages: stageDraft })}
+              className="px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-500 rounded-lg text-white text-sm"
+            >
+              حفظ المراحل
+            </button>
+          </div>
+        </Dialog>
+      )}
+    </div>
+  );
+}
+
+function Dialog({
+  title,
+  onClose,
+  error,
+  children,
+}: {
+  title: string;
+  onClose: () => void;
+  error: string | null;
+  children: React.ReactNode;
+}) {
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-lg bg-[#202c33] rounded-2xl border border-gray-700 shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-gray-700">
+          <h3 className="font-semibold text-white truncate">{title}</h3>
+          <button type="button" onClick={onClose} className="p-1 rounded-lg text-gray-400 hover:text-white hover:bg-[#2a3942]">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="p-4 space-y-3">
+          {error && (
+            <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">{error}</div>
+          )}
+          {children}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -198,7 +198,7 @@ export default function QRCodeDisplay() {
   }
 
   const handleClearSessions = () => {
-    if (window.confirm("هل أنت متأكد من مسح جميع الجلسات؟ سيتم إعادة تهيئة الحساب وستحتاج لمسح QR جديد.")) {
+    if (window.confirm("هل أنت متأكد من مسح جميع جلسات مساحة العمل؟ سيتم إعادة تهيئة الحساب وستحتاج لمسح QR جديد.")) {
       setIsClearing(true);
       clearSessions();
       setTimeout(() => setIsClearing(false), 3000);
@@ -0,0 +1,271 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useSocket } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import { FileBarChart, Pencil, Trash2, X, AlertCircle } from "lucide-react";
+
+type ReportFormat = "xlsx" | "pdf";
+
+interface ReportSchedule {
+  id: string;
+  accountId: string | null; // null = all the workspace's accounts
+  frequency: "daily" | "weekly";
+  weekday: number;
+  hour: number;
+  timezoneOffset: number;
+  formats: ReportFormat[];
+  recipients: string[];
+  nextRunAt: number;
+  lastRunAt: number | null;
+  lastError: string | null;
+}
+
+const DAYS_OF_WEEK = ["الأحد", "الإثنين", "الثلاثاء", "الأربعاء", "الخميس", "الجمعة", "السبت"];
+
+const formatLabels: Record<ReportFormat, string> = { xlsx: "Excel", pdf: "PDF" };
+
+const emptyForm = {
+  scheduleId: null as string | null,
+  accountId: "",
+  frequency: "weekly" as ReportSchedule["frequency"],
+  weekday: 0,
+  hour: 8,
+  formats: ["xlsx", "pdf"] as ReportFormat[],
+  recipients: "",
+};
+
+const hourLabel = (hour: number) => `${String(hour).padStart(2, "0")}:00`;
+
+// Daily / weekly analytics reports mailed to a list of recipients
+export default function ReportSchedulesPanel() {
+  const { socket, accounts, currentWorkspace } = useSocket();
+  const { user } = useAuth();
+  const [schedules, setSchedules] = useState<ReportSchedule[]>([]);
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!socket || !user) return;
+
+    const handleSchedules = (data: { schedules: ReportSchedule[] }) => setSchedules(data.schedules);
+    const handleUpdate = (schedule: ReportSchedule) => {
+      setSchedules((prev) => prev.map((s) => (s.id === schedule.id ? schedule : s)));
+    };
+    const handleSaved = () => {
+      setError(null);
+      setForm(emptyForm);
+    };
+    const handleError = (data: { message: string }) => setError(data.message);
+
+    socket.on("reportSchedules", handleSchedules);
+    socket.on("reportScheduleUpdate", handleUpdate);
+    socket.on("reportScheduleSaved", handleSaved);
+    socket.on("reportError", handleError);
+    socket.emit("getReportSchedules", { userId: user.id });
+
+    return () => {
+      socket.off("reportSchedules", handleSchedules);
+      socket.off("reportScheduleUpdate", handleUpdate);
+      socket.off("reportScheduleSaved", handleSaved);
+      socket.off("reportError", handleError);
+    };
+  }, [socket, user]);
+
+  const handleSave = () => {
+    socket?.emit("saveReportSchedule", {
+      userId: user?.id,
+      ...form,
+      accountId: form.accountId || null,
+      timezoneOffset: new Date().getTimezoneOffset(),
+    });
+  };
+
+  const handleEdit = (schedule: ReportSchedule) => {
+    setError(null);
+    setForm({
+      scheduleId: schedule.id,
+      accountId: schedule.accountId || "",
+      frequency: schedule.frequency,
+      weekday: schedule.weekday,
+      hour: schedule.hour,
+      formats: schedule.formats,
+      recipients: schedule.recipients.join(", "),
+    });
+  };
+
+  const handleDelete = (schedule: ReportSchedule) => {
+    if (!confirm("حذف التقرير المجدول؟")) return;
+    socket?.emit("deleteReportSchedule", { userId: user?.id, scheduleId: schedule.id });
+  };
+
+  const toggleFormat = (format: ReportFormat) => {
+    setForm({
+      ...form,
+      formats: form.formats.includes(format) ? form.formats.filter((f) => f !== format) : [...form.formats, format],
+    });
+  };
+
+  const describe = (schedule: ReportSchedule) =>
+    `${schedule.frequency === "daily" ? "يومي" : `أسبوعي كل ${DAYS_OF_WEEK[schedule.weekday]}`} الساعة ${hourLabel(schedule.hour)}`;
+
+  const selectClass = "px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-green-500";
+
+  return (
+    <div className="bg-gradient-to-br from-[#1a2730] to-[#111b21] rounded-2xl p-6 border border-gray-700/30">
+      <h3 className="text-lg font-semibold text-white mb-1 flex items-center gap-2">
+        <FileBarChart className="w-5 h-5 text-green-400" />
+        التقارير المجدولة
+      </h3>
+      <p className="text-gray-400 text-sm mb-4">
+        تقرير التحليلات لليوم السابق أو للأيام السبعة الماضية، يُرسل بالبريد الإلكتروني بصيغة Excel أو PDF
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {schedules.length === 0 ? (
+          <p className="text-sm text-gray-500">لا توجد تقارير مجدولة بعد</p>
+        ) : (
+          <div className="space-y-2">
+            {schedules.map((schedule) => (
+              <div key={schedule.id} className="flex items-center gap-3 p-3 rounded-xl bg-[#202c33]">
+                <div className="flex-1 min-w-0">
+                  <p className="flex items-center gap-2 text-sm text-white">
+                    <span>{describe(schedule)}</span>
+                    <span className="text-gray-400">
+                      · {schedule.accountId ? accounts.find((a) => a.id === schedule.accountId)?.name ?? schedule.accountId : "كل الحسابات"}
+                    </span>
+                    <span className="text-xs text-gray-400">{schedule.formats.map((f) => formatLabels[f]).join(" + ")}</span>
+                  </p>
+                  <p className="text-xs text-gray-400 truncate" dir="ltr">{schedule.recipients.join(", ")}</p>
+                  <p className="text-xs text-gray-500">
+                    الإرسال القادم: <span className="ltr-num">{new Date(schedule.nextRunAt).toLocaleString("ar")}</span>
+                  </p>
+                  {schedule.lastError && (
+                    <p className="flex items-center gap-1 text-xs text-red-400">
+                      <AlertCircle className="w-3.5 h-3.5" />
+                      فشل آخر إرسال: {schedule.lastError}
+                    </p>
+                  )}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleEdit(schedule)}
+                  className="p-2 rounded-lg text-gray-400 hover:text-white hover:bg-[#2a3942]"
+                  title="تعديل"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(schedule)}
+                  className="p-2 rounded-lg text-red-400 hover:bg-red-500/20"
+                  title="حذف"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="p-4 rounded-xl border border-gray-700 space-y-3">
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-300">{form.scheduleId ? "تعديل التقرير" : "تقرير جديد"}</p>
+            {form.scheduleId && (
+              <button type="button" onClick={() => setForm(emptyForm)} className="text-gray-400 hover:text-white">
+                <X className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <select
+              value={form.accountId}
+              onChange={(e) => setForm({ ...form, accountId: e.target.value })}
+              className={selectClass}
+            >
+              {/* Reports on the whole workspace are for its admins */}
+              {currentWorkspace?.role === "admin" ? (
+                <option value="">كل الحسابات</option>
+              ) : (
+                <option value="" disabled>اختر حساباً</option>
+              )}
+              {accounts.map((account) => (
+                <option key={account.id} value={account.id}>
+                  {account.name}
+                </option>
+              ))}
+            </select>
+            <select
+              value={form.frequency}
+              onChange={(e) => setForm({ ...form, frequency: e.target.value as ReportSchedule["frequency"] })}
+              className={selectClass}
+            >
+              <option value="daily">يومي</option>
+              <option value="weekly">أسبوعي</option>
+            </select>
+            {form.frequency === "weekly" && (
+              <select
+                value={form.weekday}
+                onChange={(e) => setForm({ ...form, weekday: Number(e.target.value) })}
+                className={selectClass}
+              >
+                {DAYS_OF_WEEK.map((day, index) => (
+                  <option key={day} value={index}>
+                    {day}
+                  </option>
+                ))}
+              </select>
+            )}
+            <select
+              value={form.hour}
+              onChange={(e) => setForm({ ...form, hour: Number(e.target.value) })}
+              className={selectClass}
+            >
+              {Array.from({ length: 24 }, (_, hour) => (
+                <option key={hour} value={hour}>
+                  {hourLabel(hour)}
+                </option>
+              ))}
+            </select>
+          </div>
+          <input
+            value={form.recipients}
+            onChange={(e) => setForm({ ...form, recipients: e.target.value })}
+            placeholder="manager@example.com, team@example.com"
+            dir="ltr"
+            className="w-full px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm placeholder-gray-500 focus:outline-none focus:border-green-500"
+          />
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-4">
+              {(Object.keys(formatLabels) as ReportFormat[]).map((format) => (
+                <label key={format} className="flex items-center gap-2 text-sm text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={form.formats.includes(format)}
+                    onChange={() => toggleFormat(format)}
+                    className="accent-green-500"
+                  />
+                  {formatLabels[format]}
+                </label>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={!form.recipients.trim() || form.formats.length === 0}
+              className="px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-500 rounded-lg text-white text-sm disabled:opacity-50"
+            >
+              {form.scheduleId ? "حفظ التعديل" : "إضافة التقرير"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,318 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useSocket, type OutgoingAttachment } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import AttachmentPicker from "@/components/AttachmentPicker";
+import { CalendarClock, Paperclip, Pencil, Repeat, X, XCircle } from "lucide-react";
+
+type Recurrence = "none" | "daily" | "weekly" | "monthly";
+type JobStatus = "pending" | "sent" | "failed" | "cancelled";
+
+interface ScheduledJob {
+  id: string;
+  accountId: string;
+  chatId: string;
+  message: string;
+  attachment: { kind: OutgoingAttachment["kind"]; filename: string | null } | null;
+  sendAt: number;
+  recurrence: Recurrence;
+  status: JobStatus;
+  attempts: number;
+  retryAt: number | null;
+  lastError: string | null;
+  lastSentAt: number | null;
+}
+
+const recurrenceLabels: Record<Recurrence, string> = {
+  none: "مرة واحدة",
+  daily: "يومياً",
+  weekly: "أسبوعياً",
+  monthly: "شهرياً",
+};
+
+const statusLabels: Record<JobStatus, { label: string; className: string }> = {
+  pending: { label: "مجدولة", className: "bg-green-500/20 text-green-400" },
+  sent: { label: "أُرسلت", className: "bg-blue-500/20 text-blue-400" },
+  failed: { label: "فشلت", className: "bg-red-500/20 text-red-400" },
+  cancelled: { label: "ملغاة", className: "bg-gray-500/20 text-gray-400" },
+};
+
+const attachmentLabels: Record<OutgoingAttachment["kind"], string> = {
+  media: "ملف",
+  voice: "رسالة صوتية",
+  location: "موقع",
+  contact: "جهة اتصال",
+  cannedReply: "وسائط رد محفوظ",
+};
+
+// Timestamp -> value for <input type="datetime-local"> (browser local time)
+const toInputValue = (timestamp: number) => {
+  const date = new Date(timestamp);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+};
+
+const formatDateTime = (timestamp: number) =>
+  new Date(timestamp).toLocaleString("ar-EG", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+interface SchedulerPanelProps {
+  chatId: string;
+  accountId: string | null;
+  initialMessage?: string;
+  onClose: () => void;
+}
+
+export default function SchedulerPanel({ chatId, accountId, initialMessage = "", onClose }: SchedulerPanelProps) {
+  const { socket } = useSocket();
+  const { user } = useAuth();
+  const [jobs, setJobs] = useState<ScheduledJob[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  // Form (editingId set while editing an existing job)
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [message, setMessage] = useState(initialMessage);
+  const [attachment, setAttachment] = useState<{ attachment: OutgoingAttachment; label: string } | null>(null);
+  const [sendAt, setSendAt] = useState(() => toInputValue(Date.now() + 60 * 60 * 1000));
+  const [recurrence, setRecurrence] = useState<Recurrence>("none");
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleJobs = (data: { accountId: string; chatId: string; jobs: ScheduledJob[] }) => {
+      if (data.chatId === chatId && data.accountId === accountId) setJobs(data.jobs || []);
+    };
+    const handleUpdate = (job: ScheduledJob) => {
+      if (job.chatId !== chatId || job.accountId !== accountId) return;
+      setJobs((prev) => {
+        if (job.status === "cancelled") return prev.filter((j) => j.id !== job.id);
+        const exists = prev.some((j) => j.id === job.id);
+        return exists ? prev.map((j) => (j.id === job.id ? job : j)) : [...prev, job];
+      });
+    };
+    const handleError = (data: { message: string }) => setError(data.message);
+
+    socket.on("scheduledMessages", handleJobs);
+    socket.on("scheduledMessageUpdate", handleUpdate);
+    socket.on("scheduleError", handleError);
+    socket.emit("getScheduledMessages", { chatId, accountId });
+
+    return () => {
+      socket.off("scheduledMessages", handleJobs);
+      socket.off("scheduledMessageUpdate", handleUpdate);
+      socket.off("scheduleError", handleError);
+    };
+  }, [socket, chatId, accountId]);
+
+  const resetForm = () => {
+    setEditingId(null);
+    setMessage("");
+    setAttachment(null);
+    setSendAt(toInputValue(Date.now() + 60 * 60 * 1000));
+    setRecurrence("none");
+  };
+
+  const startEditing = (job: ScheduledJob) => {
+    setEditingId(job.id);
+    setMessage(job.message);
+    setAttachment(null);
+    setSendAt(toInputValue(job.sendAt));
+    setRecurrence(job.recurrence);
+    setError(null);
+  };
+
+  const handleSubmit = () => {
+    if (!socket) return;
+    const timestamp = new Date(sendAt).getTime();
+    if (!sendAt || Number.isNaN(timestamp)) {
+      setError("يرجى اختيار وقت الإرسال");
+      return;
+    }
+    if (timestamp <= Date.now()) {
+      setError("يرجى اختيار وقت في المستقبل");
+      return;
+    }
+
+    setError(null);
+    if (editingId) {
+      socket.emit("updateScheduledMessage", {
+        userId: user?.id,
+        jobId: editingId,
+        message,
+        // Keep the job's attachment unless a new one was picked
+        ...(attachment && { attachment: attachment.attachment }),
+        sendAt: timestamp,
+        recurrence,
+      });
+    } else {
+      socket.emit("scheduleMessage", {
+        userId: user?.id,
+        chatId,
+        accountId,
+        message,
+        attachment: attachment?.attachment,
+        sendAt: timestamp,
+        recurrence,
+      });
+    }
+    resetForm();
+  };
+
+  const editingJob = jobs.find((j) => j.id === editingId);
+  const canSubmit = !!(message.trim() || attachment || editingJob?.attachment) && !!sendAt;
+
+  const inputClassName =
+    "w-full bg-[#111b21] border border-gray-600 rounded-lg px-3 py-2 text-white text-sm placeholder-gray-500 focus:outline-none focus:border-green-500";
+
+  return (
+    <div className="bg-[#111b21] border-b border-gray-700 p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="flex items-center gap-2 text-sm font-semibold text-white">
+          <CalendarClock className="w-4 h-4 text-green-400" />
+          الرسائل المجدولة
+        </h4>
+        <button
+          type="button"
+          onClick={onClose}
+          className="p-1.5 text-gray-400 hover:text-white rounded-lg hover:bg-[#2a3942]"
+          title="إغلاق"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* Jobs of this chat */}
+      {jobs.length > 0 && (
+        <div className="max-h-48 overflow-y-auto space-y-2">
+          {jobs.map((job) => (
+            <div
+              key={job.id}
+              className={`flex items-start gap-3 p-3 rounded-xl bg-[#202c33] ${editingId === job.id ? "ring-1 ring-green-500" : ""}`}
+            >
+              <div className="flex-1 min-w-0">
+                <p className="text-sm text-white truncate">
+                  {job.message || (job.attachment ? attachmentLabels[job.attachment.kind] : "")}
+                </p>
+                <div className="flex flex-wrap items-center gap-2 mt-1 text-xs text-gray-400">
+                  <span className={`px-2 py-0.5 rounded-full ${statusLabels[job.status].className}`}>
+                    {statusLabels[job.status].label}
+                  </span>
+                  <span className="ltr-num">{formatDateTime(job.sendAt)}</span>
+                  {job.recurrence !== "none" && (
+                    <span className="flex items-center gap-1">
+                      <Repeat className="w-3 h-3" />
+                      {recurrenceLabels[job.recurrence]}
+                    </span>
+                  )}
+                  {job.attachment && (
+                    <span className="flex items-center gap-1">
+                      <Paperclip className="w-3 h-3" />
+                      {job.attachment.filename || attachmentLabels[job.attachment.kind]}
+                    </span>
+                  )}
+                </div>
+                {job.lastError && job.status !== "sent" && (
+                  <p className="text-xs text-red-400 mt-1 truncate">
+                    {job.status === "pending" ? `إعادة المحاولة (${job.attempts}): ` : ""}{job.lastError}
+                  </p>
+                )}
+              </div>
+              {job.status !== "sent" && (
+                <button
+                  type="button"
+                  onClick={() => startEditing(job)}
+                  className="p-1.5 text-gray-400 hover:text-white rounded-lg hover:bg-[#2a3942]"
+                  title="تعديل"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+              )}
+              {job.status === "pending" && (
+                <button
+                  type="button"
+                  onClick={() => socket?.emit("cancelScheduledMessage", { userId: user?.id, jobId: job.id })}
+                  className="p-1.5 text-gray-400 hover:text-red-400 rounded-lg hover:bg-[#2a3942]"
+                  title="إلغاء"
+                >
+                  <XCircle className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Schedule / edit form */}
+      <div className="space-y-3">
+        <textarea
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          rows={2}
+          placeholder={attachment ? "أضف تعليقاً..." : "نص الرسالة المجدولة..."}
+          className={`${inputClassName} resize-none`}
+        />
+        <div className="grid grid-cols-2 gap-3">
+          <input
+            type="datetime-local"
+            value={sendAt}
+            onChange={(e) => setSendAt(e.target.value)}
+            className={inputClassName}
+          />
+          <select
+            value={recurrence}
+            onChange={(e) => setRecurrence(e.target.value as Recurrence)}
+            className={inputClassName}
+          >
+            {(Object.keys(recurrenceLabels) as Recurrence[]).map((value) => (
+              <option key={value} value={value}>
+                {recurrenceLabels[value]}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {error && <p className="text-xs text-red-400">{error}</p>}
+
+        <div className="flex items-center gap-2">
+          <AttachmentPicker onAttach={(picked, label) => setAttachment({ attachment: picked, label })} />
+          {attachment ? (
+            <span className="flex items-center gap-2 flex-1 min-w-0 text-xs text-gray-300">
+              <span className="truncate">{attachment.label}</span>
+              <button type="button" onClick={() => setAttachment(null)} className="text-gray-400 hover:text-white">
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          ) : (
+            <span className="flex-1 text-xs text-gray-500">
+              {editingJob?.attachment ? "سيتم الإبقاء على المرفق الحالي" : ""}
+            </span>
+          )}
+          {editingId && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-3 py-2 text-sm text-gray-300 hover:text-white rounded-lg hover:bg-[#2a3942]"
+            >
+              إلغاء التعديل
+            </button>
+          )}
+          <button
+            type="button"
+            disabled={!canSubmit}
+            onClick={handleSubmit}
+            className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-500 rounded-lg text-white text-sm disabled:opacity-50"
+          >
+            <CalendarClock className="w-4 h-4" />
+            {editingId ? "حفظ التعديل" : "جدولة"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
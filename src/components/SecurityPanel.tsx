@@ -0,0 +1,219 @@
+"use client";
+
+import { useState } from "react";
+import { useAuth } from "@/context/AuthContext";
+import TwoFactorSetup, { RecoveryCodesList } from "@/components/TwoFactorSetup";
+import { AlertCircle, CheckCircle2, KeyRound, Loader2, ShieldCheck } from "lucide-react";
+
+const inputClass =
+  "w-full px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm placeholder-gray-500 focus:outline-none focus:border-green-500";
+
+// The signed-in user's own login: password and two-factor sign-in
+export default function SecurityPanel() {
+  const { user, accountRequest, reloadUser } = useAuth();
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Change password
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [passwordCode, setPasswordCode] = useState("");
+
+  // Recovery codes / turning two-factor off
+  const [code, setCode] = useState("");
+  const [disablePassword, setDisablePassword] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+
+  const twoFactor = user?.twoFactor;
+
+  const run = async <T extends object>(path: string, body: object, onSuccess: (result: T) => void) => {
+    setError(null);
+    setMessage(null);
+    setIsSubmitting(true);
+    const result = await accountRequest<T>(path, body);
+    setIsSubmitting(false);
+    if (result.success) {
+      onSuccess(result);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleChangePassword = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      setError("كلمتا المرور غير متطابقتين");
+      return;
+    }
+    run("password/change", { currentPassword, newPassword, code: passwordCode.trim() }, () => {
+      setCurrentPassword("");
+      setNewPassword("");
+      setConfirmPassword("");
+      setPasswordCode("");
+      setMessage("تم تغيير كلمة المرور، وتم تسجيل الخروج من الأجهزة الأخرى");
+    });
+  };
+
+  const handleRegenerate = () => {
+    run<{ recoveryCodes: string[] }>("2fa/recovery-codes", { code: code.trim() }, (result) => {
+      setCode("");
+      setRecoveryCodes(result.recoveryCodes);
+      reloadUser();
+    });
+  };
+
+  const handleDisable = () => {
+    if (!confirm("إيقاف التحقق بخطوتين؟ سيكفي البريد وكلمة المرور لتسجيل الدخول.")) return;
+    run("2fa/disable", { password: disablePassword, code: code.trim() }, () => {
+      setCode("");
+      setDisablePassword("");
+      setRecoveryCodes(null);
+      setMessage("تم إيقاف التحقق بخطوتين");
+      reloadUser();
+    });
+  };
+
+  return (
+    <div className="bg-gradient-to-br from-[#1a2730] to-[#111b21] rounded-2xl p-6 border border-gray-700/30">
+      <h3 className="text-lg font-semibold text-white mb-1 flex items-center gap-2">
+        <KeyRound className="w-5 h-5 text-green-400" />
+        أمان الحساب
+      </h3>
+      <p className="text-gray-400 text-sm mb-4">
+        كلمة المرور والتحقق بخطوتين لحسابك <span dir="ltr">{user?.email}</span>
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm flex items-center gap-2">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="mb-4 p-3 rounded-lg bg-green-500/10 border border-green-500/30 text-green-400 text-sm flex items-center gap-2">
+          <CheckCircle2 className="w-4 h-4" />
+          {message}
+        </div>
+      )}
+
+      <div className="space-y-6">
+        {/* Two-factor sign-in */}
+        <div>
+          <h4 className="text-sm font-medium text-gray-300 mb-2 flex items-center gap-2">
+            <ShieldCheck className="w-4 h-4" />
+            التحقق بخطوتين
+            {twoFactor?.enabled && <span className="text-xs text-green-400">مفعّل</span>}
+            {twoFactor?.required && <span className="text-xs text-gray-500">(إلزامي لدورك)</span>}
+          </h4>
+
+          {!twoFactor?.enabled ? (
+            <>
+              <p className="text-gray-400 text-sm mb-3">
+                يُطلب رمز من تطبيق المصادقة على هاتفك بعد كلمة المرور، فلا تكفي كلمة مرور مسرّبة للدخول.
+              </p>
+              <TwoFactorSetup onDone={() => setMessage("تم تفعيل التحقق بخطوتين")} />
+            </>
+          ) : (
+            <div className="space-y-3">
+              <p className="text-gray-400 text-sm">
+                رموز الاسترداد المتبقية: {twoFactor.recoveryCodesLeft}
+              </p>
+              {recoveryCodes && <RecoveryCodesList codes={recoveryCodes} />}
+              <div className="flex flex-wrap gap-2">
+                <input
+                  type="text"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="رمز التطبيق أو رمز استرداد"
+                  dir="ltr"
+                  className={`${inputClass} flex-1 min-w-[180px] w-auto`}
+                />
+                <button
+                  type="button"
+                  onClick={handleRegenerate}
+                  disabled={isSubmitting || !code.trim()}
+                  className="px-4 py-2 bg-[#202c33] hover:bg-[#2a3942] disabled:opacity-50 text-white rounded-lg text-sm transition-colors"
+                >
+                  رموز استرداد جديدة
+                </button>
+              </div>
+              {!twoFactor.required && (
+                <div className="flex flex-wrap gap-2">
+                  <input
+                    type="password"
+                    value={disablePassword}
+                    onChange={(e) => setDisablePassword(e.target.value)}
+                    placeholder="كلمة المرور الحالية"
+                    className={`${inputClass} flex-1 min-w-[180px] w-auto`}
+                  />
+                  <button
+                    type="button"
+                    onClick={handleDisable}
+                    disabled={isSubmitting || !code.trim() || !disablePassword}
+                    className="px-4 py-2 text-red-400 hover:bg-red-500/20 disabled:opacity-50 rounded-lg text-sm transition-colors"
+                  >
+                    إيقاف التحقق بخطوتين
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Change password */}
+        <form onSubmit={handleChangePassword} className="pt-6 border-t border-gray-700/50 space-y-3">
+          <h4 className="text-sm font-medium text-gray-300">تغيير كلمة المرور</h4>
+          <input
+            type="password"
+            value={currentPassword}
+            onChange={(e) => setCurrentPassword(e.target.value)}
+            placeholder="كلمة المرور الحالية"
+            required
+            className={inputClass}
+          />
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <input
+              type="password"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              placeholder="كلمة المرور الجديدة"
+              required
+              minLength={6}
+              className={inputClass}
+            />
+            <input
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              placeholder="تأكيد كلمة المرور الجديدة"
+              required
+              minLength={6}
+              className={inputClass}
+            />
+          </div>
+          {twoFactor?.enabled && (
+            <input
+              type="text"
+              value={passwordCode}
+              onChange={(e) => setPasswordCode(e.target.value)}
+              placeholder="رمز التطبيق أو رمز استرداد"
+              required
+              dir="ltr"
+              className={inputClass}
+            />
+          )}
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="px-4 py-2 bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white rounded-lg text-sm flex items-center gap-2 transition-colors"
+          >
+            {isSubmitting && <Loader2 className="w-4 h-4 animate-spin" />}
+            تغيير كلمة المرور
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -4,9 +4,15 @@ import { useState } from "react";
 import Link from "next/link";
 import { usePathname, useRouter } from "next/navigation";
 import { useSocket } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import type { Permission } from "../../convex/lib/permissions";
 import {
   MessageCircle,
   BarChart3,
+  Megaphone,
+  Bot,
+  Workflow,
+  KanbanSquare,
   Settings,
   LogOut,
   Menu,
@@ -14,19 +20,27 @@ import {
   Wifi,
   WifiOff,
   Heart,
+  Building2,
 } from "lucide-react";
 import ExportButton from "./ExportButton";
 import AccountDropdown from "./AccountDropdown";
 
-const navItems = [
+// Pages with a permission are hidden from roles without it
+const navItems: { href: string; label: string; icon: typeof MessageCircle; permission?: Permission }[] = [
   { href: "/dashboard/chats", label: "المحادثات", icon: MessageCircle },
-  { href: "/dashboard/analytics", label: "التحليلات", icon: BarChart3 },
+  { href: "/dashboard/analytics", label: "التحليلات", icon: BarChart3, permission: "viewAnalytics" },
+  { href: "/dashboard/pipeline", label: "مسار المبيعات", icon: KanbanSquare },
+  { href: "/dashboard/campaigns", label: "الحملات", icon: Megaphone, permission: "sendMessages" },
+  { href: "/dashboard/auto-replies", label: "الرد التلقائي", icon: Bot, permission: "manageSettings" },
+  { href: "/dashboard/flows", label: "مسارات المحادثة", icon: Workflow, permission: "manageSettings" },
+  { href: "/dashboard/settings", label: "الإعدادات", icon: Settings },
 ];
 
 export default function Sidebar() {
   const pathname = usePathname();
   const router = useRouter();
-  const { isConnected, isReady, logout } = useSocket();
+  const { isConnected, isReady, logout, workspaces, currentWorkspace, switchWorkspace } = useSocket();
+  const { can } = useAuth();
   const [isOpen, setIsOpen] = useState(false);
 
   return (
@@ -78,6 +92,35 @@ export default function Sidebar() {
             </div>
           </div>
 
+          {/* Workspace Switcher - accounts and members belong to a workspace */}
+          {workspaces.length > 0 ? (
+            <div className="mb-3">
+              <label className="flex items-center gap-1.5 text-xs text-gray-400 mb-1">
+                <Building2 className="w-3.5 h-3.5" />
+                مساحة العمل
+              </label>
+              <select
+                value={currentWorkspace?.id ?? ""}
+                onChange={(e) => {
+                  switchWorkspace(e.target.value);
+                  setIsOpen(false);
+                }}
+                disabled={workspaces.length < 2}
+                className="w-full px-3 py-2 bg-[#202c33] border border-gray-700 rounded-lg text-white text-sm focus:outline-none focus:border-green-500 disabled:cursor-default"
+              >
+                {workspaces.map((workspace) => (
+                  <option key={workspace.id} value={workspace.id}>
+                    {workspace.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ) : isConnected && (
+            <div className="mb-3 p-3 rounded-lg bg-yellow-500/10 border border-yellow-500/30 text-yellow-400 text-xs">
+              لست عضواً في أي مساحة عمل بعد. اطلب دعوة من مدير مساحة العمل.
+            </div>
+          )}
+
           {/* Account Dropdown */}
           <div className="mb-4">
             <AccountDropdown />
@@ -85,7 +128,7 @@ export default function Sidebar() {
 
           {/* Navigation */}
           <nav className="flex-1 space-y-2">
-            {navItems.map((item) => {
+            {navItems.filter((item) => !item.permission || can(item.permission)).map((item) => {
               const isActive = pathname === item.href;
               return (
                 <Link
@@ -105,12 +148,14 @@ export default function Sidebar() {
           </nav>
 
           {/* Export Button */}
-          <div className="mb-4">
-            <ExportButton />
-          </div>
+          {can("export") && (
+            <div className="mb-4">
+              <ExportButton />
+            </div>
+          )}
 
           {/* Logout */}
-          {isReady && (
+          {isReady && can("scanQr") && (
             <button
               onClick={() => {
                 logout();
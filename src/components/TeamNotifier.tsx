@@ -0,0 +1,100 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { useSocket } from "@/context/SocketContext";
+import { AtSign, ShieldAlert, UserCheck, X } from "lucide-react";
+
+interface Notice {
+  key: string;
+  kind: "assigned" | "mentioned" | "denied";
+  accountId?: string;
+  chatName: string;
+  detail?: string;
+}
+
+const NOTICE_DURATION = 8000;
+
+const noticeStyles: Record<Notice["kind"], { title: string; border: string; badge: string; icon: typeof AtSign }> = {
+  assigned: { title: "تم إسناد محادثة إليك", border: "border-green-500/30", badge: "bg-green-500/20 text-green-400", icon: UserCheck },
+  mentioned: { title: "تمت الإشارة إليك في ملاحظة", border: "border-amber-500/30", badge: "bg-amber-500/20 text-amber-400", icon: AtSign },
+  denied: { title: "تم رفض الإجراء", border: "border-red-500/30", badge: "bg-red-500/20 text-red-400", icon: ShieldAlert },
+};
+
+// Pop-ups for the signed-in user: a chat was assigned to them, a teammate
+// @mentioned them in an internal note, or their role doesn't allow what they tried
+export default function TeamNotifier() {
+  const { socket, accounts } = useSocket();
+  const [notices, setNotices] = useState<Notice[]>([]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const push = (notice: Omit<Notice, "key">) => {
+      const key = `${notice.kind}:${notice.accountId}:${Date.now()}`;
+      setNotices((prev) => [...prev.slice(-2), { ...notice, key }]);
+      setTimeout(() => setNotices((prev) => prev.filter((n) => n.key !== key)), NOTICE_DURATION);
+    };
+    const handleAssigned = (data: { accountId: string; chatName: string }) => {
+      push({ kind: "assigned", accountId: data.accountId, chatName: data.chatName });
+    };
+    const handleMentioned = (data: { accountId: string; chatName: string; authorName: string; body: string }) => {
+      push({ kind: "mentioned", accountId: data.accountId, chatName: data.chatName, detail: `${data.authorName}: ${data.body}` });
+    };
+
+    const handleDenied = (data: { message: string }) => {
+      push({ kind: "denied", chatName: data.message });
+    };
+
+    socket.on("chatAssignedToYou", handleAssigned);
+    socket.on("mentionedInNote", handleMentioned);
+    socket.on("permissionDenied", handleDenied);
+    return () => {
+      socket.off("chatAssignedToYou", handleAssigned);
+      socket.off("mentionedInNote", handleMentioned);
+      socket.off("permissionDenied", handleDenied);
+    };
+  }, [socket]);
+
+  if (notices.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 left-4 z-[9999] space-y-2 w-80">
+      {notices.map((notice) => {
+        const style = noticeStyles[notice.kind];
+        return (
+          <div
+            key={notice.key}
+            className={`flex items-start gap-3 p-4 rounded-xl bg-[#202c33] border shadow-2xl ${style.border}`}
+          >
+            <div className={`p-2 rounded-lg ${style.badge}`}>
+              <style.icon className="w-4 h-4" />
+            </div>
+            {notice.kind === "denied" ? (
+              <div className="flex-1 min-w-0">
+                <p className="text-sm text-white">{style.title}</p>
+                <p className="text-xs text-gray-400">{notice.chatName}</p>
+              </div>
+            ) : (
+              <Link href="/dashboard/chats" className="flex-1 min-w-0">
+                <p className="text-sm text-white">{style.title}</p>
+                <p className="text-xs text-gray-400 truncate">
+                  {notice.chatName}
+                  {accounts.length > 1 && ` • ${accounts.find((a) => a.id === notice.accountId)?.name || ""}`}
+                </p>
+                {notice.detail && <p className="text-xs text-gray-300 mt-1 line-clamp-2">{notice.detail}</p>}
+              </Link>
+            )}
+            <button
+              type="button"
+              onClick={() => setNotices((prev) => prev.filter((n) => n.key !== notice.key))}
+              className="text-gray-500 hover:text-white"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
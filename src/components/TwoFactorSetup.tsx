@@ -0,0 +1,153 @@
+"use client";
+
+import { useState } from "react";
+import { QRCodeSVG } from "qrcode.react";
+import { useAuth } from "@/context/AuthContext";
+import { AlertCircle, Check, Copy, Loader2, ShieldCheck } from "lucide-react";
+
+// Recovery codes as they are shown once, to be copied or written down
+export function RecoveryCodesList({ codes }: { codes: string[] }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(codes.join("\n"));
+    setCopied(true);
+  };
+
+  return (
+    <div className="p-4 rounded-lg bg-yellow-500/10 border border-yellow-500/30">
+      <p className="text-yellow-400 text-sm mb-3">
+        احفظ رموز الاسترداد في مكان آمن. كل رمز يُستخدم مرة واحدة بدلاً من رمز التطبيق إن فقدت هاتفك، ولن تظهر مرة أخرى.
+      </p>
+      <div className="grid grid-cols-2 gap-2 mb-3" dir="ltr">
+        {codes.map((code) => (
+          <code key={code} className="text-sm text-white bg-[#111b21] px-2 py-1.5 rounded text-center font-mono">
+            {code}
+          </code>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={handleCopy}
+        className="px-3 py-1.5 bg-[#202c33] hover:bg-[#2a3942] text-white rounded-lg text-sm flex items-center gap-2 transition-colors"
+      >
+        {copied ? <Check className="w-4 h-4 text-green-400" /> : <Copy className="w-4 h-4" />}
+        نسخ الرموز
+      </button>
+    </div>
+  );
+}
+
+// Turning two-factor sign-in on: scan the QR code with an authenticator app, confirm with a first
+// code, then keep the recovery codes. onDone runs once the user has saved them
+export default function TwoFactorSetup({ onDone }: { onDone?: () => void }) {
+  const { accountRequest, reloadUser } = useAuth();
+  const [setup, setSetup] = useState<{ secret: string; uri: string } | null>(null);
+  const [code, setCode] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleStart = async () => {
+    setError(null);
+    setIsSubmitting(true);
+    const result = await accountRequest<{ secret: string; uri: string }>("2fa/setup");
+    setIsSubmitting(false);
+    if (result.success) {
+      setSetup({ secret: result.secret, uri: result.uri });
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleEnable = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+    const result = await accountRequest<{ recoveryCodes: string[] }>("2fa/enable", { code: code.trim() });
+    setIsSubmitting(false);
+    if (result.success) {
+      setRecoveryCodes(result.recoveryCodes);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  // The user object only changes now, so a gate waiting for it doesn't hide the codes too early
+  const handleDone = async () => {
+    await reloadUser();
+    onDone?.();
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm flex items-center gap-2">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      {recoveryCodes ? (
+        <>
+          <p className="text-green-400 text-sm flex items-center gap-2">
+            <ShieldCheck className="w-4 h-4" />
+            تم تفعيل التحقق بخطوتين
+          </p>
+          <RecoveryCodesList codes={recoveryCodes} />
+          <button
+            type="button"
+            onClick={handleDone}
+            className="w-full py-2.5 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm font-medium transition-colors"
+          >
+            حفظت الرموز، متابعة
+          </button>
+        </>
+      ) : setup ? (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-gray-300 text-sm">
+            امسح الرمز بتطبيق مصادقة (Google Authenticator أو Microsoft Authenticator أو غيرهما)، ثم أدخل الرمز المكون من 6 أرقام الذي يظهر فيه.
+          </p>
+          <div className="flex justify-center">
+            <div className="p-3 bg-white rounded-lg">
+              <QRCodeSVG value={setup.uri} size={180} />
+            </div>
+          </div>
+          <p className="text-xs text-gray-400 text-center">
+            أو أدخل المفتاح يدوياً:
+            <code className="block mt-1 text-gray-200 font-mono break-all" dir="ltr">{setup.secret}</code>
+          </p>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="000000"
+            maxLength={6}
+            dir="ltr"
+            className="w-full px-3 py-2.5 bg-[#111b21] border border-gray-600 rounded-lg text-white text-center tracking-widest placeholder-gray-500 focus:outline-none focus:border-green-500"
+          />
+          <button
+            type="submit"
+            disabled={isSubmitting || code.trim().length !== 6}
+            className="w-full py-2.5 bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white rounded-lg text-sm font-medium flex items-center justify-center gap-2 transition-colors"
+          >
+            {isSubmitting && <Loader2 className="w-4 h-4 animate-spin" />}
+            تفعيل
+          </button>
+        </form>
+      ) : (
+        <button
+          type="button"
+          onClick={handleStart}
+          disabled={isSubmitting}
+          className="px-4 py-2 bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white rounded-lg text-sm flex items-center gap-2 transition-colors"
+        >
+          {isSubmitting ? <Loader2 className="w-4 h-4 animate-spin" /> : <ShieldCheck className="w-4 h-4" />}
+          إعداد التحقق بخطوتين
+        </button>
+      )}
+    </div>
+  );
+}
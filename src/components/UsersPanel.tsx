@@ -0,0 +1,132 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useSocket } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import { ROLES, ROLE_LABELS, permissionsOf, type Permission, type Role } from "../../convex/lib/permissions";
+import { ShieldCheck, AlertCircle } from "lucide-react";
+
+interface TeamUser {
+  id: string;
+  email: string;
+  name: string;
+  role: Role;
+  isActive: boolean;
+  lastLogin?: number;
+  twoFactorEnabled: boolean;
+}
+
+const permissionLabels: Record<Permission, string> = {
+  manageAccounts: "إدارة الحسابات",
+  scanQr: "ربط الحسابات (QR)",
+  clearSessions: "مسح جلسات الخادم",
+  export: "التصدير والتقارير",
+  viewAnalytics: "التحليلات",
+  sendMessages: "إرسال الرسائل",
+  viewUnmasked: "عرض الأرقام كاملة",
+  manageSettings: "الإعدادات والأتمتة",
+  manageUsers: "إدارة المستخدمين",
+};
+
+// Roles of the team (admins only); a changed role applies to the user's open dashboards at once
+export default function UsersPanel() {
+  const { socket } = useSocket();
+  const { user } = useAuth();
+  const [users, setUsers] = useState<TeamUser[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleUsers = (data: { users: TeamUser[] }) => {
+      setUsers(data.users);
+      setError(null);
+    };
+    const handleError = (data: { message: string }) => setError(data.message);
+
+    socket.on("users", handleUsers);
+    socket.on("userError", handleError);
+    socket.emit("getUsers");
+
+    return () => {
+      socket.off("users", handleUsers);
+      socket.off("userError", handleError);
+    };
+  }, [socket]);
+
+  const updateUser = (targetUserId: string, changes: { role?: Role; isActive?: boolean }) => {
+    socket?.emit("updateUser", { targetUserId, ...changes });
+  };
+
+  const handleToggleActive = (target: TeamUser) => {
+    if (target.isActive && !confirm(`تعطيل ${target.name}؟ سيتم تسجيل خروجه من كل الأجهزة.`)) return;
+    updateUser(target.id, { isActive: !target.isActive });
+  };
+
+  return (
+    <div className="bg-gradient-to-br from-[#1a2730] to-[#111b21] rounded-2xl p-6 border border-gray-700/30">
+      <h3 className="text-lg font-semibold text-white mb-1 flex items-center gap-2">
+        <ShieldCheck className="w-5 h-5 text-green-400" />
+        المستخدمون والصلاحيات
+      </h3>
+      <p className="text-gray-400 text-sm mb-4">
+        {ROLES.map((role) => `${ROLE_LABELS[role]}: ${permissionsOf(role).map((p) => permissionLabels[p]).join("، ")}`).join(" — ")}
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm flex items-center gap-2">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
+      {users.length === 0 ? (
+        <p className="text-gray-500 text-sm text-center py-4">لا يوجد مستخدمون</p>
+      ) : (
+        <div className="space-y-2">
+          {users.map((member) => (
+            <div
+              key={member.id}
+              className={`flex items-center gap-3 p-3 rounded-lg bg-[#202c33] ${member.isActive ? "" : "opacity-50"}`}
+            >
+              <div className="flex-1 min-w-0">
+                <div className="text-sm font-medium text-white truncate">
+                  {member.name}
+                  {member.id === user?.id && <span className="text-xs text-gray-400"> (أنت)</span>}
+                </div>
+                <div className="text-xs text-gray-400 truncate" dir="ltr">{member.email}</div>
+              </div>
+              {member.twoFactorEnabled && (
+                <span title="التحقق بخطوتين مفعّل">
+                  <ShieldCheck className="w-4 h-4 text-green-400" />
+                </span>
+              )}
+              <select
+                value={member.role}
+                onChange={(e) => updateUser(member.id, { role: e.target.value as Role })}
+                className="px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-green-500"
+              >
+                {ROLES.map((role) => (
+                  <option key={role} value={role}>
+                    {ROLE_LABELS[role]}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => handleToggleActive(member)}
+                disabled={member.id === user?.id}
+                className={`px-3 py-2 rounded-lg text-sm transition-colors disabled:opacity-30 ${member.isActive
+                  ? "text-red-400 hover:bg-red-500/20"
+                  : "text-green-400 hover:bg-green-500/20"
+                  }`}
+              >
+                {member.isActive ? "تعطيل" : "تفعيل"}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,361 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useSocket } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import {
+  Webhook as WebhookIcon,
+  Plus,
+  Trash2,
+  Copy,
+  Check,
+  History,
+  RotateCcw,
+  Power,
+  ChevronDown,
+  ChevronUp,
+  AlertTriangle,
+} from "lucide-react";
+
+interface Webhook {
+  id: string;
+  accountId: string;
+  url: string;
+  events: string[];
+  isActive: boolean;
+  createdAt: number;
+}
+
+interface WebhookDelivery {
+  id: string;
+  event: string;
+  payload: string;
+  status: "pending" | "success" | "failed";
+  attempts: number;
+  responseStatus?: number;
+  error?: string;
+  nextRetryAt?: number;
+  deliveredAt?: number;
+  createdAt: number;
+}
+
+const eventLabels: Record<string, string> = {
+  message: "رسالة واردة",
+  message_create: "رسالة جديدة (واردة أو صادرة)",
+  message_ack: "تغيير حالة الرسالة",
+  message_revoke_everyone: "حذف رسالة للجميع",
+  disconnected: "انقطاع الاتصال",
+  auth_failure: "فشل المصادقة",
+};
+
+const statusStyles: Record<WebhookDelivery["status"], { label: string; className: string }> = {
+  pending: { label: "قيد المحاولة", className: "bg-amber-500/20 text-amber-400" },
+  success: { label: "تم التسليم", className: "bg-green-500/20 text-green-400" },
+  failed: { label: "فشل", className: "bg-red-500/20 text-red-400" },
+};
+
+export default function WebhooksPanel() {
+  const { socket, accounts } = useSocket();
+  const { user } = useAuth();
+  const [webhooks, setWebhooks] = useState<Webhook[]>([]);
+  const [availableEvents, setAvailableEvents] = useState<string[]>([]);
+  const [deliveries, setDeliveries] = useState<Record<string, WebhookDelivery[]>>({});
+  const [openWebhookId, setOpenWebhookId] = useState<string | null>(null);
+  const [openPayloadId, setOpenPayloadId] = useState<string | null>(null);
+  const [createdSecret, setCreatedSecret] = useState<string | null>(null);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // New webhook form
+  const [accountId, setAccountId] = useState("");
+  const [url, setUrl] = useState("");
+  const [selectedEvents, setSelectedEvents] = useState<string[]>(["message"]);
+
+  useEffect(() => {
+    if (!socket || !user) return;
+
+    const handleWebhooks = (data: { webhooks: Webhook[]; availableEvents: string[] }) => {
+      setWebhooks(data.webhooks || []);
+      setAvailableEvents(data.availableEvents || []);
+      setError(null);
+    };
+    const handleDeliveries = (data: { webhookId: string; deliveries: WebhookDelivery[] }) => {
+      setDeliveries((prev) => ({ ...prev, [data.webhookId]: data.deliveries || [] }));
+    };
+    const handleCreated = (data: { secret: string }) => {
+      setCreatedSecret(data.secret);
+      setCopied(false);
+    };
+    const handleError = (data: { message: string }) => setError(data.message);
+
+    socket.on("webhooks", handleWebhooks);
+    socket.on("webhookDeliveries", handleDeliveries);
+    socket.on("webhookCreated", handleCreated);
+    socket.on("webhookError", handleError);
+    socket.emit("getWebhooks", { userId: user.id });
+
+    return () => {
+      socket.off("webhooks", handleWebhooks);
+      socket.off("webhookDeliveries", handleDeliveries);
+      socket.off("webhookCreated", handleCreated);
+      socket.off("webhookError", handleError);
+    };
+  }, [socket, user]);
+
+  const targetAccountId = accountId || accounts[0]?.id || "";
+
+  const toggleEvent = (event: string) => {
+    setSelectedEvents((prev) =>
+      prev.includes(event) ? prev.filter((e) => e !== event) : [...prev, event]
+    );
+  };
+
+  const handleCreate = () => {
+    if (!socket || !user || !url.trim() || selectedEvents.length === 0) return;
+    socket.emit("createWebhook", {
+      userId: user.id,
+      accountId: targetAccountId,
+      url: url.trim(),
+      events: selectedEvents,
+    });
+    setUrl("");
+  };
+
+  const handleToggleActive = (webhook: Webhook) => {
+    if (!socket || !user) return;
+    socket.emit("updateWebhook", { userId: user.id, webhookId: webhook.id, isActive: !webhook.isActive });
+  };
+
+  const handleDelete = (webhookId: string) => {
+    if (!socket || !user) return;
+    if (confirm("هل أنت متأكد من حذف هذا الـ Webhook وسجل التسليم الخاص به؟")) {
+      socket.emit("deleteWebhook", { userId: user.id, webhookId });
+    }
+  };
+
+  const handleToggleDeliveries = (webhookId: string) => {
+    if (openWebhookId === webhookId) {
+      setOpenWebhookId(null);
+      return;
+    }
+    setOpenWebhookId(webhookId);
+    socket?.emit("getWebhookDeliveries", { userId: user?.id, webhookId });
+  };
+
+  const handleReplay = (webhookId: string, deliveryId: string) => {
+    if (!socket || !user) return;
+    socket.emit("replayWebhookDelivery", { userId: user.id, webhookId, deliveryId });
+  };
+
+  const handleCopySecret = async () => {
+    if (!createdSecret) return;
+    await navigator.clipboard.writeText(createdSecret);
+    setCopied(true);
+  };
+
+  const getAccountName = (id: string) => accounts.find((a) => a.id === id)?.name || id;
+
+  const formatDate = (timestamp?: number) =>
+    timestamp ? new Date(timestamp).toLocaleString("ar-EG") : "-";
+
+  const formatPayload = (payload: string) => {
+    try {
+      return JSON.stringify(JSON.parse(payload), null, 2);
+    } catch {
+      return payload;
+    }
+  };
+
+  return (
+    <div className="bg-gradient-to-br from-[#1a2730] to-[#111b21] rounded-2xl p-6 border border-gray-700/30">
+      <h3 className="text-lg font-semibold text-white mb-1 flex items-center gap-2">
+        <WebhookIcon className="w-5 h-5 text-green-400" />
+        Webhooks
+      </h3>
+      <p className="text-gray-400 text-sm mb-4">
+        يتم إرسال الأحداث كطلب POST بصيغة JSON، موقعة بالترويسة{" "}
+        <span dir="ltr" className="font-mono text-gray-300">X-Webhook-Signature</span>{" "}
+        (HMAC-SHA256 على <span dir="ltr" className="font-mono text-gray-300">timestamp.body</span>)
+      </p>
+
+      {/* Signing secret of the new webhook (shown once) */}
+      {createdSecret && (
+        <div className="mb-4 p-4 rounded-xl bg-amber-500/10 border border-amber-500/30">
+          <div className="flex items-center gap-2 text-amber-400 text-sm mb-2">
+            <AlertTriangle className="w-4 h-4" />
+            انسخ مفتاح التوقيع الآن، لن يتم عرضه مرة أخرى
+          </div>
+          <div className="flex items-center gap-2">
+            <code dir="ltr" className="flex-1 px-3 py-2 bg-[#111b21] rounded-lg text-green-400 text-sm break-all">
+              {createdSecret}
+            </code>
+            <button
+              onClick={handleCopySecret}
+              className="p-2 bg-[#202c33] hover:bg-[#2a3942] rounded-lg text-gray-300 transition-colors"
+              title="نسخ"
+            >
+              {copied ? <Check className="w-4 h-4 text-green-400" /> : <Copy className="w-4 h-4" />}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+          {error}
+        </div>
+      )}
+
+      {/* Create webhook */}
+      <div className="mb-4 p-4 rounded-xl bg-[#202c33] space-y-3">
+        <div className="flex flex-wrap gap-2">
+          <select
+            value={targetAccountId}
+            onChange={(e) => setAccountId(e.target.value)}
+            className="px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-green-500"
+          >
+            {accounts.map((account) => (
+              <option key={account.id} value={account.id}>
+                {account.name}
+              </option>
+            ))}
+          </select>
+          <input
+            type="url"
+            dir="ltr"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="https://example.com/webhooks/whatsapp"
+            className="flex-1 min-w-[240px] px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-green-500 text-sm"
+          />
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {availableEvents.map((event) => (
+            <label
+              key={event}
+              className={`flex items-center gap-2 px-3 py-1.5 rounded-lg text-xs cursor-pointer transition-colors ${
+                selectedEvents.includes(event)
+                  ? "bg-green-500/20 text-green-400 border border-green-500/40"
+                  : "bg-[#111b21] text-gray-400 border border-gray-600"
+              }`}
+            >
+              <input
+                type="checkbox"
+                checked={selectedEvents.includes(event)}
+                onChange={() => toggleEvent(event)}
+                className="hidden"
+              />
+              {eventLabels[event] || event}
+            </label>
+          ))}
+        </div>
+        <button
+          onClick={handleCreate}
+          disabled={!url.trim() || selectedEvents.length === 0 || !targetAccountId}
+          className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-500 hover:from-green-700 hover:to-emerald-600 rounded-lg text-white text-sm transition-all disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4" />
+          إضافة Webhook
+        </button>
+      </div>
+
+      {/* Webhooks list */}
+      {webhooks.length === 0 ? (
+        <p className="text-gray-500 text-sm text-center py-4">لا توجد Webhooks بعد</p>
+      ) : (
+        <div className="space-y-2">
+          {webhooks.map((webhook) => (
+            <div key={webhook.id} className="rounded-lg bg-[#202c33]">
+              <div className={`flex items-center gap-3 p-3 ${webhook.isActive ? "" : "opacity-60"}`}>
+                <div className="flex-1 min-w-0">
+                  <div dir="ltr" className="text-sm font-mono text-white truncate text-right">
+                    {webhook.url}
+                  </div>
+                  <div className="text-xs text-gray-400 mt-0.5">
+                    {getAccountName(webhook.accountId)}
+                    {" · "}
+                    {webhook.events.map((e) => eventLabels[e] || e).join("، ")}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleToggleDeliveries(webhook.id)}
+                  className="flex items-center gap-1 p-2 hover:bg-[#2a3942] rounded-lg transition-colors text-gray-400"
+                  title="سجل التسليم"
+                >
+                  <History className="w-4 h-4" />
+                  {openWebhookId === webhook.id ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+                </button>
+                <button
+                  onClick={() => handleToggleActive(webhook)}
+                  className="p-2 hover:bg-[#2a3942] rounded-lg transition-colors"
+                  title={webhook.isActive ? "تعطيل" : "تفعيل"}
+                >
+                  <Power className={`w-4 h-4 ${webhook.isActive ? "text-green-400" : "text-gray-500"}`} />
+                </button>
+                <button
+                  onClick={() => handleDelete(webhook.id)}
+                  className="p-2 hover:bg-red-500/20 rounded-lg transition-colors"
+                  title="حذف"
+                >
+                  <Trash2 className="w-4 h-4 text-red-400" />
+                </button>
+              </div>
+
+              {/* Delivery log */}
+              {openWebhookId === webhook.id && (
+                <div className="border-t border-gray-700/50 p-3 space-y-2 max-h-96 overflow-y-auto">
+                  {(deliveries[webhook.id] || []).length === 0 ? (
+                    <p className="text-gray-500 text-xs text-center py-2">لا توجد عمليات تسليم بعد</p>
+                  ) : (
+                    deliveries[webhook.id].map((delivery) => (
+                      <div key={delivery.id} className="p-2 rounded-lg bg-[#111b21] text-xs">
+                        <div className="flex items-center gap-2">
+                          <span className={`px-2 py-0.5 rounded-full ${statusStyles[delivery.status].className}`}>
+                            {statusStyles[delivery.status].label}
+                          </span>
+                          <span className="text-gray-300 font-mono" dir="ltr">{delivery.event}</span>
+                          <span className="text-gray-500">
+                            {formatDate(delivery.createdAt)} · محاولات: {delivery.attempts}
+                            {delivery.responseStatus ? ` · HTTP ${delivery.responseStatus}` : ""}
+                          </span>
+                          <div className="flex-1" />
+                          <button
+                            onClick={() => setOpenPayloadId(openPayloadId === delivery.id ? null : delivery.id)}
+                            className="px-2 py-1 text-gray-400 hover:text-white transition-colors"
+                          >
+                            البيانات
+                          </button>
+                          <button
+                            onClick={() => handleReplay(webhook.id, delivery.id)}
+                            className="flex items-center gap-1 px-2 py-1 rounded bg-[#202c33] hover:bg-[#2a3942] text-gray-300 transition-colors"
+                            title="إعادة الإرسال"
+                          >
+                            <RotateCcw className="w-3 h-3" />
+                            إعادة
+                          </button>
+                        </div>
+                        {delivery.error && (
+                          <div className="mt-1 text-red-400">
+                            {delivery.error}
+                            {delivery.status === "pending" && delivery.nextRetryAt
+                              ? ` · المحاولة التالية: ${formatDate(delivery.nextRetryAt)}`
+                              : ""}
+                          </div>
+                        )}
+                        {openPayloadId === delivery.id && (
+                          <pre dir="ltr" className="mt-2 p-2 rounded bg-[#0b141a] text-gray-300 overflow-x-auto whitespace-pre-wrap break-all">
+                            {formatPayload(delivery.payload)}
+                          </pre>
+                        )}
+                      </div>
+                    ))
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,318 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useSocket } from "@/context/SocketContext";
+import { useAuth } from "@/context/AuthContext";
+import { ORG_ROLES, ORG_ROLE_LABELS, type OrgRole } from "../../convex/lib/organizations";
+import { Building2, AlertCircle, Copy, Check, Trash2, UserPlus, Plus, X } from "lucide-react";
+
+interface Member {
+  userId: string;
+  email: string;
+  name: string;
+  role: OrgRole;
+  isActive: boolean;
+}
+
+interface PendingInvitation {
+  id: string;
+  email: string;
+  role: OrgRole;
+  expiresAt: number;
+}
+
+interface WorkspaceAccount {
+  id: string;
+  name: string;
+  phone: string | null;
+}
+
+interface WorkspaceMembers {
+  orgId: string;
+  members: Member[];
+  invitations: PendingInvitation[];
+  access: Record<string, string[]>; // accountId -> members who may use it
+  accounts: WorkspaceAccount[];
+}
+
+// Members, invitations and per-account access of the current workspace (its admins), and new
+// workspaces (server admins)
+export default function WorkspacePanel() {
+  const { socket, currentWorkspace } = useSocket();
+  const { user, can } = useAuth();
+  const [data, setData] = useState<WorkspaceMembers | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [inviteEmail, setInviteEmail] = useState("");
+  const [inviteRole, setInviteRole] = useState<OrgRole>("member");
+  const [lastInvite, setLastInvite] = useState<{ email: string; link: string; emailed: boolean } | null>(null);
+  const [copied, setCopied] = useState(false);
+  const [newWorkspaceName, setNewWorkspaceName] = useState("");
+
+  const orgId = currentWorkspace?.id;
+  const isWorkspaceAdmin = currentWorkspace?.role === "admin";
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleMembers = (members: WorkspaceMembers) => {
+      setData(members);
+      setError(null);
+    };
+    const handleError = (err: { message: string }) => setError(err.message);
+    const handleInvitation = (invite: { email: string; link: string; emailed: boolean }) => {
+      setLastInvite(invite);
+      setCopied(false);
+      setInviteEmail("");
+    };
+
+    socket.on("workspaceMembers", handleMembers);
+    socket.on("workspaceError", handleError);
+    socket.on("invitationCreated", handleInvitation);
+    if (orgId && isWorkspaceAdmin) socket.emit("getWorkspaceMembers");
+
+    return () => {
+      socket.off("workspaceMembers", handleMembers);
+      socket.off("workspaceError", handleError);
+      socket.off("invitationCreated", handleInvitation);
+    };
+  }, [socket, orgId, isWorkspaceAdmin]);
+
+  // Members of another workspace until the new list arrives
+  const current = data && data.orgId === orgId ? data : null;
+
+  const handleInvite = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!inviteEmail.trim()) return;
+    setError(null);
+    socket?.emit("inviteMember", { email: inviteEmail.trim(), role: inviteRole });
+  };
+
+  const handleCopy = async () => {
+    if (!lastInvite) return;
+    await navigator.clipboard.writeText(lastInvite.link);
+    setCopied(true);
+  };
+
+  const handleRemove = (member: Member) => {
+    if (!confirm(`إزالة ${member.name} من مساحة العمل؟`)) return;
+    socket?.emit("removeMember", { targetUserId: member.userId });
+  };
+
+  const toggleAccess = (accountId: string, userId: string) => {
+    const userIds = current?.access[accountId] ?? [];
+    socket?.emit("setAccountAccess", {
+      accountId,
+      userIds: userIds.includes(userId) ? userIds.filter((id) => id !== userId) : [...userIds, userId],
+    });
+  };
+
+  const handleCreateWorkspace = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!newWorkspaceName.trim()) return;
+    socket?.emit("createWorkspace", { name: newWorkspaceName.trim() });
+    setNewWorkspaceName("");
+  };
+
+  // Admins use every account of the workspace, members only those ticked here
+  const accessMembers = current?.members.filter((m) => m.role === "member") ?? [];
+
+  return (
+    <div className="bg-gradient-to-br from-[#1a2730] to-[#111b21] rounded-2xl p-6 border border-gray-700/30">
+      <h3 className="text-lg font-semibold text-white mb-1 flex items-center gap-2">
+        <Building2 className="w-5 h-5 text-green-400" />
+        مساحة العمل{currentWorkspace ? `: ${currentWorkspace.name}` : ""}
+      </h3>
+      <p className="text-gray-400 text-sm mb-4">
+        لكل مساحة عمل حساباتها وأعضاؤها. مدير مساحة العمل يدير الأعضاء والحسابات ويرى كل الحسابات، والعضو يرى الحسابات المسموح له بها فقط.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm flex items-center gap-2">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
+      {isWorkspaceAdmin && (
+        <div className="space-y-6">
+          {/* Invite */}
+          <form onSubmit={handleInvite} className="flex flex-wrap gap-2">
+            <input
+              type="email"
+              value={inviteEmail}
+              onChange={(e) => setInviteEmail(e.target.value)}
+              placeholder="البريد الإلكتروني"
+              dir="ltr"
+              className="flex-1 min-w-[200px] px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm placeholder-gray-500 focus:outline-none focus:border-green-500"
+            />
+            <select
+              value={inviteRole}
+              onChange={(e) => setInviteRole(e.target.value as OrgRole)}
+              className="px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-green-500"
+            >
+              {ORG_ROLES.map((role) => (
+                <option key={role} value={role}>
+                  {ORG_ROLE_LABELS[role]}
+                </option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm flex items-center gap-2 transition-colors"
+            >
+              <UserPlus className="w-4 h-4" />
+              دعوة
+            </button>
+          </form>
+
+          {lastInvite && (
+            <div className="p-3 rounded-lg bg-green-500/10 border border-green-500/30 text-sm">
+              <p className="text-green-400 mb-2">
+                {lastInvite.emailed
+                  ? `تم إرسال الدعوة إلى ${lastInvite.email}. يمكنك أيضاً مشاركة الرابط:`
+                  : `تعذر إرسال البريد إلى ${lastInvite.email}، شارك الرابط بنفسك:`}
+              </p>
+              <div className="flex items-center gap-2">
+                <code className="flex-1 truncate text-xs text-gray-300 bg-[#111b21] px-2 py-1.5 rounded" dir="ltr">
+                  {lastInvite.link}
+                </code>
+                <button
+                  type="button"
+                  onClick={handleCopy}
+                  className="p-1.5 text-gray-300 hover:text-white hover:bg-white/10 rounded transition-colors"
+                  title="نسخ"
+                >
+                  {copied ? <Check className="w-4 h-4 text-green-400" /> : <Copy className="w-4 h-4" />}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Pending invitations */}
+          {current && current.invitations.length > 0 && (
+            <div>
+              <h4 className="text-sm font-medium text-gray-300 mb-2">دعوات بانتظار القبول</h4>
+              <div className="space-y-2">
+                {current.invitations.map((invitation) => (
+                  <div key={invitation.id} className="flex items-center gap-3 p-3 rounded-lg bg-[#202c33] text-sm">
+                    <span className="flex-1 text-white truncate" dir="ltr">{invitation.email}</span>
+                    <span className="text-gray-400">{ORG_ROLE_LABELS[invitation.role]}</span>
+                    <span className="text-xs text-gray-500">
+                      حتى {new Date(invitation.expiresAt).toLocaleDateString("ar")}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => socket?.emit("revokeInvitation", { invitationId: invitation.id })}
+                      className="p-1.5 text-red-400 hover:bg-red-500/20 rounded transition-colors"
+                      title="إلغاء الدعوة"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Members */}
+          <div>
+            <h4 className="text-sm font-medium text-gray-300 mb-2">الأعضاء</h4>
+            {!current || current.members.length === 0 ? (
+              <p className="text-gray-500 text-sm text-center py-4">لا يوجد أعضاء</p>
+            ) : (
+              <div className="space-y-2">
+                {current.members.map((member) => (
+                  <div
+                    key={member.userId}
+                    className={`flex items-center gap-3 p-3 rounded-lg bg-[#202c33] ${member.isActive ? "" : "opacity-50"}`}
+                  >
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm font-medium text-white truncate">
+                        {member.name}
+                        {member.userId === user?.id && <span className="text-xs text-gray-400"> (أنت)</span>}
+                      </div>
+                      <div className="text-xs text-gray-400 truncate" dir="ltr">{member.email}</div>
+                    </div>
+                    <select
+                      value={member.role}
+                      onChange={(e) => socket?.emit("setMemberRole", { targetUserId: member.userId, role: e.target.value })}
+                      className="px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:border-green-500"
+                    >
+                      {ORG_ROLES.map((role) => (
+                        <option key={role} value={role}>
+                          {ORG_ROLE_LABELS[role]}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={() => handleRemove(member)}
+                      className="p-2 text-red-400 hover:bg-red-500/20 rounded-lg transition-colors"
+                      title="إزالة من مساحة العمل"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Account access */}
+          {current && current.accounts.length > 0 && (
+            <div>
+              <h4 className="text-sm font-medium text-gray-300 mb-2">صلاحيات الحسابات</h4>
+              {accessMembers.length === 0 ? (
+                <p className="text-gray-500 text-sm">كل أعضاء مساحة العمل مدراء ويرون كل الحسابات</p>
+              ) : (
+                <div className="space-y-3">
+                  {current.accounts.map((account) => (
+                    <div key={account.id} className="p-3 rounded-lg bg-[#202c33]">
+                      <div className="text-sm text-white mb-2">
+                        {account.name}
+                        {account.phone && <span className="text-xs text-gray-400 mr-2" dir="ltr">+{account.phone}</span>}
+                      </div>
+                      <div className="flex flex-wrap gap-3">
+                        {accessMembers.map((member) => (
+                          <label key={member.userId} className="flex items-center gap-1.5 text-sm text-gray-300 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={(current.access[account.id] ?? []).includes(member.userId)}
+                              onChange={() => toggleAccess(account.id, member.userId)}
+                              className="accent-green-500"
+                            />
+                            {member.name}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* New workspace */}
+      {can("manageUsers") && (
+        <form onSubmit={handleCreateWorkspace} className={`flex gap-2 ${isWorkspaceAdmin ? "mt-6 pt-6 border-t border-gray-700/50" : ""}`}>
+          <input
+            type="text"
+            value={newWorkspaceName}
+            onChange={(e) => setNewWorkspaceName(e.target.value)}
+            placeholder="اسم مساحة عمل جديدة (مثلاً اسم الشركة العميلة)"
+            className="flex-1 px-3 py-2 bg-[#111b21] border border-gray-600 rounded-lg text-white text-sm placeholder-gray-500 focus:outline-none focus:border-green-500"
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 bg-[#202c33] hover:bg-[#2a3942] text-white rounded-lg text-sm flex items-center gap-2 transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            إنشاء
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -1,79 +1,265 @@
 "use client";
 
-import React, { createContext, useContext, useState, useEffect, ReactNode } from "react";
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef, ReactNode } from "react";
 import { ConvexHttpClient } from "convex/browser";
 import { api } from "../../convex/_generated/api";
+import type { Permission, Role } from "../../convex/lib/permissions";
 
 interface User {
   id: string;
   email: string;
   name: string;
-  role: string;
+  role: Role;
+  permissions: Permission[];
+  twoFactor: { enabled: boolean; required: boolean; recoveryCodesLeft: number };
 }
 
+// What the sign-in routes answer
+type AuthResult<T = object> = ({ success: true } & T) | { success: false; error: string };
+
 interface AuthContextType {
   user: User | null;
+  // Access token issued by the server at login; the socket connects with it
+  token: string | null;
   isAuthenticated: boolean;
   isLoading: boolean;
-  login: (email: string, password: string) => Promise<{ success: boolean; error?: string }>;
+  // twoFactorRequired: the password was right, verifyTwoFactor takes the code next
+  login: (email: string, password: string) => Promise<{ success: boolean; error?: string; twoFactorRequired?: boolean }>;
+  verifyTwoFactor: (code: string) => Promise<{ success: boolean; error?: string; expired?: boolean }>;
   register: (email: string, password: string, name: string) => Promise<{ success: boolean; error?: string }>;
   logout: () => void;
+  // Swap the refresh token for a new access token; false when the session is over
+  refreshSession: () => Promise<boolean>;
+  // Whether the user's role allows it (the server checks again)
+  can: (permission: Permission) => boolean;
+  // The user as the server sees it on connection (a changed role)
+  updateUser: (user: User) => void;
+  // The role requires two-factor sign-in and it isn't set up: nothing else works until it is
+  needsTwoFactorSetup: boolean;
+  // A change to the signed-in user's own login (/api/auth/2fa/..., /api/auth/password/change)
+  accountRequest: <T extends object>(path: string, body?: object) => Promise<AuthResult<T>>;
+  // Fetch the user again after such a change
+  reloadUser: () => Promise<void>;
+  requestPasswordReset: (email: string) => Promise<AuthResult>;
+  resetPassword: (token: string, password: string) => Promise<AuthResult>;
+}
+
+// What is kept in localStorage - the user always comes from the server
+interface StoredSession {
+  token: string;
+  expiresAt: number;
+  refreshToken: string;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
 const STORAGE_KEY = "whatsapp_pro_auth";
 const CONVEX_URL = process.env.NEXT_PUBLIC_CONVEX_URL || "https://resilient-scorpion-536.convex.cloud";
+// Sign-in goes through the backend, which issues the session tokens
+const BACKEND_URL = process.env.NEXT_PUBLIC_SOCKET_URL || "";
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN = 5 * 60 * 1000;
+
+const readStoredSession = (): StoredSession | null => {
+  try {
+    const session = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    return session?.token && session?.refreshToken ? session : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const authRequest = async (method: "GET" | "POST", path: string, options: { body?: object; token?: string } = {}) => {
+  const response = await fetch(`${BACKEND_URL}/api/auth/${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(options.token ? { Authorization: `Bearer ${options.token}` } : {}),
+    },
+    body: options.body ? JSON.stringify(options.body) : undefined,
+  });
+  return { status: response.status, result: await response.json() };
+};
 
 // Create Convex client
 const convex = new ConvexHttpClient(CONVEX_URL);
 
 export function AuthProvider({ children }: { children: ReactNode }) {
   const [user, setUser] = useState<User | null>(null);
+  const [token, setToken] = useState<string | null>(null);
+  const [expiresAt, setExpiresAt] = useState<number | null>(null);
   const [isLoading, setIsLoading] = useState(true);
+  // Several callers (timer, socket) may ask at once; they share one request
+  const refreshing = useRef<Promise<boolean> | null>(null);
+  // Login challenge between the password and the two-factor code
+  const challengeToken = useRef<string | null>(null);
+
+  const startSession = useCallback((session: StoredSession & { user: User }) => {
+    setUser(session.user);
+    setToken(session.token);
+    setExpiresAt(session.expiresAt);
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ token: session.token, expiresAt: session.expiresAt, refreshToken: session.refreshToken })
+    );
+  }, []);
 
-  // Load user from localStorage on mount
+  const clearSession = useCallback(() => {
+    setUser(null);
+    setToken(null);
+    setExpiresAt(null);
+    localStorage.removeItem(STORAGE_KEY);
+  }, []);
+
+  const refreshSession = useCallback((): Promise<boolean> => {
+    if (!refreshing.current) {
+      refreshing.current = (async () => {
+        const stored = readStoredSession();
+        if (!stored) return false;
+        try {
+          const { status, result } = await authRequest("POST", "refresh", {
+            body: { refreshToken: stored.refreshToken },
+            token: stored.token,
+          });
+          if (result.success) {
+            startSession(result);
+            return true;
+          }
+          // Only a refused refresh token ends the session, not an unreachable server
+          if (status === 401) clearSession();
+          return false;
+        } catch (error: unknown) {
+          console.error("Session refresh error:", error);
+          return false;
+        }
+      })().finally(() => {
+        refreshing.current = null;
+      });
+    }
+    return refreshing.current;
+  }, [startSession, clearSession]);
+
+  // Check the stored session with the server on mount (sessions saved before refresh tokens
+  // existed sign in again)
   useEffect(() => {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    if (stored) {
+    const stored = readStoredSession();
+    if (!stored) {
+      localStorage.removeItem(STORAGE_KEY);
+      setIsLoading(false);
+      return;
+    }
+
+    (async () => {
       try {
-        const userData = JSON.parse(stored);
-        setUser(userData);
-      } catch (e) {
-        localStorage.removeItem(STORAGE_KEY);
+        const { result } = await authRequest("GET", "session", { token: stored.token });
+        if (result.success) {
+          startSession({ ...stored, user: result.user, expiresAt: result.expiresAt });
+        } else {
+          await refreshSession();
+        }
+      } catch (error: unknown) {
+        console.error("Session check error:", error);
       }
-    }
-    setIsLoading(false);
-  }, []);
+      setIsLoading(false);
+    })();
+  }, [startSession, refreshSession]);
 
-  const login = async (email: string, password: string): Promise<{ success: boolean; error?: string }> => {
+  // Refresh the access token shortly before it expires
+  useEffect(() => {
+    if (!expiresAt) return;
+    const timer = setTimeout(() => refreshSession(), Math.max(expiresAt - Date.now() - REFRESH_MARGIN, 0));
+    return () => clearTimeout(timer);
+  }, [expiresAt, refreshSession]);
+
+  const login = async (email: string, password: string): Promise<{ success: boolean; error?: string; twoFactorRequired?: boolean }> => {
     try {
-      const result = await convex.mutation(api.auth.login, { email, password });
+      const { result } = await authRequest("POST", "login", { body: { email, password } });
 
-      if (result.success && result.user) {
-        setUser(result.user);
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(result.user));
+      if (result.success && result.twoFactorRequired) {
+        challengeToken.current = result.challengeToken;
+        return { success: false, twoFactorRequired: true };
+      }
+      if (result.success && result.user && result.token) {
+        startSession(result);
         return { success: true };
       }
 
-      return { success: false, error: "فشل تسجيل الدخول" };
+      return { success: false, error: result.error || "فشل تسجيل الدخول" };
     } catch (error: unknown) {
       console.error("Login error:", error);
-      const errorMessage = error instanceof Error ? error.message : "حدث خطأ غير متوقع";
-      // Extract meaningful error message
-      if (errorMessage.includes("البريد الإلكتروني أو كلمة المرور غير صحيحة")) {
-        return { success: false, error: "البريد الإلكتروني أو كلمة المرور غير صحيحة" };
-      }
-      if (errorMessage.includes("الحساب معطل")) {
-        return { success: false, error: "الحساب معطل" };
+      return { success: false, error: "تعذر الاتصال بالخادم" };
+    }
+  };
+
+  const verifyTwoFactor = async (code: string): Promise<{ success: boolean; error?: string; expired?: boolean }> => {
+    if (!challengeToken.current) return { success: false, expired: true };
+    try {
+      const { result } = await authRequest("POST", "login/2fa", {
+        body: { challengeToken: challengeToken.current, code },
+      });
+
+      if (result.success) {
+        challengeToken.current = null;
+        startSession(result);
+        return { success: true };
       }
-      return { success: false, error: "فشل تسجيل الدخول - تحقق من البيانات" };
+
+      // Too many wrong codes or too late: back to the password
+      const expired = result.error?.includes("انتهت مهلة تسجيل الدخول");
+      if (expired) challengeToken.current = null;
+      return { success: false, error: result.error || "فشل تسجيل الدخول", expired };
+    } catch (error: unknown) {
+      console.error("Two-factor login error:", error);
+      return { success: false, error: "تعذر الاتصال بالخادم" };
+    }
+  };
+
+  const accountRequest = useCallback(async <T extends object>(path: string, body: object = {}): Promise<AuthResult<T>> => {
+    const stored = readStoredSession();
+    if (!stored) return { success: false, error: "انتهت الجلسة، يرجى تسجيل الدخول مرة أخرى" };
+    try {
+      const { result } = await authRequest("POST", path, { body, token: stored.token });
+      return result.success ? result : { success: false, error: result.error || "تعذر تنفيذ العملية" };
+    } catch (error: unknown) {
+      console.error(`Auth request error (${path}):`, error);
+      return { success: false, error: "تعذر الاتصال بالخادم" };
+    }
+  }, []);
+
+  const reloadUser = useCallback(async () => {
+    const stored = readStoredSession();
+    if (!stored) return;
+    try {
+      const { result } = await authRequest("GET", "session", { token: stored.token });
+      if (result.success) setUser(result.user);
+    } catch (error: unknown) {
+      console.error("Session check error:", error);
+    }
+  }, []);
+
+  const requestPasswordReset = async (email: string): Promise<AuthResult> => {
+    try {
+      const { result } = await authRequest("POST", "password/forgot", { body: { email } });
+      return result.success ? result : { success: false, error: result.error || "تعذر إرسال الرابط" };
+    } catch (error: unknown) {
+      console.error("Password reset request error:", error);
+      return { success: false, error: "تعذر الاتصال بالخادم" };
+    }
+  };
+
+  const resetPassword = async (token: string, password: string): Promise<AuthResult> => {
+    try {
+      const { result } = await authRequest("POST", "password/reset", { body: { token, password } });
+      return result.success ? result : { success: false, error: result.error || "فشل تعيين كلمة المرور" };
+    } catch (error: unknown) {
+      console.error("Password reset error:", error);
+      return { success: false, error: "تعذر الاتصال بالخادم" };
     }
   };
 
   const register = async (email: string, password: string, name: string): Promise<{ success: boolean; error?: string }> => {
     try {
-      const result = await convex.mutation(api.auth.register, { email, password, name });
+      const result = await convex.action(api.authActions.register, { email, password, name });
 
       if (result.success) {
         // Auto login after registration
@@ -95,20 +281,36 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     }
   };
 
-  const logout = () => {
-    setUser(null);
-    localStorage.removeItem(STORAGE_KEY);
-  };
+  // Signs out here at once; revoking the session on the server is best effort
+  const logout = useCallback(() => {
+    const stored = readStoredSession();
+    clearSession();
+    if (stored) {
+      authRequest("POST", "logout", { token: stored.token }).catch((error: unknown) => console.error("Logout error:", error));
+    }
+  }, [clearSession]);
+
+  const can = useCallback((permission: Permission) => !!user?.permissions?.includes(permission), [user]);
 
   return (
     <AuthContext.Provider
       value={{
         user,
-        isAuthenticated: !!user,
+        token,
+        isAuthenticated: !!user && !!token,
         isLoading,
         login,
+        verifyTwoFactor,
         register,
         logout,
+        refreshSession,
+        can,
+        updateUser: setUser,
+        needsTwoFactorSetup: !!user?.twoFactor?.required && !user.twoFactor.enabled,
+        accountRequest,
+        reloadUser,
+        requestPasswordReset,
+        resetPassword,
       }}
     >
       {children}
@@ -1,7 +1,9 @@
 "use client";
 
-import { createContext, useContext, useEffect, useState, ReactNode, useCallback } from "react";
+import { createContext, useContext, useEffect, useRef, useState, ReactNode, useCallback } from "react";
 import { io, Socket } from "socket.io-client";
+import { useAuth } from "@/context/AuthContext";
+import type { OrgRole } from "../../convex/lib/organizations";
 
 interface Participant {
   id: string;
@@ -12,6 +14,7 @@ interface Participant {
 
 interface Chat {
   id: string;
+  accountId: string; // account the chat belongs to (several in the unified inbox)
   name: string;
   phone: string;
   profilePic: string | null;
@@ -66,6 +69,7 @@ interface SearchResult {
   fromMe: boolean;
   senderName: string;
   type: string;
+  accountId?: string;
 }
 
 interface SearchState {
@@ -76,14 +80,59 @@ interface SearchState {
   query: string;
 }
 
+// View id of the unified inbox (the chats of every account in one list)
+export const ALL_ACCOUNTS = "all";
+
+// Chat ids are only unique within an account
+export const chatKey = (accountId: string | null | undefined, chatId: string) => `${accountId}:${chatId}`;
+
+// The number of a chat id ("966551234567@c.us"); users who see masked numbers get the ids with
+// a token in place of the number, which isn't shown
+export const chatIdToPhone = (chatId: string) => {
+  const phone = chatId.replace("@c.us", "").replace("@g.us", "");
+  return /^p[0-9a-f]{42,}$/.test(phone) ? "•••" : phone;
+};
+
+export interface ChatRef {
+  chatId: string;
+  accountId: string;
+}
+
 interface Account {
   id: string;
   name: string;
   phone: string | null;
   isActive: boolean;
+  orgId?: string;
   userId?: string;
 }
 
+// A workspace (client company) the user belongs to; accounts belong to one workspace
+export interface Workspace {
+  id: string;
+  name: string;
+  role: OrgRole;
+}
+
+// The workspace a dashboard reopens in (the server checks the user still belongs to it)
+const WORKSPACE_KEY = "workspaceId";
+
+// Attachment sent with sendMessage (the message text becomes the caption)
+export type OutgoingAttachment =
+  | { kind: "media"; data: string; mimetype: string; filename?: string; asDocument?: boolean }
+  | { kind: "voice"; data: string; mimetype: string }
+  | { kind: "location"; latitude: number; longitude: number; name?: string; address?: string }
+  | { kind: "contact"; name: string; phone: string }
+  // A canned reply's media, downloaded by the server when the message is sent
+  | { kind: "cannedReply"; replyId: string };
+
+// Connection state of each account (all accounts stay connected at once)
+export interface AccountStatus {
+  accountId: string;
+  isReady: boolean;
+  needsQr: boolean;
+}
+
 interface PhoneState {
   state: string;
   isPhoneOnline: boolean;
@@ -103,7 +152,10 @@ interface SocketContextType {
   searchState: SearchState;
   privacyMode: boolean;
   accounts: Account[];
+  accountStatuses: AccountStatus[];
   currentAccountId: string | null;
+  workspaces: Workspace[];
+  currentWorkspace: Workspace | null;
   connectionError: string | null;
   connectionHealth: {
     status: 'healthy' | 'degraded' | 'error' | 'unknown';
@@ -114,17 +166,18 @@ interface SocketContextType {
   multiDeviceEnabled: boolean;
   setPrivacyMode: (value: boolean) => void;
   fetchChats: () => void;
-  fetchMessages: (chatId: string) => void;
+  fetchMessages: (chatId: string, accountId?: string) => void;
   syncAllChats: () => void; // No limit - syncs all chats
   quickSync: () => void;
-  fetchProfilePics: (chatIds: string[]) => void;
+  fetchProfilePics: (chatIds: string[], accountId?: string) => void;
   searchMessages: (query: string) => void;
-  sendMessage: (chatId: string, message: string) => void;
+  sendMessage: (chatId: string, message: string, attachment?: OutgoingAttachment, accountId?: string) => void;
   clearSearch: () => void;
   logout: () => void;
   addAccount: (name: string) => void;
   switchAccount: (accountId: string) => void;
   deleteAccount: (accountId: string) => void;
+  switchWorkspace: (orgId: string) => void;
   clearSessions: () => void;
   requestReconnect: () => void;
 }
@@ -147,22 +200,11 @@ const defaultSearchState: SearchState = {
 
 const SocketContext = createContext<SocketContextType | null>(null);
 
-// Get current user from localStorage
-function getCurrentUserId(): string | null {
-  if (typeof window === 'undefined') return null;
-  const stored = localStorage.getItem('whatsapp_pro_auth');
-  if (stored) {
-    try {
-      const user = JSON.parse(stored);
-      return user.id || null;
-    } catch {
-      return null;
-    }
-  }
-  return null;
-}
-
 export function SocketProvider({ children }: { children: ReactNode }) {
+  // The server only accepts signed-in connections, as the user of the session token
+  const { token, isAuthenticated, needsTwoFactorSetup, logout: signOut, refreshSession, updateUser } = useAuth();
+  // Read on every (re)connection, so a refreshed token doesn't recreate the socket
+  const tokenRef = useRef(token);
   const [socket, setSocket] = useState<Socket | null>(null);
   const [isConnected, setIsConnected] = useState(false);
   const [isReady, setIsReady] = useState(false);
@@ -174,9 +216,13 @@ export function SocketProvider({ children }: { children: ReactNode }) {
   const [searchState, setSearchState] = useState<SearchState>(defaultSearchState);
   const [privacyMode, setPrivacyMode] = useState(false);
   const [accounts, setAccounts] = useState<Account[]>([]);
+  const [accountStatuses, setAccountStatuses] = useState<AccountStatus[]>([]);
   const [currentAccountId, setCurrentAccountId] = useState<string | null>(null);
+  const [workspaces, setWorkspaces] = useState<Workspace[]>([]);
+  const [currentOrgId, setCurrentOrgId] = useState<string | null>(null);
+  // Read by the socket handlers, which are registered once
+  const accountRef = useRef<string | null>(null);
   const [connectionError, setConnectionError] = useState<string | null>(null);
-  const [userId, setUserId] = useState<string | null>(null);
   const [connectionHealth, setConnectionHealth] = useState<{
     status: 'healthy' | 'degraded' | 'error' | 'unknown';
     message: string;
@@ -191,6 +237,13 @@ export function SocketProvider({ children }: { children: ReactNode }) {
   const [multiDeviceEnabled, setMultiDeviceEnabled] = useState(true);
 
   useEffect(() => {
+    tokenRef.current = token;
+  }, [token]);
+
+  useEffect(() => {
+    // Refused until the user sets up the two-factor sign-in their role requires (login page)
+    if (!isAuthenticated || needsTwoFactorSetup) return;
+
     // Get backend URL from environment variable or default to current origin
     const backendUrl = process.env.NEXT_PUBLIC_SOCKET_URL || (typeof window !== 'undefined' ? window.location.origin : '');
 
@@ -213,17 +266,18 @@ export function SocketProvider({ children }: { children: ReactNode }) {
       forceNew: true,
       // Path must match server configuration
       path: '/socket.io/',
+      auth: (cb) => cb({ token: tokenRef.current, orgId: localStorage.getItem(WORKSPACE_KEY) }),
     });
+    // Set when a refused token was refreshed, so a second refusal signs out instead of looping
+    let retriedWithRefresh = false;
 
     newSocket.on("connect", () => {
       console.log("Socket.io connected successfully! Transport:", newSocket.io.engine.transport.name);
       setIsConnected(true);
       setConnectionError(null);
-      // Get current userId and request accounts
-      const currentUserId = getCurrentUserId();
-      setUserId(currentUserId);
-      // Request accounts filtered by userId
-      newSocket.emit("getAccounts", { userId: currentUserId });
+      retriedWithRefresh = false;
+      // Request the signed-in user's accounts
+      newSocket.emit("getAccounts");
     });
 
     newSocket.on("disconnect", (reason) => {
@@ -238,6 +292,29 @@ export function SocketProvider({ children }: { children: ReactNode }) {
 
     newSocket.on("connect_error", (error) => {
       console.error("Socket connection error:", error.message);
+      // Expired or revoked session - refresh it once, or back to the login page
+      if (error.message === "Unauthorized") {
+        newSocket.close();
+        if (retriedWithRefresh) {
+          signOut();
+          return;
+        }
+        retriedWithRefresh = true;
+        refreshSession().then((refreshed) => {
+          if (refreshed) {
+            newSocket.connect();
+          } else {
+            signOut();
+          }
+        });
+        return;
+      }
+      // The role now requires two-factor sign-in: the refreshed user says so, and this socket goes
+      if (error.message === "Two-factor setup required") {
+        newSocket.close();
+        refreshSession();
+        return;
+      }
       setConnectionError(
         `فشل الاتصال: ${error.message}. جاري إعادة المحاولة...`
       );
@@ -259,19 +336,30 @@ export function SocketProvider({ children }: { children: ReactNode }) {
       setConnectionError("فشل إعادة الاتصال. يرجى تحديث الصفحة.");
     });
 
-    newSocket.on("status", (data: { isReady: boolean }) => {
+    // WhatsApp events carry the accountId they belong to; drop late ones from an account we switched away from
+    const isViewedAccount = (data?: { accountId?: string }) =>
+      !data?.accountId || !accountRef.current || data.accountId === accountRef.current;
+    // Chat and message events are shown for every account in the unified inbox
+    const isShownAccount = (data?: { accountId?: string }) =>
+      accountRef.current === ALL_ACCOUNTS || isViewedAccount(data);
+    const byNewest = (a: Chat, b: Chat) => (b.timestamp || 0) - (a.timestamp || 0);
+
+    newSocket.on("status", (data: { accountId?: string; isReady: boolean }) => {
+      if (!isViewedAccount(data)) return;
       setIsReady(data.isReady);
       if (data.isReady) {
         setQrCode(null);
       }
     });
 
-    newSocket.on("qr", (qr: string) => {
-      setQrCode(qr);
+    newSocket.on("qr", (data: { accountId?: string; qr: string }) => {
+      if (!isViewedAccount(data)) return;
+      setQrCode(data.qr);
       setIsReady(false);
     });
 
-    newSocket.on("ready", () => {
+    newSocket.on("ready", (data?: { accountId?: string }) => {
+      if (!isViewedAccount(data)) return;
       setIsReady(true);
       setQrCode(null);
       setIsLoading(true);
@@ -287,11 +375,13 @@ export function SocketProvider({ children }: { children: ReactNode }) {
 
     // Connection health monitoring from server heartbeat
     newSocket.on("connectionHealth", (data: {
+      accountId?: string;
       status: 'healthy' | 'degraded' | 'error';
       message: string;
       canReconnect: boolean;
     }) => {
-      setConnectionHealth(data);
+      if (!isViewedAccount(data)) return;
+      setConnectionHealth({ status: data.status, message: data.message, canReconnect: data.canReconnect });
       if (data.status === 'error' || data.status === 'degraded') {
         setConnectionError(data.message);
       } else {
@@ -300,14 +390,16 @@ export function SocketProvider({ children }: { children: ReactNode }) {
     });
 
     // Handle reconnection events from server
-    newSocket.on("reconnecting", (data: { attempt: number; manual?: boolean }) => {
+    newSocket.on("reconnecting", (data: { accountId?: string; attempt: number; manual?: boolean }) => {
+      if (!isViewedAccount(data)) return;
       console.log(`Server reconnecting, attempt ${data.attempt}`);
       setConnectionError(`جاري إعادة الاتصال... (المحاولة ${data.attempt})`);
       setConnectionHealth({ status: 'degraded', message: 'جاري إعادة الاتصال', canReconnect: false });
     });
 
     // Handle reconnection failure from server
-    newSocket.on("reconnectFailed", (data: { reason: string; canManualRetry: boolean }) => {
+    newSocket.on("reconnectFailed", (data: { accountId?: string; reason: string; canManualRetry: boolean }) => {
+      if (!isViewedAccount(data)) return;
       console.error("Server reconnect failed:", data.reason);
       setConnectionError(`فشل إعادة الاتصال: ${data.reason}`);
       setConnectionHealth({
@@ -319,7 +411,8 @@ export function SocketProvider({ children }: { children: ReactNode }) {
 
     // ==================== Multi-Device Phone State Tracking ====================
     // This tracks whether the phone is online/offline - with Multi-Device, app continues to work
-    newSocket.on("phoneState", (data: PhoneState) => {
+    newSocket.on("phoneState", (data: PhoneState & { accountId?: string }) => {
+      if (!isViewedAccount(data)) return;
       console.log("Phone state changed:", data);
       setPhoneState(data);
       setMultiDeviceEnabled(data.multiDeviceActive);
@@ -330,9 +423,18 @@ export function SocketProvider({ children }: { children: ReactNode }) {
       }
     });
 
-    newSocket.on("chats", (data: Chat[]) => {
+    newSocket.on("chats", (data: { accountId: string; chats: Chat[] }) => {
       // Ensure data is always an array
-      setChats(Array.isArray(data) ? data : []);
+      const received = (Array.isArray(data.chats) ? data.chats : [])
+        .map(chat => ({ ...chat, accountId: chat.accountId || data.accountId }));
+
+      // One account's chats in the unified inbox - replace only that account's part
+      if (accountRef.current === ALL_ACCOUNTS && data.accountId !== ALL_ACCOUNTS) {
+        setChats(prev => [...prev.filter(c => c.accountId !== data.accountId), ...received].sort(byNewest));
+        return;
+      }
+      if (!isViewedAccount(data)) return;
+      setChats(received);
       // لا نوقف التحميل هنا - سيتم التحكم به من syncProgress
     });
 
@@ -343,7 +445,8 @@ export function SocketProvider({ children }: { children: ReactNode }) {
 
     // ==================== Real-time Unread Count Updates ====================
     // Update unread counts when messages are read from phone
-    newSocket.on("unreadCountUpdate", (updates: { chatId: string; unreadCount: number; timestamp: number }[]) => {
+    newSocket.on("unreadCountUpdate", ({ accountId, updates }: { accountId: string; updates: { chatId: string; unreadCount: number; timestamp: number }[] }) => {
+      if (!isShownAccount({ accountId })) return;
       console.log("Unread count updates received:", updates.length);
 
       setChats(prevChats => {
@@ -351,7 +454,7 @@ export function SocketProvider({ children }: { children: ReactNode }) {
         let hasChanges = false;
 
         for (const update of updates) {
-          const chatIndex = newChats.findIndex(c => c.id === update.chatId);
+          const chatIndex = newChats.findIndex(c => c.id === update.chatId && c.accountId === accountId);
           if (chatIndex !== -1 && newChats[chatIndex].unreadCount !== update.unreadCount) {
             newChats[chatIndex] = {
               ...newChats[chatIndex],
@@ -379,10 +482,11 @@ export function SocketProvider({ children }: { children: ReactNode }) {
     });
 
     // Handle chat updates (for real-time lastMessage updates)
-    newSocket.on("chatUpdate", (data: { chatId: string; lastMessage: Chat["lastMessage"]; timestamp: number }) => {
+    newSocket.on("chatUpdate", (data: { accountId: string; chatId: string; lastMessage: Chat["lastMessage"]; timestamp: number }) => {
+      if (!isShownAccount(data)) return;
       console.log("Chat update received:", data.chatId);
       setChats(prevChats => {
-        const chatIndex = prevChats.findIndex(c => c.id === data.chatId);
+        const chatIndex = prevChats.findIndex(c => c.id === data.chatId && c.accountId === data.accountId);
         if (chatIndex === -1) return prevChats;
 
         const newChats = [...prevChats];
@@ -478,9 +582,10 @@ export function SocketProvider({ children }: { children: ReactNode }) {
             };
           } else if (update.name) {
             // Add new chat if not exists and has name
-            const phoneNumber = update.id.replace("@c.us", "").replace("@g.us", "");
+            const phoneNumber = chatIdToPhone(update.id);
             updated.push({
               id: update.id,
+              accountId: accountRef.current || "",
               name: update.name,
               phone: phoneNumber,
               profilePic: null,
@@ -546,31 +651,33 @@ export function SocketProvider({ children }: { children: ReactNode }) {
       }));
     });
 
-    newSocket.on("messages", (data: { chatId: string; messages: Message[] }) => {
-      setMessages((prev) => ({ ...prev, [data.chatId]: data.messages }));
+    newSocket.on("messages", (data: { accountId: string; chatId: string; messages: Message[] }) => {
+      setMessages((prev) => ({ ...prev, [chatKey(data.accountId, data.chatId)]: data.messages }));
     });
 
-    newSocket.on("newMessage", (message: Message & { from: string; chatId: string; senderName: string; type: string; typeLabel: string; chatName?: string; isGroup?: boolean }) => {
+    newSocket.on("newMessage", (message: Message & { accountId: string; from: string; chatId: string; senderName: string; type: string; typeLabel: string; chatName?: string; isGroup?: boolean }) => {
+      if (!isShownAccount(message)) return;
       console.log("New message received:", message.body?.substring(0, 30));
 
       setMessages((prev) => {
-        const chatId = message.chatId || message.from;
-        const chatMessages = prev[chatId] || [];
+        const key = chatKey(message.accountId, message.chatId || message.from);
+        const chatMessages = prev[key] || [];
         const exists = chatMessages.some(m => m.id === message.id);
         if (exists) return prev;
-        return { ...prev, [chatId]: [...chatMessages, message] };
+        return { ...prev, [key]: [...chatMessages, message] };
       });
 
       setChats((prevChats) => {
         const chatId = message.chatId || message.from;
-        const chatIndex = prevChats.findIndex(c => c.id === chatId);
+        const chatIndex = prevChats.findIndex(c => c.id === chatId && c.accountId === message.accountId);
 
         if (chatIndex === -1) {
           // إذا لم تكن المحادثة موجودة، نضيفها كمحادثة جديدة
           // هذا مهم خاصة أثناء المزامنة
-          const phoneNumber = chatId.replace("@c.us", "").replace("@g.us", "");
+          const phoneNumber = chatIdToPhone(chatId);
           const newChat: Chat = {
             id: chatId,
+            accountId: message.accountId,
             name: message.chatName || message.senderName || phoneNumber,
             phone: phoneNumber,
             profilePic: null,
@@ -622,7 +729,8 @@ export function SocketProvider({ children }: { children: ReactNode }) {
       });
     });
 
-    newSocket.on("logout", () => {
+    newSocket.on("logout", (data?: { accountId?: string }) => {
+      if (!isViewedAccount(data)) return;
       console.log("Logout event received, clearing all data...");
       setIsReady(false);
       setChats([]);
@@ -640,9 +748,20 @@ export function SocketProvider({ children }: { children: ReactNode }) {
     });
 
     newSocket.on("currentAccount", (accountId: string | null) => {
+      accountRef.current = accountId;
       setCurrentAccountId(accountId);
     });
 
+    newSocket.on("workspaces", (data: { workspaces: Workspace[]; currentOrgId: string | null }) => {
+      setWorkspaces(data.workspaces);
+      setCurrentOrgId(data.currentOrgId);
+      if (data.currentOrgId) localStorage.setItem(WORKSPACE_KEY, data.currentOrgId);
+    });
+
+    newSocket.on("accountStatuses", (data: AccountStatus[]) => {
+      setAccountStatuses(Array.isArray(data) ? data : []);
+    });
+
     newSocket.on("accountsUpdated", (data: Account[]) => {
       setAccounts(data);
     });
@@ -651,12 +770,16 @@ export function SocketProvider({ children }: { children: ReactNode }) {
       setAccounts(prev => [...prev, account]);
     });
 
-    newSocket.on("qrCleared", () => {
+    newSocket.on("qrCleared", (data?: { accountId?: string }) => {
+      if (!isViewedAccount(data)) return;
       console.log("QR cleared, waiting for new QR...");
       setQrCode(null);
       setIsReady(false);
     });
 
+    // The role the server applies - an admin may have changed it since sign-in
+    newSocket.on("sessionUser", updateUser);
+
     newSocket.on("sessionsCleared", (data: { success: boolean; error?: string }) => {
       if (data.success) {
         console.log("Sessions cleared successfully");
@@ -673,19 +796,30 @@ export function SocketProvider({ children }: { children: ReactNode }) {
 
     return () => {
       newSocket.close();
+      setSocket(null);
     };
-  }, []);
+  }, [isAuthenticated, needsTwoFactorSetup, signOut, refreshSession, updateUser]);
+
+  // The unified inbox is usable while any of its accounts is connected
+  const isViewReady = currentAccountId === ALL_ACCOUNTS
+    ? accountStatuses.some(s => s.isReady && accounts.some(a => a.id === s.accountId))
+    : isReady;
 
   const fetchChats = useCallback(() => {
-    if (socket && isReady) {
+    if (socket && isViewReady) {
       setIsLoading(true);
       socket.emit("getChats");
     }
-  }, [socket, isReady]);
+  }, [socket, isViewReady]);
 
   // Sync all chats without any limit
   const syncAllChats = useCallback(() => {
-    if (socket && isReady) {
+    // The unified inbox shows what each account already synced
+    if (socket && currentAccountId === ALL_ACCOUNTS) {
+      socket.emit("getChats");
+      return;
+    }
+    if (socket && isViewReady) {
       setIsLoading(true);
       setSyncProgress({
         status: "started",
@@ -696,25 +830,25 @@ export function SocketProvider({ children }: { children: ReactNode }) {
       });
       socket.emit("syncAllChats", {}); // No maxChats limit
     }
-  }, [socket, isReady]);
+  }, [socket, isViewReady, currentAccountId]);
 
   // Quick sync - fast update of timestamps and unread counts
   const quickSync = useCallback(() => {
-    if (socket && isReady) {
-      socket.emit("quickSync");
+    if (socket && isViewReady) {
+      socket.emit(currentAccountId === ALL_ACCOUNTS ? "getChats" : "quickSync");
     }
-  }, [socket, isReady]);
+  }, [socket, isViewReady, currentAccountId]);
 
   // Fetch profile pictures for visible chats (lazy loading)
-  const fetchProfilePics = useCallback((chatIds: string[]) => {
-    if (socket && isReady && chatIds.length > 0) {
+  const fetchProfilePics = useCallback((chatIds: string[], accountId?: string) => {
+    if (socket && isViewReady && chatIds.length > 0) {
       // Just emit the request - server will handle filtering
-      socket.emit("getProfilePics", { chatIds });
+      socket.emit("getProfilePics", { chatIds, accountId });
     }
-  }, [socket, isReady]);
+  }, [socket, isViewReady]);
 
   const searchMessages = useCallback((query: string) => {
-    if (socket && isReady && query.trim().length >= 2) {
+    if (socket && isViewReady && query.trim().length >= 2) {
       setSearchState({
         status: "searching",
         message: `جاري البحث عن "${query}"...`,
@@ -724,24 +858,26 @@ export function SocketProvider({ children }: { children: ReactNode }) {
       });
       socket.emit("searchMessages", { query, maxChats: 100, maxMessagesPerChat: 50 });
     }
-  }, [socket, isReady]);
+  }, [socket, isViewReady]);
 
   const clearSearch = useCallback(() => {
     setSearchState(defaultSearchState);
   }, []);
 
-  const fetchMessages = useCallback((chatId: string) => {
-    socket?.emit("getMessages", { chatId });
+  // accountId is the chat's own account - replies always go out through it
+  const fetchMessages = useCallback((chatId: string, accountId?: string) => {
+    socket?.emit("getMessages", { chatId, accountId });
   }, [socket]);
 
-  const sendMessage = useCallback((chatId: string, message: string) => {
-    if (socket && isReady && message.trim()) {
-      socket.emit("sendMessage", { chatId, message: message.trim() });
+  const sendMessage = useCallback((chatId: string, message: string, attachment?: OutgoingAttachment, accountId?: string) => {
+    if (socket && isViewReady && (message.trim() || attachment)) {
+      socket.emit("sendMessage", { chatId, message: message.trim(), attachment, accountId });
     }
-  }, [socket, isReady]);
+  }, [socket, isViewReady]);
 
   const logout = useCallback(() => {
-    if (socket) {
+    // Logging out needs a single account
+    if (socket && currentAccountId !== ALL_ACCOUNTS) {
       console.log("Logging out...");
       socket.emit("logout");
       // مسح البيانات فوراً في الواجهة
@@ -753,18 +889,20 @@ export function SocketProvider({ children }: { children: ReactNode }) {
       setSyncProgress(defaultSyncProgress);
       setSearchState(defaultSearchState);
     }
-  }, [socket]);
+  }, [socket, currentAccountId]);
 
   const addAccount = useCallback((name: string) => {
     if (socket) {
-      const currentUserId = getCurrentUserId();
-      socket.emit("addAccount", { name, userId: currentUserId });
+      socket.emit("addAccount", { name });
     }
   }, [socket]);
 
   const switchAccount = useCallback((accountId: string) => {
     if (socket) {
       console.log("Switching to account:", accountId);
+      // The other accounts stay connected; only the view changes
+      accountRef.current = accountId;
+      setCurrentAccountId(accountId);
       socket.emit("switchAccount", { accountId });
       // Clear data immediately
       setIsReady(false);
@@ -783,6 +921,20 @@ export function SocketProvider({ children }: { children: ReactNode }) {
     }
   }, [socket]);
 
+  // Another workspace: the server sends its accounts and opens the default (or first) one
+  const switchWorkspace = useCallback((orgId: string) => {
+    if (socket) {
+      socket.emit("switchWorkspace", { orgId });
+      setIsReady(false);
+      setChats([]);
+      setMessages({});
+      setQrCode(null);
+      setIsLoading(false);
+      setSyncProgress(defaultSyncProgress);
+      setSearchState(defaultSearchState);
+    }
+  }, [socket]);
+
   const clearSessions = useCallback(() => {
     if (socket) {
       console.log("Clearing sessions...");
@@ -810,7 +962,7 @@ export function SocketProvider({ children }: { children: ReactNode }) {
       value={{
         socket,
         isConnected,
-        isReady,
+        isReady: isViewReady,
         isLoading,
         qrCode,
         chats,
@@ -819,7 +971,10 @@ export function SocketProvider({ children }: { children: ReactNode }) {
         searchState,
         privacyMode,
         accounts,
+        accountStatuses,
         currentAccountId,
+        workspaces,
+        currentWorkspace: workspaces.find((w) => w.id === currentOrgId) ?? null,
         connectionError,
         connectionHealth,
         phoneState,
@@ -837,6 +992,7 @@ export function SocketProvider({ children }: { children: ReactNode }) {
         addAccount,
         switchAccount,
         deleteAccount,
+        switchWorkspace,
         clearSessions,
         requestReconnect,
       }}
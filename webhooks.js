@@ -0,0 +1,243 @@
+/**
+ * Outbound Webhooks for WhatsApp Management Server
+ * POSTs HMAC-signed JSON payloads for WhatsApp client events to per-account subscriptions,
+ * retrying failed deliveries with exponential backoff (delivery log stored in Convex)
+ */
+
+const crypto = require("crypto");
+
+// Events that can be subscribed to
+const WEBHOOK_EVENTS = [
+  "message",
+  "message_create",
+  "message_ack",
+  "message_revoke_everyone",
+  "disconnected",
+  "auth_failure",
+];
+
+const SECRET_PREFIX = "whsec_";
+const REQUEST_TIMEOUT = 10 * 1000; // 10 seconds
+const MAX_ATTEMPTS = 8;
+const RETRY_DELAY_BASE = 30 * 1000; // 30 seconds, doubled per attempt
+const RETRY_DELAY_MAX = 60 * 60 * 1000; // 1 hour
+const RETRY_POLL_INTERVAL = 15 * 1000; // Check for due retries every 15 seconds
+const SUBSCRIPTION_CACHE_TTL = 30 * 1000; // 30 seconds
+const DELIVERY_RETENTION = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Generate a signing secret for a new webhook
+const generateWebhookSecret = () => `${SECRET_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+
+// Signature of a payload: HMAC-SHA256 over "<timestamp>.<body>"
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+// Only http(s) URLs can receive webhooks
+const isValidWebhookUrl = (url) => {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === "http:" || protocol === "https:";
+  } catch (e) {
+    return false;
+  }
+};
+
+// Plain JSON view of a whatsapp-web.js message
+const serializeMessage = (message) => ({
+  id: message.id?._serialized,
+  chatId: message.fromMe ? message.to : message.from,
+  from: message.from,
+  to: message.to,
+  author: message.author || null,
+  fromMe: message.fromMe,
+  body: message.body || "",
+  type: message.type,
+  hasMedia: message.hasMedia || false,
+  timestamp: message.timestamp,
+});
+
+/**
+ * Create the webhook dispatcher
+ * @param {object} deps - { webhooksDb, isConvexReady } from convex-integration.js
+ */
+const createWebhookDispatcher = ({ webhooksDb, isConvexReady }) => {
+  // accountId -> { webhooks, expiresAt }
+  const subscriptionCache = new Map();
+  // Delivery ids currently being sent (so the retry poller doesn't send them twice)
+  const inFlight = new Set();
+  let retryInterval = null;
+  let pruneInterval = null;
+
+  const getSubscriptions = async (accountId) => {
+    const cached = subscriptionCache.get(accountId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.webhooks;
+    }
+
+    const webhooks = await webhooksDb.getActiveByAccountId(accountId);
+    subscriptionCache.set(accountId, { webhooks, expiresAt: Date.now() + SUBSCRIPTION_CACHE_TTL });
+    return webhooks;
+  };
+
+  // Send one attempt of a delivery, unless one is already running for it (the delivery is free
+  // again afterwards, even if recording the result failed)
+  const attemptDelivery = async (deliveryId, webhook, event, payload, previousAttempts) => {
+    if (inFlight.has(deliveryId)) return;
+    inFlight.add(deliveryId);
+
+    try {
+      await sendAttempt(deliveryId, webhook, event, payload, previousAttempts);
+    } finally {
+      inFlight.delete(deliveryId);
+    }
+  };
+
+  // POST one attempt of a delivery and record its outcome
+  const sendAttempt = async (deliveryId, webhook, event, payload, previousAttempts) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus;
+    let error;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "WhatsApp-Pro-Webhooks/1.0",
+          "X-Webhook-Event": event,
+          "X-Webhook-Delivery": String(deliveryId),
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": `sha256=${signPayload(webhook.secret, timestamp, payload)}`,
+        },
+        body: payload,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+      });
+      responseStatus = response.status;
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (e) {
+      error = e.name === "TimeoutError" ? "Request timed out" : e.message;
+    }
+
+    const attempts = previousAttempts + 1;
+    if (!error) {
+      await webhooksDb.recordAttempt(deliveryId, { status: "success", responseStatus });
+    } else if (attempts < MAX_ATTEMPTS) {
+      const delay = Math.min(RETRY_DELAY_BASE * Math.pow(2, attempts - 1), RETRY_DELAY_MAX);
+      console.log(`Webhook delivery ${deliveryId} failed (${error}), retrying in ${delay / 1000}s (attempt ${attempts}/${MAX_ATTEMPTS})`);
+      await webhooksDb.recordAttempt(deliveryId, {
+        status: "pending",
+        responseStatus,
+        error,
+        nextRetryAt: Date.now() + delay,
+      });
+    } else {
+      console.error(`Webhook delivery ${deliveryId} failed permanently after ${attempts} attempts:`, error);
+      await webhooksDb.recordAttempt(deliveryId, { status: "failed", responseStatus, error });
+    }
+  };
+
+  // Log a delivery and send its first attempt
+  const deliver = async (webhook, accountId, event, payload) => {
+    const deliveryId = await webhooksDb.createDelivery(webhook.id, accountId, event, payload);
+    if (!deliveryId) return null;
+    await attemptDelivery(deliveryId, webhook, event, payload, 0);
+    return deliveryId;
+  };
+
+  /**
+   * Dispatch a WhatsApp client event to the account's subscribed webhooks
+   * Never throws - delivery problems are recorded in the delivery log
+   */
+  const dispatch = async (accountId, event, data) => {
+    if (!isConvexReady()) return;
+
+    try {
+      const webhooks = await getSubscriptions(accountId);
+      const subscribed = webhooks.filter(w => w.events.includes(event));
+      if (subscribed.length === 0) return;
+
+      const payload = JSON.stringify({
+        event,
+        accountId,
+        timestamp: Date.now(),
+        data,
+      });
+
+      await Promise.all(subscribed.map(webhook => deliver(webhook, accountId, event, payload)));
+    } catch (e) {
+      console.error(`Error dispatching webhook event ${event}:`, e.message);
+    }
+  };
+
+  // Send deliveries whose retry is due (also resumes retries after a restart)
+  const processDueRetries = async () => {
+    if (!isConvexReady()) return;
+
+    const due = await webhooksDb.getDueRetries();
+    for (const { id } of due) {
+      if (inFlight.has(id)) continue;
+
+      const delivery = await webhooksDb.getDelivery(id);
+      if (!delivery || delivery.status !== "pending") continue;
+
+      if (!delivery.webhook.isActive) {
+        await webhooksDb.recordAttempt(id, { status: "failed", error: "Webhook disabled" });
+        continue;
+      }
+
+      await attemptDelivery(id, delivery.webhook, delivery.event, delivery.payload, delivery.attempts);
+    }
+  };
+
+  /**
+   * Re-send the payload of a logged delivery as a new delivery
+   * @returns {Promise<string|null>} new delivery id, or null if not found / not owned by the user
+   */
+  const replay = async (deliveryId, userId) => {
+    const delivery = await webhooksDb.getDelivery(deliveryId);
+    if (!delivery || delivery.webhook.userId !== userId) return null;
+
+    return deliver(delivery.webhook, delivery.accountId, delivery.event, delivery.payload);
+  };
+
+  const start = () => {
+    if (retryInterval) return;
+
+    retryInterval = setInterval(() => {
+      processDueRetries().catch(e => console.error("Error processing webhook retries:", e.message));
+    }, RETRY_POLL_INTERVAL);
+
+    pruneInterval = setInterval(() => {
+      if (isConvexReady()) {
+        webhooksDb.pruneDeliveries(Date.now() - DELIVERY_RETENTION).catch(() => {});
+      }
+    }, 60 * 60 * 1000);
+  };
+
+  const stop = () => {
+    clearInterval(retryInterval);
+    clearInterval(pruneInterval);
+    retryInterval = null;
+    pruneInterval = null;
+  };
+
+  return {
+    dispatch,
+    replay,
+    start,
+    stop,
+    // Forget cached subscriptions (after a webhook is created, updated or deleted)
+    invalidate: (accountId) => accountId ? subscriptionCache.delete(accountId) : subscriptionCache.clear(),
+  };
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  createWebhookDispatcher,
+  generateWebhookSecret,
+  isValidWebhookUrl,
+  serializeMessage,
+  signPayload,
+};